@@ -0,0 +1,44 @@
+-- Migration: Add refund support to transactions and donations
+-- Purpose: Record reversing (refund_out) transactions and link refunded donations to them
+
+BEGIN;
+
+-- 1) Allow 'refund_out' as a transaction type
+--    The original CHECK was created inline; drop whichever constraint guards transactionType
+DO $$
+DECLARE
+  con record;
+BEGIN
+  FOR con IN
+    SELECT conname
+    FROM pg_constraint
+    WHERE conrelid = '"transactions"'::regclass
+      AND contype = 'c'
+      AND pg_get_constraintdef(oid) LIKE '%transactionType%'
+  LOOP
+    EXECUTE format('ALTER TABLE "transactions" DROP CONSTRAINT %I', con.conname);
+  END LOOP;
+END$$;
+
+ALTER TABLE "transactions"
+  ADD CONSTRAINT "transactions_transactionType_check"
+  CHECK ("transactionType" IN ('donation_in', 'withdrawal_out', 'platform_fee', 'refund_out'));
+
+-- 2) Link reversing transactions to the transaction they reverse
+ALTER TABLE "transactions"
+  ADD COLUMN IF NOT EXISTS "parentTransactionId" UUID REFERENCES "transactions"("transactionId") ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_parentTransactionId
+  ON "transactions"("parentTransactionId");
+
+-- 3) Refund details on donations
+ALTER TABLE "donations"
+  ADD COLUMN IF NOT EXISTS "refundTransactionId" UUID REFERENCES "transactions"("transactionId") ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS "refundReason" TEXT,
+  ADD COLUMN IF NOT EXISTS "refundedByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS "refundedAt" TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_donations_refundTransactionId
+  ON "donations"("refundTransactionId");
+
+COMMIT;
@@ -0,0 +1,114 @@
+-- Migration: Create double-entry ledger tables
+-- Purpose: Accounts per campaign/organizer/platform and immutable, balanced journal entries
+--          posted by donations, platform fees, withdrawals and refunds
+
+BEGIN;
+
+-- 1) Ledger accounts
+--    campaign         : funds held on behalf of a campaign (liability, credit-normal)
+--    organizer        : funds committed to an organizer payout but not yet paid out (liability, credit-normal)
+--    platform_cash    : money held by the platform at the payment provider (asset, debit-normal)
+--    platform_revenue : platform fee income (credit-normal)
+CREATE TABLE IF NOT EXISTS "ledgerAccounts" (
+    "accountId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "accountType" VARCHAR(30) NOT NULL CHECK ("accountType" IN ('campaign', 'organizer', 'platform_cash', 'platform_revenue')),
+    "ownerId" UUID,
+    "currency" VARCHAR(3) NOT NULL DEFAULT 'ZMW',
+    "normalBalance" VARCHAR(6) NOT NULL CHECK ("normalBalance" IN ('debit', 'credit')),
+    "name" VARCHAR(255) NOT NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CHECK (
+        ("accountType" IN ('campaign', 'organizer') AND "ownerId" IS NOT NULL)
+        OR ("accountType" IN ('platform_cash', 'platform_revenue') AND "ownerId" IS NULL)
+    )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_ledgerAccounts_owner
+    ON "ledgerAccounts"("accountType", "ownerId", "currency")
+    WHERE "ownerId" IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_ledgerAccounts_platform
+    ON "ledgerAccounts"("accountType", "currency")
+    WHERE "ownerId" IS NULL;
+
+-- 2) Journal entries (one per business event, idempotent via idempotencyKey)
+CREATE TABLE IF NOT EXISTS "journalEntries" (
+    "entryId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "entryType" VARCHAR(30) NOT NULL CHECK ("entryType" IN (
+        'donation', 'platform_fee', 'withdrawal_reserve', 'withdrawal_payout',
+        'withdrawal_release', 'refund', 'refund_reversal'
+    )),
+    "idempotencyKey" VARCHAR(255) NOT NULL UNIQUE,
+    "transactionId" UUID REFERENCES "transactions"("transactionId") ON DELETE RESTRICT,
+    "campaignId" UUID REFERENCES "campaigns"("campaignId") ON DELETE RESTRICT,
+    "currency" VARCHAR(3) NOT NULL,
+    "description" TEXT,
+    "metadata" JSONB,
+    "postedByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "postedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_journalEntries_transactionId ON "journalEntries"("transactionId");
+CREATE INDEX IF NOT EXISTS idx_journalEntries_campaignId ON "journalEntries"("campaignId");
+CREATE INDEX IF NOT EXISTS idx_journalEntries_entryType ON "journalEntries"("entryType");
+CREATE INDEX IF NOT EXISTS idx_journalEntries_postedAt ON "journalEntries"("postedAt");
+
+-- 3) Journal lines (debits and credits of an entry)
+CREATE TABLE IF NOT EXISTS "journalLines" (
+    "lineId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "entryId" UUID NOT NULL REFERENCES "journalEntries"("entryId") ON DELETE RESTRICT,
+    "accountId" UUID NOT NULL REFERENCES "ledgerAccounts"("accountId") ON DELETE RESTRICT,
+    "direction" VARCHAR(6) NOT NULL CHECK ("direction" IN ('debit', 'credit')),
+    "amount" NUMERIC(12, 2) NOT NULL CHECK ("amount" > 0),
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_journalLines_entryId ON "journalLines"("entryId");
+CREATE INDEX IF NOT EXISTS idx_journalLines_accountId ON "journalLines"("accountId");
+
+-- 4) Journal entries and lines are append-only
+CREATE OR REPLACE FUNCTION prevent_ledger_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Ledger records are immutable; post a correcting entry instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_prevent_journalEntries_mutation ON "journalEntries";
+CREATE TRIGGER trigger_prevent_journalEntries_mutation
+    BEFORE UPDATE OR DELETE ON "journalEntries"
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_ledger_mutation();
+
+DROP TRIGGER IF EXISTS trigger_prevent_journalLines_mutation ON "journalLines";
+CREATE TRIGGER trigger_prevent_journalLines_mutation
+    BEFORE UPDATE OR DELETE ON "journalLines"
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_ledger_mutation();
+
+-- 5) Every entry must balance (checked at commit so all lines can be inserted first)
+CREATE OR REPLACE FUNCTION check_journal_entry_balanced()
+RETURNS TRIGGER AS $$
+DECLARE
+    diff NUMERIC(12, 2);
+BEGIN
+    SELECT COALESCE(SUM(CASE WHEN "direction" = 'debit' THEN "amount" ELSE -"amount" END), 0)
+    INTO diff
+    FROM "journalLines"
+    WHERE "entryId" = NEW."entryId";
+
+    IF diff <> 0 THEN
+        RAISE EXCEPTION 'Journal entry % is not balanced (difference %)', NEW."entryId", diff;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_check_journal_entry_balanced ON "journalLines";
+CREATE CONSTRAINT TRIGGER trigger_check_journal_entry_balanced
+    AFTER INSERT ON "journalLines"
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW
+    EXECUTE FUNCTION check_journal_entry_balanced();
+
+COMMIT;
@@ -0,0 +1,54 @@
+-- Migration: Create platformFeeRules table and record fees on donations
+-- Purpose: Configurable platform fees (percentage + fixed) per category or organization,
+--          with an optional donor "cover the fee" opt-in
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS "platformFeeRules" (
+    "feeRuleId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "scope" VARCHAR(20) NOT NULL CHECK ("scope" IN ('default', 'category', 'organization')),
+    "categoryId" UUID REFERENCES "categories"("categoryId") ON DELETE CASCADE,
+    "organizerId" UUID REFERENCES "users"("userId") ON DELETE CASCADE,
+    "percentageRate" NUMERIC(5, 2) NOT NULL DEFAULT 0 CHECK ("percentageRate" >= 0 AND "percentageRate" <= 100),
+    "fixedAmount" NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK ("fixedAmount" >= 0),
+    "isActive" BOOLEAN NOT NULL DEFAULT TRUE,
+    "description" TEXT,
+    "createdByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CHECK (
+        ("scope" = 'default' AND "categoryId" IS NULL AND "organizerId" IS NULL)
+        OR ("scope" = 'category' AND "categoryId" IS NOT NULL AND "organizerId" IS NULL)
+        OR ("scope" = 'organization' AND "organizerId" IS NOT NULL AND "categoryId" IS NULL)
+    )
+);
+
+-- At most one active rule per target
+CREATE UNIQUE INDEX IF NOT EXISTS uq_platformFeeRules_default_active
+    ON "platformFeeRules"("scope") WHERE "scope" = 'default' AND "isActive";
+CREATE UNIQUE INDEX IF NOT EXISTS uq_platformFeeRules_category_active
+    ON "platformFeeRules"("categoryId") WHERE "scope" = 'category' AND "isActive";
+CREATE UNIQUE INDEX IF NOT EXISTS uq_platformFeeRules_organization_active
+    ON "platformFeeRules"("organizerId") WHERE "scope" = 'organization' AND "isActive";
+
+CREATE OR REPLACE FUNCTION update_platformFeeRules_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW."updatedAt" = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_platformFeeRules_updated_at ON "platformFeeRules";
+CREATE TRIGGER trigger_update_platformFeeRules_updated_at
+    BEFORE UPDATE ON "platformFeeRules"
+    FOR EACH ROW
+    EXECUTE FUNCTION update_platformFeeRules_updated_at();
+
+-- Fee applied to each donation; when the donor covers it the charged amount is amount + feeAmount
+ALTER TABLE "donations"
+  ADD COLUMN IF NOT EXISTS "feeAmount" NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS "donorCoversFee" BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS "feeRuleId" UUID REFERENCES "platformFeeRules"("feeRuleId") ON DELETE SET NULL;
+
+COMMIT;
@@ -0,0 +1,86 @@
+-- Migration: Create recurring donation tables
+-- Purpose: Monthly giving subscriptions, their scheduled charges and dunning state
+
+-- Audit action types (ADD VALUE cannot run inside a transaction block on older PostgreSQL)
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'RECURRING_DONATION_CREATED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'RECURRING_DONATION_PAUSED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'RECURRING_DONATION_RESUMED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'RECURRING_DONATION_CANCELLED';
+
+BEGIN;
+
+-- 1) Subscriptions
+CREATE TABLE IF NOT EXISTS "recurringDonations" (
+    "recurringDonationId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "donorUserId" UUID NOT NULL REFERENCES "users"("userId") ON DELETE CASCADE,
+    "campaignId" UUID NOT NULL REFERENCES "campaigns"("campaignId") ON DELETE CASCADE,
+    "organizerId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "amount" NUMERIC(12, 2) NOT NULL CHECK ("amount" > 0),
+    "currency" VARCHAR(3) NOT NULL DEFAULT 'ZMW',
+    "paymentMethod" VARCHAR(50) NOT NULL,
+    "phoneNumber" VARCHAR(20) NOT NULL,
+    "isAnonymous" BOOLEAN NOT NULL DEFAULT FALSE,
+    "donorCoversFee" BOOLEAN NOT NULL DEFAULT FALSE,
+    "frequency" VARCHAR(20) NOT NULL DEFAULT 'monthly' CHECK ("frequency" IN ('monthly')),
+    "dayOfMonth" SMALLINT NOT NULL CHECK ("dayOfMonth" BETWEEN 1 AND 28),
+    "status" VARCHAR(20) NOT NULL DEFAULT 'active' CHECK ("status" IN ('active', 'paused', 'past_due', 'cancelled', 'ended')),
+    "currentPeriodStart" DATE NOT NULL,
+    "nextChargeAt" TIMESTAMP WITH TIME ZONE,
+    "lastChargedAt" TIMESTAMP WITH TIME ZONE,
+    "failedAttempts" SMALLINT NOT NULL DEFAULT 0,
+    "lastFailureReason" TEXT,
+    "processingStartedAt" TIMESTAMP WITH TIME ZONE,
+    "pausedAt" TIMESTAMP WITH TIME ZONE,
+    "cancelledAt" TIMESTAMP WITH TIME ZONE,
+    "cancelReason" TEXT,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurringDonations_donorUserId ON "recurringDonations"("donorUserId");
+CREATE INDEX IF NOT EXISTS idx_recurringDonations_campaignId ON "recurringDonations"("campaignId");
+CREATE INDEX IF NOT EXISTS idx_recurringDonations_due
+    ON "recurringDonations"("nextChargeAt")
+    WHERE "status" IN ('active', 'past_due');
+
+CREATE OR REPLACE FUNCTION update_recurringDonations_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW."updatedAt" = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_recurringDonations_updated_at ON "recurringDonations";
+CREATE TRIGGER trigger_update_recurringDonations_updated_at
+    BEFORE UPDATE ON "recurringDonations"
+    FOR EACH ROW
+    EXECUTE FUNCTION update_recurringDonations_updated_at();
+
+-- 2) One row per charge attempt; each attempt creates a normal donation + transaction
+CREATE TABLE IF NOT EXISTS "recurringDonationCharges" (
+    "chargeId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "recurringDonationId" UUID NOT NULL REFERENCES "recurringDonations"("recurringDonationId") ON DELETE CASCADE,
+    "donationId" UUID REFERENCES "donations"("donationId") ON DELETE SET NULL,
+    "transactionId" UUID REFERENCES "transactions"("transactionId") ON DELETE SET NULL,
+    "periodStart" DATE NOT NULL,
+    "attempt" SMALLINT NOT NULL DEFAULT 1,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK ("status" IN ('pending', 'succeeded', 'failed')),
+    "failureReason" TEXT,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "settledAt" TIMESTAMP WITH TIME ZONE,
+    UNIQUE ("recurringDonationId", "periodStart", "attempt")
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurringDonationCharges_recurringDonationId
+    ON "recurringDonationCharges"("recurringDonationId");
+CREATE INDEX IF NOT EXISTS idx_recurringDonationCharges_pending
+    ON "recurringDonationCharges"("status") WHERE "status" = 'pending';
+
+-- 3) Link charged donations back to their subscription
+ALTER TABLE "donations"
+  ADD COLUMN IF NOT EXISTS "recurringDonationId" UUID REFERENCES "recurringDonations"("recurringDonationId") ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_donations_recurringDonationId ON "donations"("recurringDonationId");
+
+COMMIT;
@@ -0,0 +1,46 @@
+-- Migration: Create webhookEvents table
+-- Purpose: Store every verified payment callback keyed by provider event id so
+--          duplicate or replayed deliveries are not applied twice, and admins can
+--          inspect and re-process deliveries
+
+-- Audit action types (ADD VALUE cannot run inside a transaction block on older PostgreSQL)
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'WEBHOOK_REPROCESSED';
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS "webhookEvents" (
+    "webhookEventId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "provider" VARCHAR(50) NOT NULL,
+    "eventId" VARCHAR(255) NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'received'
+        CHECK ("status" IN ('received', 'processed', 'failed')),
+    "payload" JSONB NOT NULL,
+    "headers" JSONB,
+    "responseStatusCode" INTEGER,
+    "lastError" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "duplicateCount" INTEGER NOT NULL DEFAULT 0,
+    "receivedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" TIMESTAMP WITH TIME ZONE,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_webhookEvents_provider_event UNIQUE ("provider", "eventId")
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhookEvents_status ON "webhookEvents"("status");
+CREATE INDEX IF NOT EXISTS idx_webhookEvents_receivedAt ON "webhookEvents"("receivedAt" DESC);
+
+CREATE OR REPLACE FUNCTION update_webhookEvents_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW."updatedAt" = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_webhookEvents_updated_at ON "webhookEvents";
+CREATE TRIGGER trigger_update_webhookEvents_updated_at
+    BEFORE UPDATE ON "webhookEvents"
+    FOR EACH ROW
+    EXECUTE FUNCTION update_webhookEvents_updated_at();
+
+COMMIT;
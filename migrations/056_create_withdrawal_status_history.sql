@@ -0,0 +1,33 @@
+-- Migration: Create withdrawalStatusHistory table
+-- Purpose: Record every withdrawal status transition (who, when, why and which
+--          payout transaction) now that transitions go through a state machine
+
+-- Audit action types (ADD VALUE cannot run inside a transaction block on older PostgreSQL)
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'WITHDRAWAL_PAYOUT_RETRIED';
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS "withdrawalStatusHistory" (
+    "withdrawalStatusHistoryId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "withdrawalRequestId" UUID NOT NULL REFERENCES "withdrawalRequests"("withdrawalRequestId") ON DELETE CASCADE,
+    "fromStatus" VARCHAR(20),
+    "toStatus" VARCHAR(20) NOT NULL,
+    "changedByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "transactionId" UUID REFERENCES "transactions"("transactionId") ON DELETE SET NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_withdrawalStatusHistory_withdrawal
+    ON "withdrawalStatusHistory"("withdrawalRequestId", "createdAt");
+
+-- Backfill the current state of existing requests as their first entry
+INSERT INTO "withdrawalStatusHistory" ("withdrawalRequestId", "fromStatus", "toStatus", "transactionId", "createdAt")
+SELECT w."withdrawalRequestId", NULL, w."status", w."transactionId", w."updatedAt"
+FROM "withdrawalRequests" w
+WHERE NOT EXISTS (
+    SELECT 1 FROM "withdrawalStatusHistory" h
+    WHERE h."withdrawalRequestId" = w."withdrawalRequestId"
+);
+
+COMMIT;
@@ -0,0 +1,29 @@
+-- Migration: Create withdrawalApprovals table
+-- Purpose: Maker-checker approval for large withdrawals. Each request records
+--          how many distinct approvals it needs (fixed when it is created) and
+--          every approval given, in order
+
+-- Audit action types (ADD VALUE cannot run inside a transaction block on older PostgreSQL)
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'WITHDRAWAL_APPROVAL_RECORDED';
+
+BEGIN;
+
+ALTER TABLE "withdrawalRequests"
+    ADD COLUMN IF NOT EXISTS "requiredApprovals" INTEGER NOT NULL DEFAULT 1
+    CHECK ("requiredApprovals" >= 1);
+
+CREATE TABLE IF NOT EXISTS "withdrawalApprovals" (
+    "withdrawalApprovalId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "withdrawalRequestId" UUID NOT NULL REFERENCES "withdrawalRequests"("withdrawalRequestId") ON DELETE CASCADE,
+    "approverUserId" UUID NOT NULL REFERENCES "users"("userId") ON DELETE RESTRICT,
+    "approverRole" VARCHAR(50) NOT NULL,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    -- The same admin can only count once towards a request
+    CONSTRAINT uq_withdrawalApprovals_approver UNIQUE ("withdrawalRequestId", "approverUserId")
+);
+
+CREATE INDEX IF NOT EXISTS idx_withdrawalApprovals_withdrawal
+    ON "withdrawalApprovals"("withdrawalRequestId", "createdAt");
+
+COMMIT;
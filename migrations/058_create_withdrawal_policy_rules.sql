@@ -0,0 +1,67 @@
+-- Migration: Create withdrawalPolicyRules table and KYC verification on users
+-- Purpose: Admin-defined withdrawal limits (amounts, frequency, holding period,
+--          KYC) per organization type or organizer, replacing the hard-coded
+--          rules in requestWithdrawal. NULL columns inherit from the next less
+--          specific rule: organization -> organizationType -> default -> config
+
+-- Audit action types (ADD VALUE cannot run inside a transaction block on older PostgreSQL)
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'WITHDRAWAL_POLICY_CREATED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'WITHDRAWAL_POLICY_UPDATED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'KYC_STATUS_CHANGED';
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS "withdrawalPolicyRules" (
+    "withdrawalPolicyRuleId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "scope" VARCHAR(20) NOT NULL CHECK ("scope" IN ('default', 'organizationType', 'organization')),
+    "organizationType" VARCHAR(50),
+    "organizerId" UUID REFERENCES "users"("userId") ON DELETE CASCADE,
+    "minAmount" NUMERIC(12, 2) CHECK ("minAmount" >= 0),
+    "minGoalPercentage" NUMERIC(5, 2) CHECK ("minGoalPercentage" >= 0 AND "minGoalPercentage" <= 100),
+    "maxAmount" NUMERIC(12, 2) CHECK ("maxAmount" > 0),
+    "maxWithdrawalsPerWindow" INTEGER CHECK ("maxWithdrawalsPerWindow" >= 0),
+    "windowDays" INTEGER CHECK ("windowDays" > 0),
+    "holdingPeriodHours" INTEGER CHECK ("holdingPeriodHours" >= 0),
+    "requireCompletedDonation" BOOLEAN,
+    "requireKyc" BOOLEAN,
+    "isActive" BOOLEAN NOT NULL DEFAULT TRUE,
+    "description" TEXT,
+    "createdByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CHECK (
+        ("scope" = 'default' AND "organizationType" IS NULL AND "organizerId" IS NULL)
+        OR ("scope" = 'organizationType' AND "organizationType" IS NOT NULL AND "organizerId" IS NULL)
+        OR ("scope" = 'organization' AND "organizerId" IS NOT NULL AND "organizationType" IS NULL)
+    ),
+    CHECK ("minAmount" IS NULL OR "maxAmount" IS NULL OR "minAmount" <= "maxAmount")
+);
+
+-- At most one active rule per target
+CREATE UNIQUE INDEX IF NOT EXISTS uq_withdrawalPolicyRules_default_active
+    ON "withdrawalPolicyRules"("scope") WHERE "scope" = 'default' AND "isActive";
+CREATE UNIQUE INDEX IF NOT EXISTS uq_withdrawalPolicyRules_orgType_active
+    ON "withdrawalPolicyRules"("organizationType") WHERE "scope" = 'organizationType' AND "isActive";
+CREATE UNIQUE INDEX IF NOT EXISTS uq_withdrawalPolicyRules_organization_active
+    ON "withdrawalPolicyRules"("organizerId") WHERE "scope" = 'organization' AND "isActive";
+
+CREATE OR REPLACE FUNCTION update_withdrawalPolicyRules_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW."updatedAt" = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_withdrawalPolicyRules_updated_at ON "withdrawalPolicyRules";
+CREATE TRIGGER trigger_update_withdrawalPolicyRules_updated_at
+    BEFORE UPDATE ON "withdrawalPolicyRules"
+    FOR EACH ROW
+    EXECUTE FUNCTION update_withdrawalPolicyRules_updated_at();
+
+-- KYC verification, checked by rules with requireKyc
+ALTER TABLE "users"
+  ADD COLUMN IF NOT EXISTS "kycVerifiedAt" TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS "kycVerifiedByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL;
+
+COMMIT;
@@ -0,0 +1,73 @@
+-- Migration: Campaign base currency, exchange rates and per-donation rate snapshots
+-- Purpose: Campaigns declare the currency they raise in. Donations made in another
+--          currency are converted with the rate in effect at donation time, and the
+--          rate used is stored on the donation so totals never shift afterwards.
+
+BEGIN;
+
+ALTER TABLE "campaigns"
+  ADD COLUMN IF NOT EXISTS "baseCurrency" CHAR(3) NOT NULL DEFAULT 'ZMW';
+
+-- One row per published rate: 1 unit of baseCurrency = rate units of quoteCurrency.
+-- Rates are loaded by finance admins (single entry or bulk upload); the inverse
+-- pair is derived, so only one direction needs to be stored.
+CREATE TABLE IF NOT EXISTS "exchangeRates" (
+    "exchangeRateId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "baseCurrency" CHAR(3) NOT NULL,
+    "quoteCurrency" CHAR(3) NOT NULL,
+    "rate" NUMERIC(18, 8) NOT NULL CHECK ("rate" > 0),
+    "effectiveAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "source" VARCHAR(100),
+    "createdByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CHECK ("baseCurrency" <> "quoteCurrency"),
+    UNIQUE ("baseCurrency", "quoteCurrency", "effectiveAt")
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchangeRates_pair_effective
+    ON "exchangeRates"("baseCurrency", "quoteCurrency", "effectiveAt" DESC);
+
+-- Latest rate for every convertible pair in both directions. A directly stored
+-- pair wins over the inverse of the opposite pair when both share a timestamp.
+CREATE OR REPLACE VIEW "latestExchangeRates" AS
+SELECT DISTINCT ON ("fromCurrency", "toCurrency")
+    "fromCurrency", "toCurrency", "rate", "effectiveAt", "exchangeRateId"
+FROM (
+    SELECT "baseCurrency" AS "fromCurrency", "quoteCurrency" AS "toCurrency",
+           "rate", "effectiveAt", "exchangeRateId", 0 AS "preference"
+    FROM "exchangeRates"
+    UNION ALL
+    SELECT "quoteCurrency", "baseCurrency",
+           1 / "rate", "effectiveAt", "exchangeRateId", 1
+    FROM "exchangeRates"
+) pairs
+ORDER BY "fromCurrency", "toCurrency", "effectiveAt" DESC, "preference";
+
+-- Rate snapshot taken when the donation was created: amount is in currency,
+-- baseAmount = amount * exchangeRate is in the campaign's baseCurrency
+ALTER TABLE "donations"
+  ADD COLUMN IF NOT EXISTS "currency" CHAR(3),
+  ADD COLUMN IF NOT EXISTS "baseCurrency" CHAR(3),
+  ADD COLUMN IF NOT EXISTS "baseAmount" NUMERIC(12, 2),
+  ADD COLUMN IF NOT EXISTS "exchangeRate" NUMERIC(18, 8) NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS "exchangeRateId" UUID REFERENCES "exchangeRates"("exchangeRateId") ON DELETE SET NULL;
+
+-- Existing donations were all taken in the campaign's currency (the "USD"
+-- transaction default was never what providers charged), so they convert at 1.
+-- Transactions and journal entries keep their recorded currency; the ledger is
+-- append-only, so any mislabelled balance needs a correcting entry instead.
+UPDATE "donations" d
+SET "currency" = c."baseCurrency",
+    "baseCurrency" = c."baseCurrency",
+    "baseAmount" = d."amount",
+    "exchangeRate" = 1
+FROM "campaigns" c
+WHERE c."campaignId" = d."campaignId"
+  AND d."baseAmount" IS NULL;
+
+ALTER TABLE "donations"
+  ALTER COLUMN "currency" SET NOT NULL,
+  ALTER COLUMN "baseCurrency" SET NOT NULL,
+  ALTER COLUMN "baseAmount" SET NOT NULL;
+
+COMMIT;
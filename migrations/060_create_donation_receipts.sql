@@ -0,0 +1,61 @@
+-- Migration: Donation receipts with sequential numbers per organization
+-- Purpose: Every completed donation gets a tax-style receipt numbered from its
+--          organizer's own sequence. A receipt keeps a snapshot of the donor,
+--          donation and organization details it was issued with; refunds void
+--          it and a reissue gets a new number that points at the one it replaces
+
+-- Audit action types (ADD VALUE cannot run inside a transaction block on older PostgreSQL)
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'DONATION_RECEIPT_ISSUED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'DONATION_RECEIPT_VOIDED';
+
+BEGIN;
+
+-- Last receipt number handed out per organizer. Incremented with
+-- INSERT ... ON CONFLICT DO UPDATE, which locks the row until the issuing
+-- transaction ends, so numbers are gap-free and never reused.
+CREATE TABLE IF NOT EXISTS "receiptSequences" (
+    "organizerId" UUID PRIMARY KEY REFERENCES "users"("userId") ON DELETE CASCADE,
+    "lastNumber" INTEGER NOT NULL DEFAULT 0 CHECK ("lastNumber" >= 0),
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "donationReceipts" (
+    "receiptId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "donationId" UUID NOT NULL REFERENCES "donations"("donationId") ON DELETE RESTRICT,
+    "organizerId" UUID NOT NULL REFERENCES "users"("userId") ON DELETE RESTRICT,
+    "sequenceNumber" INTEGER NOT NULL CHECK ("sequenceNumber" > 0),
+    "receiptNumber" VARCHAR(40) NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'issued' CHECK ("status" IN ('issued', 'voided')),
+    "amount" NUMERIC(12, 2) NOT NULL,
+    "currency" CHAR(3) NOT NULL,
+    "baseAmount" NUMERIC(12, 2) NOT NULL,
+    "baseCurrency" CHAR(3) NOT NULL,
+    "exchangeRate" NUMERIC(18, 8) NOT NULL DEFAULT 1,
+    "donationDate" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "campaignId" UUID NOT NULL REFERENCES "campaigns"("campaignId") ON DELETE RESTRICT,
+    "campaignName" VARCHAR(255),
+    "donorUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "donorName" VARCHAR(255),
+    "donorEmail" VARCHAR(255),
+    "organization" JSONB NOT NULL DEFAULT '{}'::jsonb,
+    "supersedesReceiptId" UUID REFERENCES "donationReceipts"("receiptId") ON DELETE SET NULL,
+    "issuedByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "issuedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "voidedAt" TIMESTAMP WITH TIME ZONE,
+    "voidReason" TEXT,
+    "voidedByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    UNIQUE ("organizerId", "sequenceNumber"),
+    CHECK (("status" = 'voided') = ("voidedAt" IS NOT NULL))
+);
+
+-- At most one valid receipt per donation at any time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_donationReceipts_one_issued
+    ON "donationReceipts"("donationId") WHERE "status" = 'issued';
+
+CREATE INDEX IF NOT EXISTS idx_donationReceipts_donation
+    ON "donationReceipts"("donationId", "issuedAt" DESC);
+
+CREATE INDEX IF NOT EXISTS idx_donationReceipts_donor
+    ON "donationReceipts"("donorUserId", "issuedAt" DESC);
+
+COMMIT;
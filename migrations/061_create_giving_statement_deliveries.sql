@@ -0,0 +1,21 @@
+-- Migration: Annual giving statement deliveries
+-- Purpose: Remember which donors were emailed their statement for a year, so
+--          the January batch job can run repeatedly and send each one once
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS "givingStatementDeliveries" (
+    "givingStatementDeliveryId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "donorUserId" UUID NOT NULL REFERENCES "users"("userId") ON DELETE CASCADE,
+    "year" INTEGER NOT NULL CHECK ("year" >= 2000),
+    "donationCount" INTEGER NOT NULL DEFAULT 0,
+    "notificationId" UUID,
+    "sentAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE ("donorUserId", "year")
+);
+
+-- Statements read a donor's completed donations for one year
+CREATE INDEX IF NOT EXISTS idx_donations_donor_status_date
+    ON "donations"("donorUserId", "status", "donationDate");
+
+COMMIT;
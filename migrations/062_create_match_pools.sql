@@ -0,0 +1,66 @@
+-- Migration: Sponsor match pools
+-- Purpose: A sponsor (an organization or an admin) pledges to match donations
+--          to a campaign at a ratio, up to a cap, until an expiry date. Every
+--          qualifying donation gets a linked matching donation from the pool.
+--          Matches are pledges settled with the sponsor, not money received
+--          through a provider, so they have no payment transaction.
+
+-- Audit action types (ADD VALUE cannot run inside a transaction block on older PostgreSQL)
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'MATCH_POOL_CREATED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'MATCH_POOL_CANCELLED';
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS "matchPools" (
+    "matchPoolId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "campaignId" UUID NOT NULL REFERENCES "campaigns"("campaignId") ON DELETE CASCADE,
+    "sponsorUserId" UUID NOT NULL REFERENCES "users"("userId") ON DELETE RESTRICT,
+    "sponsorName" VARCHAR(255),
+    -- Pool currency is the campaign's base currency; donations match on baseAmount
+    "currency" CHAR(3) NOT NULL,
+    -- 1 = one-to-one, 2 = double, 0.5 = half of every donation
+    "ratio" NUMERIC(6, 2) NOT NULL CHECK ("ratio" > 0 AND "ratio" <= 10),
+    "capAmount" NUMERIC(12, 2) NOT NULL CHECK ("capAmount" > 0),
+    "matchedAmount" NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    "startsAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK ("status" IN ('active', 'exhausted', 'cancelled')),
+    "cancelledAt" TIMESTAMP WITH TIME ZONE,
+    "cancelledByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CHECK ("matchedAmount" >= 0 AND "matchedAmount" <= "capAmount"),
+    CHECK ("expiresAt" > "startsAt")
+);
+
+CREATE INDEX IF NOT EXISTS idx_matchPools_campaign_status
+    ON "matchPools"("campaignId", "status", "expiresAt");
+
+CREATE INDEX IF NOT EXISTS idx_matchPools_sponsor
+    ON "matchPools"("sponsorUserId", "createdAt" DESC);
+
+CREATE TRIGGER trigger_update_match_pools
+BEFORE UPDATE ON "matchPools"
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- A matching donation is made by the sponsor, points at the pool it came from
+-- and at the donation it matches, and has no payment transaction of its own
+ALTER TABLE "donations"
+  ADD COLUMN IF NOT EXISTS "matchPoolId" UUID REFERENCES "matchPools"("matchPoolId") ON DELETE RESTRICT,
+  ADD COLUMN IF NOT EXISTS "matchedDonationId" UUID REFERENCES "donations"("donationId") ON DELETE RESTRICT,
+  ALTER COLUMN "paymentTransactionId" DROP NOT NULL,
+  ADD CONSTRAINT "donations_payment_or_match_check"
+    CHECK (("matchPoolId" IS NULL) = ("paymentTransactionId" IS NOT NULL)),
+  ADD CONSTRAINT "donations_match_link_check"
+    CHECK (("matchPoolId" IS NULL) = ("matchedDonationId" IS NULL));
+
+-- One live match per donation
+CREATE UNIQUE INDEX IF NOT EXISTS idx_donations_one_completed_match
+    ON "donations"("matchedDonationId") WHERE "status" = 'completed';
+
+CREATE INDEX IF NOT EXISTS idx_donations_matchPoolId
+    ON "donations"("matchPoolId");
+
+COMMIT;
@@ -0,0 +1,98 @@
+-- Migration: Offline donations and pledges
+-- Purpose: Organizers record money collected outside the payment providers
+--          (cash at events, bank transfers, cheques) with evidence; a finance
+--          admin verifies each record before it becomes a completed donation.
+--          Donors can pledge an amount and pay it later.
+
+-- Audit action types (ADD VALUE cannot run inside a transaction block on older PostgreSQL)
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'OFFLINE_DONATION_RECORDED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'OFFLINE_DONATION_VERIFIED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'OFFLINE_DONATION_REJECTED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'PLEDGE_CREATED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'PLEDGE_CANCELLED';
+
+BEGIN;
+
+-- 1) Pledges: a promise to give, paid later through a normal donation
+CREATE TABLE IF NOT EXISTS "pledges" (
+    "pledgeId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "campaignId" UUID NOT NULL REFERENCES "campaigns"("campaignId") ON DELETE CASCADE,
+    "donorUserId" UUID NOT NULL REFERENCES "users"("userId") ON DELETE CASCADE,
+    "organizerId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "amount" NUMERIC(12, 2) NOT NULL CHECK ("amount" > 0),
+    "currency" VARCHAR(3) NOT NULL,
+    "isAnonymous" BOOLEAN NOT NULL DEFAULT FALSE,
+    "dueDate" DATE,
+    "note" TEXT,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK ("status" IN ('open', 'fulfilled', 'cancelled')),
+    -- Latest donation made against the pledge; the one that fulfilled it once fulfilled
+    "donationId" UUID REFERENCES "donations"("donationId") ON DELETE SET NULL,
+    "fulfilledAt" TIMESTAMP WITH TIME ZONE,
+    "cancelledAt" TIMESTAMP WITH TIME ZONE,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pledges_donor
+    ON "pledges"("donorUserId", "createdAt" DESC);
+CREATE INDEX IF NOT EXISTS idx_pledges_campaign_status
+    ON "pledges"("campaignId", "status");
+
+CREATE TRIGGER trigger_update_pledges
+BEFORE UPDATE ON "pledges"
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- 2) Offline donations awaiting (or after) verification
+CREATE TABLE IF NOT EXISTS "offlineDonations" (
+    "offlineDonationId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "campaignId" UUID NOT NULL REFERENCES "campaigns"("campaignId") ON DELETE CASCADE,
+    "organizerId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "recordedByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "method" VARCHAR(20) NOT NULL CHECK ("method" IN ('cash', 'bank_transfer', 'cheque')),
+    "amount" NUMERIC(12, 2) NOT NULL CHECK ("amount" > 0),
+    "currency" VARCHAR(3) NOT NULL,
+    "receivedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    -- Bank reference or cheque number
+    "reference" VARCHAR(100),
+    "donorName" VARCHAR(255),
+    "donorEmail" VARCHAR(255),
+    "donorUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "isAnonymous" BOOLEAN NOT NULL DEFAULT FALSE,
+    "pledgeId" UUID REFERENCES "pledges"("pledgeId") ON DELETE SET NULL,
+    "notes" TEXT,
+    "status" VARCHAR(30) NOT NULL DEFAULT 'pendingVerification'
+        CHECK ("status" IN ('pendingVerification', 'verified', 'rejected')),
+    "reviewedByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "reviewedAt" TIMESTAMP WITH TIME ZONE,
+    "rejectionReason" TEXT,
+    "donationId" UUID UNIQUE REFERENCES "donations"("donationId") ON DELETE SET NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_offlineDonations_campaign
+    ON "offlineDonations"("campaignId", "createdAt" DESC);
+CREATE INDEX IF NOT EXISTS idx_offlineDonations_pending
+    ON "offlineDonations"("createdAt") WHERE "status" = 'pendingVerification';
+
+CREATE TRIGGER trigger_update_offline_donations
+BEFORE UPDATE ON "offlineDonations"
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- 3) Donations remember the pledge they pay and the offline record they came from.
+--    Every donation has exactly one source: a payment transaction, a sponsor
+--    match pool or a verified offline record.
+ALTER TABLE "donations"
+  ADD COLUMN IF NOT EXISTS "pledgeId" UUID REFERENCES "pledges"("pledgeId") ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS "offlineDonationId" UUID REFERENCES "offlineDonations"("offlineDonationId") ON DELETE RESTRICT,
+  DROP CONSTRAINT IF EXISTS "donations_payment_or_match_check",
+  ADD CONSTRAINT "donations_funding_source_check"
+    CHECK (num_nonnulls("paymentTransactionId", "matchPoolId", "offlineDonationId") = 1);
+
+CREATE INDEX IF NOT EXISTS idx_donations_pledgeId
+    ON "donations"("pledgeId") WHERE "pledgeId" IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,64 @@
+-- Migration: Donation risk assessments
+-- Purpose: Every donation attempt is scored for fraud signals (velocity per
+--          phone number, IP and user, failed payments, anonymous bursts and
+--          unusual amounts) and allowed, flagged for review or blocked.
+--          The rows double as the velocity history later attempts are
+--          counted against. Flagged donations are held out of withdrawals
+--          until a finance admin clears them.
+
+-- Audit action types (ADD VALUE cannot run inside a transaction block on older PostgreSQL)
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'DONATION_FLAGGED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'DONATION_BLOCKED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'DONATION_REVIEW_CLEARED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'DONATION_REVIEW_REJECTED';
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS "donationRiskAssessments" (
+    "assessmentId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- NULL for blocked attempts: no donation is created for them
+    "donationId" UUID UNIQUE REFERENCES "donations"("donationId") ON DELETE CASCADE,
+    "campaignId" UUID NOT NULL REFERENCES "campaigns"("campaignId") ON DELETE CASCADE,
+    "donorUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "phoneNumber" VARCHAR(20),
+    "ipAddress" VARCHAR(45),
+    "isAnonymous" BOOLEAN NOT NULL DEFAULT FALSE,
+    "amount" NUMERIC(12, 2) NOT NULL,
+    "currency" VARCHAR(3) NOT NULL,
+    "baseAmount" NUMERIC(12, 2),
+    "score" INTEGER NOT NULL DEFAULT 0,
+    "decision" VARCHAR(10) NOT NULL
+        CHECK ("decision" IN ('allow', 'review', 'block')),
+    -- [{ code, weight, observed, limit, message }]
+    "signals" JSONB NOT NULL DEFAULT '[]'::jsonb,
+    -- Only flagged donations go through review
+    "reviewStatus" VARCHAR(10)
+        CHECK ("reviewStatus" IN ('pending', 'cleared', 'rejected')),
+    "reviewedByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "reviewedAt" TIMESTAMP WITH TIME ZONE,
+    "reviewNote" TEXT,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT donation_risk_review_check CHECK (
+        ("decision" = 'review') = ("reviewStatus" IS NOT NULL)
+    )
+);
+
+-- Velocity lookups
+CREATE INDEX IF NOT EXISTS idx_donation_risk_phone
+    ON "donationRiskAssessments"("phoneNumber", "createdAt" DESC);
+CREATE INDEX IF NOT EXISTS idx_donation_risk_ip
+    ON "donationRiskAssessments"("ipAddress", "createdAt" DESC);
+CREATE INDEX IF NOT EXISTS idx_donation_risk_user
+    ON "donationRiskAssessments"("donorUserId", "createdAt" DESC);
+-- Review queue
+CREATE INDEX IF NOT EXISTS idx_donation_risk_review
+    ON "donationRiskAssessments"("reviewStatus", "createdAt")
+    WHERE "reviewStatus" IS NOT NULL;
+
+CREATE TRIGGER trigger_update_donation_risk_assessments
+BEFORE UPDATE ON "donationRiskAssessments"
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
@@ -0,0 +1,64 @@
+-- Migration: Campaign milestones
+-- Purpose: Track goal milestones (25/50/75/100% of goalAmount) and custom
+--          organizer-defined amounts. A milestone is claimed once, when the
+--          campaign statistics first reach it; reaching it notifies the
+--          organizer, posts to the feed and optionally emails donors and
+--          outreach contacts.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS "campaignMilestones" (
+    "milestoneId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "campaignId" UUID NOT NULL REFERENCES "campaigns"("campaignId") ON DELETE CASCADE,
+    "kind" VARCHAR(10) NOT NULL CHECK ("kind" IN ('goal', 'custom')),
+    -- Goal milestones follow goalAmount if the goal is edited
+    "goalPercentage" SMALLINT CHECK ("goalPercentage" BETWEEN 1 AND 100),
+    -- Custom milestones, in the campaign's base currency
+    "targetAmount" NUMERIC(12, 2) CHECK ("targetAmount" > 0),
+    "title" VARCHAR(200) NOT NULL,
+    "description" TEXT,
+    "notifyDonors" BOOLEAN NOT NULL DEFAULT FALSE,
+    "notifyContacts" BOOLEAN NOT NULL DEFAULT FALSE,
+    "reachedAt" TIMESTAMP WITH TIME ZONE,
+    "reachedAmount" NUMERIC(12, 2),
+    "postId" UUID REFERENCES "posts"("postId") ON DELETE SET NULL,
+    "createdByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT campaign_milestones_kind_check CHECK (
+        ("kind" = 'goal' AND "goalPercentage" IS NOT NULL AND "targetAmount" IS NULL)
+        OR ("kind" = 'custom' AND "targetAmount" IS NOT NULL AND "goalPercentage" IS NULL)
+    ),
+    CONSTRAINT uk_campaign_milestones_goal UNIQUE ("campaignId", "goalPercentage")
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_milestones_unreached
+    ON "campaignMilestones"("campaignId")
+    WHERE "reachedAt" IS NULL;
+
+CREATE TRIGGER trigger_update_campaign_milestones
+BEFORE UPDATE ON "campaignMilestones"
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Goal milestones for existing campaigns; ones already passed are marked
+-- reached so they do not all fire on the next donation
+INSERT INTO "campaignMilestones" (
+    "campaignId", "kind", "goalPercentage", "title", "reachedAt", "reachedAmount"
+)
+SELECT c."campaignId", 'goal', p.pct, p.pct || '% of the goal reached',
+       CASE WHEN c."currentRaisedAmount" >= c."goalAmount" * p.pct / 100.0
+            THEN CURRENT_TIMESTAMP END,
+       CASE WHEN c."currentRaisedAmount" >= c."goalAmount" * p.pct / 100.0
+            THEN c."currentRaisedAmount" END
+FROM "campaigns" c
+CROSS JOIN (VALUES (25), (50), (75), (100)) AS p(pct)
+WHERE c."goalAmount" > 0
+ON CONFLICT ("campaignId", "goalPercentage") DO NOTHING;
+
+-- Milestone posts are created by the platform, never through the posts API
+ALTER TABLE "posts" DROP CONSTRAINT "posts_type_check";
+ALTER TABLE "posts" ADD CONSTRAINT "posts_type_check"
+CHECK ("type" IN ('update', 'success_story', 'thank_you', 'standalone', 'campaign', 'milestone'));
+
+COMMIT;
@@ -0,0 +1,22 @@
+-- Migration: Campaign lifecycle scheduler
+-- Purpose: Campaigns move from pendingStart to active at their startDate and
+--          from active to successful/closed at their endDate (or on reaching
+--          the goal, when configured) without anyone calling an endpoint.
+
+-- Audit action types (ADD VALUE cannot run inside a transaction block on older PostgreSQL)
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'CAMPAIGN_STARTED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'CAMPAIGN_SUCCEEDED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'CAMPAIGN_CLOSED';
+
+BEGIN;
+
+-- Lookups for campaigns that are due to start or end
+CREATE INDEX IF NOT EXISTS idx_campaigns_pending_start_date
+    ON "campaigns"("startDate")
+    WHERE "status" = 'pendingStart';
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_active_end_date
+    ON "campaigns"("endDate")
+    WHERE "status" = 'active';
+
+COMMIT;
@@ -0,0 +1,56 @@
+-- Migration: Campaign pause/resume and end-date extension requests
+-- Purpose: Organizers can pause an active campaign (no new donations while
+--          paused) and resume it, and ask for a later end date, which an
+--          admin approves or rejects.
+
+-- Audit action types (ADD VALUE cannot run inside a transaction block on older PostgreSQL)
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'CAMPAIGN_EXTENSION_REQUESTED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'CAMPAIGN_EXTENSION_APPROVED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'CAMPAIGN_EXTENSION_REJECTED';
+
+BEGIN;
+
+ALTER TABLE "campaigns" DROP CONSTRAINT IF EXISTS "campaigns_status_check";
+ALTER TABLE "campaigns" ADD CONSTRAINT "campaigns_status_check"
+CHECK (status IN ('pendingApproval', 'pendingStart', 'active', 'paused', 'successful', 'closed', 'cancelled', 'rejected'));
+
+-- The pause reason is kept in statusReason
+ALTER TABLE "campaigns"
+ADD COLUMN IF NOT EXISTS "pausedAt" TIMESTAMP WITH TIME ZONE;
+
+-- Paused campaigns still end on their end date
+DROP INDEX IF EXISTS idx_campaigns_active_end_date;
+CREATE INDEX IF NOT EXISTS idx_campaigns_running_end_date
+    ON "campaigns"("endDate")
+    WHERE "status" IN ('active', 'paused');
+
+CREATE TABLE IF NOT EXISTS "campaignExtensionRequests" (
+    "extensionRequestId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "campaignId" UUID NOT NULL REFERENCES "campaigns"("campaignId") ON DELETE CASCADE,
+    "requestedByUserId" UUID NOT NULL REFERENCES "users"("userId") ON DELETE CASCADE,
+    "currentEndDate" TIMESTAMP WITH TIME ZONE,
+    "requestedEndDate" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "reason" TEXT NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK ("status" IN ('pending', 'approved', 'rejected', 'cancelled')),
+    "reviewedByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "reviewedAt" TIMESTAMP WITH TIME ZONE,
+    "reviewNote" TEXT,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One open request per campaign
+CREATE UNIQUE INDEX IF NOT EXISTS uk_campaign_extension_requests_pending
+    ON "campaignExtensionRequests"("campaignId")
+    WHERE "status" = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_campaign_extension_requests_status
+    ON "campaignExtensionRequests"("status", "createdAt");
+
+CREATE TRIGGER trigger_update_campaign_extension_requests
+BEFORE UPDATE ON "campaignExtensionRequests"
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
@@ -0,0 +1,53 @@
+-- Migration: Campaign revisions
+-- Purpose: Edits to a running (active or paused) campaign are recorded as
+--          numbered revisions. Material changes (title, description, goal,
+--          page title/message/media) wait as a pending revision until an
+--          admin approves them; the live campaign keeps the approved content.
+--          Approved revisions hold a full content snapshot for rollback.
+
+-- Audit action types (ADD VALUE cannot run inside a transaction block on older PostgreSQL)
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'CAMPAIGN_REVISION_SUBMITTED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'CAMPAIGN_REVISION_APPROVED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'CAMPAIGN_REVISION_REJECTED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'CAMPAIGN_ROLLED_BACK';
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS "campaignRevisions" (
+    "revisionId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "campaignId" UUID NOT NULL REFERENCES "campaigns"("campaignId") ON DELETE CASCADE,
+    "revisionNumber" INTEGER NOT NULL,
+    -- baseline: the approved content before the first recorded edit
+    "source" VARCHAR(20) NOT NULL DEFAULT 'edit'
+        CHECK ("source" IN ('baseline', 'edit', 'rollback')),
+    "status" VARCHAR(20) NOT NULL
+        CHECK ("status" IN ('pending', 'approved', 'rejected', 'superseded', 'withdrawn')),
+    "requiresReview" BOOLEAN NOT NULL DEFAULT FALSE,
+    -- { "<field path>": { "from": ..., "to": ... } }
+    "changes" JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- name, description, goalAmount and customPageSettings after this revision
+    "snapshot" JSONB NOT NULL,
+    "rollbackOfRevisionId" UUID REFERENCES "campaignRevisions"("revisionId") ON DELETE SET NULL,
+    "submittedByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "reviewedByUserId" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "reviewedAt" TIMESTAMP WITH TIME ZONE,
+    "reviewNote" TEXT,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uk_campaign_revisions_number UNIQUE ("campaignId", "revisionNumber")
+);
+
+-- One revision awaiting review per campaign
+CREATE UNIQUE INDEX IF NOT EXISTS uk_campaign_revisions_pending
+    ON "campaignRevisions"("campaignId")
+    WHERE "status" = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_campaign_revisions_status
+    ON "campaignRevisions"("status", "createdAt");
+
+CREATE TRIGGER trigger_update_campaign_revisions
+BEFORE UPDATE ON "campaignRevisions"
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
@@ -0,0 +1,131 @@
+-- Migration: Campaign full-text search
+-- Purpose: Keeps a weighted search document per campaign for the public
+--          search endpoint: campaign name (A), description (B), and the
+--          organization name and category names (C). Triggers keep it in
+--          step when any of those change.
+
+BEGIN;
+
+ALTER TABLE "campaigns"
+ADD COLUMN IF NOT EXISTS "searchVector" TSVECTOR;
+
+CREATE OR REPLACE FUNCTION campaign_search_document(
+    p_campaign_id UUID,
+    p_organizer_id UUID,
+    p_name TEXT,
+    p_description TEXT
+)
+RETURNS TSVECTOR AS $$
+    SELECT setweight(to_tsvector('english', COALESCE(p_name, '')), 'A')
+        || setweight(to_tsvector('english', COALESCE(p_description, '')), 'B')
+        || setweight(to_tsvector('english', COALESCE((
+               SELECT op."organizationName"
+               FROM "organizationProfiles" op
+               WHERE op."userId" = p_organizer_id
+           ), '')), 'C')
+        || setweight(to_tsvector('english', COALESCE((
+               SELECT string_agg(cat."name", ' ')
+               FROM "campaignCategories" cc
+               JOIN "categories" cat ON cat."categoryId" = cc."categoryId"
+               WHERE cc."campaignId" = p_campaign_id
+           ), '')), 'C');
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION update_campaign_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW."searchVector" = campaign_search_document(
+        NEW."campaignId", NEW."organizerId", NEW."name", NEW."description"
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_campaign_search_vector
+BEFORE INSERT OR UPDATE OF "name", "description", "organizerId" ON "campaigns"
+FOR EACH ROW
+EXECUTE FUNCTION update_campaign_search_vector();
+
+-- Category links are written after the campaign row
+CREATE OR REPLACE FUNCTION refresh_campaign_search_vector_from_categories()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_campaign_id UUID;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        v_campaign_id = OLD."campaignId";
+    ELSE
+        v_campaign_id = NEW."campaignId";
+    END IF;
+
+    UPDATE "campaigns" c
+    SET "searchVector" = campaign_search_document(
+        c."campaignId", c."organizerId", c."name", c."description"
+    )
+    WHERE c."campaignId" = v_campaign_id;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_refresh_campaign_search_on_categories
+AFTER INSERT OR DELETE ON "campaignCategories"
+FOR EACH ROW
+EXECUTE FUNCTION refresh_campaign_search_vector_from_categories();
+
+CREATE OR REPLACE FUNCTION refresh_campaign_search_vector_from_category_name()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE "campaigns" c
+    SET "searchVector" = campaign_search_document(
+        c."campaignId", c."organizerId", c."name", c."description"
+    )
+    WHERE c."campaignId" IN (
+        SELECT "campaignId" FROM "campaignCategories"
+        WHERE "categoryId" = NEW."categoryId"
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_refresh_campaign_search_on_category_name
+AFTER UPDATE OF "name" ON "categories"
+FOR EACH ROW
+EXECUTE FUNCTION refresh_campaign_search_vector_from_category_name();
+
+CREATE OR REPLACE FUNCTION refresh_campaign_search_vector_from_organization()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE "campaigns" c
+    SET "searchVector" = campaign_search_document(
+        c."campaignId", c."organizerId", c."name", c."description"
+    )
+    WHERE c."organizerId" = NEW."userId";
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_refresh_campaign_search_on_organization
+AFTER INSERT OR UPDATE OF "organizationName" ON "organizationProfiles"
+FOR EACH ROW
+EXECUTE FUNCTION refresh_campaign_search_vector_from_organization();
+
+-- Backfill without touching updatedAt
+ALTER TABLE "campaigns" DISABLE TRIGGER trigger_update_campaigns_updated_at;
+UPDATE "campaigns" c
+SET "searchVector" = campaign_search_document(
+    c."campaignId", c."organizerId", c."name", c."description"
+);
+ALTER TABLE "campaigns" ENABLE TRIGGER trigger_update_campaigns_updated_at;
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_search_vector
+    ON "campaigns" USING GIN ("searchVector");
+
+-- Trending: recent completed donations per campaign
+CREATE INDEX IF NOT EXISTS idx_donations_campaign_completed_date
+    ON "donations"("campaignId", "donationDate")
+    WHERE "status" = 'completed';
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_status_created
+    ON "campaigns"("status", "createdAt" DESC);
+
+COMMIT;
@@ -0,0 +1,81 @@
+-- Migration: Contact import jobs
+-- Purpose: Organizers upload a CSV/XLSX file of contacts for a segment, map
+--          its columns to contact fields, and the import runs in the
+--          background in batches. Each job tracks its progress, keeps a
+--          per-row report of rejected and skipped rows, and can be undone
+--          by deleting the contacts it created.
+
+-- Audit action types (ADD VALUE cannot run inside a transaction block on older PostgreSQL)
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'CONTACTS_IMPORTED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'CONTACT_IMPORT_UNDONE';
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS "contactImportJobs" (
+    "importJobId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "organizerId" UUID NOT NULL REFERENCES "users"("userId") ON DELETE CASCADE,
+    "segmentId" UUID NOT NULL REFERENCES "segments"("segmentId") ON DELETE CASCADE,
+    "fileName" VARCHAR(255) NOT NULL,
+    "fileType" VARCHAR(10) NOT NULL CHECK ("fileType" IN ('csv', 'xlsx')),
+    -- awaitingMapping: uploaded, waiting for the client's column mapping
+    "status" VARCHAR(20) NOT NULL DEFAULT 'awaitingMapping'
+        CHECK ("status" IN ('awaitingMapping', 'queued', 'processing', 'completed', 'failed', 'undone')),
+    "headers" JSONB NOT NULL DEFAULT '[]'::jsonb,
+    -- Parsed data rows (arrays of cell text); cleared once the job finishes
+    "rows" JSONB,
+    -- { "name": "<header>" | ["<header>", ...], "email": "<header>", "description": "<header>" }
+    "columnMapping" JSONB,
+    "totalRows" INTEGER NOT NULL DEFAULT 0,
+    "processedRows" INTEGER NOT NULL DEFAULT 0,
+    "createdCount" INTEGER NOT NULL DEFAULT 0,
+    "skippedCount" INTEGER NOT NULL DEFAULT 0,
+    "errorCount" INTEGER NOT NULL DEFAULT 0,
+    "failureReason" TEXT,
+    -- Set while a worker holds the job; stale locks are reclaimed
+    "lockedAt" TIMESTAMP WITH TIME ZONE,
+    "startedAt" TIMESTAMP WITH TIME ZONE,
+    "completedAt" TIMESTAMP WITH TIME ZONE,
+    "undoneAt" TIMESTAMP WITH TIME ZONE,
+    "undoneCount" INTEGER,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_import_jobs_organizer
+    ON "contactImportJobs"("organizerId", "createdAt" DESC);
+
+CREATE INDEX IF NOT EXISTS idx_contact_import_jobs_pending
+    ON "contactImportJobs"("createdAt")
+    WHERE "status" IN ('queued', 'processing');
+
+CREATE TRIGGER trigger_update_contact_import_jobs
+BEFORE UPDATE ON "contactImportJobs"
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Rows that were rejected (error) or already in the segment (skipped)
+CREATE TABLE IF NOT EXISTS "contactImportRowResults" (
+    "rowResultId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "importJobId" UUID NOT NULL REFERENCES "contactImportJobs"("importJobId") ON DELETE CASCADE,
+    -- Spreadsheet row number, counting the header as row 1
+    "rowNumber" INTEGER NOT NULL,
+    "outcome" VARCHAR(10) NOT NULL CHECK ("outcome" IN ('error', 'skipped')),
+    "email" VARCHAR(255),
+    "reason" TEXT NOT NULL,
+    "rawRow" JSONB NOT NULL DEFAULT '[]'::jsonb,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_import_row_results_job
+    ON "contactImportRowResults"("importJobId", "rowNumber");
+
+-- Which import created a contact, so the import can be undone
+ALTER TABLE "contacts"
+    ADD COLUMN IF NOT EXISTS "importJobId" UUID
+        REFERENCES "contactImportJobs"("importJobId") ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_contacts_import_job
+    ON "contacts"("importJobId")
+    WHERE "importJobId" IS NOT NULL;
+
+COMMIT;
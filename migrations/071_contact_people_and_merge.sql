@@ -0,0 +1,20 @@
+-- Migration: Organizer "people" view and contact merging
+-- Purpose: Contacts are stored per segment, so one person can appear in
+--          several segments. The people view groups an organizer's contacts
+--          by email (case-insensitive) and sums their outreach engagement;
+--          duplicate contacts can be merged into one.
+
+-- Audit action types (ADD VALUE cannot run inside a transaction block on older PostgreSQL)
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'CONTACTS_MERGED';
+
+BEGIN;
+
+-- Grouping and lookups by normalized email
+CREATE INDEX IF NOT EXISTS idx_contacts_segment_lower_email
+    ON "contacts"("segmentId", LOWER(TRIM("email")));
+
+-- Engagement per contact, and moving recipients when contacts are merged
+CREATE INDEX IF NOT EXISTS "idx_outreachCampaignRecipients_contact"
+    ON "outreachCampaignRecipients"("contactId");
+
+COMMIT;
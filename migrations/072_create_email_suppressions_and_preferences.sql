@@ -0,0 +1,64 @@
+-- Migration: Outreach unsubscribe, suppression list and email preferences
+-- Purpose: Every outreach email carries a signed unsubscribe link. Addresses
+--          that unsubscribed, bounced or were blocked are kept on a
+--          suppression list, either for one organizer or for all of them
+--          (global), and contacts can choose which outreach categories
+--          (invite, update, thanks) each organizer may send them. All
+--          outreach send paths skip suppressed addresses and opted-out
+--          categories.
+
+-- Audit action types (ADD VALUE cannot run inside a transaction block on older PostgreSQL)
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'EMAIL_UNSUBSCRIBED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'EMAIL_RESUBSCRIBED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'EMAIL_PREFERENCES_UPDATED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'EMAIL_SUPPRESSION_ADDED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'EMAIL_SUPPRESSION_REMOVED';
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS "emailSuppressions" (
+    "suppressionId" UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- Stored lower-cased and trimmed
+    "email" VARCHAR(255) NOT NULL,
+    -- NULL: suppressed for every organizer
+    "organizerId" UUID REFERENCES "users"("userId") ON DELETE CASCADE,
+    -- unsubscribed: the recipient asked (link, List-Unsubscribe or preference page)
+    "reason" VARCHAR(20) NOT NULL
+        CHECK ("reason" IN ('unsubscribed', 'bounced', 'complained', 'manual')),
+    "source" VARCHAR(20) NOT NULL
+        CHECK ("source" IN ('oneClick', 'preferenceCenter', 'organizer', 'admin')),
+    "note" TEXT,
+    "createdBy" UUID REFERENCES "users"("userId") ON DELETE SET NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One entry per address per organizer, and one global entry per address
+CREATE UNIQUE INDEX IF NOT EXISTS "idx_emailSuppressions_organizer_email"
+    ON "emailSuppressions"("organizerId", "email")
+    WHERE "organizerId" IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS "idx_emailSuppressions_global_email"
+    ON "emailSuppressions"("email")
+    WHERE "organizerId" IS NULL;
+
+CREATE TABLE IF NOT EXISTS "emailPreferences" (
+    "organizerId" UUID NOT NULL REFERENCES "users"("userId") ON DELETE CASCADE,
+    -- Stored lower-cased and trimmed
+    "email" VARCHAR(255) NOT NULL,
+    "invite" BOOLEAN NOT NULL DEFAULT TRUE,
+    "update" BOOLEAN NOT NULL DEFAULT TRUE,
+    "thanks" BOOLEAN NOT NULL DEFAULT TRUE,
+    "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY ("organizerId", "email")
+);
+
+CREATE TRIGGER trigger_update_email_preferences
+BEFORE UPDATE ON "emailPreferences"
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Recipients skipped because their address is suppressed or opted out
+COMMENT ON COLUMN "outreachCampaignRecipients"."status"
+    IS 'pending | sent | failed | suppressed';
+
+COMMIT;
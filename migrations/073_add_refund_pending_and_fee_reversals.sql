@@ -0,0 +1,56 @@
+-- Migration: Claim donations before refunding and reverse platform fees
+-- Purpose: A refund first moves the donation to 'refundPending' inside a
+--          database transaction, so two concurrent refunds cannot both reach
+--          the payment provider. Refunds pay back the full amount charged,
+--          so the platform fee taken from the donation is handed back to the
+--          campaign (platform_fee_reversal) and taken again if the refund
+--          payout fails (platform_fee_reinstated).
+
+BEGIN;
+
+-- 1) Allow 'refundPending' as a donation status
+--    The original CHECK was created inline; drop whichever constraint guards status
+DO $$
+DECLARE
+  con record;
+BEGIN
+  FOR con IN
+    SELECT conname
+    FROM pg_constraint
+    WHERE conrelid = '"donations"'::regclass
+      AND contype = 'c'
+      AND pg_get_constraintdef(oid) LIKE '%status%'
+  LOOP
+    EXECUTE format('ALTER TABLE "donations" DROP CONSTRAINT %I', con.conname);
+  END LOOP;
+END$$;
+
+ALTER TABLE "donations"
+  ADD CONSTRAINT "donations_status_check"
+  CHECK ("status" IN ('completed', 'pending', 'failed', 'refundPending', 'refunded'));
+
+-- 2) Journal entry types for platform fee reversals
+DO $$
+DECLARE
+  con record;
+BEGIN
+  FOR con IN
+    SELECT conname
+    FROM pg_constraint
+    WHERE conrelid = '"journalEntries"'::regclass
+      AND contype = 'c'
+      AND pg_get_constraintdef(oid) LIKE '%entryType%'
+  LOOP
+    EXECUTE format('ALTER TABLE "journalEntries" DROP CONSTRAINT %I', con.conname);
+  END LOOP;
+END$$;
+
+ALTER TABLE "journalEntries"
+  ADD CONSTRAINT "journalEntries_entryType_check"
+  CHECK ("entryType" IN (
+    'donation', 'platform_fee', 'withdrawal_reserve', 'withdrawal_payout',
+    'withdrawal_release', 'refund', 'refund_reversal',
+    'platform_fee_reversal', 'platform_fee_reinstated'
+  ));
+
+COMMIT;
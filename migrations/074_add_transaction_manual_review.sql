@@ -0,0 +1,17 @@
+-- Migration: Flag stuck payouts and refunds for manual review
+-- Purpose: The status poller expires inbound payments the provider never
+--          confirmed, but money sent out (withdrawal_out, refund_out) may
+--          still arrive after the timeout. Such transactions stay open until
+--          the provider reports a final status; once past the expiry window
+--          they are flagged here so finance admins can chase them.
+
+BEGIN;
+
+ALTER TABLE "transactions"
+  ADD COLUMN IF NOT EXISTS "manualReviewAt" TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS "idx_transactions_manual_review"
+  ON "transactions" ("manualReviewAt")
+  WHERE "manualReviewAt" IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,13 @@
+-- Migration: Track when a webhook delivery was claimed for processing
+-- Purpose: A delivery stays 'received' while it is being applied. If the
+--          process dies mid-way it would stay 'received' for good and every
+--          provider retry would be turned away. "claimedAt" lets a retry take
+--          over a claim older than the processing timeout. "updatedAt" cannot
+--          serve: each duplicate delivery bumps it.
+
+BEGIN;
+
+ALTER TABLE "webhookEvents"
+  ADD COLUMN IF NOT EXISTS "claimedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+COMMIT;
@@ -0,0 +1,13 @@
+-- Migration: Give platform fee rules a currency
+-- Purpose: A rule's fixedAmount was a bare number, so a 2.00 fee meant 2 ZMW
+--          or 2 USD depending on what the donor paid in. It is now stated in
+--          the rule's currency and converted at the current rate when a
+--          donation in another currency is priced. Existing rules were set up
+--          for the platform's default currency.
+
+BEGIN;
+
+ALTER TABLE "platformFeeRules"
+  ADD COLUMN IF NOT EXISTS "currency" VARCHAR(3) NOT NULL DEFAULT 'ZMW';
+
+COMMIT;
@@ -0,0 +1,25 @@
+-- Migration: Back off failed giving statement deliveries
+-- Purpose: A donor whose statement fails to send (no email address, mail
+--          provider down) used to be picked again first on every run, so a
+--          handful of failures could fill each batch. Failed attempts are now
+--          recorded with the time of the next attempt, and the batch job
+--          skips donors until then.
+
+BEGIN;
+
+ALTER TABLE "givingStatementDeliveries"
+  ADD COLUMN IF NOT EXISTS "status" VARCHAR(10) NOT NULL DEFAULT 'sent'
+    CHECK ("status" IN ('sent', 'failed')),
+  ADD COLUMN IF NOT EXISTS "failedAttempts" INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS "lastError" TEXT,
+  ADD COLUMN IF NOT EXISTS "nextAttemptAt" TIMESTAMP WITH TIME ZONE;
+
+-- A failed delivery has not been sent
+ALTER TABLE "givingStatementDeliveries"
+  ALTER COLUMN "sentAt" DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_givingStatementDeliveries_retry
+    ON "givingStatementDeliveries"("year", "nextAttemptAt")
+    WHERE "status" = 'failed';
+
+COMMIT;
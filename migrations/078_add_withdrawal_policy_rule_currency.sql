@@ -0,0 +1,13 @@
+-- Migration: Give withdrawal policy rules a currency
+-- Purpose: minAmount and maxAmount were bare numbers, so a 500.00 limit meant
+--          500 ZMW or 500 USD depending on the campaign's base currency. They
+--          are now stated in the rule's currency and converted at the current
+--          rate for campaigns in another currency. Existing rules were set up
+--          for the platform's default currency.
+
+BEGIN;
+
+ALTER TABLE "withdrawalPolicyRules"
+  ADD COLUMN IF NOT EXISTS "currency" VARCHAR(3) NOT NULL DEFAULT 'ZMW';
+
+COMMIT;
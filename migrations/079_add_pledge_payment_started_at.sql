@@ -0,0 +1,13 @@
+-- Migration: Claim a pledge before paying it
+-- Purpose: Two payPledge calls for the same open pledge could both see no
+--          payment in progress and each start a donation. A payment now
+--          claims the pledge by setting "paymentStartedAt", which is cleared
+--          once the donation is linked or the attempt fails. A claim older
+--          than a few minutes belongs to a crashed request and may be retaken.
+
+BEGIN;
+
+ALTER TABLE "pledges"
+  ADD COLUMN IF NOT EXISTS "paymentStartedAt" TIMESTAMP WITH TIME ZONE;
+
+COMMIT;
@@ -0,0 +1,7 @@
+-- Migration: Add platform fee rule action types to audit enum
+-- Purpose: Creating and changing fee rules alters what every donation pays,
+--          so both are audited with the old and new values
+
+-- ADD VALUE cannot run inside a transaction block on older PostgreSQL
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'FEE_RULE_CREATED';
+ALTER TYPE "auditActionType" ADD VALUE IF NOT EXISTS 'FEE_RULE_UPDATED';
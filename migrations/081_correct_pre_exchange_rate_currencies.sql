@@ -0,0 +1,139 @@
+-- Migration: Correct the currency of transactions from before exchange rates
+-- Purpose: 059 set donations from before exchange rates to their campaign's
+--          base currency, but their transactions (and the fees, refunds and
+--          withdrawals that follow them) kept the "USD" default, so balances
+--          converted them into the base currency a second time. Each
+--          transaction now takes the currency of what it pays for, and the
+--          journal entries already posted from it are moved to accounts in
+--          that currency with a currency_correction entry. Transactions made
+--          since 059 already match and are left alone.
+
+BEGIN;
+
+-- 1) Donation payments are in the donation's currency
+UPDATE "transactions" t
+SET "currency" = d."currency"
+FROM "donations" d
+WHERE d."paymentTransactionId" = t."transactionId"
+  AND t."currency" IS DISTINCT FROM d."currency";
+
+-- 2) Fees and refunds are in the currency of the payment they belong to
+UPDATE "transactions" t
+SET "currency" = p."currency"
+FROM "transactions" p
+WHERE p."transactionId" = t."parentTransactionId"
+  AND t."currency" IS DISTINCT FROM p."currency";
+
+-- 3) Payouts are in the withdrawal's currency
+UPDATE "transactions" t
+SET "currency" = w."currency"
+FROM "withdrawalRequests" w
+WHERE w."transactionId" = t."transactionId"
+  AND t."currency" IS DISTINCT FROM w."currency";
+
+-- 4) Allow currency_correction journal entries
+DO $$
+DECLARE
+  con record;
+BEGIN
+  FOR con IN
+    SELECT conname
+    FROM pg_constraint
+    WHERE conrelid = '"journalEntries"'::regclass
+      AND contype = 'c'
+      AND pg_get_constraintdef(oid) LIKE '%entryType%'
+  LOOP
+    EXECUTE format('ALTER TABLE "journalEntries" DROP CONSTRAINT %I', con.conname);
+  END LOOP;
+END$$;
+
+ALTER TABLE "journalEntries"
+  ADD CONSTRAINT "journalEntries_entryType_check"
+  CHECK ("entryType" IN (
+    'donation', 'platform_fee', 'withdrawal_reserve', 'withdrawal_payout',
+    'withdrawal_release', 'refund', 'refund_reversal',
+    'platform_fee_reversal', 'platform_fee_reinstated', 'currency_correction'
+  ));
+
+-- 5) Entries posted in another currency than their transaction sit in the
+--    wrong accounts. The ledger is append-only, so each one gets a
+--    currency_correction entry that takes its lines out of those accounts
+--    and posts them again in the transaction's currency.
+DO $$
+DECLARE
+  source record;
+  correctionId UUID;
+BEGIN
+  FOR source IN
+    SELECT e."entryId", e."entryType", e."transactionId", e."campaignId",
+           e."currency", t."currency" AS "targetCurrency"
+    FROM "journalEntries" e
+    JOIN "transactions" t ON t."transactionId" = e."transactionId"
+    WHERE e."currency" <> t."currency"
+      AND e."entryType" <> 'currency_correction'
+      AND NOT EXISTS (
+        SELECT 1 FROM "journalEntries" x
+        WHERE x."idempotencyKey" = 'currency_correction:' || e."entryId"
+      )
+    ORDER BY e."postedAt"
+  LOOP
+    INSERT INTO "journalEntries" (
+      "entryType", "idempotencyKey", "transactionId", "campaignId",
+      "currency", "description", "metadata"
+    ) VALUES (
+      'currency_correction',
+      'currency_correction:' || source."entryId",
+      source."transactionId",
+      source."campaignId",
+      source."targetCurrency",
+      format('Moves %s entry %s from %s to %s', source."entryType",
+             source."entryId", source."currency", source."targetCurrency"),
+      jsonb_build_object(
+        'correctedEntryId', source."entryId",
+        'fromCurrency', source."currency"
+      )
+    )
+    RETURNING "entryId" INTO correctionId;
+
+    -- Counterparts of the accounts the entry used, in the target currency
+    INSERT INTO "ledgerAccounts" (
+      "accountType", "ownerId", "currency", "normalBalance", "name"
+    )
+    SELECT DISTINCT a."accountType", a."ownerId", source."targetCurrency",
+           a."normalBalance",
+           CASE WHEN a."ownerId" IS NULL
+             THEN regexp_replace(a."name", '\([A-Z]{3}\)$', '(' || source."targetCurrency" || ')')
+             ELSE a."name"
+           END
+    FROM "journalLines" l
+    JOIN "ledgerAccounts" a ON a."accountId" = l."accountId"
+    WHERE l."entryId" = source."entryId"
+      AND NOT EXISTS (
+        SELECT 1 FROM "ledgerAccounts" b
+        WHERE b."accountType" = a."accountType"
+          AND b."ownerId" IS NOT DISTINCT FROM a."ownerId"
+          AND b."currency" = source."targetCurrency"
+      );
+
+    -- Take the lines out of the mislabelled accounts...
+    INSERT INTO "journalLines" ("entryId", "accountId", "direction", "amount")
+    SELECT correctionId, l."accountId",
+           CASE l."direction" WHEN 'debit' THEN 'credit' ELSE 'debit' END,
+           l."amount"
+    FROM "journalLines" l
+    WHERE l."entryId" = source."entryId";
+
+    -- ...and post them again in the target currency
+    INSERT INTO "journalLines" ("entryId", "accountId", "direction", "amount")
+    SELECT correctionId, b."accountId", l."direction", l."amount"
+    FROM "journalLines" l
+    JOIN "ledgerAccounts" a ON a."accountId" = l."accountId"
+    JOIN "ledgerAccounts" b
+      ON b."accountType" = a."accountType"
+     AND b."ownerId" IS NOT DISTINCT FROM a."ownerId"
+     AND b."currency" = source."targetCurrency"
+    WHERE l."entryId" = source."entryId";
+  END LOOP;
+END$$;
+
+COMMIT;
@@ -2,6 +2,13 @@ import app from "./src/app.js";
 import config from "./src/config/index.js";
 import logger from "./src/utils/logger.js";
 import notificationService from "./src/modules/notifications/notification.service.js";
+import { processRecurringDonations } from "./src/modules/donor/recurring/recurringDonation.service.js";
+import { processAnnualStatements } from "./src/modules/donor/statements/statement.service.js";
+import { pollPendingTransactions } from "./src/modules/payment/transactions/statusPoller.service.js";
+import { processCampaignLifecycle } from "./src/modules/campaign/lifecycle/campaignLifecycle.service.js";
+import { processContactImports } from "./src/modules/Outreach/contacts/imports/contactImport.service.js";
+import { backfillEntireLedger } from "./src/modules/payment/ledger/ledger.service.js";
+import { backfillReceipts } from "./src/modules/donor/receipts/receipt.service.js";
 import { initializeSocket } from "./src/config/socket.config.js";
 
 /**
@@ -30,6 +37,69 @@ const server = app.listen(PORT, () => {
         logger.warn("Notification retry job error", { error: err.message })
       );
   }, intervalMs);
+
+  const recurringIntervalMs = Number(
+    process.env.RECURRING_DONATION_INTERVAL_MS || 900000
+  );
+  setInterval(() => {
+    processRecurringDonations()
+      .then(() => logger.debug("Recurring donation job ran"))
+      .catch((err) =>
+        logger.warn("Recurring donation job error", { error: err.message })
+      );
+  }, recurringIntervalMs);
+
+  // Sends last year's giving statements in batches; only does work in January
+  const statementIntervalMs = Number(
+    process.env.ANNUAL_STATEMENT_INTERVAL_MS || 3600000
+  );
+  setInterval(() => {
+    processAnnualStatements()
+      .then(() => logger.debug("Annual giving statement job ran"))
+      .catch((err) =>
+        logger.warn("Annual giving statement job error", {
+          error: err.message,
+        })
+      );
+  }, statementIntervalMs);
+
+  setInterval(() => {
+    pollPendingTransactions()
+      .then(() => logger.debug("Payment status poll job ran"))
+      .catch((err) =>
+        logger.warn("Payment status poll job error", { error: err.message })
+      );
+  }, config.payments.statusPoller.intervalMs);
+
+  // Starts and ends campaigns on their dates; one instance at a time
+  setInterval(() => {
+    processCampaignLifecycle()
+      .then(() => logger.debug("Campaign lifecycle job ran"))
+      .catch((err) =>
+        logger.warn("Campaign lifecycle job error", { error: err.message })
+      );
+  }, config.campaigns.lifecycle.intervalMs);
+
+  // Runs queued contact spreadsheet imports in batches
+  setInterval(() => {
+    processContactImports()
+      .then(() => logger.debug("Contact import job ran"))
+      .catch((err) =>
+        logger.warn("Contact import job error", { error: err.message })
+      );
+  }, config.outreach.contactImport.intervalMs);
+
+  // Posts ledger entries for transactions that predate the ledger or whose
+  // posting failed; withdrawable balances are read from the ledger
+  backfillEntireLedger().catch((err) =>
+    logger.warn("Ledger backfill job error", { error: err.message })
+  );
+
+  // Receipts for donations completed or refunded before receipts were
+  // issued and voided with the status change
+  backfillReceipts().catch((err) =>
+    logger.warn("Receipt backfill job error", { error: err.message })
+  );
 });
 
 // Initialize Socket.IO
@@ -22,17 +22,38 @@ import userRoutes from "./modules/users/individualUser/user.routes.js";
 import organizationUserRoutes from "./modules/users/organizationUser/user.routes.js";
 import categoryRoutes from "./modules/campaign/categories/category.routes.js";
 import campaignRoutes from "./modules/campaign/campaigns/campaign.routes.js";
+import milestoneRoutes from "./modules/campaign/milestones/milestone.routes.js";
+import campaignLifecycleRoutes from "./modules/campaign/lifecycle/campaignLifecycle.routes.js";
+import campaignRevisionRoutes from "./modules/campaign/revisions/campaignRevision.routes.js";
+import campaignSearchRoutes from "./modules/campaign/search/campaignSearch.routes.js";
 import segmentRoutes from "./modules/Outreach/segments/segment.routes.js";
 import contactRoutes from "./modules/Outreach/contacts/contact.routes.js";
+import contactImportRoutes from "./modules/Outreach/contacts/imports/contactImport.routes.js";
+import peopleRoutes from "./modules/Outreach/people/people.routes.js";
+import emailPreferenceRoutes from "./modules/Outreach/emailPreferences/emailPreference.routes.js";
+import suppressionRoutes from "./modules/Outreach/emailPreferences/suppression.routes.js";
 import trackingRoutes from "./modules/Outreach/tracking/tracking.routes.js";
 import outreachRoutes from "./modules/Outreach/outreach.routes.js";
 import notificationRoutes from "./modules/notifications/notification.routes.js";
 import auditRoutes from "./modules/audit/audit.routes.js";
-import { donationRoutes, messageRoutes } from "./modules/donor/index.js";
+import {
+  donationRoutes,
+  messageRoutes,
+  recurringDonationRoutes,
+  receiptRoutes,
+  statementRoutes,
+  matchPoolRoutes,
+  offlineDonationRoutes,
+  pledgeRoutes,
+  donationRiskRoutes,
+} from "./modules/donor/index.js";
 import {
   transactionRoutes,
   webhookRoutes,
   withdrawalRoutes,
+  ledgerRoutes,
+  feeRoutes,
+  exchangeRateRoutes,
 } from "./modules/payment/index.js";
 import analyticsRoutes from "./modules/analytics/analytics.routes.js";
 import postRoutes from "./modules/feed/post.routes.js";
@@ -75,8 +96,20 @@ app.use(
 app.use(compression());
 
 // Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
-app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+// Webhook signatures are computed over the exact bytes received, so keep them
+const keepWebhookRawBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith("/api/webhooks")) {
+    req.rawBody = buf.toString("utf8");
+  }
+};
+app.use(express.json({ limit: "10mb", verify: keepWebhookRawBody }));
+app.use(
+  express.urlencoded({
+    extended: true,
+    limit: "10mb",
+    verify: keepWebhookRawBody,
+  })
+);
 
 // Request logging middleware
 app.use(morgan("combined", { stream: logger.stream }));
@@ -109,16 +142,34 @@ app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/users", userRoutes);
 app.use("/api/v1/organizations", organizationUserRoutes);
 app.use("/api/v1/categories", categoryRoutes);
+app.use("/api/v1/campaigns/search", campaignSearchRoutes);
+app.use("/api/v1/campaigns", campaignLifecycleRoutes);
+app.use("/api/v1/campaigns", campaignRevisionRoutes);
 app.use("/api/v1/campaigns", campaignRoutes);
+app.use("/api/v1/milestones", milestoneRoutes);
 app.use("/api/v1/outreach/segments", segmentRoutes);
+app.use("/api/v1/outreach/contacts/imports", contactImportRoutes);
 app.use("/api/v1/outreach/contacts", contactRoutes);
+app.use("/api/v1/outreach/people", peopleRoutes);
+app.use("/api/v1/outreach/email-preferences", emailPreferenceRoutes);
+app.use("/api/v1/outreach/suppressions", suppressionRoutes);
 app.use("/api/v1/outreach", outreachRoutes);
 app.use("/t", trackingRoutes);
+app.use("/api/v1/donations/recurring", recurringDonationRoutes);
+app.use("/api/v1/donations/statements", statementRoutes);
+app.use("/api/v1/donations/offline", offlineDonationRoutes);
+app.use("/api/v1/donations/pledges", pledgeRoutes);
+app.use("/api/v1/donations/risk", donationRiskRoutes);
+app.use("/api/v1/donations", receiptRoutes);
 app.use("/api/v1/donations", donationRoutes);
+app.use("/api/v1/match-pools", matchPoolRoutes);
 app.use("/api/v1/messages", messageRoutes);
 app.use("/api/v1/transactions", transactionRoutes);
 app.use("/api/webhooks", webhookRoutes);
 app.use("/api/v1/withdrawals", withdrawalRoutes);
+app.use("/api/v1/ledger", ledgerRoutes);
+app.use("/api/v1/fees", feeRoutes);
+app.use("/api/v1/exchange-rates", exchangeRateRoutes);
 app.use("/api/v1/audit", auditRoutes);
 app.use("/api/v1/posts", postRoutes);
 app.use("/api/v1", analyticsRoutes);
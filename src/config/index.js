@@ -110,6 +110,15 @@ const config = {
     origins: process.env.CORS_ORIGIN || "*",
   },
   payments: {
+    // Adapter used when a transaction's gatewayUsed is not a registered provider name
+    defaultProvider: process.env.PAYMENT_PROVIDER || "zynlepay",
+    sandbox: {
+      // Opt-in only: a sandbox deposit "succeeds" without moving any money
+      enabled: process.env.PAYMENT_SANDBOX_ENABLED === "true",
+      callbackDelayMs: Number(
+        process.env.PAYMENT_SANDBOX_CALLBACK_DELAY_MS || 2000
+      ),
+    },
     zynlepay: {
       baseUrl: process.env.ZYNLEPAY_BASE_URL,
       paymentStatusBaseUrl: process.env.ZYNLEPAY_PAYMENT_STATUS_BASE_URL,
@@ -122,6 +131,140 @@ const config = {
       airtelUrl: process.env.PAYMENT_WEBHOOK_AIRTEL_URL,
       mtnUrl: process.env.PAYMENT_WEBHOOK_MTN_URL,
       secret: process.env.PAYMENT_WEBHOOK_SECRET,
+      // Signed callbacks older (or newer) than this are rejected as replays
+      toleranceSeconds: Number(
+        process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS || 300
+      ),
+      // A delivery still unfinished after this long is taken over by a retry
+      processingTimeoutSeconds: Number(
+        process.env.PAYMENT_WEBHOOK_PROCESSING_TIMEOUT_SECONDS || 120
+      ),
+    },
+    // Background reconciliation of payments whose callback never arrived
+    statusPoller: {
+      intervalMs: Number(process.env.PAYMENT_STATUS_POLL_INTERVAL_MS || 120000),
+      staleAfterMinutes: Number(
+        process.env.PAYMENT_STATUS_STALE_AFTER_MINUTES || 5
+      ),
+      expireAfterMinutes: Number(
+        process.env.PAYMENT_STATUS_EXPIRE_AFTER_MINUTES || 60
+      ),
+      batchSize: Number(process.env.PAYMENT_STATUS_POLL_BATCH_SIZE || 50),
+    },
+    // Maker-checker: withdrawals at or above the threshold need this many
+    // distinct financialAdmin/superAdmin approvals before the payout starts
+    withdrawalApproval: {
+      threshold: parseFloat(
+        process.env.WITHDRAWAL_MULTI_APPROVAL_THRESHOLD || "10000"
+      ),
+      requiredApprovals: Number(process.env.WITHDRAWAL_REQUIRED_APPROVALS || 2),
+      // Currency of the threshold
+      currency:
+        process.env.WITHDRAWAL_MULTI_APPROVAL_CURRENCY ||
+        process.env.DEFAULT_CURRENCY ||
+        "ZMW",
+    },
+    // Fallback withdrawal policy when no withdrawalPolicyRules row sets a value
+    withdrawalPolicy: {
+      minAmount: 0,
+      minGoalPercentage: 10,
+      maxAmount: null,
+      maxWithdrawalsPerWindow: 2,
+      windowDays: 7,
+      holdingPeriodHours: 0,
+      requireCompletedDonation: true,
+      requireKyc: false,
+      // Currency of minAmount/maxAmount
+      currency:
+        process.env.WITHDRAWAL_POLICY_CURRENCY ||
+        process.env.DEFAULT_CURRENCY ||
+        "ZMW",
+    },
+    // Currency for new campaigns, and for leaderboards when no ?currency= is given
+    currency: {
+      default: process.env.DEFAULT_CURRENCY || "ZMW",
+      reporting: process.env.REPORTING_CURRENCY || "ZMW",
+    },
+    // Fraud checks on new donations. Each signal adds its weight to the score
+    // (twice over when the limit is exceeded twofold); the score decides
+    // whether the donation is allowed, flagged for review or blocked
+    risk: {
+      enabled: process.env.DONATION_RISK_CHECKS_ENABLED !== "false",
+      reviewScore: Number(process.env.DONATION_RISK_REVIEW_SCORE || 40),
+      blockScore: Number(process.env.DONATION_RISK_BLOCK_SCORE || 80),
+      windowMinutes: Number(process.env.DONATION_RISK_WINDOW_MINUTES || 60),
+      maxPerPhone: Number(process.env.DONATION_RISK_MAX_PER_PHONE || 5),
+      maxPerIp: Number(process.env.DONATION_RISK_MAX_PER_IP || 10),
+      maxPerUser: Number(process.env.DONATION_RISK_MAX_PER_USER || 5),
+      maxAnonymous: Number(process.env.DONATION_RISK_MAX_ANONYMOUS || 3),
+      failedPaymentsLookbackHours: 24,
+      maxFailedPayments: Number(
+        process.env.DONATION_RISK_MAX_FAILED_PAYMENTS || 3
+      ),
+      // Compared with the campaign's average once it has enough donations
+      unusualAmountMultiplier: 10,
+      minDonationsForAverage: 5,
+      // Converted into the campaign's base currency before comparing
+      largeAmount: parseFloat(process.env.DONATION_RISK_LARGE_AMOUNT || "50000"),
+      largeAmountCurrency:
+        process.env.DONATION_RISK_LARGE_AMOUNT_CURRENCY ||
+        process.env.DEFAULT_CURRENCY ||
+        "ZMW",
+    },
+    // Fallback platform fee when no platformFeeRules row matches
+    platformFee: {
+      percentageRate: parseFloat(process.env.PLATFORM_FEE_PERCENTAGE || "0"),
+      fixedAmount: parseFloat(process.env.PLATFORM_FEE_FIXED || "0"),
+      // Currency of the fixed amount
+      currency:
+        process.env.PLATFORM_FEE_CURRENCY ||
+        process.env.DEFAULT_CURRENCY ||
+        "ZMW",
+    },
+  },
+  campaigns: {
+    // Scheduled start/end transitions; one instance runs them at a time
+    lifecycle: {
+      intervalMs: Number(process.env.CAMPAIGN_LIFECYCLE_INTERVAL_MS || 60000),
+      batchSize: Number(process.env.CAMPAIGN_LIFECYCLE_BATCH_SIZE || 100),
+      // End campaigns as successful as soon as they reach their goal,
+      // instead of accepting donations until the end date
+      closeOnGoal: process.env.CAMPAIGN_CLOSE_ON_GOAL === "true",
+    },
+    // Public campaign search; "trending" ranks by completed donations over
+    // this many days
+    search: {
+      trendingWindowDays: Number(
+        process.env.CAMPAIGN_TRENDING_WINDOW_DAYS || 7
+      ),
+    },
+  },
+  outreach: {
+    // Background CSV/XLSX contact imports
+    contactImport: {
+      intervalMs: Number(process.env.CONTACT_IMPORT_INTERVAL_MS || 10000),
+      batchSize: Number(process.env.CONTACT_IMPORT_BATCH_SIZE || 500),
+      maxRows: Number(process.env.CONTACT_IMPORT_MAX_ROWS || 20000),
+      maxFileSizeBytes: Number(
+        process.env.CONTACT_IMPORT_MAX_FILE_SIZE_BYTES || 5 * 1024 * 1024
+      ),
+      // A job locked for longer than this is assumed abandoned and resumed
+      lockTimeoutMs: Number(
+        process.env.CONTACT_IMPORT_LOCK_TIMEOUT_MS || 10 * 60 * 1000
+      ),
+    },
+    // Unsubscribe and preference links in outreach emails
+    emailPreferences: {
+      // Signs the links' tokens; falls back to the JWT secret
+      tokenSecret:
+        process.env.EMAIL_PREFERENCES_SECRET || process.env.JWT_SECRET,
+      // Preference page the links in the email body open
+      frontendUrl: process.env.FRONTEND_URL || "http://localhost:5173",
+      // Public API URL mail clients POST one-click unsubscribes to
+      apiBaseUrl:
+        process.env.BACKEND_URL ||
+        process.env.API_URL ||
+        "http://localhost:3000",
     },
   },
 };
@@ -174,6 +174,11 @@ const sendErrorResponse = (error, req, res) => {
     timestamp: error.timestamp,
   };
 
+  // Structured reasons the client can act on (e.g. withdrawal policy)
+  if (error.violations) {
+    response.violations = error.violations;
+  }
+
   // Add additional fields in development
   if (isDevelopment) {
     response.stack = error.stack;
@@ -0,0 +1,102 @@
+// src/modules/Outreach/contacts/imports/__tests__/contactImport.parser.test.js
+
+import ExcelJS from 'exceljs';
+import {
+  detectFileType,
+  parseCsvRecords,
+  parseContactFile,
+  suggestColumnMapping,
+} from '../contactImport.parser.js';
+
+describe('ContactImportParser', () => {
+  describe('parseCsvRecords', () => {
+    it('handles quoted cells, escaped quotes and CRLF line endings', () => {
+      const csv =
+        '\uFEFFName,Email,Notes\r\n"Banda, Mary",mary@example.com,"Said ""yes""\nat the reunion"\r\n';
+
+      expect(parseCsvRecords(csv)).toEqual([
+        ['Name', 'Email', 'Notes'],
+        ['Banda, Mary', 'mary@example.com', 'Said "yes"\nat the reunion'],
+      ]);
+    });
+
+    it('reads semicolon-separated files', () => {
+      expect(parseCsvRecords('Name;Email\nMary;mary@example.com')).toEqual([
+        ['Name', 'Email'],
+        ['Mary', 'mary@example.com'],
+      ]);
+    });
+
+    it('rejects an unterminated quote', () => {
+      expect(() => parseCsvRecords('Name\n"Mary')).toThrow(
+        'unterminated quoted cell'
+      );
+    });
+  });
+
+  describe('parseContactFile', () => {
+    it('keeps spreadsheet row numbers and drops blank rows', async () => {
+      const csv = 'Name,Email\nMary,mary@example.com\n,\nJohn,john@example.com';
+
+      const result = await parseContactFile(Buffer.from(csv), 'csv', {
+        maxRows: 10,
+      });
+
+      expect(result).toEqual({
+        headers: ['Name', 'Email'],
+        rows: [
+          { rowNumber: 2, cells: ['Mary', 'mary@example.com'] },
+          { rowNumber: 4, cells: ['John', 'john@example.com'] },
+        ],
+      });
+    });
+
+    it('reads the first worksheet of an XLSX file', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Alumni');
+      sheet.addRow(['Full Name', 'E-mail', 'Class']);
+      sheet.addRow(['Mary Banda', 'mary@example.com', 2012]);
+      const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+      const result = await parseContactFile(buffer, 'xlsx', { maxRows: 10 });
+
+      expect(result).toEqual({
+        headers: ['Full Name', 'E-mail', 'Class'],
+        rows: [
+          { rowNumber: 2, cells: ['Mary Banda', 'mary@example.com', '2012'] },
+        ],
+      });
+    });
+
+    it('refuses files over the row limit', async () => {
+      const csv = 'Email\na@example.com\nb@example.com';
+
+      await expect(
+        parseContactFile(Buffer.from(csv), 'csv', { maxRows: 1 })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  it('detects the file type from the name or MIME type', () => {
+    expect(detectFileType({ originalname: 'alumni.XLSX' })).toBe('xlsx');
+    expect(
+      detectFileType({ originalname: 'export', mimetype: 'text/csv' })
+    ).toBe('csv');
+    expect(detectFileType({ originalname: 'alumni.pdf' })).toBeNull();
+  });
+
+  it('suggests a mapping from common header names', () => {
+    expect(
+      suggestColumnMapping([
+        'First Name',
+        'Last_Name',
+        'E-mail Address',
+        'Notes',
+      ])
+    ).toEqual({
+      name: ['First Name', 'Last_Name'],
+      email: 'E-mail Address',
+      description: 'Notes',
+    });
+  });
+});
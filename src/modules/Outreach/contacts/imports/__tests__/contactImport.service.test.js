@@ -0,0 +1,340 @@
+// src/modules/Outreach/contacts/imports/__tests__/contactImport.service.test.js
+
+import {
+  uploadImport,
+  startImport,
+  mapRow,
+  processImportJob,
+  buildRowReportCsv,
+  undoImport,
+} from '../contactImport.service.js';
+import * as importRepository from '../contactImport.repository.js';
+import { transaction } from '../../../../../db/index.js';
+import notificationService from '../../../../notifications/notification.service.js';
+import { logServiceEvent } from '../../../../audit/audit.utils.js';
+import { OUTREACH_ACTIONS } from '../../../../audit/audit.constants.js';
+
+// Mock dependencies
+jest.mock('../contactImport.repository.js');
+jest.mock('../../../../../db/index.js', () => ({
+  transaction: jest.fn(),
+}));
+jest.mock('../../../../notifications/notification.service.js', () => ({
+  __esModule: true,
+  default: { createAndDispatch: jest.fn() },
+}));
+jest.mock('../../../../audit/audit.utils.js');
+jest.mock('../../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('ContactImportService', () => {
+  const organizerId = 'organizer-1';
+  const headers = ['First Name', 'Last Name', 'Email'];
+
+  const job = (overrides = {}) => ({
+    importJobId: 'import-1',
+    organizerId,
+    segmentId: 'segment-1',
+    fileName: 'alumni.csv',
+    status: 'processing',
+    headers,
+    columnMapping: { name: ['First Name', 'Last Name'], email: 'Email' },
+    totalRows: 0,
+    processedRows: 0,
+    rows: [],
+    ...overrides,
+  });
+
+  const row = (rowNumber, cells) => ({ rowNumber, cells });
+
+  beforeEach(() => {
+    transaction.mockImplementation(async (callback) => callback('client'));
+    importRepository.findSegmentContactsByEmail.mockResolvedValue([]);
+    importRepository.insertImportedContacts.mockImplementation(
+      async ({ contacts }) => contacts.map((contact) => contact.email)
+    );
+    importRepository.insertRowResults.mockResolvedValue();
+    importRepository.recordBatchProgress.mockResolvedValue();
+    importRepository.finishImportJob.mockImplementation(
+      async (importJobId, { status }) => ({ ...job(), status })
+    );
+    notificationService.createAndDispatch.mockResolvedValue({});
+    logServiceEvent.mockResolvedValue();
+  });
+
+  describe('uploadImport', () => {
+    it('stores the parsed rows and suggests a mapping', async () => {
+      importRepository.findSegmentForOrganizer.mockResolvedValue({
+        segmentId: 'segment-1',
+      });
+      importRepository.createImportJob.mockImplementation(async (data) => ({
+        importJobId: 'import-1',
+        status: 'awaitingMapping',
+        totalRows: data.rows.length,
+        processedRows: 0,
+        ...data,
+      }));
+
+      const result = await uploadImport(organizerId, 'segment-1', {
+        originalname: 'alumni.csv',
+        buffer: Buffer.from('Name,Email\nMary Banda,mary@example.com'),
+      });
+
+      expect(importRepository.createImportJob).toHaveBeenCalledWith(
+        expect.objectContaining({
+          fileType: 'csv',
+          headers: ['Name', 'Email'],
+          rows: [{ rowNumber: 2, cells: ['Mary Banda', 'mary@example.com'] }],
+        })
+      );
+      expect(result.suggestedMapping).toEqual({ name: 'Name', email: 'Email' });
+      expect(result.job.status).toBe('awaitingMapping');
+    });
+
+    it("refuses another organizer's segment", async () => {
+      importRepository.findSegmentForOrganizer.mockResolvedValue(null);
+
+      await expect(
+        uploadImport(organizerId, 'segment-2', {
+          originalname: 'alumni.csv',
+          buffer: Buffer.from('Email\nmary@example.com'),
+        })
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(importRepository.createImportJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startImport', () => {
+    it('rejects a mapping that names a missing column', async () => {
+      importRepository.getImportJob.mockResolvedValue(
+        job({ status: 'awaitingMapping' })
+      );
+
+      await expect(
+        startImport(organizerId, 'import-1', {
+          name: 'Full Name',
+          email: 'Email',
+        })
+      ).rejects.toThrow('Mapped columns not found in the file: Full Name');
+      expect(importRepository.queueImportJob).not.toHaveBeenCalled();
+    });
+
+    it('refuses to start an import twice', async () => {
+      importRepository.getImportJob.mockResolvedValue(
+        job({ status: 'queued' })
+      );
+
+      await expect(
+        startImport(organizerId, 'import-1', { name: 'Email', email: 'Email' })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  it('joins several mapped columns into one field', () => {
+    expect(
+      mapRow(['Mary', 'Banda', ' Mary@Example.com'], headers, {
+        name: ['First Name', 'Last Name'],
+        email: 'Email',
+      })
+    ).toEqual({
+      name: 'Mary Banda',
+      email: 'mary@example.com',
+      description: '',
+    });
+  });
+
+  describe('processImportJob', () => {
+    it('imports valid rows and reports rejected and skipped ones', async () => {
+      importRepository.findSegmentContactsByEmail.mockResolvedValue([
+        { email: 'john@example.com', importJobId: null },
+      ]);
+
+      await processImportJob(
+        job({
+          rows: [
+            row(2, ['Mary', 'Banda', 'mary@example.com']),
+            row(3, ['John', 'Phiri', 'john@example.com']),
+            row(4, ['Ann', '', 'not-an-email']),
+            row(5, ['Mary', 'B.', 'MARY@example.com']),
+          ],
+        })
+      );
+
+      expect(importRepository.insertImportedContacts).toHaveBeenCalledWith(
+        {
+          importJobId: 'import-1',
+          segmentId: 'segment-1',
+          contacts: [
+            {
+              name: 'Mary Banda',
+              email: 'mary@example.com',
+              description: null,
+            },
+          ],
+        },
+        'client'
+      );
+      const [, rowResults] = importRepository.insertRowResults.mock.calls[0];
+      expect(
+        rowResults.map(({ rowNumber, outcome, reason }) => [
+          rowNumber,
+          outcome,
+          reason,
+        ])
+      ).toEqual([
+        [3, 'skipped', 'Already in segment'],
+        [4, 'error', 'Invalid email'],
+        [5, 'error', 'Duplicate email in file'],
+      ]);
+      expect(importRepository.recordBatchProgress).toHaveBeenCalledWith(
+        'import-1',
+        { processedRows: 4, createdCount: 1, skippedCount: 1, errorCount: 2 },
+        'client'
+      );
+      expect(importRepository.finishImportJob).toHaveBeenCalledWith(
+        'import-1',
+        { status: 'completed' }
+      );
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        organizerId,
+        OUTREACH_ACTIONS.CONTACTS_IMPORTED,
+        expect.any(String),
+        'import-1',
+        expect.any(Object)
+      );
+    });
+
+    it('resumes after the rows already processed', async () => {
+      await processImportJob(
+        job({
+          processedRows: 1,
+          rows: [
+            row(2, ['Mary', 'Banda', 'mary@example.com']),
+            row(3, ['John', 'Phiri', 'john@example.com']),
+          ],
+        })
+      );
+
+      expect(importRepository.insertImportedContacts).toHaveBeenCalledTimes(1);
+      expect(
+        importRepository.insertImportedContacts.mock.calls[0][0].contacts
+      ).toEqual([expect.objectContaining({ email: 'john@example.com' })]);
+    });
+
+    it('treats an email from an earlier batch of the same file as a duplicate', async () => {
+      importRepository.findSegmentContactsByEmail.mockResolvedValue([
+        { email: 'mary@example.com', importJobId: 'import-1' },
+      ]);
+
+      await processImportJob(
+        job({
+          processedRows: 1,
+          rows: [
+            row(2, ['Mary', 'Banda', 'mary@example.com']),
+            row(3, ['Mary', 'Banda', 'mary@example.com']),
+          ],
+        })
+      );
+
+      const [, rowResults] = importRepository.insertRowResults.mock.calls[0];
+      expect(rowResults).toEqual([
+        expect.objectContaining({
+          rowNumber: 3,
+          outcome: 'error',
+          reason: 'Duplicate email in file',
+        }),
+      ]);
+    });
+
+    it('marks the job failed when a batch cannot be saved', async () => {
+      importRepository.insertImportedContacts.mockRejectedValue(
+        new Error('connection reset')
+      );
+
+      await processImportJob(
+        job({ rows: [row(2, ['Mary', 'Banda', 'mary@example.com'])] })
+      );
+
+      expect(importRepository.finishImportJob).toHaveBeenCalledWith(
+        'import-1',
+        expect.objectContaining({ status: 'failed' })
+      );
+      expect(notificationService.createAndDispatch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: organizerId,
+          title: 'Contact import failed',
+        })
+      );
+    });
+  });
+
+  it('builds the row report with the original cells', async () => {
+    importRepository.getImportJob.mockResolvedValue(job());
+    importRepository.getRowResults.mockResolvedValue([
+      {
+        rowNumber: 4,
+        outcome: 'error',
+        reason: 'Invalid email',
+        rawRow: ['Ann', 'Mwale, Jr', 'not-an-email'],
+      },
+    ]);
+
+    const report = await buildRowReportCsv(organizerId, 'import-1');
+
+    expect(report.fileName).toBe('alumni-import-report.csv');
+    expect(report.csv).toBe(
+      'Row,Outcome,Reason,First Name,Last Name,Email\r\n' +
+        '4,error,Invalid email,Ann,"Mwale, Jr",not-an-email'
+    );
+  });
+
+  describe('undoImport', () => {
+    it('deletes the imported contacts and records the undo', async () => {
+      importRepository.lockImportJob.mockResolvedValue({
+        importJobId: 'import-1',
+        segmentId: 'segment-1',
+        status: 'completed',
+      });
+      importRepository.deleteImportedContacts.mockResolvedValue({
+        deletedCount: 40,
+        keptCount: 2,
+      });
+
+      const result = await undoImport(organizerId, 'import-1');
+
+      expect(result).toEqual({
+        importJobId: 'import-1',
+        deletedCount: 40,
+        keptCount: 2,
+      });
+      expect(importRepository.markImportJobUndone).toHaveBeenCalledWith(
+        'import-1',
+        40,
+        'client'
+      );
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        organizerId,
+        OUTREACH_ACTIONS.CONTACT_IMPORT_UNDONE,
+        expect.any(String),
+        'import-1',
+        expect.any(Object)
+      );
+    });
+
+    it('waits for a running import to finish', async () => {
+      importRepository.lockImportJob.mockResolvedValue({
+        importJobId: 'import-1',
+        status: 'processing',
+      });
+
+      await expect(undoImport(organizerId, 'import-1')).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      expect(importRepository.deleteImportedContacts).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import * as importService from "./contactImport.service.js";
+import { parseListImportsQuery } from "./contactImport.validation.js";
+import { ResponseFactory } from "../../../../utils/response.utils.js";
+
+export const uploadImport = async (req, res) => {
+  const result = await importService.uploadImport(
+    req.user.userId,
+    req.body.segmentId,
+    req.file
+  );
+
+  return ResponseFactory.created(
+    res,
+    "File uploaded; confirm the column mapping to start the import",
+    result
+  );
+};
+
+export const startImport = async (req, res) => {
+  const result = await importService.startImport(
+    req.user.userId,
+    req.params.importJobId,
+    req.body.columnMapping
+  );
+
+  return ResponseFactory.ok(res, "Import queued", result);
+};
+
+export const listImports = async (req, res) => {
+  const result = await importService.listImports(
+    req.user.userId,
+    parseListImportsQuery(req.query)
+  );
+
+  return ResponseFactory.ok(res, "Imports retrieved successfully", result);
+};
+
+export const getImport = async (req, res) => {
+  const result = await importService.getImport(
+    req.user.userId,
+    req.params.importJobId
+  );
+
+  return ResponseFactory.ok(res, "Import retrieved successfully", result);
+};
+
+export const downloadRowReport = async (req, res) => {
+  const { fileName, csv } = await importService.buildRowReportCsv(
+    req.user.userId,
+    req.params.importJobId
+  );
+
+  res.setHeader("Content-Type", "text/csv");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  return res.send(csv);
+};
+
+export const undoImport = async (req, res) => {
+  const result = await importService.undoImport(
+    req.user.userId,
+    req.params.importJobId
+  );
+
+  return ResponseFactory.ok(res, "Import undone", result);
+};
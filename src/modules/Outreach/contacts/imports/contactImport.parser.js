@@ -0,0 +1,190 @@
+import ExcelJS from "exceljs";
+import { ValidationError } from "../../../../utils/appError.js";
+
+/**
+ * Contact Import Parser
+ * Turns an uploaded CSV or XLSX file into a header row and data rows of
+ * cell text. Rows keep their spreadsheet row number (header = row 1) so the
+ * error report can point organizers at the right line. Blank rows are dropped.
+ */
+
+const XLSX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+/**
+ * @returns {"csv"|"xlsx"|null}
+ */
+export const detectFileType = (file) => {
+  const name = (file?.originalname || "").toLowerCase();
+  if (name.endsWith(".xlsx") || file?.mimetype === XLSX_MIME_TYPE) {
+    return "xlsx";
+  }
+  if (
+    name.endsWith(".csv") ||
+    file?.mimetype === "text/csv" ||
+    file?.mimetype === "application/vnd.ms-excel"
+  ) {
+    return "csv";
+  }
+  return null;
+};
+
+// Spreadsheets exported in some locales separate cells with semicolons
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const count = (char) => firstLine.split(char).length - 1;
+  return count(";") > count(",") ? ";" : ",";
+};
+
+/**
+ * RFC 4180 CSV: quoted cells may hold delimiters, newlines and "" escapes
+ * @returns {Array<Array<string>>} Records in file order
+ */
+export const parseCsvRecords = (input) => {
+  const text = String(input).replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(text);
+  const records = [];
+  let record = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (inQuotes) {
+    throw new ValidationError("CSV has an unterminated quoted cell");
+  }
+  if (cell !== "" || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+  return records;
+};
+
+const readXlsxRecords = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new ValidationError("File is not a readable XLSX workbook");
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  // Index by spreadsheet row number; rows ExcelJS skips stay empty
+  const records = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const cells = [];
+    for (let column = 1; column <= row.cellCount; column++) {
+      cells.push(row.getCell(column).text ?? "");
+    }
+    records[rowNumber - 1] = cells;
+  });
+  return Array.from(records, (cells) => cells || []);
+};
+
+const isBlank = (cells) => cells.every((cell) => String(cell).trim() === "");
+
+/**
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {"csv"|"xlsx"} fileType
+ * @param {{maxRows: number}} options
+ * @returns {Promise<{headers: Array<string>, rows: Array<{rowNumber: number, cells: Array<string>}>}>}
+ */
+export const parseContactFile = async (buffer, fileType, { maxRows }) => {
+  const records =
+    fileType === "xlsx"
+      ? await readXlsxRecords(buffer)
+      : parseCsvRecords(buffer.toString("utf8"));
+
+  const headerIndex = records.findIndex((cells) => !isBlank(cells));
+  if (headerIndex === -1) {
+    throw new ValidationError("File is empty");
+  }
+
+  // Unnamed columns still need a name the mapping can refer to
+  const headers = records[headerIndex].map(
+    (header, i) => String(header).trim() || `Column ${i + 1}`
+  );
+  const rows = [];
+  for (let i = headerIndex + 1; i < records.length; i++) {
+    const cells = records[i].map((cell) => String(cell).trim());
+    if (!isBlank(cells)) rows.push({ rowNumber: i + 1, cells });
+  }
+
+  if (rows.length === 0) {
+    throw new ValidationError("File has a header row but no contacts");
+  }
+  if (rows.length > maxRows) {
+    throw new ValidationError(
+      `File has ${rows.length} rows; an import can hold at most ${maxRows}`
+    );
+  }
+  return { headers, rows };
+};
+
+const HEADER_PATTERNS = {
+  email: /^e\s?mail(\s*address)?$/,
+  name: /^(full\s*)?name$|^contact(\s*name)?$/,
+  description: /^(description|notes?|comments?)$/,
+  firstName: /^first\s*name$|^given\s*name$/,
+  lastName: /^last\s*name$|^surname$|^family\s*name$/,
+};
+
+/**
+ * Guesses a column mapping from header names; the client confirms or
+ * corrects it before the import starts
+ */
+export const suggestColumnMapping = (headers) => {
+  const find = (pattern) =>
+    headers.find((header) =>
+      pattern.test(header.toLowerCase().replace(/[_-]+/g, " ").trim())
+    );
+
+  const mapping = {};
+  const email = find(HEADER_PATTERNS.email);
+  if (email) mapping.email = email;
+
+  const name = find(HEADER_PATTERNS.name);
+  const firstName = find(HEADER_PATTERNS.firstName);
+  const lastName = find(HEADER_PATTERNS.lastName);
+  if (name) {
+    mapping.name = name;
+  } else if (firstName) {
+    mapping.name = lastName ? [firstName, lastName] : firstName;
+  }
+
+  const description = find(HEADER_PATTERNS.description);
+  if (description) mapping.description = description;
+  return mapping;
+};
+
+export default {
+  detectFileType,
+  parseCsvRecords,
+  parseContactFile,
+  suggestColumnMapping,
+};
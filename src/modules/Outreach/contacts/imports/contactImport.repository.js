@@ -0,0 +1,321 @@
+import { db } from "../../../../db/index.js";
+
+// Everything but the stored rows, which can be large
+const JOB_SELECT = `
+  SELECT j."importJobId", j."organizerId", j."segmentId", j."fileName",
+         j."fileType", j."status", j."headers", j."columnMapping",
+         j."totalRows", j."processedRows", j."createdCount", j."skippedCount",
+         j."errorCount", j."failureReason", j."startedAt", j."completedAt",
+         j."undoneAt", j."undoneCount", j."createdAt", j."updatedAt",
+         s."name" AS "segmentName"
+  FROM "contactImportJobs" j
+  JOIN "segments" s ON s."segmentId" = j."segmentId"`;
+
+export const findSegmentForOrganizer = async (segmentId, organizerId) => {
+  const result = await db.query(
+    `SELECT "segmentId", "name" FROM "segments"
+     WHERE "segmentId" = $1 AND "organizerId" = $2`,
+    [segmentId, organizerId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const createImportJob = async ({
+  organizerId,
+  segmentId,
+  fileName,
+  fileType,
+  headers,
+  rows,
+}) => {
+  const result = await db.query(
+    `INSERT INTO "contactImportJobs" (
+      "organizerId", "segmentId", "fileName", "fileType", "headers", "rows",
+      "totalRows"
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING "importJobId"`,
+    [
+      organizerId,
+      segmentId,
+      fileName,
+      fileType,
+      JSON.stringify(headers),
+      JSON.stringify(rows),
+      rows.length,
+    ]
+  );
+
+  return getImportJob(result.rows[0].importJobId, organizerId);
+};
+
+export const getImportJob = async (importJobId, organizerId) => {
+  const result = await db.query(
+    `${JOB_SELECT}
+     WHERE j."importJobId" = $1 AND j."organizerId" = $2`,
+    [importJobId, organizerId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * First rows of a job awaiting its column mapping, for the mapping preview
+ */
+export const getImportJobSample = async (importJobId, size) => {
+  const result = await db.query(
+    `SELECT COALESCE(jsonb_agg(r.value ORDER BY r.ordinality), '[]'::jsonb) AS "sample"
+     FROM "contactImportJobs" j,
+          jsonb_array_elements(j."rows") WITH ORDINALITY r
+     WHERE j."importJobId" = $1 AND r.ordinality <= $2`,
+    [importJobId, size]
+  );
+
+  return result.rows[0]?.sample || [];
+};
+
+export const listImportJobs = async (
+  organizerId,
+  { segmentId, limit, offset }
+) => {
+  const values = [organizerId];
+  let segmentClause = "";
+  if (segmentId) {
+    values.push(segmentId);
+    segmentClause = `AND j."segmentId" = $${values.length}`;
+  }
+  values.push(limit, offset);
+
+  const result = await db.query(
+    `${JOB_SELECT}
+     WHERE j."organizerId" = $1 ${segmentClause}
+     ORDER BY j."createdAt" DESC
+     LIMIT $${values.length - 1} OFFSET $${values.length}`,
+    values
+  );
+
+  return result.rows;
+};
+
+/**
+ * Stores the column mapping and queues the job; null if the job is no
+ * longer awaiting its mapping
+ */
+export const queueImportJob = async (importJobId, columnMapping) => {
+  const result = await db.query(
+    `UPDATE "contactImportJobs"
+     SET "columnMapping" = $2, "status" = 'queued'
+     WHERE "importJobId" = $1 AND "status" = 'awaitingMapping'
+     RETURNING "importJobId"`,
+    [importJobId, JSON.stringify(columnMapping)]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Locks the oldest queued job, or a processing job whose worker stopped
+ * renewing its lock. Returns the job with its rows, or null.
+ */
+export const claimNextImportJob = async (lockTimeoutMs) => {
+  const result = await db.query(
+    `UPDATE "contactImportJobs"
+     SET "status" = 'processing',
+         "lockedAt" = CURRENT_TIMESTAMP,
+         "startedAt" = COALESCE("startedAt", CURRENT_TIMESTAMP)
+     WHERE "importJobId" = (
+       SELECT "importJobId" FROM "contactImportJobs"
+       WHERE "status" = 'queued'
+          OR ("status" = 'processing'
+              AND "lockedAt" < CURRENT_TIMESTAMP - make_interval(secs => $1 / 1000.0))
+       ORDER BY "createdAt"
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [lockTimeoutMs]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Existing contacts in the segment with any of the given emails, compared
+ * case-insensitively
+ */
+export const findSegmentContactsByEmail = async (segmentId, emails, client) => {
+  const executor = client || db;
+  const result = await executor.query(
+    `SELECT LOWER("email") AS "email", "importJobId"
+     FROM "contacts"
+     WHERE "segmentId" = $1 AND LOWER("email") = ANY($2)`,
+    [segmentId, emails]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Inserts a batch of contacts tagged with the import; returns the emails
+ * that were inserted (a concurrent insert of the same email is skipped)
+ */
+export const insertImportedContacts = async (
+  { importJobId, segmentId, contacts },
+  client
+) => {
+  if (contacts.length === 0) return [];
+
+  const result = await client.query(
+    `INSERT INTO "contacts" ("segmentId", "name", "email", "description", "importJobId")
+     SELECT $1, c."name", c."email", c."description", $2
+     FROM jsonb_to_recordset($3::jsonb)
+       AS c("name" VARCHAR(100), "email" VARCHAR(255), "description" TEXT)
+     ON CONFLICT ("segmentId", "email") DO NOTHING
+     RETURNING "email"`,
+    [segmentId, importJobId, JSON.stringify(contacts)]
+  );
+
+  return result.rows.map((row) => row.email);
+};
+
+export const insertRowResults = async (importJobId, rowResults, client) => {
+  if (rowResults.length === 0) return;
+
+  await client.query(
+    `INSERT INTO "contactImportRowResults" (
+      "importJobId", "rowNumber", "outcome", "email", "reason", "rawRow"
+    )
+    SELECT $1, r."rowNumber", r."outcome", r."email", r."reason", r."rawRow"
+    FROM jsonb_to_recordset($2::jsonb)
+      AS r("rowNumber" INTEGER, "outcome" VARCHAR(10), "email" VARCHAR(255),
+           "reason" TEXT, "rawRow" JSONB)`,
+    [importJobId, JSON.stringify(rowResults)]
+  );
+};
+
+/**
+ * Adds a processed batch to the job's counters and renews its lock
+ */
+export const recordBatchProgress = async (
+  importJobId,
+  { processedRows, createdCount, skippedCount, errorCount },
+  client
+) => {
+  await client.query(
+    `UPDATE "contactImportJobs"
+     SET "processedRows" = $2,
+         "createdCount" = "createdCount" + $3,
+         "skippedCount" = "skippedCount" + $4,
+         "errorCount" = "errorCount" + $5,
+         "lockedAt" = CURRENT_TIMESTAMP
+     WHERE "importJobId" = $1`,
+    [importJobId, processedRows, createdCount, skippedCount, errorCount]
+  );
+};
+
+/**
+ * Ends a processing job as completed or failed and drops its stored rows
+ */
+export const finishImportJob = async (
+  importJobId,
+  { status, failureReason }
+) => {
+  const result = await db.query(
+    `UPDATE "contactImportJobs"
+     SET "status" = $2,
+         "failureReason" = $3,
+         "rows" = NULL,
+         "lockedAt" = NULL,
+         "completedAt" = CURRENT_TIMESTAMP
+     WHERE "importJobId" = $1 AND "status" = 'processing'
+     RETURNING "importJobId", "organizerId", "segmentId", "fileName",
+               "status", "totalRows", "createdCount", "skippedCount",
+               "errorCount", "failureReason"`,
+    [importJobId, status, failureReason || null]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const getRowResults = async (importJobId) => {
+  const result = await db.query(
+    `SELECT "rowNumber", "outcome", "email", "reason", "rawRow"
+     FROM "contactImportRowResults"
+     WHERE "importJobId" = $1
+     ORDER BY "rowNumber"`,
+    [importJobId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Locks a job for undo; null if it is not the organizer's
+ */
+export const lockImportJob = async (importJobId, organizerId, client) => {
+  const result = await client.query(
+    `SELECT "importJobId", "segmentId", "status", "createdCount"
+     FROM "contactImportJobs"
+     WHERE "importJobId" = $1 AND "organizerId" = $2
+     FOR UPDATE`,
+    [importJobId, organizerId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Deletes the contacts an import created, except those already added to
+ * an outreach campaign (recipients keep their contact for reporting)
+ */
+export const deleteImportedContacts = async (importJobId, client) => {
+  const result = await client.query(
+    `WITH deleted AS (
+      DELETE FROM "contacts" c
+      WHERE c."importJobId" = $1
+        AND NOT EXISTS (
+          SELECT 1 FROM "outreachCampaignRecipients" r
+          WHERE r."contactId" = c."contactId"
+        )
+      RETURNING 1
+    )
+    SELECT
+      (SELECT COUNT(*) FROM deleted)::int AS "deletedCount",
+      (SELECT COUNT(*) FROM "contacts" WHERE "importJobId" = $1)::int
+        - (SELECT COUNT(*) FROM deleted)::int AS "keptCount"`,
+    [importJobId]
+  );
+
+  return result.rows[0];
+};
+
+export const markImportJobUndone = async (importJobId, undoneCount, client) => {
+  await client.query(
+    `UPDATE "contactImportJobs"
+     SET "status" = 'undone',
+         "undoneAt" = CURRENT_TIMESTAMP,
+         "undoneCount" = $2
+     WHERE "importJobId" = $1`,
+    [importJobId, undoneCount]
+  );
+};
+
+export default {
+  findSegmentForOrganizer,
+  createImportJob,
+  getImportJob,
+  getImportJobSample,
+  listImportJobs,
+  queueImportJob,
+  claimNextImportJob,
+  findSegmentContactsByEmail,
+  insertImportedContacts,
+  insertRowResults,
+  recordBatchProgress,
+  finishImportJob,
+  getRowResults,
+  lockImportJob,
+  deleteImportedContacts,
+  markImportJobUndone,
+};
@@ -0,0 +1,65 @@
+import { Router } from "express";
+import multer from "multer";
+import config from "../../../../config/index.js";
+import {
+  authenticate,
+  requireOrganizationUser,
+} from "../../../../middlewares/auth.middleware.js";
+import { catchAsync } from "../../../../middlewares/errorHandler.js";
+import { apiLimiter } from "../../../../middlewares/rateLimiters.js";
+import { AppError } from "../../../../utils/appError.js";
+import { detectFileType } from "./contactImport.parser.js";
+import {
+  uploadImport,
+  startImport,
+  listImports,
+  getImport,
+  downloadRowReport,
+  undoImport,
+} from "./contactImport.controller.js";
+import {
+  validateUploadImport,
+  validateStartImport,
+  validateImportJobId,
+} from "./contactImport.validation.js";
+
+// Mounted on /api/v1/outreach/contacts/imports ahead of the contact routes
+const router = Router();
+
+// Contact spreadsheets are parsed in memory and stored on the import job
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.outreach.contactImport.maxFileSizeBytes,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (detectFileType(file)) {
+      cb(null, true);
+    } else {
+      cb(new AppError("Only CSV and XLSX files can be imported", 400), false);
+    }
+  },
+}).single("file");
+
+router.use(apiLimiter);
+router.use(authenticate);
+router.use(requireOrganizationUser);
+
+router.post("/", upload, validateUploadImport, catchAsync(uploadImport));
+router.get("/", catchAsync(listImports));
+router.get("/:importJobId", validateImportJobId, catchAsync(getImport));
+router.post(
+  "/:importJobId/start",
+  validateImportJobId,
+  validateStartImport,
+  catchAsync(startImport)
+);
+router.get(
+  "/:importJobId/report",
+  validateImportJobId,
+  catchAsync(downloadRowReport)
+);
+router.post("/:importJobId/undo", validateImportJobId, catchAsync(undoImport));
+
+export default router;
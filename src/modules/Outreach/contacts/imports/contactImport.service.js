@@ -0,0 +1,517 @@
+import config from "../../../../config/index.js";
+import * as importRepository from "./contactImport.repository.js";
+import {
+  detectFileType,
+  parseContactFile,
+  suggestColumnMapping,
+} from "./contactImport.parser.js";
+import notificationService from "../../../notifications/notification.service.js";
+import { logServiceEvent } from "../../../audit/audit.utils.js";
+import {
+  OUTREACH_ACTIONS,
+  ENTITY_TYPES,
+} from "../../../audit/audit.constants.js";
+import { transaction } from "../../../../db/index.js";
+import { AppError } from "../../../../utils/appError.js";
+import logger from "../../../../utils/logger.js";
+
+/**
+ * Contact Imports
+ * Spreadsheet uploads of contacts into a segment, run as background jobs:
+ * 1. upload: the file is parsed and stored; the job awaits a column mapping
+ * 2. start: the client's mapping is checked and the job is queued
+ * 3. the import worker validates and inserts rows in batches, recording
+ *    progress and a per-row report of rejected and skipped rows
+ * Emails already in the segment are skipped, never overwritten. An import
+ * can be undone, which deletes the contacts it created.
+ */
+let isRunning = false;
+
+const SAMPLE_SIZE = 5;
+const MAPPABLE_FIELDS = ["name", "email", "description"];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const formatJob = (job) => ({
+  importJobId: job.importJobId,
+  segmentId: job.segmentId,
+  segmentName: job.segmentName,
+  fileName: job.fileName,
+  fileType: job.fileType,
+  status: job.status,
+  headers: job.headers,
+  columnMapping: job.columnMapping,
+  totalRows: job.totalRows,
+  processedRows: job.processedRows,
+  progress:
+    job.totalRows > 0
+      ? Math.round((job.processedRows / job.totalRows) * 1000) / 10
+      : 0,
+  createdCount: job.createdCount,
+  skippedCount: job.skippedCount,
+  errorCount: job.errorCount,
+  failureReason: job.failureReason,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  undoneAt: job.undoneAt,
+  undoneCount: job.undoneCount,
+  createdAt: job.createdAt,
+});
+
+const getOwnJob = async (organizerId, importJobId) => {
+  const job = await importRepository.getImportJob(importJobId, organizerId);
+  if (!job) {
+    throw new AppError("Import job not found", 404);
+  }
+  return job;
+};
+
+/**
+ * Parses an uploaded file into a new job awaiting its column mapping
+ * @returns {Promise<{job: Object, sample: Array, suggestedMapping: Object}>}
+ */
+export const uploadImport = async (organizerId, segmentId, file) => {
+  if (!file?.buffer?.length) {
+    throw new AppError("A CSV or XLSX file is required", 400);
+  }
+  const fileType = detectFileType(file);
+  if (!fileType) {
+    throw new AppError("Only CSV and XLSX files can be imported", 400);
+  }
+
+  const segment = await importRepository.findSegmentForOrganizer(
+    segmentId,
+    organizerId
+  );
+  if (!segment) {
+    throw new AppError("Segment not found", 404);
+  }
+
+  const { headers, rows } = await parseContactFile(file.buffer, fileType, {
+    maxRows: config.outreach.contactImport.maxRows,
+  });
+
+  const job = await importRepository.createImportJob({
+    organizerId,
+    segmentId,
+    fileName: file.originalname || `contacts.${fileType}`,
+    fileType,
+    headers,
+    rows,
+  });
+
+  logger.info("Contact import uploaded", {
+    importJobId: job.importJobId,
+    segmentId,
+    organizerId,
+    totalRows: rows.length,
+  });
+
+  return {
+    job: formatJob(job),
+    sample: rows.slice(0, SAMPLE_SIZE),
+    suggestedMapping: suggestColumnMapping(headers),
+  };
+};
+
+/**
+ * Checks that every mapped column exists in the file
+ */
+const checkColumnMapping = (headers, columnMapping) => {
+  const missing = [];
+  for (const field of MAPPABLE_FIELDS) {
+    const columns = [].concat(columnMapping[field] ?? []);
+    missing.push(...columns.filter((column) => !headers.includes(column)));
+  }
+  if (missing.length > 0) {
+    throw new AppError(
+      `Mapped columns not found in the file: ${missing.join(", ")}`,
+      400
+    );
+  }
+};
+
+/**
+ * Saves the column mapping and queues the job for the import worker
+ */
+export const startImport = async (organizerId, importJobId, columnMapping) => {
+  const job = await getOwnJob(organizerId, importJobId);
+  if (job.status !== "awaitingMapping") {
+    throw new AppError(`Import has already been ${job.status}`, 409);
+  }
+  checkColumnMapping(job.headers, columnMapping);
+
+  const queued = await importRepository.queueImportJob(
+    importJobId,
+    columnMapping
+  );
+  if (!queued) {
+    throw new AppError("Import has already been started", 409);
+  }
+
+  return formatJob(await getOwnJob(organizerId, importJobId));
+};
+
+export const getImport = async (organizerId, importJobId) => {
+  const job = await getOwnJob(organizerId, importJobId);
+  const result = formatJob(job);
+  if (job.status === "awaitingMapping") {
+    result.sample = await importRepository.getImportJobSample(
+      importJobId,
+      SAMPLE_SIZE
+    );
+    result.suggestedMapping = suggestColumnMapping(job.headers);
+  }
+  return result;
+};
+
+export const listImports = async (
+  organizerId,
+  { segmentId, limit, offset }
+) => {
+  const jobs = await importRepository.listImportJobs(organizerId, {
+    segmentId,
+    limit,
+    offset,
+  });
+  return jobs.map(formatJob);
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Rejected and skipped rows as CSV: the outcome and reason, followed by the
+ * row as it appeared in the file so it can be fixed and re-imported
+ * @returns {Promise<{fileName: string, csv: string}>}
+ */
+export const buildRowReportCsv = async (organizerId, importJobId) => {
+  const job = await getOwnJob(organizerId, importJobId);
+  const results = await importRepository.getRowResults(importJobId);
+
+  const lines = [
+    ["Row", "Outcome", "Reason", ...job.headers],
+    ...results.map((result) => [
+      result.rowNumber,
+      result.outcome,
+      result.reason,
+      ...job.headers.map((header, i) => result.rawRow?.[i] ?? ""),
+    ]),
+  ];
+
+  const baseName = job.fileName.replace(/\.[^.]+$/, "");
+  return {
+    fileName: `${baseName}-import-report.csv`,
+    csv: lines.map((line) => line.map(csvCell).join(",")).join("\r\n"),
+  };
+};
+
+/**
+ * Deletes the contacts an import created. Contacts already added to an
+ * outreach campaign are kept. An import that has not started yet is simply
+ * cancelled.
+ */
+export const undoImport = async (organizerId, importJobId) => {
+  const result = await transaction(async (client) => {
+    const job = await importRepository.lockImportJob(
+      importJobId,
+      organizerId,
+      client
+    );
+    if (!job) {
+      throw new AppError("Import job not found", 404);
+    }
+    if (job.status === "processing") {
+      throw new AppError(
+        "Import is still running; undo it once it has finished",
+        409
+      );
+    }
+    if (job.status === "undone") {
+      throw new AppError("Import has already been undone", 409);
+    }
+
+    const counts = await importRepository.deleteImportedContacts(
+      importJobId,
+      client
+    );
+    await importRepository.markImportJobUndone(
+      importJobId,
+      counts.deletedCount,
+      client
+    );
+    return { segmentId: job.segmentId, ...counts };
+  });
+
+  await logServiceEvent(
+    organizerId,
+    OUTREACH_ACTIONS.CONTACT_IMPORT_UNDONE,
+    ENTITY_TYPES.CONTACT_IMPORT_JOB,
+    importJobId,
+    result
+  );
+
+  return {
+    importJobId,
+    deletedCount: result.deletedCount,
+    keptCount: result.keptCount,
+  };
+};
+
+/**
+ * Reads a contact from a row using the column mapping. A field mapped to
+ * several columns (e.g. first and last name) joins them with spaces.
+ */
+export const mapRow = (cells, headers, columnMapping) => {
+  const read = (field) =>
+    []
+      .concat(columnMapping[field] ?? [])
+      .map((column) => cells[headers.indexOf(column)] || "")
+      .filter(Boolean)
+      .join(" ")
+      .trim();
+
+  return {
+    name: read("name"),
+    email: read("email").toLowerCase(),
+    description: read("description"),
+  };
+};
+
+const rowError = (row, email, reason) => ({
+  rowNumber: row.rowNumber,
+  outcome: "error",
+  email: email || null,
+  reason,
+  rawRow: row.cells,
+});
+
+/**
+ * Same checks as a contact created through the API
+ */
+const validateContact = ({ name, email, description }) => {
+  if (!email) return "Email is required";
+  if (email.length > 255 || !EMAIL_PATTERN.test(email)) return "Invalid email";
+  if (!name) return "Name is required";
+  if (name.length > 100) return "Name cannot exceed 100 characters";
+  if (description.length > 1000) {
+    return "Description cannot exceed 1000 characters";
+  }
+  return null;
+};
+
+/**
+ * Validates, dedupes and inserts one batch in a single transaction and
+ * records the job's progress with it
+ */
+const importBatch = async (job, batch, processedRows) => {
+  const rowResults = [];
+  const candidates = [];
+  const seen = new Set();
+
+  for (const row of batch) {
+    const contact = mapRow(row.cells, job.headers, job.columnMapping);
+    const problem = validateContact(contact);
+    if (problem) {
+      rowResults.push(rowError(row, contact.email, problem));
+    } else if (seen.has(contact.email)) {
+      rowResults.push(rowError(row, contact.email, "Duplicate email in file"));
+    } else {
+      seen.add(contact.email);
+      candidates.push({ row, contact });
+    }
+  }
+
+  await transaction(async (client) => {
+    const existing = await importRepository.findSegmentContactsByEmail(
+      job.segmentId,
+      candidates.map(({ contact }) => contact.email),
+      client
+    );
+    const existingByEmail = new Map(
+      existing.map((contact) => [contact.email, contact.importJobId])
+    );
+
+    const toInsert = [];
+    for (const candidate of candidates) {
+      const { row, contact } = candidate;
+      if (!existingByEmail.has(contact.email)) {
+        toInsert.push(candidate);
+      } else if (existingByEmail.get(contact.email) === job.importJobId) {
+        // Inserted from an earlier batch of this same file
+        rowResults.push(
+          rowError(row, contact.email, "Duplicate email in file")
+        );
+      } else {
+        rowResults.push({
+          rowNumber: row.rowNumber,
+          outcome: "skipped",
+          email: contact.email,
+          reason: "Already in segment",
+          rawRow: row.cells,
+        });
+      }
+    }
+
+    const inserted = new Set(
+      await importRepository.insertImportedContacts(
+        {
+          importJobId: job.importJobId,
+          segmentId: job.segmentId,
+          contacts: toInsert.map(({ contact }) => ({
+            ...contact,
+            description: contact.description || null,
+          })),
+        },
+        client
+      )
+    );
+    for (const { row, contact } of toInsert) {
+      if (!inserted.has(contact.email)) {
+        rowResults.push({
+          rowNumber: row.rowNumber,
+          outcome: "skipped",
+          email: contact.email,
+          reason: "Already in segment",
+          rawRow: row.cells,
+        });
+      }
+    }
+
+    rowResults.sort((a, b) => a.rowNumber - b.rowNumber);
+    await importRepository.insertRowResults(
+      job.importJobId,
+      rowResults,
+      client
+    );
+    await importRepository.recordBatchProgress(
+      job.importJobId,
+      {
+        processedRows,
+        createdCount: inserted.size,
+        skippedCount: rowResults.filter((r) => r.outcome === "skipped").length,
+        errorCount: rowResults.filter((r) => r.outcome === "error").length,
+      },
+      client
+    );
+  });
+};
+
+const notifyFinished = async (job) => {
+  try {
+    const completed = job.status === "completed";
+    await notificationService.createAndDispatch({
+      userId: job.organizerId,
+      type: "inApp",
+      category: "outreach",
+      priority: completed && job.errorCount === 0 ? "low" : "medium",
+      title: completed ? "Contact import finished" : "Contact import failed",
+      message: completed
+        ? `"${job.fileName}": ${job.createdCount} contacts added, ${job.skippedCount} already in the segment, ${job.errorCount} rows rejected.`
+        : `"${job.fileName}" could not be imported: ${job.failureReason}`,
+      data: {
+        importJobId: job.importJobId,
+        segmentId: job.segmentId,
+        status: job.status,
+      },
+      relatedEntityType: "contactImportJob",
+      relatedEntityId: job.importJobId,
+    });
+  } catch (notifyError) {
+    logger.error("Failed to notify organizer about contact import", {
+      error: notifyError.message,
+      importJobId: job.importJobId,
+    });
+  }
+};
+
+/**
+ * Runs a claimed job from where it left off, one batch at a time
+ */
+export const processImportJob = async (job) => {
+  const { batchSize } = config.outreach.contactImport;
+  const rows = job.rows || [];
+
+  let finished;
+  try {
+    for (
+      let start = job.processedRows;
+      start < rows.length;
+      start += batchSize
+    ) {
+      const end = Math.min(start + batchSize, rows.length);
+      await importBatch(job, rows.slice(start, end), end);
+    }
+    finished = await importRepository.finishImportJob(job.importJobId, {
+      status: "completed",
+    });
+  } catch (error) {
+    logger.error("Contact import failed", {
+      error: error.message,
+      importJobId: job.importJobId,
+    });
+    finished = await importRepository.finishImportJob(job.importJobId, {
+      status: "failed",
+      failureReason:
+        "The import stopped unexpectedly; rows not yet processed were not imported",
+    });
+  }
+  if (!finished) return null;
+
+  if (finished.status === "completed") {
+    await logServiceEvent(
+      finished.organizerId,
+      OUTREACH_ACTIONS.CONTACTS_IMPORTED,
+      ENTITY_TYPES.CONTACT_IMPORT_JOB,
+      finished.importJobId,
+      {
+        segmentId: finished.segmentId,
+        fileName: finished.fileName,
+        createdCount: finished.createdCount,
+        skippedCount: finished.skippedCount,
+        errorCount: finished.errorCount,
+      }
+    );
+  }
+  await notifyFinished(finished);
+  return finished;
+};
+
+/**
+ * Import worker: runs queued jobs (and resumes abandoned ones) until none
+ * are left. Jobs are claimed row-by-row, so several instances can share
+ * the queue.
+ */
+export const processContactImports = async () => {
+  if (isRunning) return { processed: 0 };
+  isRunning = true;
+
+  let processed = 0;
+  try {
+    let job;
+    while (
+      (job = await importRepository.claimNextImportJob(
+        config.outreach.contactImport.lockTimeoutMs
+      ))
+    ) {
+      await processImportJob(job);
+      processed++;
+    }
+  } finally {
+    isRunning = false;
+  }
+  return { processed };
+};
+
+export default {
+  uploadImport,
+  startImport,
+  getImport,
+  listImports,
+  buildRowReportCsv,
+  undoImport,
+  mapRow,
+  processImportJob,
+  processContactImports,
+};
@@ -0,0 +1,55 @@
+import Joi from "joi";
+import { validate, validateData } from "../../../../utils/validation.js";
+
+// A field maps to one column header, or several joined with spaces
+const mappedColumns = Joi.alternatives().try(
+  Joi.string().trim().min(1).max(255),
+  Joi.array().items(Joi.string().trim().min(1).max(255)).min(1).max(5)
+);
+
+// Validation schemas
+const uploadImportSchema = Joi.object({
+  segmentId: Joi.string().uuid().required().messages({
+    "string.guid": "Segment ID must be a valid UUID",
+    "any.required": "Segment ID is required",
+  }),
+});
+
+const startImportSchema = Joi.object({
+  columnMapping: Joi.object({
+    name: mappedColumns.required().messages({
+      "any.required": "Map a column to the contact name",
+    }),
+    email: Joi.string().trim().min(1).max(255).required().messages({
+      "any.required": "Map a column to the contact email",
+    }),
+    description: mappedColumns.optional(),
+  })
+    .required()
+    .messages({ "any.required": "Column mapping is required" }),
+});
+
+const listImportsSchema = Joi.object({
+  segmentId: Joi.string().uuid().optional().messages({
+    "string.guid": "Segment ID must be a valid UUID",
+  }),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const importJobIdSchema = Joi.object({
+  importJobId: Joi.string().uuid().required().messages({
+    "string.guid": "Import job ID must be a valid UUID",
+    "any.required": "Import job ID is required",
+  }),
+});
+
+// Validation middlewares
+export const validateUploadImport = validate(uploadImportSchema);
+export const validateStartImport = validate(startImportSchema);
+export const validateImportJobId = validate(importJobIdSchema, "params");
+
+// Express 5 parses req.query afresh on every access, so the converted
+// values are returned rather than written back
+export const parseListImportsQuery = (query) =>
+  validateData(listImportsSchema, query);
@@ -0,0 +1,323 @@
+// src/modules/Outreach/emailPreferences/__tests__/emailPreference.service.test.js
+
+import {
+  createPreferenceToken,
+  verifyPreferenceToken,
+  buildUnsubscribeLinks,
+  partitionRecipients,
+  getPreferenceCenter,
+  updatePreferences,
+  unsubscribe,
+  resubscribe,
+  addSuppressions,
+  removeSuppression,
+} from '../emailPreference.service.js';
+import * as emailPreferenceRepository from '../emailPreference.repository.js';
+import { logServiceEvent } from '../../../audit/audit.utils.js';
+import { OUTREACH_ACTIONS } from '../../../audit/audit.constants.js';
+
+// Mock dependencies
+jest.mock('../emailPreference.repository.js');
+jest.mock('../../../audit/audit.utils.js');
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('EmailPreferenceService', () => {
+  const organizerId = 'organizer-1';
+
+  beforeEach(() => {
+    emailPreferenceRepository.findOrganizerName.mockResolvedValue({
+      name: 'Water Trust',
+    });
+    emailPreferenceRepository.getPreferences.mockResolvedValue(null);
+    emailPreferenceRepository.getSuppressionsForEmail.mockResolvedValue([]);
+  });
+
+  describe('preference tokens', () => {
+    it('round-trips the organizer and the normalized email', () => {
+      const token = createPreferenceToken(organizerId, ' Mary@Example.com ');
+
+      expect(verifyPreferenceToken(token)).toEqual({
+        organizerId,
+        email: 'mary@example.com',
+      });
+    });
+
+    it('rejects a token whose payload was changed', () => {
+      const token = createPreferenceToken(organizerId, 'mary@example.com');
+      const [, signature] = token.split('.');
+      const forged = Buffer.from(
+        JSON.stringify({ o: 'organizer-2', e: 'mary@example.com' })
+      ).toString('base64url');
+
+      expect(() => verifyPreferenceToken(`${forged}.${signature}`)).toThrow(
+        'This email preferences link is invalid'
+      );
+      expect(() => verifyPreferenceToken('garbage')).toThrow(
+        'This email preferences link is invalid'
+      );
+    });
+
+    it('builds body links and one-click List-Unsubscribe headers', () => {
+      const links = buildUnsubscribeLinks(organizerId, 'mary@example.com');
+      const token = createPreferenceToken(organizerId, 'mary@example.com');
+
+      expect(links.preferencesUrl).toContain(
+        `/email-preferences?token=${token}`
+      );
+      expect(links.unsubscribeUrl).toContain('&action=unsubscribe');
+      expect(links.headers).toEqual({
+        'List-Unsubscribe': expect.stringMatching(
+          new RegExp(
+            `^<https?://.+/api/v1/outreach/email-preferences/${token}/unsubscribe>$`
+          )
+        ),
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      });
+    });
+  });
+
+  describe('partitionRecipients', () => {
+    it('splits off suppressed and opted-out recipients', async () => {
+      emailPreferenceRepository.findBlockedEmails.mockResolvedValue([
+        { email: 'gone@example.com', reason: 'unsubscribed' },
+        { email: 'quiet@example.com', reason: 'optedOut' },
+      ]);
+      const recipients = [
+        { contactId: 'contact-1', email: 'Gone@Example.com' },
+        { contactId: 'contact-2', email: 'friend@example.com' },
+        { contactId: 'contact-3', email: 'quiet@example.com' },
+      ];
+
+      const result = await partitionRecipients(
+        organizerId,
+        'update',
+        recipients
+      );
+
+      expect(emailPreferenceRepository.findBlockedEmails).toHaveBeenCalledWith(
+        organizerId,
+        'update',
+        ['gone@example.com', 'friend@example.com', 'quiet@example.com']
+      );
+      expect(result.allowed).toEqual([recipients[1]]);
+      expect(result.suppressed).toEqual([
+        { ...recipients[0], suppressionReason: 'unsubscribed' },
+        { ...recipients[2], suppressionReason: 'optedOut' },
+      ]);
+    });
+  });
+
+  describe('preference center', () => {
+    const token = () => createPreferenceToken(organizerId, 'mary@example.com');
+
+    it('shows every category enabled by default', async () => {
+      const result = await getPreferenceCenter(token());
+
+      expect(result).toEqual({
+        email: 'mary@example.com',
+        organizerName: 'Water Trust',
+        categories: { invite: true, update: true, thanks: true },
+        unsubscribed: false,
+        unsubscribedFromAll: false,
+      });
+    });
+
+    it('saves the chosen categories', async () => {
+      const categories = { invite: false, update: true, thanks: true };
+      emailPreferenceRepository.upsertPreferences.mockResolvedValue(categories);
+      emailPreferenceRepository.getPreferences.mockResolvedValue(categories);
+
+      const result = await updatePreferences(token(), categories);
+
+      expect(emailPreferenceRepository.upsertPreferences).toHaveBeenCalledWith(
+        organizerId,
+        'mary@example.com',
+        categories
+      );
+      expect(result.categories).toEqual(categories);
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        null,
+        OUTREACH_ACTIONS.EMAIL_PREFERENCES_UPDATED,
+        'EmailPreference',
+        null,
+        expect.objectContaining({ organizerId, categories })
+      );
+    });
+
+    it('unsubscribes from every organizer with scope all', async () => {
+      emailPreferenceRepository.addSuppression.mockResolvedValue({
+        suppressionId: 'suppression-1',
+      });
+      emailPreferenceRepository.getSuppressionsForEmail.mockResolvedValue([
+        { suppressionId: 'suppression-1', organizerId: null },
+      ]);
+
+      const result = await unsubscribe(token(), {
+        scope: 'all',
+        source: 'oneClick',
+      });
+
+      expect(emailPreferenceRepository.addSuppression).toHaveBeenCalledWith({
+        email: 'mary@example.com',
+        organizerId: null,
+        reason: 'unsubscribed',
+        source: 'oneClick',
+      });
+      expect(result.unsubscribedFromAll).toBe(true);
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        null,
+        OUTREACH_ACTIONS.EMAIL_UNSUBSCRIBED,
+        'EmailSuppression',
+        'suppression-1',
+        expect.objectContaining({ organizerId, scope: 'all' })
+      );
+    });
+
+    it('does not log a repeated unsubscribe', async () => {
+      emailPreferenceRepository.addSuppression.mockResolvedValue(null);
+      emailPreferenceRepository.getSuppressionsForEmail.mockResolvedValue([
+        { suppressionId: 'suppression-1', organizerId },
+      ]);
+
+      const result = await unsubscribe(token(), {
+        scope: 'organizer',
+        source: 'preferenceCenter',
+      });
+
+      expect(emailPreferenceRepository.addSuppression).toHaveBeenCalledWith(
+        expect.objectContaining({ organizerId })
+      );
+      expect(result.unsubscribed).toBe(true);
+      expect(logServiceEvent).not.toHaveBeenCalled();
+    });
+
+    it('resubscribes by removing only unsubscribes the recipient made', async () => {
+      emailPreferenceRepository.deleteRecipientUnsubscribes.mockResolvedValue(
+        1
+      );
+
+      await resubscribe(token(), { scope: 'organizer' });
+
+      expect(
+        emailPreferenceRepository.deleteRecipientUnsubscribes
+      ).toHaveBeenCalledWith('mary@example.com', organizerId);
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        null,
+        OUTREACH_ACTIONS.EMAIL_RESUBSCRIBED,
+        'EmailSuppression',
+        null,
+        expect.objectContaining({ scope: 'organizer' })
+      );
+    });
+  });
+
+  describe('suppression lists', () => {
+    it('adds normalized emails once and reports those already suppressed', async () => {
+      emailPreferenceRepository.addSuppression
+        .mockResolvedValueOnce({
+          suppressionId: 'suppression-1',
+          email: 'mary@example.com',
+        })
+        .mockResolvedValueOnce(null);
+
+      const result = await addSuppressions(
+        organizerId,
+        {
+          emails: ['Mary@Example.com', 'mary@example.com', 'john@example.com'],
+          reason: 'manual',
+        },
+        organizerId
+      );
+
+      expect(emailPreferenceRepository.addSuppression).toHaveBeenCalledTimes(2);
+      expect(emailPreferenceRepository.addSuppression).toHaveBeenCalledWith(
+        expect.objectContaining({
+          email: 'mary@example.com',
+          organizerId,
+          source: 'organizer',
+        })
+      );
+      expect(result.added).toHaveLength(1);
+      expect(result.alreadySuppressed).toEqual(['john@example.com']);
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        organizerId,
+        OUTREACH_ACTIONS.EMAIL_SUPPRESSION_ADDED,
+        'EmailSuppression',
+        'suppression-1',
+        expect.objectContaining({ scope: 'organizer' })
+      );
+    });
+
+    it('adds global suppressions as admin entries', async () => {
+      emailPreferenceRepository.addSuppression.mockResolvedValue({
+        suppressionId: 'suppression-1',
+        email: 'bounce@example.com',
+      });
+
+      await addSuppressions(
+        null,
+        { emails: ['bounce@example.com'], reason: 'bounced' },
+        'admin-1'
+      );
+
+      expect(emailPreferenceRepository.addSuppression).toHaveBeenCalledWith(
+        expect.objectContaining({
+          organizerId: null,
+          reason: 'bounced',
+          source: 'admin',
+          createdBy: 'admin-1',
+        })
+      );
+    });
+
+    it('removes a suppression the organizer added', async () => {
+      emailPreferenceRepository.getSuppressionById.mockResolvedValue({
+        suppressionId: 'suppression-1',
+        email: 'mary@example.com',
+        reason: 'manual',
+        source: 'organizer',
+      });
+
+      await removeSuppression(organizerId, 'suppression-1', organizerId);
+
+      expect(emailPreferenceRepository.deleteSuppression).toHaveBeenCalledWith(
+        'suppression-1'
+      );
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        organizerId,
+        OUTREACH_ACTIONS.EMAIL_SUPPRESSION_REMOVED,
+        'EmailSuppression',
+        'suppression-1',
+        expect.objectContaining({ email: 'mary@example.com' })
+      );
+    });
+
+    it('refuses to remove an unsubscribe the recipient made', async () => {
+      emailPreferenceRepository.getSuppressionById.mockResolvedValue({
+        suppressionId: 'suppression-1',
+        reason: 'unsubscribed',
+        source: 'oneClick',
+      });
+
+      await expect(
+        removeSuppression(organizerId, 'suppression-1', organizerId)
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(
+        emailPreferenceRepository.deleteSuppression
+      ).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for a suppression outside the list', async () => {
+      emailPreferenceRepository.getSuppressionById.mockResolvedValue(null);
+
+      await expect(
+        removeSuppression(organizerId, 'suppression-1', organizerId)
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import * as emailPreferenceService from "./emailPreference.service.js";
+import { parseListSuppressionsQuery } from "./emailPreference.validation.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+// Public preference page, identified by the signed token from the email
+
+export const getPreferences = async (req, res) => {
+  const result = await emailPreferenceService.getPreferenceCenter(
+    req.params.token
+  );
+
+  return ResponseFactory.ok(
+    res,
+    "Email preferences retrieved successfully",
+    result
+  );
+};
+
+export const updatePreferences = async (req, res) => {
+  const result = await emailPreferenceService.updatePreferences(
+    req.params.token,
+    req.body
+  );
+
+  return ResponseFactory.ok(
+    res,
+    "Email preferences updated successfully",
+    result
+  );
+};
+
+export const unsubscribe = async (req, res) => {
+  const result = await emailPreferenceService.unsubscribe(req.params.token, {
+    scope: req.body.scope,
+    source:
+      req.body["List-Unsubscribe"] === "One-Click"
+        ? "oneClick"
+        : "preferenceCenter",
+  });
+
+  return ResponseFactory.ok(res, "Unsubscribed successfully", result);
+};
+
+export const resubscribe = async (req, res) => {
+  const result = await emailPreferenceService.resubscribe(
+    req.params.token,
+    req.body
+  );
+
+  return ResponseFactory.ok(res, "Resubscribed successfully", result);
+};
+
+// Suppression lists: an organizer's own, and the global one for admins
+
+const listSuppressionsFor = async (organizerId, req, res) => {
+  const result = await emailPreferenceService.listSuppressions(
+    organizerId,
+    parseListSuppressionsQuery(req.query)
+  );
+
+  return ResponseFactory.ok(res, "Suppressions retrieved successfully", result);
+};
+
+const addSuppressionsFor = async (organizerId, req, res) => {
+  const result = await emailPreferenceService.addSuppressions(
+    organizerId,
+    req.body,
+    req.user.userId
+  );
+
+  return ResponseFactory.created(res, "Emails suppressed successfully", result);
+};
+
+const removeSuppressionFor = async (organizerId, req, res) => {
+  await emailPreferenceService.removeSuppression(
+    organizerId,
+    req.params.suppressionId,
+    req.user.userId
+  );
+
+  return ResponseFactory.ok(res, "Suppression removed successfully", null);
+};
+
+export const listSuppressions = (req, res) =>
+  listSuppressionsFor(req.user.userId, req, res);
+export const addSuppressions = (req, res) =>
+  addSuppressionsFor(req.user.userId, req, res);
+export const removeSuppression = (req, res) =>
+  removeSuppressionFor(req.user.userId, req, res);
+
+export const listGlobalSuppressions = (req, res) =>
+  listSuppressionsFor(null, req, res);
+export const addGlobalSuppressions = (req, res) =>
+  addSuppressionsFor(null, req, res);
+export const removeGlobalSuppression = (req, res) =>
+  removeSuppressionFor(null, req, res);
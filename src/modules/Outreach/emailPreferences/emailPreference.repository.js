@@ -0,0 +1,207 @@
+import { db } from "../../../db/index.js";
+
+// Columns of "emailPreferences" per outreach category
+const CATEGORY_COLUMNS = {
+  invite: `p."invite"`,
+  update: `p."update"`,
+  thanks: `p."thanks"`,
+};
+
+/**
+ * Which of the given (normalized) emails the organizer may not send this
+ * category to: suppressed for the organizer or globally, or opted out of
+ * the category. Each blocked email comes with the suppression reason, or
+ * "optedOut".
+ */
+export const findBlockedEmails = async (organizerId, category, emails) => {
+  if (emails.length === 0) return [];
+
+  const result = await db.query(
+    `SELECT e."email", COALESCE(s."reason", 'optedOut') AS "reason"
+     FROM UNNEST($2::text[]) AS e("email")
+     LEFT JOIN LATERAL (
+       SELECT "reason" FROM "emailSuppressions"
+       WHERE "email" = e."email"
+         AND ("organizerId" IS NULL OR "organizerId" = $1)
+       ORDER BY "organizerId" NULLS FIRST
+       LIMIT 1
+     ) s ON TRUE
+     LEFT JOIN "emailPreferences" p
+       ON p."organizerId" = $1 AND p."email" = e."email"
+     WHERE s."reason" IS NOT NULL OR ${CATEGORY_COLUMNS[category]} = FALSE`,
+    [organizerId, emails]
+  );
+
+  return result.rows;
+};
+
+export const findOrganizerName = async (organizerId) => {
+  const result = await db.query(
+    `SELECT op."organizationName" AS "name"
+     FROM "users" u
+     LEFT JOIN "organizationProfiles" op ON op."userId" = u."userId"
+     WHERE u."userId" = $1`,
+    [organizerId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const getPreferences = async (organizerId, email) => {
+  const result = await db.query(
+    `SELECT "invite", "update", "thanks", "updatedAt"
+     FROM "emailPreferences"
+     WHERE "organizerId" = $1 AND "email" = $2`,
+    [organizerId, email]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const upsertPreferences = async (
+  organizerId,
+  email,
+  { invite, update, thanks }
+) => {
+  const result = await db.query(
+    `INSERT INTO "emailPreferences" ("organizerId", "email", "invite", "update", "thanks")
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT ("organizerId", "email") DO UPDATE
+     SET "invite" = EXCLUDED."invite",
+         "update" = EXCLUDED."update",
+         "thanks" = EXCLUDED."thanks"
+     RETURNING "invite", "update", "thanks", "updatedAt"`,
+    [organizerId, email, invite, update, thanks]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * The organizer's and the global suppression entries for an email
+ */
+export const getSuppressionsForEmail = async (organizerId, email) => {
+  const result = await db.query(
+    `SELECT "suppressionId", "organizerId", "reason", "source", "createdAt"
+     FROM "emailSuppressions"
+     WHERE "email" = $2 AND ("organizerId" IS NULL OR "organizerId" = $1)
+     ORDER BY "organizerId" NULLS FIRST`,
+    [organizerId, email]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Adds a suppression; null if the email is already suppressed at that scope
+ * (organizerId null = global)
+ */
+export const addSuppression = async ({
+  email,
+  organizerId,
+  reason,
+  source,
+  note,
+  createdBy,
+}) => {
+  const result = await db.query(
+    `INSERT INTO "emailSuppressions" (
+      "email", "organizerId", "reason", "source", "note", "createdBy"
+    )
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT DO NOTHING
+    RETURNING *`,
+    [
+      email,
+      organizerId || null,
+      reason,
+      source,
+      note || null,
+      createdBy || null,
+    ]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Removes the unsubscribes the recipient made themselves at one scope
+ * (organizerId null = global). Bounces, complaints and entries added by
+ * organizers or admins stay.
+ * @returns {Promise<number>} Number of entries removed
+ */
+export const deleteRecipientUnsubscribes = async (email, organizerId) => {
+  const result = await db.query(
+    `DELETE FROM "emailSuppressions"
+     WHERE "email" = $1
+       AND "organizerId" IS NOT DISTINCT FROM $2
+       AND "reason" = 'unsubscribed'
+       AND "source" IN ('oneClick', 'preferenceCenter')`,
+    [email, organizerId || null]
+  );
+
+  return result.rowCount;
+};
+
+/**
+ * Suppression list of one organizer, or the global list when organizerId
+ * is null
+ */
+export const listSuppressions = async (
+  organizerId,
+  { q, reason, limit, offset }
+) => {
+  const values = [organizerId || null];
+  const clauses = [`"organizerId" IS NOT DISTINCT FROM $1`];
+  if (q) {
+    values.push(`%${q.toLowerCase()}%`);
+    clauses.push(`"email" LIKE $${values.length}`);
+  }
+  if (reason) {
+    values.push(reason);
+    clauses.push(`"reason" = $${values.length}`);
+  }
+  values.push(limit, offset);
+
+  const result = await db.query(
+    `SELECT "suppressionId", "email", "organizerId", "reason", "source",
+            "note", "createdBy", "createdAt",
+            COUNT(*) OVER ()::int AS "totalCount"
+     FROM "emailSuppressions"
+     WHERE ${clauses.join(" AND ")}
+     ORDER BY "createdAt" DESC
+     LIMIT $${values.length - 1} OFFSET $${values.length}`,
+    values
+  );
+
+  return result.rows;
+};
+
+export const getSuppressionById = async (suppressionId, organizerId) => {
+  const result = await db.query(
+    `SELECT * FROM "emailSuppressions"
+     WHERE "suppressionId" = $1 AND "organizerId" IS NOT DISTINCT FROM $2`,
+    [suppressionId, organizerId || null]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const deleteSuppression = async (suppressionId) => {
+  await db.query(`DELETE FROM "emailSuppressions" WHERE "suppressionId" = $1`, [
+    suppressionId,
+  ]);
+};
+
+export default {
+  findBlockedEmails,
+  findOrganizerName,
+  getPreferences,
+  upsertPreferences,
+  getSuppressionsForEmail,
+  addSuppression,
+  deleteRecipientUnsubscribes,
+  listSuppressions,
+  getSuppressionById,
+  deleteSuppression,
+};
@@ -0,0 +1,44 @@
+import { Router } from "express";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import { apiLimiter } from "../../../middlewares/rateLimiters.js";
+import {
+  getPreferences,
+  updatePreferences,
+  unsubscribe,
+  resubscribe,
+} from "./emailPreference.controller.js";
+import {
+  validatePreferenceToken,
+  validateUpdatePreferences,
+  validateUnsubscribe,
+  validateResubscribe,
+} from "./emailPreference.validation.js";
+
+// Mounted on /api/v1/outreach/email-preferences ahead of the outreach
+// routes. Public: the signed token in the path identifies the recipient.
+const router = Router();
+
+router.use(apiLimiter);
+
+router.get("/:token", validatePreferenceToken, catchAsync(getPreferences));
+router.put(
+  "/:token",
+  validatePreferenceToken,
+  validateUpdatePreferences,
+  catchAsync(updatePreferences)
+);
+// Also the List-Unsubscribe one-click target
+router.post(
+  "/:token/unsubscribe",
+  validatePreferenceToken,
+  validateUnsubscribe,
+  catchAsync(unsubscribe)
+);
+router.post(
+  "/:token/resubscribe",
+  validatePreferenceToken,
+  validateResubscribe,
+  catchAsync(resubscribe)
+);
+
+export default router;
@@ -0,0 +1,339 @@
+import crypto from "crypto";
+import * as emailPreferenceRepository from "./emailPreference.repository.js";
+import { logServiceEvent } from "../../audit/audit.utils.js";
+import { OUTREACH_ACTIONS, ENTITY_TYPES } from "../../audit/audit.constants.js";
+import config from "../../../config/index.js";
+import { AppError } from "../../../utils/appError.js";
+
+/**
+ * Outreach Email Preferences
+ * Each outreach email carries a signed token naming the organizer and the
+ * recipient address. With it the recipient can unsubscribe in one click
+ * (List-Unsubscribe) or open the preference page to choose which outreach
+ * categories the organizer may send. Unsubscribes, bounces and blocks live
+ * on a suppression list, per organizer or global; every outreach send path
+ * filters its recipients through partitionRecipients first.
+ */
+
+export const OUTREACH_CATEGORIES = ["invite", "update", "thanks"];
+
+// Sources of a recipient's own unsubscribe; only the recipient can undo them
+const RECIPIENT_SOURCES = ["oneClick", "preferenceCenter"];
+
+export const normalizeEmail = (email) =>
+  String(email || "")
+    .trim()
+    .toLowerCase();
+
+const sign = (payload) =>
+  crypto
+    .createHmac("sha256", config.outreach.emailPreferences.tokenSecret)
+    .update(payload)
+    .digest("base64url");
+
+/**
+ * Token for one recipient address of one organizer. It does not expire:
+ * unsubscribe links must keep working in old emails.
+ */
+export const createPreferenceToken = (organizerId, email) => {
+  const payload = Buffer.from(
+    JSON.stringify({ o: organizerId, e: normalizeEmail(email) })
+  ).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * @returns {{organizerId: string, email: string}}
+ */
+export const verifyPreferenceToken = (token) => {
+  const [payload, signature, ...rest] = String(token || "").split(".");
+  const expected = Buffer.from(payload ? sign(payload) : "");
+  const given = Buffer.from(signature || "");
+  if (
+    !payload ||
+    rest.length > 0 ||
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    throw new AppError("This email preferences link is invalid", 400);
+  }
+
+  const { o: organizerId, e: email } = JSON.parse(
+    Buffer.from(payload, "base64url").toString("utf8")
+  );
+  return { organizerId, email };
+};
+
+/**
+ * Links and headers every outreach email to this recipient carries
+ * @returns {{unsubscribeUrl: string, preferencesUrl: string, headers: Object}}
+ */
+export const buildUnsubscribeLinks = (organizerId, email) => {
+  const { frontendUrl, apiBaseUrl } = config.outreach.emailPreferences;
+  const token = createPreferenceToken(organizerId, email);
+  const preferencesUrl = `${frontendUrl}/email-preferences?token=${token}`;
+
+  return {
+    unsubscribeUrl: `${preferencesUrl}&action=unsubscribe`,
+    preferencesUrl,
+    // RFC 8058 one-click: mail clients POST to the URL without user input
+    headers: {
+      "List-Unsubscribe": `<${apiBaseUrl}/api/v1/outreach/email-preferences/${token}/unsubscribe>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+  };
+};
+
+/**
+ * Splits recipients ({email, ...}) into those the organizer may send this
+ * category to and those suppressed or opted out, which get a
+ * suppressionReason
+ * @returns {Promise<{allowed: Array, suppressed: Array}>}
+ */
+export const partitionRecipients = async (
+  organizerId,
+  category,
+  recipients
+) => {
+  const emails = [
+    ...new Set(recipients.map((r) => normalizeEmail(r.email)).filter(Boolean)),
+  ];
+  const blocked = new Map(
+    (
+      await emailPreferenceRepository.findBlockedEmails(
+        organizerId,
+        category,
+        emails
+      )
+    ).map((row) => [row.email, row.reason])
+  );
+
+  const allowed = [];
+  const suppressed = [];
+  for (const recipient of recipients) {
+    const reason = blocked.get(normalizeEmail(recipient.email));
+    if (reason) {
+      suppressed.push({ ...recipient, suppressionReason: reason });
+    } else {
+      allowed.push(recipient);
+    }
+  }
+  return { allowed, suppressed };
+};
+
+const preferenceState = async (organizerId, email) => {
+  const [organizer, preferences, suppressions] = await Promise.all([
+    emailPreferenceRepository.findOrganizerName(organizerId),
+    emailPreferenceRepository.getPreferences(organizerId, email),
+    emailPreferenceRepository.getSuppressionsForEmail(organizerId, email),
+  ]);
+  if (!organizer) {
+    throw new AppError("This email preferences link is invalid", 400);
+  }
+
+  return {
+    email,
+    organizerName: organizer.name,
+    categories: {
+      invite: preferences?.invite ?? true,
+      update: preferences?.update ?? true,
+      thanks: preferences?.thanks ?? true,
+    },
+    unsubscribed: suppressions.some((s) => s.organizerId === organizerId),
+    unsubscribedFromAll: suppressions.some((s) => s.organizerId === null),
+  };
+};
+
+/**
+ * What the preference page shows for the token's recipient
+ */
+export const getPreferenceCenter = async (token) => {
+  const { organizerId, email } = verifyPreferenceToken(token);
+  return preferenceState(organizerId, email);
+};
+
+export const updatePreferences = async (token, categories) => {
+  const { organizerId, email } = verifyPreferenceToken(token);
+  await emailPreferenceRepository.upsertPreferences(
+    organizerId,
+    email,
+    categories
+  );
+
+  await logServiceEvent(
+    null,
+    OUTREACH_ACTIONS.EMAIL_PREFERENCES_UPDATED,
+    ENTITY_TYPES.EMAIL_PREFERENCE,
+    null,
+    { organizerId, email, categories }
+  );
+
+  return preferenceState(organizerId, email);
+};
+
+/**
+ * Stops outreach from the token's organizer, or with scope "all" from every
+ * organizer. Repeating it is harmless.
+ * @param {{scope: "organizer"|"all", source: "oneClick"|"preferenceCenter"}} options
+ */
+export const unsubscribe = async (token, { scope, source }) => {
+  const { organizerId, email } = verifyPreferenceToken(token);
+  const suppression = await emailPreferenceRepository.addSuppression({
+    email,
+    organizerId: scope === "all" ? null : organizerId,
+    reason: "unsubscribed",
+    source,
+  });
+
+  if (suppression) {
+    await logServiceEvent(
+      null,
+      OUTREACH_ACTIONS.EMAIL_UNSUBSCRIBED,
+      ENTITY_TYPES.EMAIL_SUPPRESSION,
+      suppression.suppressionId,
+      { organizerId, email, scope, source }
+    );
+  }
+
+  return preferenceState(organizerId, email);
+};
+
+/**
+ * Undoes the recipient's own unsubscribe at one scope. Suppressions added
+ * by the organizer or an admin (bounces, complaints, blocks) stay.
+ */
+export const resubscribe = async (token, { scope }) => {
+  const { organizerId, email } = verifyPreferenceToken(token);
+  const removed = await emailPreferenceRepository.deleteRecipientUnsubscribes(
+    email,
+    scope === "all" ? null : organizerId
+  );
+
+  if (removed > 0) {
+    await logServiceEvent(
+      null,
+      OUTREACH_ACTIONS.EMAIL_RESUBSCRIBED,
+      ENTITY_TYPES.EMAIL_SUPPRESSION,
+      null,
+      { organizerId, email, scope }
+    );
+  }
+
+  return preferenceState(organizerId, email);
+};
+
+const formatSuppression = ({ totalCount, ...suppression }) => suppression;
+
+/**
+ * Suppression list of an organizer, or the global list for organizerId null
+ */
+export const listSuppressions = async (
+  organizerId,
+  { q, reason, limit, offset }
+) => {
+  const rows = await emailPreferenceRepository.listSuppressions(organizerId, {
+    q: q?.trim() || null,
+    reason,
+    limit,
+    offset,
+  });
+
+  return {
+    suppressions: rows.map(formatSuppression),
+    total: rows[0]?.totalCount || 0,
+  };
+};
+
+/**
+ * Suppresses addresses for an organizer, or globally for organizerId null
+ * (admins)
+ * @returns {Promise<{added: Array, alreadySuppressed: Array<string>}>}
+ */
+export const addSuppressions = async (
+  organizerId,
+  { emails, reason, note },
+  userId
+) => {
+  const added = [];
+  const alreadySuppressed = [];
+  for (const email of [...new Set(emails.map(normalizeEmail))]) {
+    const suppression = await emailPreferenceRepository.addSuppression({
+      email,
+      organizerId,
+      reason,
+      source: organizerId ? "organizer" : "admin",
+      note,
+      createdBy: userId,
+    });
+    if (suppression) {
+      added.push(suppression);
+    } else {
+      alreadySuppressed.push(email);
+    }
+  }
+
+  if (added.length > 0) {
+    await logServiceEvent(
+      userId,
+      OUTREACH_ACTIONS.EMAIL_SUPPRESSION_ADDED,
+      ENTITY_TYPES.EMAIL_SUPPRESSION,
+      added.length === 1 ? added[0].suppressionId : null,
+      {
+        scope: organizerId ? "organizer" : "global",
+        reason,
+        emails: added.map((suppression) => suppression.email),
+      }
+    );
+  }
+
+  return { added, alreadySuppressed };
+};
+
+/**
+ * Removes an organizer's (or for organizerId null, a global) suppression.
+ * A recipient's own unsubscribe can only be undone by the recipient.
+ */
+export const removeSuppression = async (organizerId, suppressionId, userId) => {
+  const suppression = await emailPreferenceRepository.getSuppressionById(
+    suppressionId,
+    organizerId
+  );
+  if (!suppression) {
+    throw new AppError("Suppression not found", 404);
+  }
+  if (RECIPIENT_SOURCES.includes(suppression.source)) {
+    throw new AppError(
+      "The recipient unsubscribed themselves; only they can resubscribe",
+      403
+    );
+  }
+
+  await emailPreferenceRepository.deleteSuppression(suppressionId);
+  await logServiceEvent(
+    userId,
+    OUTREACH_ACTIONS.EMAIL_SUPPRESSION_REMOVED,
+    ENTITY_TYPES.EMAIL_SUPPRESSION,
+    suppressionId,
+    {
+      scope: organizerId ? "organizer" : "global",
+      email: suppression.email,
+      reason: suppression.reason,
+    }
+  );
+};
+
+export default {
+  OUTREACH_CATEGORIES,
+  normalizeEmail,
+  createPreferenceToken,
+  verifyPreferenceToken,
+  buildUnsubscribeLinks,
+  partitionRecipients,
+  getPreferenceCenter,
+  updatePreferences,
+  unsubscribe,
+  resubscribe,
+  listSuppressions,
+  addSuppressions,
+  removeSuppression,
+};
@@ -0,0 +1,94 @@
+import Joi from "joi";
+import { validate, validateData } from "../../../utils/validation.js";
+
+const SUPPRESSION_REASONS = ["unsubscribed", "bounced", "complained", "manual"];
+
+// Validation schemas
+const tokenSchema = Joi.object({
+  token: Joi.string()
+    .max(1000)
+    .pattern(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/)
+    .required()
+    .messages({
+      "string.pattern.base": "This email preferences link is invalid",
+      "any.required": "Token is required",
+    }),
+});
+
+const scopeField = Joi.string()
+  .valid("organizer", "all")
+  .default("organizer")
+  .messages({
+    "any.only": "Scope must be organizer or all",
+  });
+
+// Mail clients send the RFC 8058 one-click body "List-Unsubscribe=One-Click",
+// so an empty or form-encoded body must pass
+const unsubscribeSchema = Joi.object({
+  scope: scopeField,
+  "List-Unsubscribe": Joi.string().optional(),
+}).default();
+
+const resubscribeSchema = Joi.object({
+  scope: scopeField,
+}).default();
+
+const updatePreferencesSchema = Joi.object({
+  invite: Joi.boolean().required(),
+  update: Joi.boolean().required(),
+  thanks: Joi.boolean().required(),
+}).messages({
+  "any.required": "{#label} preference is required",
+});
+
+const listSuppressionsSchema = Joi.object({
+  q: Joi.string().trim().max(100).optional().allow(""),
+  reason: Joi.string()
+    .valid(...SUPPRESSION_REASONS)
+    .optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const addSuppressionsSchema = Joi.object({
+  emails: Joi.array()
+    .items(
+      Joi.string().trim().email().max(255).messages({
+        "string.email": "Please provide valid email addresses",
+      })
+    )
+    .min(1)
+    .max(500)
+    .required()
+    .messages({
+      "array.min": "Provide at least one email",
+      "any.required": "Emails are required",
+    }),
+  reason: Joi.string()
+    .valid("bounced", "complained", "manual")
+    .default("manual")
+    .messages({
+      "any.only": "Reason must be bounced, complained or manual",
+    }),
+  note: Joi.string().trim().max(500).optional().allow(""),
+});
+
+const suppressionIdSchema = Joi.object({
+  suppressionId: Joi.string().uuid().required().messages({
+    "string.guid": "Suppression ID must be a valid UUID",
+    "any.required": "Suppression ID is required",
+  }),
+});
+
+// Validation middlewares
+export const validatePreferenceToken = validate(tokenSchema, "params");
+export const validateUnsubscribe = validate(unsubscribeSchema);
+export const validateResubscribe = validate(resubscribeSchema);
+export const validateUpdatePreferences = validate(updatePreferencesSchema);
+export const validateAddSuppressions = validate(addSuppressionsSchema);
+export const validateSuppressionId = validate(suppressionIdSchema, "params");
+
+// Express 5 parses req.query afresh on every access, so the converted
+// values are returned rather than written back
+export const parseListSuppressionsQuery = (query) =>
+  validateData(listSuppressionsSchema, query);
@@ -0,0 +1,59 @@
+import { Router } from "express";
+import {
+  authenticate,
+  requireOrganizationUser,
+  restrictTo,
+} from "../../../middlewares/auth.middleware.js";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import { apiLimiter } from "../../../middlewares/rateLimiters.js";
+import {
+  listSuppressions,
+  addSuppressions,
+  removeSuppression,
+  listGlobalSuppressions,
+  addGlobalSuppressions,
+  removeGlobalSuppression,
+} from "./emailPreference.controller.js";
+import {
+  validateAddSuppressions,
+  validateSuppressionId,
+} from "./emailPreference.validation.js";
+
+// Mounted on /api/v1/outreach/suppressions ahead of the outreach routes
+const router = Router();
+const requireAdmin = restrictTo("superAdmin", "supportAdmin");
+
+router.use(apiLimiter);
+router.use(authenticate);
+
+// Global list, honored for every organizer
+router.get("/global", requireAdmin, catchAsync(listGlobalSuppressions));
+router.post(
+  "/global",
+  requireAdmin,
+  validateAddSuppressions,
+  catchAsync(addGlobalSuppressions)
+);
+router.delete(
+  "/global/:suppressionId",
+  requireAdmin,
+  validateSuppressionId,
+  catchAsync(removeGlobalSuppression)
+);
+
+// The organizer's own list
+router.get("/", requireOrganizationUser, catchAsync(listSuppressions));
+router.post(
+  "/",
+  requireOrganizationUser,
+  validateAddSuppressions,
+  catchAsync(addSuppressions)
+);
+router.delete(
+  "/:suppressionId",
+  requireOrganizationUser,
+  validateSuppressionId,
+  catchAsync(removeSuppression)
+);
+
+export default router;
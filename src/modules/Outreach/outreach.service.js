@@ -32,6 +32,10 @@ import {
 import { refreshStatsForOutreachCampaign } from "./outreachCampaign/outreachCampaignStatsRefresh.service.js";
 import { sendOutreachEmail } from "../../utils/email.utils.js";
 import { markRecipientSendResultByCampaignContact } from "./outreachCampaign/outreachCampaignRecipients.repository.js";
+import {
+  partitionRecipients,
+  buildUnsubscribeLinks,
+} from "./emailPreferences/emailPreference.service.js";
 import {
   createInvitationTemplate,
   createUpdateTemplate,
@@ -246,10 +250,22 @@ export const sendOutreachEmailService = async (emailData, organizerId) => {
       );
     }
 
-    const results = [];
+    // Addresses that unsubscribed or opted out of this type are skipped
+    const { allowed, suppressed } = await partitionRecipients(
+      organizerId,
+      type,
+      recipients
+    );
+    const results = suppressed.map((recipient) => ({
+      contactId: recipient.contactId,
+      email: recipient.email,
+      success: false,
+      suppressed: true,
+      reason: recipient.suppressionReason,
+    }));
 
     // Send emails to each recipient
-    for (const recipient of recipients) {
+    for (const recipient of allowed) {
       let linkToken;
       try {
         // Create link token for this recipient
@@ -293,6 +309,10 @@ export const sendOutreachEmailService = async (emailData, organizerId) => {
         let emailHtml;
         let subject;
 
+        const unsubscribeLinks = buildUnsubscribeLinks(
+          organizerId,
+          recipient.email
+        );
         const templateData = {
           organizerName: organizer.name || organizer.email,
           campaignTitle: campaign.name,
@@ -301,6 +321,8 @@ export const sendOutreachEmailService = async (emailData, organizerId) => {
           personalizedMessage,
           prefillAmount,
           linkTokenId: linkToken.linkTokenId,
+          unsubscribeUrl: unsubscribeLinks.unsubscribeUrl,
+          preferencesUrl: unsubscribeLinks.preferencesUrl,
         };
 
         switch (type) {
@@ -332,6 +354,7 @@ export const sendOutreachEmailService = async (emailData, organizerId) => {
           {
             linkTokenId: linkToken.linkTokenId,
             contactId: recipient.contactId,
+            headers: unsubscribeLinks.headers,
           }
         );
 
@@ -379,7 +402,8 @@ export const sendOutreachEmailService = async (emailData, organizerId) => {
       type,
       totalRecipients: recipients.length,
       successfulSends: results.filter((r) => r.success).length,
-      failedSends: results.filter((r) => !r.success).length,
+      failedSends: results.filter((r) => !r.success && !r.suppressed).length,
+      suppressedSends: suppressed.length,
       results,
     };
   } catch (error) {
@@ -886,6 +910,15 @@ export const deleteOutreachLinkToken = async (linkTokenId, organizerId) => {
   }
 };
 
+// Results for recipients skipped because they unsubscribed or opted out
+const suppressedResults = (suppressed) =>
+  suppressed.map((recipient) => ({
+    contactId: recipient.contactId,
+    email: recipient.email,
+    status: "suppressed",
+    reason: recipient.suppressionReason,
+  }));
+
 /**
  * Send outreach invitations for a specific outreach campaign
  * @param {Object} invitationData - Invitation data
@@ -923,10 +956,23 @@ export const sendOutreachInvitations = async (
       throw new NotFoundError("Organizer not found");
     }
 
-    const results = [];
+    // Addresses that unsubscribed or opted out of invitations are skipped
+    const { allowed, suppressed } = await partitionRecipients(
+      organizerId,
+      "invite",
+      recipients
+    );
+    for (const recipient of suppressed) {
+      await markRecipientSendResultByCampaignContact(
+        outreachCampaignId,
+        recipient.contactId,
+        { status: "suppressed", failureReason: recipient.suppressionReason }
+      );
+    }
+    const results = suppressedResults(suppressed);
 
     // Send invitations to each recipient
-    for (const recipient of recipients) {
+    for (const recipient of allowed) {
       let linkToken;
       try {
         // Create link token for this recipient with outreachCampaignId
@@ -966,6 +1012,10 @@ export const sendOutreachInvitations = async (
         );
 
         // Create invitation email template
+        const unsubscribeLinks = buildUnsubscribeLinks(
+          organizerId,
+          recipient.email
+        );
         const templateData = {
           organizerName: organizer.name || organizer.email,
           campaignTitle: campaign.name,
@@ -974,6 +1024,8 @@ export const sendOutreachInvitations = async (
           personalizedMessage: message,
           prefillAmount,
           linkTokenId: linkToken.linkTokenId,
+          unsubscribeUrl: unsubscribeLinks.unsubscribeUrl,
+          preferencesUrl: unsubscribeLinks.preferencesUrl,
         };
 
         const emailHtml = createInvitationTemplate(templateData);
@@ -991,6 +1043,7 @@ export const sendOutreachInvitations = async (
         await sendOutreachEmail(toEmail, subject, emailHtml, {
           linkTokenId: linkToken.linkTokenId,
           contactId: recipient.contactId,
+          headers: unsubscribeLinks.headers,
         });
 
         // Mark recipient as sent
@@ -1061,6 +1114,7 @@ export const sendOutreachInvitations = async (
       totalRecipients: recipients.length,
       successful: results.filter((r) => r.status === "sent").length,
       failed: results.filter((r) => r.status === "failed").length,
+      suppressed: suppressed.length,
       results,
     };
 
@@ -1145,10 +1199,16 @@ export const sendOutreachUpdates = async (
       };
     }
 
-    const results = [];
+    // Addresses that unsubscribed or opted out of updates are skipped
+    const { allowed, suppressed } = await partitionRecipients(
+      organizerId,
+      "update",
+      recipients
+    );
+    const results = suppressedResults(suppressed);
 
     // Send updates to each recipient
-    for (const recipient of recipients) {
+    for (const recipient of allowed) {
       try {
         // Create link token for this recipient with outreachCampaignId
         const linkTokenData = {
@@ -1187,6 +1247,10 @@ export const sendOutreachUpdates = async (
         );
 
         // Create update email template
+        const unsubscribeLinks = buildUnsubscribeLinks(
+          organizerId,
+          recipient.email
+        );
         const templateData = {
           organizerName: organizer.name || organizer.email,
           campaignTitle: campaign.name,
@@ -1194,6 +1258,8 @@ export const sendOutreachUpdates = async (
           trackedLink: trackingUrl,
           personalizedMessage: message,
           linkTokenId: linkToken.linkTokenId,
+          unsubscribeUrl: unsubscribeLinks.unsubscribeUrl,
+          preferencesUrl: unsubscribeLinks.preferencesUrl,
         };
 
         const emailHtml = createUpdateTemplate(templateData);
@@ -1202,11 +1268,10 @@ export const sendOutreachUpdates = async (
         }`;
 
         // Send email
-        await sendOutreachEmail({
-          to: recipient.email,
-          subject,
-          html: emailHtml,
+        await sendOutreachEmail(recipient.email, subject, emailHtml, {
           linkTokenId: linkToken.linkTokenId,
+          contactId: recipient.contactId,
+          headers: unsubscribeLinks.headers,
         });
 
         // Record sent event
@@ -1252,6 +1317,7 @@ export const sendOutreachUpdates = async (
       totalRecipients: recipients.length,
       successful: results.filter((r) => r.status === "sent").length,
       failed: results.filter((r) => r.status === "failed").length,
+      suppressed: suppressed.length,
       results,
     };
 
@@ -1333,10 +1399,16 @@ export const sendOutreachThanks = async (
       };
     }
 
-    const results = [];
+    // Addresses that unsubscribed or opted out of thank-yous are skipped
+    const { allowed, suppressed } = await partitionRecipients(
+      organizerId,
+      "thanks",
+      donors
+    );
+    const results = suppressedResults(suppressed);
 
     // Send thank-you emails to each donor
-    for (const donor of donors) {
+    for (const donor of allowed) {
       try {
         // Create link token for this donor with outreachCampaignId
         const linkTokenData = {
@@ -1375,6 +1447,10 @@ export const sendOutreachThanks = async (
         );
 
         // Create thank-you email template
+        const unsubscribeLinks = buildUnsubscribeLinks(
+          organizerId,
+          donor.email
+        );
         const templateData = {
           organizerName: organizer.name || organizer.email,
           campaignTitle: campaign.name,
@@ -1383,17 +1459,18 @@ export const sendOutreachThanks = async (
           trackedLink: trackingUrl,
           personalizedMessage: message,
           linkTokenId: linkToken.linkTokenId,
+          unsubscribeUrl: unsubscribeLinks.unsubscribeUrl,
+          preferencesUrl: unsubscribeLinks.preferencesUrl,
         };
 
         const emailHtml = createThankYouTemplate(templateData);
         const subject = `Thank you for supporting ${campaign.name}!`;
 
         // Send email
-        await sendOutreachEmail({
-          to: donor.email,
-          subject,
-          html: emailHtml,
+        await sendOutreachEmail(donor.email, subject, emailHtml, {
           linkTokenId: linkToken.linkTokenId,
+          contactId: donor.contactId,
+          headers: unsubscribeLinks.headers,
         });
 
         // Record sent event
@@ -1439,6 +1516,7 @@ export const sendOutreachThanks = async (
       totalRecipients: donors.length,
       successful: results.filter((r) => r.status === "sent").length,
       failed: results.filter((r) => r.status === "failed").length,
+      suppressed: suppressed.length,
       results,
     };
 
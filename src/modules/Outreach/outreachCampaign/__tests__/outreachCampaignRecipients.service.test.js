@@ -0,0 +1,155 @@
+// src/modules/Outreach/outreachCampaign/__tests__/outreachCampaignRecipients.service.test.js
+
+import { resendFailedInvitations } from '../outreachCampaignRecipients.service.js';
+import * as recipientsRepository from '../outreachCampaignRecipients.repository.js';
+import { getOutreachCampaignById } from '../outreachCampaign.repository.js';
+import {
+  partitionRecipients,
+  buildUnsubscribeLinks,
+} from '../../emailPreferences/emailPreference.service.js';
+import { createLinkToken } from '../../linkTokens/linkToken.repository.js';
+import { recordEmailEvent } from '../../emailEvents/emailEvent.repository.js';
+import { findCampaignById } from '../../../campaign/campaigns/campaign.repository.js';
+import { getUserById } from '../../../users/organizationUser/user.service.js';
+import { sendOutreachEmail } from '../../../../utils/email.utils.js';
+
+// Mock dependencies
+jest.mock('../outreachCampaignRecipients.repository.js');
+jest.mock('../outreachCampaign.repository.js');
+jest.mock('../../contacts/contact.repository.js', () => ({}));
+jest.mock('../../emailPreferences/emailPreference.service.js', () => ({
+  partitionRecipients: jest.fn(),
+  buildUnsubscribeLinks: jest.fn(),
+}));
+jest.mock('../../linkTokens/linkToken.repository.js', () => ({
+  createLinkToken: jest.fn(),
+}));
+jest.mock('../../emailEvents/emailEvent.repository.js', () => ({
+  recordEmailEvent: jest.fn(),
+}));
+jest.mock('../../../campaign/campaigns/campaign.repository.js', () => ({
+  findCampaignById: jest.fn(),
+}));
+jest.mock('../../../users/organizationUser/user.service.js', () => ({
+  getUserById: jest.fn(),
+}));
+jest.mock('../../../../utils/email.utils.js', () => ({
+  sendOutreachEmail: jest.fn(),
+}));
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('OutreachCampaignRecipientsService', () => {
+  const organizerId = 'organizer-1';
+  const recipient = {
+    recipientId: 'r-1',
+    contactId: 'contact-1',
+    email: 'ada@example.com',
+  };
+
+  beforeEach(() => {
+    getOutreachCampaignById.mockResolvedValue({
+      outreachCampaignId: 'oc-1',
+      campaignId: 'campaign-1',
+      name: 'Spring drive',
+    });
+    findCampaignById.mockResolvedValue({
+      campaignId: 'campaign-1',
+      name: 'Clean Water',
+      description: 'Wells for Chongwe',
+      shareLink: 'abc123',
+    });
+    getUserById.mockResolvedValue({ name: 'Water Trust' });
+    createLinkToken.mockResolvedValue({
+      linkTokenId: 'lt-1',
+      utmSource: 'outreach',
+      utmMedium: 'email',
+      utmCampaign: 'Spring drive',
+      utmContent: 'invite',
+    });
+    buildUnsubscribeLinks.mockReturnValue({
+      unsubscribeUrl:
+        'https://app/email-preferences?token=t&action=unsubscribe',
+      preferencesUrl: 'https://app/email-preferences?token=t',
+      headers: { 'List-Unsubscribe': '<https://api/unsubscribe>' },
+    });
+  });
+
+  describe('resendFailedInvitations', () => {
+    it('should resend the invitation template with unsubscribe links', async () => {
+      recipientsRepository.getFailedRecipientsByCampaign.mockResolvedValue([
+        recipient,
+      ]);
+      partitionRecipients.mockResolvedValue({
+        allowed: [recipient],
+        suppressed: [],
+      });
+
+      const result = await resendFailedInvitations('oc-1', organizerId);
+
+      expect(result).toEqual({ successful: 1, failed: 0, suppressed: 0 });
+      expect(createLinkToken).toHaveBeenCalledWith(
+        expect.objectContaining({
+          campaignId: 'campaign-1',
+          contactId: 'contact-1',
+          type: 'invite',
+          outreachCampaignId: 'oc-1',
+        }),
+        organizerId
+      );
+      const [to, subject, html, options] = sendOutreachEmail.mock.calls[0];
+      expect(to).toBe('ada@example.com');
+      expect(subject).toBe('Water Trust invites you to support: Clean Water');
+      expect(html).toContain('Clean Water');
+      expect(html).toContain(
+        'https://app/email-preferences?token=t&action=unsubscribe'
+      );
+      expect(options).toEqual(
+        expect.objectContaining({
+          linkTokenId: 'lt-1',
+          headers: { 'List-Unsubscribe': '<https://api/unsubscribe>' },
+        })
+      );
+      expect(recipientsRepository.markRecipientSendResult).toHaveBeenCalledWith(
+        'r-1',
+        { status: 'sent', failureReason: null }
+      );
+      expect(recordEmailEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ linkTokenId: 'lt-1', type: 'sent' })
+      );
+    });
+
+    it('should mark suppressed and failed sends', async () => {
+      const unsubscribed = {
+        ...recipient,
+        recipientId: 'r-2',
+        suppressionReason: 'unsubscribed',
+      };
+      recipientsRepository.getFailedRecipientsByCampaign.mockResolvedValue([
+        recipient,
+        unsubscribed,
+      ]);
+      partitionRecipients.mockResolvedValue({
+        allowed: [recipient],
+        suppressed: [unsubscribed],
+      });
+      sendOutreachEmail.mockRejectedValue(new Error('SMTP down'));
+
+      const result = await resendFailedInvitations('oc-1', organizerId);
+
+      expect(result).toEqual({ successful: 0, failed: 1, suppressed: 1 });
+      expect(recipientsRepository.markRecipientSendResult).toHaveBeenCalledWith(
+        'r-2',
+        { status: 'suppressed', failureReason: 'unsubscribed' }
+      );
+      expect(recipientsRepository.markRecipientSendResult).toHaveBeenCalledWith(
+        'r-1',
+        { status: 'failed', failureReason: 'SMTP down' }
+      );
+    });
+  });
+});
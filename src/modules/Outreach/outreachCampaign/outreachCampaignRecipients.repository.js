@@ -1,20 +1,30 @@
 import { query } from "../../../db/index.js";
 import { DatabaseError } from "../../../utils/appError.js";
 
+// Skips contacts whose email is already a recipient of the outreach campaign
+const NOT_ALREADY_RECIPIENT = `NOT EXISTS (
+  SELECT 1 FROM "outreachCampaignRecipients" r
+  WHERE r."outreachCampaignId" = $1
+    AND LOWER(TRIM(r."email")) = LOWER(TRIM(c."email"))
+)`;
+
 export const addRecipientsForSegments = async (
   outreachCampaignId,
   organizerId,
   segmentIds
 ) => {
   try {
+    // One recipient per email: a person in several segments is emailed once
     const sql = `
       INSERT INTO "outreachCampaignRecipients" ("outreachCampaignId", "contactId", "email")
-      SELECT $1, c."contactId", c."email"
+      SELECT DISTINCT ON (LOWER(TRIM(c."email"))) $1::uuid, c."contactId", c."email"
       FROM "contacts" c
       JOIN "segments" s ON c."segmentId" = s."segmentId"
       WHERE s."organizerId" = $2
         AND c."segmentId" = ANY($3::uuid[])
         AND c."email" IS NOT NULL AND c."email" <> ''
+        AND ${NOT_ALREADY_RECIPIENT}
+      ORDER BY LOWER(TRIM(c."email")), c."createdAt"
       ON CONFLICT ("outreachCampaignId", "contactId") DO NOTHING
       RETURNING *;
     `;
@@ -32,10 +42,12 @@ export const addRecipientsForAllContacts = async (
   try {
     const sql = `
       INSERT INTO "outreachCampaignRecipients" ("outreachCampaignId", "contactId", "email")
-      SELECT $1, c."contactId", c."email"
+      SELECT DISTINCT ON (LOWER(TRIM(c."email"))) $1::uuid, c."contactId", c."email"
       FROM "contacts" c
       JOIN "segments" s ON c."segmentId" = s."segmentId"
       WHERE s."organizerId" = $2 AND c."email" IS NOT NULL AND c."email" <> ''
+        AND ${NOT_ALREADY_RECIPIENT}
+      ORDER BY LOWER(TRIM(c."email")), c."createdAt"
       ON CONFLICT ("outreachCampaignId", "contactId") DO NOTHING
       RETURNING *;
     `;
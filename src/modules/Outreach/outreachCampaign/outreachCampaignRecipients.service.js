@@ -9,7 +9,19 @@ import {
   getAllContactsByOrganizer,
 } from "../contacts/contact.repository.js";
 import { getOutreachCampaignById } from "./outreachCampaign.repository.js";
+import {
+  partitionRecipients,
+  buildUnsubscribeLinks,
+} from "../emailPreferences/emailPreference.service.js";
+import { createLinkToken } from "../linkTokens/linkToken.repository.js";
+import { recordEmailEvent } from "../emailEvents/emailEvent.repository.js";
+import { findCampaignById } from "../../campaign/campaigns/campaign.repository.js";
+import { getUserById } from "../../users/organizationUser/user.service.js";
 import { sendOutreachEmail } from "../../../utils/email.utils.js";
+import {
+  createInvitationTemplate,
+  generateTrackingLink,
+} from "../../../utils/emailTemplates.js";
 import { AppError } from "../../../utils/appError.js";
 
 export const addRecipientsBySegments = async (
@@ -41,18 +53,88 @@ export const resendFailedInvitations = async (
   outreachCampaignId,
   organizerId
 ) => {
-  await getOutreachCampaignById(outreachCampaignId, organizerId);
+  const outreachCampaign = await getOutreachCampaignById(
+    outreachCampaignId,
+    organizerId
+  );
+  const campaign = await findCampaignById(outreachCampaign.campaignId);
+  const organizer = await getUserById(organizerId);
+  const organizerName = organizer.name || organizer.email;
+  const campaignUrl = `${process.env.FRONTEND_URL}/campaign/${
+    campaign.shareLink
+  }-${(campaign.name || "")
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, "-")
+    .replace(/[^a-z0-9-]/g, "")
+    .slice(0, 80)}`;
+
   const failed = await getFailedRecipientsByCampaign(outreachCampaignId);
+  // Recipients who unsubscribed since are not retried
+  const { allowed, suppressed } = await partitionRecipients(
+    organizerId,
+    "invite",
+    failed
+  );
+  for (const r of suppressed) {
+    await markRecipientSendResult(r.recipientId, {
+      status: "suppressed",
+      failureReason: r.suppressionReason,
+    });
+  }
   let successful = 0;
   let failedCount = 0;
-  for (const r of failed) {
+  for (const r of allowed) {
     try {
-      // TODO: integrate real email payload/template if needed
-      await sendOutreachEmail({ to: r.email, subject: "Invitation", html: "" });
+      const linkToken = await createLinkToken(
+        {
+          campaignId: campaign.campaignId,
+          contactId: r.contactId,
+          segmentId: null,
+          type: "invite",
+          utmSource: "outreach",
+          utmMedium: "email",
+          utmCampaign: outreachCampaign.name,
+          utmContent: "invite",
+          outreachCampaignId,
+        },
+        organizerId
+      );
+      const unsubscribeLinks = buildUnsubscribeLinks(organizerId, r.email);
+      const emailHtml = createInvitationTemplate({
+        organizerName,
+        campaignTitle: campaign.name,
+        campaignDescription: campaign.description,
+        trackedLink: generateTrackingLink(campaignUrl, linkToken.linkTokenId, {
+          utm_source: linkToken.utmSource,
+          utm_medium: linkToken.utmMedium,
+          utm_campaign: linkToken.utmCampaign,
+          utm_content: linkToken.utmContent,
+        }),
+        linkTokenId: linkToken.linkTokenId,
+        unsubscribeUrl: unsubscribeLinks.unsubscribeUrl,
+        preferencesUrl: unsubscribeLinks.preferencesUrl,
+      });
+
+      await sendOutreachEmail(
+        r.email,
+        `${organizerName} invites you to support: ${campaign.name}`,
+        emailHtml,
+        {
+          linkTokenId: linkToken.linkTokenId,
+          contactId: r.contactId,
+          headers: unsubscribeLinks.headers,
+        }
+      );
       await markRecipientSendResult(r.recipientId, {
         status: "sent",
         failureReason: null,
       });
+      await recordEmailEvent({
+        linkTokenId: linkToken.linkTokenId,
+        contactId: r.contactId,
+        type: "sent",
+      });
       successful += 1;
     } catch (e) {
       await markRecipientSendResult(r.recipientId, {
@@ -62,5 +144,5 @@ export const resendFailedInvitations = async (
       failedCount += 1;
     }
   }
-  return { successful, failed: failedCount };
+  return { successful, failed: failedCount, suppressed: suppressed.length };
 };
@@ -0,0 +1,275 @@
+// src/modules/Outreach/people/__tests__/people.service.test.js
+
+import {
+  listPeople,
+  getPerson,
+  mergeContacts,
+  dedupeContacts,
+  exportContactsCsv,
+} from '../people.service.js';
+import * as peopleRepository from '../people.repository.js';
+import { transaction } from '../../../../db/index.js';
+import { logServiceEvent } from '../../../audit/audit.utils.js';
+import { OUTREACH_ACTIONS } from '../../../audit/audit.constants.js';
+
+// Mock dependencies
+jest.mock('../people.repository.js');
+jest.mock('../../../../db/index.js', () => ({
+  transaction: jest.fn(),
+}));
+jest.mock('../../../audit/audit.utils.js');
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('PeopleService', () => {
+  const organizerId = 'organizer-1';
+
+  const engagement = (overrides = {}) => ({
+    emailsOpened: 3,
+    emailsSent: 2,
+    opens: 2,
+    clicks: 1,
+    donations: 1,
+    donatedAmount: '150.00',
+    lastEmailedAt: '2026-03-01T10:00:00.000Z',
+    ...overrides,
+  });
+
+  const contact = (overrides = {}) => ({
+    contactId: 'contact-1',
+    segmentId: 'segment-1',
+    name: 'Mary Banda',
+    email: 'mary@example.com',
+    description: null,
+    emailsOpened: 0,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    transaction.mockImplementation(async (callback) => callback('client'));
+    peopleRepository.mergeRecipients.mockResolvedValue({ kept: 1, removed: 1 });
+    peopleRepository.reassignContactHistory.mockResolvedValue();
+    peopleRepository.deleteContacts.mockResolvedValue();
+    peopleRepository.updateMergedContact.mockImplementation(
+      async (contactId, update) => ({ ...contact({ contactId }), ...update })
+    );
+    logServiceEvent.mockResolvedValue();
+  });
+
+  it('lists people with their combined engagement', async () => {
+    peopleRepository.listPeople.mockResolvedValue([
+      {
+        email: 'mary@example.com',
+        name: 'Mary Banda',
+        contactCount: 2,
+        segmentCount: 2,
+        contacts: [],
+        totalCount: 12,
+        ...engagement(),
+      },
+    ]);
+
+    const result = await listPeople(organizerId, {
+      q: ' mary ',
+      limit: 50,
+      offset: 0,
+    });
+
+    expect(peopleRepository.listPeople).toHaveBeenCalledWith(
+      organizerId,
+      expect.objectContaining({ q: 'mary' })
+    );
+    expect(result.total).toBe(12);
+    expect(result.people[0]).toMatchObject({
+      email: 'mary@example.com',
+      contactCount: 2,
+      donatedAmount: 150,
+    });
+  });
+
+  it('returns 404 for an email with no contacts', async () => {
+    peopleRepository.listContactsWithEngagement.mockResolvedValue([]);
+
+    await expect(
+      getPerson(organizerId, 'nobody@example.com')
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it("totals a person's engagement across segments", async () => {
+    peopleRepository.listContactsWithEngagement.mockResolvedValue([
+      { ...contact(), ...engagement() },
+      {
+        ...contact({ contactId: 'contact-2', segmentId: 'segment-2' }),
+        ...engagement({ emailsSent: 1, donatedAmount: '50.50' }),
+      },
+    ]);
+
+    const person = await getPerson(organizerId, 'Mary@Example.com');
+
+    expect(person.email).toBe('mary@example.com');
+    expect(person.contacts).toHaveLength(2);
+    expect(person.totals).toMatchObject({
+      emailsSent: 3,
+      donatedAmount: 200.5,
+    });
+  });
+
+  describe('mergeContacts', () => {
+    it('moves history to the target and deletes the sources', async () => {
+      peopleRepository.lockContacts.mockResolvedValue([
+        contact({ emailsOpened: 2 }),
+        contact({
+          contactId: 'contact-2',
+          segmentId: 'segment-2',
+          email: 'Mary@Example.com',
+          description: 'Class of 2012',
+          emailsOpened: 5,
+        }),
+      ]);
+
+      const result = await mergeContacts(organizerId, {
+        targetContactId: 'contact-1',
+        sourceContactIds: ['contact-2'],
+      });
+
+      expect(peopleRepository.mergeRecipients).toHaveBeenCalledWith(
+        'contact-1',
+        ['contact-2'],
+        'client'
+      );
+      expect(peopleRepository.reassignContactHistory).toHaveBeenCalledWith(
+        'contact-1',
+        ['contact-2'],
+        'client'
+      );
+      expect(peopleRepository.updateMergedContact).toHaveBeenCalledWith(
+        'contact-1',
+        { emailsOpened: 7, description: 'Class of 2012' },
+        'client'
+      );
+      expect(peopleRepository.deleteContacts).toHaveBeenCalledWith(
+        ['contact-2'],
+        'client'
+      );
+      expect(result).toMatchObject({
+        mergedCount: 1,
+        removedFromSegments: ['segment-2'],
+      });
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        organizerId,
+        OUTREACH_ACTIONS.CONTACTS_MERGED,
+        expect.any(String),
+        'contact-1',
+        expect.any(Object)
+      );
+    });
+
+    it("refuses contacts that are not the organizer's", async () => {
+      peopleRepository.lockContacts.mockResolvedValue([contact()]);
+
+      await expect(
+        mergeContacts(organizerId, {
+          targetContactId: 'contact-1',
+          sourceContactIds: ['contact-9'],
+        })
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(peopleRepository.deleteContacts).not.toHaveBeenCalled();
+    });
+
+    it('refuses to merge a contact into itself', async () => {
+      await expect(
+        mergeContacts(organizerId, {
+          targetContactId: 'contact-1',
+          sourceContactIds: ['contact-1'],
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('dedupeContacts', () => {
+    const groups = [
+      {
+        segmentId: 'segment-1',
+        email: 'mary@example.com',
+        contactIds: ['contact-1', 'contact-2'],
+      },
+    ];
+
+    it('only lists duplicates on a dry run', async () => {
+      peopleRepository.findSegmentDuplicateGroups.mockResolvedValue(groups);
+
+      const result = await dedupeContacts(organizerId, { dryRun: true });
+
+      expect(result).toEqual({ dryRun: true, groups, mergedCount: 0 });
+      expect(peopleRepository.lockContacts).not.toHaveBeenCalled();
+    });
+
+    it('merges each group into its oldest contact', async () => {
+      peopleRepository.findSegmentDuplicateGroups.mockResolvedValue(groups);
+      peopleRepository.lockContacts.mockResolvedValue([
+        contact(),
+        contact({ contactId: 'contact-2', email: 'MARY@example.com' }),
+      ]);
+
+      const result = await dedupeContacts(organizerId, { dryRun: false });
+
+      expect(peopleRepository.deleteContacts).toHaveBeenCalledWith(
+        ['contact-2'],
+        'client'
+      );
+      expect(result.mergedCount).toBe(1);
+    });
+  });
+
+  describe('exportContactsCsv', () => {
+    it('writes one line per contact', async () => {
+      peopleRepository.listContactsWithEngagement.mockResolvedValue([
+        {
+          ...contact({ name: 'Banda, Mary' }),
+          segmentName: 'Alumni',
+          createdAt: '2026-01-15T08:00:00.000Z',
+          ...engagement(),
+        },
+      ]);
+
+      const { fileName, csv } = await exportContactsCsv(organizerId, {
+        groupBy: 'contact',
+      });
+
+      expect(fileName).toMatch(/^contacts-\d{4}-\d{2}-\d{2}\.csv$/);
+      expect(csv.split('\r\n')).toEqual([
+        'Name,Email,Segment,Added,Emails sent,Opens,Clicks,Donations,Donated amount,Open events,Last emailed',
+        '"Banda, Mary",mary@example.com,Alumni,2026-01-15T08:00:00.000Z,2,2,1,1,150.00,3,2026-03-01T10:00:00.000Z',
+      ]);
+    });
+
+    it('writes one line per person', async () => {
+      peopleRepository.listPeople.mockResolvedValue([
+        {
+          email: 'mary@example.com',
+          name: 'Mary Banda',
+          contactCount: 2,
+          segmentCount: 2,
+          contacts: [
+            { contactId: 'contact-1', segmentName: 'Alumni' },
+            { contactId: 'contact-2', segmentName: 'Donors' },
+          ],
+          totalCount: 1,
+          ...engagement({ lastEmailedAt: null }),
+        },
+      ]);
+
+      const { csv } = await exportContactsCsv(organizerId, {
+        groupBy: 'person',
+      });
+
+      expect(csv.split('\r\n')[1]).toBe(
+        'mary@example.com,Mary Banda,Alumni; Donors,2,2,2,1,1,150.00,3,'
+      );
+    });
+  });
+});
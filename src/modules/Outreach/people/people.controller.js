@@ -0,0 +1,53 @@
+import * as peopleService from "./people.service.js";
+import {
+  parseListPeopleQuery,
+  parseExportContactsQuery,
+} from "./people.validation.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+export const listPeople = async (req, res) => {
+  const result = await peopleService.listPeople(
+    req.user.userId,
+    parseListPeopleQuery(req.query)
+  );
+
+  return ResponseFactory.ok(res, "People retrieved successfully", result);
+};
+
+export const getPerson = async (req, res) => {
+  const result = await peopleService.getPerson(
+    req.user.userId,
+    req.params.email
+  );
+
+  return ResponseFactory.ok(res, "Person retrieved successfully", result);
+};
+
+export const mergeContacts = async (req, res) => {
+  const result = await peopleService.mergeContacts(req.user.userId, req.body);
+
+  return ResponseFactory.ok(res, "Contacts merged successfully", result);
+};
+
+export const dedupeContacts = async (req, res) => {
+  const result = await peopleService.dedupeContacts(req.user.userId, req.body);
+
+  return ResponseFactory.ok(
+    res,
+    result.dryRun
+      ? "Duplicate contacts found"
+      : "Duplicate contacts merged successfully",
+    result
+  );
+};
+
+export const exportContacts = async (req, res) => {
+  const { fileName, csv } = await peopleService.exportContactsCsv(
+    req.user.userId,
+    parseExportContactsQuery(req.query)
+  );
+
+  res.setHeader("Content-Type", "text/csv");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  return res.send(csv);
+};
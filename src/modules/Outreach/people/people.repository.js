@@ -0,0 +1,276 @@
+import { db } from "../../../db/index.js";
+
+// A person is every contact of an organizer sharing this email
+const PERSON_EMAIL = `LOWER(TRIM(c."email"))`;
+
+// Outreach engagement per contact, from the outreach campaigns it was added
+// to; $1 is always the organizer
+const ENGAGEMENT_JOIN = `
+  LEFT JOIN (
+    SELECT r."contactId",
+      COUNT(*) FILTER (WHERE r."status" = 'sent')::int AS "emailsSent",
+      COUNT(*) FILTER (WHERE r."opened" = TRUE)::int AS "opens",
+      COUNT(*) FILTER (WHERE r."clicked" = TRUE)::int AS "clicks",
+      COUNT(*) FILTER (WHERE r."donated" = TRUE)::int AS "donations",
+      COALESCE(SUM(r."donatedAmount"), 0) AS "donatedAmount",
+      MAX(r."lastSendAt") AS "lastEmailedAt"
+    FROM "outreachCampaignRecipients" r
+    JOIN "contacts" rc ON rc."contactId" = r."contactId"
+    JOIN "segments" rs ON rs."segmentId" = rc."segmentId"
+    WHERE rs."organizerId" = $1
+    GROUP BY r."contactId"
+  ) e ON e."contactId" = c."contactId"`;
+
+const CONTACT_COLUMNS = `
+  c."contactId", c."name", c."email", c."description",
+  COALESCE(c."emailsOpened", 0)::int AS "emailsOpened",
+  c."createdAt", s."segmentId", s."name" AS "segmentName",
+  COALESCE(e."emailsSent", 0) AS "emailsSent",
+  COALESCE(e."opens", 0) AS "opens",
+  COALESCE(e."clicks", 0) AS "clicks",
+  COALESCE(e."donations", 0) AS "donations",
+  COALESCE(e."donatedAmount", 0) AS "donatedAmount",
+  e."lastEmailedAt"`;
+
+const buildFilters = (organizerId, { q, segmentId }) => {
+  const values = [organizerId];
+  const clauses = [`s."organizerId" = $1`];
+  if (segmentId) {
+    values.push(segmentId);
+    clauses.push(`c."segmentId" = $${values.length}`);
+  }
+  if (q) {
+    values.push(`%${q.toLowerCase()}%`);
+    clauses.push(
+      `(${PERSON_EMAIL} LIKE $${values.length} OR LOWER(c."name") LIKE $${values.length})`
+    );
+  }
+  return { values, where: clauses.join(" AND ") };
+};
+
+/**
+ * People grouped by email with their segments and summed engagement.
+ * With segmentId or q, only matching contacts are grouped.
+ */
+export const listPeople = async (
+  organizerId,
+  { q, segmentId, duplicatesOnly, limit, offset }
+) => {
+  const { values, where } = buildFilters(organizerId, { q, segmentId });
+  let paging = "";
+  if (limit != null) {
+    values.push(limit, offset || 0);
+    paging = `LIMIT $${values.length - 1} OFFSET $${values.length}`;
+  }
+
+  const result = await db.query(
+    `SELECT
+       ${PERSON_EMAIL} AS "email",
+       (ARRAY_AGG(c."name" ORDER BY c."updatedAt" DESC NULLS LAST))[1] AS "name",
+       json_agg(json_build_object(
+         'contactId', c."contactId",
+         'name', c."name",
+         'segmentId', s."segmentId",
+         'segmentName', s."name"
+       ) ORDER BY s."name") AS "contacts",
+       COUNT(*)::int AS "contactCount",
+       COUNT(DISTINCT c."segmentId")::int AS "segmentCount",
+       SUM(COALESCE(c."emailsOpened", 0))::int AS "emailsOpened",
+       SUM(COALESCE(e."emailsSent", 0))::int AS "emailsSent",
+       SUM(COALESCE(e."opens", 0))::int AS "opens",
+       SUM(COALESCE(e."clicks", 0))::int AS "clicks",
+       SUM(COALESCE(e."donations", 0))::int AS "donations",
+       SUM(COALESCE(e."donatedAmount", 0)) AS "donatedAmount",
+       MAX(e."lastEmailedAt") AS "lastEmailedAt",
+       MIN(c."createdAt") AS "firstAddedAt",
+       COUNT(*) OVER ()::int AS "totalCount"
+     FROM "contacts" c
+     JOIN "segments" s ON s."segmentId" = c."segmentId"
+     ${ENGAGEMENT_JOIN}
+     WHERE ${where}
+     GROUP BY ${PERSON_EMAIL}
+     ${duplicatesOnly ? "HAVING COUNT(*) > 1" : ""}
+     ORDER BY ${PERSON_EMAIL}
+     ${paging}`,
+    values
+  );
+
+  return result.rows;
+};
+
+/**
+ * Contacts with their segment and engagement, for one person (email) or
+ * for export
+ */
+export const listContactsWithEngagement = async (
+  organizerId,
+  { email, segmentId }
+) => {
+  const { values, where } = buildFilters(organizerId, { segmentId });
+  let emailClause = "";
+  if (email) {
+    values.push(email.toLowerCase().trim());
+    emailClause = `AND ${PERSON_EMAIL} = $${values.length}`;
+  }
+
+  const result = await db.query(
+    `SELECT ${CONTACT_COLUMNS}
+     FROM "contacts" c
+     JOIN "segments" s ON s."segmentId" = c."segmentId"
+     ${ENGAGEMENT_JOIN}
+     WHERE ${where} ${emailClause}
+     ORDER BY ${PERSON_EMAIL}, s."name", c."createdAt"`,
+    values
+  );
+
+  return result.rows;
+};
+
+/**
+ * Contacts in the same segment whose emails differ only by case or
+ * surrounding spaces, oldest first in each group
+ */
+export const findSegmentDuplicateGroups = async (organizerId, segmentId) => {
+  const values = [organizerId];
+  let segmentClause = "";
+  if (segmentId) {
+    values.push(segmentId);
+    segmentClause = `AND c."segmentId" = $2`;
+  }
+
+  const result = await db.query(
+    `SELECT c."segmentId", ${PERSON_EMAIL} AS "email",
+            ARRAY_AGG(c."contactId" ORDER BY c."createdAt", c."contactId") AS "contactIds"
+     FROM "contacts" c
+     JOIN "segments" s ON s."segmentId" = c."segmentId"
+     WHERE s."organizerId" = $1 ${segmentClause}
+     GROUP BY c."segmentId", ${PERSON_EMAIL}
+     HAVING COUNT(*) > 1
+     ORDER BY c."segmentId", ${PERSON_EMAIL}`,
+    values
+  );
+
+  return result.rows;
+};
+
+/**
+ * Locks the organizer's contacts with the given IDs for a merge
+ */
+export const lockContacts = async (organizerId, contactIds, client) => {
+  const result = await client.query(
+    `SELECT c."contactId", c."segmentId", c."name", c."email",
+            c."description", COALESCE(c."emailsOpened", 0)::int AS "emailsOpened"
+     FROM "contacts" c
+     JOIN "segments" s ON s."segmentId" = c."segmentId"
+     WHERE s."organizerId" = $1 AND c."contactId" = ANY($2)
+     FOR UPDATE OF c`,
+    [organizerId, contactIds]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Moves the sources' outreach recipients to the target. Where several of
+ * the merged contacts were recipients of the same outreach campaign, one
+ * row (the target's if it has one) keeps the combined engagement and the
+ * others are deleted.
+ * @returns {Promise<{kept: number, removed: number}>}
+ */
+export const mergeRecipients = async (
+  targetContactId,
+  sourceContactIds,
+  client
+) => {
+  const allContactIds = [targetContactId, ...sourceContactIds];
+
+  const updated = await client.query(
+    `WITH merged AS (
+       SELECT * FROM "outreachCampaignRecipients" WHERE "contactId" = ANY($2)
+     ),
+     keepers AS (
+       SELECT DISTINCT ON ("outreachCampaignId") "recipientId", "outreachCampaignId"
+       FROM merged
+       ORDER BY "outreachCampaignId", ("contactId" = $1) DESC, "createdAt"
+     ),
+     totals AS (
+       SELECT "outreachCampaignId",
+              BOOL_OR("opened") AS "opened",
+              BOOL_OR("clicked") AS "clicked",
+              BOOL_OR("donated") AS "donated",
+              SUM("donatedAmount") AS "donatedAmount",
+              BOOL_OR("status" = 'sent') AS "sent",
+              MAX("lastSendAt") AS "lastSendAt"
+       FROM merged
+       GROUP BY "outreachCampaignId"
+     )
+     UPDATE "outreachCampaignRecipients" r
+     SET "contactId" = $1,
+         "opened" = t."opened",
+         "clicked" = t."clicked",
+         "donated" = t."donated",
+         "donatedAmount" = t."donatedAmount",
+         "status" = CASE WHEN t."sent" THEN 'sent' ELSE r."status" END,
+         "lastSendAt" = t."lastSendAt"
+     FROM keepers k
+     JOIN totals t ON t."outreachCampaignId" = k."outreachCampaignId"
+     WHERE r."recipientId" = k."recipientId"`,
+    [targetContactId, allContactIds]
+  );
+
+  const deleted = await client.query(
+    `DELETE FROM "outreachCampaignRecipients" WHERE "contactId" = ANY($1)`,
+    [sourceContactIds]
+  );
+
+  return { kept: updated.rowCount, removed: deleted.rowCount };
+};
+
+/**
+ * Points link tokens, email events and donations at the target contact
+ */
+export const reassignContactHistory = async (
+  targetContactId,
+  sourceContactIds,
+  client
+) => {
+  for (const table of ["linkTokens", "emailEvents", "donations"]) {
+    await client.query(
+      `UPDATE "${table}" SET "contactId" = $1 WHERE "contactId" = ANY($2)`,
+      [targetContactId, sourceContactIds]
+    );
+  }
+};
+
+export const updateMergedContact = async (
+  contactId,
+  { emailsOpened, description },
+  client
+) => {
+  const result = await client.query(
+    `UPDATE "contacts"
+     SET "emailsOpened" = $2, "description" = $3, "updatedAt" = CURRENT_TIMESTAMP
+     WHERE "contactId" = $1
+     RETURNING *`,
+    [contactId, emailsOpened, description]
+  );
+
+  return result.rows[0];
+};
+
+export const deleteContacts = async (contactIds, client) => {
+  await client.query(`DELETE FROM "contacts" WHERE "contactId" = ANY($1)`, [
+    contactIds,
+  ]);
+};
+
+export default {
+  listPeople,
+  listContactsWithEngagement,
+  findSegmentDuplicateGroups,
+  lockContacts,
+  mergeRecipients,
+  reassignContactHistory,
+  updateMergedContact,
+  deleteContacts,
+};
@@ -0,0 +1,34 @@
+import { Router } from "express";
+import {
+  authenticate,
+  requireOrganizationUser,
+} from "../../../middlewares/auth.middleware.js";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import { apiLimiter } from "../../../middlewares/rateLimiters.js";
+import {
+  listPeople,
+  getPerson,
+  mergeContacts,
+  dedupeContacts,
+  exportContacts,
+} from "./people.controller.js";
+import {
+  validatePersonEmail,
+  validateMergeContacts,
+  validateDedupeContacts,
+} from "./people.validation.js";
+
+// Mounted on /api/v1/outreach/people ahead of the outreach routes
+const router = Router();
+
+router.use(apiLimiter);
+router.use(authenticate);
+router.use(requireOrganizationUser);
+
+router.get("/", catchAsync(listPeople));
+router.get("/export", catchAsync(exportContacts));
+router.post("/merge", validateMergeContacts, catchAsync(mergeContacts));
+router.post("/dedupe", validateDedupeContacts, catchAsync(dedupeContacts));
+router.get("/:email", validatePersonEmail, catchAsync(getPerson));
+
+export default router;
@@ -0,0 +1,312 @@
+import * as peopleRepository from "./people.repository.js";
+import { logServiceEvent } from "../../audit/audit.utils.js";
+import { OUTREACH_ACTIONS, ENTITY_TYPES } from "../../audit/audit.constants.js";
+import { transaction } from "../../../db/index.js";
+import { AppError } from "../../../utils/appError.js";
+import logger from "../../../utils/logger.js";
+
+/**
+ * Outreach People
+ * Contacts belong to one segment each, so one person can be several
+ * contacts. This module groups an organizer's contacts by email
+ * (case-insensitive) into people with their combined outreach engagement,
+ * merges duplicate contacts, and exports contacts or people as CSV.
+ */
+
+const formatEngagement = (row) => ({
+  emailsOpened: row.emailsOpened,
+  emailsSent: row.emailsSent,
+  opens: row.opens,
+  clicks: row.clicks,
+  donations: row.donations,
+  donatedAmount: parseFloat(row.donatedAmount) || 0,
+  lastEmailedAt: row.lastEmailedAt || null,
+});
+
+const formatPerson = (row) => ({
+  email: row.email,
+  name: row.name,
+  contactCount: row.contactCount,
+  segmentCount: row.segmentCount,
+  contacts: row.contacts,
+  ...formatEngagement(row),
+  firstAddedAt: row.firstAddedAt,
+});
+
+const formatContact = (row) => ({
+  contactId: row.contactId,
+  name: row.name,
+  email: row.email,
+  description: row.description,
+  segmentId: row.segmentId,
+  segmentName: row.segmentName,
+  ...formatEngagement(row),
+  createdAt: row.createdAt,
+});
+
+/**
+ * @returns {Promise<{people: Array, total: number}>}
+ */
+export const listPeople = async (
+  organizerId,
+  { q, segmentId, duplicatesOnly, limit, offset }
+) => {
+  const rows = await peopleRepository.listPeople(organizerId, {
+    q: q?.trim() || null,
+    segmentId,
+    duplicatesOnly,
+    limit,
+    offset,
+  });
+
+  return {
+    people: rows.map(formatPerson),
+    total: rows[0]?.totalCount || 0,
+  };
+};
+
+/**
+ * One person: each of their contacts with its segment and engagement
+ */
+export const getPerson = async (organizerId, email) => {
+  const contacts = await peopleRepository.listContactsWithEngagement(
+    organizerId,
+    { email }
+  );
+  if (contacts.length === 0) {
+    throw new AppError("No contacts with this email", 404);
+  }
+
+  const sum = (field) =>
+    contacts.reduce((total, contact) => total + Number(contact[field] || 0), 0);
+  return {
+    email: email.toLowerCase().trim(),
+    contacts: contacts.map(formatContact),
+    totals: {
+      emailsOpened: sum("emailsOpened"),
+      emailsSent: sum("emailsSent"),
+      opens: sum("opens"),
+      clicks: sum("clicks"),
+      donations: sum("donations"),
+      donatedAmount: Math.round(sum("donatedAmount") * 100) / 100,
+    },
+  };
+};
+
+const mergeInTransaction = async (
+  organizerId,
+  targetContactId,
+  sourceContactIds
+) =>
+  transaction(async (client) => {
+    const contacts = await peopleRepository.lockContacts(
+      organizerId,
+      [targetContactId, ...sourceContactIds],
+      client
+    );
+    const target = contacts.find((c) => c.contactId === targetContactId);
+    const sources = contacts.filter((c) => c.contactId !== targetContactId);
+    if (!target || sources.length !== sourceContactIds.length) {
+      throw new AppError("Contact not found", 404);
+    }
+
+    const recipients = await peopleRepository.mergeRecipients(
+      targetContactId,
+      sourceContactIds,
+      client
+    );
+    await peopleRepository.reassignContactHistory(
+      targetContactId,
+      sourceContactIds,
+      client
+    );
+    const contact = await peopleRepository.updateMergedContact(
+      targetContactId,
+      {
+        emailsOpened: contacts.reduce((total, c) => total + c.emailsOpened, 0),
+        description:
+          target.description ||
+          sources.find((source) => source.description)?.description ||
+          null,
+      },
+      client
+    );
+    await peopleRepository.deleteContacts(sourceContactIds, client);
+
+    return { contact, sources, recipients };
+  });
+
+/**
+ * Merges source contacts into a target contact: their outreach recipients,
+ * tracked links, email events, donation attribution and open counts move
+ * to the target, and the sources are deleted. A source in another segment
+ * leaves that segment.
+ */
+export const mergeContacts = async (
+  organizerId,
+  { targetContactId, sourceContactIds }
+) => {
+  const sourceIds = [...new Set(sourceContactIds)];
+  if (sourceIds.includes(targetContactId)) {
+    throw new AppError("A contact cannot be merged into itself", 400);
+  }
+
+  const { contact, sources, recipients } = await mergeInTransaction(
+    organizerId,
+    targetContactId,
+    sourceIds
+  );
+
+  const removedFromSegments = [
+    ...new Set(
+      sources
+        .map((source) => source.segmentId)
+        .filter((segmentId) => segmentId !== contact.segmentId)
+    ),
+  ];
+  await logServiceEvent(
+    organizerId,
+    OUTREACH_ACTIONS.CONTACTS_MERGED,
+    ENTITY_TYPES.CONTACT,
+    targetContactId,
+    {
+      sourceContacts: sources.map(({ contactId, email, segmentId }) => ({
+        contactId,
+        email,
+        segmentId,
+      })),
+      recipientsRemoved: recipients.removed,
+      removedFromSegments,
+    }
+  );
+
+  return {
+    contact: {
+      contactId: contact.contactId,
+      name: contact.name,
+      email: contact.email,
+      description: contact.description,
+      emailsOpened: contact.emailsOpened,
+      segmentId: contact.segmentId,
+    },
+    mergedCount: sources.length,
+    removedFromSegments,
+  };
+};
+
+/**
+ * Merges contacts in the same segment whose emails differ only by case or
+ * spacing into the oldest one. With dryRun, only lists them.
+ */
+export const dedupeContacts = async (organizerId, { segmentId, dryRun }) => {
+  const groups = await peopleRepository.findSegmentDuplicateGroups(
+    organizerId,
+    segmentId
+  );
+  if (dryRun) {
+    return { dryRun: true, groups, mergedCount: 0 };
+  }
+
+  let mergedCount = 0;
+  for (const group of groups) {
+    const [targetContactId, ...sourceContactIds] = group.contactIds;
+    try {
+      const result = await mergeContacts(organizerId, {
+        targetContactId,
+        sourceContactIds,
+      });
+      mergedCount += result.mergedCount;
+    } catch (error) {
+      // The group changed since it was listed; the next run picks it up
+      logger.warn("Skipped duplicate contact group", {
+        error: error.message,
+        segmentId: group.segmentId,
+        email: group.email,
+      });
+    }
+  }
+
+  return { dryRun: false, groups, mergedCount };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvDate = (value) => (value ? new Date(value).toISOString() : "");
+
+const ENGAGEMENT_HEADERS = [
+  "Emails sent",
+  "Opens",
+  "Clicks",
+  "Donations",
+  "Donated amount",
+  "Open events",
+  "Last emailed",
+];
+
+const engagementCells = (row) => [
+  row.emailsSent,
+  row.opens,
+  row.clicks,
+  row.donations,
+  row.donatedAmount.toFixed(2),
+  row.emailsOpened,
+  csvDate(row.lastEmailedAt),
+];
+
+/**
+ * CSV of contacts (one line per contact) or people (one line per email)
+ * with their outreach engagement
+ * @returns {Promise<{fileName: string, csv: string}>}
+ */
+export const exportContactsCsv = async (
+  organizerId,
+  { segmentId, groupBy }
+) => {
+  let lines;
+  if (groupBy === "person") {
+    const { people } = await listPeople(organizerId, { segmentId });
+    lines = [
+      ["Email", "Name", "Segments", "Contacts", ...ENGAGEMENT_HEADERS],
+      ...people.map((person) => [
+        person.email,
+        person.name,
+        [...new Set(person.contacts.map((c) => c.segmentName))].join("; "),
+        person.contactCount,
+        ...engagementCells(person),
+      ]),
+    ];
+  } else {
+    const contacts = (
+      await peopleRepository.listContactsWithEngagement(organizerId, {
+        segmentId,
+      })
+    ).map(formatContact);
+    lines = [
+      ["Name", "Email", "Segment", "Added", ...ENGAGEMENT_HEADERS],
+      ...contacts.map((contact) => [
+        contact.name,
+        contact.email,
+        contact.segmentName,
+        csvDate(contact.createdAt),
+        ...engagementCells(contact),
+      ]),
+    ];
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  return {
+    fileName: `${groupBy === "person" ? "people" : "contacts"}-${date}.csv`,
+    csv: lines.map((line) => line.map(csvCell).join(",")).join("\r\n"),
+  };
+};
+
+export default {
+  listPeople,
+  getPerson,
+  mergeContacts,
+  dedupeContacts,
+  exportContactsCsv,
+};
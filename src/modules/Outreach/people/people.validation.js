@@ -0,0 +1,64 @@
+import Joi from "joi";
+import { validate, validateData } from "../../../utils/validation.js";
+
+// Validation schemas
+const listPeopleSchema = Joi.object({
+  q: Joi.string().trim().max(100).optional().allow(""),
+  segmentId: Joi.string().uuid().optional().messages({
+    "string.guid": "Segment ID must be a valid UUID",
+  }),
+  duplicatesOnly: Joi.boolean().default(false),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const exportContactsSchema = Joi.object({
+  segmentId: Joi.string().uuid().optional().messages({
+    "string.guid": "Segment ID must be a valid UUID",
+  }),
+  groupBy: Joi.string().valid("contact", "person").default("contact").messages({
+    "any.only": "groupBy must be contact or person",
+  }),
+});
+
+const personEmailSchema = Joi.object({
+  email: Joi.string().trim().email().required().messages({
+    "string.email": "Please provide a valid email address",
+    "any.required": "Email is required",
+  }),
+});
+
+const mergeContactsSchema = Joi.object({
+  targetContactId: Joi.string().uuid().required().messages({
+    "string.guid": "Target contact ID must be a valid UUID",
+    "any.required": "Target contact ID is required",
+  }),
+  sourceContactIds: Joi.array()
+    .items(Joi.string().uuid())
+    .min(1)
+    .max(50)
+    .required()
+    .messages({
+      "array.min": "Choose at least one contact to merge",
+      "any.required": "Source contact IDs are required",
+    }),
+});
+
+const dedupeContactsSchema = Joi.object({
+  segmentId: Joi.string().uuid().optional().messages({
+    "string.guid": "Segment ID must be a valid UUID",
+  }),
+  dryRun: Joi.boolean().default(false),
+});
+
+// Validation middlewares
+export const validatePersonEmail = validate(personEmailSchema, "params");
+export const validateMergeContacts = validate(mergeContactsSchema);
+export const validateDedupeContacts = validate(dedupeContactsSchema);
+
+// Express 5 parses req.query afresh on every access, so the converted
+// values are returned rather than written back
+export const parseListPeopleQuery = (query) =>
+  validateData(listPeopleSchema, query);
+export const parseExportContactsQuery = (query) =>
+  validateData(exportContactsSchema, query);
@@ -35,7 +35,8 @@ export const getCampaignAnalyticsSummary = async (req, res) => {
   const { campaignId } = req.params;
 
   const analyticsData = await analyticsService.getCampaignAnalyticsSummary(
-    campaignId
+    campaignId,
+    req.query.currency
   );
 
   ResponseFactory.ok(
@@ -61,7 +62,8 @@ export const getCampaignFinancialMetrics = async (req, res) => {
   const { campaignId } = req.params;
 
   const financialData = await analyticsService.getCampaignFinancialMetrics(
-    campaignId
+    campaignId,
+    req.query.currency
   );
 
   ResponseFactory.ok(
@@ -111,11 +113,12 @@ export const getCampaignDonorInsights = async (req, res) => {
  */
 export const getCampaignTopDonors = async (req, res) => {
   const { campaignId } = req.params;
-  const { limit } = req.query;
+  const { limit, currency } = req.query;
 
   const topDonors = await analyticsService.getCampaignTopDonors(
     campaignId,
-    limit ? parseInt(limit) : undefined
+    limit ? parseInt(limit) : undefined,
+    currency
   );
 
   ResponseFactory.ok(res, "Campaign top donors retrieved successfully", {
@@ -139,7 +142,7 @@ export const getCampaignTopDonors = async (req, res) => {
  */
 export const getCampaignProgress = async (req, res) => {
   const { campaignId } = req.params;
-  const { goalAmount } = req.query;
+  const { goalAmount, currency } = req.query;
 
   if (!goalAmount) {
     return ResponseFactory.badRequest(
@@ -150,7 +153,8 @@ export const getCampaignProgress = async (req, res) => {
 
   const progressData = await analyticsService.getCampaignProgress(
     campaignId,
-    parseFloat(goalAmount)
+    parseFloat(goalAmount),
+    currency
   );
 
   ResponseFactory.ok(
@@ -185,7 +189,10 @@ export const healthCheck = (req, res) => {
  */
 export const getTopOrganizers = async (req, res) => {
   const limit = Math.min(parseInt(req.query.limit) || 5, 20);
-  const data = await analyticsService.getTopOrganizers(limit);
+  const data = await analyticsService.getTopOrganizers(
+    limit,
+    req.query.currency
+  );
   ResponseFactory.ok(res, "Top organizers retrieved", data);
 };
 
@@ -194,6 +201,9 @@ export const getTopOrganizers = async (req, res) => {
  */
 export const getTopCampaigns = async (req, res) => {
   const limit = Math.min(parseInt(req.query.limit) || 5, 20);
-  const data = await analyticsService.getTopCampaigns(limit);
+  const data = await analyticsService.getTopCampaigns(
+    limit,
+    req.query.currency
+  );
   ResponseFactory.ok(res, "Top campaigns retrieved", data);
 };
@@ -1,17 +1,33 @@
 import { db } from "../../db/index.js";
 import logger from "../../utils/logger.js";
 
+// Per-campaign figures are summed from baseAmount, i.e. in the campaign's
+// baseCurrency. Cross-campaign leaderboards convert each donation into the
+// requested currency with the latest rate; donations whose currency has no
+// published rate are left out of the ranking.
+const convertedAmount = (currencyParam) => `(d."baseAmount" * CASE
+  WHEN d."baseCurrency" = ${currencyParam} THEN 1
+  ELSE fx."rate"
+END)`;
+
+const joinLatestRate = (currencyParam) => `LEFT JOIN "latestExchangeRates" fx
+  ON fx."fromCurrency" = d."baseCurrency" AND fx."toCurrency" = ${currencyParam}`;
+
 /**
- * Get campaign financial summary including total raised, average donation, and largest donation
+ * Get campaign financial summary including total raised, average donation, and largest donation.
+ * totalRaised includes sponsor matches; the per-donation figures cover organic giving only.
  */
 export const getCampaignFinancialSummary = async (campaignId) => {
   try {
     const query = `
       SELECT 
-        COALESCE(SUM(d.amount), 0) as "totalRaised",
-        COALESCE(AVG(d.amount), 0) as "averageDonation",
-        COALESCE(MAX(d.amount), 0) as "largestDonation",
-        COUNT(d."donationId") as "totalDonations"
+        COALESCE(SUM(d."baseAmount"), 0) as "totalRaised",
+        COALESCE(SUM(d."baseAmount") FILTER (WHERE d."matchPoolId" IS NULL), 0) as "organicRaised",
+        COALESCE(SUM(d."baseAmount") FILTER (WHERE d."matchPoolId" IS NOT NULL), 0) as "matchedRaised",
+        COALESCE(AVG(d."baseAmount") FILTER (WHERE d."matchPoolId" IS NULL), 0) as "averageDonation",
+        COALESCE(MAX(d."baseAmount") FILTER (WHERE d."matchPoolId" IS NULL), 0) as "largestDonation",
+        COUNT(d."donationId") FILTER (WHERE d."matchPoolId" IS NULL) as "totalDonations",
+        COUNT(d."donationId") FILTER (WHERE d."matchPoolId" IS NOT NULL) as "matchedDonations"
       FROM "donations" d
       WHERE d."campaignId" = $1
       AND d."status" = 'completed'
@@ -39,6 +55,7 @@ export const getCampaignUniqueDonors = async (campaignId) => {
       WHERE d."campaignId" = $1
       AND d."donorUserId" IS NOT NULL
       AND d."status" = 'completed'
+      AND d."matchPoolId" IS NULL
     `;
 
     const result = await db.query(query, [campaignId]);
@@ -65,6 +82,7 @@ export const getCampaignDonorBreakdown = async (campaignId) => {
       FROM "donations" d
       WHERE d."campaignId" = $1
       AND d."status" = 'completed'
+      AND d."matchPoolId" IS NULL
     `;
 
     const result = await db.query(query, [campaignId]);
@@ -88,6 +106,8 @@ export const getCampaignTopDonors = async (campaignId, limit = 10) => {
         d."donorUserId",
         d."isAnonymous",
         d.amount,
+        d."currency",
+        d."baseAmount",
         d."donationDate",
         dm."messageText",
         dm."status" as "messageStatus",
@@ -111,7 +131,7 @@ export const getCampaignTopDonors = async (campaignId, limit = 10) => {
       LEFT JOIN "organizationProfiles" op ON d."donorUserId" = op."userId"
       WHERE d."campaignId" = $1
       AND d."status" = 'completed'
-      ORDER BY d.amount DESC
+      ORDER BY d."baseAmount" DESC
       LIMIT $2
     `;
 
@@ -134,9 +154,9 @@ export const getCampaignAnalyticsSummary = async (campaignId) => {
   try {
     const query = `
       SELECT 
-        COALESCE(SUM(d.amount), 0) as "totalRaised",
-        COALESCE(AVG(d.amount), 0) as "averageDonation",
-        COALESCE(MAX(d.amount), 0) as "largestDonation",
+        COALESCE(SUM(d."baseAmount"), 0) as "totalRaised",
+        COALESCE(AVG(d."baseAmount"), 0) as "averageDonation",
+        COALESCE(MAX(d."baseAmount"), 0) as "largestDonation",
         COUNT(d."donationId") as "totalDonations",
         COUNT(DISTINCT d."donorUserId") as "uniqueDonors",
         COUNT(CASE WHEN d."isAnonymous" = true THEN 1 END) as "anonymousCount",
@@ -158,14 +178,14 @@ export const getCampaignAnalyticsSummary = async (campaignId) => {
 };
 
 /**
- * Get top organizers by total completed donations (sum of amount)
+ * Get top organizers by total completed donations, converted into `currency`
  */
-export const getTopOrganizersByDonations = async (limit = 5) => {
+export const getTopOrganizersByDonations = async (limit = 5, currency) => {
   try {
     const query = `
       SELECT 
         d."organizerId",
-        COALESCE(SUM(d.amount), 0) AS "totalRaised",
+        COALESCE(SUM(${convertedAmount("$2")}), 0) AS "totalRaised",
         COUNT(*) AS "completedCount",
         op."organizationShortName",
         op."organizationName",
@@ -174,13 +194,14 @@ export const getTopOrganizersByDonations = async (limit = 5) => {
       FROM "donations" d
       JOIN "organizationProfiles" op ON d."organizerId" = op."userId"
       LEFT JOIN "media" m ON op."profilePictureMediaId" = m."mediaId"
+      ${joinLatestRate("$2")}
       WHERE d."status" = 'completed'
       GROUP BY d."organizerId", op."organizationShortName", op."organizationName", op."profilePictureMediaId", m."fileName"
       ORDER BY "totalRaised" DESC
       LIMIT $1
     `;
 
-    const result = await db.query(query, [limit]);
+    const result = await db.query(query, [limit, currency]);
     return result.rows;
   } catch (error) {
     logger.error("Error getting top organizers by donations", {
@@ -191,27 +212,28 @@ export const getTopOrganizersByDonations = async (limit = 5) => {
 };
 
 /**
- * Get top campaigns by total completed donations (sum of amount)
+ * Get top campaigns by total completed donations, converted into `currency`
  */
-export const getTopCampaignsByDonations = async (limit = 5) => {
+export const getTopCampaignsByDonations = async (limit = 5, currency) => {
   try {
     const query = `
       SELECT 
         d."campaignId",
-        COALESCE(SUM(d.amount), 0) AS "totalRaised",
+        COALESCE(SUM(${convertedAmount("$2")}), 0) AS "totalRaised",
         COUNT(*) AS "completedCount",
         c."name" as "campaignTitle",
         c."shareLink" as "campaignShareLink",
         c."customPageSettings" 
       FROM "donations" d
       JOIN "campaigns" c ON d."campaignId" = c."campaignId"
+      ${joinLatestRate("$2")}
       WHERE d."status" = 'completed'
       GROUP BY d."campaignId", c."name", c."shareLink", c."customPageSettings"
       ORDER BY "totalRaised" DESC
       LIMIT $1
     `;
 
-    const result = await db.query(query, [limit]);
+    const result = await db.query(query, [limit, currency]);
     return result.rows;
   } catch (error) {
     logger.error("Error getting top campaigns by donations", {
@@ -220,3 +242,22 @@ export const getTopCampaignsByDonations = async (limit = 5) => {
     throw error;
   }
 };
+
+/**
+ * Get the currency a campaign's totals are kept in
+ */
+export const getCampaignBaseCurrency = async (campaignId) => {
+  try {
+    const result = await db.query(
+      `SELECT "baseCurrency" FROM "campaigns" WHERE "campaignId" = $1`,
+      [campaignId]
+    );
+    return result.rows[0]?.baseCurrency || null;
+  } catch (error) {
+    logger.error("Error getting campaign base currency", {
+      campaignId,
+      error: error.message,
+    });
+    throw error;
+  }
+};
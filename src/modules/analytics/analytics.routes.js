@@ -10,6 +10,7 @@
  * - Financial metrics and progress tracking routes
  * - Donor insights and breakdown analysis routes
  * - Top donors ranking and statistics routes
+ * - Optional ?currency= on every amount-reporting route
  * - Middleware integration for validation and authentication
  * - RESTful route organization
  *
@@ -31,6 +32,7 @@ import {
   getTopOrganizers,
   getTopCampaigns,
 } from "./analytics.controller.js";
+import { validateReportingCurrency } from "./analytics.validation.js";
 
 const router = Router();
 
@@ -45,6 +47,7 @@ router.use(logRequestCount);
 router.get(
   "/campaigns/:campaignId/analytics/summary",
   authenticate,
+  validateReportingCurrency,
   catchAsync(getCampaignAnalyticsSummary)
 );
 
@@ -56,6 +59,7 @@ router.get(
 router.get(
   "/campaigns/:campaignId/analytics/financial",
   authenticate,
+  validateReportingCurrency,
   catchAsync(getCampaignFinancialMetrics)
 );
 
@@ -78,6 +82,7 @@ router.get(
 router.get(
   "/campaigns/:campaignId/analytics/top-donors",
   authenticate,
+  validateReportingCurrency,
   catchAsync(getCampaignTopDonors)
 );
 
@@ -89,6 +94,7 @@ router.get(
 router.get(
   "/campaigns/:campaignId/analytics/progress",
   authenticate,
+  validateReportingCurrency,
   catchAsync(getCampaignProgress)
 );
 
@@ -100,7 +106,15 @@ router.get(
 router.get("/health", healthCheck);
 
 // Leaderboards (public)
-router.get("/leaderboard/top-organizers", catchAsync(getTopOrganizers));
-router.get("/leaderboard/top-campaigns", catchAsync(getTopCampaigns));
+router.get(
+  "/leaderboard/top-organizers",
+  validateReportingCurrency,
+  catchAsync(getTopOrganizers)
+);
+router.get(
+  "/leaderboard/top-campaigns",
+  validateReportingCurrency,
+  catchAsync(getTopCampaigns)
+);
 
 export default router;
@@ -10,12 +10,14 @@
  * - Donor analytics and insights
  * - Performance metrics and trends
  * - Data formatting and business rules
+ * - Amounts reported in the campaign's base currency or a requested currency
  *
  * @author FundFlow Team
  * @version 1.0.0
  */
 
 import * as analyticsRepository from "./analytics.repository.js";
+import * as exchangeRateService from "../payment/exchangeRates/exchangeRate.service.js";
 import { NotFoundError, ValidationError } from "../../utils/appError.js";
 import logger from "../../utils/logger.js";
 import { getPublicS3Url } from "../../utils/s3.utils.js";
@@ -28,9 +30,10 @@ class AnalyticsService {
   /**
    * Get comprehensive campaign analytics summary
    * @param {string} campaignId - Campaign ID
+   * @param {string} [currency] - Report currency (defaults to the campaign's base currency)
    * @returns {Promise<Object>} Formatted analytics data
    */
-  async getCampaignAnalyticsSummary(campaignId) {
+  async getCampaignAnalyticsSummary(campaignId, currency) {
     try {
       if (!campaignId) {
         throw new ValidationError("Campaign ID is required");
@@ -47,7 +50,11 @@ class AnalyticsService {
       }
 
       // Process and format the data
-      const formattedData = this._formatAnalyticsData(analyticsData);
+      const reporting = await this._resolveReportingCurrency(
+        campaignId,
+        currency
+      );
+      const formattedData = this._formatAnalyticsData(analyticsData, reporting);
 
       logger.info("Campaign analytics summary retrieved successfully", {
         campaignId,
@@ -67,11 +74,19 @@ class AnalyticsService {
 
   /**
    * Get top organizers by completed donations
+   * @param {number} limit
+   * @param {string} [currency] - Ranking currency (defaults to the reporting currency)
    */
-  async getTopOrganizers(limit = 5) {
-    const rows = await analyticsRepository.getTopOrganizersByDonations(limit);
+  async getTopOrganizers(limit = 5, currency) {
+    const reportCurrency = exchangeRateService.getReportingCurrency(currency);
+    const rows = await analyticsRepository.getTopOrganizersByDonations(
+      limit,
+      reportCurrency
+    );
     return rows.map((row) => ({
       organizerId: row.organizerId,
+      totalRaised: parseFloat(row.totalRaised || 0),
+      currency: reportCurrency,
       organizationShortName: row.organizationShortName,
       organizationName: row.organizationName,
       profilePictureUrl: row.profilePictureFileName
@@ -82,9 +97,15 @@ class AnalyticsService {
 
   /**
    * Get top campaigns by completed donations
+   * @param {number} limit
+   * @param {string} [currency] - Ranking currency (defaults to the reporting currency)
    */
-  async getTopCampaigns(limit = 5) {
-    const rows = await analyticsRepository.getTopCampaignsByDonations(limit);
+  async getTopCampaigns(limit = 5, currency) {
+    const reportCurrency = exchangeRateService.getReportingCurrency(currency);
+    const rows = await analyticsRepository.getTopCampaignsByDonations(
+      limit,
+      reportCurrency
+    );
     return rows.map((row) => {
       let mainMediaUrl = null;
       let mainMediaType = null;
@@ -104,6 +125,8 @@ class AnalyticsService {
         campaignId: row.campaignId,
         campaignTitle: row.campaignTitle,
         campaignShareLink: row.campaignShareLink,
+        totalRaised: parseFloat(row.totalRaised || 0),
+        currency: reportCurrency,
         mainMediaUrl,
         mainMediaType,
       };
@@ -113,9 +136,10 @@ class AnalyticsService {
   /**
    * Get campaign financial metrics
    * @param {string} campaignId - Campaign ID
+   * @param {string} [currency] - Report currency (defaults to the campaign's base currency)
    * @returns {Promise<Object>} Financial metrics
    */
-  async getCampaignFinancialMetrics(campaignId) {
+  async getCampaignFinancialMetrics(campaignId, currency) {
     try {
       if (!campaignId) {
         throw new ValidationError("Campaign ID is required");
@@ -131,11 +155,19 @@ class AnalyticsService {
       }
 
       // Format financial data with proper currency handling
+      const { rate, ...reporting } = await this._resolveReportingCurrency(
+        campaignId,
+        currency
+      );
       const formattedData = {
-        totalRaised: parseFloat(financialData.totalRaised || 0),
-        averageDonation: parseFloat(financialData.averageDonation || 0),
-        largestDonation: parseFloat(financialData.largestDonation || 0),
+        totalRaised: this._convert(financialData.totalRaised, rate),
+        organicRaised: this._convert(financialData.organicRaised, rate),
+        matchedRaised: this._convert(financialData.matchedRaised, rate),
+        averageDonation: this._convert(financialData.averageDonation, rate),
+        largestDonation: this._convert(financialData.largestDonation, rate),
         totalDonations: parseInt(financialData.totalDonations || 0),
+        matchedDonations: parseInt(financialData.matchedDonations || 0),
+        ...reporting,
       };
 
       logger.info("Campaign financial metrics retrieved successfully", {
@@ -223,9 +255,10 @@ class AnalyticsService {
    * Get top donors for a campaign
    * @param {string} campaignId - Campaign ID
    * @param {number} limit - Maximum number of donors to return (default: 10)
+   * @param {string} [currency] - Report currency (defaults to the campaign's base currency)
    * @returns {Promise<Array>} Top donors list
    */
-  async getCampaignTopDonors(campaignId, limit = 10) {
+  async getCampaignTopDonors(campaignId, limit = 10, currency) {
     try {
       if (!campaignId) {
         throw new ValidationError("Campaign ID is required");
@@ -246,13 +279,22 @@ class AnalyticsService {
         return [];
       }
 
+      const reporting = await this._resolveReportingCurrency(
+        campaignId,
+        currency
+      );
+
       // Format donor data for display
       const formattedDonors = topDonors.map((donor, index) => {
         const baseDonor = {
           rank: index + 1,
           donorId: donor.donorUserId,
           isAnonymous: donor.isAnonymous,
-          amount: parseFloat(donor.amount || 0),
+          amount: this._convert(donor.baseAmount, reporting.rate),
+          currency: reporting.currency,
+          // What the donor actually paid, before conversion
+          originalAmount: parseFloat(donor.amount || 0),
+          originalCurrency: donor.currency,
           donationDate: donor.donationDate,
           message: donor.messageText || null,
           messageStatus: donor.messageStatus || null,
@@ -303,10 +345,11 @@ class AnalyticsService {
   /**
    * Get campaign progress percentage (for progress bar)
    * @param {string} campaignId - Campaign ID
-   * @param {number} goalAmount - Campaign goal amount
+   * @param {number} goalAmount - Campaign goal amount, in the campaign's base currency
+   * @param {string} [currency] - Report currency (defaults to the campaign's base currency)
    * @returns {Promise<Object>} Progress data with percentage and status
    */
-  async getCampaignProgress(campaignId, goalAmount) {
+  async getCampaignProgress(campaignId, goalAmount, currency) {
     try {
       if (!campaignId) {
         throw new ValidationError("Campaign ID is required");
@@ -325,8 +368,15 @@ class AnalyticsService {
         throw new NotFoundError("Campaign financial data not found");
       }
 
-      const totalRaised = parseFloat(financialData.totalRaised || 0);
-      const percentage = Math.min((totalRaised / goalAmount) * 100, 100);
+      // The percentage is the same in any currency; only amounts are converted
+      const totalRaisedBase = parseFloat(financialData.totalRaised || 0);
+      const percentage = Math.min((totalRaisedBase / goalAmount) * 100, 100);
+      const { rate, ...reporting } = await this._resolveReportingCurrency(
+        campaignId,
+        currency
+      );
+      const totalRaised = this._convert(totalRaisedBase, rate);
+      const convertedGoal = this._convert(goalAmount, rate);
 
       // Determine progress status and color
       let status = "low";
@@ -338,10 +388,14 @@ class AnalyticsService {
 
       const progressData = {
         totalRaised,
-        goalAmount,
+        goalAmount: convertedGoal,
         percentage: Math.round(percentage * 100) / 100, // Round to 2 decimal places
         status,
-        remaining: Math.max(goalAmount - totalRaised, 0),
+        remaining: Math.max(
+          Math.round((convertedGoal - totalRaised) * 100) / 100,
+          0
+        ),
+        ...reporting,
       };
 
       logger.info("Campaign progress calculated successfully", {
@@ -361,21 +415,57 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Resolves the currency to report a campaign in and the rate from its base
+   * currency. Every donation in a campaign is stored in the base currency
+   * (baseAmount), so one rate converts all of its totals.
+   * @param {string} campaignId - Campaign ID
+   * @param {string} [currency] - Requested currency
+   * @returns {Promise<Object>} { currency, baseCurrency, rate, rateEffectiveAt }
+   * @private
+   */
+  async _resolveReportingCurrency(campaignId, currency) {
+    const baseCurrency =
+      (await analyticsRepository.getCampaignBaseCurrency(campaignId)) ||
+      exchangeRateService.getReportingCurrency();
+    const target = currency ? currency.toUpperCase() : baseCurrency;
+    const { rate, effectiveAt } = await exchangeRateService.getRate(
+      baseCurrency,
+      target
+    );
+    return {
+      currency: target,
+      baseCurrency,
+      rate,
+      rateEffectiveAt: effectiveAt,
+    };
+  }
+
+  /**
+   * Converts a base-currency amount at the given rate, rounded to cents
+   * @private
+   */
+  _convert(amount, rate) {
+    return Math.round(parseFloat(amount || 0) * rate * 100) / 100;
+  }
+
   /**
    * Private method to format analytics data consistently
    * @param {Object} rawData - Raw data from repository
+   * @param {Object} reporting - Result of _resolveReportingCurrency
    * @returns {Object} Formatted analytics data
    * @private
    */
-  _formatAnalyticsData(rawData) {
+  _formatAnalyticsData(rawData, { rate, ...reporting }) {
     return {
-      totalRaised: parseFloat(rawData.totalRaised || 0),
-      averageDonation: parseFloat(rawData.averageDonation || 0),
-      largestDonation: parseFloat(rawData.largestDonation || 0),
+      totalRaised: this._convert(rawData.totalRaised, rate),
+      averageDonation: this._convert(rawData.averageDonation, rate),
+      largestDonation: this._convert(rawData.largestDonation, rate),
       totalDonations: parseInt(rawData.totalDonations || 0),
       uniqueDonors: parseInt(rawData.uniqueDonors || 0),
       anonymousCount: parseInt(rawData.anonymousCount || 0),
       namedCount: parseInt(rawData.namedCount || 0),
+      ...reporting,
     };
   }
 }
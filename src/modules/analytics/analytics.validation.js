@@ -0,0 +1,28 @@
+/**
+ * Analytics Validation
+ *
+ * Joi schemas for analytics query parameters.
+ *
+ * @author FundFlow Team
+ * @version 1.0.0
+ */
+
+import Joi from "joi";
+import { validate } from "../../utils/validation.js";
+
+// Optional report currency; other query parameters pass through untouched
+const reportingCurrencySchema = Joi.object({
+  currency: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z]{3}$/)
+    .optional()
+    .messages({
+      "string.pattern.base": "Currency must be a 3-letter ISO code (e.g. ZMW)",
+    }),
+}).unknown(true);
+
+export const validateReportingCurrency = validate(
+  reportingCurrencySchema,
+  "query"
+);
@@ -39,6 +39,16 @@ export const CAMPAIGN_ACTIONS = {
   CAMPAIGN_PUBLISHED: "CAMPAIGN_PUBLISHED",
   CAMPAIGN_PAUSED: "CAMPAIGN_PAUSED",
   CAMPAIGN_RESUMED: "CAMPAIGN_RESUMED",
+  CAMPAIGN_STARTED: "CAMPAIGN_STARTED",
+  CAMPAIGN_SUCCEEDED: "CAMPAIGN_SUCCEEDED",
+  CAMPAIGN_CLOSED: "CAMPAIGN_CLOSED",
+  CAMPAIGN_EXTENSION_REQUESTED: "CAMPAIGN_EXTENSION_REQUESTED",
+  CAMPAIGN_EXTENSION_APPROVED: "CAMPAIGN_EXTENSION_APPROVED",
+  CAMPAIGN_EXTENSION_REJECTED: "CAMPAIGN_EXTENSION_REJECTED",
+  CAMPAIGN_REVISION_SUBMITTED: "CAMPAIGN_REVISION_SUBMITTED",
+  CAMPAIGN_REVISION_APPROVED: "CAMPAIGN_REVISION_APPROVED",
+  CAMPAIGN_REVISION_REJECTED: "CAMPAIGN_REVISION_REJECTED",
+  CAMPAIGN_ROLLED_BACK: "CAMPAIGN_ROLLED_BACK",
 };
 
 // Action Types - User Management
@@ -48,6 +58,7 @@ export const USER_ACTIONS = {
   USER_PERMISSIONS_UPDATED: "USER_PERMISSIONS_UPDATED",
   ORGANIZATION_CREATED: "ORGANIZATION_CREATED",
   ORGANIZATION_UPDATED: "ORGANIZATION_UPDATED",
+  KYC_STATUS_CHANGED: "KYC_STATUS_CHANGED",
 };
 
 // Action Types - Donations
@@ -55,16 +66,37 @@ export const DONATION_ACTIONS = {
   DONATION_MADE: "DONATION_MADE",
   DONATION_REFUNDED: "DONATION_REFUNDED",
   DONATION_CANCELLED: "DONATION_CANCELLED",
+  RECURRING_DONATION_CREATED: "RECURRING_DONATION_CREATED",
+  RECURRING_DONATION_PAUSED: "RECURRING_DONATION_PAUSED",
+  RECURRING_DONATION_RESUMED: "RECURRING_DONATION_RESUMED",
+  RECURRING_DONATION_CANCELLED: "RECURRING_DONATION_CANCELLED",
+  DONATION_RECEIPT_ISSUED: "DONATION_RECEIPT_ISSUED",
+  DONATION_RECEIPT_VOIDED: "DONATION_RECEIPT_VOIDED",
+  MATCH_POOL_CREATED: "MATCH_POOL_CREATED",
+  MATCH_POOL_CANCELLED: "MATCH_POOL_CANCELLED",
+  OFFLINE_DONATION_RECORDED: "OFFLINE_DONATION_RECORDED",
+  OFFLINE_DONATION_VERIFIED: "OFFLINE_DONATION_VERIFIED",
+  OFFLINE_DONATION_REJECTED: "OFFLINE_DONATION_REJECTED",
+  PLEDGE_CREATED: "PLEDGE_CREATED",
+  PLEDGE_CANCELLED: "PLEDGE_CANCELLED",
+  DONATION_FLAGGED: "DONATION_FLAGGED",
+  DONATION_BLOCKED: "DONATION_BLOCKED",
+  DONATION_REVIEW_CLEARED: "DONATION_REVIEW_CLEARED",
+  DONATION_REVIEW_REJECTED: "DONATION_REVIEW_REJECTED",
 };
 
 // Action Types - Withdrawals
 export const WITHDRAWAL_ACTIONS = {
   WITHDRAWAL_REQUESTED: "WITHDRAWAL_REQUESTED",
   WITHDRAWAL_APPROVED: "WITHDRAWAL_APPROVED",
+  WITHDRAWAL_APPROVAL_RECORDED: "WITHDRAWAL_APPROVAL_RECORDED",
   WITHDRAWAL_REJECTED: "WITHDRAWAL_REJECTED",
   WITHDRAWAL_PROCESSING: "WITHDRAWAL_PROCESSING",
   WITHDRAWAL_COMPLETED: "WITHDRAWAL_COMPLETED",
   WITHDRAWAL_FAILED: "WITHDRAWAL_FAILED",
+  WITHDRAWAL_PAYOUT_RETRIED: "WITHDRAWAL_PAYOUT_RETRIED",
+  WITHDRAWAL_POLICY_CREATED: "WITHDRAWAL_POLICY_CREATED",
+  WITHDRAWAL_POLICY_UPDATED: "WITHDRAWAL_POLICY_UPDATED",
 };
 
 // Action Types - System Operations
@@ -72,7 +104,10 @@ export const SYSTEM_ACTIONS = {
   SYSTEM_BACKUP: "SYSTEM_BACKUP",
   SYSTEM_MAINTENANCE: "SYSTEM_MAINTENANCE",
   CONFIGURATION_CHANGED: "CONFIGURATION_CHANGED",
+  FEE_RULE_CREATED: "FEE_RULE_CREATED",
+  FEE_RULE_UPDATED: "FEE_RULE_UPDATED",
   SECURITY_ALERT: "SECURITY_ALERT",
+  WEBHOOK_REPROCESSED: "WEBHOOK_REPROCESSED",
 };
 
 // Action Types - Outreach
@@ -83,6 +118,14 @@ export const OUTREACH_ACTIONS = {
   SEGMENT_CREATED: "SEGMENT_CREATED",
   SEGMENT_UPDATED: "SEGMENT_UPDATED",
   SEGMENT_DELETED: "SEGMENT_DELETED",
+  CONTACTS_IMPORTED: "CONTACTS_IMPORTED",
+  CONTACT_IMPORT_UNDONE: "CONTACT_IMPORT_UNDONE",
+  CONTACTS_MERGED: "CONTACTS_MERGED",
+  EMAIL_UNSUBSCRIBED: "EMAIL_UNSUBSCRIBED",
+  EMAIL_RESUBSCRIBED: "EMAIL_RESUBSCRIBED",
+  EMAIL_PREFERENCES_UPDATED: "EMAIL_PREFERENCES_UPDATED",
+  EMAIL_SUPPRESSION_ADDED: "EMAIL_SUPPRESSION_ADDED",
+  EMAIL_SUPPRESSION_REMOVED: "EMAIL_SUPPRESSION_REMOVED",
 };
 
 // Action Types - Notifications
@@ -97,15 +140,29 @@ export const NOTIFICATION_ACTIONS = {
 export const ENTITY_TYPES = {
   USER: "User",
   CAMPAIGN: "Campaign",
+  CAMPAIGN_EXTENSION_REQUEST: "CampaignExtensionRequest",
+  CAMPAIGN_REVISION: "CampaignRevision",
   DONATION: "Donation",
+  RECURRING_DONATION: "RecurringDonation",
+  DONATION_RECEIPT: "DonationReceipt",
+  MATCH_POOL: "MatchPool",
+  OFFLINE_DONATION: "OfflineDonation",
+  PLEDGE: "Pledge",
+  DONATION_RISK_ASSESSMENT: "DonationRiskAssessment",
   TRANSACTION: "Transaction",
   WITHDRAWAL_REQUEST: "WithdrawalRequest",
   ORGANIZATION: "Organization",
   CONTACT: "Contact",
+  CONTACT_IMPORT_JOB: "ContactImportJob",
+  EMAIL_SUPPRESSION: "EmailSuppression",
+  EMAIL_PREFERENCE: "EmailPreference",
   SEGMENT: "Segment",
   NOTIFICATION: "Notification",
   CATEGORY: "Category",
   MEDIA: "Media",
+  WEBHOOK_EVENT: "WebhookEvent",
+  WITHDRAWAL_POLICY_RULE: "WithdrawalPolicyRule",
+  PLATFORM_FEE_RULE: "PlatformFeeRule",
 };
 
 // Audit Log Configuration
@@ -172,14 +229,48 @@ export const ACTION_SECURITY_LEVELS = {
   [DONATION_ACTIONS.DONATION_MADE]: SECURITY_LEVELS.HIGH,
   [WITHDRAWAL_ACTIONS.WITHDRAWAL_REQUESTED]: SECURITY_LEVELS.HIGH,
   [WITHDRAWAL_ACTIONS.WITHDRAWAL_APPROVED]: SECURITY_LEVELS.HIGH,
+  [WITHDRAWAL_ACTIONS.WITHDRAWAL_APPROVAL_RECORDED]: SECURITY_LEVELS.HIGH,
   [WITHDRAWAL_ACTIONS.WITHDRAWAL_REJECTED]: SECURITY_LEVELS.HIGH,
   [WITHDRAWAL_ACTIONS.WITHDRAWAL_COMPLETED]: SECURITY_LEVELS.HIGH,
   [WITHDRAWAL_ACTIONS.WITHDRAWAL_FAILED]: SECURITY_LEVELS.HIGH,
+  [WITHDRAWAL_ACTIONS.WITHDRAWAL_POLICY_CREATED]: SECURITY_LEVELS.HIGH,
+  [WITHDRAWAL_ACTIONS.WITHDRAWAL_POLICY_UPDATED]: SECURITY_LEVELS.HIGH,
+  [SYSTEM_ACTIONS.FEE_RULE_CREATED]: SECURITY_LEVELS.HIGH,
+  [SYSTEM_ACTIONS.FEE_RULE_UPDATED]: SECURITY_LEVELS.HIGH,
+  [DONATION_ACTIONS.OFFLINE_DONATION_VERIFIED]: SECURITY_LEVELS.HIGH,
+  [DONATION_ACTIONS.DONATION_BLOCKED]: SECURITY_LEVELS.HIGH,
+  [DONATION_ACTIONS.DONATION_REVIEW_REJECTED]: SECURITY_LEVELS.HIGH,
+  [USER_ACTIONS.KYC_STATUS_CHANGED]: SECURITY_LEVELS.HIGH,
 
   // Medium importance events
   [CAMPAIGN_ACTIONS.CAMPAIGN_CREATED]: SECURITY_LEVELS.MEDIUM,
   [CAMPAIGN_ACTIONS.CAMPAIGN_UPDATED]: SECURITY_LEVELS.MEDIUM,
+  [CAMPAIGN_ACTIONS.CAMPAIGN_PAUSED]: SECURITY_LEVELS.MEDIUM,
+  [CAMPAIGN_ACTIONS.CAMPAIGN_RESUMED]: SECURITY_LEVELS.MEDIUM,
+  [CAMPAIGN_ACTIONS.CAMPAIGN_STARTED]: SECURITY_LEVELS.MEDIUM,
+  [CAMPAIGN_ACTIONS.CAMPAIGN_SUCCEEDED]: SECURITY_LEVELS.MEDIUM,
+  [CAMPAIGN_ACTIONS.CAMPAIGN_CLOSED]: SECURITY_LEVELS.MEDIUM,
+  [CAMPAIGN_ACTIONS.CAMPAIGN_EXTENSION_REQUESTED]: SECURITY_LEVELS.MEDIUM,
+  [CAMPAIGN_ACTIONS.CAMPAIGN_EXTENSION_APPROVED]: SECURITY_LEVELS.MEDIUM,
+  [CAMPAIGN_ACTIONS.CAMPAIGN_EXTENSION_REJECTED]: SECURITY_LEVELS.MEDIUM,
+  [CAMPAIGN_ACTIONS.CAMPAIGN_REVISION_SUBMITTED]: SECURITY_LEVELS.MEDIUM,
+  [CAMPAIGN_ACTIONS.CAMPAIGN_REVISION_APPROVED]: SECURITY_LEVELS.MEDIUM,
+  [CAMPAIGN_ACTIONS.CAMPAIGN_REVISION_REJECTED]: SECURITY_LEVELS.MEDIUM,
+  [CAMPAIGN_ACTIONS.CAMPAIGN_ROLLED_BACK]: SECURITY_LEVELS.HIGH,
+  [DONATION_ACTIONS.DONATION_RECEIPT_VOIDED]: SECURITY_LEVELS.MEDIUM,
+  [DONATION_ACTIONS.MATCH_POOL_CREATED]: SECURITY_LEVELS.MEDIUM,
+  [DONATION_ACTIONS.MATCH_POOL_CANCELLED]: SECURITY_LEVELS.MEDIUM,
+  [DONATION_ACTIONS.OFFLINE_DONATION_RECORDED]: SECURITY_LEVELS.MEDIUM,
+  [DONATION_ACTIONS.OFFLINE_DONATION_REJECTED]: SECURITY_LEVELS.MEDIUM,
+  [DONATION_ACTIONS.DONATION_FLAGGED]: SECURITY_LEVELS.MEDIUM,
+  [DONATION_ACTIONS.DONATION_REVIEW_CLEARED]: SECURITY_LEVELS.MEDIUM,
   [USER_ACTIONS.USER_PROFILE_UPDATED]: SECURITY_LEVELS.MEDIUM,
+  [OUTREACH_ACTIONS.CONTACTS_IMPORTED]: SECURITY_LEVELS.MEDIUM,
+  [OUTREACH_ACTIONS.CONTACT_IMPORT_UNDONE]: SECURITY_LEVELS.MEDIUM,
+  [OUTREACH_ACTIONS.CONTACTS_MERGED]: SECURITY_LEVELS.MEDIUM,
+  [OUTREACH_ACTIONS.EMAIL_UNSUBSCRIBED]: SECURITY_LEVELS.MEDIUM,
+  [OUTREACH_ACTIONS.EMAIL_SUPPRESSION_ADDED]: SECURITY_LEVELS.MEDIUM,
+  [OUTREACH_ACTIONS.EMAIL_SUPPRESSION_REMOVED]: SECURITY_LEVELS.MEDIUM,
 
   // Low importance events
   [AUTH_ACTIONS.USER_LOGOUT]: SECURITY_LEVELS.LOW,
@@ -74,6 +74,8 @@ export const updateCampaign = async (req, res) => {
       ? "Campaign submitted for approval successfully"
       : updateData.status === "pendingStart"
       ? "Campaign approved and scheduled for start"
+      : campaign.pendingRevision
+      ? "Campaign updated; some changes are awaiting admin approval"
       : "Campaign updated successfully";
 
   ResponseFactory.ok(res, message, campaign);
@@ -40,6 +40,7 @@ export const createCampaign = async (campaignData, client) => {
     status = "pendingApproval",
     customPageSettings,
     shareLink,
+    baseCurrency,
   } = campaignData;
 
   // Set default goal amount for drafts if not provided
@@ -49,9 +50,9 @@ export const createCampaign = async (campaignData, client) => {
     const queryText = `
       INSERT INTO "campaigns" (
         "organizerId", name, description, "goalAmount", "startDate", "endDate",
-        status, "customPageSettings", "shareLink"
+        status, "customPageSettings", "shareLink", "baseCurrency"
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       RETURNING *
     `;
 
@@ -68,6 +69,7 @@ export const createCampaign = async (campaignData, client) => {
         ? JSON.stringify(customPageSettings)
         : customPageSettings,
       shareLink,
+      baseCurrency,
     ];
 
     const result = await executor.query(queryText, values);
@@ -278,6 +280,36 @@ export const findCampaignById = async (campaignId) => {
   }
 };
 
+/**
+ * Lock a campaign row for the rest of the transaction
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} client - DB client of the surrounding transaction
+ * @returns {Promise<Object|null>} Locked campaign record
+ */
+export const lockCampaign = async (campaignId, client) => {
+  const result = await client.query(
+    `SELECT * FROM "campaigns" WHERE "campaignId" = $1 FOR UPDATE`,
+    [campaignId]
+  );
+
+  const campaign = result.rows[0] || null;
+  if (
+    campaign?.customPageSettings &&
+    typeof campaign.customPageSettings === "string"
+  ) {
+    try {
+      campaign.customPageSettings = JSON.parse(campaign.customPageSettings);
+    } catch (parseError) {
+      logger.warn("Failed to parse customPageSettings JSON", {
+        campaignId,
+        error: parseError.message,
+      });
+    }
+  }
+
+  return campaign;
+};
+
 /**
  * Find a campaign by share link with organizer information
  * @param {string} shareLink - Public share link (e.g., FR-CO-XXXXXXX)
@@ -716,6 +748,7 @@ export default {
   createCampaign,
   updateCampaign,
   findCampaignById,
+  lockCampaign,
   findCampaignByShareLink,
   findCampaignsByOrganizer,
   findAllCampaigns,
@@ -24,6 +24,7 @@ import {
   AuthorizationError,
 } from "../../../utils/appError.js";
 import { transaction } from "../../../db/index.js";
+import config from "../../../config/index.js";
 import logger from "../../../utils/logger.js";
 import { v4 as uuidv4 } from "uuid";
 import notificationService from "../../notifications/notification.service.js";
@@ -34,6 +35,12 @@ import {
   getPublicS3Url,
 } from "../../../utils/s3.utils.js";
 import postService from "../../feed/post.service.js";
+import { startDueCampaigns } from "../lifecycle/campaignLifecycle.service.js";
+import {
+  isRevisioned,
+  recordCampaignEdit,
+  announcePendingRevision,
+} from "../revisions/campaignRevision.service.js";
 
 /**
  * Format campaign data for API response
@@ -48,6 +55,7 @@ function formatCampaign(campaign) {
     description: campaign.description,
     goalAmount: parseFloat(campaign.goalAmount),
     currentRaisedAmount: parseFloat(campaign.currentRaisedAmount),
+    baseCurrency: campaign.baseCurrency,
     startDate: campaign.startDate,
     endDate: campaign.endDate,
     status: campaign.status,
@@ -217,6 +225,7 @@ export const createCampaign = async (
       name,
       description,
       goalAmount,
+      baseCurrency,
       startDate,
       endDate,
       status = "pendingApproval",
@@ -292,6 +301,8 @@ export const createCampaign = async (
       name, // Use name directly since we renamed the column
       description,
       goalAmount: parseFloat(goalAmount),
+      // Goal, raised amount and withdrawals are all in this currency
+      baseCurrency: baseCurrency || config.payments.currency.default,
       startDate: startDate || null,
       endDate: endDate || null,
       status,
@@ -446,10 +457,24 @@ export const updateCampaign = async (
       }
     }
 
+    let pendingRevision = null;
+
     // Use transaction for atomic operation
     const result = await transaction(async (client) => {
+      // Content edits to a running campaign are versioned; material changes
+      // by the organizer wait for admin review while the live version stays.
+      // The revision is diffed against the locked row, so concurrent edits
+      // and revision reviews apply one after the other
+      const currentCampaign = await campaignRepository.lockCampaign(
+        campaignId,
+        client
+      );
+      if (!currentCampaign) {
+        throw new NotFoundError("Campaign not found");
+      }
+
       // If admin is approving/rejecting, stamp approver fields
-      const updatePayload = { ...updateData };
+      let updatePayload = { ...updateData };
       if (
         isAdminActor &&
         (updateData.status === "pendingStart" ||
@@ -463,9 +488,6 @@ export const updateCampaign = async (
       // Handle status transition logic
       if (isAdminActor && updateData.status === "pendingStart") {
         // When admin approves, check if campaign should be active or pendingStart
-        const currentCampaign = await campaignRepository.findCampaignById(
-          campaignId
-        );
         const now = new Date();
         const startDateRaw = currentCampaign.startDate;
         const startDate = startDateRaw ? new Date(startDateRaw) : null;
@@ -476,11 +498,29 @@ export const updateCampaign = async (
         }
       }
 
-      const campaign = await campaignRepository.updateCampaign(
-        campaignId,
-        updatePayload,
-        client
+      if (isRevisioned(currentCampaign)) {
+        const edit = await recordCampaignEdit({
+          campaign: currentCampaign,
+          updates: updatePayload,
+          actor: { userId: organizerId, userType: actorUserType },
+          isAdminActor,
+          client,
+        });
+        updatePayload = edit.updates;
+        pendingRevision = edit.pendingRevision;
+      }
+
+      // Nothing left to write when every change is held for review
+      const hasFieldUpdates = Object.values(updatePayload).some(
+        (value) => value !== undefined
       );
+      const campaign = hasFieldUpdates
+        ? await campaignRepository.updateCampaign(
+            campaignId,
+            updatePayload,
+            client
+          )
+        : currentCampaign;
 
       // Update categories if provided
       if (categoryIds !== null) {
@@ -500,6 +540,21 @@ export const updateCampaign = async (
     // Fetch complete campaign data with categories
     const completeCampaign = await getCampaignById(campaignId);
 
+    if (pendingRevision) {
+      try {
+        await announcePendingRevision(completeCampaign, pendingRevision, {
+          userId: organizerId,
+        });
+      } catch (revisionError) {
+        logger.warn("Failed to announce campaign revision", {
+          error: revisionError.message,
+          campaignId,
+          revisionId: pendingRevision.revisionId,
+        });
+      }
+      completeCampaign.pendingRevision = pendingRevision;
+    }
+
     // Handle campaign post creation/update based on status changes
     try {
       console.log("we are here");
@@ -967,51 +1022,12 @@ export const canEditCampaign = async (campaignId, organizerId) => {
 
 /**
  * Process pendingStart campaigns and transition them to active if start date is reached
- * This function should be called periodically (e.g., via cron job)
+ * The lifecycle scheduler does this on its own; this runs the same step on demand
  * @returns {Promise<number>} Number of campaigns transitioned
  */
 export const processPendingStartCampaigns = async () => {
   try {
-    const now = new Date();
-    const pendingStartCampaigns =
-      await campaignRepository.findCampaignsByStatus("pendingStart");
-
-    let transitionedCount = 0;
-
-    for (const campaign of pendingStartCampaigns) {
-      const startDateRaw = campaign.startDate;
-      const startDate = startDateRaw ? new Date(startDateRaw) : null;
-      if (startDate && !isNaN(startDate.getTime()) && startDate <= now) {
-        await campaignRepository.updateCampaign(campaign.campaignId, {
-          status: "active",
-        });
-
-        // Send notification to organizer
-        try {
-          const titleInApp = "Campaign is now live";
-          const messageInApp = `Your campaign "${campaign.name}" has started and is now active.`;
-          await notificationService.createAndDispatch({
-            userId: campaign.organizerId,
-            type: "inApp",
-            category: "campaign",
-            priority: "high",
-            title: titleInApp,
-            message: messageInApp,
-            data: { campaignId: campaign.campaignId, status: "active" },
-            relatedEntityType: "campaign",
-            relatedEntityId: campaign.campaignId,
-            templateId: "campaign.started.v1",
-          });
-        } catch (notificationError) {
-          logger.error("Failed to send campaign start notification", {
-            error: notificationError.message,
-            campaignId: campaign.campaignId,
-          });
-        }
-
-        transitionedCount++;
-      }
-    }
+    const transitionedCount = await startDueCampaigns();
 
     if (transitionedCount > 0) {
       logger.info(
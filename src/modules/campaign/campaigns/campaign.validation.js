@@ -155,6 +155,16 @@ export const createCampaignSchema = Joi.object({
   goalAmount: baseCampaignSchema.goalAmount.required().messages({
     "any.required": "Goal amount is required.",
   }),
+  // Fixed at creation: raised totals and withdrawals are kept in this currency
+  baseCurrency: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z]{3}$/)
+    .optional()
+    .messages({
+      "string.pattern.base":
+        "Base currency must be a 3-letter ISO code (e.g. ZMW, USD).",
+    }),
   categoryIds: baseCampaignSchema.categoryIds.required().messages({
     "any.required": "At least one category is required.",
     "array.min": "At least one category is required.",
@@ -181,6 +191,10 @@ export const createCampaignSchema = Joi.object({
 // Schema for updating an existing campaign
 export const updateCampaignSchema = Joi.object({
   ...baseCampaignSchema,
+  // Page title, message, media and colours
+  customPageSettings: Joi.object().unknown(true).optional().messages({
+    "object.base": "Custom page settings must be an object.",
+  }),
   status: Joi.string()
     .valid(
       "pendingApproval",
@@ -207,6 +221,7 @@ export const campaignFiltersSchema = Joi.object({
       "pendingApproval",
       "pendingStart",
       "active",
+      "paused",
       "successful",
       "closed",
       "cancelled",
@@ -215,7 +230,7 @@ export const campaignFiltersSchema = Joi.object({
     .optional()
     .messages({
       "any.only":
-        "Status must be one of: pendingApproval, pendingStart, active, successful, closed, cancelled, rejected.",
+        "Status must be one of: pendingApproval, pendingStart, active, paused, successful, closed, cancelled, rejected.",
     }),
   limit: Joi.number()
     .integer()
@@ -0,0 +1,503 @@
+// src/modules/campaign/lifecycle/__tests__/campaignLifecycle.service.test.js
+
+import {
+  startDueCampaigns,
+  endDueCampaigns,
+  processCampaignLifecycle,
+  pauseCampaign,
+  resumeCampaign,
+  requestExtension,
+  approveExtension,
+  rejectExtension,
+} from '../campaignLifecycle.service.js';
+import * as lifecycleRepository from '../campaignLifecycle.repository.js';
+import {
+  findCampaignById,
+  findUsersByRoles,
+} from '../../campaigns/campaign.repository.js';
+import { getCampaignDonorRecipients } from '../../milestones/milestone.repository.js';
+import { transaction } from '../../../../db/index.js';
+import postService from '../../../feed/post.service.js';
+import notificationService from '../../../notifications/notification.service.js';
+import { logServiceEvent } from '../../../audit/audit.utils.js';
+import { CAMPAIGN_ACTIONS } from '../../../audit/audit.constants.js';
+import config from '../../../../config/index.js';
+
+// Mock dependencies
+jest.mock('../campaignLifecycle.repository.js');
+jest.mock('../../campaigns/campaign.repository.js');
+jest.mock('../../milestones/milestone.repository.js');
+jest.mock('../../../../db/index.js', () => ({
+  transaction: jest.fn(),
+}));
+jest.mock('../../../feed/post.service.js', () => ({
+  __esModule: true,
+  default: {
+    getCampaignPostByCampaignId: jest.fn(),
+    updateCampaignPostStatus: jest.fn(),
+    createCampaignPost: jest.fn(),
+  },
+}));
+jest.mock('../../../notifications/notification.service.js', () => ({
+  __esModule: true,
+  default: { createAndDispatch: jest.fn() },
+}));
+jest.mock('../../../audit/audit.utils.js');
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('Campaign lifecycle scheduler', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+  const lockClient = { query: jest.fn(), release: jest.fn() };
+
+  const campaign = (overrides = {}) => ({
+    campaignId: 'campaign-1',
+    organizerId: 'organizer-1',
+    name: 'Clean Water',
+    goalAmount: '10000.00',
+    currentRaisedAmount: '4000.00',
+    baseCurrency: 'ZMW',
+    startDate: '2026-02-01T00:00:00Z',
+    endDate: '2026-02-28T00:00:00Z',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    config.campaigns.lifecycle.closeOnGoal = false;
+    lifecycleRepository.findCampaignsDueToStart.mockResolvedValue([]);
+    lifecycleRepository.findCampaignsDueToEnd.mockResolvedValue([]);
+    lifecycleRepository.tryAcquireLifecycleLock.mockResolvedValue(lockClient);
+    lifecycleRepository.releaseLifecycleLock.mockResolvedValue();
+    lifecycleRepository.transitionCampaignStatus.mockImplementation(
+      async (campaignId, fromStatus, toStatus) =>
+        campaign({ campaignId, status: toStatus })
+    );
+    postService.getCampaignPostByCampaignId.mockResolvedValue({
+      postId: 'post-1',
+    });
+    notificationService.createAndDispatch.mockResolvedValue({});
+    getCampaignDonorRecipients.mockResolvedValue([]);
+    findUsersByRoles.mockResolvedValue([]);
+    transaction.mockImplementation((callback) => callback({}));
+  });
+
+  describe('startDueCampaigns', () => {
+    it('activates due campaigns, publishes their post and notifies the organizer', async () => {
+      lifecycleRepository.findCampaignsDueToStart.mockResolvedValue([
+        campaign({ status: 'pendingStart' }),
+      ]);
+
+      const started = await startDueCampaigns(now);
+
+      expect(started).toBe(1);
+      expect(lifecycleRepository.transitionCampaignStatus).toHaveBeenCalledWith(
+        'campaign-1',
+        'pendingStart',
+        'active'
+      );
+      expect(postService.updateCampaignPostStatus).toHaveBeenCalledWith(
+        'campaign-1',
+        'active'
+      );
+      expect(notificationService.createAndDispatch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 'organizer-1',
+          templateId: 'campaign.started.v1',
+        })
+      );
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        null,
+        CAMPAIGN_ACTIONS.CAMPAIGN_STARTED,
+        'Campaign',
+        'campaign-1',
+        expect.objectContaining({ trigger: 'schedule' })
+      );
+    });
+
+    it('creates the campaign post when none exists', async () => {
+      lifecycleRepository.findCampaignsDueToStart.mockResolvedValue([
+        campaign({ status: 'pendingStart' }),
+      ]);
+      postService.getCampaignPostByCampaignId.mockResolvedValue(null);
+
+      await startDueCampaigns(now);
+
+      expect(postService.createCampaignPost).toHaveBeenCalledWith(
+        expect.objectContaining({ campaignId: 'campaign-1', status: 'active' })
+      );
+    });
+
+    it('skips campaigns another run already moved on', async () => {
+      lifecycleRepository.findCampaignsDueToStart.mockResolvedValue([
+        campaign({ status: 'pendingStart' }),
+      ]);
+      lifecycleRepository.transitionCampaignStatus.mockResolvedValue(null);
+
+      const started = await startDueCampaigns(now);
+
+      expect(started).toBe(0);
+      expect(notificationService.createAndDispatch).not.toHaveBeenCalled();
+      expect(logServiceEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('endDueCampaigns', () => {
+    it('closes campaigns that missed their goal', async () => {
+      lifecycleRepository.findCampaignsDueToEnd.mockResolvedValue([
+        campaign({ status: 'active' }),
+      ]);
+
+      const ended = await endDueCampaigns(now);
+
+      expect(ended).toEqual({ successful: 0, closed: 1 });
+      expect(lifecycleRepository.transitionCampaignStatus).toHaveBeenCalledWith(
+        'campaign-1',
+        'active',
+        'closed'
+      );
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        null,
+        CAMPAIGN_ACTIONS.CAMPAIGN_CLOSED,
+        'Campaign',
+        'campaign-1',
+        expect.objectContaining({ trigger: 'endDate' })
+      );
+      expect(notificationService.createAndDispatch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: 'email',
+          templateId: 'campaign.closed.email.v1',
+        })
+      );
+    });
+
+    it('marks campaigns that reached their goal as successful', async () => {
+      lifecycleRepository.findCampaignsDueToEnd.mockResolvedValue([
+        campaign({ status: 'active', currentRaisedAmount: '12000.00' }),
+      ]);
+
+      const ended = await endDueCampaigns(now);
+
+      expect(ended).toEqual({ successful: 1, closed: 0 });
+      expect(lifecycleRepository.transitionCampaignStatus).toHaveBeenCalledWith(
+        'campaign-1',
+        'active',
+        'successful'
+      );
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        null,
+        CAMPAIGN_ACTIONS.CAMPAIGN_SUCCEEDED,
+        'Campaign',
+        'campaign-1',
+        expect.any(Object)
+      );
+    });
+
+    it('passes closeOnGoal through to the lookup', async () => {
+      config.campaigns.lifecycle.closeOnGoal = true;
+
+      await endDueCampaigns(now);
+
+      expect(lifecycleRepository.findCampaignsDueToEnd).toHaveBeenCalledWith(
+        now,
+        { closeOnGoal: true },
+        expect.any(Number)
+      );
+    });
+
+    it('keeps going when one campaign fails', async () => {
+      lifecycleRepository.findCampaignsDueToEnd.mockResolvedValue([
+        campaign({ campaignId: 'campaign-1', status: 'active' }),
+        campaign({ campaignId: 'campaign-2', status: 'active' }),
+      ]);
+      lifecycleRepository.transitionCampaignStatus
+        .mockRejectedValueOnce(new Error('deadlock'))
+        .mockResolvedValueOnce(
+          campaign({ campaignId: 'campaign-2', status: 'closed' })
+        );
+
+      const ended = await endDueCampaigns(now);
+
+      expect(ended).toEqual({ successful: 0, closed: 1 });
+    });
+  });
+
+  describe('processCampaignLifecycle', () => {
+    it('runs both steps under the lock and releases it', async () => {
+      const summary = await processCampaignLifecycle();
+
+      expect(summary).toEqual({ started: 0, successful: 0, closed: 0 });
+      expect(lifecycleRepository.releaseLifecycleLock).toHaveBeenCalledWith(
+        lockClient
+      );
+    });
+
+    it('skips the run when another instance holds the lock', async () => {
+      lifecycleRepository.tryAcquireLifecycleLock.mockResolvedValue(null);
+
+      const summary = await processCampaignLifecycle();
+
+      expect(summary).toBeNull();
+      expect(
+        lifecycleRepository.findCampaignsDueToStart
+      ).not.toHaveBeenCalled();
+      expect(lifecycleRepository.releaseLifecycleLock).not.toHaveBeenCalled();
+    });
+
+    it('releases the lock when a step fails', async () => {
+      lifecycleRepository.findCampaignsDueToStart.mockRejectedValue(
+        new Error('connection lost')
+      );
+
+      await expect(processCampaignLifecycle()).rejects.toThrow(
+        'connection lost'
+      );
+      expect(lifecycleRepository.releaseLifecycleLock).toHaveBeenCalledWith(
+        lockClient
+      );
+    });
+  });
+
+  describe('pause and resume', () => {
+    const organizer = { userId: 'organizer-1', userType: 'individualUser' };
+
+    it('pauses an active campaign, audits it and tells its donors', async () => {
+      findCampaignById.mockResolvedValue(campaign({ status: 'active' }));
+      lifecycleRepository.pauseCampaign.mockResolvedValue(
+        campaign({ status: 'paused' })
+      );
+      getCampaignDonorRecipients.mockResolvedValue([
+        { userId: 'donor-1' },
+        { userId: 'organizer-1' },
+      ]);
+
+      const paused = await pauseCampaign(organizer, 'campaign-1', {
+        reason: 'Supplier delay',
+      });
+
+      expect(paused.status).toBe('paused');
+      expect(lifecycleRepository.pauseCampaign).toHaveBeenCalledWith(
+        'campaign-1',
+        'Supplier delay'
+      );
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'organizer-1',
+        CAMPAIGN_ACTIONS.CAMPAIGN_PAUSED,
+        'Campaign',
+        'campaign-1',
+        expect.objectContaining({ reason: 'Supplier delay' })
+      );
+      expect(notificationService.createAndDispatch).toHaveBeenCalledTimes(1);
+      expect(notificationService.createAndDispatch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 'donor-1',
+          templateId: 'campaign.paused.v1',
+        })
+      );
+    });
+
+    it('rejects pausing a campaign that is not active', async () => {
+      findCampaignById.mockResolvedValue(campaign({ status: 'pendingStart' }));
+
+      await expect(
+        pauseCampaign(organizer, 'campaign-1', {})
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(lifecycleRepository.pauseCampaign).not.toHaveBeenCalled();
+    });
+
+    it('rejects users who do not run the campaign', async () => {
+      findCampaignById.mockResolvedValue(campaign({ status: 'active' }));
+
+      await expect(
+        pauseCampaign(
+          { userId: 'donor-1', userType: 'individualUser' },
+          'campaign-1',
+          {}
+        )
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('resumes a paused campaign', async () => {
+      findCampaignById.mockResolvedValue(campaign({ status: 'paused' }));
+      lifecycleRepository.resumeCampaign.mockResolvedValue(
+        campaign({ status: 'active' })
+      );
+
+      const resumed = await resumeCampaign(organizer, 'campaign-1');
+
+      expect(resumed.status).toBe('active');
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'organizer-1',
+        CAMPAIGN_ACTIONS.CAMPAIGN_RESUMED,
+        'Campaign',
+        'campaign-1',
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('extension requests', () => {
+    const organizer = { userId: 'organizer-1', userType: 'individualUser' };
+    const admin = { userId: 'admin-1', userType: 'supportAdmin' };
+    const pendingRequest = {
+      extensionRequestId: 'request-1',
+      campaignId: 'campaign-1',
+      campaignName: 'Clean Water',
+      organizerId: 'organizer-1',
+      requestedByUserId: 'organizer-1',
+      requestedEndDate: '2026-04-30T00:00:00Z',
+      campaignEndDate: '2026-03-31T00:00:00Z',
+      status: 'pending',
+    };
+
+    it('records a request for a later end date and notifies admins', async () => {
+      findCampaignById.mockResolvedValue(
+        campaign({ status: 'active', endDate: '2026-03-31T00:00:00Z' })
+      );
+      lifecycleRepository.listExtensionRequests.mockResolvedValue([]);
+      lifecycleRepository.createExtensionRequest.mockResolvedValue(
+        pendingRequest
+      );
+      findUsersByRoles.mockResolvedValue([{ userId: 'admin-1' }]);
+
+      const request = await requestExtension(organizer, 'campaign-1', {
+        requestedEndDate: '2026-04-30T00:00:00Z',
+        reason: 'Harvest season delayed giving',
+      });
+
+      expect(request.status).toBe('pending');
+      expect(lifecycleRepository.createExtensionRequest).toHaveBeenCalledWith(
+        expect.objectContaining({
+          campaignId: 'campaign-1',
+          requestedByUserId: 'organizer-1',
+          currentEndDate: '2026-03-31T00:00:00Z',
+        })
+      );
+      expect(notificationService.createAndDispatch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 'admin-1',
+          templateId: 'campaign.extension.requested.v1',
+        })
+      );
+    });
+
+    it('rejects an end date that is not later than the current one', async () => {
+      findCampaignById.mockResolvedValue(
+        campaign({ status: 'active', endDate: '2026-03-31T00:00:00Z' })
+      );
+
+      await expect(
+        requestExtension(organizer, 'campaign-1', {
+          requestedEndDate: '2026-03-15T00:00:00Z',
+          reason: 'Harvest season delayed giving',
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('rejects a second request while one is pending', async () => {
+      findCampaignById.mockResolvedValue(
+        campaign({ status: 'active', endDate: '2026-03-31T00:00:00Z' })
+      );
+      lifecycleRepository.listExtensionRequests.mockResolvedValue([
+        pendingRequest,
+      ]);
+
+      await expect(
+        requestExtension(organizer, 'campaign-1', {
+          requestedEndDate: '2026-04-30T00:00:00Z',
+          reason: 'Harvest season delayed giving',
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(lifecycleRepository.createExtensionRequest).not.toHaveBeenCalled();
+    });
+
+    it('moves the end date when approved and tells organizer and donors', async () => {
+      lifecycleRepository.getExtensionRequestById.mockResolvedValue(
+        pendingRequest
+      );
+      lifecycleRepository.markExtensionRequest.mockResolvedValue({
+        ...pendingRequest,
+        status: 'approved',
+      });
+      lifecycleRepository.setCampaignEndDate.mockResolvedValue(
+        campaign({ status: 'active', endDate: '2026-04-30T00:00:00Z' })
+      );
+      getCampaignDonorRecipients.mockResolvedValue([{ userId: 'donor-1' }]);
+
+      const result = await approveExtension(admin, 'request-1', {});
+
+      expect(result.status).toBe('approved');
+      expect(lifecycleRepository.setCampaignEndDate).toHaveBeenCalledWith(
+        'campaign-1',
+        '2026-04-30T00:00:00Z',
+        expect.any(Object)
+      );
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'admin-1',
+        CAMPAIGN_ACTIONS.CAMPAIGN_EXTENSION_APPROVED,
+        'CampaignExtensionRequest',
+        'request-1',
+        expect.objectContaining({ campaignId: 'campaign-1' })
+      );
+      expect(notificationService.createAndDispatch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 'organizer-1',
+          templateId: 'campaign.extension.approved.v1',
+        })
+      );
+      expect(notificationService.createAndDispatch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 'donor-1',
+          templateId: 'campaign.extended.v1',
+        })
+      );
+    });
+
+    it('refuses to extend a campaign that has already ended', async () => {
+      lifecycleRepository.getExtensionRequestById.mockResolvedValue(
+        pendingRequest
+      );
+      lifecycleRepository.markExtensionRequest.mockResolvedValue({
+        ...pendingRequest,
+        status: 'approved',
+      });
+      lifecycleRepository.setCampaignEndDate.mockResolvedValue(null);
+
+      await expect(
+        approveExtension(admin, 'request-1', {})
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(logServiceEvent).not.toHaveBeenCalled();
+    });
+
+    it('records the reason when rejected', async () => {
+      lifecycleRepository.getExtensionRequestById.mockResolvedValue(
+        pendingRequest
+      );
+      lifecycleRepository.markExtensionRequest.mockResolvedValue({
+        ...pendingRequest,
+        status: 'rejected',
+      });
+
+      await rejectExtension(admin, 'request-1', { reason: 'Too long' });
+
+      expect(lifecycleRepository.markExtensionRequest).toHaveBeenCalledWith(
+        'request-1',
+        {
+          status: 'rejected',
+          reviewedByUserId: 'admin-1',
+          reviewNote: 'Too long',
+        }
+      );
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'admin-1',
+        CAMPAIGN_ACTIONS.CAMPAIGN_EXTENSION_REJECTED,
+        'CampaignExtensionRequest',
+        'request-1',
+        { campaignId: 'campaign-1', reason: 'Too long' }
+      );
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import * as lifecycleService from "./campaignLifecycle.service.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+export const pauseCampaign = async (req, res) => {
+  const result = await lifecycleService.pauseCampaign(
+    req.user,
+    req.params.campaignId,
+    { reason: req.body.reason }
+  );
+
+  return ResponseFactory.ok(res, "Campaign paused", result);
+};
+
+export const resumeCampaign = async (req, res) => {
+  const result = await lifecycleService.resumeCampaign(
+    req.user,
+    req.params.campaignId
+  );
+
+  return ResponseFactory.ok(res, "Campaign resumed", result);
+};
+
+export const requestExtension = async (req, res) => {
+  const result = await lifecycleService.requestExtension(
+    req.user,
+    req.params.campaignId,
+    req.body
+  );
+
+  return ResponseFactory.created(
+    res,
+    "Extension request submitted for review",
+    result
+  );
+};
+
+export const getCampaignExtensionRequests = async (req, res) => {
+  const result = await lifecycleService.getCampaignExtensionRequests(
+    req.user,
+    req.params.campaignId
+  );
+
+  return ResponseFactory.ok(
+    res,
+    "Extension requests retrieved successfully",
+    result
+  );
+};
+
+export const listExtensionRequests = async (req, res) => {
+  const { status, campaignId, limit, offset } = req.query;
+  const result = await lifecycleService.listExtensionRequests({
+    status,
+    campaignId,
+    limit,
+    offset,
+  });
+
+  return ResponseFactory.ok(
+    res,
+    "Extension requests retrieved successfully",
+    result
+  );
+};
+
+export const approveExtension = async (req, res) => {
+  const result = await lifecycleService.approveExtension(
+    req.user,
+    req.params.extensionRequestId,
+    { note: req.body.note }
+  );
+
+  return ResponseFactory.ok(res, "Extension approved", result);
+};
+
+export const rejectExtension = async (req, res) => {
+  const result = await lifecycleService.rejectExtension(
+    req.user,
+    req.params.extensionRequestId,
+    { reason: req.body.reason }
+  );
+
+  return ResponseFactory.ok(res, "Extension rejected", result);
+};
+
+export const cancelExtension = async (req, res) => {
+  const result = await lifecycleService.cancelExtension(
+    req.user,
+    req.params.extensionRequestId
+  );
+
+  return ResponseFactory.ok(res, "Extension request cancelled", result);
+};
+
+export default {
+  pauseCampaign,
+  resumeCampaign,
+  requestExtension,
+  getCampaignExtensionRequests,
+  listExtensionRequests,
+  approveExtension,
+  rejectExtension,
+  cancelExtension,
+};
@@ -0,0 +1,243 @@
+import { db } from "../../../db/index.js";
+
+// Session-level advisory lock key shared by every app instance
+const LIFECYCLE_LOCK_KEY = 720451;
+
+/**
+ * Takes the lifecycle lock on a dedicated connection. Returns the connection
+ * to pass to releaseLifecycleLock, or null if another instance holds the lock.
+ */
+export const tryAcquireLifecycleLock = async () => {
+  const client = await db.getClient();
+  try {
+    const result = await client.query(
+      `SELECT pg_try_advisory_lock($1) AS "locked"`,
+      [LIFECYCLE_LOCK_KEY]
+    );
+    if (result.rows[0].locked) return client;
+  } catch (error) {
+    client.release();
+    throw error;
+  }
+
+  client.release();
+  return null;
+};
+
+export const releaseLifecycleLock = async (client) => {
+  try {
+    await client.query(`SELECT pg_advisory_unlock($1)`, [LIFECYCLE_LOCK_KEY]);
+  } finally {
+    client.release();
+  }
+};
+
+const CAMPAIGN_SELECT = `
+  SELECT c.*, op."organizationName" AS "organizerName"
+  FROM "campaigns" c
+  LEFT JOIN "organizationProfiles" op ON op."userId" = c."organizerId"`;
+
+export const findCampaignsDueToStart = async (now, limit) => {
+  const result = await db.query(
+    `${CAMPAIGN_SELECT}
+     WHERE c."status" = 'pendingStart'
+       AND c."startDate" IS NOT NULL
+       AND c."startDate" <= $1
+     ORDER BY c."startDate" ASC
+     LIMIT $2`,
+    [now, limit]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Active or paused campaigns past their end date, and (with closeOnGoal)
+ * active ones that have reached their goal
+ */
+export const findCampaignsDueToEnd = async (now, { closeOnGoal }, limit) => {
+  const result = await db.query(
+    `${CAMPAIGN_SELECT}
+     WHERE (
+         c."status" IN ('active', 'paused')
+         AND c."endDate" IS NOT NULL AND c."endDate" <= $1
+       )
+       OR (
+         $2 AND c."status" = 'active' AND c."goalAmount" > 0
+         AND c."currentRaisedAmount" >= c."goalAmount"
+       )
+     ORDER BY c."endDate" ASC NULLS LAST
+     LIMIT $3`,
+    [now, closeOnGoal, limit]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Moves a campaign between statuses only if it is still in the expected one,
+ * so a transition is applied once even if a manual run overlaps the scheduler
+ * @returns {Promise<Object|null>} The updated campaign, or null if it had moved on
+ */
+export const transitionCampaignStatus = async (
+  campaignId,
+  fromStatus,
+  toStatus
+) => {
+  const result = await db.query(
+    `UPDATE "campaigns"
+     SET "status" = $3
+     WHERE "campaignId" = $1 AND "status" = $2
+     RETURNING *`,
+    [campaignId, fromStatus, toStatus]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const pauseCampaign = async (campaignId, reason) => {
+  const result = await db.query(
+    `UPDATE "campaigns"
+     SET "status" = 'paused', "pausedAt" = CURRENT_TIMESTAMP, "statusReason" = $2
+     WHERE "campaignId" = $1 AND "status" = 'active'
+     RETURNING *`,
+    [campaignId, reason || null]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const resumeCampaign = async (campaignId) => {
+  const result = await db.query(
+    `UPDATE "campaigns"
+     SET "status" = 'active', "pausedAt" = NULL, "statusReason" = NULL
+     WHERE "campaignId" = $1 AND "status" = 'paused'
+     RETURNING *`,
+    [campaignId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Moves the end date of a campaign that is still running
+ */
+export const setCampaignEndDate = async (
+  campaignId,
+  endDate,
+  client = null
+) => {
+  const executor = client || db;
+  const result = await executor.query(
+    `UPDATE "campaigns"
+     SET "endDate" = $2
+     WHERE "campaignId" = $1 AND "status" IN ('active', 'paused')
+     RETURNING *`,
+    [campaignId, endDate]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const createExtensionRequest = async (data) => {
+  const result = await db.query(
+    `INSERT INTO "campaignExtensionRequests" (
+      "campaignId", "requestedByUserId", "currentEndDate", "requestedEndDate", "reason"
+    ) VALUES ($1, $2, $3, $4, $5)
+    RETURNING *`,
+    [
+      data.campaignId,
+      data.requestedByUserId,
+      data.currentEndDate || null,
+      data.requestedEndDate,
+      data.reason,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+const EXTENSION_REQUEST_SELECT = `
+  SELECT r.*, c."name" AS "campaignName", c."organizerId",
+         c."status" AS "campaignStatus", c."endDate" AS "campaignEndDate"
+  FROM "campaignExtensionRequests" r
+  JOIN "campaigns" c ON c."campaignId" = r."campaignId"`;
+
+export const getExtensionRequestById = async (extensionRequestId) => {
+  const result = await db.query(
+    `${EXTENSION_REQUEST_SELECT} WHERE r."extensionRequestId" = $1`,
+    [extensionRequestId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Extension requests for the admin queue; oldest first
+ */
+export const listExtensionRequests = async ({
+  status,
+  campaignId,
+  limit = 50,
+  offset = 0,
+} = {}) => {
+  const where = [];
+  const values = [];
+  if (status) {
+    values.push(status);
+    where.push(`r."status" = $${values.length}`);
+  }
+  if (campaignId) {
+    values.push(campaignId);
+    where.push(`r."campaignId" = $${values.length}`);
+  }
+  values.push(limit, offset);
+
+  const result = await db.query(
+    `${EXTENSION_REQUEST_SELECT}
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY r."createdAt" ASC
+     LIMIT $${values.length - 1} OFFSET $${values.length}`,
+    values
+  );
+
+  return result.rows;
+};
+
+/**
+ * Settles a pending request; returns null if it was no longer pending
+ */
+export const markExtensionRequest = async (
+  extensionRequestId,
+  { status, reviewedByUserId = null, reviewNote = null },
+  client = null
+) => {
+  const executor = client || db;
+  const result = await executor.query(
+    `UPDATE "campaignExtensionRequests"
+     SET "status" = $2,
+         "reviewedByUserId" = $3,
+         "reviewNote" = $4,
+         "reviewedAt" = CASE WHEN $3::uuid IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+     WHERE "extensionRequestId" = $1 AND "status" = 'pending'
+     RETURNING *`,
+    [extensionRequestId, status, reviewedByUserId, reviewNote]
+  );
+
+  return result.rows[0] || null;
+};
+
+export default {
+  tryAcquireLifecycleLock,
+  releaseLifecycleLock,
+  findCampaignsDueToStart,
+  findCampaignsDueToEnd,
+  transitionCampaignStatus,
+  pauseCampaign,
+  resumeCampaign,
+  setCampaignEndDate,
+  createExtensionRequest,
+  getExtensionRequestById,
+  listExtensionRequests,
+  markExtensionRequest,
+};
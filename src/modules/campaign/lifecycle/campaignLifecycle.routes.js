@@ -0,0 +1,91 @@
+import { Router } from "express";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import {
+  authenticate,
+  restrictTo,
+} from "../../../middlewares/auth.middleware.js";
+import {
+  pauseCampaign,
+  resumeCampaign,
+  requestExtension,
+  getCampaignExtensionRequests,
+  listExtensionRequests,
+  approveExtension,
+  rejectExtension,
+  cancelExtension,
+} from "./campaignLifecycle.controller.js";
+import {
+  validatePauseCampaign,
+  validateRequestExtension,
+  validateListExtensionRequests,
+  validateApproveExtension,
+  validateRejectExtension,
+  validateCampaignId,
+  validateExtensionRequestId,
+} from "./campaignLifecycle.validation.js";
+
+// Mounted on /api/v1/campaigns ahead of the campaign routes, so every route
+// authenticates on its own and leaves the public campaign routes alone
+const router = Router();
+const reviewers = restrictTo("superAdmin", "supportAdmin", "eventModerator");
+
+// Admin review of end-date extensions
+router.get(
+  "/extension-requests",
+  authenticate,
+  reviewers,
+  validateListExtensionRequests,
+  catchAsync(listExtensionRequests)
+);
+router.post(
+  "/extension-requests/:extensionRequestId/approve",
+  authenticate,
+  reviewers,
+  validateExtensionRequestId,
+  validateApproveExtension,
+  catchAsync(approveExtension)
+);
+router.post(
+  "/extension-requests/:extensionRequestId/reject",
+  authenticate,
+  reviewers,
+  validateExtensionRequestId,
+  validateRejectExtension,
+  catchAsync(rejectExtension)
+);
+router.patch(
+  "/extension-requests/:extensionRequestId/cancel",
+  authenticate,
+  validateExtensionRequestId,
+  catchAsync(cancelExtension)
+);
+
+// Organizer endpoints
+router.post(
+  "/:campaignId/pause",
+  authenticate,
+  validateCampaignId,
+  validatePauseCampaign,
+  catchAsync(pauseCampaign)
+);
+router.post(
+  "/:campaignId/resume",
+  authenticate,
+  validateCampaignId,
+  catchAsync(resumeCampaign)
+);
+router.post(
+  "/:campaignId/extension-requests",
+  authenticate,
+  validateCampaignId,
+  validateRequestExtension,
+  catchAsync(requestExtension)
+);
+router.get(
+  "/:campaignId/extension-requests",
+  authenticate,
+  validateCampaignId,
+  catchAsync(getCampaignExtensionRequests)
+);
+
+export default router;
@@ -0,0 +1,675 @@
+import config from "../../../config/index.js";
+import * as lifecycleRepository from "./campaignLifecycle.repository.js";
+import {
+  findCampaignById,
+  findUsersByRoles,
+} from "../campaigns/campaign.repository.js";
+import { getCampaignDonorRecipients } from "../milestones/milestone.repository.js";
+import postService from "../../feed/post.service.js";
+import notificationService from "../../notifications/notification.service.js";
+import { logServiceEvent } from "../../audit/audit.utils.js";
+import { CAMPAIGN_ACTIONS, ENTITY_TYPES } from "../../audit/audit.constants.js";
+import { createCampaignEndedTemplate } from "../../../utils/emailTemplates.js";
+import { transaction } from "../../../db/index.js";
+import { AppError } from "../../../utils/appError.js";
+import logger from "../../../utils/logger.js";
+
+// Admins who may pause campaigns on an organizer's behalf
+const CAMPAIGN_ADMIN_ROLES = ["superAdmin", "supportAdmin"];
+// Admins who review end-date extension requests
+const EXTENSION_REVIEW_ROLES = ["superAdmin", "supportAdmin", "eventModerator"];
+
+/**
+ * Campaign Lifecycle Scheduler
+ * Applies the date-driven campaign transitions:
+ * - pendingStart → active once startDate has passed
+ * - active → successful (goal reached) or closed (goal missed) once endDate
+ *   has passed, or → successful on reaching the goal when closeOnGoal is set
+ * Only one app instance runs at a time (Postgres advisory lock); each
+ * transition is also guarded on the current status.
+ */
+let isRunning = false;
+
+const campaignUrl = (campaignId) =>
+  `${
+    process.env.FRONTEND_URL || "http://localhost:5173"
+  }/campaigns/${campaignId}`;
+
+/**
+ * Publishes or archives the campaign's feed post to match its new status;
+ * creates the post if the campaign never had one
+ */
+const syncCampaignPost = async (campaign) => {
+  try {
+    const existingPost = await postService.getCampaignPostByCampaignId(
+      campaign.campaignId
+    );
+    if (existingPost) {
+      await postService.updateCampaignPostStatus(
+        campaign.campaignId,
+        campaign.status
+      );
+    } else {
+      await postService.createCampaignPost({
+        campaignId: campaign.campaignId,
+        organizerId: campaign.organizerId,
+        customPageSettings: campaign.customPageSettings,
+        status: campaign.status,
+      });
+    }
+  } catch (postError) {
+    logger.error("Failed to update campaign post for lifecycle change", {
+      error: postError.message,
+      campaignId: campaign.campaignId,
+      status: campaign.status,
+    });
+  }
+};
+
+const notifyStarted = async (campaign) => {
+  try {
+    await notificationService.createAndDispatch({
+      userId: campaign.organizerId,
+      type: "inApp",
+      category: "campaign",
+      priority: "high",
+      title: "Campaign is now live",
+      message: `Your campaign "${campaign.name}" has started and is now active.`,
+      data: { campaignId: campaign.campaignId, status: "active" },
+      relatedEntityType: "campaign",
+      relatedEntityId: campaign.campaignId,
+      templateId: "campaign.started.v1",
+    });
+  } catch (notificationError) {
+    logger.error("Failed to send campaign start notification", {
+      error: notificationError.message,
+      campaignId: campaign.campaignId,
+    });
+  }
+};
+
+const notifyEnded = async (campaign, organizerName) => {
+  const successful = campaign.status === "successful";
+  const title = successful ? "Campaign reached its goal" : "Campaign has ended";
+  const data = {
+    campaignId: campaign.campaignId,
+    status: campaign.status,
+    currentAmount: Number(campaign.currentRaisedAmount),
+    goalAmount: Number(campaign.goalAmount),
+  };
+
+  try {
+    await notificationService.createAndDispatch({
+      userId: campaign.organizerId,
+      type: "inApp",
+      category: "campaign",
+      priority: "high",
+      title,
+      message: successful
+        ? `Your campaign "${campaign.name}" reached its goal and is now complete.`
+        : `Your campaign "${campaign.name}" has ended and is closed to new donations.`,
+      data,
+      relatedEntityType: "campaign",
+      relatedEntityId: campaign.campaignId,
+      templateId: `campaign.${campaign.status}.v1`,
+    });
+
+    await notificationService.createAndDispatch({
+      userId: campaign.organizerId,
+      type: "email",
+      category: "campaign",
+      priority: "high",
+      title,
+      message: createCampaignEndedTemplate({
+        organizerName: organizerName || "there",
+        campaignTitle: campaign.name,
+        status: campaign.status,
+        currentAmount: campaign.currentRaisedAmount,
+        goalAmount: campaign.goalAmount,
+        currency: campaign.baseCurrency,
+        campaignUrl: campaignUrl(campaign.campaignId),
+      }),
+      data,
+      relatedEntityType: "campaign",
+      relatedEntityId: campaign.campaignId,
+      templateId: `campaign.${campaign.status}.email.v1`,
+    });
+  } catch (notificationError) {
+    logger.error("Failed to send campaign end notification", {
+      error: notificationError.message,
+      campaignId: campaign.campaignId,
+    });
+  }
+};
+
+/**
+ * Activates pendingStart campaigns whose start date has passed
+ * @returns {Promise<number>} Number of campaigns started
+ */
+export const startDueCampaigns = async (now = new Date()) => {
+  const due = await lifecycleRepository.findCampaignsDueToStart(
+    now,
+    config.campaigns.lifecycle.batchSize
+  );
+
+  let started = 0;
+  for (const candidate of due) {
+    try {
+      const campaign = await lifecycleRepository.transitionCampaignStatus(
+        candidate.campaignId,
+        "pendingStart",
+        "active"
+      );
+      if (!campaign) continue;
+      started++;
+
+      await syncCampaignPost(campaign);
+      await notifyStarted(campaign);
+      await logServiceEvent(
+        null,
+        CAMPAIGN_ACTIONS.CAMPAIGN_STARTED,
+        ENTITY_TYPES.CAMPAIGN,
+        campaign.campaignId,
+        { startDate: campaign.startDate, trigger: "schedule" }
+      );
+    } catch (error) {
+      logger.error("Failed to start campaign", {
+        error: error.message,
+        campaignId: candidate.campaignId,
+      });
+    }
+  }
+
+  return started;
+};
+
+/**
+ * Ends active and paused campaigns past their end date (or active ones at
+ * their goal, with closeOnGoal): successful when the goal was reached,
+ * closed otherwise
+ * @returns {Promise<{successful: number, closed: number}>}
+ */
+export const endDueCampaigns = async (now = new Date()) => {
+  const { closeOnGoal, batchSize } = config.campaigns.lifecycle;
+  const due = await lifecycleRepository.findCampaignsDueToEnd(
+    now,
+    { closeOnGoal },
+    batchSize
+  );
+
+  const ended = { successful: 0, closed: 0 };
+  for (const candidate of due) {
+    const goalReached =
+      Number(candidate.goalAmount) > 0 &&
+      Number(candidate.currentRaisedAmount) >= Number(candidate.goalAmount);
+    const toStatus = goalReached ? "successful" : "closed";
+
+    try {
+      const campaign = await lifecycleRepository.transitionCampaignStatus(
+        candidate.campaignId,
+        candidate.status,
+        toStatus
+      );
+      if (!campaign) continue;
+      ended[toStatus]++;
+
+      await syncCampaignPost(campaign);
+      await notifyEnded(campaign, candidate.organizerName);
+      await logServiceEvent(
+        null,
+        goalReached
+          ? CAMPAIGN_ACTIONS.CAMPAIGN_SUCCEEDED
+          : CAMPAIGN_ACTIONS.CAMPAIGN_CLOSED,
+        ENTITY_TYPES.CAMPAIGN,
+        campaign.campaignId,
+        {
+          endDate: campaign.endDate,
+          goalAmount: Number(campaign.goalAmount),
+          currentRaisedAmount: Number(campaign.currentRaisedAmount),
+          trigger:
+            campaign.endDate && new Date(campaign.endDate) <= now
+              ? "endDate"
+              : "goal",
+        }
+      );
+    } catch (error) {
+      logger.error("Failed to end campaign", {
+        error: error.message,
+        campaignId: candidate.campaignId,
+      });
+    }
+  }
+
+  return ended;
+};
+
+/**
+ * Scheduler entry point: starts and ends every campaign that is due.
+ * Skips the run if this process or another instance is already running it.
+ */
+export const processCampaignLifecycle = async () => {
+  if (isRunning) {
+    logger.debug("Campaign lifecycle run skipped; previous run still active");
+    return null;
+  }
+  isRunning = true;
+
+  let lock = null;
+  try {
+    lock = await lifecycleRepository.tryAcquireLifecycleLock();
+    if (!lock) {
+      logger.debug("Campaign lifecycle run skipped; another instance has it");
+      return null;
+    }
+
+    const now = new Date();
+    const started = await startDueCampaigns(now);
+    const { successful, closed } = await endDueCampaigns(now);
+
+    const summary = { started, successful, closed };
+    if (started || successful || closed) {
+      logger.info("Campaign lifecycle run completed", summary);
+    }
+    return summary;
+  } finally {
+    if (lock) await lifecycleRepository.releaseLifecycleLock(lock);
+    isRunning = false;
+  }
+};
+
+const getManagedCampaign = async (campaignId, actor) => {
+  const campaign = await findCampaignById(campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+  if (
+    campaign.organizerId !== actor.userId &&
+    !CAMPAIGN_ADMIN_ROLES.includes(actor.userType)
+  ) {
+    throw new AppError("Only the campaign organizer can do this", 403);
+  }
+  return campaign;
+};
+
+/**
+ * In-app notice to everyone who has completed a donation to the campaign
+ */
+const notifyDonors = async (campaign, { title, message, templateId }) => {
+  try {
+    const donors = await getCampaignDonorRecipients(campaign.campaignId);
+    for (const donor of donors) {
+      if (donor.userId === campaign.organizerId) continue;
+      await notificationService.createAndDispatch({
+        userId: donor.userId,
+        type: "inApp",
+        category: "campaign",
+        priority: "low",
+        title,
+        message,
+        data: { campaignId: campaign.campaignId, status: campaign.status },
+        relatedEntityType: "campaign",
+        relatedEntityId: campaign.campaignId,
+        templateId,
+      });
+    }
+  } catch (notificationError) {
+    logger.warn("Failed to notify campaign donors", {
+      error: notificationError.message,
+      campaignId: campaign.campaignId,
+      templateId,
+    });
+  }
+};
+
+/**
+ * Stops an active campaign from taking donations until it is resumed.
+ * The end date does not move; request an extension for that.
+ */
+export const pauseCampaign = async (actor, campaignId, { reason } = {}) => {
+  const campaign = await getManagedCampaign(campaignId, actor);
+  if (campaign.status !== "active") {
+    throw new AppError(
+      `Only active campaigns can be paused. Current status: ${campaign.status}`,
+      409
+    );
+  }
+
+  const paused = await lifecycleRepository.pauseCampaign(campaignId, reason);
+  if (!paused) {
+    throw new AppError("The campaign changed status; try again", 409);
+  }
+
+  await logServiceEvent(
+    actor.userId,
+    CAMPAIGN_ACTIONS.CAMPAIGN_PAUSED,
+    ENTITY_TYPES.CAMPAIGN,
+    campaignId,
+    {
+      reason: reason || null,
+      isAdminAction: paused.organizerId !== actor.userId,
+    }
+  );
+  await notifyDonors(paused, {
+    title: "Campaign paused",
+    message: `"${paused.name}" has been paused by its organizer and is not taking donations for now.${
+      reason ? ` Reason: ${reason}` : ""
+    }`,
+    templateId: "campaign.paused.v1",
+  });
+
+  logger.info("Campaign paused", { campaignId, pausedBy: actor.userId });
+  return paused;
+};
+
+export const resumeCampaign = async (actor, campaignId) => {
+  const campaign = await getManagedCampaign(campaignId, actor);
+  if (campaign.status !== "paused") {
+    throw new AppError(
+      `Only paused campaigns can be resumed. Current status: ${campaign.status}`,
+      409
+    );
+  }
+
+  const resumed = await lifecycleRepository.resumeCampaign(campaignId);
+  if (!resumed) {
+    throw new AppError("The campaign changed status; try again", 409);
+  }
+
+  await logServiceEvent(
+    actor.userId,
+    CAMPAIGN_ACTIONS.CAMPAIGN_RESUMED,
+    ENTITY_TYPES.CAMPAIGN,
+    campaignId,
+    {
+      pausedAt: campaign.pausedAt,
+      isAdminAction: resumed.organizerId !== actor.userId,
+    }
+  );
+  await notifyDonors(resumed, {
+    title: "Campaign resumed",
+    message: `"${resumed.name}" is active again and accepting donations.`,
+    templateId: "campaign.resumed.v1",
+  });
+
+  logger.info("Campaign resumed", { campaignId, resumedBy: actor.userId });
+  return resumed;
+};
+
+/**
+ * Organizer asks for a later end date; admins approve or reject it
+ */
+export const requestExtension = async (
+  actor,
+  campaignId,
+  { requestedEndDate, reason }
+) => {
+  const campaign = await findCampaignById(campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+  if (campaign.organizerId !== actor.userId) {
+    throw new AppError(
+      "Only the campaign organizer can request an extension",
+      403
+    );
+  }
+  if (!["active", "paused"].includes(campaign.status)) {
+    throw new AppError(
+      `Only running campaigns can be extended. Current status: ${campaign.status}`,
+      409
+    );
+  }
+
+  const newEndDate = new Date(requestedEndDate);
+  if (campaign.endDate && newEndDate <= new Date(campaign.endDate)) {
+    throw new AppError(
+      "The requested end date must be later than the current end date",
+      400
+    );
+  }
+
+  const [pending] = await lifecycleRepository.listExtensionRequests({
+    status: "pending",
+    campaignId,
+    limit: 1,
+  });
+  if (pending) {
+    throw new AppError(
+      "This campaign already has an extension request awaiting review",
+      409
+    );
+  }
+
+  const request = await lifecycleRepository.createExtensionRequest({
+    campaignId,
+    requestedByUserId: actor.userId,
+    currentEndDate: campaign.endDate,
+    requestedEndDate: newEndDate,
+    reason,
+  });
+
+  await logServiceEvent(
+    actor.userId,
+    CAMPAIGN_ACTIONS.CAMPAIGN_EXTENSION_REQUESTED,
+    ENTITY_TYPES.CAMPAIGN_EXTENSION_REQUEST,
+    request.extensionRequestId,
+    {
+      campaignId,
+      currentEndDate: campaign.endDate,
+      requestedEndDate: newEndDate.toISOString(),
+    }
+  );
+
+  try {
+    const admins = await findUsersByRoles(EXTENSION_REVIEW_ROLES);
+    for (const admin of admins) {
+      await notificationService.createAndDispatch({
+        userId: admin.userId,
+        type: "inApp",
+        category: "campaign",
+        priority: "medium",
+        title: "Campaign extension requested",
+        message: `"${campaign.name}" asks to run until ${newEndDate
+          .toISOString()
+          .slice(0, 10)}: ${reason}`,
+        data: {
+          campaignId,
+          extensionRequestId: request.extensionRequestId,
+        },
+        relatedEntityType: "campaign",
+        relatedEntityId: campaignId,
+        templateId: "campaign.extension.requested.v1",
+      });
+    }
+  } catch (notificationError) {
+    logger.warn("Failed to notify admins of extension request", {
+      error: notificationError.message,
+      extensionRequestId: request.extensionRequestId,
+    });
+  }
+
+  return request;
+};
+
+export const getCampaignExtensionRequests = async (actor, campaignId) => {
+  const campaign = await findCampaignById(campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+  if (
+    campaign.organizerId !== actor.userId &&
+    !EXTENSION_REVIEW_ROLES.includes(actor.userType)
+  ) {
+    throw new AppError("Not allowed to view this campaign's requests", 403);
+  }
+
+  return lifecycleRepository.listExtensionRequests({ campaignId, limit: 100 });
+};
+
+export const listExtensionRequests = async (filters) => {
+  return lifecycleRepository.listExtensionRequests(filters);
+};
+
+const notifyOrganizerOfReview = async (request, { title, message }) => {
+  try {
+    await notificationService.createAndDispatch({
+      userId: request.organizerId,
+      type: "inApp",
+      category: "campaign",
+      priority: "high",
+      title,
+      message,
+      data: {
+        campaignId: request.campaignId,
+        extensionRequestId: request.extensionRequestId,
+        status: request.status,
+      },
+      relatedEntityType: "campaign",
+      relatedEntityId: request.campaignId,
+      templateId: `campaign.extension.${request.status}.v1`,
+    });
+  } catch (notificationError) {
+    logger.warn("Failed to notify organizer of extension review", {
+      error: notificationError.message,
+      extensionRequestId: request.extensionRequestId,
+    });
+  }
+};
+
+const getPendingRequest = async (extensionRequestId) => {
+  const request =
+    await lifecycleRepository.getExtensionRequestById(extensionRequestId);
+  if (!request) {
+    throw new AppError("Extension request not found", 404);
+  }
+  if (request.status !== "pending") {
+    throw new AppError(`Extension request is already ${request.status}`, 409);
+  }
+  return request;
+};
+
+/**
+ * Moves the campaign's end date to the requested one
+ */
+export const approveExtension = async (
+  actor,
+  extensionRequestId,
+  { note } = {}
+) => {
+  const request = await getPendingRequest(extensionRequestId);
+
+  const { reviewed, campaign } = await transaction(async (client) => {
+    const reviewed = await lifecycleRepository.markExtensionRequest(
+      extensionRequestId,
+      { status: "approved", reviewedByUserId: actor.userId, reviewNote: note },
+      client
+    );
+    if (!reviewed) {
+      throw new AppError("Extension request was already reviewed", 409);
+    }
+    const campaign = await lifecycleRepository.setCampaignEndDate(
+      request.campaignId,
+      request.requestedEndDate,
+      client
+    );
+    if (!campaign) {
+      throw new AppError(
+        "The campaign has already ended and can no longer be extended",
+        409
+      );
+    }
+    return { reviewed, campaign };
+  });
+
+  await logServiceEvent(
+    actor.userId,
+    CAMPAIGN_ACTIONS.CAMPAIGN_EXTENSION_APPROVED,
+    ENTITY_TYPES.CAMPAIGN_EXTENSION_REQUEST,
+    extensionRequestId,
+    {
+      campaignId: request.campaignId,
+      previousEndDate: request.campaignEndDate,
+      newEndDate: campaign.endDate,
+      note: note || null,
+    }
+  );
+
+  const newEndDate = new Date(campaign.endDate).toISOString().slice(0, 10);
+  await notifyOrganizerOfReview(
+    { ...request, ...reviewed },
+    {
+      title: "Campaign extension approved",
+      message: `"${request.campaignName}" now runs until ${newEndDate}.`,
+    }
+  );
+  await notifyDonors(campaign, {
+    title: "Campaign extended",
+    message: `"${campaign.name}" has been extended and now runs until ${newEndDate}.`,
+    templateId: "campaign.extended.v1",
+  });
+
+  return { ...reviewed, campaign };
+};
+
+export const rejectExtension = async (
+  actor,
+  extensionRequestId,
+  { reason }
+) => {
+  const request = await getPendingRequest(extensionRequestId);
+
+  const reviewed = await lifecycleRepository.markExtensionRequest(
+    extensionRequestId,
+    { status: "rejected", reviewedByUserId: actor.userId, reviewNote: reason }
+  );
+  if (!reviewed) {
+    throw new AppError("Extension request was already reviewed", 409);
+  }
+
+  await logServiceEvent(
+    actor.userId,
+    CAMPAIGN_ACTIONS.CAMPAIGN_EXTENSION_REJECTED,
+    ENTITY_TYPES.CAMPAIGN_EXTENSION_REQUEST,
+    extensionRequestId,
+    { campaignId: request.campaignId, reason }
+  );
+  await notifyOrganizerOfReview(
+    { ...request, ...reviewed },
+    {
+      title: "Campaign extension declined",
+      message: `The extension for "${request.campaignName}" was declined: ${reason}`,
+    }
+  );
+
+  return reviewed;
+};
+
+export const cancelExtension = async (actor, extensionRequestId) => {
+  const request = await getPendingRequest(extensionRequestId);
+  if (request.requestedByUserId !== actor.userId) {
+    throw new AppError("Only the organizer who asked can cancel it", 403);
+  }
+
+  const cancelled = await lifecycleRepository.markExtensionRequest(
+    extensionRequestId,
+    { status: "cancelled" }
+  );
+  if (!cancelled) {
+    throw new AppError("Extension request was already reviewed", 409);
+  }
+  return cancelled;
+};
+
+export default {
+  startDueCampaigns,
+  endDueCampaigns,
+  processCampaignLifecycle,
+  pauseCampaign,
+  resumeCampaign,
+  requestExtension,
+  getCampaignExtensionRequests,
+  listExtensionRequests,
+  approveExtension,
+  rejectExtension,
+  cancelExtension,
+};
@@ -0,0 +1,67 @@
+import Joi from "joi";
+import { validate } from "../../../utils/validation.js";
+
+// Validation schemas
+const pauseCampaignSchema = Joi.object({
+  reason: Joi.string().trim().max(500).optional(),
+});
+
+const requestExtensionSchema = Joi.object({
+  requestedEndDate: Joi.date().iso().greater("now").required().messages({
+    "any.required": "Requested end date is required",
+    "date.greater": "Requested end date must be in the future",
+  }),
+  reason: Joi.string().trim().min(10).max(1000).required().messages({
+    "any.required": "Please explain why the campaign needs more time",
+    "string.min": "Reason is too short",
+  }),
+});
+
+const listExtensionRequestsSchema = Joi.object({
+  status: Joi.string()
+    .valid("pending", "approved", "rejected", "cancelled")
+    .default("pending"),
+  campaignId: Joi.string().uuid().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const approveExtensionSchema = Joi.object({
+  note: Joi.string().trim().max(500).optional(),
+});
+
+const rejectExtensionSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    "any.required": "Rejection reason is required",
+    "string.min": "Rejection reason is too short",
+  }),
+});
+
+const campaignIdSchema = Joi.object({
+  campaignId: Joi.string().uuid().required().messages({
+    "string.guid": "Campaign ID must be a valid UUID",
+    "any.required": "Campaign ID is required",
+  }),
+});
+
+const extensionRequestIdSchema = Joi.object({
+  extensionRequestId: Joi.string().uuid().required().messages({
+    "string.guid": "Extension request ID must be a valid UUID",
+    "any.required": "Extension request ID is required",
+  }),
+});
+
+// Validation middlewares
+export const validatePauseCampaign = validate(pauseCampaignSchema);
+export const validateRequestExtension = validate(requestExtensionSchema);
+export const validateListExtensionRequests = validate(
+  listExtensionRequestsSchema,
+  "query"
+);
+export const validateApproveExtension = validate(approveExtensionSchema);
+export const validateRejectExtension = validate(rejectExtensionSchema);
+export const validateCampaignId = validate(campaignIdSchema, "params");
+export const validateExtensionRequestId = validate(
+  extensionRequestIdSchema,
+  "params"
+);
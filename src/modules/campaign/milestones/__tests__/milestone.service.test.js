@@ -0,0 +1,335 @@
+// src/modules/campaign/milestones/__tests__/milestone.service.test.js
+
+import {
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+  evaluateMilestones,
+} from '../milestone.service.js';
+import * as milestoneRepository from '../milestone.repository.js';
+import { findCampaignById } from '../../campaigns/campaign.repository.js';
+import postService from '../../../feed/post.service.js';
+import notificationService from '../../../notifications/notification.service.js';
+import { createLinkToken } from '../../../Outreach/linkTokens/linkToken.repository.js';
+import { recordEmailEvent } from '../../../Outreach/emailEvents/emailEvent.repository.js';
+import { sendOutreachEmail } from '../../../../utils/email.utils.js';
+import {
+  partitionRecipients,
+  buildUnsubscribeLinks,
+} from '../../../Outreach/emailPreferences/emailPreference.service.js';
+
+// Mock dependencies
+jest.mock('../milestone.repository.js');
+jest.mock('../../campaigns/campaign.repository.js');
+jest.mock('../../../feed/post.service.js', () => ({
+  __esModule: true,
+  default: { createPost: jest.fn() },
+}));
+jest.mock('../../../notifications/notification.service.js', () => ({
+  __esModule: true,
+  default: { createAndDispatch: jest.fn() },
+}));
+jest.mock('../../../Outreach/linkTokens/linkToken.repository.js');
+jest.mock('../../../Outreach/emailEvents/emailEvent.repository.js');
+jest.mock('../../../../utils/email.utils.js');
+jest.mock(
+  '../../../Outreach/emailPreferences/emailPreference.service.js',
+  () => ({
+    partitionRecipients: jest.fn(),
+    buildUnsubscribeLinks: jest.fn(),
+  })
+);
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('MilestoneService', () => {
+  const organizer = { userId: 'organizer-1', userType: 'individualUser' };
+
+  const campaign = {
+    campaignId: 'campaign-1',
+    organizerId: 'organizer-1',
+    status: 'active',
+    goalAmount: '10000.00',
+    currentRaisedAmount: '2600.00',
+    baseCurrency: 'ZMW',
+  };
+
+  const reachedGoalMilestone = {
+    milestoneId: 'milestone-25',
+    campaignId: 'campaign-1',
+    kind: 'goal',
+    goalPercentage: 25,
+    targetAmount: null,
+    title: '25% of the goal reached',
+    notifyDonors: false,
+    notifyContacts: false,
+    reachedAmount: '2600.00',
+    campaignName: 'Clean Water',
+    organizerId: 'organizer-1',
+    organizerName: 'Water Trust',
+    goalAmount: '10000.00',
+    currentRaisedAmount: '2600.00',
+    baseCurrency: 'ZMW',
+  };
+
+  beforeEach(() => {
+    findCampaignById.mockResolvedValue(campaign);
+    milestoneRepository.ensureGoalMilestones.mockResolvedValue();
+    milestoneRepository.claimReachedMilestones.mockResolvedValue([]);
+    milestoneRepository.setMilestonePost.mockResolvedValue();
+    postService.createPost.mockResolvedValue({ postId: 'post-1' });
+    notificationService.createAndDispatch.mockResolvedValue({});
+    createLinkToken.mockResolvedValue({
+      linkTokenId: 'token-1',
+      utmSource: 'milestone',
+      utmMedium: 'email',
+      utmCampaign: 'Clean Water',
+      utmContent: 'milestone',
+    });
+    sendOutreachEmail.mockResolvedValue({});
+    recordEmailEvent.mockResolvedValue({});
+    partitionRecipients.mockImplementation(
+      async (organizerId, category, recipients) => ({
+        allowed: recipients,
+        suppressed: [],
+      })
+    );
+    buildUnsubscribeLinks.mockReturnValue({
+      unsubscribeUrl:
+        'https://app.test/email-preferences?token=t&action=unsubscribe',
+      preferencesUrl: 'https://app.test/email-preferences?token=t',
+      headers: { 'List-Unsubscribe': '<https://api.test/unsubscribe>' },
+    });
+  });
+
+  describe('evaluateMilestones', () => {
+    it('does nothing when no milestone was reached', async () => {
+      const result = await evaluateMilestones('campaign-1');
+
+      expect(result).toEqual([]);
+      expect(milestoneRepository.ensureGoalMilestones).toHaveBeenCalledWith(
+        'campaign-1'
+      );
+      expect(notificationService.createAndDispatch).not.toHaveBeenCalled();
+      expect(postService.createPost).not.toHaveBeenCalled();
+    });
+
+    it('notifies the organizer and posts to the feed for a reached milestone', async () => {
+      milestoneRepository.claimReachedMilestones.mockResolvedValue([
+        reachedGoalMilestone,
+      ]);
+
+      const result = await evaluateMilestones('campaign-1');
+
+      expect(result).toHaveLength(1);
+      expect(notificationService.createAndDispatch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 'organizer-1',
+          type: 'inApp',
+          category: 'milestone',
+          templateId: 'campaign.milestone.v1',
+        })
+      );
+      expect(notificationService.createAndDispatch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 'organizer-1',
+          type: 'email',
+          templateId: 'campaign.milestone.email.v1',
+        })
+      );
+      expect(postService.createPost).toHaveBeenCalledWith(
+        expect.objectContaining({
+          campaignId: 'campaign-1',
+          type: 'milestone',
+        }),
+        'organizer-1'
+      );
+      expect(milestoneRepository.setMilestonePost).toHaveBeenCalledWith(
+        'milestone-25',
+        'post-1'
+      );
+      expect(sendOutreachEmail).not.toHaveBeenCalled();
+    });
+
+    it('emails donors other than the organizer when enabled', async () => {
+      milestoneRepository.claimReachedMilestones.mockResolvedValue([
+        { ...reachedGoalMilestone, notifyDonors: true },
+      ]);
+      milestoneRepository.getCampaignDonorRecipients.mockResolvedValue([
+        { userId: 'donor-1' },
+        { userId: 'organizer-1' },
+      ]);
+
+      await evaluateMilestones('campaign-1');
+
+      const donorEmails = notificationService.createAndDispatch.mock.calls
+        .map(([notification]) => notification)
+        .filter(
+          (notification) =>
+            notification.templateId === 'campaign.milestone.donor.email.v1'
+        );
+      expect(donorEmails).toHaveLength(1);
+      expect(donorEmails[0].userId).toBe('donor-1');
+    });
+
+    it('sends tracked outreach emails to contacts when enabled', async () => {
+      milestoneRepository.claimReachedMilestones.mockResolvedValue([
+        { ...reachedGoalMilestone, notifyContacts: true },
+      ]);
+      milestoneRepository.getCampaignContactRecipients.mockResolvedValue([
+        { contactId: 'contact-1', email: 'friend@example.com' },
+      ]);
+
+      await evaluateMilestones('campaign-1');
+
+      expect(createLinkToken).toHaveBeenCalledWith(
+        expect.objectContaining({
+          campaignId: 'campaign-1',
+          contactId: 'contact-1',
+          type: 'update',
+        }),
+        'organizer-1'
+      );
+      expect(partitionRecipients).toHaveBeenCalledWith(
+        'organizer-1',
+        'update',
+        [{ contactId: 'contact-1', email: 'friend@example.com' }]
+      );
+      expect(sendOutreachEmail).toHaveBeenCalledWith(
+        'friend@example.com',
+        expect.stringContaining('Clean Water'),
+        expect.stringContaining('email-preferences?token=t'),
+        {
+          linkTokenId: 'token-1',
+          contactId: 'contact-1',
+          headers: { 'List-Unsubscribe': '<https://api.test/unsubscribe>' },
+        }
+      );
+      expect(recordEmailEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ linkTokenId: 'token-1', type: 'sent' })
+      );
+    });
+
+    it('skips contacts who unsubscribed from the organizer', async () => {
+      milestoneRepository.claimReachedMilestones.mockResolvedValue([
+        { ...reachedGoalMilestone, notifyContacts: true },
+      ]);
+      milestoneRepository.getCampaignContactRecipients.mockResolvedValue([
+        { contactId: 'contact-1', email: 'friend@example.com' },
+      ]);
+      partitionRecipients.mockResolvedValue({
+        allowed: [],
+        suppressed: [
+          {
+            contactId: 'contact-1',
+            email: 'friend@example.com',
+            suppressionReason: 'unsubscribed',
+          },
+        ],
+      });
+
+      await evaluateMilestones('campaign-1');
+
+      expect(createLinkToken).not.toHaveBeenCalled();
+      expect(sendOutreachEmail).not.toHaveBeenCalled();
+    });
+
+    it('still posts to the feed when the organizer notification fails', async () => {
+      milestoneRepository.claimReachedMilestones.mockResolvedValue([
+        reachedGoalMilestone,
+      ]);
+      notificationService.createAndDispatch.mockRejectedValue(
+        new Error('smtp down')
+      );
+
+      await evaluateMilestones('campaign-1');
+
+      expect(postService.createPost).toHaveBeenCalled();
+    });
+  });
+
+  describe('createMilestone', () => {
+    const payload = { title: 'New roof', targetAmount: 5000 };
+
+    it('creates a custom milestone for the organizer', async () => {
+      milestoneRepository.createCustomMilestone.mockResolvedValue({
+        milestoneId: 'milestone-1',
+        kind: 'custom',
+        targetAmount: '5000.00',
+        reachedAmount: null,
+      });
+
+      const result = await createMilestone(organizer, 'campaign-1', payload);
+
+      expect(result.targetAmount).toBe(5000);
+      expect(milestoneRepository.createCustomMilestone).toHaveBeenCalledWith(
+        expect.objectContaining({
+          campaignId: 'campaign-1',
+          createdByUserId: 'organizer-1',
+        })
+      );
+    });
+
+    it('rejects users who do not own the campaign', async () => {
+      await expect(
+        createMilestone(
+          { userId: 'someone-else', userType: 'individualUser' },
+          'campaign-1',
+          payload
+        )
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('rejects an amount the campaign has already raised', async () => {
+      await expect(
+        createMilestone(organizer, 'campaign-1', {
+          ...payload,
+          targetAmount: 2000,
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(milestoneRepository.createCustomMilestone).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateMilestone and deleteMilestone', () => {
+    const goalMilestone = {
+      milestoneId: 'milestone-50',
+      campaignId: 'campaign-1',
+      organizerId: 'organizer-1',
+      kind: 'goal',
+      goalPercentage: 50,
+      reachedAt: null,
+    };
+
+    it('only allows notification settings on goal milestones', async () => {
+      milestoneRepository.getMilestoneById.mockResolvedValue(goalMilestone);
+
+      await expect(
+        updateMilestone(organizer, 'milestone-50', { title: 'Halfway' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('refuses to change a reached milestone', async () => {
+      milestoneRepository.getMilestoneById.mockResolvedValue({
+        ...goalMilestone,
+        reachedAt: new Date(),
+      });
+
+      await expect(
+        updateMilestone(organizer, 'milestone-50', { notifyDonors: true })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('refuses to delete goal milestones', async () => {
+      milestoneRepository.getMilestoneById.mockResolvedValue(goalMilestone);
+
+      await expect(
+        deleteMilestone(organizer, 'milestone-50')
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(milestoneRepository.deleteMilestone).not.toHaveBeenCalled();
+    });
+  });
+});
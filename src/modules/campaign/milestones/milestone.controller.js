@@ -0,0 +1,46 @@
+import * as milestoneService from "./milestone.service.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+export const getCampaignMilestones = async (req, res) => {
+  const result = await milestoneService.getCampaignMilestones(
+    req.params.campaignId
+  );
+
+  return ResponseFactory.ok(res, "Milestones retrieved successfully", result);
+};
+
+export const createMilestone = async (req, res) => {
+  const result = await milestoneService.createMilestone(
+    req.user,
+    req.params.campaignId,
+    req.body
+  );
+
+  return ResponseFactory.created(res, "Milestone created successfully", result);
+};
+
+export const updateMilestone = async (req, res) => {
+  const result = await milestoneService.updateMilestone(
+    req.user,
+    req.params.milestoneId,
+    req.body
+  );
+
+  return ResponseFactory.ok(res, "Milestone updated successfully", result);
+};
+
+export const deleteMilestone = async (req, res) => {
+  const result = await milestoneService.deleteMilestone(
+    req.user,
+    req.params.milestoneId
+  );
+
+  return ResponseFactory.ok(res, "Milestone deleted successfully", result);
+};
+
+export default {
+  getCampaignMilestones,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+};
@@ -0,0 +1,188 @@
+import { db } from "../../../db/index.js";
+
+export const GOAL_PERCENTAGES = [25, 50, 75, 100];
+
+/**
+ * Creates any missing goal milestones for a campaign
+ */
+export const ensureGoalMilestones = async (campaignId) => {
+  await db.query(
+    `INSERT INTO "campaignMilestones" ("campaignId", "kind", "goalPercentage", "title")
+     SELECT $1, 'goal', p.pct, p.pct || '% of the goal reached'
+     FROM unnest($2::smallint[]) AS p(pct)
+     ON CONFLICT ("campaignId", "goalPercentage") DO NOTHING`,
+    [campaignId, GOAL_PERCENTAGES]
+  );
+};
+
+export const createCustomMilestone = async (data) => {
+  const result = await db.query(
+    `INSERT INTO "campaignMilestones" (
+      "campaignId", "kind", "targetAmount", "title", "description",
+      "notifyDonors", "notifyContacts", "createdByUserId"
+    ) VALUES ($1, 'custom', $2, $3, $4, $5, $6, $7)
+    RETURNING *`,
+    [
+      data.campaignId,
+      data.targetAmount,
+      data.title,
+      data.description || null,
+      data.notifyDonors || false,
+      data.notifyContacts || false,
+      data.createdByUserId,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * A campaign's milestones in the order they are reached
+ */
+export const getMilestonesByCampaign = async (campaignId) => {
+  const result = await db.query(
+    `SELECT m.*,
+            COALESCE(m."targetAmount", c."goalAmount" * m."goalPercentage" / 100.0)
+              AS "thresholdAmount"
+     FROM "campaignMilestones" m
+     JOIN "campaigns" c ON c."campaignId" = m."campaignId"
+     WHERE m."campaignId" = $1
+     ORDER BY "thresholdAmount" ASC, m."createdAt" ASC`,
+    [campaignId]
+  );
+
+  return result.rows;
+};
+
+export const getMilestoneById = async (milestoneId) => {
+  const result = await db.query(
+    `SELECT m.*, c."organizerId"
+     FROM "campaignMilestones" m
+     JOIN "campaigns" c ON c."campaignId" = m."campaignId"
+     WHERE m."milestoneId" = $1`,
+    [milestoneId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const updateMilestone = async (milestoneId, fields) => {
+  const allowed = [
+    "title",
+    "description",
+    "targetAmount",
+    "notifyDonors",
+    "notifyContacts",
+  ];
+  const sets = [];
+  const values = [milestoneId];
+  for (const key of allowed) {
+    if (fields[key] !== undefined) {
+      values.push(fields[key]);
+      sets.push(`"${key}" = $${values.length}`);
+    }
+  }
+  if (!sets.length) return getMilestoneById(milestoneId);
+
+  const result = await db.query(
+    `UPDATE "campaignMilestones"
+     SET ${sets.join(", ")}
+     WHERE "milestoneId" = $1
+     RETURNING *`,
+    values
+  );
+
+  return result.rows[0] || null;
+};
+
+export const deleteMilestone = async (milestoneId) => {
+  const result = await db.query(
+    `DELETE FROM "campaignMilestones"
+     WHERE "milestoneId" = $1 AND "kind" = 'custom' AND "reachedAt" IS NULL
+     RETURNING "milestoneId"`,
+    [milestoneId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Marks every unreached milestone the campaign's raised amount now covers as
+ * reached. The update only matches unreached rows, so concurrent callers can
+ * never claim the same milestone twice.
+ * @returns {Promise<Array>} The milestones claimed by this call, with campaign details
+ */
+export const claimReachedMilestones = async (campaignId) => {
+  const result = await db.query(
+    `UPDATE "campaignMilestones" m
+     SET "reachedAt" = CURRENT_TIMESTAMP,
+         "reachedAmount" = c."currentRaisedAmount"
+     FROM "campaigns" c
+     LEFT JOIN "organizationProfiles" op ON op."userId" = c."organizerId"
+     WHERE m."campaignId" = $1
+       AND c."campaignId" = m."campaignId"
+       AND m."reachedAt" IS NULL
+       AND (m."kind" = 'custom' OR c."goalAmount" > 0)
+       AND c."currentRaisedAmount" >=
+           COALESCE(m."targetAmount", c."goalAmount" * m."goalPercentage" / 100.0)
+     RETURNING m.*, c."name" AS "campaignName", c."organizerId",
+               c."goalAmount", c."currentRaisedAmount", c."baseCurrency",
+               op."organizationName" AS "organizerName"`,
+    [campaignId]
+  );
+
+  return result.rows;
+};
+
+export const setMilestonePost = async (milestoneId, postId) => {
+  await db.query(
+    `UPDATE "campaignMilestones" SET "postId" = $2 WHERE "milestoneId" = $1`,
+    [milestoneId, postId]
+  );
+};
+
+/**
+ * Donors with an account who completed a donation to the campaign
+ */
+export const getCampaignDonorRecipients = async (campaignId) => {
+  const result = await db.query(
+    `SELECT DISTINCT d."donorUserId" AS "userId"
+     FROM "donations" d
+     WHERE d."campaignId" = $1
+       AND d."status" = 'completed'
+       AND d."donorUserId" IS NOT NULL
+       AND d."matchPoolId" IS NULL`,
+    [campaignId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Outreach contacts the organizer has sent links to for this campaign
+ */
+export const getCampaignContactRecipients = async (campaignId) => {
+  const result = await db.query(
+    `SELECT DISTINCT ON (LOWER(c."email")) c."contactId", c."name", c."email"
+     FROM "linkTokens" lt
+     JOIN "contacts" c ON c."contactId" = lt."contactId"
+     WHERE lt."campaignId" = $1
+     ORDER BY LOWER(c."email"), c."createdAt" ASC`,
+    [campaignId]
+  );
+
+  return result.rows;
+};
+
+export default {
+  ensureGoalMilestones,
+  createCustomMilestone,
+  getMilestonesByCampaign,
+  getMilestoneById,
+  updateMilestone,
+  deleteMilestone,
+  claimReachedMilestones,
+  setMilestonePost,
+  getCampaignDonorRecipients,
+  getCampaignContactRecipients,
+};
@@ -0,0 +1,47 @@
+import { Router } from "express";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import { authenticate } from "../../../middlewares/auth.middleware.js";
+import {
+  getCampaignMilestones,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+} from "./milestone.controller.js";
+import {
+  validateCreateMilestone,
+  validateUpdateMilestone,
+  validateCampaignId,
+  validateMilestoneId,
+} from "./milestone.validation.js";
+
+const router = Router();
+
+// Public: campaign pages show progress towards milestones
+router.get(
+  "/campaign/:campaignId",
+  validateCampaignId,
+  catchAsync(getCampaignMilestones)
+);
+
+router.post(
+  "/campaign/:campaignId",
+  authenticate,
+  validateCampaignId,
+  validateCreateMilestone,
+  catchAsync(createMilestone)
+);
+router.patch(
+  "/:milestoneId",
+  authenticate,
+  validateMilestoneId,
+  validateUpdateMilestone,
+  catchAsync(updateMilestone)
+);
+router.delete(
+  "/:milestoneId",
+  authenticate,
+  validateMilestoneId,
+  catchAsync(deleteMilestone)
+);
+
+export default router;
@@ -0,0 +1,472 @@
+import * as milestoneRepository from "./milestone.repository.js";
+import { findCampaignById } from "../campaigns/campaign.repository.js";
+import postService from "../../feed/post.service.js";
+import notificationService from "../../notifications/notification.service.js";
+import { createLinkToken } from "../../Outreach/linkTokens/linkToken.repository.js";
+import { recordEmailEvent } from "../../Outreach/emailEvents/emailEvent.repository.js";
+import {
+  partitionRecipients,
+  buildUnsubscribeLinks,
+} from "../../Outreach/emailPreferences/emailPreference.service.js";
+import { sendOutreachEmail } from "../../../utils/email.utils.js";
+import {
+  createMilestoneTemplate,
+  createDonorMilestoneTemplate,
+  createUpdateTemplate,
+  generateTrackingLink,
+} from "../../../utils/emailTemplates.js";
+import { AppError } from "../../../utils/appError.js";
+import logger from "../../../utils/logger.js";
+
+const MILESTONE_ADMIN_ROLES = ["superAdmin", "supportAdmin"];
+// Custom milestones can be planned until the campaign has finished
+const EDITABLE_CAMPAIGN_STATUSES = [
+  "pendingApproval",
+  "pendingStart",
+  "active",
+  "paused",
+];
+
+const campaignUrl = (campaignId) =>
+  `${
+    process.env.FRONTEND_URL || "http://localhost:5173"
+  }/campaigns/${campaignId}`;
+
+const percentageOf = (amount, goal) =>
+  Number(goal) > 0
+    ? Math.floor(Math.min(100, (Number(amount) / Number(goal)) * 100))
+    : 0;
+
+const formatMilestone = (milestone) => ({
+  ...milestone,
+  targetAmount:
+    milestone.targetAmount === null ? null : Number(milestone.targetAmount),
+  thresholdAmount:
+    milestone.thresholdAmount === undefined
+      ? undefined
+      : Number(milestone.thresholdAmount),
+  reachedAmount:
+    milestone.reachedAmount === null ? null : Number(milestone.reachedAmount),
+});
+
+const getOwnedCampaign = async (campaignId, actor) => {
+  const campaign = await findCampaignById(campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+  if (
+    campaign.organizerId !== actor.userId &&
+    !MILESTONE_ADMIN_ROLES.includes(actor.userType)
+  ) {
+    throw new AppError(
+      "Only the campaign organizer can manage its milestones",
+      403
+    );
+  }
+  return campaign;
+};
+
+const getOwnedMilestone = async (milestoneId, actor) => {
+  const milestone = await milestoneRepository.getMilestoneById(milestoneId);
+  if (!milestone) {
+    throw new AppError("Milestone not found", 404);
+  }
+  if (
+    milestone.organizerId !== actor.userId &&
+    !MILESTONE_ADMIN_ROLES.includes(actor.userType)
+  ) {
+    throw new AppError(
+      "Only the campaign organizer can manage its milestones",
+      403
+    );
+  }
+  if (milestone.reachedAt) {
+    throw new AppError("Reached milestones cannot be changed", 409);
+  }
+  return milestone;
+};
+
+/**
+ * A campaign's goal and custom milestones, lowest threshold first
+ */
+export const getCampaignMilestones = async (campaignId) => {
+  const campaign = await findCampaignById(campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+
+  await milestoneRepository.ensureGoalMilestones(campaignId);
+  const milestones =
+    await milestoneRepository.getMilestonesByCampaign(campaignId);
+
+  return {
+    campaignId,
+    currency: campaign.baseCurrency,
+    currentRaisedAmount: Number(campaign.currentRaisedAmount),
+    goalAmount: Number(campaign.goalAmount),
+    milestones: milestones.map(formatMilestone),
+  };
+};
+
+/**
+ * Adds an organizer-defined milestone at an amount in the campaign's base currency
+ */
+export const createMilestone = async (actor, campaignId, payload) => {
+  const campaign = await getOwnedCampaign(campaignId, actor);
+  if (!EDITABLE_CAMPAIGN_STATUSES.includes(campaign.status)) {
+    throw new AppError(
+      `Milestones cannot be added to a ${campaign.status} campaign`,
+      409
+    );
+  }
+  if (payload.targetAmount <= Number(campaign.currentRaisedAmount)) {
+    throw new AppError("The campaign has already raised this amount", 409);
+  }
+
+  const milestone = await milestoneRepository.createCustomMilestone({
+    ...payload,
+    campaignId,
+    createdByUserId: actor.userId,
+  });
+
+  logger.info("Campaign milestone created", {
+    milestoneId: milestone.milestoneId,
+    campaignId,
+    targetAmount: milestone.targetAmount,
+  });
+
+  return formatMilestone(milestone);
+};
+
+/**
+ * Goal milestones only take notification settings; custom ones can also be
+ * renamed or moved while unreached
+ */
+export const updateMilestone = async (actor, milestoneId, payload) => {
+  const milestone = await getOwnedMilestone(milestoneId, actor);
+  if (
+    milestone.kind === "goal" &&
+    (payload.title !== undefined ||
+      payload.description !== undefined ||
+      payload.targetAmount !== undefined)
+  ) {
+    throw new AppError(
+      "Goal milestones only allow their notification settings to be changed",
+      400
+    );
+  }
+  if (payload.targetAmount !== undefined) {
+    const campaign = await findCampaignById(milestone.campaignId);
+    if (payload.targetAmount <= Number(campaign.currentRaisedAmount)) {
+      throw new AppError("The campaign has already raised this amount", 409);
+    }
+  }
+
+  const updated = await milestoneRepository.updateMilestone(
+    milestoneId,
+    payload
+  );
+  return formatMilestone(updated);
+};
+
+export const deleteMilestone = async (actor, milestoneId) => {
+  const milestone = await getOwnedMilestone(milestoneId, actor);
+  if (milestone.kind === "goal") {
+    throw new AppError("Goal milestones cannot be deleted", 409);
+  }
+
+  await milestoneRepository.deleteMilestone(milestoneId);
+  return { milestoneId };
+};
+
+const milestoneTitleFor = (milestone) =>
+  milestone.kind === "goal"
+    ? `${milestone.goalPercentage}% of its goal`
+    : milestone.title;
+
+const notifyOrganizer = async (milestone, percentage) => {
+  const title = `Milestone reached: ${
+    milestone.kind === "goal" ? `${milestone.goalPercentage}%` : milestone.title
+  }`;
+  const data = {
+    campaignId: milestone.campaignId,
+    milestoneId: milestone.milestoneId,
+    milestone: milestone.goalPercentage ?? milestone.title,
+    currentAmount: milestone.reachedAmount,
+    goalAmount: milestone.goalAmount,
+  };
+
+  await notificationService.createAndDispatch({
+    userId: milestone.organizerId,
+    type: "inApp",
+    category: "milestone",
+    priority: "high",
+    title,
+    message: `${milestone.campaignName} reached ${milestoneTitleFor(
+      milestone
+    )}.`,
+    data,
+    relatedEntityType: "campaign",
+    relatedEntityId: milestone.campaignId,
+    templateId: "campaign.milestone.v1",
+  });
+
+  const html = createMilestoneTemplate({
+    organizerName: milestone.organizerName || "there",
+    campaignTitle: milestone.campaignName,
+    percentageReached: percentage,
+    milestoneTitle: milestone.kind === "custom" ? milestone.title : undefined,
+    currentAmount: milestone.reachedAmount,
+    goalAmount: milestone.goalAmount,
+    currency: milestone.baseCurrency,
+    campaignUrl: campaignUrl(milestone.campaignId),
+  });
+  await notificationService.createAndDispatch({
+    userId: milestone.organizerId,
+    type: "email",
+    category: "milestone",
+    priority: "high",
+    title,
+    message: html,
+    data,
+    relatedEntityType: "campaign",
+    relatedEntityId: milestone.campaignId,
+    templateId: "campaign.milestone.email.v1",
+  });
+};
+
+const createMilestonePost = async (milestone, percentage) => {
+  const body =
+    milestone.kind === "goal"
+      ? `We've reached ${percentage}% of our ${Number(
+          milestone.goalAmount
+        )} ${milestone.baseCurrency} goal. Thank you to everyone who has given and shared!`
+      : `We've reached our milestone: ${milestone.title} (${Number(
+          milestone.targetAmount
+        )} ${milestone.baseCurrency}).${
+          milestone.description ? `\n\n${milestone.description}` : ""
+        }`;
+
+  const post = await postService.createPost(
+    {
+      campaignId: milestone.campaignId,
+      type: "milestone",
+      title: `${milestone.campaignName} reached ${milestoneTitleFor(
+        milestone
+      )}`,
+      body,
+    },
+    milestone.organizerId
+  );
+  await milestoneRepository.setMilestonePost(
+    milestone.milestoneId,
+    post.postId
+  );
+  return post;
+};
+
+const emailDonors = async (milestone, percentage) => {
+  const donors = await milestoneRepository.getCampaignDonorRecipients(
+    milestone.campaignId
+  );
+  const html = createDonorMilestoneTemplate({
+    campaignTitle: milestone.campaignName,
+    milestoneTitle: milestoneTitleFor(milestone),
+    percentageReached: percentage,
+    currentAmount: milestone.reachedAmount,
+    goalAmount: milestone.goalAmount,
+    currency: milestone.baseCurrency,
+    campaignUrl: campaignUrl(milestone.campaignId),
+  });
+
+  let sent = 0;
+  for (const donor of donors) {
+    if (donor.userId === milestone.organizerId) continue;
+    try {
+      await notificationService.createAndDispatch({
+        userId: donor.userId,
+        type: "email",
+        category: "milestone",
+        priority: "low",
+        title: `${milestone.campaignName} reached ${milestoneTitleFor(
+          milestone
+        )}`,
+        message: html,
+        data: {
+          campaignId: milestone.campaignId,
+          milestoneId: milestone.milestoneId,
+        },
+        relatedEntityType: "campaign",
+        relatedEntityId: milestone.campaignId,
+        templateId: "campaign.milestone.donor.email.v1",
+      });
+      sent += 1;
+    } catch (emailErr) {
+      logger.warn("Failed to email donor about milestone", {
+        milestoneId: milestone.milestoneId,
+        userId: donor.userId,
+        error: emailErr.message,
+      });
+    }
+  }
+  return sent;
+};
+
+const emailContacts = async (milestone, percentage) => {
+  const contacts = await milestoneRepository.getCampaignContactRecipients(
+    milestone.campaignId
+  );
+  const organizerName = milestone.organizerName || milestone.campaignName;
+  const updateMessage = `We've just reached ${milestoneTitleFor(
+    milestone
+  )}: ${percentage}% of our goal is now raised.`;
+
+  // Contacts who unsubscribed or opted out of updates are skipped
+  const { allowed } = await partitionRecipients(
+    milestone.organizerId,
+    "update",
+    contacts
+  );
+
+  let sent = 0;
+  for (const contact of allowed) {
+    try {
+      // Each email gets its own link token so clicks and donations are attributed
+      const linkToken = await createLinkToken(
+        {
+          campaignId: milestone.campaignId,
+          contactId: contact.contactId,
+          segmentId: null,
+          type: "update",
+          personalizedMessage: updateMessage,
+          prefillAmount: null,
+          utmSource: "milestone",
+          utmMedium: "email",
+          utmCampaign: milestone.campaignName,
+          utmContent: "milestone",
+        },
+        milestone.organizerId
+      );
+      const trackedLink = generateTrackingLink(
+        campaignUrl(milestone.campaignId),
+        linkToken.linkTokenId,
+        {
+          utm_source: linkToken.utmSource,
+          utm_medium: linkToken.utmMedium,
+          utm_campaign: linkToken.utmCampaign,
+          utm_content: linkToken.utmContent,
+        }
+      );
+      const unsubscribeLinks = buildUnsubscribeLinks(
+        milestone.organizerId,
+        contact.email
+      );
+      const html = createUpdateTemplate({
+        organizerName,
+        campaignTitle: milestone.campaignName,
+        updateMessage,
+        trackedLink,
+        linkTokenId: linkToken.linkTokenId,
+        unsubscribeUrl: unsubscribeLinks.unsubscribeUrl,
+        preferencesUrl: unsubscribeLinks.preferencesUrl,
+      });
+
+      await sendOutreachEmail(
+        contact.email,
+        `${milestone.campaignName} reached ${milestoneTitleFor(milestone)}`,
+        html,
+        {
+          linkTokenId: linkToken.linkTokenId,
+          contactId: contact.contactId,
+          headers: unsubscribeLinks.headers,
+        }
+      );
+      await recordEmailEvent({
+        linkTokenId: linkToken.linkTokenId,
+        contactId: contact.contactId,
+        type: "sent",
+        userAgent: null,
+        ipAddress: null,
+      });
+      sent += 1;
+    } catch (emailErr) {
+      logger.warn("Failed to email outreach contact about milestone", {
+        milestoneId: milestone.milestoneId,
+        contactId: contact.contactId,
+        error: emailErr.message,
+      });
+    }
+  }
+  return sent;
+};
+
+/**
+ * Runs the side effects of a newly reached milestone. Each step is
+ * independent: one failing does not stop the others.
+ */
+const announceMilestone = async (milestone) => {
+  const percentage = percentageOf(
+    milestone.reachedAmount,
+    milestone.goalAmount
+  );
+  const steps = [
+    ["organizer notification", () => notifyOrganizer(milestone, percentage)],
+    ["feed post", () => createMilestonePost(milestone, percentage)],
+  ];
+  if (milestone.notifyDonors) {
+    steps.push(["donor emails", () => emailDonors(milestone, percentage)]);
+  }
+  if (milestone.notifyContacts) {
+    steps.push(["contact emails", () => emailContacts(milestone, percentage)]);
+  }
+
+  for (const [name, step] of steps) {
+    try {
+      await step();
+    } catch (stepErr) {
+      logger.warn(`Milestone ${name} failed`, {
+        milestoneId: milestone.milestoneId,
+        campaignId: milestone.campaignId,
+        error: stepErr.message,
+      });
+    }
+  }
+};
+
+/**
+ * Claims and announces every milestone the campaign's current raised amount
+ * has reached. Call after the campaign statistics change; each milestone
+ * fires once, however often this runs. A milestone stays reached if the
+ * total later drops through a refund.
+ * @param {string} campaignId
+ * @returns {Promise<Array>} Milestones reached by this call
+ */
+export const evaluateMilestones = async (campaignId) => {
+  await milestoneRepository.ensureGoalMilestones(campaignId);
+  const reached = await milestoneRepository.claimReachedMilestones(campaignId);
+  if (!reached.length) return [];
+
+  reached.sort(
+    (a, b) =>
+      Number(a.targetAmount ?? (a.goalAmount * a.goalPercentage) / 100) -
+      Number(b.targetAmount ?? (b.goalAmount * b.goalPercentage) / 100)
+  );
+
+  logger.info("Campaign milestones reached", {
+    campaignId,
+    milestoneIds: reached.map((milestone) => milestone.milestoneId),
+  });
+
+  for (const milestone of reached) {
+    await announceMilestone(milestone);
+  }
+  return reached.map(formatMilestone);
+};
+
+export default {
+  getCampaignMilestones,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+  evaluateMilestones,
+};
@@ -0,0 +1,46 @@
+import Joi from "joi";
+import { validate } from "../../../utils/validation.js";
+
+// Validation schemas
+const createMilestoneSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(200).required().messages({
+    "any.required": "Milestone title is required",
+  }),
+  description: Joi.string().trim().max(2000).allow("", null).optional(),
+  targetAmount: Joi.number().positive().precision(2).required().messages({
+    "any.required": "Target amount is required",
+    "number.positive": "Target amount must be greater than zero",
+  }),
+  notifyDonors: Joi.boolean().default(false),
+  notifyContacts: Joi.boolean().default(false),
+});
+
+const updateMilestoneSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(200).optional(),
+  description: Joi.string().trim().max(2000).allow("", null).optional(),
+  targetAmount: Joi.number().positive().precision(2).optional(),
+  notifyDonors: Joi.boolean().optional(),
+  notifyContacts: Joi.boolean().optional(),
+})
+  .min(1)
+  .messages({ "object.min": "Provide at least one field to update" });
+
+const campaignIdSchema = Joi.object({
+  campaignId: Joi.string().uuid().required().messages({
+    "string.guid": "Campaign ID must be a valid UUID",
+    "any.required": "Campaign ID is required",
+  }),
+});
+
+const milestoneIdSchema = Joi.object({
+  milestoneId: Joi.string().uuid().required().messages({
+    "string.guid": "Milestone ID must be a valid UUID",
+    "any.required": "Milestone ID is required",
+  }),
+});
+
+// Validation middlewares
+export const validateCreateMilestone = validate(createMilestoneSchema);
+export const validateUpdateMilestone = validate(updateMilestoneSchema);
+export const validateCampaignId = validate(campaignIdSchema, "params");
+export const validateMilestoneId = validate(milestoneIdSchema, "params");
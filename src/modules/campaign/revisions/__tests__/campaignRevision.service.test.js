@@ -0,0 +1,392 @@
+// src/modules/campaign/revisions/__tests__/campaignRevision.service.test.js
+
+import {
+  diffContent,
+  recordCampaignEdit,
+  getRevisionDiff,
+  approveRevision,
+  rejectRevision,
+  rollbackCampaign,
+} from '../campaignRevision.service.js';
+import * as revisionRepository from '../campaignRevision.repository.js';
+import {
+  findCampaignById,
+  lockCampaign,
+  updateCampaign,
+} from '../../campaigns/campaign.repository.js';
+import { evaluateMilestones } from '../../milestones/milestone.service.js';
+import { transaction } from '../../../../db/index.js';
+import notificationService from '../../../notifications/notification.service.js';
+import { logServiceEvent } from '../../../audit/audit.utils.js';
+import { CAMPAIGN_ACTIONS } from '../../../audit/audit.constants.js';
+
+// Mock dependencies
+jest.mock('../campaignRevision.repository.js');
+jest.mock('../../campaigns/campaign.repository.js');
+jest.mock('../../milestones/milestone.service.js', () => ({
+  evaluateMilestones: jest.fn(),
+}));
+jest.mock('../../../../db/index.js', () => ({
+  transaction: jest.fn(),
+}));
+jest.mock('../../../notifications/notification.service.js', () => ({
+  __esModule: true,
+  default: { createAndDispatch: jest.fn() },
+}));
+jest.mock('../../../audit/audit.utils.js');
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('CampaignRevisionService', () => {
+  const organizer = { userId: 'organizer-1', userType: 'individualUser' };
+  const admin = { userId: 'admin-1', userType: 'supportAdmin' };
+
+  const campaign = (overrides = {}) => ({
+    campaignId: 'campaign-1',
+    organizerId: 'organizer-1',
+    name: 'Clean Water',
+    description: 'Wells for three villages',
+    goalAmount: '10000.00',
+    status: 'active',
+    customPageSettings: {
+      title: 'Clean Water',
+      message: 'Help us dig wells',
+      themeColor: '#10B981',
+    },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    findCampaignById.mockResolvedValue(campaign());
+    lockCampaign.mockResolvedValue(campaign());
+    updateCampaign.mockResolvedValue(campaign());
+    transaction.mockImplementation(async (callback) => callback('client'));
+    revisionRepository.hasRevisions.mockResolvedValue(true);
+    revisionRepository.getPendingRevision.mockResolvedValue(null);
+    revisionRepository.createRevision.mockImplementation(async (data) => ({
+      revisionId: `revision-${data.status}`,
+      revisionNumber: 2,
+      ...data,
+    }));
+    revisionRepository.markRevision.mockImplementation(
+      async (revisionId, update) => ({ revisionId, ...update })
+    );
+    notificationService.createAndDispatch.mockResolvedValue({});
+    logServiceEvent.mockResolvedValue();
+    evaluateMilestones.mockResolvedValue([]);
+  });
+
+  describe('diffContent', () => {
+    it('ignores key order inside page settings', () => {
+      const from = {
+        name: 'A',
+        customPageSettings: { mainMedia: { url: 'x', type: 'image' } },
+      };
+      const to = {
+        name: 'A',
+        customPageSettings: { mainMedia: { type: 'image', url: 'x' } },
+      };
+
+      expect(diffContent(from, to)).toEqual({});
+    });
+
+    it('reports page settings by key', () => {
+      const changes = diffContent(
+        { name: 'A', customPageSettings: { title: 'Old' } },
+        { name: 'B', customPageSettings: { title: 'New' } }
+      );
+
+      expect(changes).toEqual({
+        name: { from: 'A', to: 'B' },
+        'customPageSettings.title': { from: 'Old', to: 'New' },
+      });
+    });
+  });
+
+  describe('recordCampaignEdit', () => {
+    it('holds material organizer changes back for review', async () => {
+      const result = await recordCampaignEdit({
+        campaign: campaign(),
+        updates: { goalAmount: 15000, statusReason: 'Bigger wells' },
+        actor: organizer,
+        isAdminActor: false,
+        client: 'client',
+      });
+
+      expect(result.updates).toEqual({ statusReason: 'Bigger wells' });
+      expect(result.pendingRevision).toMatchObject({
+        status: 'pending',
+        requiresReview: true,
+        changes: { goalAmount: { from: 10000, to: 15000 } },
+      });
+      expect(result.revision).toBeNull();
+    });
+
+    it('applies non-material page settings straight away', async () => {
+      const result = await recordCampaignEdit({
+        campaign: campaign(),
+        updates: {
+          customPageSettings: { themeColor: '#000000', title: 'Water Now' },
+        },
+        actor: organizer,
+        isAdminActor: false,
+        client: 'client',
+      });
+
+      expect(result.updates.customPageSettings).toEqual({
+        title: 'Clean Water',
+        message: 'Help us dig wells',
+        themeColor: '#000000',
+      });
+      expect(result.revision.status).toBe('approved');
+      expect(Object.keys(result.pendingRevision.changes)).toEqual([
+        'customPageSettings.title',
+      ]);
+    });
+
+    it('applies admin edits in full', async () => {
+      const result = await recordCampaignEdit({
+        campaign: campaign(),
+        updates: { name: 'Clean Water 2026' },
+        actor: admin,
+        isAdminActor: true,
+        client: 'client',
+      });
+
+      expect(result.updates).toEqual({ name: 'Clean Water 2026' });
+      expect(result.pendingRevision).toBeNull();
+      expect(result.revision.reviewedByUserId).toBe('admin-1');
+    });
+
+    it('records a baseline before the first revision', async () => {
+      revisionRepository.hasRevisions.mockResolvedValue(false);
+
+      await recordCampaignEdit({
+        campaign: campaign(),
+        updates: { name: 'Clean Water 2026' },
+        actor: organizer,
+        isAdminActor: false,
+        client: 'client',
+      });
+
+      const [baseline] = revisionRepository.createRevision.mock.calls[0];
+      expect(baseline).toMatchObject({
+        source: 'baseline',
+        status: 'approved',
+        snapshot: expect.objectContaining({ name: 'Clean Water' }),
+      });
+    });
+
+    it('merges new changes into the revision awaiting review', async () => {
+      revisionRepository.getPendingRevision.mockResolvedValue({
+        revisionId: 'revision-old',
+        changes: { name: { from: 'Clean Water', to: 'Water for All' } },
+      });
+
+      const result = await recordCampaignEdit({
+        campaign: campaign(),
+        updates: { description: 'Wells for five villages' },
+        actor: organizer,
+        isAdminActor: false,
+        client: 'client',
+      });
+
+      expect(revisionRepository.markRevision).toHaveBeenCalledWith(
+        'revision-old',
+        { status: 'superseded' },
+        'client'
+      );
+      expect(Object.keys(result.pendingRevision.changes).sort()).toEqual([
+        'description',
+        'name',
+      ]);
+    });
+
+    it('does nothing when the content is unchanged', async () => {
+      const result = await recordCampaignEdit({
+        campaign: campaign(),
+        updates: { name: 'Clean Water' },
+        actor: organizer,
+        isAdminActor: false,
+        client: 'client',
+      });
+
+      expect(result).toEqual({
+        updates: {},
+        revision: null,
+        pendingRevision: null,
+      });
+      expect(revisionRepository.createRevision).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('review', () => {
+    const pendingRevision = {
+      revisionId: 'revision-3',
+      revisionNumber: 3,
+      campaignId: 'campaign-1',
+      organizerId: 'organizer-1',
+      campaignName: 'Clean Water',
+      status: 'pending',
+      changes: { goalAmount: { from: 10000, to: 15000 } },
+    };
+
+    it('publishes the approved changes on top of the live campaign', async () => {
+      revisionRepository.getRevisionById.mockResolvedValue(pendingRevision);
+
+      await approveRevision(admin, 'revision-3', { note: 'Fine' });
+
+      expect(updateCampaign).toHaveBeenCalledWith(
+        'campaign-1',
+        { goalAmount: 15000 },
+        'client'
+      );
+      expect(revisionRepository.markRevision).toHaveBeenCalledWith(
+        'revision-3',
+        expect.objectContaining({
+          status: 'approved',
+          reviewedByUserId: 'admin-1',
+          snapshot: expect.objectContaining({ goalAmount: 15000 }),
+        }),
+        'client'
+      );
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'admin-1',
+        CAMPAIGN_ACTIONS.CAMPAIGN_REVISION_APPROVED,
+        expect.any(String),
+        'revision-3',
+        expect.any(Object)
+      );
+      expect(evaluateMilestones).toHaveBeenCalledWith('campaign-1');
+    });
+
+    it('applies the revision to the campaign as locked in the transaction', async () => {
+      revisionRepository.getRevisionById.mockResolvedValue({
+        ...pendingRevision,
+        changes: {
+          'customPageSettings.title': { from: 'Clean Water', to: 'Wells' },
+        },
+      });
+      // A non-material edit committed after the revision was submitted
+      lockCampaign.mockResolvedValue(
+        campaign({
+          customPageSettings: {
+            title: 'Clean Water',
+            message: 'Help us dig wells',
+            themeColor: '#2563EB',
+          },
+        })
+      );
+
+      await approveRevision(admin, 'revision-3', {});
+
+      expect(lockCampaign).toHaveBeenCalledWith('campaign-1', 'client');
+      expect(updateCampaign).toHaveBeenCalledWith(
+        'campaign-1',
+        {
+          customPageSettings: {
+            title: 'Wells',
+            message: 'Help us dig wells',
+            themeColor: '#2563EB',
+          },
+        },
+        'client'
+      );
+    });
+
+    it('leaves the live campaign alone when a revision is rejected', async () => {
+      revisionRepository.getRevisionById.mockResolvedValue(pendingRevision);
+
+      await rejectRevision(admin, 'revision-3', { reason: 'Misleading' });
+
+      expect(updateCampaign).not.toHaveBeenCalled();
+      expect(notificationService.createAndDispatch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 'organizer-1',
+          templateId: 'campaign.revision.rejected.v1',
+        })
+      );
+    });
+
+    it('refuses to review a revision twice', async () => {
+      revisionRepository.getRevisionById.mockResolvedValue({
+        ...pendingRevision,
+        status: 'approved',
+      });
+
+      await expect(
+        approveRevision(admin, 'revision-3', {})
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('shows a pending revision against the live campaign', async () => {
+      revisionRepository.getRevisionById.mockResolvedValue(pendingRevision);
+
+      const diff = await getRevisionDiff(organizer, 'revision-3');
+
+      expect(diff.against).toEqual({ type: 'live' });
+      expect(diff.changes).toEqual({
+        goalAmount: { from: 10000, to: 15000 },
+      });
+    });
+  });
+
+  describe('rollbackCampaign', () => {
+    it('restores an approved snapshot as a new revision', async () => {
+      revisionRepository.getRevisionById.mockResolvedValue({
+        revisionId: 'revision-1',
+        revisionNumber: 1,
+        campaignId: 'campaign-1',
+        organizerId: 'organizer-1',
+        campaignName: 'Clean Water',
+        status: 'approved',
+        snapshot: {
+          name: 'Clean Water',
+          description: 'Wells for two villages',
+          goalAmount: 10000,
+          customPageSettings: {
+            title: 'Clean Water',
+            message: 'Help us dig wells',
+            themeColor: '#10B981',
+          },
+        },
+      });
+
+      const revision = await rollbackCampaign(admin, 'revision-1');
+
+      expect(updateCampaign).toHaveBeenCalledWith(
+        'campaign-1',
+        { description: 'Wells for two villages' },
+        'client'
+      );
+      expect(revision).toMatchObject({
+        source: 'rollback',
+        rollbackOfRevisionId: 'revision-1',
+      });
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'admin-1',
+        CAMPAIGN_ACTIONS.CAMPAIGN_ROLLED_BACK,
+        expect.any(String),
+        'campaign-1',
+        expect.any(Object)
+      );
+    });
+
+    it('refuses to restore a rejected revision', async () => {
+      revisionRepository.getRevisionById.mockResolvedValue({
+        revisionId: 'revision-2',
+        campaignId: 'campaign-1',
+        status: 'rejected',
+      });
+
+      await expect(rollbackCampaign(admin, 'revision-2')).rejects.toMatchObject(
+        { statusCode: 409 }
+      );
+      expect(updateCampaign).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import * as revisionService from "./campaignRevision.service.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+export const getCampaignRevisions = async (req, res) => {
+  const result = await revisionService.getCampaignRevisions(
+    req.user,
+    req.params.campaignId
+  );
+
+  return ResponseFactory.ok(res, "Revisions retrieved successfully", result);
+};
+
+export const listRevisions = async (req, res) => {
+  const { status, limit, offset } = req.query;
+  const result = await revisionService.listRevisions({ status, limit, offset });
+
+  return ResponseFactory.ok(res, "Revisions retrieved successfully", result);
+};
+
+export const getRevisionDiff = async (req, res) => {
+  const result = await revisionService.getRevisionDiff(
+    req.user,
+    req.params.revisionId,
+    { compareTo: req.query.compareTo }
+  );
+
+  return ResponseFactory.ok(
+    res,
+    "Revision diff retrieved successfully",
+    result
+  );
+};
+
+export const approveRevision = async (req, res) => {
+  const result = await revisionService.approveRevision(
+    req.user,
+    req.params.revisionId,
+    { note: req.body.note }
+  );
+
+  return ResponseFactory.ok(res, "Revision approved", result);
+};
+
+export const rejectRevision = async (req, res) => {
+  const result = await revisionService.rejectRevision(
+    req.user,
+    req.params.revisionId,
+    { reason: req.body.reason }
+  );
+
+  return ResponseFactory.ok(res, "Revision rejected", result);
+};
+
+export const withdrawRevision = async (req, res) => {
+  const result = await revisionService.withdrawRevision(
+    req.user,
+    req.params.revisionId
+  );
+
+  return ResponseFactory.ok(res, "Revision withdrawn", result);
+};
+
+export const rollbackCampaign = async (req, res) => {
+  const result = await revisionService.rollbackCampaign(
+    req.user,
+    req.params.revisionId,
+    { note: req.body.note }
+  );
+
+  return ResponseFactory.ok(res, "Campaign restored to the revision", result);
+};
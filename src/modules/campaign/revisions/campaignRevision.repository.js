@@ -0,0 +1,144 @@
+import { db } from "../../../db/index.js";
+
+const REVISION_SELECT = `
+  SELECT r.*, c."name" AS "campaignName", c."organizerId",
+         c."status" AS "campaignStatus"
+  FROM "campaignRevisions" r
+  JOIN "campaigns" c ON c."campaignId" = r."campaignId"`;
+
+/**
+ * Inserts the campaign's next revision; numbers start at 1 per campaign
+ */
+export const createRevision = async (data, client) => {
+  const executor = client || db;
+  const result = await executor.query(
+    `INSERT INTO "campaignRevisions" (
+      "campaignId", "revisionNumber", "source", "status", "requiresReview",
+      "changes", "snapshot", "rollbackOfRevisionId", "submittedByUserId",
+      "reviewedByUserId", "reviewedAt"
+    )
+    SELECT $1, COALESCE(MAX("revisionNumber"), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9,
+           CASE WHEN $9::uuid IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+    FROM "campaignRevisions"
+    WHERE "campaignId" = $1
+    RETURNING *`,
+    [
+      data.campaignId,
+      data.source || "edit",
+      data.status,
+      data.requiresReview || false,
+      JSON.stringify(data.changes || {}),
+      JSON.stringify(data.snapshot),
+      data.rollbackOfRevisionId || null,
+      data.submittedByUserId || null,
+      data.reviewedByUserId || null,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+export const hasRevisions = async (campaignId, client) => {
+  const executor = client || db;
+  const result = await executor.query(
+    `SELECT EXISTS (
+      SELECT 1 FROM "campaignRevisions" WHERE "campaignId" = $1
+    ) AS "exists"`,
+    [campaignId]
+  );
+
+  return result.rows[0].exists;
+};
+
+export const getPendingRevision = async (campaignId, client) => {
+  const executor = client || db;
+  const result = await executor.query(
+    `SELECT * FROM "campaignRevisions"
+     WHERE "campaignId" = $1 AND "status" = 'pending'`,
+    [campaignId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const getRevisionById = async (revisionId) => {
+  const result = await db.query(
+    `${REVISION_SELECT} WHERE r."revisionId" = $1`,
+    [revisionId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Full history of one campaign, newest first
+ */
+export const getCampaignRevisions = async (campaignId) => {
+  const result = await db.query(
+    `${REVISION_SELECT}
+     WHERE r."campaignId" = $1
+     ORDER BY r."revisionNumber" DESC`,
+    [campaignId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Revisions for the admin review queue; oldest first
+ */
+export const listRevisions = async ({
+  status = "pending",
+  limit = 50,
+  offset = 0,
+} = {}) => {
+  const result = await db.query(
+    `${REVISION_SELECT}
+     WHERE r."status" = $1
+     ORDER BY r."createdAt" ASC
+     LIMIT $2 OFFSET $3`,
+    [status, limit, offset]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Closes a pending revision. Returns null if it was no longer pending.
+ */
+export const markRevision = async (
+  revisionId,
+  { status, reviewedByUserId = null, reviewNote = null, snapshot },
+  client
+) => {
+  const executor = client || db;
+  const result = await executor.query(
+    `UPDATE "campaignRevisions"
+     SET "status" = $2,
+         "reviewedByUserId" = $3,
+         "reviewNote" = $4,
+         "snapshot" = COALESCE($5::jsonb, "snapshot"),
+         "reviewedAt" = CASE WHEN $3::uuid IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+     WHERE "revisionId" = $1 AND "status" = 'pending'
+     RETURNING *`,
+    [
+      revisionId,
+      status,
+      reviewedByUserId,
+      reviewNote,
+      snapshot ? JSON.stringify(snapshot) : null,
+    ]
+  );
+
+  return result.rows[0] || null;
+};
+
+export default {
+  createRevision,
+  hasRevisions,
+  getPendingRevision,
+  getRevisionById,
+  getCampaignRevisions,
+  listRevisions,
+  markRevision,
+};
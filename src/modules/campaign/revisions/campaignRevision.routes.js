@@ -0,0 +1,85 @@
+import { Router } from "express";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import {
+  authenticate,
+  restrictTo,
+} from "../../../middlewares/auth.middleware.js";
+import {
+  getCampaignRevisions,
+  listRevisions,
+  getRevisionDiff,
+  approveRevision,
+  rejectRevision,
+  withdrawRevision,
+  rollbackCampaign,
+} from "./campaignRevision.controller.js";
+import {
+  validateListRevisions,
+  validateRevisionDiff,
+  validateApproveRevision,
+  validateRejectRevision,
+  validateRollback,
+  validateCampaignId,
+  validateRevisionId,
+} from "./campaignRevision.validation.js";
+
+// Mounted on /api/v1/campaigns ahead of the campaign routes, so every route
+// authenticates on its own and leaves the public campaign routes alone
+const router = Router();
+const reviewers = restrictTo("superAdmin", "supportAdmin", "eventModerator");
+
+// Admin review of material changes to running campaigns
+router.get(
+  "/revisions",
+  authenticate,
+  reviewers,
+  validateListRevisions,
+  catchAsync(listRevisions)
+);
+router.post(
+  "/revisions/:revisionId/approve",
+  authenticate,
+  reviewers,
+  validateRevisionId,
+  validateApproveRevision,
+  catchAsync(approveRevision)
+);
+router.post(
+  "/revisions/:revisionId/reject",
+  authenticate,
+  reviewers,
+  validateRevisionId,
+  validateRejectRevision,
+  catchAsync(rejectRevision)
+);
+router.post(
+  "/revisions/:revisionId/rollback",
+  authenticate,
+  reviewers,
+  validateRevisionId,
+  validateRollback,
+  catchAsync(rollbackCampaign)
+);
+
+// Organizer and reviewer endpoints
+router.get(
+  "/revisions/:revisionId/diff",
+  authenticate,
+  validateRevisionId,
+  validateRevisionDiff,
+  catchAsync(getRevisionDiff)
+);
+router.patch(
+  "/revisions/:revisionId/withdraw",
+  authenticate,
+  validateRevisionId,
+  catchAsync(withdrawRevision)
+);
+router.get(
+  "/:campaignId/revisions",
+  authenticate,
+  validateCampaignId,
+  catchAsync(getCampaignRevisions)
+);
+
+export default router;
@@ -0,0 +1,609 @@
+import * as revisionRepository from "./campaignRevision.repository.js";
+import {
+  findCampaignById,
+  findUsersByRoles,
+  lockCampaign,
+  updateCampaign,
+} from "../campaigns/campaign.repository.js";
+import { evaluateMilestones } from "../milestones/milestone.service.js";
+import notificationService from "../../notifications/notification.service.js";
+import { logServiceEvent } from "../../audit/audit.utils.js";
+import { CAMPAIGN_ACTIONS, ENTITY_TYPES } from "../../audit/audit.constants.js";
+import { transaction } from "../../../db/index.js";
+import { AppError } from "../../../utils/appError.js";
+import logger from "../../../utils/logger.js";
+
+/**
+ * Campaign Revisions
+ * Once a campaign is running (active or paused), its content is versioned:
+ * - every edit is recorded as a numbered revision with a field-level diff
+ * - material changes (title, description, goal, page title/message/media)
+ *   wait as a pending revision until an admin approves them; the live
+ *   campaign, which is what donors see, keeps the approved content
+ * - other changes (theme colour, suggested amounts, ...) apply straight away
+ * - admins can roll the campaign back to any approved revision
+ */
+
+export const REVISIONED_STATUSES = ["active", "paused"];
+// Admins who review revisions and roll campaigns back
+const REVISION_REVIEW_ROLES = ["superAdmin", "supportAdmin", "eventModerator"];
+
+const CONTENT_FIELDS = ["name", "description", "goalAmount"];
+const PAGE_SETTINGS_PREFIX = "customPageSettings.";
+const MATERIAL_FIELDS = ["name", "description", "goalAmount"];
+const MATERIAL_PAGE_SETTINGS = [
+  "title",
+  "message",
+  "mainMedia",
+  "secondaryImages",
+];
+
+export const isRevisioned = (campaign) =>
+  REVISIONED_STATUSES.includes(campaign?.status);
+
+const isMaterial = (path) =>
+  path.startsWith(PAGE_SETTINGS_PREFIX)
+    ? MATERIAL_PAGE_SETTINGS.includes(path.slice(PAGE_SETTINGS_PREFIX.length))
+    : MATERIAL_FIELDS.includes(path);
+
+/**
+ * The versioned part of a campaign
+ */
+export const campaignContent = (campaign) => ({
+  name: campaign.name ?? null,
+  description: campaign.description ?? null,
+  goalAmount:
+    campaign.goalAmount != null ? parseFloat(campaign.goalAmount) : null,
+  customPageSettings: campaign.customPageSettings || {},
+});
+
+// Key order differs between JSONB and request bodies, so compare sorted
+const normalize = (value) => {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .reduce((sorted, key) => {
+        sorted[key] = normalize(value[key]);
+        return sorted;
+      }, {});
+  }
+  return value ?? null;
+};
+
+const sameValue = (a, b) =>
+  JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+const valueAt = (content, path) =>
+  path.startsWith(PAGE_SETTINGS_PREFIX)
+    ? (content.customPageSettings?.[path.slice(PAGE_SETTINGS_PREFIX.length)] ??
+      null)
+    : (content[path] ?? null);
+
+/**
+ * Field-level diff between two content versions:
+ * { "<field path>": { from, to } }, page settings as "customPageSettings.<key>"
+ */
+export const diffContent = (from, to) => {
+  const paths = [
+    ...CONTENT_FIELDS,
+    ...new Set(
+      [
+        ...Object.keys(from.customPageSettings || {}),
+        ...Object.keys(to.customPageSettings || {}),
+      ].map((key) => `${PAGE_SETTINGS_PREFIX}${key}`)
+    ),
+  ];
+
+  const changes = {};
+  for (const path of paths) {
+    const before = valueAt(from, path);
+    const after = valueAt(to, path);
+    if (!sameValue(before, after)) {
+      changes[path] = { from: before, to: after };
+    }
+  }
+  return changes;
+};
+
+export const applyChanges = (content, changes) => {
+  const next = {
+    ...content,
+    customPageSettings: { ...(content.customPageSettings || {}) },
+  };
+  for (const [path, { to }] of Object.entries(changes)) {
+    if (path.startsWith(PAGE_SETTINGS_PREFIX)) {
+      const key = path.slice(PAGE_SETTINGS_PREFIX.length);
+      if (to === null) delete next.customPageSettings[key];
+      else next.customPageSettings[key] = to;
+    } else {
+      next[path] = to;
+    }
+  }
+  return next;
+};
+
+const pickChanges = (changes, predicate) =>
+  Object.fromEntries(
+    Object.entries(changes).filter(([path]) => predicate(path))
+  );
+
+/**
+ * Campaign columns to write for the changed paths of a content version
+ */
+const toCampaignUpdate = (changes, content) => {
+  const update = {};
+  for (const path of Object.keys(changes)) {
+    if (path.startsWith(PAGE_SETTINGS_PREFIX)) {
+      update.customPageSettings = content.customPageSettings;
+    } else {
+      update[path] = content[path];
+    }
+  }
+  return update;
+};
+
+/**
+ * Records the content the campaign was approved with, the first time a
+ * running campaign is edited, so there is always a version to roll back to
+ */
+const ensureBaselineRevision = async (campaign, client) => {
+  if (await revisionRepository.hasRevisions(campaign.campaignId, client)) {
+    return;
+  }
+  await revisionRepository.createRevision(
+    {
+      campaignId: campaign.campaignId,
+      source: "baseline",
+      status: "approved",
+      snapshot: campaignContent(campaign),
+      submittedByUserId: campaign.organizerId,
+    },
+    client
+  );
+};
+
+/**
+ * Splits an edit to a running campaign (called inside the update
+ * transaction). Returns the campaign update with material changes held back,
+ * and the pending revision they were saved to, if any. Admin edits apply in
+ * full. Further edits are merged into the revision already awaiting review.
+ */
+export const recordCampaignEdit = async ({
+  campaign,
+  updates,
+  actor,
+  isAdminActor,
+  client,
+}) => {
+  const live = campaignContent(campaign);
+  const proposed = { ...live };
+  for (const field of CONTENT_FIELDS) {
+    if (updates[field] !== undefined) proposed[field] = updates[field];
+  }
+  // Page settings are merged key by key; a null value removes the key
+  if (updates.customPageSettings) {
+    proposed.customPageSettings = {
+      ...live.customPageSettings,
+      ...updates.customPageSettings,
+    };
+  }
+
+  const remaining = { ...updates };
+  for (const field of [...CONTENT_FIELDS, "customPageSettings"]) {
+    delete remaining[field];
+  }
+
+  const changes = diffContent(live, proposed);
+  if (!Object.keys(changes).length) {
+    return { updates: remaining, revision: null, pendingRevision: null };
+  }
+
+  const heldBack = isAdminActor ? {} : pickChanges(changes, isMaterial);
+  const applied = isAdminActor
+    ? changes
+    : pickChanges(changes, (path) => !isMaterial(path));
+
+  await ensureBaselineRevision(campaign, client);
+
+  let revision = null;
+  let current = live;
+  if (Object.keys(applied).length) {
+    current = applyChanges(live, applied);
+    revision = await revisionRepository.createRevision(
+      {
+        campaignId: campaign.campaignId,
+        status: "approved",
+        changes: applied,
+        snapshot: current,
+        submittedByUserId: actor.userId,
+        reviewedByUserId: isAdminActor ? actor.userId : null,
+      },
+      client
+    );
+    Object.assign(remaining, toCampaignUpdate(applied, current));
+  }
+
+  let pendingRevision = null;
+  if (Object.keys(heldBack).length) {
+    const previous = await revisionRepository.getPendingRevision(
+      campaign.campaignId,
+      client
+    );
+
+    const merged = {};
+    for (const [path, change] of Object.entries(previous?.changes || {})) {
+      const from = valueAt(current, path);
+      if (!sameValue(from, change.to)) merged[path] = { from, to: change.to };
+    }
+    Object.assign(merged, heldBack);
+
+    if (previous) {
+      await revisionRepository.markRevision(
+        previous.revisionId,
+        { status: "superseded" },
+        client
+      );
+    }
+    pendingRevision = await revisionRepository.createRevision(
+      {
+        campaignId: campaign.campaignId,
+        status: "pending",
+        requiresReview: true,
+        changes: merged,
+        snapshot: applyChanges(current, merged),
+        submittedByUserId: actor.userId,
+      },
+      client
+    );
+  }
+
+  return { updates: remaining, revision, pendingRevision };
+};
+
+/**
+ * Audits a revision held for review and lets the reviewers know
+ */
+export const announcePendingRevision = async (campaign, revision, actor) => {
+  await logServiceEvent(
+    actor.userId,
+    CAMPAIGN_ACTIONS.CAMPAIGN_REVISION_SUBMITTED,
+    ENTITY_TYPES.CAMPAIGN_REVISION,
+    revision.revisionId,
+    {
+      campaignId: campaign.campaignId,
+      revisionNumber: revision.revisionNumber,
+      changedFields: Object.keys(revision.changes),
+    }
+  );
+
+  try {
+    const admins = await findUsersByRoles(REVISION_REVIEW_ROLES);
+    for (const admin of admins) {
+      await notificationService.createAndDispatch({
+        userId: admin.userId,
+        type: "inApp",
+        category: "campaign",
+        priority: "medium",
+        title: "Campaign changes awaiting review",
+        message: `"${campaign.name}" has changes to ${Object.keys(
+          revision.changes
+        ).join(", ")} that need approval before they go live.`,
+        data: {
+          campaignId: campaign.campaignId,
+          revisionId: revision.revisionId,
+        },
+        relatedEntityType: "campaign",
+        relatedEntityId: campaign.campaignId,
+        templateId: "campaign.revision.submitted.v1",
+      });
+    }
+  } catch (notificationError) {
+    logger.warn("Failed to notify admins of campaign revision", {
+      error: notificationError.message,
+      revisionId: revision.revisionId,
+    });
+  }
+};
+
+const getReviewableCampaign = async (actor, campaignId) => {
+  const campaign = await findCampaignById(campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+  if (
+    campaign.organizerId !== actor.userId &&
+    !REVISION_REVIEW_ROLES.includes(actor.userType)
+  ) {
+    throw new AppError("Not allowed to view this campaign's revisions", 403);
+  }
+  return campaign;
+};
+
+const getRevision = async (revisionId) => {
+  const revision = await revisionRepository.getRevisionById(revisionId);
+  if (!revision) {
+    throw new AppError("Revision not found", 404);
+  }
+  return revision;
+};
+
+export const getCampaignRevisions = async (actor, campaignId) => {
+  await getReviewableCampaign(actor, campaignId);
+  return revisionRepository.getCampaignRevisions(campaignId);
+};
+
+export const listRevisions = async (filters) => {
+  return revisionRepository.listRevisions(filters);
+};
+
+/**
+ * Diff of a revision against the live campaign (default) or another
+ * revision of the same campaign. A pending revision is shown as it would
+ * look if approved now.
+ */
+export const getRevisionDiff = async (
+  actor,
+  revisionId,
+  { compareTo } = {}
+) => {
+  const revision = await getRevision(revisionId);
+  const campaign = await getReviewableCampaign(actor, revision.campaignId);
+  const live = campaignContent(campaign);
+
+  let base = live;
+  let against = { type: "live" };
+  if (compareTo) {
+    const other = await getRevision(compareTo);
+    if (other.campaignId !== revision.campaignId) {
+      throw new AppError("Revisions belong to different campaigns", 400);
+    }
+    base =
+      other.status === "pending"
+        ? applyChanges(live, other.changes)
+        : other.snapshot;
+    against = {
+      type: "revision",
+      revisionId: other.revisionId,
+      revisionNumber: other.revisionNumber,
+    };
+  }
+
+  const target =
+    revision.status === "pending"
+      ? applyChanges(live, revision.changes)
+      : revision.snapshot;
+
+  return {
+    revision,
+    against,
+    changes: diffContent(base, target),
+  };
+};
+
+const notifyOrganizer = async (revision, { title, message, templateId }) => {
+  try {
+    await notificationService.createAndDispatch({
+      userId: revision.organizerId,
+      type: "inApp",
+      category: "campaign",
+      priority: "high",
+      title,
+      message,
+      data: {
+        campaignId: revision.campaignId,
+        revisionId: revision.revisionId,
+        status: revision.status,
+      },
+      relatedEntityType: "campaign",
+      relatedEntityId: revision.campaignId,
+      templateId,
+    });
+  } catch (notificationError) {
+    logger.warn("Failed to notify organizer of campaign revision", {
+      error: notificationError.message,
+      revisionId: revision.revisionId,
+    });
+  }
+};
+
+// A new goal can put the campaign past milestones it had not reached
+const reevaluateMilestones = async (campaignId, changes) => {
+  if (!changes.goalAmount) return;
+  try {
+    await evaluateMilestones(campaignId);
+  } catch (milestoneError) {
+    logger.warn("Failed to evaluate milestones after goal change", {
+      error: milestoneError.message,
+      campaignId,
+    });
+  }
+};
+
+const getPendingRevision = async (revisionId) => {
+  const revision = await getRevision(revisionId);
+  if (revision.status !== "pending") {
+    throw new AppError(`Revision is already ${revision.status}`, 409);
+  }
+  return revision;
+};
+
+/**
+ * Publishes a pending revision's changes on top of the live campaign
+ */
+export const approveRevision = async (actor, revisionId, { note } = {}) => {
+  const revision = await getPendingRevision(revisionId);
+
+  const reviewed = await transaction(async (client) => {
+    // Applied on the locked row, so an edit committed meanwhile is kept
+    const campaign = await lockCampaign(revision.campaignId, client);
+    const snapshot = applyChanges(campaignContent(campaign), revision.changes);
+    const reviewed = await revisionRepository.markRevision(
+      revisionId,
+      {
+        status: "approved",
+        reviewedByUserId: actor.userId,
+        reviewNote: note,
+        snapshot,
+      },
+      client
+    );
+    if (!reviewed) {
+      throw new AppError("Revision was already reviewed", 409);
+    }
+    await updateCampaign(
+      revision.campaignId,
+      toCampaignUpdate(revision.changes, snapshot),
+      client
+    );
+    return reviewed;
+  });
+
+  await logServiceEvent(
+    actor.userId,
+    CAMPAIGN_ACTIONS.CAMPAIGN_REVISION_APPROVED,
+    ENTITY_TYPES.CAMPAIGN_REVISION,
+    revisionId,
+    {
+      campaignId: revision.campaignId,
+      revisionNumber: revision.revisionNumber,
+      changedFields: Object.keys(revision.changes),
+      note: note || null,
+    }
+  );
+  await notifyOrganizer(
+    { ...revision, ...reviewed },
+    {
+      title: "Campaign changes approved",
+      message: `Your changes to "${revision.campaignName}" are now live.`,
+      templateId: "campaign.revision.approved.v1",
+    }
+  );
+  await reevaluateMilestones(revision.campaignId, revision.changes);
+
+  return reviewed;
+};
+
+export const rejectRevision = async (actor, revisionId, { reason }) => {
+  const revision = await getPendingRevision(revisionId);
+
+  const reviewed = await revisionRepository.markRevision(revisionId, {
+    status: "rejected",
+    reviewedByUserId: actor.userId,
+    reviewNote: reason,
+  });
+  if (!reviewed) {
+    throw new AppError("Revision was already reviewed", 409);
+  }
+
+  await logServiceEvent(
+    actor.userId,
+    CAMPAIGN_ACTIONS.CAMPAIGN_REVISION_REJECTED,
+    ENTITY_TYPES.CAMPAIGN_REVISION,
+    revisionId,
+    { campaignId: revision.campaignId, reason }
+  );
+  await notifyOrganizer(
+    { ...revision, ...reviewed },
+    {
+      title: "Campaign changes declined",
+      message: `Your changes to "${revision.campaignName}" were declined: ${reason}`,
+      templateId: "campaign.revision.rejected.v1",
+    }
+  );
+
+  return reviewed;
+};
+
+export const withdrawRevision = async (actor, revisionId) => {
+  const revision = await getPendingRevision(revisionId);
+  if (revision.organizerId !== actor.userId) {
+    throw new AppError("Only the campaign organizer can withdraw it", 403);
+  }
+
+  const withdrawn = await revisionRepository.markRevision(revisionId, {
+    status: "withdrawn",
+  });
+  if (!withdrawn) {
+    throw new AppError("Revision was already reviewed", 409);
+  }
+  return withdrawn;
+};
+
+/**
+ * Restores the content of an approved revision. The rollback is itself
+ * recorded as a new approved revision.
+ */
+export const rollbackCampaign = async (actor, revisionId, { note } = {}) => {
+  const target = await getRevision(revisionId);
+  if (target.status !== "approved") {
+    throw new AppError("Only approved revisions can be restored", 409);
+  }
+
+  let changes;
+  const revision = await transaction(async (client) => {
+    const campaign = await lockCampaign(target.campaignId, client);
+    changes = diffContent(campaignContent(campaign), target.snapshot);
+    if (!Object.keys(changes).length) {
+      throw new AppError("The campaign already matches this revision", 409);
+    }
+
+    await updateCampaign(
+      target.campaignId,
+      toCampaignUpdate(changes, target.snapshot),
+      client
+    );
+    return revisionRepository.createRevision(
+      {
+        campaignId: target.campaignId,
+        source: "rollback",
+        status: "approved",
+        changes,
+        snapshot: target.snapshot,
+        rollbackOfRevisionId: revisionId,
+        submittedByUserId: actor.userId,
+        reviewedByUserId: actor.userId,
+      },
+      client
+    );
+  });
+
+  await logServiceEvent(
+    actor.userId,
+    CAMPAIGN_ACTIONS.CAMPAIGN_ROLLED_BACK,
+    ENTITY_TYPES.CAMPAIGN,
+    target.campaignId,
+    {
+      restoredRevisionNumber: target.revisionNumber,
+      revisionId: revision.revisionId,
+      changedFields: Object.keys(changes),
+      note: note || null,
+    }
+  );
+  await notifyOrganizer(
+    { ...revision, organizerId: target.organizerId },
+    {
+      title: "Campaign restored to an earlier version",
+      message: `"${target.campaignName}" was restored to revision ${
+        target.revisionNumber
+      }.${note ? ` Note: ${note}` : ""}`,
+      templateId: "campaign.revision.rolledBack.v1",
+    }
+  );
+  await reevaluateMilestones(target.campaignId, changes);
+
+  return revision;
+};
+
+export default {
+  isRevisioned,
+  recordCampaignEdit,
+  announcePendingRevision,
+  getCampaignRevisions,
+  listRevisions,
+  getRevisionDiff,
+  approveRevision,
+  rejectRevision,
+  withdrawRevision,
+  rollbackCampaign,
+};
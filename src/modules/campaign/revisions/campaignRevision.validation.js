@@ -0,0 +1,55 @@
+import Joi from "joi";
+import { validate } from "../../../utils/validation.js";
+
+// Validation schemas
+const listRevisionsSchema = Joi.object({
+  status: Joi.string()
+    .valid("pending", "approved", "rejected", "superseded", "withdrawn")
+    .default("pending"),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const revisionDiffSchema = Joi.object({
+  compareTo: Joi.string().uuid().optional().messages({
+    "string.guid": "compareTo must be a revision ID",
+  }),
+});
+
+const approveRevisionSchema = Joi.object({
+  note: Joi.string().trim().max(500).optional(),
+});
+
+const rejectRevisionSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    "any.required": "Rejection reason is required",
+    "string.min": "Rejection reason is too short",
+  }),
+});
+
+const rollbackSchema = Joi.object({
+  note: Joi.string().trim().max(500).optional(),
+});
+
+const campaignIdSchema = Joi.object({
+  campaignId: Joi.string().uuid().required().messages({
+    "string.guid": "Campaign ID must be a valid UUID",
+    "any.required": "Campaign ID is required",
+  }),
+});
+
+const revisionIdSchema = Joi.object({
+  revisionId: Joi.string().uuid().required().messages({
+    "string.guid": "Revision ID must be a valid UUID",
+    "any.required": "Revision ID is required",
+  }),
+});
+
+// Validation middlewares
+export const validateListRevisions = validate(listRevisionsSchema, "query");
+export const validateRevisionDiff = validate(revisionDiffSchema, "query");
+export const validateApproveRevision = validate(approveRevisionSchema);
+export const validateRejectRevision = validate(rejectRevisionSchema);
+export const validateRollback = validate(rollbackSchema);
+export const validateCampaignId = validate(campaignIdSchema, "params");
+export const validateRevisionId = validate(revisionIdSchema, "params");
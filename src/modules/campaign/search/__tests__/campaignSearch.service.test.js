@@ -0,0 +1,135 @@
+// src/modules/campaign/search/__tests__/campaignSearch.service.test.js
+
+import { searchCampaigns } from '../campaignSearch.service.js';
+import * as searchRepository from '../campaignSearch.repository.js';
+import { parseSearchQuery } from '../campaignSearch.validation.js';
+
+// Mock dependencies
+jest.mock('../campaignSearch.repository.js');
+jest.mock('../../../../db/index.js', () => ({ db: { query: jest.fn() } }));
+
+describe('CampaignSearchService', () => {
+  const row = (overrides = {}) => ({
+    campaignId: 'campaign-1',
+    organizerId: 'organizer-1',
+    organizerName: 'Water Trust',
+    name: 'Clean Water',
+    description: 'Wells for three villages',
+    goalAmount: '10000.00',
+    currentRaisedAmount: '2500.00',
+    percentFunded: '25.000',
+    baseCurrency: 'ZMW',
+    status: 'active',
+    customPageSettings: { mainMedia: { url: 'https://cdn/main.jpg' } },
+    categories: [{ categoryId: 'category-1', name: 'Health' }],
+    recentDonations: '4',
+    sortKeyText: '0.6',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    searchRepository.searchCampaigns.mockResolvedValue([]);
+  });
+
+  it('ranks by relevance when there is a query', async () => {
+    searchRepository.searchCampaigns.mockResolvedValue([row()]);
+
+    const result = await searchCampaigns({ q: ' water ', limit: 20 });
+
+    expect(searchRepository.searchCampaigns).toHaveBeenCalledWith(
+      expect.objectContaining({
+        q: 'water',
+        sort: 'relevance',
+        statuses: ['active'],
+        cursor: null,
+      })
+    );
+    expect(result.campaigns[0]).toMatchObject({
+      percentFunded: 25,
+      recentDonations: 4,
+      relevance: 0.6,
+      mainMedia: { url: 'https://cdn/main.jpg' },
+    });
+    expect(result.nextCursor).toBeNull();
+  });
+
+  it('lists the newest campaigns without a query', async () => {
+    await searchCampaigns({ status: 'successful', limit: 20 });
+
+    expect(searchRepository.searchCampaigns).toHaveBeenCalledWith(
+      expect.objectContaining({
+        q: null,
+        sort: 'newest',
+        statuses: ['successful'],
+      })
+    );
+  });
+
+  it('refuses to sort by relevance without a query', async () => {
+    await expect(
+      searchCampaigns({ sort: 'relevance', limit: 20 })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('returns a cursor that resumes after the last row', async () => {
+    searchRepository.searchCampaigns.mockResolvedValue([
+      row({ campaignId: 'campaign-1', sortKeyText: '9' }),
+      row({ campaignId: 'campaign-2', sortKeyText: '7' }),
+      row({ campaignId: 'campaign-3', sortKeyText: '5' }),
+    ]);
+
+    const first = await searchCampaigns({ sort: 'trending', limit: 2 });
+
+    expect(first.campaigns).toHaveLength(2);
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    await searchCampaigns({
+      sort: 'trending',
+      limit: 2,
+      cursor: first.nextCursor,
+    });
+
+    expect(searchRepository.searchCampaigns).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        cursor: expect.objectContaining({
+          key: '7',
+          campaignId: 'campaign-2',
+        }),
+      })
+    );
+  });
+
+  it('rejects a cursor from a different sort order', async () => {
+    searchRepository.searchCampaigns.mockResolvedValue([
+      row({ campaignId: 'campaign-1' }),
+      row({ campaignId: 'campaign-2' }),
+    ]);
+    const { nextCursor } = await searchCampaigns({
+      sort: 'trending',
+      limit: 1,
+    });
+
+    await expect(
+      searchCampaigns({ sort: 'newest', limit: 1, cursor: nextCursor })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('rejects an inverted goal range', async () => {
+    await expect(
+      searchCampaigns({ minGoal: 5000, maxGoal: 1000, limit: 20 })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(searchRepository.searchCampaigns).not.toHaveBeenCalled();
+  });
+
+  describe('parseSearchQuery', () => {
+    it('converts query-string values and hides non-public statuses', () => {
+      expect(parseSearchQuery({ minFunded: '50', limit: '10' })).toEqual({
+        minFunded: 50,
+        limit: 10,
+      });
+      expect(() => parseSearchQuery({ status: 'pendingApproval' })).toThrow(
+        'Status must be one of'
+      );
+    });
+  });
+});
@@ -0,0 +1,11 @@
+import * as searchService from "./campaignSearch.service.js";
+import { parseSearchQuery } from "./campaignSearch.validation.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+export const searchCampaigns = async (req, res) => {
+  const result = await searchService.searchCampaigns(
+    parseSearchQuery(req.query)
+  );
+
+  return ResponseFactory.ok(res, "Campaigns retrieved successfully", result);
+};
@@ -0,0 +1,136 @@
+import { db } from "../../../db/index.js";
+
+// Sort key per order and its SQL type, so cursors compare exactly
+const SORT_KEYS = {
+  relevance: {
+    expression: `ts_rank_cd(c."searchVector", websearch_to_tsquery('english', $1))`,
+    type: "real",
+  },
+  trending: { expression: `COALESCE(rd."recentDonations", 0)`, type: "bigint" },
+  newest: { expression: `c."createdAt"`, type: "timestamptz" },
+};
+
+const PERCENT_FUNDED = `(c."currentRaisedAmount" / NULLIF(c."goalAmount", 0) * 100)`;
+
+/**
+ * Keyset-paginated campaign search. Returns up to limit + 1 rows so the
+ * caller can tell whether there is a next page; each row carries its sort
+ * key as text for the cursor.
+ */
+export const searchCampaigns = async ({
+  q,
+  statuses,
+  categoryId,
+  minGoal,
+  maxGoal,
+  minFunded,
+  maxFunded,
+  endingWithinDays,
+  sort,
+  cursor,
+  limit,
+  trendingWindowDays,
+}) => {
+  const values = [];
+  const whereClauses = [];
+  let valueIndex = 1;
+
+  // When given, the query text is $1, which the relevance rank refers to
+  if (q) {
+    whereClauses.push(
+      `c."searchVector" @@ websearch_to_tsquery('english', $${valueIndex++})`
+    );
+    values.push(q);
+  }
+
+  whereClauses.push(`c."status" = ANY($${valueIndex++})`);
+  values.push(statuses);
+
+  if (categoryId) {
+    whereClauses.push(`EXISTS (
+      SELECT 1 FROM "campaignCategories" cc
+      WHERE cc."campaignId" = c."campaignId" AND cc."categoryId" = $${valueIndex++}
+    )`);
+    values.push(categoryId);
+  }
+  if (minGoal != null) {
+    whereClauses.push(`c."goalAmount" >= $${valueIndex++}`);
+    values.push(minGoal);
+  }
+  if (maxGoal != null) {
+    whereClauses.push(`c."goalAmount" <= $${valueIndex++}`);
+    values.push(maxGoal);
+  }
+  if (minFunded != null) {
+    whereClauses.push(`${PERCENT_FUNDED} >= $${valueIndex++}`);
+    values.push(minFunded);
+  }
+  if (maxFunded != null) {
+    whereClauses.push(`${PERCENT_FUNDED} <= $${valueIndex++}`);
+    values.push(maxFunded);
+  }
+  if (endingWithinDays != null) {
+    whereClauses.push(`c."endDate" BETWEEN NOW()
+      AND NOW() + make_interval(days => $${valueIndex++})`);
+    values.push(endingWithinDays);
+  }
+
+  const sortKey = SORT_KEYS[sort];
+  const trendingWindowIndex = valueIndex++;
+  values.push(trendingWindowDays);
+
+  let cursorClause = "";
+  if (cursor) {
+    cursorClause = `WHERE (r."sortKey", r."campaignId") < ($${valueIndex}::${
+      sortKey.type
+    }, $${valueIndex + 1}::uuid)`;
+    values.push(cursor.key, cursor.campaignId);
+    valueIndex += 2;
+  }
+
+  values.push(limit + 1);
+  const result = await db.query(
+    `WITH results AS (
+      SELECT
+        c."campaignId", c."organizerId", c."name", c."description",
+        c."goalAmount", c."currentRaisedAmount", c."baseCurrency",
+        c."startDate", c."endDate", c."status", c."customPageSettings",
+        c."shareLink", c."createdAt",
+        op."organizationName" AS "organizerName",
+        ${PERCENT_FUNDED} AS "percentFunded",
+        COALESCE(rd."recentDonations", 0) AS "recentDonations",
+        COALESCE((
+          SELECT json_agg(
+            json_build_object('categoryId', cat."categoryId", 'name', cat."name")
+            ORDER BY cat."name"
+          )
+          FROM "campaignCategories" cc
+          JOIN "categories" cat ON cat."categoryId" = cc."categoryId"
+          WHERE cc."campaignId" = c."campaignId"
+        ), '[]'::json) AS "categories",
+        ${sortKey.expression} AS "sortKey"
+      FROM "campaigns" c
+      LEFT JOIN "organizationProfiles" op ON op."userId" = c."organizerId"
+      LEFT JOIN (
+        SELECT "campaignId", COUNT(*) AS "recentDonations"
+        FROM "donations"
+        WHERE "status" = 'completed'
+          AND "donationDate" >= NOW() - make_interval(days => $${trendingWindowIndex})
+        GROUP BY "campaignId"
+      ) rd ON rd."campaignId" = c."campaignId"
+      WHERE ${whereClauses.join(" AND ")}
+    )
+    SELECT r.*, r."sortKey"::text AS "sortKeyText"
+    FROM results r
+    ${cursorClause}
+    ORDER BY r."sortKey" DESC, r."campaignId" DESC
+    LIMIT $${valueIndex}`,
+    values
+  );
+
+  return result.rows;
+};
+
+export default {
+  searchCampaigns,
+};
@@ -0,0 +1,11 @@
+import { Router } from "express";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import { searchCampaigns } from "./campaignSearch.controller.js";
+
+// Public: mounted on /api/v1/campaigns/search ahead of the authenticated
+// campaign routes
+const router = Router();
+
+router.get("/", catchAsync(searchCampaigns));
+
+export default router;
@@ -0,0 +1,115 @@
+import config from "../../../config/index.js";
+import * as searchRepository from "./campaignSearch.repository.js";
+import { AppError } from "../../../utils/appError.js";
+
+/**
+ * Public Campaign Search
+ * Full-text search over campaign name, description, organization name and
+ * category names, with filters and three orders:
+ * - relevance: full-text rank (needs a query)
+ * - trending: completed donations over the trending window
+ * - newest: creation date
+ * Pages are fetched with an opaque cursor built from the last row's sort key.
+ */
+
+// Campaigns the public may find; drafts and rejected campaigns stay hidden
+export const PUBLIC_STATUSES = ["active", "paused", "successful", "closed"];
+
+const encodeCursor = (sort, row) =>
+  Buffer.from(
+    JSON.stringify({ sort, key: row.sortKeyText, campaignId: row.campaignId })
+  ).toString("base64url");
+
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new AppError("Invalid cursor", 400);
+  }
+  if (!decoded?.key || !decoded?.campaignId || decoded.sort !== sort) {
+    throw new AppError("Invalid cursor for this search", 400);
+  }
+  return decoded;
+};
+
+const formatResult = (row, sort) => ({
+  campaignId: row.campaignId,
+  organizerId: row.organizerId,
+  organizerName: row.organizerName || null,
+  name: row.name,
+  description: row.description,
+  goalAmount: parseFloat(row.goalAmount),
+  currentRaisedAmount: parseFloat(row.currentRaisedAmount),
+  percentFunded:
+    row.percentFunded != null
+      ? Math.round(parseFloat(row.percentFunded) * 10) / 10
+      : null,
+  baseCurrency: row.baseCurrency,
+  startDate: row.startDate,
+  endDate: row.endDate,
+  status: row.status,
+  mainMedia: row.customPageSettings?.mainMedia || null,
+  shareLink: row.shareLink,
+  categories: row.categories || [],
+  recentDonations: parseInt(row.recentDonations, 10) || 0,
+  relevance: sort === "relevance" ? parseFloat(row.sortKeyText) : undefined,
+  createdAt: row.createdAt,
+});
+
+/**
+ * @param {Object} params - Validated search query
+ * @returns {Promise<{campaigns: Array, nextCursor: string|null}>}
+ */
+export const searchCampaigns = async ({
+  q,
+  status,
+  categoryId,
+  minGoal,
+  maxGoal,
+  minFunded,
+  maxFunded,
+  endingWithinDays,
+  sort,
+  cursor,
+  limit = 20,
+}) => {
+  const query = q?.trim() || null;
+  const order = sort || (query ? "relevance" : "newest");
+  if (order === "relevance" && !query) {
+    throw new AppError("Sorting by relevance needs a search query", 400);
+  }
+  if (minGoal != null && maxGoal != null && minGoal > maxGoal) {
+    throw new AppError("minGoal cannot be greater than maxGoal", 400);
+  }
+  if (minFunded != null && maxFunded != null && minFunded > maxFunded) {
+    throw new AppError("minFunded cannot be greater than maxFunded", 400);
+  }
+
+  const rows = await searchRepository.searchCampaigns({
+    q: query,
+    statuses: status ? [status] : ["active"],
+    categoryId,
+    minGoal,
+    maxGoal,
+    minFunded,
+    maxFunded,
+    endingWithinDays,
+    sort: order,
+    cursor: cursor ? decodeCursor(cursor, order) : null,
+    limit,
+    trendingWindowDays: config.campaigns.search.trendingWindowDays,
+  });
+
+  const page = rows.slice(0, limit);
+  return {
+    campaigns: page.map((row) => formatResult(row, order)),
+    sort: order,
+    nextCursor:
+      rows.length > limit ? encodeCursor(order, page[page.length - 1]) : null,
+  };
+};
+
+export default {
+  searchCampaigns,
+};
@@ -0,0 +1,35 @@
+import Joi from "joi";
+import { validateData } from "../../../utils/validation.js";
+import { PUBLIC_STATUSES } from "./campaignSearch.service.js";
+
+// Validation schemas
+export const searchCampaignsSchema = Joi.object({
+  q: Joi.string().trim().max(200).optional().allow(""),
+  status: Joi.string()
+    .valid(...PUBLIC_STATUSES)
+    .optional()
+    .messages({
+      "any.only": `Status must be one of: ${PUBLIC_STATUSES.join(", ")}`,
+    }),
+  categoryId: Joi.string().uuid().optional().messages({
+    "string.guid": "Category ID must be a valid UUID",
+  }),
+  minGoal: Joi.number().min(0).optional(),
+  maxGoal: Joi.number().min(0).optional(),
+  minFunded: Joi.number().min(0).optional(),
+  maxFunded: Joi.number().min(0).optional(),
+  endingWithinDays: Joi.number().integer().min(1).max(365).optional(),
+  sort: Joi.string()
+    .valid("relevance", "trending", "newest")
+    .optional()
+    .messages({
+      "any.only": "Sort must be one of: relevance, trending, newest",
+    }),
+  cursor: Joi.string().max(500).optional(),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+});
+
+// Express 5 parses req.query afresh on every access, so the converted
+// values are returned rather than written back
+export const parseSearchQuery = (query) =>
+  validateData(searchCampaignsSchema, query);
@@ -0,0 +1,370 @@
+// src/modules/donor/donation/__tests__/donation.refund.test.js
+
+import { refundDonation, revertFailedRefund } from '../donation.service.js';
+import * as donationRepository from '../donation.repository.js';
+import * as transactionService from '../../../payment/transactions/transaction.service.js';
+import * as transactionRepository from '../../../payment/transactions/transaction.repository.js';
+import { computeAvailableBalance } from '../../../payment/withdrawals/withdrawal.service.js';
+import * as receiptService from '../../receipts/receipt.service.js';
+import * as matchPoolService from '../../matching/matchPool.service.js';
+import * as donationRiskService from '../../risk/donationRisk.service.js';
+import { lockCampaign } from '../../../campaign/campaigns/campaign.repository.js';
+import zynlepayProvider from '../../../payment/providers/zynlepay.provider.js';
+import { transaction } from '../../../../db/index.js';
+import { AppError } from '../../../../utils/appError.js';
+
+// Mock dependencies
+jest.mock('../donation.repository.js');
+jest.mock('../../../payment/transactions/transaction.service.js');
+jest.mock('../../../payment/transactions/transaction.repository.js');
+jest.mock('../../../payment/withdrawals/withdrawal.service.js');
+jest.mock('../../receipts/receipt.service.js');
+jest.mock('../../matching/matchPool.service.js');
+jest.mock('../../risk/donationRisk.service.js');
+jest.mock('../../../campaign/campaigns/campaign.service.js');
+jest.mock('../../../campaign/campaigns/campaign.repository.js');
+jest.mock('../../../notifications/notification.service.js');
+jest.mock('../../../audit/audit.utils.js');
+jest.mock('../../../../db/index.js');
+// Local stub of the payment provider: no network calls in tests
+jest.mock('../../../payment/providers/zynlepay.provider.js', () => ({
+  __esModule: true,
+  default: { initiateRefund: jest.fn() },
+}));
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('Donation refunds', () => {
+  const organizer = { userId: 'organizer-1', userType: 'organizationUser' };
+
+  const completedDonation = {
+    donationId: 'donation-1',
+    campaignId: 'campaign-1',
+    organizerId: 'organizer-1',
+    donorUserId: 'donor-1',
+    amount: '50.00',
+    status: 'completed',
+    paymentTransactionId: 'txn-1',
+  };
+
+  // The donor covered a 1.50 fee on top of the 50.00 donation
+  const originalTxn = {
+    transactionId: 'txn-1',
+    status: 'succeeded',
+    amount: '51.50',
+    feesAmount: '1.50',
+    currency: 'ZMW',
+    gatewayUsed: 'airtel',
+    gatewayTransactionId: 'FR_campaign-1_1',
+    phoneNumber: '+260971234567',
+  };
+
+  beforeEach(() => {
+    transaction.mockImplementation((callback) => callback({}));
+    donationRepository.getDonationById.mockResolvedValue(completedDonation);
+    transactionService.getTransactionById.mockResolvedValue(originalTxn);
+    transactionRepository.createTransaction.mockResolvedValue({
+      transactionId: 'refund-txn-1',
+      status: 'pending',
+    });
+    donationRepository.claimDonationForRefund.mockResolvedValue({
+      ...completedDonation,
+      status: 'refundPending',
+      refundTransactionId: 'refund-txn-1',
+    });
+    computeAvailableBalance.mockResolvedValue({
+      completed: 100,
+      refunded: 0,
+      reserved: 0,
+      available: 100,
+    });
+    donationRepository.markDonationRefunded.mockResolvedValue({
+      ...completedDonation,
+      status: 'refunded',
+      refundTransactionId: 'refund-txn-1',
+    });
+    donationRepository.recalculateCampaignStatistics.mockResolvedValue({
+      currentRaisedAmount: '50.00',
+    });
+  });
+
+  describe('refundDonation', () => {
+    it('should claim the donation and reverse the payment before paying out', async () => {
+      zynlepayProvider.initiateRefund.mockResolvedValue({
+        ok: true,
+        responseCode: '100',
+        status: 'succeeded',
+        raw: { response_code: 100 },
+      });
+
+      const result = await refundDonation('donation-1', organizer, {
+        reason: 'Duplicate payment',
+      });
+
+      expect(transactionRepository.createTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({
+          transactionType: 'refund_out',
+          amount: '51.50',
+          feesAmount: '1.50',
+          parentTransactionId: 'txn-1',
+        }),
+        expect.anything()
+      );
+      expect(donationRepository.claimDonationForRefund).toHaveBeenCalledWith(
+        'donation-1',
+        expect.objectContaining({
+          refundTransactionId: 'refund-txn-1',
+          refundReason: 'Duplicate payment',
+        }),
+        expect.anything()
+      );
+      expect(
+        transactionRepository.updateTransactionStatus
+      ).toHaveBeenCalledWith('txn-1', 'refunded', expect.anything());
+      expect(
+        donationRepository.recalculateCampaignStatistics
+      ).toHaveBeenCalledWith('campaign-1', expect.anything());
+      // The claim is committed before the provider is asked for money
+      expect(
+        donationRepository.claimDonationForRefund.mock.invocationCallOrder[0]
+      ).toBeLessThan(
+        zynlepayProvider.initiateRefund.mock.invocationCallOrder[0]
+      );
+      expect(zynlepayProvider.initiateRefund).toHaveBeenCalledWith(
+        expect.objectContaining({
+          phoneNumber: '+260971234567',
+          amount: '51.50',
+          originalReferenceNo: 'FR_campaign-1_1',
+        })
+      );
+      expect(donationRepository.markDonationRefunded).toHaveBeenCalledWith(
+        'donation-1'
+      );
+      expect(receiptService.voidReceipt).toHaveBeenCalledWith('donation-1', {
+        reason: 'Donation refunded: Duplicate payment',
+        voidedByUserId: 'organizer-1',
+      });
+      expect(matchPoolService.reverseMatch).toHaveBeenCalledWith(
+        'donation-1',
+        'campaign-1',
+        { reason: 'Matched donation refunded: Duplicate payment' }
+      );
+      expect(result.refundTransaction.status).toBe('succeeded');
+    });
+
+    it('should leave the refund transaction processing when the provider only accepts it', async () => {
+      zynlepayProvider.initiateRefund.mockResolvedValue({
+        ok: true,
+        responseCode: '120',
+        status: 'processing',
+        gatewayRequestId: 'gw-1',
+        raw: { response_code: 120 },
+      });
+
+      const result = await refundDonation('donation-1', organizer, {
+        reason: 'Donor request',
+      });
+
+      expect(
+        transactionService.markProcessingWithGatewayData
+      ).toHaveBeenCalledWith(
+        'refund-txn-1',
+        expect.objectContaining({ gatewayRequestId: 'gw-1' })
+      );
+      expect(result.refundTransaction.status).toBe('processing');
+    });
+
+    it('should reject users who neither own the campaign nor administer finance', async () => {
+      await expect(
+        refundDonation(
+          'donation-1',
+          { userId: 'someone-else', userType: 'individualUser' },
+          { reason: 'Nope' }
+        )
+      ).rejects.toThrow(AppError);
+
+      expect(transactionRepository.createTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should not pay out when another refund already claimed the donation', async () => {
+      donationRepository.claimDonationForRefund.mockResolvedValue(null);
+
+      await expect(
+        refundDonation('donation-1', organizer, { reason: 'Double click' })
+      ).rejects.toMatchObject({ statusCode: 409 });
+
+      expect(
+        transactionRepository.updateTransactionStatus
+      ).not.toHaveBeenCalled();
+      expect(zynlepayProvider.initiateRefund).not.toHaveBeenCalled();
+    });
+
+    it('should reject refunds for donations that are not completed', async () => {
+      donationRepository.getDonationById.mockResolvedValue({
+        ...completedDonation,
+        status: 'pending',
+      });
+
+      await expect(
+        refundDonation('donation-1', organizer, { reason: 'Too early' })
+      ).rejects.toThrow('Only completed donations can be refunded');
+    });
+
+    it('should reject refunds of sponsor matching donations', async () => {
+      donationRepository.getDonationById.mockResolvedValue({
+        ...completedDonation,
+        paymentTransactionId: null,
+        matchPoolId: 'pool-1',
+        matchedDonationId: 'donation-0',
+      });
+
+      await expect(
+        refundDonation('donation-1', organizer, { reason: 'Sponsor pulled out' })
+      ).rejects.toThrow('Matching donations cannot be refunded directly');
+
+      expect(transactionService.getTransactionById).not.toHaveBeenCalled();
+    });
+
+    it('should reject refunds of offline donations', async () => {
+      donationRepository.getDonationById.mockResolvedValue({
+        ...completedDonation,
+        paymentTransactionId: null,
+        offlineDonationId: 'offline-1',
+      });
+
+      await expect(
+        refundDonation('donation-1', organizer, { reason: 'Cash returned' })
+      ).rejects.toThrow('Offline donations were not paid through the platform');
+    });
+
+    it('should reject refunds larger than the available campaign balance', async () => {
+      computeAvailableBalance.mockResolvedValue({
+        completed: 100,
+        refunded: 0,
+        reserved: 80,
+        available: 20,
+      });
+
+      await expect(
+        refundDonation('donation-1', organizer, { reason: 'Withdrawn' })
+      ).rejects.toThrow('Campaign balance is too low');
+
+      expect(zynlepayProvider.initiateRefund).not.toHaveBeenCalled();
+      expect(donationRepository.claimDonationForRefund).not.toHaveBeenCalled();
+    });
+
+    it('should check the balance under the campaign lock, in the claim transaction', async () => {
+      const client = { query: jest.fn() };
+      transaction.mockImplementation((callback) => callback(client));
+      zynlepayProvider.initiateRefund.mockResolvedValue({
+        ok: true,
+        responseCode: '100',
+        status: 'succeeded',
+        raw: { response_code: 100 },
+      });
+
+      await refundDonation('donation-1', organizer, {
+        reason: 'Donor request',
+      });
+
+      expect(lockCampaign).toHaveBeenCalledWith('campaign-1', client);
+      const lockedAt = lockCampaign.mock.invocationCallOrder[0];
+      expect(lockedAt).toBeLessThan(
+        computeAvailableBalance.mock.invocationCallOrder[0]
+      );
+      expect(computeAvailableBalance.mock.invocationCallOrder[0]).toBeLessThan(
+        donationRepository.claimDonationForRefund.mock.invocationCallOrder[0]
+      );
+      expect(donationRepository.claimDonationForRefund).toHaveBeenCalledWith(
+        'donation-1',
+        expect.any(Object),
+        client
+      );
+    });
+
+    it('should refund a donation held for risk review from the held funds', async () => {
+      donationRiskService.isDonationHeld.mockResolvedValue(true);
+      computeAvailableBalance.mockResolvedValue({
+        completed: 100,
+        refunded: 0,
+        reserved: 0,
+        heldForReview: 50,
+        available: 0,
+      });
+      zynlepayProvider.initiateRefund.mockResolvedValue({
+        ok: true,
+        responseCode: '100',
+        status: 'succeeded',
+        raw: { response_code: 100 },
+      });
+
+      await refundDonation('donation-1', organizer, {
+        reason: 'Rejected in risk review',
+      });
+
+      expect(donationRiskService.isDonationHeld).toHaveBeenCalledWith(
+        'donation-1'
+      );
+      expect(zynlepayProvider.initiateRefund).toHaveBeenCalled();
+    });
+
+    it('should mark the refund transaction failed when the provider errors', async () => {
+      zynlepayProvider.initiateRefund.mockRejectedValue(
+        new AppError('Failed to initiate payout with provider', 502)
+      );
+
+      await expect(
+        refundDonation('donation-1', organizer, { reason: 'Donor request' })
+      ).rejects.toThrow('Failed to initiate payout with provider');
+
+      expect(transactionService.processPaymentFailure).toHaveBeenCalled();
+      expect(donationRepository.clearDonationRefund).toHaveBeenCalledWith(
+        'donation-1',
+        expect.anything()
+      );
+      expect(
+        transactionRepository.updateTransactionStatus
+      ).toHaveBeenLastCalledWith('txn-1', 'succeeded', expect.anything());
+      expect(donationRepository.markDonationRefunded).not.toHaveBeenCalled();
+      expect(receiptService.voidReceipt).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revertFailedRefund', () => {
+    it('should restore the donation and the original payment', async () => {
+      donationRepository.getDonationByRefundTransactionId.mockResolvedValue({
+        ...completedDonation,
+        status: 'refunded',
+      });
+      donationRepository.clearDonationRefund.mockResolvedValue(
+        completedDonation
+      );
+
+      const restored = await revertFailedRefund(
+        {
+          transactionId: 'refund-txn-1',
+          parentTransactionId: 'txn-1',
+          currency: 'ZMW',
+        },
+        { response_description: 'Insufficient balance' }
+      );
+
+      expect(donationRepository.clearDonationRefund).toHaveBeenCalledWith(
+        'donation-1',
+        expect.anything()
+      );
+      expect(
+        transactionRepository.updateTransactionStatus
+      ).toHaveBeenCalledWith('txn-1', 'succeeded', expect.anything());
+      expect(receiptService.issueReceipt).toHaveBeenCalledWith('donation-1');
+      expect(matchPoolService.applyMatch).toHaveBeenCalledWith(
+        completedDonation
+      );
+      expect(restored.status).toBe('completed');
+    });
+  });
+});
@@ -1,11 +1,14 @@
 import * as donationService from "./donation.service.js";
 import { ResponseFactory } from "../../../utils/response.utils.js";
+import { getClientIp } from "../../audit/audit.middleware.js";
 
 export const createDonation = async (req, res) => {
   const donationData = req.body;
   const userId = req.user?.userId || null; // Can be null for anonymous donations
 
-  const result = await donationService.createDonation(donationData, userId);
+  const result = await donationService.createDonation(donationData, userId, {
+    ipAddress: getClientIp(req),
+  });
 
   return ResponseFactory.created(res, "Donation created successfully", {
     donation: result.donation,
@@ -83,6 +86,17 @@ export const updateReceiptSent = async (req, res) => {
   );
 };
 
+export const refundDonation = async (req, res) => {
+  const { donationId } = req.params;
+  const { reason } = req.body;
+
+  const result = await donationService.refundDonation(donationId, req.user, {
+    reason,
+  });
+
+  return ResponseFactory.ok(res, "Donation refunded successfully", result);
+};
+
 export const getDonationStats = async (req, res) => {
   const { campaignId } = req.params;
 
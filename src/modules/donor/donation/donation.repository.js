@@ -4,8 +4,13 @@ import logger from "../../../utils/logger.js";
 export const createDonation = async (donationData, client = null) => {
   const query = `INSERT INTO "donations" (
     "campaignId", "organizerId", "donorUserId", "amount", "isAnonymous", 
-    "status", "paymentTransactionId", "linkTokenId", "contactId"
-  ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`;
+    "status", "paymentTransactionId", "linkTokenId", "contactId",
+    "feeAmount", "donorCoversFee", "feeRuleId", "recurringDonationId",
+    "currency", "baseCurrency", "baseAmount", "exchangeRate", "exchangeRateId",
+    "pledgeId"
+  ) VALUES (
+    $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19
+  ) RETURNING *`;
 
   const params = [
     donationData.campaignId,
@@ -17,6 +22,16 @@ export const createDonation = async (donationData, client = null) => {
     donationData.paymentTransactionId,
     donationData.linkTokenId || null,
     donationData.contactId || null,
+    donationData.feeAmount || 0,
+    donationData.donorCoversFee || false,
+    donationData.feeRuleId || null,
+    donationData.recurringDonationId || null,
+    donationData.currency,
+    donationData.baseCurrency || donationData.currency,
+    donationData.baseAmount ?? donationData.amount,
+    donationData.exchangeRate || 1,
+    donationData.exchangeRateId || null,
+    donationData.pledgeId || null,
   ];
 
   if (client) {
@@ -139,6 +154,88 @@ export const updateDonationStatus = async (donationId, status) => {
   return result.rows[0] || null;
 };
 
+/**
+ * Claims a completed donation for a refund. Only one caller can move it out
+ * of 'completed', so a second concurrent refund gets null and never reaches
+ * the payment provider.
+ */
+export const claimDonationForRefund = async (
+  donationId,
+  { refundTransactionId, refundReason, refundedByUserId },
+  client = null
+) => {
+  const query = `UPDATE "donations"
+     SET "status" = 'refundPending',
+         "refundTransactionId" = $2,
+         "refundReason" = $3,
+         "refundedByUserId" = $4,
+         "refundedAt" = CURRENT_TIMESTAMP
+     WHERE "donationId" = $1 AND "status" = 'completed'
+     RETURNING *`;
+  const params = [
+    donationId,
+    refundTransactionId,
+    refundReason || null,
+    refundedByUserId || null,
+  ];
+
+  if (client) {
+    const result = await client.query(query, params);
+    return result.rows[0] || null;
+  } else {
+    const result = await db.query(query, params);
+    return result.rows[0] || null;
+  }
+};
+
+// Completes a claimed refund once the provider accepted the payout
+export const markDonationRefunded = async (donationId, client = null) => {
+  const query = `UPDATE "donations"
+     SET "status" = 'refunded'
+     WHERE "donationId" = $1 AND "status" = 'refundPending'
+     RETURNING *`;
+
+  if (client) {
+    const result = await client.query(query, [donationId]);
+    return result.rows[0] || null;
+  } else {
+    const result = await db.query(query, [donationId]);
+    return result.rows[0] || null;
+  }
+};
+
+// Puts a claimed or refunded donation back to completed
+export const clearDonationRefund = async (donationId, client = null) => {
+  const query = `UPDATE "donations"
+     SET "status" = 'completed',
+         "refundTransactionId" = NULL,
+         "refundReason" = NULL,
+         "refundedByUserId" = NULL,
+         "refundedAt" = NULL
+     WHERE "donationId" = $1 AND "status" IN ('refundPending', 'refunded')
+     RETURNING *`;
+
+  if (client) {
+    const result = await client.query(query, [donationId]);
+    return result.rows[0] || null;
+  } else {
+    const result = await db.query(query, [donationId]);
+    return result.rows[0] || null;
+  }
+};
+
+export const getDonationByRefundTransactionId = async (transactionId) => {
+  const result = await db.query(
+    `SELECT d.*
+     FROM "donations" d
+     WHERE d."refundTransactionId" = $1
+     LIMIT 1`,
+    [transactionId]
+  );
+
+  return result.rows[0] || null;
+};
+
 export const updateReceiptSent = async (donationId, receiptSent) => {
   const result = await db.query(
     `UPDATE "donations" SET "receiptSent" = $1 WHERE "donationId" = $2 RETURNING *`,
@@ -187,7 +284,7 @@ export const getDonationStats = async (campaignId) => {
     `SELECT 
       COUNT(*) as "totalDonations",
       COUNT(CASE WHEN "status" = 'completed' THEN 1 END) as "completedDonations",
-      SUM(CASE WHEN "status" = 'completed' THEN "amount" ELSE 0 END) as "totalAmount",
+      SUM(CASE WHEN "status" = 'completed' THEN "baseAmount" ELSE 0 END) as "totalAmount",
       COUNT(CASE WHEN "isAnonymous" = true THEN 1 END) as "anonymousDonations"
      FROM "donations" 
      WHERE "campaignId" = $1`,
@@ -250,7 +347,7 @@ export const recalculateCampaignStatistics = async (
   const query = `
     WITH agg AS (
       SELECT 
-        COALESCE(SUM("amount"), 0) AS totalAmount,
+        COALESCE(SUM("baseAmount"), 0) AS totalAmount,
         COUNT(*) AS completedCount
       FROM "donations"
       WHERE "campaignId" = $1 AND "status" = 'completed'
@@ -340,8 +437,8 @@ export const getDonationAttributionStats = async (campaignId, organizerId) => {
     `SELECT 
       COUNT(*) as "totalDonations",
       COUNT(d."linkTokenId") as "attributedDonations",
-      SUM(CASE WHEN d."status" = 'completed' THEN d."amount" ELSE 0 END) as "totalAmount",
-      SUM(CASE WHEN d."status" = 'completed' AND d."linkTokenId" IS NOT NULL THEN d."amount" ELSE 0 END) as "attributedAmount",
+      SUM(CASE WHEN d."status" = 'completed' THEN d."baseAmount" ELSE 0 END) as "totalAmount",
+      SUM(CASE WHEN d."status" = 'completed' AND d."linkTokenId" IS NOT NULL THEN d."baseAmount" ELSE 0 END) as "attributedAmount",
       COUNT(DISTINCT d."contactId") as "uniqueContacts",
       lt."type" as "linkType",
       lt."utmSource",
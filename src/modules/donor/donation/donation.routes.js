@@ -13,6 +13,7 @@ import {
   getAllDonations,
   updateDonationStatus,
   updateReceiptSent,
+  refundDonation,
   getDonationStats,
   getDonationsByUser,
   updateCampaignStatistics,
@@ -21,6 +22,7 @@ import {
   validateCreateDonation,
   validateUpdateDonationStatus,
   validateUpdateReceiptSent,
+  validateRefundDonation,
   validateDonationId,
   validateCampaignId,
   validateCampaignState,
@@ -77,6 +79,13 @@ router.patch(
   validateUpdateReceiptSent,
   catchAsync(updateReceiptSent)
 );
+router.post(
+  "/:donationId/refund",
+  authenticate,
+  validateDonationId,
+  validateRefundDonation,
+  catchAsync(refundDonation)
+);
 router.patch(
   "/campaign/:campaignId/statistics",
   authenticate,
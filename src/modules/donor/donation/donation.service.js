@@ -1,23 +1,67 @@
 import * as donationRepository from "./donation.repository.js";
 import * as transactionService from "../../payment/transactions/transaction.service.js";
+import * as transactionRepository from "../../payment/transactions/transaction.repository.js";
+import { computeAvailableBalance } from "../../payment/withdrawals/withdrawal.service.js";
+import { calculateFee } from "../../payment/fees/fee.service.js";
+import * as exchangeRateService from "../../payment/exchangeRates/exchangeRate.service.js";
 import * as messageService from "../messages/message.service.js";
-import zynlepayProvider from "../../payment/providers/zynlepay.provider.js";
+import * as receiptService from "../receipts/receipt.service.js";
+import * as matchPoolService from "../matching/matchPool.service.js";
+import * as pledgeService from "../pledges/pledge.service.js";
+import * as donationRiskService from "../risk/donationRisk.service.js";
+import * as milestoneService from "../../campaign/milestones/milestone.service.js";
+import { getProviderFor } from "../../payment/providers/provider.registry.js";
 import { logServiceEvent } from "../../audit/audit.utils.js";
 import { DONATION_ACTIONS, ENTITY_TYPES } from "../../audit/audit.constants.js";
 import { getCampaignById } from "../../campaign/campaigns/campaign.service.js";
 import { getUserById } from "../../users/individualUser/user.service.js";
+import {
+  findUsersByRoles,
+  lockCampaign,
+} from "../../campaign/campaigns/campaign.repository.js";
 import notificationService from "../../notifications/notification.service.js";
 import { AppError } from "../../../utils/appError.js";
 import logger from "../../../utils/logger.js";
 import { transaction } from "../../../db/index.js";
 import { getLinkTokenById } from "../../Outreach/linkTokens/linkToken.repository.js";
-import { recordEmailEvent } from "../../Outreach/emailEvents/emailEvent.repository.js";
 import { markRecipientClickedByLinkToken } from "../../Outreach/outreachCampaign/outreachCampaignRecipients.repository.js";
-import { query } from "../../../db/index.js";
 import { getPublicS3Url } from "../../../utils/s3.utils.js";
 
-export const createDonation = async (donationData, userId = null) => {
+/**
+ * @param {Object} donationData - Validated donation payload
+ * @param {string|null} userId - Authenticated donor; null for anonymous donations
+ * @param {Object} context - Request details for the risk checks ({ ipAddress })
+ */
+export const createDonation = async (
+  donationData,
+  userId = null,
+  context = {}
+) => {
   try {
+    let campaign = null;
+    try {
+      campaign = await getCampaignById(donationData.campaignId);
+    } catch (e) {
+      logger.warn("Failed to resolve campaign for donation payload", {
+        campaignId: donationData.campaignId,
+        error: e.message,
+      });
+    }
+    // Paused campaigns stay visible but take no new donations
+    if (campaign?.status === "paused") {
+      throw new AppError(
+        "This campaign is paused and is not accepting donations right now",
+        409
+      );
+    }
+
+    // Blocked attempts are rejected here, before anything is charged
+    const riskAssessment = await donationRiskService.assessDonation(
+      donationData,
+      userId,
+      context
+    );
+
     // Use database transaction to ensure data consistency
     const result = await transaction(async (client) => {
       // 0. Outreach attribution: resolve contactId from linkTokenId if provided
@@ -37,7 +81,26 @@ export const createDonation = async (donationData, userId = null) => {
           );
         }
       }
-      // 1. Create transaction record FIRST
+      // 1. Snapshot the rate used to convert this donation into the campaign's
+      // base currency; totals and withdrawals use baseAmount
+      const baseCurrency =
+        campaign?.baseCurrency || donationData.currency || "ZMW";
+      const currency = (donationData.currency || baseCurrency).toUpperCase();
+      const conversion = await exchangeRateService.convert(
+        donationData.amount,
+        currency,
+        baseCurrency
+      );
+
+      // 2. Price the platform fee; a donor covering it is charged amount + fee
+      const fee = await calculateFee({
+        campaignId: donationData.campaignId,
+        amount: donationData.amount,
+        currency,
+        donorCoversFee: donationData.donorCoversFee,
+      });
+
+      // 3. Create transaction record FIRST
       const generateReference = () =>
         `FR_${donationData.campaignId}_${Date.now()}_${Math.random()
           .toString(36)
@@ -46,8 +109,9 @@ export const createDonation = async (donationData, userId = null) => {
       const transactionPayload = {
         userId: userId,
         campaignId: donationData.campaignId,
-        amount: donationData.amount,
-        currency: donationData.currency || "USD",
+        amount: fee.chargedAmount,
+        feesAmount: fee.feeAmount,
+        currency,
         gatewayUsed: donationData.paymentMethod,
         status: "pending",
         transactionType: "donation_in",
@@ -65,7 +129,7 @@ export const createDonation = async (donationData, userId = null) => {
         gatewayTransactionId: transaction.gatewayTransactionId,
       });
 
-      // 2. Create donation record WITH transaction ID
+      // 4. Create donation record WITH transaction ID
       // Force anonymous if no authenticated user
       const isAnonymousEffective = userId ? !!donationData.isAnonymous : true;
       const donationPayload = {
@@ -77,21 +141,20 @@ export const createDonation = async (donationData, userId = null) => {
         paymentTransactionId: transaction.transactionId, // ✅ Now we have the transaction ID
         linkTokenId: resolvedLinkTokenId,
         contactId: resolvedContactId,
+        feeAmount: fee.feeAmount,
+        donorCoversFee: fee.donorCoversFee,
+        feeRuleId: fee.feeRuleId,
+        recurringDonationId: donationData.recurringDonationId || null,
+        pledgeId: donationData.pledgeId || null,
+        currency,
+        baseCurrency,
+        baseAmount: conversion.amount,
+        exchangeRate: conversion.rate,
+        exchangeRateId: conversion.exchangeRateId,
+        // organizerId on the donation speeds up organizer queries
+        organizerId: campaign?.organizerId,
       };
 
-      // Fetch campaign to set organizerId on donation for faster organizer queries
-      try {
-        const campaign = await getCampaignById(donationData.campaignId);
-        if (campaign && campaign.organizerId) {
-          donationPayload.organizerId = campaign.organizerId;
-        }
-      } catch (e) {
-        logger.warn("Failed to resolve organizerId for donation payload", {
-          campaignId: donationData.campaignId,
-          error: e.message,
-        });
-      }
-
       const donation = await donationRepository.createDonation(
         donationPayload,
         client
@@ -104,7 +167,14 @@ export const createDonation = async (donationData, userId = null) => {
         isAnonymous: donationData.isAnonymous,
       });
 
-      // 4. Create donation message if provided
+      // Flagged donations go ahead but are held from withdrawals until reviewed
+      const assessment = await donationRiskService.recordAssessment(
+        riskAssessment,
+        donation,
+        client
+      );
+
+      // 5. Create donation message if provided
       let messageId = null;
       if (donationData.messageText && donationData.messageText.trim()) {
         const messagePayload = {
@@ -151,16 +221,29 @@ export const createDonation = async (donationData, userId = null) => {
         }
       }
 
-      // 5. Defer campaign statistics updates and notifications until payment success
+      // 6. Defer campaign statistics updates and notifications until payment success
 
       return {
         donation,
         transaction,
         messageId,
+        fee,
+        assessment,
         success: true,
       };
     });
 
+    if (result.assessment?.decision === "review") {
+      try {
+        await donationRiskService.reportFlaggedDonation(result.assessment);
+      } catch (flagErr) {
+        logger.warn("Failed to report flagged donation", {
+          error: flagErr.message,
+          donationId: result.donation.donationId,
+        });
+      }
+    }
+
     logger.info("Donation creation completed successfully", {
       donationId: result.donation.donationId,
       transactionId: result.transaction.transactionId,
@@ -174,19 +257,15 @@ export const createDonation = async (donationData, userId = null) => {
         console.log("=== PAYMENT INITIATION START ===");
         const referenceNo = result.transaction.gatewayTransactionId;
         console.log("Reference No:", referenceNo);
-        console.log("Original Phone Number:", donationData.phoneNumber);
-
-        // Strip +260 prefix from phone number for ZynlePay
-        const cleanPhoneNumber =
-          donationData.phoneNumber?.replace(/^\+260/, "") ||
-          donationData.phoneNumber;
-        console.log("Cleaned Phone Number:", cleanPhoneNumber);
-        console.log("Amount:", donationData.amount);
+        console.log("Phone Number:", donationData.phoneNumber);
+        console.log("Amount:", result.fee.chargedAmount);
         console.log("Payment Method:", donationData.paymentMethod);
 
-        const providerRes = await zynlepayProvider.initiateDeposit({
-          phoneNumber: cleanPhoneNumber,
-          amount: donationData.amount,
+        // gatewayUsed picks the adapter (falls back to the default provider)
+        const provider = getProviderFor(result.transaction.gatewayUsed);
+        const providerRes = await provider.initiateDeposit({
+          phoneNumber: donationData.phoneNumber,
+          amount: result.fee.chargedAmount,
           referenceNo,
         });
 
@@ -196,7 +275,7 @@ export const createDonation = async (donationData, userId = null) => {
         const responseCode = providerRes.responseCode;
         console.log("Response Code:", responseCode);
 
-        if (responseCode === "100") {
+        if (providerRes.status === "succeeded") {
           console.log("=== IMMEDIATE SUCCESS PATH ===");
           // Immediate success (rare) → mark txn succeeded and donation completed
           await transactionService.processPaymentSuccess(
@@ -211,12 +290,49 @@ export const createDonation = async (donationData, userId = null) => {
           await donationRepository.recalculateCampaignStatistics(
             result.donation.campaignId
           );
+          try {
+            await receiptService.issueReceipt(result.donation.donationId);
+          } catch (receiptErr) {
+            logger.warn("Failed to issue donation receipt", {
+              error: receiptErr.message,
+              donationId: result.donation.donationId,
+            });
+          }
+          try {
+            await matchPoolService.applyMatch({
+              ...result.donation,
+              status: "completed",
+            });
+          } catch (matchErr) {
+            logger.warn("Failed to apply donation match", {
+              error: matchErr.message,
+              donationId: result.donation.donationId,
+            });
+          }
+          try {
+            await pledgeService.fulfillPledge(result.donation);
+          } catch (pledgeErr) {
+            logger.warn("Failed to fulfil pledge", {
+              error: pledgeErr.message,
+              donationId: result.donation.donationId,
+            });
+          }
+          try {
+            await milestoneService.evaluateMilestones(
+              result.donation.campaignId
+            );
+          } catch (milestoneErr) {
+            logger.warn("Failed to evaluate campaign milestones", {
+              error: milestoneErr.message,
+              campaignId: result.donation.campaignId,
+            });
+          }
           try {
             await sendCampaignOrganizerNotifications(
               result.donation.campaignId,
               result.donation.donationId,
               donationData.amount,
-              donationData.currency || "USD",
+              result.donation.currency,
               donationData.messageText,
               isAnonymousEffective,
               donationData.phoneNumber
@@ -227,7 +343,7 @@ export const createDonation = async (donationData, userId = null) => {
                 result.donation.donationId,
                 result.donation.campaignId,
                 donationData.amount,
-                donationData.currency || "USD",
+                result.donation.currency,
                 donationData.messageText
               );
             } else if (isAnonymousEffective) {
@@ -235,7 +351,7 @@ export const createDonation = async (donationData, userId = null) => {
                 result.donation.donationId,
                 result.donation.campaignId,
                 donationData.amount,
-                donationData.currency || "USD",
+                result.donation.currency,
                 donationData.messageText
               );
             }
@@ -249,7 +365,7 @@ export const createDonation = async (donationData, userId = null) => {
             donationId: result.donation.donationId,
             transactionId: result.transaction.transactionId,
           });
-        } else if (responseCode === "120" || responseCode === "990") {
+        } else if (providerRes.status === "processing") {
           console.log("=== PROCESSING PATH ===");
           // Initiated / pending → mark processing with gateway request id & payload
           await transactionService.markProcessingWithGatewayData(
@@ -374,177 +490,6 @@ export const createDonation = async (donationData, userId = null) => {
   }
 };
 
-export const simulatePaymentProcessing = async (donation, txn) => {
-  try {
-    // Artificial delay to mimic gateway processing time
-    const processingDelayMs = 1500;
-    await new Promise((resolve) => setTimeout(resolve, processingDelayMs));
-
-    const mockGatewayResponse = {
-      provider: txn.gatewayUsed || "MockGateway",
-      gatewayTransactionId: txn.gatewayTransactionId,
-      status: "succeeded",
-      processedAt: new Date().toISOString(),
-      meta: { simulation: true },
-    };
-
-    // 1) Mark transaction as succeeded
-    await transactionService.processPaymentSuccess(
-      txn.gatewayTransactionId,
-      mockGatewayResponse
-    );
-
-    // 2) Mark donation as completed
-    await donationRepository.updateDonationStatus(
-      donation.donationId,
-      "completed"
-    );
-
-    // 2b) Outreach: mark donation in recipients and record donation emailEvent
-    try {
-      if (donation.linkTokenId) {
-        // Record emailEvent of type 'donation'
-        await recordEmailEvent({
-          linkTokenId: donation.linkTokenId,
-          contactId: donation.contactId || null,
-          type: "donation",
-          userAgent: null,
-          ipAddress: null,
-        });
-        // Update recipients aggregate fields
-        const sql = `
-          UPDATE "outreachCampaignRecipients" r
-          SET "donated" = TRUE,
-              "donatedAmount" = COALESCE(r."donatedAmount", 0) + $3,
-              "updatedAt" = NOW()
-          FROM "linkTokens" lt
-          WHERE lt."linkTokenId" = $1
-            AND r."contactId" = COALESCE($2, r."contactId")
-            AND r."outreachCampaignId" = lt."outreachCampaignId";
-        `;
-        await query(sql, [
-          donation.linkTokenId,
-          donation.contactId || null,
-          donation.amount,
-        ]);
-      }
-    } catch (e) {
-      logger.warn("Failed to update outreach donation attribution", {
-        error: e.message,
-        linkTokenId: donation.linkTokenId,
-        contactId: donation.contactId,
-      });
-    }
-
-    // Log successful donation in audit logs
-    try {
-      await logServiceEvent(
-        donation.donorUserId || null,
-        DONATION_ACTIONS.DONATION_MADE,
-        ENTITY_TYPES.DONATION,
-        donation.donationId,
-        {
-          campaignId: donation.campaignId,
-          amount: donation.amount,
-          currency: donation.currency || "USD",
-          status: "successful",
-          isAnonymous: donation.isAnonymous,
-          paymentMethod: txn.gatewayUsed,
-          phoneNumber: txn.phoneNumber,
-          transactionId: txn.transactionId,
-          gatewayTransactionId: txn.gatewayTransactionId,
-          gatewayUsed: txn.gatewayUsed,
-          simulation: true,
-          completedAt: new Date().toISOString(),
-        }
-      );
-    } catch (auditError) {
-      logger.warn("Failed to log successful donation audit", {
-        error: auditError.message,
-      });
-    }
-
-    // 3) Recalculate campaign statistics based on completed donations to be concurrency-safe
-    const stats = await donationRepository.recalculateCampaignStatistics(
-      donation.campaignId
-    );
-
-    // Optional progress percentage calculation (derived, not persisted)
-    if (stats && stats.goalAmount && Number(stats.goalAmount) > 0) {
-      const progress =
-        (Number(stats.currentRaisedAmount) / Number(stats.goalAmount)) * 100;
-      logger.info("Campaign progress recalculated", {
-        campaignId: donation.campaignId,
-        currentRaisedAmount: stats.currentRaisedAmount,
-        goalAmount: stats.goalAmount,
-        donationCount: stats.completedCount,
-        progressPercentage: Math.min(
-          100,
-          Math.max(0, Number(progress.toFixed(2)))
-        ),
-      });
-    }
-
-    logger.info("Mock payment simulation completed successfully", {
-      donationId: donation.donationId,
-      transactionId: txn.transactionId,
-      gatewayTransactionId: txn.gatewayTransactionId,
-    });
-  } catch (error) {
-    // Mark donation as failed if payment processing fails
-    try {
-      await donationRepository.updateDonationStatus(
-        donation.donationId,
-        "failed"
-      );
-    } catch (updateError) {
-      logger.error("Failed to update donation status to failed", {
-        donationId: donation.donationId,
-        error: updateError.message,
-      });
-    }
-
-    // Log failed donation in audit logs
-    try {
-      await logServiceEvent(
-        donation.donorUserId || null,
-        DONATION_ACTIONS.DONATION_MADE,
-        ENTITY_TYPES.DONATION,
-        donation.donationId,
-        {
-          campaignId: donation.campaignId,
-          amount: donation.amount,
-          currency: donation.currency || "USD",
-          status: "failed",
-          isAnonymous: donation.isAnonymous,
-          paymentMethod: txn.gatewayUsed,
-          phoneNumber: txn.phoneNumber,
-          transactionId: txn.transactionId,
-          gatewayTransactionId: txn.gatewayTransactionId,
-          gatewayUsed: txn.gatewayUsed,
-          simulation: true,
-          error: error.message,
-          failedAt: new Date().toISOString(),
-        }
-      );
-    } catch (auditError) {
-      logger.warn("Failed to log failed donation audit", {
-        error: auditError.message,
-      });
-    }
-
-    logger.error("Mock payment simulation failed", {
-      donationId: donation.donationId,
-      transactionId: txn.transactionId,
-      gatewayTransactionId: txn.gatewayTransactionId,
-      error: error.message,
-    });
-
-    // Re-throw the error so the calling function can handle it
-    throw error;
-  }
-};
-
 export const getDonationById = async (donationId) => {
   const donation = await donationRepository.getDonationById(donationId);
 
@@ -647,6 +592,428 @@ export const updateDonationStatus = async (donationId, status, userId) => {
   return updatedDonation;
 };
 
+const REFUND_ADMIN_ROLES = ["superAdmin", "financialAdmin", "supportAdmin"];
+
+/**
+ * Refund a completed donation in full.
+ * Claims the donation (refundPending) together with a reversing refund_out
+ * transaction, then pays the donor back the amount charged through the
+ * provider. The claim is released if the provider rejects the request.
+ * @param {string} donationId - Donation to refund
+ * @param {Object} actor - Authenticated user ({ userId, userType })
+ * @param {Object} options - Refund options
+ * @param {string} options.reason - Reason shown to the donor and kept for audit
+ * @returns {Promise<Object>} Refunded donation and the reversing transaction
+ */
+export const refundDonation = async (donationId, actor, { reason } = {}) => {
+  const donation = await donationRepository.getDonationById(donationId);
+  if (!donation) {
+    throw new AppError("Donation not found", 404);
+  }
+
+  const isAdmin = REFUND_ADMIN_ROLES.includes(actor?.userType);
+  if (!isAdmin && donation.organizerId !== actor?.userId) {
+    throw new AppError("You are not allowed to refund this donation", 403);
+  }
+
+  if (donation.status !== "completed") {
+    throw new AppError(
+      `Only completed donations can be refunded. Current status: ${donation.status}`,
+      409
+    );
+  }
+
+  // Sponsor matches were never paid through a provider; they are reversed
+  // together with the donation they match
+  if (donation.matchPoolId) {
+    throw new AppError(
+      "Matching donations cannot be refunded directly. Refund the matched donation instead.",
+      409
+    );
+  }
+  if (donation.offlineDonationId) {
+    throw new AppError(
+      "Offline donations were not paid through the platform and cannot be refunded here",
+      409
+    );
+  }
+
+  const originalTxn = await transactionService.getTransactionById(
+    donation.paymentTransactionId
+  );
+  if (originalTxn.status !== "succeeded") {
+    throw new AppError(
+      `Original payment is not refundable. Current status: ${originalTxn.status}`,
+      409
+    );
+  }
+
+  // The donor gets back what they were charged, including a fee they
+  // covered; the platform hands its fee back to the campaign (ledger)
+  const refundAmount = originalTxn.amount;
+  const referenceNo = `RF-${donationId}-${Date.now()}`;
+
+  // Claim the donation before any money moves: only one refund can take it
+  // out of 'completed', and the original charge is reversed with it
+  const { refundTxn } = await transaction(async (client) => {
+    // Withdrawal requests lock the campaign too, so the balance cannot be
+    // spent twice between this check and the claim
+    await lockCampaign(donation.campaignId, client);
+
+    // Funds already reserved for withdrawal cannot be handed back to the donor.
+    // A donation held for risk review was never withdrawable, so it is covered.
+    const held = await donationRiskService.isDonationHeld(donationId);
+    const { available } = await computeAvailableBalance(donation.campaignId);
+    if (!held && Number(donation.baseAmount ?? donation.amount) > available) {
+      throw new AppError(
+        "Campaign balance is too low to cover this refund. Funds may already be reserved for withdrawal.",
+        409
+      );
+    }
+
+    const refundTxn = await transactionRepository.createTransaction(
+      {
+        userId: donation.donorUserId || null,
+        campaignId: donation.campaignId,
+        amount: refundAmount,
+        feesAmount: originalTxn.feesAmount,
+        currency: originalTxn.currency,
+        gatewayTransactionId: referenceNo,
+        gatewayUsed: originalTxn.gatewayUsed,
+        transactionType: "refund_out",
+        phoneNumber: originalTxn.phoneNumber,
+        parentTransactionId: originalTxn.transactionId,
+      },
+      client
+    );
+    const claimed = await donationRepository.claimDonationForRefund(
+      donationId,
+      {
+        refundTransactionId: refundTxn.transactionId,
+        refundReason: reason,
+        refundedByUserId: actor.userId,
+      },
+      client
+    );
+    if (!claimed) {
+      throw new AppError("Donation is already being refunded", 409);
+    }
+    await transactionRepository.updateTransactionStatus(
+      originalTxn.transactionId,
+      "refunded",
+      client
+    );
+    await donationRepository.recalculateCampaignStatistics(
+      donation.campaignId,
+      client
+    );
+    return { refundTxn };
+  });
+
+  let providerRes;
+  try {
+    providerRes = await getProviderFor(originalTxn.gatewayUsed).initiateRefund({
+      phoneNumber: originalTxn.phoneNumber,
+      amount: refundAmount,
+      referenceNo,
+      originalReferenceNo: originalTxn.gatewayTransactionId,
+    });
+  } catch (error) {
+    await transactionService.processPaymentFailure(referenceNo, {
+      error: error.message,
+    });
+    // Nothing was paid out: release the claim
+    await transaction(async (client) => {
+      await donationRepository.clearDonationRefund(donationId, client);
+      await transactionRepository.updateTransactionStatus(
+        originalTxn.transactionId,
+        "succeeded",
+        client
+      );
+      await donationRepository.recalculateCampaignStatistics(
+        donation.campaignId,
+        client
+      );
+    });
+    logger.error("Refund initiation failed", {
+      donationId,
+      refundTransactionId: refundTxn.transactionId,
+      error: error.message,
+    });
+    throw new AppError(
+      error?.message || "Refund could not be initiated with the provider",
+      error?.statusCode || 502
+    );
+  }
+
+  if (providerRes.status === "succeeded") {
+    await transactionService.processPaymentSuccess(
+      referenceNo,
+      providerRes.raw
+    );
+  } else {
+    await transactionService.markProcessingWithGatewayData(
+      refundTxn.transactionId,
+      {
+        gatewayRequestId: providerRes.gatewayRequestId,
+        gatewayResponse: providerRes.raw,
+        status: "processing",
+      }
+    );
+  }
+
+  // A failure callback that already arrived has put the donation back
+  const refunded = await donationRepository.markDonationRefunded(donationId);
+  if (!refunded) {
+    logger.warn("Refund was reverted before it could be completed", {
+      donationId,
+      refundTransactionId: refundTxn.transactionId,
+    });
+    throw new AppError("The provider rejected the refund payout", 502);
+  }
+
+  // The donor's receipt no longer stands once the money goes back
+  try {
+    await receiptService.voidReceipt(donationId, {
+      reason: reason ? `Donation refunded: ${reason}` : "Donation refunded",
+      voidedByUserId: actor.userId,
+    });
+  } catch (receiptErr) {
+    logger.error("Failed to void receipt for refunded donation", {
+      donationId,
+      error: receiptErr.message,
+    });
+  }
+
+  // Hand the sponsor's match back to the pool
+  try {
+    await matchPoolService.reverseMatch(donationId, donation.campaignId, {
+      reason: reason ? `Matched donation refunded: ${reason}` : undefined,
+    });
+  } catch (matchErr) {
+    logger.error("Failed to reverse match for refunded donation", {
+      donationId,
+      error: matchErr.message,
+    });
+  }
+
+  logger.info("Donation refunded", {
+    donationId,
+    refundTransactionId: refundTxn.transactionId,
+    amount: refundAmount,
+    refundedBy: actor.userId,
+  });
+
+  await logServiceEvent(
+    actor.userId,
+    DONATION_ACTIONS.DONATION_REFUNDED,
+    ENTITY_TYPES.DONATION,
+    donationId,
+    {
+      campaignId: donation.campaignId,
+      amount: refundAmount,
+      currency: originalTxn.currency,
+      reason,
+      originalTransactionId: originalTxn.transactionId,
+      refundTransactionId: refundTxn.transactionId,
+      gatewayTransactionId: referenceNo,
+      providerResponseCode: providerRes.responseCode,
+    }
+  );
+
+  if (donation.donorUserId) {
+    await sendDonorRefundNotifications(refunded, originalTxn, reason);
+  }
+
+  return {
+    donation: refunded,
+    refundTransaction: {
+      ...refundTxn,
+      status: providerRes.status === "succeeded" ? "succeeded" : "processing",
+    },
+  };
+};
+
+/**
+ * Undo a refund whose payout the provider later reported as failed.
+ * The donor never received the money, so the donation counts again.
+ * @param {Object} refundTxn - The failed refund_out transaction
+ * @param {Object} failurePayload - Provider payload describing the failure
+ */
+export const revertFailedRefund = async (refundTxn, failurePayload) => {
+  const donation = await donationRepository.getDonationByRefundTransactionId(
+    refundTxn.transactionId
+  );
+  if (!donation) {
+    logger.warn("No donation linked to failed refund transaction", {
+      transactionId: refundTxn.transactionId,
+    });
+    return null;
+  }
+
+  const restored = await transaction(async (client) => {
+    const restored = await donationRepository.clearDonationRefund(
+      donation.donationId,
+      client
+    );
+    if (restored && refundTxn.parentTransactionId) {
+      await transactionRepository.updateTransactionStatus(
+        refundTxn.parentTransactionId,
+        "succeeded",
+        client
+      );
+    }
+    await donationRepository.recalculateCampaignStatistics(
+      donation.campaignId,
+      client
+    );
+    return restored;
+  });
+  if (!restored) {
+    logger.info("Failed refund was already reverted", {
+      donationId: donation.donationId,
+      refundTransactionId: refundTxn.transactionId,
+    });
+    return null;
+  }
+
+  // The refund voided the receipt; the donation stands again, so reissue it
+  // under a new number
+  try {
+    await receiptService.issueReceipt(donation.donationId);
+  } catch (receiptErr) {
+    logger.warn("Failed to reissue receipt after failed refund", {
+      donationId: donation.donationId,
+      error: receiptErr.message,
+    });
+  }
+
+  try {
+    await matchPoolService.applyMatch(restored);
+  } catch (matchErr) {
+    logger.warn("Failed to reapply match after failed refund", {
+      donationId: donation.donationId,
+      error: matchErr.message,
+    });
+  }
+
+  const error =
+    failurePayload?.response_description ||
+    failurePayload?.message ||
+    "Refund payout failed";
+
+  await logServiceEvent(
+    null,
+    DONATION_ACTIONS.DONATION_REFUNDED,
+    ENTITY_TYPES.DONATION,
+    donation.donationId,
+    {
+      campaignId: donation.campaignId,
+      amount: donation.amount,
+      status: "failed",
+      refundTransactionId: refundTxn.transactionId,
+      error,
+    }
+  );
+
+  try {
+    const admins = await findUsersByRoles(["financialAdmin", "superAdmin"]);
+    for (const admin of admins) {
+      await notificationService.createAndDispatch({
+        userId: admin.userId,
+        type: "inApp",
+        category: "donation",
+        priority: "high",
+        title: "Refund payout failed",
+        message: `Refund of ${donation.amount} ${refundTxn.currency} for donation ${donation.donationId} failed: ${error}`,
+        data: {
+          donationId: donation.donationId,
+          campaignId: donation.campaignId,
+          refundTransactionId: refundTxn.transactionId,
+        },
+        relatedEntityType: "donation",
+        relatedEntityId: donation.donationId,
+      });
+    }
+  } catch (notifyErr) {
+    logger.warn("Failed to notify admins of failed refund", {
+      error: notifyErr.message,
+      donationId: donation.donationId,
+    });
+  }
+
+  return restored;
+};
+
+const sendDonorRefundNotifications = async (donation, originalTxn, reason) => {
+  const currency = originalTxn.currency || "ZMW";
+  try {
+    let campaignTitle = "";
+    try {
+      const campaign = await getCampaignById(donation.campaignId);
+      campaignTitle = campaign?.name || "";
+    } catch (e) {
+      logger.warn("Campaign lookup failed for refund notification", {
+        campaignId: donation.campaignId,
+        error: e.message,
+      });
+    }
+
+    await notificationService.createAndDispatch({
+      userId: donation.donorUserId,
+      type: "inApp",
+      category: "donation",
+      priority: "high",
+      title: "Your donation has been refunded",
+      message: `Your donation of ${donation.amount} ${currency}${
+        campaignTitle ? ` to ${campaignTitle}` : ""
+      } has been refunded${reason ? `: ${reason}` : ""}`,
+      data: {
+        campaignId: donation.campaignId,
+        donationId: donation.donationId,
+        amount: donation.amount,
+        currency,
+      },
+      relatedEntityType: "donation",
+      relatedEntityId: donation.donationId,
+      templateId: "donation.refunded.v1",
+    });
+
+    const { createDonationRefundTemplate } = await import(
+      "../../../utils/emailTemplates.js"
+    );
+    const html = createDonationRefundTemplate({
+      campaignTitle,
+      amount: donation.amount,
+      currency,
+      phoneNumber: originalTxn.phoneNumber,
+      donationId: donation.donationId,
+      reason,
+    });
+
+    await notificationService.createAndDispatch({
+      userId: donation.donorUserId,
+      type: "email",
+      category: "donation",
+      priority: "high",
+      title: "Your donation has been refunded",
+      message: html,
+      data: {
+        campaignId: donation.campaignId,
+        donationId: donation.donationId,
+      },
+      relatedEntityType: "donation",
+      relatedEntityId: donation.donationId,
+      templateId: "donation.refunded.email.v1",
+    });
+  } catch (error) {
+    logger.warn("Failed to send donor refund notifications", {
+      error: error.message,
+      donationId: donation.donationId,
+    });
+  }
+};
+
 export const updateReceiptSent = async (donationId, receiptSent, userId) => {
   const donation = await donationRepository.getDonationById(donationId);
   if (!donation) {
@@ -840,8 +1207,9 @@ export const getAllDonations = async (limit = 50, offset = 0) => {
 };
 
 export const updateCampaignStatistics = async (campaignId, amount) => {
+  let updatedStats;
   try {
-    const updatedStats = await donationRepository.updateCampaignStatistics(
+    updatedStats = await donationRepository.updateCampaignStatistics(
       campaignId,
       amount
     );
@@ -851,12 +1219,21 @@ export const updateCampaignStatistics = async (campaignId, amount) => {
       amount,
       newTotal: updatedStats.currentRaisedAmount,
     });
-
-    return updatedStats;
   } catch (error) {
     logger.error("Error updating campaign statistics:", error);
     throw new AppError("Failed to update campaign statistics", 500);
   }
+
+  try {
+    await milestoneService.evaluateMilestones(campaignId);
+  } catch (milestoneErr) {
+    logger.warn("Failed to evaluate campaign milestones", {
+      error: milestoneErr.message,
+      campaignId,
+    });
+  }
+
+  return updatedStats;
 };
 
 export const sendCampaignOrganizerNotifications = async (
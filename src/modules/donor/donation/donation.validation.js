@@ -56,10 +56,11 @@ const createDonationSchema = Joi.object({
       "string.trim": "Message cannot be empty or contain only whitespace",
       "any.invalid": "Message contains potentially harmful content",
     }),
+  // Defaults to the campaign's base currency
   currency: Joi.string()
     .length(3)
     .pattern(/^[A-Z]{3}$/)
-    .default("USD")
+    .optional()
     .messages({
       "string.length": "Currency must be exactly 3 characters",
       "string.pattern":
@@ -87,6 +88,9 @@ const createDonationSchema = Joi.object({
   subscribeToCampaign: Joi.boolean().default(true).messages({
     "boolean.base": "subscribeToCampaign must be a boolean value",
   }),
+  donorCoversFee: Joi.boolean().default(false).messages({
+    "boolean.base": "donorCoversFee must be a boolean value",
+  }),
   // Optional outreach attribution
   linkTokenId: Joi.string().uuid().optional().messages({
     "string.guid": "linkTokenId must be a valid UUID",
@@ -113,6 +117,15 @@ const updateReceiptSentSchema = Joi.object({
   }),
 });
 
+const refundDonationSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    "string.empty": "Refund reason is required",
+    "string.min": "Refund reason is too short",
+    "string.max": "Refund reason cannot exceed 500 characters",
+    "any.required": "Refund reason is required",
+  }),
+});
+
 const donationIdSchema = Joi.object({
   donationId: Joi.string().uuid().required().messages({
     "string.guid": "Donation ID must be a valid UUID",
@@ -133,6 +146,7 @@ export const validateUpdateDonationStatus = validate(
   updateDonationStatusSchema
 );
 export const validateUpdateReceiptSent = validate(updateReceiptSentSchema);
+export const validateRefundDonation = validate(refundDonationSchema);
 export const validateDonationId = validate(donationIdSchema, "params");
 export const validateCampaignId = validate(campaignIdSchema, "params");
 
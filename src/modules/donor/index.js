@@ -1,4 +1,21 @@
 import donationRoutes from "./donation/donation.routes.js";
 import messageRoutes from "./messages/message.routes.js";
+import recurringDonationRoutes from "./recurring/recurringDonation.routes.js";
+import receiptRoutes from "./receipts/receipt.routes.js";
+import statementRoutes from "./statements/statement.routes.js";
+import matchPoolRoutes from "./matching/matchPool.routes.js";
+import offlineDonationRoutes from "./offline/offlineDonation.routes.js";
+import pledgeRoutes from "./pledges/pledge.routes.js";
+import donationRiskRoutes from "./risk/donationRisk.routes.js";
 
-export { donationRoutes, messageRoutes };
+export {
+  donationRoutes,
+  messageRoutes,
+  recurringDonationRoutes,
+  receiptRoutes,
+  statementRoutes,
+  matchPoolRoutes,
+  offlineDonationRoutes,
+  pledgeRoutes,
+  donationRiskRoutes,
+};
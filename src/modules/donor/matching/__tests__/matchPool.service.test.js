@@ -0,0 +1,293 @@
+// src/modules/donor/matching/__tests__/matchPool.service.test.js
+
+import {
+  createMatchPool,
+  getMatchPool,
+  cancelMatchPool,
+  applyMatch,
+  reverseMatch,
+} from '../matchPool.service.js';
+import * as matchPoolRepository from '../matchPool.repository.js';
+import * as donationRepository from '../../donation/donation.repository.js';
+import { findCampaignById } from '../../../campaign/campaigns/campaign.repository.js';
+import notificationService from '../../../notifications/notification.service.js';
+import { logServiceEvent } from '../../../audit/audit.utils.js';
+import { transaction } from '../../../../db/index.js';
+
+// Mock dependencies
+jest.mock('../matchPool.repository.js');
+jest.mock('../../donation/donation.repository.js');
+jest.mock('../../../campaign/campaigns/campaign.repository.js');
+jest.mock('../../../notifications/notification.service.js', () => ({
+  __esModule: true,
+  default: { createAndDispatch: jest.fn() },
+}));
+jest.mock('../../../audit/audit.utils.js');
+jest.mock('../../../../db/index.js', () => ({
+  transaction: jest.fn(),
+}));
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('MatchPoolService', () => {
+  const sponsor = { userId: 'sponsor-1', userType: 'organizationUser' };
+
+  const pool = {
+    matchPoolId: 'pool-1',
+    campaignId: 'campaign-1',
+    sponsorUserId: 'sponsor-1',
+    currency: 'ZMW',
+    ratio: '2.00',
+    capAmount: '500.00',
+    matchedAmount: '100.00',
+    startsAt: '2025-01-01T00:00:00Z',
+    expiresAt: '2999-01-01T00:00:00Z',
+    status: 'active',
+  };
+
+  const donation = {
+    donationId: 'donation-1',
+    campaignId: 'campaign-1',
+    organizerId: 'organizer-1',
+    donorUserId: 'donor-1',
+    status: 'completed',
+    amount: '5.00',
+    baseAmount: '100.00',
+    donationDate: '2025-06-01T10:00:00Z',
+    matchPoolId: null,
+  };
+
+  beforeEach(() => {
+    transaction.mockImplementation((callback) => callback({}));
+    findCampaignById.mockResolvedValue({
+      campaignId: 'campaign-1',
+      organizerId: 'organizer-1',
+      name: 'Library fund',
+      status: 'active',
+      baseCurrency: 'ZMW',
+    });
+    matchPoolRepository.createMatchPool.mockImplementation(async (data) => ({
+      ...pool,
+      ...data,
+      matchedAmount: '0.00',
+    }));
+    matchPoolRepository.getCompletedMatchForDonation.mockResolvedValue(null);
+    matchPoolRepository.lockOpenMatchPools.mockResolvedValue([pool]);
+    matchPoolRepository.createMatchDonation.mockImplementation(
+      async (data) => ({ donationId: 'match-1', ...data })
+    );
+    matchPoolRepository.addMatchedAmount.mockResolvedValue({
+      ...pool,
+      matchedAmount: '300.00',
+    });
+  });
+
+  describe('createMatchPool', () => {
+    it('should pledge in the campaign currency, audit and tell the organizer', async () => {
+      const result = await createMatchPool(sponsor, {
+        campaignId: 'campaign-1',
+        ratio: 2,
+        capAmount: 500,
+        expiresAt: new Date('2999-01-01T00:00:00Z'),
+      });
+
+      expect(matchPoolRepository.createMatchPool).toHaveBeenCalledWith(
+        expect.objectContaining({
+          sponsorUserId: 'sponsor-1',
+          currency: 'ZMW',
+          ratio: 2,
+        })
+      );
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'sponsor-1',
+        'MATCH_POOL_CREATED',
+        'MatchPool',
+        'pool-1',
+        expect.objectContaining({ campaignId: 'campaign-1' })
+      );
+      expect(notificationService.createAndDispatch).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 'organizer-1', type: 'inApp' })
+      );
+      expect(result.remainingAmount).toBe(500);
+    });
+
+    it('should reject campaigns that no longer take donations', async () => {
+      findCampaignById.mockResolvedValue({
+        campaignId: 'campaign-1',
+        status: 'completed',
+      });
+
+      await expect(
+        createMatchPool(sponsor, { campaignId: 'campaign-1' })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(matchPoolRepository.createMatchPool).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getMatchPool', () => {
+    it('should hide pools from unrelated users', async () => {
+      matchPoolRepository.getMatchPoolById.mockResolvedValue({
+        ...pool,
+        organizerId: 'organizer-1',
+      });
+
+      await expect(
+        getMatchPool('pool-1', {
+          userId: 'someone',
+          userType: 'individualUser',
+        })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should report pools past their expiry as expired', async () => {
+      matchPoolRepository.getMatchPoolById.mockResolvedValue({
+        ...pool,
+        organizerId: 'organizer-1',
+        expiresAt: '2025-02-01T00:00:00Z',
+      });
+      matchPoolRepository.getMatchDonationsByPool.mockResolvedValue([]);
+
+      const result = await getMatchPool('pool-1', {
+        userId: 'organizer-1',
+        userType: 'organizationUser',
+      });
+
+      expect(result.status).toBe('expired');
+    });
+  });
+
+  describe('cancelMatchPool', () => {
+    it('should only let the sponsor or finance admins cancel', async () => {
+      matchPoolRepository.getMatchPoolById.mockResolvedValue(pool);
+
+      await expect(
+        cancelMatchPool('pool-1', {
+          userId: 'organizer-1',
+          userType: 'organizationUser',
+        })
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(matchPoolRepository.cancelMatchPool).not.toHaveBeenCalled();
+    });
+
+    it('should reject pools that are already cancelled', async () => {
+      matchPoolRepository.getMatchPoolById.mockResolvedValue(pool);
+      matchPoolRepository.cancelMatchPool.mockResolvedValue(null);
+
+      await expect(cancelMatchPool('pool-1', sponsor)).rejects.toMatchObject({
+        statusCode: 409,
+      });
+    });
+  });
+
+  describe('applyMatch', () => {
+    it('should match the base amount at the pool ratio and update the campaign total', async () => {
+      const match = await applyMatch(donation);
+
+      expect(matchPoolRepository.lockOpenMatchPools).toHaveBeenCalledWith(
+        'campaign-1',
+        '2025-06-01T10:00:00Z',
+        expect.anything()
+      );
+      expect(matchPoolRepository.createMatchDonation).toHaveBeenCalledWith(
+        {
+          campaignId: 'campaign-1',
+          sponsorUserId: 'sponsor-1',
+          organizerId: 'organizer-1',
+          amount: 200,
+          currency: 'ZMW',
+          matchPoolId: 'pool-1',
+          matchedDonationId: 'donation-1',
+        },
+        expect.anything()
+      );
+      expect(matchPoolRepository.addMatchedAmount).toHaveBeenCalledWith(
+        'pool-1',
+        200,
+        expect.anything()
+      );
+      expect(
+        donationRepository.recalculateCampaignStatistics
+      ).toHaveBeenCalledWith('campaign-1', expect.anything());
+      expect(match.donationId).toBe('match-1');
+    });
+
+    it('should cap the match at what is left in the pool and tell the sponsor', async () => {
+      matchPoolRepository.lockOpenMatchPools.mockResolvedValue([
+        { ...pool, matchedAmount: '450.00' },
+      ]);
+      matchPoolRepository.addMatchedAmount.mockResolvedValue({
+        ...pool,
+        matchedAmount: '500.00',
+        status: 'exhausted',
+      });
+
+      await applyMatch(donation);
+
+      expect(matchPoolRepository.addMatchedAmount).toHaveBeenCalledWith(
+        'pool-1',
+        50,
+        expect.anything()
+      );
+      expect(notificationService.createAndDispatch).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 'sponsor-1' })
+      );
+    });
+
+    it('should skip pools sponsored by the donor', async () => {
+      const result = await applyMatch({
+        ...donation,
+        donorUserId: 'sponsor-1',
+      });
+
+      expect(result).toBeNull();
+      expect(matchPoolRepository.createMatchDonation).not.toHaveBeenCalled();
+    });
+
+    it('should not match a donation twice or match a match', async () => {
+      matchPoolRepository.getCompletedMatchForDonation.mockResolvedValue({
+        donationId: 'match-0',
+      });
+
+      expect(await applyMatch(donation)).toBeNull();
+      expect(
+        await applyMatch({ ...donation, matchPoolId: 'pool-1' })
+      ).toBeNull();
+      expect(matchPoolRepository.createMatchDonation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reverseMatch', () => {
+    it('should refund the match and return its amount to the pool', async () => {
+      matchPoolRepository.getCompletedMatchForDonation.mockResolvedValue({
+        donationId: 'match-1',
+        matchPoolId: 'pool-1',
+        amount: '200.00',
+      });
+      matchPoolRepository.reverseMatchDonation.mockResolvedValue({
+        donationId: 'match-1',
+        matchPoolId: 'pool-1',
+        status: 'refunded',
+      });
+
+      const reversed = await reverseMatch('donation-1', 'campaign-1');
+
+      expect(matchPoolRepository.reverseMatchDonation).toHaveBeenCalledWith(
+        'match-1',
+        'Matched donation refunded',
+        expect.anything()
+      );
+      expect(matchPoolRepository.addMatchedAmount).toHaveBeenCalledWith(
+        'pool-1',
+        -200,
+        expect.anything()
+      );
+      expect(
+        donationRepository.recalculateCampaignStatistics
+      ).toHaveBeenCalledWith('campaign-1', expect.anything());
+      expect(reversed.status).toBe('refunded');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import * as matchPoolService from "./matchPool.service.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+export const createMatchPool = async (req, res) => {
+  const result = await matchPoolService.createMatchPool(req.user, req.body);
+
+  return ResponseFactory.created(
+    res,
+    "Match pool created successfully",
+    result
+  );
+};
+
+export const getCampaignMatchPools = async (req, res) => {
+  const result = await matchPoolService.getCampaignMatchPools(
+    req.params.campaignId
+  );
+
+  return ResponseFactory.ok(res, "Match pools retrieved successfully", result);
+};
+
+export const getMyMatchPools = async (req, res) => {
+  const { limit, offset } = req.query;
+  const result = await matchPoolService.getMyMatchPools(req.user.userId, {
+    limit,
+    offset,
+  });
+
+  return ResponseFactory.ok(res, "Match pools retrieved successfully", result);
+};
+
+export const getMatchPool = async (req, res) => {
+  const { limit, offset } = req.query;
+  const result = await matchPoolService.getMatchPool(
+    req.params.matchPoolId,
+    req.user,
+    { limit, offset }
+  );
+
+  return ResponseFactory.ok(res, "Match pool retrieved successfully", result);
+};
+
+export const cancelMatchPool = async (req, res) => {
+  const result = await matchPoolService.cancelMatchPool(
+    req.params.matchPoolId,
+    req.user
+  );
+
+  return ResponseFactory.ok(res, "Match pool cancelled", result);
+};
+
+export default {
+  createMatchPool,
+  getCampaignMatchPools,
+  getMyMatchPools,
+  getMatchPool,
+  cancelMatchPool,
+};
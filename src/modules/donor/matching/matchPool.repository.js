@@ -0,0 +1,207 @@
+import { db } from "../../../db/index.js";
+
+export const createMatchPool = async (data) => {
+  const result = await db.query(
+    `INSERT INTO "matchPools" (
+      "campaignId", "sponsorUserId", "sponsorName", "currency", "ratio",
+      "capAmount", "startsAt", "expiresAt"
+    ) VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_TIMESTAMP), $8)
+    RETURNING *`,
+    [
+      data.campaignId,
+      data.sponsorUserId,
+      data.sponsorName || null,
+      data.currency,
+      data.ratio,
+      data.capAmount,
+      data.startsAt || null,
+      data.expiresAt,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+export const getMatchPoolById = async (matchPoolId) => {
+  const result = await db.query(
+    `SELECT p.*, c."name" AS "campaignName", c."organizerId"
+     FROM "matchPools" p
+     JOIN "campaigns" c ON c."campaignId" = p."campaignId"
+     WHERE p."matchPoolId" = $1`,
+    [matchPoolId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Pools that can still match donations right now, soonest to expire first
+ */
+export const getOpenMatchPoolsByCampaign = async (campaignId) => {
+  const result = await db.query(
+    `SELECT * FROM "matchPools"
+     WHERE "campaignId" = $1
+       AND "status" = 'active'
+       AND "startsAt" <= CURRENT_TIMESTAMP
+       AND "expiresAt" > CURRENT_TIMESTAMP
+     ORDER BY "expiresAt" ASC, "createdAt" ASC`,
+    [campaignId]
+  );
+
+  return result.rows;
+};
+
+export const getMatchPoolsBySponsor = async (
+  sponsorUserId,
+  { limit = 50, offset = 0 } = {}
+) => {
+  const result = await db.query(
+    `SELECT p.*, c."name" AS "campaignName"
+     FROM "matchPools" p
+     JOIN "campaigns" c ON c."campaignId" = p."campaignId"
+     WHERE p."sponsorUserId" = $1
+     ORDER BY p."createdAt" DESC
+     LIMIT $2 OFFSET $3`,
+    [sponsorUserId, limit, offset]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Locks the campaign's pools that were open at `at` and still have room,
+ * in the order they are drawn from: soonest to expire first
+ */
+export const lockOpenMatchPools = async (campaignId, at, client) => {
+  const result = await client.query(
+    `SELECT * FROM "matchPools"
+     WHERE "campaignId" = $1
+       AND "status" = 'active'
+       AND "startsAt" <= $2
+       AND "expiresAt" > $2
+       AND "matchedAmount" < "capAmount"
+     ORDER BY "expiresAt" ASC, "createdAt" ASC
+     FOR UPDATE`,
+    [campaignId, at]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Moves a pool's matchedAmount by delta (negative when a match is reversed).
+ * A pool is exhausted once it reaches its cap and reopens if room comes back.
+ */
+export const addMatchedAmount = async (matchPoolId, delta, client) => {
+  const result = await client.query(
+    `UPDATE "matchPools"
+     SET "matchedAmount" = "matchedAmount" + $2,
+         "status" = CASE
+           WHEN "status" = 'active' AND "matchedAmount" + $2 >= "capAmount" THEN 'exhausted'
+           WHEN "status" = 'exhausted' AND "matchedAmount" + $2 < "capAmount" THEN 'active'
+           ELSE "status"
+         END
+     WHERE "matchPoolId" = $1
+     RETURNING *`,
+    [matchPoolId, delta]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const cancelMatchPool = async (matchPoolId, cancelledByUserId) => {
+  const result = await db.query(
+    `UPDATE "matchPools"
+     SET "status" = 'cancelled',
+         "cancelledAt" = CURRENT_TIMESTAMP,
+         "cancelledByUserId" = $2
+     WHERE "matchPoolId" = $1 AND "status" IN ('active', 'exhausted')
+     RETURNING *`,
+    [matchPoolId, cancelledByUserId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const getCompletedMatchForDonation = async (donationId, client) => {
+  const result = await client.query(
+    `SELECT * FROM "donations"
+     WHERE "matchedDonationId" = $1 AND "status" = 'completed'
+     FOR UPDATE`,
+    [donationId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Inserts the sponsor's matching donation. It is complete from the start and
+ * has no payment transaction; the pool is the sponsor's commitment.
+ */
+export const createMatchDonation = async (data, client) => {
+  const result = await client.query(
+    `INSERT INTO "donations" (
+      "campaignId", "donorUserId", "organizerId", "amount", "currency",
+      "baseCurrency", "baseAmount", "exchangeRate", "isAnonymous", "status",
+      "matchPoolId", "matchedDonationId"
+    ) VALUES ($1, $2, $3, $4, $5, $5, $4, 1, FALSE, 'completed', $6, $7)
+    RETURNING *`,
+    [
+      data.campaignId,
+      data.sponsorUserId,
+      data.organizerId,
+      data.amount,
+      data.currency,
+      data.matchPoolId,
+      data.matchedDonationId,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+export const reverseMatchDonation = async (donationId, reason, client) => {
+  const result = await client.query(
+    `UPDATE "donations"
+     SET "status" = 'refunded',
+         "refundReason" = $2,
+         "refundedAt" = CURRENT_TIMESTAMP
+     WHERE "donationId" = $1 AND "status" = 'completed'
+     RETURNING *`,
+    [donationId, reason || null]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const getMatchDonationsByPool = async (
+  matchPoolId,
+  { limit = 50, offset = 0 } = {}
+) => {
+  const result = await db.query(
+    `SELECT m."donationId", m."matchedDonationId", m."amount", m."currency",
+            m."status", m."donationDate", d."baseAmount" AS "matchedBaseAmount"
+     FROM "donations" m
+     JOIN "donations" d ON d."donationId" = m."matchedDonationId"
+     WHERE m."matchPoolId" = $1
+     ORDER BY m."donationDate" DESC
+     LIMIT $2 OFFSET $3`,
+    [matchPoolId, limit, offset]
+  );
+
+  return result.rows;
+};
+
+export default {
+  createMatchPool,
+  getMatchPoolById,
+  getOpenMatchPoolsByCampaign,
+  getMatchPoolsBySponsor,
+  lockOpenMatchPools,
+  addMatchedAmount,
+  cancelMatchPool,
+  getCompletedMatchForDonation,
+  createMatchDonation,
+  reverseMatchDonation,
+  getMatchDonationsByPool,
+};
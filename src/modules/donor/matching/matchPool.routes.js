@@ -0,0 +1,58 @@
+import { Router } from "express";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import {
+  authenticate,
+  restrictTo,
+} from "../../../middlewares/auth.middleware.js";
+import {
+  createMatchPool,
+  getCampaignMatchPools,
+  getMyMatchPools,
+  getMatchPool,
+  cancelMatchPool,
+} from "./matchPool.controller.js";
+import {
+  validateCreateMatchPool,
+  validateListMatchPools,
+  validateMatchPoolId,
+} from "./matchPool.validation.js";
+import { validateCampaignId } from "../donation/donation.validation.js";
+
+const router = Router();
+
+// Organizations and finance admins can sponsor a match
+const requireSponsor = restrictTo(
+  "organizationUser",
+  "financialAdmin",
+  "superAdmin"
+);
+
+// Public: pools currently matching donations to a campaign
+router.get(
+  "/campaign/:campaignId",
+  validateCampaignId,
+  catchAsync(getCampaignMatchPools)
+);
+
+router.use(authenticate);
+
+router.post(
+  "/",
+  requireSponsor,
+  validateCreateMatchPool,
+  catchAsync(createMatchPool)
+);
+router.get("/mine", validateListMatchPools, catchAsync(getMyMatchPools));
+router.get(
+  "/:matchPoolId",
+  validateMatchPoolId,
+  validateListMatchPools,
+  catchAsync(getMatchPool)
+);
+router.patch(
+  "/:matchPoolId/cancel",
+  validateMatchPoolId,
+  catchAsync(cancelMatchPool)
+);
+
+export default router;
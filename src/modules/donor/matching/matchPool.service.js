@@ -0,0 +1,341 @@
+import * as matchPoolRepository from "./matchPool.repository.js";
+import * as donationRepository from "../donation/donation.repository.js";
+import { findCampaignById } from "../../campaign/campaigns/campaign.repository.js";
+import notificationService from "../../notifications/notification.service.js";
+import { logServiceEvent } from "../../audit/audit.utils.js";
+import { DONATION_ACTIONS, ENTITY_TYPES } from "../../audit/audit.constants.js";
+import { transaction } from "../../../db/index.js";
+import { AppError } from "../../../utils/appError.js";
+import logger from "../../../utils/logger.js";
+
+const MATCH_ADMIN_ROLES = ["superAdmin", "financialAdmin"];
+// Campaigns a sponsor can still pledge to; closed campaigns take no donations
+const MATCHABLE_CAMPAIGN_STATUSES = ["draft", "pendingApproval", "active"];
+
+const roundAmount = (amount) => Math.round(Number(amount) * 100) / 100;
+
+const isAdmin = (actor) => MATCH_ADMIN_ROLES.includes(actor?.userType);
+
+/**
+ * Pools past their expiry keep status 'active' in the table; they are
+ * reported as expired and never drawn from
+ */
+const formatMatchPool = (pool) => {
+  const capAmount = Number(pool.capAmount);
+  const matchedAmount = Number(pool.matchedAmount);
+  const expired =
+    pool.status === "active" && new Date(pool.expiresAt) <= new Date();
+  return {
+    ...pool,
+    ratio: Number(pool.ratio),
+    capAmount,
+    matchedAmount,
+    remainingAmount: roundAmount(capAmount - matchedAmount),
+    status: expired ? "expired" : pool.status,
+  };
+};
+
+/**
+ * Pledges a match pool on a campaign
+ * @param {Object} actor - Sponsor ({ userId, userType })
+ * @param {Object} payload - { campaignId, ratio, capAmount, expiresAt, startsAt?, sponsorName? }
+ * @returns {Promise<Object>} The pool
+ */
+export const createMatchPool = async (actor, payload) => {
+  const campaign = await findCampaignById(payload.campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+  if (!MATCHABLE_CAMPAIGN_STATUSES.includes(campaign.status)) {
+    throw new AppError(
+      `Campaign is not accepting donations. Current status: ${campaign.status}`,
+      409
+    );
+  }
+
+  const pool = await matchPoolRepository.createMatchPool({
+    ...payload,
+    sponsorUserId: actor.userId,
+    currency: campaign.baseCurrency,
+  });
+
+  logger.info("Match pool created", {
+    matchPoolId: pool.matchPoolId,
+    campaignId: pool.campaignId,
+    sponsorUserId: actor.userId,
+    ratio: pool.ratio,
+    capAmount: pool.capAmount,
+  });
+
+  await logServiceEvent(
+    actor.userId,
+    DONATION_ACTIONS.MATCH_POOL_CREATED,
+    ENTITY_TYPES.MATCH_POOL,
+    pool.matchPoolId,
+    {
+      campaignId: pool.campaignId,
+      ratio: pool.ratio,
+      capAmount: pool.capAmount,
+      currency: pool.currency,
+      startsAt: pool.startsAt,
+      expiresAt: pool.expiresAt,
+    }
+  );
+
+  if (campaign.organizerId !== actor.userId) {
+    try {
+      await notificationService.createAndDispatch({
+        userId: campaign.organizerId,
+        type: "inApp",
+        category: "donation",
+        priority: "medium",
+        title: "A sponsor is matching donations",
+        message: `${pool.sponsorName || "A sponsor"} will match donations to ${
+          campaign.name
+        } ${Number(pool.ratio)}:1, up to ${pool.capAmount} ${pool.currency}.`,
+        data: {
+          campaignId: pool.campaignId,
+          matchPoolId: pool.matchPoolId,
+        },
+        relatedEntityType: "campaign",
+        relatedEntityId: pool.campaignId,
+      });
+    } catch (notifyErr) {
+      logger.warn("Failed to notify organizer of new match pool", {
+        matchPoolId: pool.matchPoolId,
+        error: notifyErr.message,
+      });
+    }
+  }
+
+  return formatMatchPool(pool);
+};
+
+/**
+ * Pools currently matching donations to a campaign (public)
+ */
+export const getCampaignMatchPools = async (campaignId) => {
+  const pools =
+    await matchPoolRepository.getOpenMatchPoolsByCampaign(campaignId);
+  return pools.map(formatMatchPool);
+};
+
+export const getMyMatchPools = async (sponsorUserId, filters) => {
+  const pools = await matchPoolRepository.getMatchPoolsBySponsor(
+    sponsorUserId,
+    filters
+  );
+  return pools.map(formatMatchPool);
+};
+
+/**
+ * A pool with the matches it has made; visible to the sponsor, the campaign
+ * organizer and finance admins
+ */
+export const getMatchPool = async (matchPoolId, actor, filters) => {
+  const pool = await matchPoolRepository.getMatchPoolById(matchPoolId);
+  if (!pool) {
+    throw new AppError("Match pool not found", 404);
+  }
+  if (
+    !isAdmin(actor) &&
+    pool.sponsorUserId !== actor?.userId &&
+    pool.organizerId !== actor?.userId
+  ) {
+    throw new AppError("You are not allowed to view this match pool", 403);
+  }
+
+  const matches = await matchPoolRepository.getMatchDonationsByPool(
+    matchPoolId,
+    filters
+  );
+
+  return {
+    ...formatMatchPool(pool),
+    matches: matches.map((match) => ({
+      ...match,
+      amount: Number(match.amount),
+      matchedBaseAmount: Number(match.matchedBaseAmount),
+    })),
+  };
+};
+
+/**
+ * Stops a pool from matching further donations. Matches already made stay.
+ */
+export const cancelMatchPool = async (matchPoolId, actor) => {
+  const pool = await matchPoolRepository.getMatchPoolById(matchPoolId);
+  if (!pool) {
+    throw new AppError("Match pool not found", 404);
+  }
+  if (!isAdmin(actor) && pool.sponsorUserId !== actor.userId) {
+    throw new AppError("You are not allowed to cancel this match pool", 403);
+  }
+
+  const cancelled = await matchPoolRepository.cancelMatchPool(
+    matchPoolId,
+    actor.userId
+  );
+  if (!cancelled) {
+    throw new AppError("Match pool is already cancelled", 409);
+  }
+
+  await logServiceEvent(
+    actor.userId,
+    DONATION_ACTIONS.MATCH_POOL_CANCELLED,
+    ENTITY_TYPES.MATCH_POOL,
+    matchPoolId,
+    {
+      campaignId: pool.campaignId,
+      matchedAmount: cancelled.matchedAmount,
+      capAmount: cancelled.capAmount,
+    }
+  );
+
+  return formatMatchPool(cancelled);
+};
+
+/**
+ * Matches a completed donation from the first pool that was open when it was
+ * made (soonest to expire first). The match is ratio x the donation's base
+ * amount, limited to what is left in the pool, and counts towards the
+ * campaign's currentRaisedAmount. A donation is matched at most once.
+ * @param {Object} donation - Completed donation row
+ * @returns {Promise<Object|null>} The matching donation, or null if none applied
+ */
+export const applyMatch = async (donation) => {
+  if (!donation || donation.matchPoolId || donation.status !== "completed") {
+    return null;
+  }
+
+  const result = await transaction(async (client) => {
+    const existing = await matchPoolRepository.getCompletedMatchForDonation(
+      donation.donationId,
+      client
+    );
+    if (existing) return null;
+
+    const pools = await matchPoolRepository.lockOpenMatchPools(
+      donation.campaignId,
+      donation.donationDate || new Date(),
+      client
+    );
+    // Sponsors do not match their own giving
+    const pool = pools.find((p) => p.sponsorUserId !== donation.donorUserId);
+    if (!pool) return null;
+
+    const amount = Math.min(
+      roundAmount(Number(donation.baseAmount) * Number(pool.ratio)),
+      roundAmount(Number(pool.capAmount) - Number(pool.matchedAmount))
+    );
+    if (amount <= 0) return null;
+
+    const match = await matchPoolRepository.createMatchDonation(
+      {
+        campaignId: donation.campaignId,
+        sponsorUserId: pool.sponsorUserId,
+        organizerId: donation.organizerId,
+        amount,
+        currency: pool.currency,
+        matchPoolId: pool.matchPoolId,
+        matchedDonationId: donation.donationId,
+      },
+      client
+    );
+    const updatedPool = await matchPoolRepository.addMatchedAmount(
+      pool.matchPoolId,
+      amount,
+      client
+    );
+    await donationRepository.recalculateCampaignStatistics(
+      donation.campaignId,
+      client
+    );
+
+    return { match, pool: updatedPool };
+  });
+
+  if (!result) return null;
+
+  logger.info("Donation matched", {
+    donationId: donation.donationId,
+    matchDonationId: result.match.donationId,
+    matchPoolId: result.pool.matchPoolId,
+    amount: result.match.amount,
+  });
+
+  if (result.pool.status === "exhausted") {
+    try {
+      await notificationService.createAndDispatch({
+        userId: result.pool.sponsorUserId,
+        type: "inApp",
+        category: "donation",
+        priority: "medium",
+        title: "Your match pool is fully used",
+        message: `Your pledge of ${result.pool.capAmount} ${result.pool.currency} has been fully matched. Thank you!`,
+        data: {
+          campaignId: result.pool.campaignId,
+          matchPoolId: result.pool.matchPoolId,
+        },
+        relatedEntityType: "campaign",
+        relatedEntityId: result.pool.campaignId,
+      });
+    } catch (notifyErr) {
+      logger.warn("Failed to notify sponsor of exhausted match pool", {
+        matchPoolId: result.pool.matchPoolId,
+        error: notifyErr.message,
+      });
+    }
+  }
+
+  return result.match;
+};
+
+/**
+ * Reverses the match made for a donation that was refunded and returns the
+ * amount to the pool
+ * @returns {Promise<Object|null>} The reversed matching donation, or null
+ */
+export const reverseMatch = async (donationId, campaignId, { reason } = {}) => {
+  const reversed = await transaction(async (client) => {
+    const match = await matchPoolRepository.getCompletedMatchForDonation(
+      donationId,
+      client
+    );
+    if (!match) return null;
+
+    const reversed = await matchPoolRepository.reverseMatchDonation(
+      match.donationId,
+      reason || "Matched donation refunded",
+      client
+    );
+    await matchPoolRepository.addMatchedAmount(
+      match.matchPoolId,
+      -Number(match.amount),
+      client
+    );
+    await donationRepository.recalculateCampaignStatistics(campaignId, client);
+    return reversed;
+  });
+
+  if (reversed) {
+    logger.info("Donation match reversed", {
+      donationId,
+      matchDonationId: reversed.donationId,
+      matchPoolId: reversed.matchPoolId,
+      amount: reversed.amount,
+    });
+  }
+
+  return reversed;
+};
+
+export default {
+  createMatchPool,
+  getCampaignMatchPools,
+  getMyMatchPools,
+  getMatchPool,
+  cancelMatchPool,
+  applyMatch,
+  reverseMatch,
+};
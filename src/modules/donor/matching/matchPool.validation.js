@@ -0,0 +1,56 @@
+import Joi from "joi";
+import { validate } from "../../../utils/validation.js";
+
+// Validation schemas
+const createMatchPoolSchema = Joi.object({
+  campaignId: Joi.string().uuid().required().messages({
+    "string.guid": "Campaign ID must be a valid UUID",
+    "any.required": "Campaign ID is required",
+  }),
+  ratio: Joi.number().greater(0).max(10).precision(2).required().messages({
+    "number.greater": "Match ratio must be greater than 0",
+    "number.max": "Match ratio cannot exceed 10",
+    "any.required": "Match ratio is required",
+  }),
+  capAmount: Joi.number()
+    .positive()
+    .precision(2)
+    .max(9999999999.99)
+    .required()
+    .messages({
+      "number.positive": "Cap amount must be greater than 0",
+      "number.precision": "Cap amount can have maximum 2 decimal places",
+      "any.required": "Cap amount is required",
+    }),
+  startsAt: Joi.date().iso().optional(),
+  expiresAt: Joi.date()
+    .iso()
+    .greater("now")
+    .when("startsAt", {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref("startsAt")),
+    })
+    .required()
+    .messages({
+      "date.greater": "Expiry must be in the future and after the start date",
+      "any.required": "Expiry date is required",
+    }),
+  sponsorName: Joi.string().trim().max(255).optional(),
+});
+
+const listMatchPoolsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const matchPoolIdSchema = Joi.object({
+  matchPoolId: Joi.string().uuid().required().messages({
+    "string.guid": "Match pool ID must be a valid UUID",
+    "any.required": "Match pool ID is required",
+  }),
+});
+
+// Validation middlewares
+export const validateCreateMatchPool = validate(createMatchPoolSchema);
+export const validateListMatchPools = validate(listMatchPoolsSchema, "query");
+export const validateMatchPoolId = validate(matchPoolIdSchema, "params");
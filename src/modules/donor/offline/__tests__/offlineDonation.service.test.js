@@ -0,0 +1,312 @@
+// src/modules/donor/offline/__tests__/offlineDonation.service.test.js
+
+import {
+  recordOfflineDonation,
+  getOfflineDonation,
+  verifyOfflineDonation,
+  rejectOfflineDonation,
+} from '../offlineDonation.service.js';
+import * as offlineRepository from '../offlineDonation.repository.js';
+import * as pledgeRepository from '../../pledges/pledge.repository.js';
+import * as donationRepository from '../../donation/donation.repository.js';
+import * as receiptService from '../../receipts/receipt.service.js';
+import * as matchPoolService from '../../matching/matchPool.service.js';
+import * as exchangeRateService from '../../../payment/exchangeRates/exchangeRate.service.js';
+import {
+  findCampaignById,
+  findUsersByRoles,
+} from '../../../campaign/campaigns/campaign.repository.js';
+import { logServiceEvent } from '../../../audit/audit.utils.js';
+import { transaction } from '../../../../db/index.js';
+import { uploadFileToS3, getSignedS3Url } from '../../../../utils/s3.utils.js';
+
+// Mock dependencies
+jest.mock('../offlineDonation.repository.js');
+jest.mock('../../pledges/pledge.repository.js');
+jest.mock('../../donation/donation.repository.js');
+jest.mock('../../receipts/receipt.service.js');
+jest.mock('../../matching/matchPool.service.js');
+jest.mock('../../../payment/exchangeRates/exchangeRate.service.js');
+jest.mock('../../../campaign/campaigns/campaign.repository.js');
+jest.mock('../../../notifications/notification.service.js', () => ({
+  __esModule: true,
+  default: { createAndDispatch: jest.fn() },
+}));
+jest.mock('../../../audit/audit.utils.js');
+jest.mock('../../../../db/index.js', () => ({
+  transaction: jest.fn(),
+}));
+jest.mock('../../../../utils/s3.utils.js', () => ({
+  uploadFileToS3: jest.fn(),
+  getSignedS3Url: jest.fn(),
+}));
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('OfflineDonationService', () => {
+  const organizer = { userId: 'organizer-1', userType: 'organizationUser' };
+  const financeAdmin = { userId: 'admin-1', userType: 'financialAdmin' };
+
+  const campaign = {
+    campaignId: 'campaign-1',
+    organizerId: 'organizer-1',
+    name: 'Library fund',
+    status: 'active',
+    baseCurrency: 'ZMW',
+  };
+
+  const payload = {
+    campaignId: 'campaign-1',
+    method: 'cash',
+    amount: 250,
+    receivedAt: new Date('2025-03-01T12:00:00Z'),
+    donorName: 'Cash at fun run',
+  };
+
+  const evidence = [
+    {
+      buffer: Buffer.from('slip'),
+      originalname: 'slip.pdf',
+      mimetype: 'application/pdf',
+      size: 4,
+    },
+  ];
+
+  const pending = {
+    offlineDonationId: 'offline-1',
+    campaignId: 'campaign-1',
+    organizerId: 'organizer-1',
+    recordedByUserId: 'organizer-1',
+    method: 'cash',
+    amount: '250.00',
+    currency: 'USD',
+    receivedAt: '2025-03-01T12:00:00Z',
+    donorUserId: null,
+    isAnonymous: false,
+    pledgeId: 'pledge-1',
+    status: 'pendingVerification',
+  };
+
+  beforeEach(() => {
+    transaction.mockImplementation((callback) => callback({}));
+    findCampaignById.mockResolvedValue(campaign);
+    findUsersByRoles.mockResolvedValue([]);
+    uploadFileToS3.mockResolvedValue('offline-donations/campaign-1/a.pdf');
+    getSignedS3Url.mockResolvedValue('https://signed.example/a.pdf');
+    offlineRepository.createOfflineDonation.mockImplementation(
+      async (data) => ({
+        offlineDonationId: 'offline-1',
+        status: 'pendingVerification',
+        ...data,
+      })
+    );
+    offlineRepository.getEvidenceMedia.mockResolvedValue([
+      { mediaId: 'media-1', fileName: 'offline-donations/campaign-1/a.pdf' },
+    ]);
+    offlineRepository.lockPendingOfflineDonation.mockResolvedValue(pending);
+    pledgeRepository.lockPledge.mockResolvedValue({
+      pledgeId: 'pledge-1',
+      status: 'open',
+    });
+    offlineRepository.createVerifiedDonation.mockImplementation(
+      async (data) => ({ donationId: 'donation-1', ...data })
+    );
+    offlineRepository.markVerified.mockResolvedValue({
+      ...pending,
+      status: 'verified',
+      donationId: 'donation-1',
+    });
+    exchangeRateService.convert.mockResolvedValue({
+      amount: 6625,
+      rate: 26.5,
+      exchangeRateId: 'rate-1',
+    });
+  });
+
+  describe('recordOfflineDonation', () => {
+    it('should store the record with its evidence, pending verification', async () => {
+      const result = await recordOfflineDonation(organizer, payload, evidence);
+
+      expect(uploadFileToS3).toHaveBeenCalledWith(
+        expect.objectContaining({
+          mimeType: 'application/pdf',
+          folder: 'offline-donations/campaign-1',
+        })
+      );
+      expect(offlineRepository.createOfflineDonation).toHaveBeenCalledWith(
+        expect.objectContaining({
+          currency: 'ZMW',
+          organizerId: 'organizer-1',
+          recordedByUserId: 'organizer-1',
+        }),
+        expect.anything()
+      );
+      expect(offlineRepository.createEvidenceMedia).toHaveBeenCalledWith(
+        expect.objectContaining({
+          offlineDonationId: 'offline-1',
+          mediaType: 'document',
+        }),
+        expect.anything()
+      );
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'organizer-1',
+        'OFFLINE_DONATION_RECORDED',
+        'OfflineDonation',
+        'offline-1',
+        expect.objectContaining({ evidenceCount: 1 })
+      );
+      expect(result.status).toBe('pendingVerification');
+      expect(result.evidence[0].url).toBe('https://signed.example/a.pdf');
+      expect(
+        donationRepository.recalculateCampaignStatistics
+      ).not.toHaveBeenCalled();
+    });
+
+    it('should only accept records from the campaign organizer', async () => {
+      await expect(
+        recordOfflineDonation(
+          { userId: 'someone', userType: 'organizationUser' },
+          payload,
+          evidence
+        )
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(uploadFileToS3).not.toHaveBeenCalled();
+    });
+
+    it('should require evidence', async () => {
+      await expect(
+        recordOfflineDonation(organizer, payload, [])
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject pledges that belong to another campaign', async () => {
+      pledgeRepository.getPledgeById.mockResolvedValue({
+        pledgeId: 'pledge-1',
+        campaignId: 'campaign-2',
+        status: 'open',
+      });
+
+      await expect(
+        recordOfflineDonation(
+          organizer,
+          { ...payload, pledgeId: 'pledge-1' },
+          evidence
+        )
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('getOfflineDonation', () => {
+    it('should hide records from other organizers', async () => {
+      offlineRepository.getOfflineDonationById.mockResolvedValue(pending);
+
+      await expect(
+        getOfflineDonation('offline-1', {
+          userId: 'organizer-2',
+          userType: 'organizationUser',
+        })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('verifyOfflineDonation', () => {
+    it('should create a completed donation in the base currency and count it', async () => {
+      const { donation } = await verifyOfflineDonation(
+        'offline-1',
+        financeAdmin
+      );
+
+      expect(exchangeRateService.convert).toHaveBeenCalledWith(
+        '250.00',
+        'USD',
+        'ZMW',
+        '2025-03-01T12:00:00Z'
+      );
+      expect(offlineRepository.createVerifiedDonation).toHaveBeenCalledWith(
+        expect.objectContaining({
+          baseAmount: 6625,
+          baseCurrency: 'ZMW',
+          donationDate: '2025-03-01T12:00:00Z',
+          offlineDonationId: 'offline-1',
+          pledgeId: 'pledge-1',
+        }),
+        expect.anything()
+      );
+      expect(pledgeRepository.markPledgeFulfilled).toHaveBeenCalledWith(
+        'pledge-1',
+        'donation-1',
+        expect.anything()
+      );
+      expect(
+        donationRepository.recalculateCampaignStatistics
+      ).toHaveBeenCalledWith('campaign-1', expect.anything());
+      expect(receiptService.issueReceipt).toHaveBeenCalledWith('donation-1', {
+        issuedByUserId: 'admin-1',
+      });
+      expect(matchPoolService.applyMatch).toHaveBeenCalledWith(donation);
+    });
+
+    it('should not let the recorder verify their own record', async () => {
+      offlineRepository.lockPendingOfflineDonation.mockResolvedValue({
+        ...pending,
+        recordedByUserId: 'admin-1',
+      });
+
+      await expect(
+        verifyOfflineDonation('offline-1', financeAdmin)
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(offlineRepository.createVerifiedDonation).not.toHaveBeenCalled();
+    });
+
+    it('should not fulfil a pledge that closed after the record was made', async () => {
+      pledgeRepository.lockPledge.mockResolvedValue({
+        pledgeId: 'pledge-1',
+        status: 'cancelled',
+      });
+
+      await expect(
+        verifyOfflineDonation('offline-1', financeAdmin)
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(pledgeRepository.lockPledge).toHaveBeenCalledWith(
+        'pledge-1',
+        expect.anything()
+      );
+      expect(offlineRepository.createVerifiedDonation).not.toHaveBeenCalled();
+      expect(pledgeRepository.markPledgeFulfilled).not.toHaveBeenCalled();
+    });
+
+    it('should reject records that were already reviewed', async () => {
+      offlineRepository.lockPendingOfflineDonation.mockResolvedValue(null);
+
+      await expect(
+        verifyOfflineDonation('offline-1', financeAdmin)
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('rejectOfflineDonation', () => {
+    it('should record the reason and audit the rejection', async () => {
+      offlineRepository.markRejected.mockResolvedValue({
+        ...pending,
+        status: 'rejected',
+        rejectionReason: 'Slip unreadable',
+      });
+
+      const result = await rejectOfflineDonation('offline-1', financeAdmin, {
+        reason: 'Slip unreadable',
+      });
+
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'admin-1',
+        'OFFLINE_DONATION_REJECTED',
+        'OfflineDonation',
+        'offline-1',
+        expect.objectContaining({ reason: 'Slip unreadable' })
+      );
+      expect(result.status).toBe('rejected');
+    });
+  });
+});
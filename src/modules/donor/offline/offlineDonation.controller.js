@@ -0,0 +1,72 @@
+import * as offlineDonationService from "./offlineDonation.service.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+export const recordOfflineDonation = async (req, res) => {
+  const result = await offlineDonationService.recordOfflineDonation(
+    req.user,
+    req.body,
+    req.files || []
+  );
+
+  return ResponseFactory.created(
+    res,
+    "Offline donation recorded and awaiting verification",
+    result
+  );
+};
+
+export const listOfflineDonations = async (req, res) => {
+  const { campaignId, status, limit, offset } = req.query;
+  const result = await offlineDonationService.listOfflineDonations(req.user, {
+    campaignId,
+    status,
+    limit,
+    offset,
+  });
+
+  return ResponseFactory.ok(
+    res,
+    "Offline donations retrieved successfully",
+    result
+  );
+};
+
+export const getOfflineDonation = async (req, res) => {
+  const result = await offlineDonationService.getOfflineDonation(
+    req.params.offlineDonationId,
+    req.user
+  );
+
+  return ResponseFactory.ok(
+    res,
+    "Offline donation retrieved successfully",
+    result
+  );
+};
+
+export const verifyOfflineDonation = async (req, res) => {
+  const result = await offlineDonationService.verifyOfflineDonation(
+    req.params.offlineDonationId,
+    req.user
+  );
+
+  return ResponseFactory.ok(res, "Offline donation verified", result);
+};
+
+export const rejectOfflineDonation = async (req, res) => {
+  const result = await offlineDonationService.rejectOfflineDonation(
+    req.params.offlineDonationId,
+    req.user,
+    { reason: req.body.reason }
+  );
+
+  return ResponseFactory.ok(res, "Offline donation rejected", result);
+};
+
+export default {
+  recordOfflineDonation,
+  listOfflineDonations,
+  getOfflineDonation,
+  verifyOfflineDonation,
+  rejectOfflineDonation,
+};
@@ -0,0 +1,210 @@
+import { db } from "../../../db/index.js";
+
+export const createOfflineDonation = async (data, client = null) => {
+  const executor = client || db;
+  const result = await executor.query(
+    `INSERT INTO "offlineDonations" (
+      "campaignId", "organizerId", "recordedByUserId", "method", "amount",
+      "currency", "receivedAt", "reference", "donorName", "donorEmail",
+      "donorUserId", "isAnonymous", "pledgeId", "notes"
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    RETURNING *`,
+    [
+      data.campaignId,
+      data.organizerId,
+      data.recordedByUserId,
+      data.method,
+      data.amount,
+      data.currency,
+      data.receivedAt,
+      data.reference || null,
+      data.donorName || null,
+      data.donorEmail || null,
+      data.donorUserId || null,
+      data.isAnonymous || false,
+      data.pledgeId || null,
+      data.notes || null,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+export const createEvidenceMedia = async (data, client = null) => {
+  const executor = client || db;
+  const result = await executor.query(
+    `INSERT INTO "media" (
+      "entityType", "entityId", "mediaType", "fileName", "fileSize",
+      "description", "uploadedByUserId"
+    ) VALUES ('offlineDonation', $1, $2, $3, $4, $5, $6)
+    RETURNING *`,
+    [
+      data.offlineDonationId,
+      data.mediaType,
+      data.fileName,
+      data.fileSize,
+      data.description || null,
+      data.uploadedByUserId,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+export const getEvidenceMedia = async (offlineDonationId) => {
+  const result = await db.query(
+    `SELECT "mediaId", "mediaType", "fileName", "fileSize", "description", "createdAt"
+     FROM "media"
+     WHERE "entityType" = 'offlineDonation' AND "entityId" = $1
+     ORDER BY "createdAt" ASC`,
+    [offlineDonationId]
+  );
+
+  return result.rows;
+};
+
+export const getOfflineDonationById = async (offlineDonationId) => {
+  const result = await db.query(
+    `SELECT od.*, c."name" AS "campaignName"
+     FROM "offlineDonations" od
+     JOIN "campaigns" c ON c."campaignId" = od."campaignId"
+     WHERE od."offlineDonationId" = $1`,
+    [offlineDonationId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Lists offline donations, newest first. organizerId limits the list to one
+ * organizer's campaigns (omitted for admins).
+ */
+export const listOfflineDonations = async ({
+  organizerId,
+  campaignId,
+  status,
+  limit = 50,
+  offset = 0,
+} = {}) => {
+  const where = ["1=1"];
+  const values = [];
+  let idx = 1;
+
+  if (organizerId) {
+    where.push(`od."organizerId" = $${idx++}`);
+    values.push(organizerId);
+  }
+  if (campaignId) {
+    where.push(`od."campaignId" = $${idx++}`);
+    values.push(campaignId);
+  }
+  if (status) {
+    where.push(`od."status" = $${idx++}`);
+    values.push(status);
+  }
+
+  values.push(limit, offset);
+  const result = await db.query(
+    `SELECT od.*, c."name" AS "campaignName"
+     FROM "offlineDonations" od
+     JOIN "campaigns" c ON c."campaignId" = od."campaignId"
+     WHERE ${where.join(" AND ")}
+     ORDER BY od."createdAt" DESC
+     LIMIT $${idx++} OFFSET $${idx}`,
+    values
+  );
+
+  return result.rows;
+};
+
+export const lockPendingOfflineDonation = async (offlineDonationId, client) => {
+  const result = await client.query(
+    `SELECT * FROM "offlineDonations"
+     WHERE "offlineDonationId" = $1 AND "status" = 'pendingVerification'
+     FOR UPDATE`,
+    [offlineDonationId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Inserts the completed donation for a verified offline record. It has no
+ * payment transaction and is dated when the money was received.
+ */
+export const createVerifiedDonation = async (data, client) => {
+  const result = await client.query(
+    `INSERT INTO "donations" (
+      "campaignId", "organizerId", "donorUserId", "amount", "currency",
+      "baseCurrency", "baseAmount", "exchangeRate", "exchangeRateId",
+      "isAnonymous", "status", "donationDate", "offlineDonationId", "pledgeId"
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'completed', $11, $12, $13)
+    RETURNING *`,
+    [
+      data.campaignId,
+      data.organizerId,
+      data.donorUserId || null,
+      data.amount,
+      data.currency,
+      data.baseCurrency,
+      data.baseAmount,
+      data.exchangeRate,
+      data.exchangeRateId || null,
+      data.isAnonymous || false,
+      data.donationDate,
+      data.offlineDonationId,
+      data.pledgeId || null,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+export const markVerified = async (
+  offlineDonationId,
+  { donationId, reviewedByUserId },
+  client
+) => {
+  const result = await client.query(
+    `UPDATE "offlineDonations"
+     SET "status" = 'verified',
+         "donationId" = $2,
+         "reviewedByUserId" = $3,
+         "reviewedAt" = CURRENT_TIMESTAMP
+     WHERE "offlineDonationId" = $1
+     RETURNING *`,
+    [offlineDonationId, donationId, reviewedByUserId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const markRejected = async (
+  offlineDonationId,
+  { reason, reviewedByUserId }
+) => {
+  const result = await db.query(
+    `UPDATE "offlineDonations"
+     SET "status" = 'rejected',
+         "rejectionReason" = $2,
+         "reviewedByUserId" = $3,
+         "reviewedAt" = CURRENT_TIMESTAMP
+     WHERE "offlineDonationId" = $1 AND "status" = 'pendingVerification'
+     RETURNING *`,
+    [offlineDonationId, reason, reviewedByUserId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export default {
+  createOfflineDonation,
+  createEvidenceMedia,
+  getEvidenceMedia,
+  getOfflineDonationById,
+  listOfflineDonations,
+  lockPendingOfflineDonation,
+  createVerifiedDonation,
+  markVerified,
+  markRejected,
+};
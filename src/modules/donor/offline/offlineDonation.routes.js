@@ -0,0 +1,76 @@
+import { Router } from "express";
+import multer from "multer";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import {
+  authenticate,
+  restrictTo,
+} from "../../../middlewares/auth.middleware.js";
+import processUploadsMiddleware from "../../../middlewares/processUploads.middleware.js";
+import {
+  recordOfflineDonation,
+  listOfflineDonations,
+  getOfflineDonation,
+  verifyOfflineDonation,
+  rejectOfflineDonation,
+} from "./offlineDonation.controller.js";
+import {
+  validateRecordOfflineDonation,
+  validateListOfflineDonations,
+  validateRejectOfflineDonation,
+  validateOfflineDonationId,
+} from "./offlineDonation.validation.js";
+
+// Evidence: photos of cash receipts, deposit slips or scanned cheques
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB per file
+    files: 5,
+  },
+  fileFilter: (req, file, cb) => {
+    if (
+      file.mimetype.startsWith("image/") ||
+      file.mimetype === "application/pdf"
+    ) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only images and PDF files are allowed"), false);
+    }
+  },
+});
+
+const router = Router();
+
+const requireFinanceAdmin = restrictTo("financialAdmin", "superAdmin");
+
+router.use(authenticate);
+
+// Campaign organizers only; checked against the campaign in the service
+router.post(
+  "/",
+  upload.array("evidence", 5),
+  processUploadsMiddleware(),
+  validateRecordOfflineDonation,
+  catchAsync(recordOfflineDonation)
+);
+router.get("/", validateListOfflineDonations, catchAsync(listOfflineDonations));
+router.get(
+  "/:offlineDonationId",
+  validateOfflineDonationId,
+  catchAsync(getOfflineDonation)
+);
+router.post(
+  "/:offlineDonationId/verify",
+  requireFinanceAdmin,
+  validateOfflineDonationId,
+  catchAsync(verifyOfflineDonation)
+);
+router.post(
+  "/:offlineDonationId/reject",
+  requireFinanceAdmin,
+  validateOfflineDonationId,
+  validateRejectOfflineDonation,
+  catchAsync(rejectOfflineDonation)
+);
+
+export default router;
@@ -0,0 +1,438 @@
+import * as offlineRepository from "./offlineDonation.repository.js";
+import * as pledgeRepository from "../pledges/pledge.repository.js";
+import * as donationRepository from "../donation/donation.repository.js";
+import * as receiptService from "../receipts/receipt.service.js";
+import * as matchPoolService from "../matching/matchPool.service.js";
+import * as milestoneService from "../../campaign/milestones/milestone.service.js";
+import * as exchangeRateService from "../../payment/exchangeRates/exchangeRate.service.js";
+import {
+  findCampaignById,
+  findUsersByRoles,
+} from "../../campaign/campaigns/campaign.repository.js";
+import notificationService from "../../notifications/notification.service.js";
+import { logServiceEvent } from "../../audit/audit.utils.js";
+import { DONATION_ACTIONS, ENTITY_TYPES } from "../../audit/audit.constants.js";
+import { transaction } from "../../../db/index.js";
+import { uploadFileToS3, getSignedS3Url } from "../../../utils/s3.utils.js";
+import { AppError } from "../../../utils/appError.js";
+import logger from "../../../utils/logger.js";
+
+const VERIFY_ROLES = ["superAdmin", "financialAdmin"];
+const VIEW_ADMIN_ROLES = ["superAdmin", "financialAdmin", "supportAdmin"];
+// Money can still come in from an event after the campaign has finished
+const RECORDABLE_CAMPAIGN_STATUSES = ["active", "successful", "closed"];
+
+const isViewAdmin = (actor) => VIEW_ADMIN_ROLES.includes(actor?.userType);
+
+const notify = async (payload, context) => {
+  try {
+    await notificationService.createAndDispatch(payload);
+  } catch (notifyErr) {
+    logger.warn(`Failed to notify ${context}`, {
+      userId: payload.userId,
+      error: notifyErr.message,
+    });
+  }
+};
+
+/**
+ * Evidence is private: links are signed and expire after an hour
+ */
+const withEvidence = async (record) => {
+  const media = await offlineRepository.getEvidenceMedia(
+    record.offlineDonationId
+  );
+  const evidence = await Promise.all(
+    media.map(async (item) => ({
+      mediaId: item.mediaId,
+      mediaType: item.mediaType,
+      fileSize: item.fileSize,
+      description: item.description,
+      createdAt: item.createdAt,
+      url: await getSignedS3Url(item.fileName),
+    }))
+  );
+  return { ...record, amount: Number(record.amount), evidence };
+};
+
+/**
+ * Records money the organizer collected outside the platform. It does not
+ * count towards the campaign until a finance admin verifies it.
+ * @param {Object} actor - Organizer ({ userId, userType })
+ * @param {Object} payload - Validated body
+ * @param {Array<Object>} files - Evidence uploads (multer memory files)
+ * @returns {Promise<Object>} The offline donation with evidence links
+ */
+export const recordOfflineDonation = async (actor, payload, files = []) => {
+  const campaign = await findCampaignById(payload.campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+  if (campaign.organizerId !== actor.userId) {
+    throw new AppError(
+      "Only the campaign organizer can record offline donations",
+      403
+    );
+  }
+  if (!RECORDABLE_CAMPAIGN_STATUSES.includes(campaign.status)) {
+    throw new AppError(
+      `Offline donations cannot be recorded for a ${campaign.status} campaign`,
+      409
+    );
+  }
+  if (!files.length) {
+    throw new AppError(
+      "Attach at least one receipt, deposit slip or photo as evidence",
+      400
+    );
+  }
+
+  let donorUserId = null;
+  if (payload.pledgeId) {
+    const pledge = await pledgeRepository.getPledgeById(payload.pledgeId);
+    if (
+      !pledge ||
+      pledge.campaignId !== campaign.campaignId ||
+      pledge.status !== "open"
+    ) {
+      throw new AppError("Pledge is not open for this campaign", 409);
+    }
+    donorUserId = pledge.donorUserId;
+  }
+
+  // Upload before opening the transaction; S3 is not transactional
+  const uploads = [];
+  for (const file of files) {
+    const fileName = await uploadFileToS3({
+      fileBuffer: file.buffer,
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      folder: `offline-donations/${campaign.campaignId}`,
+    });
+    uploads.push({
+      fileName,
+      fileSize: file.size,
+      mediaType: file.mimetype.startsWith("image/") ? "image" : "document",
+      description: file.originalname,
+    });
+  }
+
+  const record = await transaction(async (client) => {
+    const created = await offlineRepository.createOfflineDonation(
+      {
+        ...payload,
+        donorUserId,
+        currency: (payload.currency || campaign.baseCurrency).toUpperCase(),
+        organizerId: campaign.organizerId,
+        recordedByUserId: actor.userId,
+      },
+      client
+    );
+    for (const upload of uploads) {
+      await offlineRepository.createEvidenceMedia(
+        {
+          ...upload,
+          offlineDonationId: created.offlineDonationId,
+          uploadedByUserId: actor.userId,
+        },
+        client
+      );
+    }
+    return created;
+  });
+
+  logger.info("Offline donation recorded", {
+    offlineDonationId: record.offlineDonationId,
+    campaignId: record.campaignId,
+    method: record.method,
+    amount: record.amount,
+    recordedBy: actor.userId,
+  });
+
+  await logServiceEvent(
+    actor.userId,
+    DONATION_ACTIONS.OFFLINE_DONATION_RECORDED,
+    ENTITY_TYPES.OFFLINE_DONATION,
+    record.offlineDonationId,
+    {
+      campaignId: record.campaignId,
+      method: record.method,
+      amount: record.amount,
+      currency: record.currency,
+      reference: record.reference,
+      evidenceCount: uploads.length,
+    }
+  );
+
+  try {
+    const admins = await findUsersByRoles(VERIFY_ROLES);
+    for (const admin of admins) {
+      await notify(
+        {
+          userId: admin.userId,
+          type: "inApp",
+          category: "donation",
+          priority: "medium",
+          title: "Offline donation awaiting verification",
+          message: `${campaign.name}: ${record.amount} ${record.currency} received by ${record.method.replace(
+            "_",
+            " "
+          )}.`,
+          data: {
+            offlineDonationId: record.offlineDonationId,
+            campaignId: record.campaignId,
+          },
+          relatedEntityType: "campaign",
+          relatedEntityId: record.campaignId,
+        },
+        "finance admins of offline donation"
+      );
+    }
+  } catch (lookupErr) {
+    logger.warn("Failed to look up finance admins", {
+      error: lookupErr.message,
+    });
+  }
+
+  return withEvidence(record);
+};
+
+/**
+ * Organizers see their own campaigns' records; admins see everything
+ */
+export const listOfflineDonations = async (actor, filters = {}) => {
+  const rows = await offlineRepository.listOfflineDonations({
+    ...filters,
+    organizerId: isViewAdmin(actor) ? undefined : actor.userId,
+  });
+  return rows.map((row) => ({ ...row, amount: Number(row.amount) }));
+};
+
+export const getOfflineDonation = async (offlineDonationId, actor) => {
+  const record =
+    await offlineRepository.getOfflineDonationById(offlineDonationId);
+  if (!record) {
+    throw new AppError("Offline donation not found", 404);
+  }
+  if (!isViewAdmin(actor) && record.organizerId !== actor.userId) {
+    throw new AppError(
+      "You are not allowed to view this offline donation",
+      403
+    );
+  }
+  return withEvidence(record);
+};
+
+/**
+ * Verifies an offline record: creates the completed donation (converted into
+ * the campaign's base currency), fulfils its pledge and updates the campaign
+ * total. Organizers cannot verify their own records.
+ */
+export const verifyOfflineDonation = async (offlineDonationId, actor) => {
+  const { record, donation } = await transaction(async (client) => {
+    const pending = await offlineRepository.lockPendingOfflineDonation(
+      offlineDonationId,
+      client
+    );
+    if (!pending) {
+      throw new AppError("Offline donation is not awaiting verification", 409);
+    }
+    if (pending.recordedByUserId === actor.userId) {
+      throw new AppError(
+        "You cannot verify an offline donation you recorded",
+        403
+      );
+    }
+    // The pledge may have been cancelled or paid online since it was recorded
+    if (pending.pledgeId) {
+      const pledge = await pledgeRepository.lockPledge(
+        pending.pledgeId,
+        client
+      );
+      if (pledge?.status !== "open") {
+        throw new AppError(
+          "The pledge this donation fulfils is no longer open",
+          409
+        );
+      }
+    }
+
+    const campaign = await findCampaignById(pending.campaignId);
+    const baseCurrency = campaign?.baseCurrency || pending.currency;
+    const conversion = await exchangeRateService.convert(
+      pending.amount,
+      pending.currency,
+      baseCurrency,
+      pending.receivedAt
+    );
+
+    const donation = await offlineRepository.createVerifiedDonation(
+      {
+        campaignId: pending.campaignId,
+        organizerId: pending.organizerId,
+        donorUserId: pending.donorUserId,
+        amount: pending.amount,
+        currency: pending.currency,
+        baseCurrency,
+        baseAmount: conversion.amount,
+        exchangeRate: conversion.rate,
+        exchangeRateId: conversion.exchangeRateId,
+        isAnonymous: pending.isAnonymous,
+        donationDate: pending.receivedAt,
+        offlineDonationId: pending.offlineDonationId,
+        pledgeId: pending.pledgeId,
+      },
+      client
+    );
+    const record = await offlineRepository.markVerified(
+      offlineDonationId,
+      { donationId: donation.donationId, reviewedByUserId: actor.userId },
+      client
+    );
+    if (pending.pledgeId) {
+      await pledgeRepository.markPledgeFulfilled(
+        pending.pledgeId,
+        donation.donationId,
+        client
+      );
+    }
+    await donationRepository.recalculateCampaignStatistics(
+      pending.campaignId,
+      client
+    );
+
+    return { record, donation };
+  });
+
+  logger.info("Offline donation verified", {
+    offlineDonationId,
+    donationId: donation.donationId,
+    campaignId: donation.campaignId,
+    verifiedBy: actor.userId,
+  });
+
+  await logServiceEvent(
+    actor.userId,
+    DONATION_ACTIONS.OFFLINE_DONATION_VERIFIED,
+    ENTITY_TYPES.OFFLINE_DONATION,
+    offlineDonationId,
+    {
+      campaignId: record.campaignId,
+      donationId: donation.donationId,
+      method: record.method,
+      amount: record.amount,
+      currency: record.currency,
+      baseAmount: donation.baseAmount,
+    }
+  );
+
+  try {
+    await receiptService.issueReceipt(donation.donationId, {
+      issuedByUserId: actor.userId,
+    });
+  } catch (receiptErr) {
+    logger.warn("Failed to issue receipt for offline donation", {
+      donationId: donation.donationId,
+      error: receiptErr.message,
+    });
+  }
+
+  try {
+    await matchPoolService.applyMatch(donation);
+  } catch (matchErr) {
+    logger.warn("Failed to apply donation match", {
+      donationId: donation.donationId,
+      error: matchErr.message,
+    });
+  }
+
+  try {
+    await milestoneService.evaluateMilestones(donation.campaignId);
+  } catch (milestoneErr) {
+    logger.warn("Failed to evaluate campaign milestones", {
+      campaignId: donation.campaignId,
+      error: milestoneErr.message,
+    });
+  }
+
+  await notify(
+    {
+      userId: record.organizerId,
+      type: "inApp",
+      category: "donation",
+      priority: "medium",
+      title: "Offline donation verified",
+      message: `${record.amount} ${record.currency} received by ${record.method.replace(
+        "_",
+        " "
+      )} now counts towards your campaign.`,
+      data: {
+        offlineDonationId,
+        donationId: donation.donationId,
+        campaignId: record.campaignId,
+      },
+      relatedEntityType: "donation",
+      relatedEntityId: donation.donationId,
+    },
+    "organizer of verified offline donation"
+  );
+
+  return { offlineDonation: record, donation };
+};
+
+export const rejectOfflineDonation = async (
+  offlineDonationId,
+  actor,
+  { reason }
+) => {
+  const record = await offlineRepository.markRejected(offlineDonationId, {
+    reason,
+    reviewedByUserId: actor.userId,
+  });
+  if (!record) {
+    const existing =
+      await offlineRepository.getOfflineDonationById(offlineDonationId);
+    if (!existing) {
+      throw new AppError("Offline donation not found", 404);
+    }
+    throw new AppError("Offline donation is not awaiting verification", 409);
+  }
+
+  await logServiceEvent(
+    actor.userId,
+    DONATION_ACTIONS.OFFLINE_DONATION_REJECTED,
+    ENTITY_TYPES.OFFLINE_DONATION,
+    offlineDonationId,
+    {
+      campaignId: record.campaignId,
+      amount: record.amount,
+      currency: record.currency,
+      reason,
+    }
+  );
+
+  await notify(
+    {
+      userId: record.organizerId,
+      type: "inApp",
+      category: "donation",
+      priority: "medium",
+      title: "Offline donation rejected",
+      message: `The ${record.amount} ${record.currency} offline donation was not verified: ${reason}`,
+      data: { offlineDonationId, campaignId: record.campaignId },
+      relatedEntityType: "campaign",
+      relatedEntityId: record.campaignId,
+    },
+    "organizer of rejected offline donation"
+  );
+
+  return { ...record, amount: Number(record.amount) };
+};
+
+export default {
+  recordOfflineDonation,
+  listOfflineDonations,
+  getOfflineDonation,
+  verifyOfflineDonation,
+  rejectOfflineDonation,
+};
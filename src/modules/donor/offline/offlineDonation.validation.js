@@ -0,0 +1,94 @@
+import Joi from "joi";
+import { validate } from "../../../utils/validation.js";
+
+// Validation schemas (multipart form fields arrive as strings; Joi converts them)
+const recordOfflineDonationSchema = Joi.object({
+  campaignId: Joi.string().uuid().required().messages({
+    "string.guid": "Campaign ID must be a valid UUID",
+    "any.required": "Campaign ID is required",
+  }),
+  method: Joi.string()
+    .valid("cash", "bank_transfer", "cheque")
+    .required()
+    .messages({
+      "any.only": "Method must be one of: cash, bank_transfer, cheque",
+      "any.required": "Method is required",
+    }),
+  amount: Joi.number()
+    .positive()
+    .precision(2)
+    .max(999999.99)
+    .required()
+    .messages({
+      "number.positive": "Amount must be greater than 0",
+      "number.precision": "Amount can have maximum 2 decimal places",
+      "number.max": "Amount cannot exceed 999,999.99",
+      "any.required": "Amount is required",
+    }),
+  // Defaults to the campaign's base currency
+  currency: Joi.string()
+    .length(3)
+    .pattern(/^[A-Z]{3}$/)
+    .optional(),
+  receivedAt: Joi.date().iso().max("now").required().messages({
+    "date.max": "Received date cannot be in the future",
+    "any.required": "Received date is required",
+  }),
+  reference: Joi.string()
+    .trim()
+    .max(100)
+    .when("method", {
+      is: Joi.valid("bank_transfer", "cheque"),
+      then: Joi.required(),
+      otherwise: Joi.optional(),
+    })
+    .messages({
+      "any.required": "Reference is required for bank transfers and cheques",
+    }),
+  donorName: Joi.string().trim().max(255).optional(),
+  donorEmail: Joi.string().email().max(255).optional(),
+  isAnonymous: Joi.boolean().default(false),
+  pledgeId: Joi.string().uuid().optional().messages({
+    "string.guid": "Pledge ID must be a valid UUID",
+  }),
+  notes: Joi.string().trim().max(1000).optional(),
+});
+
+const listOfflineDonationsSchema = Joi.object({
+  campaignId: Joi.string().uuid().optional(),
+  status: Joi.string()
+    .valid("pendingVerification", "verified", "rejected")
+    .optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const rejectOfflineDonationSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    "any.required": "Rejection reason is required",
+    "string.min": "Rejection reason is too short",
+  }),
+});
+
+const offlineDonationIdSchema = Joi.object({
+  offlineDonationId: Joi.string().uuid().required().messages({
+    "string.guid": "Offline donation ID must be a valid UUID",
+    "any.required": "Offline donation ID is required",
+  }),
+});
+
+// Validation middlewares
+export const validateRecordOfflineDonation = validate(
+  recordOfflineDonationSchema
+);
+export const validateListOfflineDonations = validate(
+  listOfflineDonationsSchema,
+  "query"
+);
+export const validateRejectOfflineDonation = validate(
+  rejectOfflineDonationSchema
+);
+export const validateOfflineDonationId = validate(
+  offlineDonationIdSchema,
+  "params"
+);
@@ -0,0 +1,245 @@
+// src/modules/donor/pledges/__tests__/pledge.service.test.js
+
+import {
+  createPledge,
+  getCampaignPledges,
+  cancelPledge,
+  payPledge,
+  fulfillPledge,
+} from '../pledge.service.js';
+import * as pledgeRepository from '../pledge.repository.js';
+import { createDonation } from '../../donation/donation.service.js';
+import { findCampaignById } from '../../../campaign/campaigns/campaign.repository.js';
+import { logServiceEvent } from '../../../audit/audit.utils.js';
+
+// Mock dependencies
+jest.mock('../pledge.repository.js');
+jest.mock('../../donation/donation.service.js', () => ({
+  createDonation: jest.fn(),
+}));
+jest.mock('../../../campaign/campaigns/campaign.repository.js');
+jest.mock('../../../audit/audit.utils.js');
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('PledgeService', () => {
+  const donor = { userId: 'donor-1', userType: 'individualUser' };
+
+  const pledge = {
+    pledgeId: 'pledge-1',
+    campaignId: 'campaign-1',
+    donorUserId: 'donor-1',
+    organizerId: 'organizer-1',
+    amount: '150.00',
+    currency: 'ZMW',
+    isAnonymous: false,
+    status: 'open',
+    campaignStatus: 'active',
+    paymentStatus: null,
+  };
+
+  beforeEach(() => {
+    findCampaignById.mockResolvedValue({
+      campaignId: 'campaign-1',
+      organizerId: 'organizer-1',
+      status: 'active',
+      baseCurrency: 'ZMW',
+    });
+    pledgeRepository.createPledge.mockImplementation(async (data) => ({
+      pledgeId: 'pledge-1',
+      status: 'open',
+      ...data,
+    }));
+    pledgeRepository.getPledgeById.mockResolvedValue(pledge);
+    pledgeRepository.claimPledgePayment.mockResolvedValue(pledge);
+    createDonation.mockResolvedValue({
+      donation: { donationId: 'donation-1', status: 'pending' },
+      transaction: { transactionId: 'txn-1' },
+      success: true,
+    });
+  });
+
+  describe('createPledge', () => {
+    it('should pledge in the campaign currency and audit it', async () => {
+      const result = await createPledge('donor-1', {
+        campaignId: 'campaign-1',
+        amount: 150,
+      });
+
+      expect(pledgeRepository.createPledge).toHaveBeenCalledWith(
+        expect.objectContaining({
+          donorUserId: 'donor-1',
+          organizerId: 'organizer-1',
+          currency: 'ZMW',
+        })
+      );
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'donor-1',
+        'PLEDGE_CREATED',
+        'Pledge',
+        'pledge-1',
+        expect.objectContaining({ campaignId: 'campaign-1' })
+      );
+      expect(result.amount).toBe(150);
+    });
+
+    it('should not accept pledges for a campaign that is not active', async () => {
+      findCampaignById.mockResolvedValue({
+        campaignId: 'campaign-1',
+        organizerId: 'organizer-1',
+        status: 'completed',
+        baseCurrency: 'ZMW',
+      });
+
+      await expect(
+        createPledge('donor-1', { campaignId: 'campaign-1', amount: 150 })
+      ).rejects.toMatchObject({ statusCode: 422 });
+      expect(pledgeRepository.createPledge).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getCampaignPledges', () => {
+    it('should only show pledges to the organizer and admins', async () => {
+      await expect(
+        getCampaignPledges('campaign-1', donor, {})
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should return open and fulfilled totals', async () => {
+      pledgeRepository.getPledgesByCampaign.mockResolvedValue([pledge]);
+      pledgeRepository.getCampaignPledgeTotals.mockResolvedValue({
+        openCount: '1',
+        openAmount: '150.00',
+        fulfilledCount: '2',
+        fulfilledAmount: '400.00',
+      });
+
+      const result = await getCampaignPledges(
+        'campaign-1',
+        { userId: 'organizer-1', userType: 'organizationUser' },
+        {}
+      );
+
+      expect(result.totals).toEqual({
+        openCount: 1,
+        openAmount: 150,
+        fulfilledCount: 2,
+        fulfilledAmount: 400,
+        currency: 'ZMW',
+      });
+    });
+  });
+
+  describe('cancelPledge', () => {
+    it('should reject pledges that are no longer open', async () => {
+      pledgeRepository.cancelPledge.mockResolvedValue(null);
+
+      await expect(cancelPledge('pledge-1', donor)).rejects.toMatchObject({
+        statusCode: 409,
+      });
+    });
+  });
+
+  describe('payPledge', () => {
+    it('should pay the pledged amount through a normal donation', async () => {
+      await payPledge(
+        'pledge-1',
+        donor,
+        {
+          paymentMethod: 'airtel',
+          phoneNumber: '+260971234567',
+        },
+        { ipAddress: '10.0.0.1' }
+      );
+
+      expect(createDonation).toHaveBeenCalledWith(
+        {
+          paymentMethod: 'airtel',
+          phoneNumber: '+260971234567',
+          campaignId: 'campaign-1',
+          amount: 150,
+          currency: 'ZMW',
+          isAnonymous: false,
+          pledgeId: 'pledge-1',
+        },
+        'donor-1',
+        { ipAddress: '10.0.0.1' }
+      );
+      expect(pledgeRepository.setPledgeDonation).toHaveBeenCalledWith(
+        'pledge-1',
+        'donation-1'
+      );
+    });
+
+    it('should not start a second payment while one is pending', async () => {
+      pledgeRepository.getPledgeById.mockResolvedValue({
+        ...pledge,
+        paymentStatus: 'pending',
+      });
+
+      await expect(
+        payPledge('pledge-1', donor, { paymentMethod: 'airtel' })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(createDonation).not.toHaveBeenCalled();
+    });
+
+    it('should claim the pledge before starting the payment', async () => {
+      pledgeRepository.claimPledgePayment.mockResolvedValue(null);
+
+      await expect(
+        payPledge('pledge-1', donor, { paymentMethod: 'airtel' })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(pledgeRepository.claimPledgePayment).toHaveBeenCalledWith(
+        'pledge-1',
+        { staleBefore: expect.any(Date) }
+      );
+      expect(createDonation).not.toHaveBeenCalled();
+    });
+
+    it('should release the claim when the payment cannot be started', async () => {
+      createDonation.mockRejectedValue(new Error('Provider unavailable'));
+
+      await expect(
+        payPledge('pledge-1', donor, { paymentMethod: 'airtel' })
+      ).rejects.toThrow('Provider unavailable');
+      expect(pledgeRepository.releasePledgePayment).toHaveBeenCalledWith(
+        'pledge-1'
+      );
+      expect(pledgeRepository.setPledgeDonation).not.toHaveBeenCalled();
+    });
+
+    it('should only let the donor pay', async () => {
+      await expect(
+        payPledge(
+          'pledge-1',
+          { userId: 'organizer-1', userType: 'organizationUser' },
+          {}
+        )
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('fulfillPledge', () => {
+    it('should fulfil the pledge a completed donation paid for', async () => {
+      pledgeRepository.markPledgeFulfilled.mockResolvedValue({
+        ...pledge,
+        status: 'fulfilled',
+      });
+
+      await fulfillPledge({ donationId: 'donation-1', pledgeId: 'pledge-1' });
+
+      expect(pledgeRepository.markPledgeFulfilled).toHaveBeenCalledWith(
+        'pledge-1',
+        'donation-1'
+      );
+    });
+
+    it('should ignore donations without a pledge', async () => {
+      expect(await fulfillPledge({ donationId: 'donation-1' })).toBeNull();
+      expect(pledgeRepository.markPledgeFulfilled).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import * as pledgeService from "./pledge.service.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+import { getClientIp } from "../../audit/audit.middleware.js";
+
+export const createPledge = async (req, res) => {
+  const result = await pledgeService.createPledge(req.user.userId, req.body);
+
+  return ResponseFactory.created(res, "Pledge created successfully", result);
+};
+
+export const getMyPledges = async (req, res) => {
+  const { status, limit, offset } = req.query;
+  const result = await pledgeService.getMyPledges(req.user.userId, {
+    status,
+    limit,
+    offset,
+  });
+
+  return ResponseFactory.ok(res, "Pledges retrieved successfully", result);
+};
+
+export const getCampaignPledges = async (req, res) => {
+  const { status, limit, offset } = req.query;
+  const result = await pledgeService.getCampaignPledges(
+    req.params.campaignId,
+    req.user,
+    { status, limit, offset }
+  );
+
+  return ResponseFactory.ok(res, "Pledges retrieved successfully", result);
+};
+
+export const getPledge = async (req, res) => {
+  const result = await pledgeService.getPledge(req.params.pledgeId, req.user);
+
+  return ResponseFactory.ok(res, "Pledge retrieved successfully", result);
+};
+
+export const cancelPledge = async (req, res) => {
+  const result = await pledgeService.cancelPledge(
+    req.params.pledgeId,
+    req.user
+  );
+
+  return ResponseFactory.ok(res, "Pledge cancelled", result);
+};
+
+export const payPledge = async (req, res) => {
+  const result = await pledgeService.payPledge(
+    req.params.pledgeId,
+    req.user,
+    req.body,
+    { ipAddress: getClientIp(req) }
+  );
+
+  return ResponseFactory.created(res, "Pledge payment initiated", {
+    donation: result.donation,
+    transaction: result.transaction,
+    success: result.success,
+  });
+};
+
+export default {
+  createPledge,
+  getMyPledges,
+  getCampaignPledges,
+  getPledge,
+  cancelPledge,
+  payPledge,
+};
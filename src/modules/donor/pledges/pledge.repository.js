@@ -0,0 +1,190 @@
+import { db } from "../../../db/index.js";
+
+export const createPledge = async (data) => {
+  const result = await db.query(
+    `INSERT INTO "pledges" (
+      "campaignId", "donorUserId", "organizerId", "amount", "currency",
+      "isAnonymous", "dueDate", "note"
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *`,
+    [
+      data.campaignId,
+      data.donorUserId,
+      data.organizerId,
+      data.amount,
+      data.currency,
+      data.isAnonymous || false,
+      data.dueDate || null,
+      data.note || null,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * A pledge with its campaign and the status of the latest payment made for it
+ */
+export const getPledgeById = async (pledgeId) => {
+  const result = await db.query(
+    `SELECT p.*, c."name" AS "campaignName", c."status" AS "campaignStatus",
+            d."status" AS "paymentStatus"
+     FROM "pledges" p
+     JOIN "campaigns" c ON c."campaignId" = p."campaignId"
+     LEFT JOIN "donations" d ON d."donationId" = p."donationId"
+     WHERE p."pledgeId" = $1`,
+    [pledgeId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Locks a pledge row for the rest of the transaction
+ */
+export const lockPledge = async (pledgeId, client) => {
+  const result = await client.query(
+    `SELECT * FROM "pledges" WHERE "pledgeId" = $1 FOR UPDATE`,
+    [pledgeId]
+  );
+
+  return result.rows[0] || null;
+};
+
+const listPledges = async (
+  column,
+  value,
+  { status, limit = 50, offset = 0 }
+) => {
+  const values = [value];
+  let statusFilter = "";
+  if (status) {
+    values.push(status);
+    statusFilter = `AND p."status" = $${values.length}`;
+  }
+  values.push(limit, offset);
+
+  const result = await db.query(
+    `SELECT p.*, c."name" AS "campaignName", d."status" AS "paymentStatus"
+     FROM "pledges" p
+     JOIN "campaigns" c ON c."campaignId" = p."campaignId"
+     LEFT JOIN "donations" d ON d."donationId" = p."donationId"
+     WHERE p."${column}" = $1 ${statusFilter}
+     ORDER BY p."createdAt" DESC
+     LIMIT $${values.length - 1} OFFSET $${values.length}`,
+    values
+  );
+
+  return result.rows;
+};
+
+export const getPledgesByDonor = async (donorUserId, filters = {}) =>
+  listPledges("donorUserId", donorUserId, filters);
+
+export const getPledgesByCampaign = async (campaignId, filters = {}) =>
+  listPledges("campaignId", campaignId, filters);
+
+/**
+ * Totals of a campaign's outstanding and fulfilled pledges
+ */
+export const getCampaignPledgeTotals = async (campaignId) => {
+  const result = await db.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE "status" = 'open') AS "openCount",
+       COALESCE(SUM("amount") FILTER (WHERE "status" = 'open'), 0) AS "openAmount",
+       COUNT(*) FILTER (WHERE "status" = 'fulfilled') AS "fulfilledCount",
+       COALESCE(SUM("amount") FILTER (WHERE "status" = 'fulfilled'), 0) AS "fulfilledAmount"
+     FROM "pledges"
+     WHERE "campaignId" = $1`,
+    [campaignId]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Claims an open pledge for a new payment. Fails (null) while the latest
+ * donation is still pending or another request holds a claim newer than
+ * staleBefore.
+ */
+export const claimPledgePayment = async (pledgeId, { staleBefore }) => {
+  const result = await db.query(
+    `UPDATE "pledges" p
+     SET "paymentStartedAt" = CURRENT_TIMESTAMP
+     WHERE p."pledgeId" = $1
+       AND p."status" = 'open'
+       AND (p."paymentStartedAt" IS NULL OR p."paymentStartedAt" < $2)
+       AND NOT EXISTS (
+         SELECT 1 FROM "donations" d
+         WHERE d."donationId" = p."donationId" AND d."status" = 'pending'
+       )
+     RETURNING *`,
+    [pledgeId, staleBefore]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const releasePledgePayment = async (pledgeId) => {
+  await db.query(
+    `UPDATE "pledges" SET "paymentStartedAt" = NULL WHERE "pledgeId" = $1`,
+    [pledgeId]
+  );
+};
+
+export const setPledgeDonation = async (pledgeId, donationId) => {
+  const result = await db.query(
+    `UPDATE "pledges" SET "donationId" = $2, "paymentStartedAt" = NULL
+     WHERE "pledgeId" = $1 AND "status" = 'open'
+     RETURNING *`,
+    [pledgeId, donationId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const markPledgeFulfilled = async (
+  pledgeId,
+  donationId,
+  client = null
+) => {
+  const executor = client || db;
+  const result = await executor.query(
+    `UPDATE "pledges"
+     SET "status" = 'fulfilled',
+         "donationId" = $2,
+         "fulfilledAt" = CURRENT_TIMESTAMP
+     WHERE "pledgeId" = $1 AND "status" = 'open'
+     RETURNING *`,
+    [pledgeId, donationId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const cancelPledge = async (pledgeId) => {
+  const result = await db.query(
+    `UPDATE "pledges"
+     SET "status" = 'cancelled',
+         "cancelledAt" = CURRENT_TIMESTAMP
+     WHERE "pledgeId" = $1 AND "status" = 'open'
+     RETURNING *`,
+    [pledgeId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export default {
+  createPledge,
+  getPledgeById,
+  lockPledge,
+  getPledgesByDonor,
+  getPledgesByCampaign,
+  getCampaignPledgeTotals,
+  claimPledgePayment,
+  releasePledgePayment,
+  setPledgeDonation,
+  markPledgeFulfilled,
+  cancelPledge,
+};
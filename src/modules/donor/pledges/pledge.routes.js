@@ -0,0 +1,49 @@
+import { Router } from "express";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import { authenticate } from "../../../middlewares/auth.middleware.js";
+import {
+  createPledge,
+  getMyPledges,
+  getCampaignPledges,
+  getPledge,
+  cancelPledge,
+  payPledge,
+} from "./pledge.controller.js";
+import {
+  validateCreatePledge,
+  validatePayPledge,
+  validateListPledges,
+  validatePledgeId,
+} from "./pledge.validation.js";
+import {
+  validateCampaignId,
+  validateCampaignState,
+} from "../donation/donation.validation.js";
+
+const router = Router();
+
+router.use(authenticate);
+
+router.post(
+  "/",
+  validateCreatePledge,
+  validateCampaignState,
+  catchAsync(createPledge)
+);
+router.get("/", validateListPledges, catchAsync(getMyPledges));
+router.get(
+  "/campaign/:campaignId",
+  validateCampaignId,
+  validateListPledges,
+  catchAsync(getCampaignPledges)
+);
+router.get("/:pledgeId", validatePledgeId, catchAsync(getPledge));
+router.patch("/:pledgeId/cancel", validatePledgeId, catchAsync(cancelPledge));
+router.post(
+  "/:pledgeId/pay",
+  validatePledgeId,
+  validatePayPledge,
+  catchAsync(payPledge)
+);
+
+export default router;
@@ -0,0 +1,245 @@
+import * as pledgeRepository from "./pledge.repository.js";
+import { createDonation } from "../donation/donation.service.js";
+import { findCampaignById } from "../../campaign/campaigns/campaign.repository.js";
+import { logServiceEvent } from "../../audit/audit.utils.js";
+import { DONATION_ACTIONS, ENTITY_TYPES } from "../../audit/audit.constants.js";
+import { AppError } from "../../../utils/appError.js";
+import logger from "../../../utils/logger.js";
+
+const PLEDGE_ADMIN_ROLES = ["superAdmin", "financialAdmin", "supportAdmin"];
+
+const isAdmin = (actor) => PLEDGE_ADMIN_ROLES.includes(actor?.userType);
+
+const formatPledge = (pledge) => ({ ...pledge, amount: Number(pledge.amount) });
+
+// A payment claim older than this belongs to a request that never finished
+const PAYMENT_CLAIM_MINUTES = 5;
+
+/**
+ * Records a donor's promise to give to an active campaign
+ * @param {string} donorUserId
+ * @param {Object} payload - { campaignId, amount, currency?, dueDate?, note?, isAnonymous? }
+ */
+export const createPledge = async (donorUserId, payload) => {
+  const campaign = await findCampaignById(payload.campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+  if (campaign.status !== "active") {
+    throw new AppError(
+      `Campaign is not accepting donations. Current status: ${campaign.status}`,
+      422
+    );
+  }
+
+  const pledge = await pledgeRepository.createPledge({
+    ...payload,
+    donorUserId,
+    organizerId: campaign.organizerId,
+    currency: (payload.currency || campaign.baseCurrency).toUpperCase(),
+  });
+
+  logger.info("Pledge created", {
+    pledgeId: pledge.pledgeId,
+    campaignId: pledge.campaignId,
+    donorUserId,
+    amount: pledge.amount,
+  });
+
+  await logServiceEvent(
+    donorUserId,
+    DONATION_ACTIONS.PLEDGE_CREATED,
+    ENTITY_TYPES.PLEDGE,
+    pledge.pledgeId,
+    {
+      campaignId: pledge.campaignId,
+      amount: pledge.amount,
+      currency: pledge.currency,
+      dueDate: pledge.dueDate,
+    }
+  );
+
+  return formatPledge(pledge);
+};
+
+export const getMyPledges = async (donorUserId, filters) => {
+  const pledges = await pledgeRepository.getPledgesByDonor(
+    donorUserId,
+    filters
+  );
+  return pledges.map(formatPledge);
+};
+
+/**
+ * A campaign's pledges and their totals, for its organizer and admins
+ */
+export const getCampaignPledges = async (campaignId, actor, filters) => {
+  const campaign = await findCampaignById(campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+  if (!isAdmin(actor) && campaign.organizerId !== actor.userId) {
+    throw new AppError("You are not allowed to view these pledges", 403);
+  }
+
+  const [pledges, totals] = await Promise.all([
+    pledgeRepository.getPledgesByCampaign(campaignId, filters),
+    pledgeRepository.getCampaignPledgeTotals(campaignId),
+  ]);
+
+  return {
+    pledges: pledges.map(formatPledge),
+    totals: {
+      openCount: parseInt(totals.openCount || 0),
+      openAmount: Number(totals.openAmount || 0),
+      fulfilledCount: parseInt(totals.fulfilledCount || 0),
+      fulfilledAmount: Number(totals.fulfilledAmount || 0),
+      currency: campaign.baseCurrency,
+    },
+  };
+};
+
+const getAccessiblePledge = async (pledgeId, actor) => {
+  const pledge = await pledgeRepository.getPledgeById(pledgeId);
+  if (!pledge) {
+    throw new AppError("Pledge not found", 404);
+  }
+  if (
+    !isAdmin(actor) &&
+    pledge.donorUserId !== actor.userId &&
+    pledge.organizerId !== actor.userId
+  ) {
+    throw new AppError("You are not allowed to view this pledge", 403);
+  }
+  return pledge;
+};
+
+export const getPledge = async (pledgeId, actor) =>
+  formatPledge(await getAccessiblePledge(pledgeId, actor));
+
+export const cancelPledge = async (pledgeId, actor) => {
+  const pledge = await getAccessiblePledge(pledgeId, actor);
+  if (pledge.donorUserId !== actor.userId && !isAdmin(actor)) {
+    throw new AppError("Only the donor can cancel this pledge", 403);
+  }
+
+  const cancelled = await pledgeRepository.cancelPledge(pledgeId);
+  if (!cancelled) {
+    throw new AppError(
+      `Only open pledges can be cancelled. Current status: ${pledge.status}`,
+      409
+    );
+  }
+
+  await logServiceEvent(
+    actor.userId,
+    DONATION_ACTIONS.PLEDGE_CANCELLED,
+    ENTITY_TYPES.PLEDGE,
+    pledgeId,
+    { campaignId: pledge.campaignId, amount: pledge.amount }
+  );
+
+  return formatPledge(cancelled);
+};
+
+/**
+ * Pays an open pledge through the normal donation flow. The pledge is
+ * fulfilled once that donation completes; a failed payment can be retried.
+ * @param {string} pledgeId
+ * @param {Object} actor - The donor
+ * @param {Object} payment - { paymentMethod, phoneNumber, donorCoversFee?, messageText? }
+ * @param {Object} context - Request details for the risk checks ({ ipAddress })
+ * @returns {Promise<Object>} createDonation result
+ */
+export const payPledge = async (pledgeId, actor, payment, context = {}) => {
+  const pledge = await getAccessiblePledge(pledgeId, actor);
+  if (pledge.donorUserId !== actor.userId) {
+    throw new AppError("Only the donor can pay this pledge", 403);
+  }
+  if (pledge.status !== "open") {
+    throw new AppError(
+      `Only open pledges can be paid. Current status: ${pledge.status}`,
+      409
+    );
+  }
+  if (pledge.paymentStatus === "pending") {
+    throw new AppError("A payment for this pledge is already in progress", 409);
+  }
+  if (pledge.campaignStatus !== "active") {
+    throw new AppError(
+      `Campaign is not accepting donations. Current status: ${pledge.campaignStatus}`,
+      422
+    );
+  }
+
+  // Only one request may start a payment; the claim ends once the donation
+  // is linked, whose pending status then keeps other payments out
+  const claimed = await pledgeRepository.claimPledgePayment(pledgeId, {
+    staleBefore: new Date(Date.now() - PAYMENT_CLAIM_MINUTES * 60 * 1000),
+  });
+  if (!claimed) {
+    throw new AppError("A payment for this pledge is already in progress", 409);
+  }
+
+  let result;
+  try {
+    result = await createDonation(
+      {
+        ...payment,
+        campaignId: pledge.campaignId,
+        amount: Number(pledge.amount),
+        currency: pledge.currency,
+        isAnonymous: pledge.isAnonymous,
+        pledgeId,
+      },
+      actor.userId,
+      context
+    );
+  } catch (error) {
+    await pledgeRepository.releasePledgePayment(pledgeId);
+    throw error;
+  }
+
+  await pledgeRepository.setPledgeDonation(
+    pledgeId,
+    result.donation.donationId
+  );
+
+  logger.info("Pledge payment initiated", {
+    pledgeId,
+    donationId: result.donation.donationId,
+  });
+
+  return result;
+};
+
+/**
+ * Fulfils the pledge a completed donation paid for
+ * @param {Object} donation - Completed donation row
+ * @returns {Promise<Object|null>} The fulfilled pledge, or null
+ */
+export const fulfillPledge = async (donation) => {
+  if (!donation?.pledgeId) return null;
+
+  const pledge = await pledgeRepository.markPledgeFulfilled(
+    donation.pledgeId,
+    donation.donationId
+  );
+  if (pledge) {
+    logger.info("Pledge fulfilled", {
+      pledgeId: pledge.pledgeId,
+      donationId: donation.donationId,
+    });
+  }
+  return pledge;
+};
+
+export default {
+  createPledge,
+  getMyPledges,
+  getCampaignPledges,
+  getPledge,
+  cancelPledge,
+  payPledge,
+  fulfillPledge,
+};
@@ -0,0 +1,65 @@
+import Joi from "joi";
+import { validate } from "../../../utils/validation.js";
+
+// Validation schemas
+const createPledgeSchema = Joi.object({
+  campaignId: Joi.string().uuid().required().messages({
+    "string.guid": "Campaign ID must be a valid UUID",
+    "any.required": "Campaign ID is required",
+  }),
+  amount: Joi.number()
+    .positive()
+    .precision(2)
+    .max(999999.99)
+    .required()
+    .messages({
+      "number.positive": "Amount must be greater than 0",
+      "number.precision": "Amount can have maximum 2 decimal places",
+      "number.max": "Amount cannot exceed 999,999.99",
+      "any.required": "Amount is required",
+    }),
+  // Defaults to the campaign's base currency
+  currency: Joi.string()
+    .length(3)
+    .pattern(/^[A-Z]{3}$/)
+    .optional(),
+  dueDate: Joi.date().iso().min("now").optional().messages({
+    "date.min": "Due date cannot be in the past",
+  }),
+  note: Joi.string().trim().max(500).optional(),
+  isAnonymous: Joi.boolean().default(false),
+});
+
+const payPledgeSchema = Joi.object({
+  paymentMethod: Joi.string().min(1).max(50).required().messages({
+    "any.required": "Payment method is required",
+  }),
+  phoneNumber: Joi.string()
+    .pattern(/^\+?[1-9]\d{1,14}$/)
+    .required()
+    .messages({
+      "string.pattern.base":
+        "Phone number must be a valid international format (e.g., +1234567890)",
+      "any.required": "Phone number is required",
+    }),
+  donorCoversFee: Joi.boolean().default(false),
+});
+
+const listPledgesSchema = Joi.object({
+  status: Joi.string().valid("open", "fulfilled", "cancelled").optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const pledgeIdSchema = Joi.object({
+  pledgeId: Joi.string().uuid().required().messages({
+    "string.guid": "Pledge ID must be a valid UUID",
+    "any.required": "Pledge ID is required",
+  }),
+});
+
+// Validation middlewares
+export const validateCreatePledge = validate(createPledgeSchema);
+export const validatePayPledge = validate(payPledgeSchema);
+export const validateListPledges = validate(listPledgesSchema, "query");
+export const validatePledgeId = validate(pledgeIdSchema, "params");
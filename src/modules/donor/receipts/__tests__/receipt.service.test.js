@@ -0,0 +1,310 @@
+// src/modules/donor/receipts/__tests__/receipt.service.test.js
+
+import {
+  formatReceiptNumber,
+  issueReceipt,
+  regenerateReceipt,
+  getReceiptPdf,
+  backfillReceipts,
+} from '../receipt.service.js';
+import * as receiptRepository from '../receipt.repository.js';
+import { renderReceiptPdf } from '../receipt.pdf.js';
+import { logServiceEvent } from '../../../audit/audit.utils.js';
+import { transaction } from '../../../../db/index.js';
+
+// Mock dependencies
+jest.mock('../receipt.repository.js');
+jest.mock('../receipt.pdf.js');
+jest.mock('../../../audit/audit.utils.js');
+jest.mock('../../../../db/index.js', () => ({
+  transaction: jest.fn(),
+}));
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('ReceiptService', () => {
+  const source = {
+    donationId: 'donation-1',
+    campaignId: 'campaign-1',
+    organizerId: 'a1b2c3d4-0000-0000-0000-000000000000',
+    donorUserId: 'donor-1',
+    status: 'completed',
+    isAnonymous: false,
+    donationDate: '2025-06-01T10:00:00Z',
+    amount: '50.00',
+    currency: 'USD',
+    baseAmount: '1325.00',
+    baseCurrency: 'ZMW',
+    exchangeRate: '26.50000000',
+    campaignName: 'Library fund',
+    donorName: 'Jane Banda',
+    donorEmail: 'jane@example.com',
+    organizationName: 'Student Union',
+    organizationShortName: 'S.U. Lusaka',
+  };
+
+  const issued = {
+    receiptId: 'receipt-2',
+    donationId: 'donation-1',
+    organizerId: source.organizerId,
+    receiptNumber: 'SULUSAKA-000002',
+    status: 'issued',
+    amount: '50.00',
+    baseAmount: '1325.00',
+    exchangeRate: '26.50000000',
+    donorName: 'Jane Banda',
+    donorEmail: 'jane@example.com',
+    supersedesReceiptId: null,
+  };
+
+  beforeEach(() => {
+    transaction.mockImplementation((callback) => callback({}));
+    receiptRepository.getReceiptSource.mockResolvedValue(source);
+    receiptRepository.nextSequenceNumber.mockResolvedValue(2);
+    receiptRepository.createReceipt.mockImplementation(async (data) => ({
+      receiptId: 'receipt-new',
+      status: 'issued',
+      ...data,
+    }));
+    renderReceiptPdf.mockResolvedValue(Buffer.from('%PDF'));
+  });
+
+  describe('formatReceiptNumber', () => {
+    it('should prefix the sequence with the organization short name', () => {
+      expect(formatReceiptNumber(source, 42)).toBe('SULUSAKA-000042');
+    });
+
+    it('should fall back to the organizer id without a short name', () => {
+      expect(
+        formatReceiptNumber({ ...source, organizationShortName: null }, 7)
+      ).toBe('A1B2C3D4-000007');
+    });
+  });
+
+  describe('issueReceipt', () => {
+    it('should number a new receipt from the organizer sequence and snapshot the details', async () => {
+      receiptRepository.getIssuedReceipt.mockResolvedValue(null);
+      receiptRepository.getLatestReceipt.mockResolvedValue(null);
+
+      const receipt = await issueReceipt('donation-1');
+
+      expect(receiptRepository.nextSequenceNumber).toHaveBeenCalledWith(
+        source.organizerId,
+        expect.anything()
+      );
+      expect(receiptRepository.createReceipt).toHaveBeenCalledWith(
+        expect.objectContaining({
+          sequenceNumber: 2,
+          receiptNumber: 'SULUSAKA-000002',
+          amount: '50.00',
+          currency: 'USD',
+          baseAmount: '1325.00',
+          donorName: 'Jane Banda',
+          organization: expect.objectContaining({
+            organizationName: 'Student Union',
+          }),
+          supersedesReceiptId: null,
+        }),
+        expect.anything()
+      );
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        null,
+        'DONATION_RECEIPT_ISSUED',
+        'DonationReceipt',
+        'receipt-new',
+        expect.objectContaining({ receiptNumber: 'SULUSAKA-000002' })
+      );
+      expect(receipt.receiptNumber).toBe('SULUSAKA-000002');
+    });
+
+    it('should keep the existing receipt instead of issuing a second one', async () => {
+      receiptRepository.getIssuedReceipt.mockResolvedValue(issued);
+
+      const receipt = await issueReceipt('donation-1');
+
+      expect(receipt).toBe(issued);
+      expect(receiptRepository.nextSequenceNumber).not.toHaveBeenCalled();
+      expect(logServiceEvent).not.toHaveBeenCalled();
+    });
+
+    it('should refuse donations that are not completed', async () => {
+      receiptRepository.getIssuedReceipt.mockResolvedValue(null);
+      receiptRepository.getReceiptSource.mockResolvedValue({
+        ...source,
+        status: 'refunded',
+      });
+
+      await expect(issueReceipt('donation-1')).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      expect(receiptRepository.createReceipt).not.toHaveBeenCalled();
+    });
+
+    it('should not issue receipts for match donations', async () => {
+      receiptRepository.getReceiptSource.mockResolvedValue({
+        ...source,
+        matchPoolId: 'pool-1',
+      });
+
+      await expect(issueReceipt('donation-1')).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      expect(receiptRepository.createReceipt).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('regenerateReceipt', () => {
+    it('should void the current receipt and issue one that supersedes it', async () => {
+      const voided = { ...issued, status: 'voided', voidReason: 'Typo' };
+      receiptRepository.voidIssuedReceipt.mockResolvedValue(voided);
+      receiptRepository.getLatestReceipt.mockResolvedValue(voided);
+      receiptRepository.nextSequenceNumber.mockResolvedValue(3);
+
+      const result = await regenerateReceipt(
+        'donation-1',
+        { userId: 'admin-1', userType: 'superAdmin' },
+        { reason: 'Typo' }
+      );
+
+      expect(receiptRepository.voidIssuedReceipt).toHaveBeenCalledWith(
+        'donation-1',
+        { voidReason: 'Typo', voidedByUserId: 'admin-1' },
+        expect.anything()
+      );
+      expect(result.receipt).toEqual(
+        expect.objectContaining({
+          receiptNumber: 'SULUSAKA-000003',
+          supersedesReceiptId: 'receipt-2',
+          issuedByUserId: 'admin-1',
+        })
+      );
+      expect(result.voidedReceipt.status).toBe('voided');
+    });
+
+    it('should not let donors regenerate receipts', async () => {
+      await expect(
+        regenerateReceipt('donation-1', {
+          userId: 'donor-1',
+          userType: 'individualUser',
+        })
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getReceiptPdf', () => {
+    beforeEach(() => {
+      receiptRepository.getIssuedReceipt.mockResolvedValue(issued);
+      receiptRepository.getLatestReceipt.mockResolvedValue(issued);
+    });
+
+    it('should render the current receipt for the donor', async () => {
+      const { receipt, pdf } = await getReceiptPdf('donation-1', {
+        userId: 'donor-1',
+        userType: 'individualUser',
+      });
+
+      expect(renderReceiptPdf).toHaveBeenCalledWith(
+        issued,
+        expect.objectContaining({ hideDonor: false })
+      );
+      expect(receipt.amount).toBe(50);
+      expect(pdf.toString()).toBe('%PDF');
+    });
+
+    it('should hide an anonymous donor from the organizer', async () => {
+      receiptRepository.getReceiptSource.mockResolvedValue({
+        ...source,
+        isAnonymous: true,
+      });
+
+      const { receipt } = await getReceiptPdf('donation-1', {
+        userId: source.organizerId,
+        userType: 'organizationUser',
+      });
+
+      expect(renderReceiptPdf).toHaveBeenCalledWith(
+        issued,
+        expect.objectContaining({ hideDonor: true })
+      );
+      expect(receipt.donorName).toBeNull();
+      expect(receipt.donorEmail).toBeNull();
+    });
+
+    it('should only read receipts, even on a refunded donation', async () => {
+      receiptRepository.getReceiptSource.mockResolvedValue({
+        ...source,
+        status: 'refunded',
+      });
+
+      await getReceiptPdf('donation-1', {
+        userId: 'donor-1',
+        userType: 'individualUser',
+      });
+
+      expect(receiptRepository.voidIssuedReceipt).not.toHaveBeenCalled();
+      expect(receiptRepository.createReceipt).not.toHaveBeenCalled();
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    it('should refuse anyone who is not the donor, organizer or an admin', async () => {
+      await expect(
+        getReceiptPdf('donation-1', {
+          userId: 'someone-else',
+          userType: 'individualUser',
+        })
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(renderReceiptPdf).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('backfillReceipts', () => {
+    it('should issue missing receipts and void those left on refunds', async () => {
+      receiptRepository.findDonationsWithStaleReceipts
+        .mockResolvedValueOnce([
+          { donationId: 'donation-1', status: 'completed' },
+          { donationId: 'donation-2', status: 'refunded' },
+        ])
+        .mockResolvedValueOnce([]);
+      receiptRepository.voidIssuedReceipt.mockResolvedValue({
+        ...issued,
+        donationId: 'donation-2',
+        status: 'voided',
+      });
+
+      const result = await backfillReceipts();
+
+      expect(result).toEqual({ issued: 1, voided: 1, failures: [] });
+      expect(receiptRepository.createReceipt).toHaveBeenCalledWith(
+        expect.objectContaining({ donationId: 'donation-1' }),
+        expect.anything()
+      );
+      expect(receiptRepository.voidIssuedReceipt).toHaveBeenCalledWith(
+        'donation-2',
+        expect.objectContaining({ voidReason: 'Donation refunded' })
+      );
+    });
+
+    it('should stop once a batch only returns donations it already tried', async () => {
+      receiptRepository.findDonationsWithStaleReceipts.mockResolvedValue([
+        { donationId: 'donation-1', status: 'completed' },
+      ]);
+      receiptRepository.nextSequenceNumber.mockRejectedValue(
+        new Error('connection lost')
+      );
+
+      const result = await backfillReceipts();
+
+      expect(result.issued).toBe(0);
+      expect(result.failures).toEqual([
+        { donationId: 'donation-1', error: 'connection lost' },
+      ]);
+      expect(
+        receiptRepository.findDonationsWithStaleReceipts
+      ).toHaveBeenCalledTimes(2);
+    });
+  });
+});
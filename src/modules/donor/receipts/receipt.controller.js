@@ -0,0 +1,46 @@
+import * as receiptService from "./receipt.service.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+export const getDonationReceipts = async (req, res) => {
+  const result = await receiptService.getDonationReceipts(
+    req.params.donationId,
+    req.user
+  );
+
+  return ResponseFactory.ok(
+    res,
+    "Donation receipts retrieved successfully",
+    result
+  );
+};
+
+export const downloadReceipt = async (req, res) => {
+  const { receipt, pdf } = await receiptService.getReceiptPdf(
+    req.params.donationId,
+    req.user,
+    { receiptId: req.query.receiptId }
+  );
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="receipt-${receipt.receiptNumber}.pdf"`
+  );
+  return res.send(pdf);
+};
+
+export const regenerateReceipt = async (req, res) => {
+  const result = await receiptService.regenerateReceipt(
+    req.params.donationId,
+    req.user,
+    { reason: req.body.reason }
+  );
+
+  return ResponseFactory.created(res, "Donation receipt regenerated", result);
+};
+
+export default {
+  getDonationReceipts,
+  downloadReceipt,
+  regenerateReceipt,
+};
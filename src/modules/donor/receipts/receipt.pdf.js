@@ -0,0 +1,127 @@
+import PDFDocument from "pdfkit";
+
+const formatMoney = (amount, currency) =>
+  new Intl.NumberFormat("en-ZM", {
+    style: "currency",
+    currency: currency || "ZMW",
+  }).format(Number(amount) || 0);
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+
+const row = (doc, label, value) => {
+  const y = doc.y;
+  doc.font("Helvetica-Bold").text(label, 50, y, { width: 150 });
+  doc.font("Helvetica").text(value || "-", 200, y, { width: 345 });
+  doc.moveDown(0.4);
+};
+
+/**
+ * Renders a receipt row (from donationReceipts) as a single-page A4 PDF.
+ * Everything printed comes from the receipt's own snapshot, so a receipt
+ * downloaded later looks exactly as it did when it was issued.
+ * @param {Object} receipt - Receipt row
+ * @param {Object} [options]
+ * @param {boolean} [options.hideDonor] - Leave out the donor's name and email
+ * @param {string} [options.supersedesReceiptNumber] - Number of the receipt this one replaces
+ * @returns {Promise<Buffer>}
+ */
+export const renderReceiptPdf = (receipt, options = {}) =>
+  new Promise((resolve, reject) => {
+    const org = receipt.organization || {};
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: {
+        Title: `Donation receipt ${receipt.receiptNumber}`,
+        Author: org.organizationName || "",
+      },
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // Organization header
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(18)
+      .text(org.organizationName || "Campaign organizer");
+    doc.font("Helvetica").fontSize(10).fillColor("#444444");
+    [
+      org.address,
+      org.officialEmail,
+      org.officialWebsiteUrl,
+      org.primaryContactPersonPhone,
+    ]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line));
+    doc.fillColor("#000000").moveDown(1.5);
+
+    doc.font("Helvetica-Bold").fontSize(16).text("Donation Receipt");
+    doc.moveDown(0.8).fontSize(11);
+
+    row(doc, "Receipt number", receipt.receiptNumber);
+    row(doc, "Date issued", formatDate(receipt.issuedAt));
+    row(doc, "Donation date", formatDate(receipt.donationDate));
+    row(doc, "Donation ID", receipt.donationId);
+    if (options.supersedesReceiptNumber) {
+      row(doc, "Replaces receipt", options.supersedesReceiptNumber);
+    }
+    doc.moveDown(0.6);
+
+    row(
+      doc,
+      "Received from",
+      options.hideDonor ? "Anonymous donor" : receipt.donorName || "Donor"
+    );
+    if (!options.hideDonor && receipt.donorEmail) {
+      row(doc, "Email", receipt.donorEmail);
+    }
+    row(doc, "Campaign", receipt.campaignName);
+    row(doc, "Amount", formatMoney(receipt.amount, receipt.currency));
+    if (receipt.currency !== receipt.baseCurrency) {
+      row(
+        doc,
+        "Amount credited",
+        `${formatMoney(receipt.baseAmount, receipt.baseCurrency)} (rate ${Number(
+          receipt.exchangeRate
+        )})`
+      );
+    }
+
+    doc.moveDown(1.5).fontSize(10).fillColor("#444444");
+    doc.text(
+      `${
+        org.organizationName || "The organizer"
+      } confirms receipt of this donation. No goods or services were provided in exchange for it.`,
+      50,
+      doc.y,
+      { width: 495 }
+    );
+
+    if (receipt.status === "voided") {
+      doc
+        .moveDown(1.5)
+        .fillColor("#B00020")
+        .font("Helvetica-Bold")
+        .fontSize(12);
+      doc.text(
+        `VOID - this receipt was voided on ${formatDate(receipt.voidedAt)}${
+          receipt.voidReason ? `: ${receipt.voidReason}` : ""
+        }`,
+        50,
+        doc.y,
+        { width: 495 }
+      );
+    }
+
+    doc.end();
+  });
+
+export default { renderReceiptPdf };
@@ -0,0 +1,196 @@
+import { db } from "../../../db/index.js";
+
+/**
+ * Hands out the organizer's next receipt number. The sequence row stays
+ * locked until the surrounding transaction ends, so concurrent issues queue
+ * up and a rolled-back issue does not leave a gap.
+ */
+export const nextSequenceNumber = async (organizerId, client) => {
+  const result = await client.query(
+    `INSERT INTO "receiptSequences" ("organizerId", "lastNumber")
+     VALUES ($1, 1)
+     ON CONFLICT ("organizerId")
+     DO UPDATE SET "lastNumber" = "receiptSequences"."lastNumber" + 1,
+                   "updatedAt" = CURRENT_TIMESTAMP
+     RETURNING "lastNumber"`,
+    [organizerId]
+  );
+
+  return Number(result.rows[0].lastNumber);
+};
+
+/**
+ * Everything printed on a receipt: the donation, its campaign, the donor's
+ * name and email and the organizer's organization profile
+ */
+export const getReceiptSource = async (donationId, client = null) => {
+  const executor = client || db;
+  const result = await executor.query(
+    `SELECT d."donationId", d."campaignId", d."donorUserId", d."status",
+            d."isAnonymous", d."donationDate", d."amount", d."currency",
+            d."baseAmount", d."baseCurrency", d."exchangeRate", d."matchPoolId",
+            COALESCE(d."organizerId", c."organizerId") AS "organizerId",
+            c."name" AS "campaignName",
+            COALESCE(u."email", od."donorEmail") AS "donorEmail",
+            COALESCE(
+              NULLIF(TRIM(CONCAT_WS(' ', ip."firstName", ip."lastName")), ''),
+              od."donorName"
+            ) AS "donorName",
+            op."organizationName", op."organizationShortName", op."officialEmail",
+            op."officialWebsiteUrl", op."address",
+            op."primaryContactPersonName", op."primaryContactPersonEmail",
+            op."primaryContactPersonPhone"
+     FROM "donations" d
+     JOIN "campaigns" c ON c."campaignId" = d."campaignId"
+     LEFT JOIN "users" u ON u."userId" = d."donorUserId"
+     LEFT JOIN "individualProfiles" ip ON ip."userId" = d."donorUserId"
+     LEFT JOIN "offlineDonations" od
+       ON od."offlineDonationId" = d."offlineDonationId"
+     LEFT JOIN "organizationProfiles" op
+       ON op."userId" = COALESCE(d."organizerId", c."organizerId")
+     WHERE d."donationId" = $1`,
+    [donationId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const createReceipt = async (data, client) => {
+  const result = await client.query(
+    `INSERT INTO "donationReceipts" (
+      "donationId", "organizerId", "sequenceNumber", "receiptNumber",
+      "amount", "currency", "baseAmount", "baseCurrency", "exchangeRate",
+      "donationDate", "campaignId", "campaignName", "donorUserId",
+      "donorName", "donorEmail", "organization", "supersedesReceiptId",
+      "issuedByUserId"
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+    RETURNING *`,
+    [
+      data.donationId,
+      data.organizerId,
+      data.sequenceNumber,
+      data.receiptNumber,
+      data.amount,
+      data.currency,
+      data.baseAmount,
+      data.baseCurrency,
+      data.exchangeRate,
+      data.donationDate,
+      data.campaignId,
+      data.campaignName || null,
+      data.donorUserId || null,
+      data.donorName || null,
+      data.donorEmail || null,
+      JSON.stringify(data.organization || {}),
+      data.supersedesReceiptId || null,
+      data.issuedByUserId || null,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+export const getIssuedReceipt = async (donationId, client = null) => {
+  const executor = client || db;
+  const result = await executor.query(
+    `SELECT * FROM "donationReceipts"
+     WHERE "donationId" = $1 AND "status" = 'issued'`,
+    [donationId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Every receipt ever issued for a donation, newest first
+ */
+export const getReceiptsByDonation = async (donationId) => {
+  const result = await db.query(
+    `SELECT * FROM "donationReceipts"
+     WHERE "donationId" = $1
+     ORDER BY "issuedAt" DESC, "sequenceNumber" DESC`,
+    [donationId]
+  );
+
+  return result.rows;
+};
+
+export const getLatestReceipt = async (donationId, client = null) => {
+  const executor = client || db;
+  const result = await executor.query(
+    `SELECT * FROM "donationReceipts"
+     WHERE "donationId" = $1
+     ORDER BY "issuedAt" DESC, "sequenceNumber" DESC
+     LIMIT 1`,
+    [donationId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const getReceiptById = async (receiptId) => {
+  const result = await db.query(
+    `SELECT * FROM "donationReceipts" WHERE "receiptId" = $1`,
+    [receiptId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Voids the donation's valid receipt, if it has one
+ */
+export const voidIssuedReceipt = async (
+  donationId,
+  { voidReason, voidedByUserId },
+  client = null
+) => {
+  const executor = client || db;
+  const result = await executor.query(
+    `UPDATE "donationReceipts"
+     SET "status" = 'voided',
+         "voidedAt" = CURRENT_TIMESTAMP,
+         "voidReason" = $2,
+         "voidedByUserId" = $3
+     WHERE "donationId" = $1 AND "status" = 'issued'
+     RETURNING *`,
+    [donationId, voidReason || null, voidedByUserId || null]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Donations whose receipts do not match their status: completed ones with
+ * no valid receipt (e.g. completed before receipts existed) and refunded
+ * ones that still hold one. Match donations never get a receipt.
+ */
+export const findDonationsWithStaleReceipts = async ({ limit = 500 } = {}) => {
+  const result = await db.query(
+    `SELECT d."donationId", d."status"
+     FROM "donations" d
+     WHERE d."status" IN ('completed', 'refunded')
+       AND d."matchPoolId" IS NULL
+       AND (d."status" = 'completed') <> EXISTS (
+         SELECT 1 FROM "donationReceipts" r
+         WHERE r."donationId" = d."donationId" AND r."status" = 'issued'
+       )
+     ORDER BY d."donationDate" ASC
+     LIMIT $1`,
+    [limit]
+  );
+
+  return result.rows;
+};
+
+export default {
+  nextSequenceNumber,
+  getReceiptSource,
+  createReceipt,
+  getIssuedReceipt,
+  getReceiptsByDonation,
+  getLatestReceipt,
+  getReceiptById,
+  voidIssuedReceipt,
+  findDonationsWithStaleReceipts,
+};
@@ -0,0 +1,40 @@
+import { Router } from "express";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import { authenticate } from "../../../middlewares/auth.middleware.js";
+import {
+  getDonationReceipts,
+  downloadReceipt,
+  regenerateReceipt,
+} from "./receipt.controller.js";
+import {
+  validateDownloadReceipt,
+  validateRegenerateReceipt,
+} from "./receipt.validation.js";
+import { validateDonationId } from "../donation/donation.validation.js";
+
+const router = Router();
+
+// Mounted alongside the donation routes, so authenticate per route rather
+// than with router.use
+router.get(
+  "/:donationId/receipt",
+  authenticate,
+  validateDonationId,
+  catchAsync(getDonationReceipts)
+);
+router.get(
+  "/:donationId/receipt/pdf",
+  authenticate,
+  validateDonationId,
+  validateDownloadReceipt,
+  catchAsync(downloadReceipt)
+);
+router.post(
+  "/:donationId/receipt/regenerate",
+  authenticate,
+  validateDonationId,
+  validateRegenerateReceipt,
+  catchAsync(regenerateReceipt)
+);
+
+export default router;
@@ -0,0 +1,355 @@
+import * as receiptRepository from "./receipt.repository.js";
+import { renderReceiptPdf } from "./receipt.pdf.js";
+import { logServiceEvent } from "../../audit/audit.utils.js";
+import { DONATION_ACTIONS, ENTITY_TYPES } from "../../audit/audit.constants.js";
+import { transaction } from "../../../db/index.js";
+import { AppError } from "../../../utils/appError.js";
+import logger from "../../../utils/logger.js";
+
+const RECEIPT_ADMIN_ROLES = ["superAdmin", "financialAdmin", "supportAdmin"];
+
+/**
+ * Receipt numbers read PREFIX-000042, where the prefix is the organization's
+ * short name (letters and digits only) or, without one, the start of the
+ * organizer's id. The sequence itself is per organizer.
+ */
+export const formatReceiptNumber = (source, sequenceNumber) => {
+  const prefix =
+    String(source.organizationShortName || "")
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, "")
+      .slice(0, 12) ||
+    String(source.organizerId).replace(/-/g, "").slice(0, 8).toUpperCase();
+  return `${prefix}-${String(sequenceNumber).padStart(6, "0")}`;
+};
+
+const organizationSnapshot = (source) => ({
+  organizationName: source.organizationName || null,
+  organizationShortName: source.organizationShortName || null,
+  officialEmail: source.officialEmail || null,
+  officialWebsiteUrl: source.officialWebsiteUrl || null,
+  address: source.address || null,
+  primaryContactPersonName: source.primaryContactPersonName || null,
+  primaryContactPersonEmail: source.primaryContactPersonEmail || null,
+  primaryContactPersonPhone: source.primaryContactPersonPhone || null,
+});
+
+const isAdmin = (actor) => RECEIPT_ADMIN_ROLES.includes(actor?.userType);
+
+/**
+ * Donors see their own receipts; organizers see receipts for their campaigns
+ * but not who gave anonymously
+ * @returns {Object} { hideDonor }
+ */
+const assertCanView = (source, actor) => {
+  if (!source) {
+    throw new AppError("Donation not found", 404);
+  }
+  const isDonor = !!actor?.userId && source.donorUserId === actor.userId;
+  if (!isDonor && !isAdmin(actor) && source.organizerId !== actor?.userId) {
+    throw new AppError("You are not allowed to view this receipt", 403);
+  }
+  return { hideDonor: source.isAnonymous && !isDonor && !isAdmin(actor) };
+};
+
+const formatReceipt = (receipt, { hideDonor = false } = {}) => ({
+  ...receipt,
+  amount: Number(receipt.amount),
+  baseAmount: Number(receipt.baseAmount),
+  exchangeRate: Number(receipt.exchangeRate),
+  donorName: hideDonor ? null : receipt.donorName,
+  donorEmail: hideDonor ? null : receipt.donorEmail,
+});
+
+// Creates the next receipt for a completed donation inside the caller's transaction
+const insertReceipt = async (client, donationId, issuedByUserId) => {
+  const source = await receiptRepository.getReceiptSource(donationId, client);
+  if (!source) {
+    throw new AppError("Donation not found", 404);
+  }
+  if (source.status !== "completed") {
+    throw new AppError(
+      `Receipts are only issued for completed donations. Current status: ${source.status}`,
+      409
+    );
+  }
+  // A match is drawn from the sponsor's pledged pool, not given by them;
+  // the donation it matches carries the receipt
+  if (source.matchPoolId) {
+    throw new AppError("Match donations do not get receipts", 409);
+  }
+
+  // A reissue points at the receipt it replaces
+  const previous = await receiptRepository.getLatestReceipt(donationId, client);
+  const sequenceNumber = await receiptRepository.nextSequenceNumber(
+    source.organizerId,
+    client
+  );
+
+  return receiptRepository.createReceipt(
+    {
+      donationId,
+      organizerId: source.organizerId,
+      sequenceNumber,
+      receiptNumber: formatReceiptNumber(source, sequenceNumber),
+      amount: source.amount,
+      currency: source.currency,
+      baseAmount: source.baseAmount,
+      baseCurrency: source.baseCurrency,
+      exchangeRate: source.exchangeRate,
+      donationDate: source.donationDate,
+      campaignId: source.campaignId,
+      campaignName: source.campaignName,
+      donorUserId: source.donorUserId,
+      donorName: source.donorName,
+      donorEmail: source.donorEmail,
+      organization: organizationSnapshot(source),
+      supersedesReceiptId: previous?.receiptId || null,
+      issuedByUserId,
+    },
+    client
+  );
+};
+
+const logReceiptIssued = async (receipt, actorId) => {
+  logger.info("Donation receipt issued", {
+    receiptId: receipt.receiptId,
+    donationId: receipt.donationId,
+    receiptNumber: receipt.receiptNumber,
+  });
+  await logServiceEvent(
+    actorId || null,
+    DONATION_ACTIONS.DONATION_RECEIPT_ISSUED,
+    ENTITY_TYPES.DONATION_RECEIPT,
+    receipt.receiptId,
+    {
+      donationId: receipt.donationId,
+      organizerId: receipt.organizerId,
+      receiptNumber: receipt.receiptNumber,
+      supersedesReceiptId: receipt.supersedesReceiptId,
+    }
+  );
+};
+
+const logReceiptVoided = async (receipt, actorId) => {
+  logger.info("Donation receipt voided", {
+    receiptId: receipt.receiptId,
+    donationId: receipt.donationId,
+    receiptNumber: receipt.receiptNumber,
+    reason: receipt.voidReason,
+  });
+  await logServiceEvent(
+    actorId || null,
+    DONATION_ACTIONS.DONATION_RECEIPT_VOIDED,
+    ENTITY_TYPES.DONATION_RECEIPT,
+    receipt.receiptId,
+    {
+      donationId: receipt.donationId,
+      receiptNumber: receipt.receiptNumber,
+      reason: receipt.voidReason,
+    }
+  );
+};
+
+/**
+ * Issues a receipt for a completed donation. Safe to call more than once:
+ * a donation that already has a valid receipt keeps it.
+ * @param {string} donationId
+ * @param {Object} [options]
+ * @param {string} [options.issuedByUserId] - Omitted when issued on payment
+ * @returns {Promise<Object>} The donation's valid receipt
+ */
+export const issueReceipt = async (donationId, { issuedByUserId } = {}) => {
+  let created = null;
+  try {
+    created = await transaction(async (client) => {
+      const existing = await receiptRepository.getIssuedReceipt(
+        donationId,
+        client
+      );
+      if (existing) return null;
+      return insertReceipt(client, donationId, issuedByUserId || null);
+    });
+  } catch (error) {
+    // Lost a race with a concurrent issue; theirs is the valid receipt
+    if (error.code !== "23505") throw error;
+  }
+
+  if (!created) {
+    return receiptRepository.getIssuedReceipt(donationId);
+  }
+
+  await logReceiptIssued(created, issuedByUserId);
+  return created;
+};
+
+/**
+ * Voids the donation's valid receipt, e.g. after a refund
+ * @returns {Promise<Object|null>} The voided receipt, or null if there was none
+ */
+export const voidReceipt = async (
+  donationId,
+  { reason, voidedByUserId } = {}
+) => {
+  const voided = await receiptRepository.voidIssuedReceipt(donationId, {
+    voidReason: reason,
+    voidedByUserId,
+  });
+  if (voided) {
+    await logReceiptVoided(voided, voidedByUserId);
+  }
+  return voided;
+};
+
+/**
+ * Replaces a donation's receipt with a freshly numbered one, picking up
+ * corrected organization or donor details. The old receipt is voided.
+ * @param {string} donationId
+ * @param {Object} actor - Authenticated user ({ userId, userType })
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @returns {Promise<Object>} { receipt, voidedReceipt }
+ */
+export const regenerateReceipt = async (donationId, actor, { reason } = {}) => {
+  const source = await receiptRepository.getReceiptSource(donationId);
+  if (!source) {
+    throw new AppError("Donation not found", 404);
+  }
+  if (!isAdmin(actor) && source.organizerId !== actor?.userId) {
+    throw new AppError("You are not allowed to regenerate this receipt", 403);
+  }
+
+  const { receipt, voidedReceipt } = await transaction(async (client) => {
+    const voidedReceipt = await receiptRepository.voidIssuedReceipt(
+      donationId,
+      {
+        voidReason: reason || "Replaced by a regenerated receipt",
+        voidedByUserId: actor.userId,
+      },
+      client
+    );
+    const receipt = await insertReceipt(client, donationId, actor.userId);
+    return { receipt, voidedReceipt };
+  });
+
+  if (voidedReceipt) {
+    await logReceiptVoided(voidedReceipt, actor.userId);
+  }
+  await logReceiptIssued(receipt, actor.userId);
+
+  return {
+    receipt: formatReceipt(receipt),
+    voidedReceipt: voidedReceipt ? formatReceipt(voidedReceipt) : null,
+  };
+};
+
+/**
+ * Issues receipts for completed donations that have none and voids those
+ * left on refunded donations. Runs on startup for donations from before
+ * receipts were issued on payment; later status changes issue and void
+ * their receipts as they happen. Stops once a batch brings up no donation
+ * it has not already tried.
+ */
+export const backfillReceipts = async ({ batchSize = 500 } = {}) => {
+  const attempted = new Set();
+  let issued = 0;
+  let voided = 0;
+  const failures = [];
+  for (;;) {
+    const batch = await receiptRepository.findDonationsWithStaleReceipts({
+      limit: batchSize,
+    });
+    const fresh = batch.filter((d) => !attempted.has(d.donationId));
+    if (fresh.length === 0) break;
+
+    for (const { donationId, status } of fresh) {
+      attempted.add(donationId);
+      try {
+        if (status === "completed") {
+          await issueReceipt(donationId);
+          issued++;
+        } else if (
+          await voidReceipt(donationId, { reason: "Donation refunded" })
+        ) {
+          voided++;
+        }
+      } catch (error) {
+        logger.error("Receipt backfill failed for donation", {
+          donationId,
+          error: error.message,
+        });
+        failures.push({ donationId, error: error.message });
+      }
+    }
+  }
+
+  if (attempted.size > 0) {
+    logger.info("Receipt backfill completed", {
+      issued,
+      voided,
+      failed: failures.length,
+    });
+  }
+
+  return { issued, voided, failures };
+};
+
+/**
+ * The donation's valid receipt and every earlier one
+ * @returns {Promise<Object>} { current, receipts }
+ */
+export const getDonationReceipts = async (donationId, actor) => {
+  const source = await receiptRepository.getReceiptSource(donationId);
+  const { hideDonor } = assertCanView(source, actor);
+
+  const receipts = (
+    await receiptRepository.getReceiptsByDonation(donationId)
+  ).map((receipt) => formatReceipt(receipt, { hideDonor }));
+
+  return {
+    current: receipts.find((receipt) => receipt.status === "issued") || null,
+    receipts,
+  };
+};
+
+/**
+ * Renders a receipt as PDF. Defaults to the valid receipt, or the latest
+ * (voided) one for a refunded donation.
+ * @param {string} donationId
+ * @param {Object} actor - Authenticated user ({ userId, userType })
+ * @param {Object} [options]
+ * @param {string} [options.receiptId] - A specific earlier receipt
+ * @returns {Promise<Object>} { receipt, pdf }
+ */
+export const getReceiptPdf = async (donationId, actor, { receiptId } = {}) => {
+  const source = await receiptRepository.getReceiptSource(donationId);
+  const { hideDonor } = assertCanView(source, actor);
+
+  const receipt = receiptId
+    ? await receiptRepository.getReceiptById(receiptId)
+    : await receiptRepository.getLatestReceipt(donationId);
+  if (!receipt || receipt.donationId !== donationId) {
+    throw new AppError("Receipt not found", 404);
+  }
+
+  const supersedes = receipt.supersedesReceiptId
+    ? await receiptRepository.getReceiptById(receipt.supersedesReceiptId)
+    : null;
+
+  const pdf = await renderReceiptPdf(receipt, {
+    hideDonor,
+    supersedesReceiptNumber: supersedes?.receiptNumber,
+  });
+
+  return { receipt: formatReceipt(receipt, { hideDonor }), pdf };
+};
+
+export default {
+  formatReceiptNumber,
+  issueReceipt,
+  voidReceipt,
+  regenerateReceipt,
+  getDonationReceipts,
+  getReceiptPdf,
+  backfillReceipts,
+};
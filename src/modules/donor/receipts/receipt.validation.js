@@ -0,0 +1,17 @@
+import Joi from "joi";
+import { validate } from "../../../utils/validation.js";
+
+// Validation schemas
+const downloadReceiptSchema = Joi.object({
+  receiptId: Joi.string().uuid().optional().messages({
+    "string.guid": "Receipt ID must be a valid UUID",
+  }),
+});
+
+const regenerateReceiptSchema = Joi.object({
+  reason: Joi.string().trim().max(500).optional(),
+});
+
+// Validation middlewares
+export const validateDownloadReceipt = validate(downloadReceiptSchema, "query");
+export const validateRegenerateReceipt = validate(regenerateReceiptSchema);
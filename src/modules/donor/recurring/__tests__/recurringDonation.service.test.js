@@ -0,0 +1,209 @@
+// src/modules/donor/recurring/__tests__/recurringDonation.service.test.js
+
+import {
+  addMonth,
+  chargeRecurringDonation,
+  settlePendingCharges,
+} from '../recurringDonation.service.js';
+import * as recurringRepository from '../recurringDonation.repository.js';
+import { createDonation } from '../../donation/donation.service.js';
+import { getCampaignById } from '../../../campaign/campaigns/campaign.service.js';
+
+// Mock dependencies
+jest.mock('../recurringDonation.repository.js');
+jest.mock('../../donation/donation.service.js', () => ({
+  createDonation: jest.fn(),
+}));
+jest.mock('../../../campaign/campaigns/campaign.service.js', () => ({
+  getCampaignById: jest.fn(),
+}));
+jest.mock('../../../notifications/notification.service.js', () => ({
+  __esModule: true,
+  default: { createAndDispatch: jest.fn() },
+}));
+jest.mock('../../../audit/audit.utils.js', () => ({
+  logServiceEvent: jest.fn(),
+}));
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const plan = {
+  recurringDonationId: 'plan-1',
+  donorUserId: 'donor-1',
+  campaignId: 'campaign-1',
+  amount: '50.00',
+  currency: 'ZMW',
+  paymentMethod: 'mobile_money',
+  phoneNumber: '+260971234567',
+  isAnonymous: false,
+  donorCoversFee: false,
+  dayOfMonth: 15,
+  status: 'active',
+  currentPeriodStart: '2026-01-15',
+  failedAttempts: 0,
+};
+
+describe('RecurringDonationService', () => {
+  beforeEach(() => {
+    recurringRepository.updateRecurringDonation.mockImplementation(
+      async (id, update) => ({ ...plan, ...update })
+    );
+    recurringRepository.settleCharge.mockImplementation(
+      async (chargeId, { status }) => ({ chargeId, status, attempt: 1 })
+    );
+    recurringRepository.getRecurringDonationById.mockResolvedValue(plan);
+  });
+
+  describe('addMonth', () => {
+    it('should roll December over into the next year', () => {
+      expect(addMonth('2026-12-15', 15)).toBe('2027-01-15');
+      expect(addMonth('2026-01-28', 28)).toBe('2026-02-28');
+    });
+  });
+
+  describe('chargeRecurringDonation', () => {
+    it('should create a normal donation and a pending charge', async () => {
+      getCampaignById.mockResolvedValue({ status: 'active' });
+      createDonation.mockResolvedValue({
+        donation: { donationId: 'donation-1' },
+        transaction: { transactionId: 'txn-1' },
+      });
+      recurringRepository.createCharge.mockResolvedValue({
+        chargeId: 'charge-1',
+        status: 'pending',
+      });
+
+      const charge = await chargeRecurringDonation(plan);
+
+      expect(createDonation).toHaveBeenCalledWith(
+        expect.objectContaining({
+          campaignId: 'campaign-1',
+          amount: 50,
+          recurringDonationId: 'plan-1',
+        }),
+        'donor-1'
+      );
+      expect(recurringRepository.createCharge).toHaveBeenCalledWith(
+        expect.objectContaining({
+          donationId: 'donation-1',
+          transactionId: 'txn-1',
+          periodStart: '2026-01-15',
+          attempt: 1,
+        })
+      );
+      expect(charge.status).toBe('pending');
+    });
+
+    it('should end the plan when the campaign no longer accepts donations', async () => {
+      getCampaignById.mockResolvedValue({ status: 'completed' });
+
+      const charge = await chargeRecurringDonation(plan);
+
+      expect(charge).toBeNull();
+      expect(createDonation).not.toHaveBeenCalled();
+      expect(recurringRepository.updateRecurringDonation).toHaveBeenCalledWith(
+        'plan-1',
+        expect.objectContaining({ status: 'ended', nextChargeAt: null })
+      );
+    });
+
+    it('should defer the charge while the campaign is paused', async () => {
+      getCampaignById.mockResolvedValue({ status: 'paused' });
+
+      const charge = await chargeRecurringDonation(plan);
+
+      expect(charge).toBeNull();
+      expect(createDonation).not.toHaveBeenCalled();
+      const [, update] =
+        recurringRepository.updateRecurringDonation.mock.calls[0];
+      expect(update.status).toBeUndefined();
+      expect(update.nextChargeAt.getTime()).toBeGreaterThan(Date.now());
+    });
+  });
+
+  describe('settlePendingCharges', () => {
+    it('should advance to the next period after a successful charge', async () => {
+      recurringRepository.getPendingCharges.mockResolvedValue([
+        {
+          chargeId: 'charge-1',
+          recurringDonationId: 'plan-1',
+          donationStatus: 'completed',
+          createdAt: new Date(),
+        },
+      ]);
+
+      const settled = await settlePendingCharges();
+
+      expect(settled).toBe(1);
+      expect(recurringRepository.updateRecurringDonation).toHaveBeenCalledWith(
+        'plan-1',
+        expect.objectContaining({
+          status: 'active',
+          currentPeriodStart: '2026-02-15',
+          failedAttempts: 0,
+        })
+      );
+    });
+
+    it('should schedule a retry when a charge fails', async () => {
+      recurringRepository.getPendingCharges.mockResolvedValue([
+        {
+          chargeId: 'charge-1',
+          recurringDonationId: 'plan-1',
+          donationStatus: 'failed',
+          createdAt: new Date(),
+        },
+      ]);
+
+      await settlePendingCharges();
+
+      expect(recurringRepository.updateRecurringDonation).toHaveBeenCalledWith(
+        'plan-1',
+        expect.objectContaining({ status: 'past_due', failedAttempts: 1 })
+      );
+    });
+
+    it('should cancel the plan after the last failed attempt', async () => {
+      recurringRepository.getPendingCharges.mockResolvedValue([
+        {
+          chargeId: 'charge-3',
+          recurringDonationId: 'plan-1',
+          donationStatus: 'failed',
+          createdAt: new Date(),
+        },
+      ]);
+      recurringRepository.settleCharge.mockResolvedValue({
+        chargeId: 'charge-3',
+        status: 'failed',
+        attempt: 3,
+      });
+
+      await settlePendingCharges();
+
+      expect(recurringRepository.updateRecurringDonation).toHaveBeenCalledWith(
+        'plan-1',
+        expect.objectContaining({ status: 'cancelled', nextChargeAt: null })
+      );
+    });
+
+    it('should leave charges that are still awaiting payment', async () => {
+      recurringRepository.getPendingCharges.mockResolvedValue([
+        {
+          chargeId: 'charge-1',
+          recurringDonationId: 'plan-1',
+          donationStatus: 'pending',
+          createdAt: new Date(),
+        },
+      ]);
+
+      const settled = await settlePendingCharges();
+
+      expect(settled).toBe(0);
+      expect(recurringRepository.settleCharge).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import * as recurringDonationService from "./recurringDonation.service.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+export const createRecurringDonation = async (req, res) => {
+  const result = await recurringDonationService.createRecurringDonation(
+    req.user.userId,
+    req.body
+  );
+
+  return ResponseFactory.created(
+    res,
+    "Recurring donation created successfully",
+    result
+  );
+};
+
+export const getMyRecurringDonations = async (req, res) => {
+  const { status, limit, offset } = req.query;
+
+  const recurringDonations =
+    await recurringDonationService.getMyRecurringDonations(req.user.userId, {
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+  return ResponseFactory.ok(
+    res,
+    "Recurring donations retrieved successfully",
+    recurringDonations
+  );
+};
+
+export const getRecurringDonation = async (req, res) => {
+  const { recurringDonationId } = req.params;
+
+  const recurringDonation = await recurringDonationService.getRecurringDonation(
+    recurringDonationId,
+    req.user
+  );
+
+  return ResponseFactory.ok(
+    res,
+    "Recurring donation retrieved successfully",
+    recurringDonation
+  );
+};
+
+export const pauseRecurringDonation = async (req, res) => {
+  const { recurringDonationId } = req.params;
+
+  const recurringDonation =
+    await recurringDonationService.pauseRecurringDonation(
+      recurringDonationId,
+      req.user
+    );
+
+  return ResponseFactory.ok(
+    res,
+    "Recurring donation paused successfully",
+    recurringDonation
+  );
+};
+
+export const resumeRecurringDonation = async (req, res) => {
+  const { recurringDonationId } = req.params;
+
+  const recurringDonation =
+    await recurringDonationService.resumeRecurringDonation(
+      recurringDonationId,
+      req.user
+    );
+
+  return ResponseFactory.ok(
+    res,
+    "Recurring donation resumed successfully",
+    recurringDonation
+  );
+};
+
+export const cancelRecurringDonation = async (req, res) => {
+  const { recurringDonationId } = req.params;
+
+  const recurringDonation =
+    await recurringDonationService.cancelRecurringDonation(
+      recurringDonationId,
+      req.user,
+      { reason: req.body?.reason }
+    );
+
+  return ResponseFactory.ok(
+    res,
+    "Recurring donation cancelled successfully",
+    recurringDonation
+  );
+};
@@ -0,0 +1,202 @@
+import { db } from "../../../db/index.js";
+
+export const createRecurringDonation = async (data) => {
+  const result = await db.query(
+    `INSERT INTO "recurringDonations" (
+      "donorUserId", "campaignId", "organizerId", "amount", "currency",
+      "paymentMethod", "phoneNumber", "isAnonymous", "donorCoversFee",
+      "dayOfMonth", "currentPeriodStart", "nextChargeAt"
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING *, to_char("currentPeriodStart", 'YYYY-MM-DD') AS "currentPeriodStart"`,
+    [
+      data.donorUserId,
+      data.campaignId,
+      data.organizerId || null,
+      data.amount,
+      data.currency,
+      data.paymentMethod,
+      data.phoneNumber,
+      data.isAnonymous || false,
+      data.donorCoversFee || false,
+      data.dayOfMonth,
+      data.currentPeriodStart,
+      data.nextChargeAt,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+export const getRecurringDonationById = async (recurringDonationId) => {
+  const result = await db.query(
+    `SELECT r.*, to_char(r."currentPeriodStart", 'YYYY-MM-DD') AS "currentPeriodStart",
+            c."name" AS "campaignName", c."status" AS "campaignStatus"
+     FROM "recurringDonations" r
+     LEFT JOIN "campaigns" c ON c."campaignId" = r."campaignId"
+     WHERE r."recurringDonationId" = $1`,
+    [recurringDonationId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const getRecurringDonationsByDonor = async (
+  donorUserId,
+  { status, limit = 50, offset = 0 } = {}
+) => {
+  const values = [donorUserId];
+  let statusFilter = "";
+  if (status) {
+    values.push(status);
+    statusFilter = `AND r."status" = $${values.length}`;
+  }
+  values.push(limit, offset);
+
+  const result = await db.query(
+    `SELECT r.*, to_char(r."currentPeriodStart", 'YYYY-MM-DD') AS "currentPeriodStart",
+            c."name" AS "campaignName", c."status" AS "campaignStatus"
+     FROM "recurringDonations" r
+     LEFT JOIN "campaigns" c ON c."campaignId" = r."campaignId"
+     WHERE r."donorUserId" = $1 ${statusFilter}
+     ORDER BY r."createdAt" DESC
+     LIMIT $${values.length - 1} OFFSET $${values.length}`,
+    values
+  );
+
+  return result.rows;
+};
+
+export const updateRecurringDonation = async (recurringDonationId, update) => {
+  const fields = [];
+  const values = [];
+  let i = 1;
+  for (const [key, val] of Object.entries(update)) {
+    if (val === undefined) continue;
+    fields.push(`"${key}" = $${i++}`);
+    values.push(val);
+  }
+  if (fields.length === 0) {
+    return getRecurringDonationById(recurringDonationId);
+  }
+  values.push(recurringDonationId);
+
+  const result = await db.query(
+    `UPDATE "recurringDonations"
+     SET ${fields.join(", ")}
+     WHERE "recurringDonationId" = $${i}
+     RETURNING *, to_char("currentPeriodStart", 'YYYY-MM-DD') AS "currentPeriodStart"`,
+    values
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Claims subscriptions whose next charge is due. SKIP LOCKED plus the
+ * processingStartedAt marker keep concurrent scheduler runs from charging
+ * the same subscription twice.
+ */
+export const claimDueRecurringDonations = async (limit = 50) => {
+  const result = await db.query(
+    `UPDATE "recurringDonations" r
+     SET "processingStartedAt" = NOW()
+     WHERE r."recurringDonationId" IN (
+       SELECT d."recurringDonationId"
+       FROM "recurringDonations" d
+       WHERE d."status" IN ('active', 'past_due')
+         AND d."nextChargeAt" <= NOW()
+         AND (
+           d."processingStartedAt" IS NULL
+           OR d."processingStartedAt" < NOW() - INTERVAL '30 minutes'
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM "recurringDonationCharges" ch
+           WHERE ch."recurringDonationId" = d."recurringDonationId"
+             AND ch."status" = 'pending'
+         )
+       ORDER BY d."nextChargeAt"
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING r.*, to_char(r."currentPeriodStart", 'YYYY-MM-DD') AS "currentPeriodStart"`,
+    [limit]
+  );
+
+  return result.rows;
+};
+
+export const createCharge = async (data) => {
+  const result = await db.query(
+    `INSERT INTO "recurringDonationCharges" (
+      "recurringDonationId", "donationId", "transactionId",
+      "periodStart", "attempt", "status", "failureReason", "settledAt"
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *`,
+    [
+      data.recurringDonationId,
+      data.donationId || null,
+      data.transactionId || null,
+      data.periodStart,
+      data.attempt,
+      data.status || "pending",
+      data.failureReason || null,
+      data.status && data.status !== "pending" ? new Date() : null,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+export const settleCharge = async (chargeId, { status, failureReason }) => {
+  const result = await db.query(
+    `UPDATE "recurringDonationCharges"
+     SET "status" = $2, "failureReason" = $3, "settledAt" = NOW()
+     WHERE "chargeId" = $1 AND "status" = 'pending'
+     RETURNING *`,
+    [chargeId, status, failureReason || null]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const getPendingCharges = async () => {
+  const result = await db.query(
+    `SELECT ch.*, d."status" AS "donationStatus"
+     FROM "recurringDonationCharges" ch
+     LEFT JOIN "donations" d ON d."donationId" = ch."donationId"
+     WHERE ch."status" = 'pending'
+     ORDER BY ch."createdAt"`
+  );
+
+  return result.rows;
+};
+
+export const getChargesByRecurringDonation = async (
+  recurringDonationId,
+  limit = 24
+) => {
+  const result = await db.query(
+    `SELECT ch.*, to_char(ch."periodStart", 'YYYY-MM-DD') AS "periodStart",
+            d."amount" AS "donationAmount", d."status" AS "donationStatus"
+     FROM "recurringDonationCharges" ch
+     LEFT JOIN "donations" d ON d."donationId" = ch."donationId"
+     WHERE ch."recurringDonationId" = $1
+     ORDER BY ch."createdAt" DESC
+     LIMIT $2`,
+    [recurringDonationId, limit]
+  );
+
+  return result.rows;
+};
+
+export default {
+  createRecurringDonation,
+  getRecurringDonationById,
+  getRecurringDonationsByDonor,
+  updateRecurringDonation,
+  claimDueRecurringDonations,
+  createCharge,
+  settleCharge,
+  getPendingCharges,
+  getChargesByRecurringDonation,
+};
@@ -0,0 +1,58 @@
+import { Router } from "express";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import { authenticate } from "../../../middlewares/auth.middleware.js";
+import {
+  createRecurringDonation,
+  getMyRecurringDonations,
+  getRecurringDonation,
+  pauseRecurringDonation,
+  resumeRecurringDonation,
+  cancelRecurringDonation,
+} from "./recurringDonation.controller.js";
+import {
+  validateCreateRecurringDonation,
+  validateListRecurringDonations,
+  validateCancelRecurringDonation,
+  validateRecurringDonationId,
+} from "./recurringDonation.validation.js";
+import { validateCampaignState } from "../donation/donation.validation.js";
+
+const router = Router();
+
+// All recurring donation routes belong to a signed-in donor
+router.use(authenticate);
+
+router.post(
+  "/",
+  validateCreateRecurringDonation,
+  validateCampaignState,
+  catchAsync(createRecurringDonation)
+);
+router.get(
+  "/",
+  validateListRecurringDonations,
+  catchAsync(getMyRecurringDonations)
+);
+router.get(
+  "/:recurringDonationId",
+  validateRecurringDonationId,
+  catchAsync(getRecurringDonation)
+);
+router.patch(
+  "/:recurringDonationId/pause",
+  validateRecurringDonationId,
+  catchAsync(pauseRecurringDonation)
+);
+router.patch(
+  "/:recurringDonationId/resume",
+  validateRecurringDonationId,
+  catchAsync(resumeRecurringDonation)
+);
+router.patch(
+  "/:recurringDonationId/cancel",
+  validateRecurringDonationId,
+  validateCancelRecurringDonation,
+  catchAsync(cancelRecurringDonation)
+);
+
+export default router;
@@ -0,0 +1,616 @@
+import * as recurringRepository from "./recurringDonation.repository.js";
+import { createDonation } from "../donation/donation.service.js";
+import { getCampaignById } from "../../campaign/campaigns/campaign.service.js";
+import notificationService from "../../notifications/notification.service.js";
+import { logServiceEvent } from "../../audit/audit.utils.js";
+import { DONATION_ACTIONS, ENTITY_TYPES } from "../../audit/audit.constants.js";
+import { AppError } from "../../../utils/appError.js";
+import logger from "../../../utils/logger.js";
+
+// Dunning: retry a failed charge after 1 day, then 3 days, then cancel
+export const MAX_CHARGE_ATTEMPTS = 3;
+const RETRY_DELAYS_HOURS = [24, 72];
+// A charge whose payment is still unconfirmed after this long counts as failed
+const CHARGE_TIMEOUT_HOURS = 24;
+// Charges due while the organizer has paused the campaign are retried daily
+const PAUSED_CAMPAIGN_RETRY_HOURS = 24;
+const CLAIM_BATCH_SIZE = 50;
+const RECURRING_ADMIN_ROLES = ["superAdmin", "supportAdmin", "financialAdmin"];
+
+let isProcessing = false;
+
+const todayDateString = () => new Date().toISOString().slice(0, 10);
+
+const chargeTimeFor = (dateString) => new Date(`${dateString}T00:00:00Z`);
+
+/**
+ * Returns the period start one month after dateString, on dayOfMonth.
+ * dayOfMonth is capped at 28 so every month has it.
+ */
+export const addMonth = (dateString, dayOfMonth) => {
+  const [year, month] = dateString.split("-").map(Number);
+  const nextYear = month === 12 ? year + 1 : year;
+  const nextMonth = month === 12 ? 1 : month + 1;
+  return `${nextYear}-${String(nextMonth).padStart(2, "0")}-${String(
+    dayOfMonth
+  ).padStart(2, "0")}`;
+};
+
+const assertCanManage = (plan, actor) => {
+  if (!plan) {
+    throw new AppError("Recurring donation not found", 404);
+  }
+  const isAdmin = RECURRING_ADMIN_ROLES.includes(actor?.userType);
+  if (!isAdmin && plan.donorUserId !== actor?.userId) {
+    throw new AppError(
+      "You are not allowed to manage this recurring donation",
+      403
+    );
+  }
+};
+
+const notifyDonor = async (plan, { title, message, priority = "medium" }) => {
+  try {
+    await notificationService.createAndDispatch({
+      userId: plan.donorUserId,
+      type: "inApp",
+      category: "donation",
+      priority,
+      title,
+      message,
+      data: {
+        recurringDonationId: plan.recurringDonationId,
+        campaignId: plan.campaignId,
+      },
+      relatedEntityType: "recurringDonation",
+      relatedEntityId: plan.recurringDonationId,
+    });
+  } catch (error) {
+    logger.warn("Failed to send recurring donation notification", {
+      error: error.message,
+      recurringDonationId: plan.recurringDonationId,
+    });
+  }
+};
+
+const auditPlanEvent = async (userId, actionType, plan, details = {}) => {
+  try {
+    await logServiceEvent(
+      userId,
+      actionType,
+      ENTITY_TYPES.RECURRING_DONATION,
+      plan.recurringDonationId,
+      {
+        campaignId: plan.campaignId,
+        amount: plan.amount,
+        currency: plan.currency,
+        ...details,
+      }
+    );
+  } catch (error) {
+    logger.warn("Failed to log recurring donation audit", {
+      error: error.message,
+      recurringDonationId: plan.recurringDonationId,
+    });
+  }
+};
+
+export const createRecurringDonation = async (donorUserId, payload) => {
+  const campaign = await getCampaignById(payload.campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+
+  const today = todayDateString();
+  const requestedDate = payload.startDate
+    ? new Date(payload.startDate).toISOString().slice(0, 10)
+    : today;
+  const startDate = requestedDate > today ? requestedDate : today;
+  const dayOfMonth = Math.min(Number(startDate.slice(8, 10)), 28);
+  const chargeNow = startDate === today;
+
+  const plan = await recurringRepository.createRecurringDonation({
+    donorUserId,
+    campaignId: payload.campaignId,
+    organizerId: campaign.organizerId,
+    amount: payload.amount,
+    currency: payload.currency || campaign.baseCurrency || "ZMW",
+    paymentMethod: payload.paymentMethod,
+    phoneNumber: payload.phoneNumber,
+    isAnonymous: payload.isAnonymous,
+    donorCoversFee: payload.donorCoversFee,
+    dayOfMonth,
+    currentPeriodStart: startDate,
+    nextChargeAt: chargeNow ? new Date() : chargeTimeFor(startDate),
+  });
+
+  logger.info("Recurring donation created", {
+    recurringDonationId: plan.recurringDonationId,
+    campaignId: plan.campaignId,
+    amount: plan.amount,
+    dayOfMonth,
+  });
+
+  await auditPlanEvent(
+    donorUserId,
+    DONATION_ACTIONS.RECURRING_DONATION_CREATED,
+    plan,
+    { dayOfMonth, startDate }
+  );
+  await notifyDonor(plan, {
+    title: "Monthly donation set up",
+    message: `You will give ${plan.amount} ${plan.currency} to ${campaign.name} every month.`,
+  });
+
+  // The first period is charged straight away so the donor gets the payment prompt now
+  let firstCharge = null;
+  if (chargeNow) {
+    const claimed = await recurringRepository.updateRecurringDonation(
+      plan.recurringDonationId,
+      { processingStartedAt: new Date() }
+    );
+    firstCharge = await chargeRecurringDonation(claimed);
+  }
+
+  return { recurringDonation: plan, firstCharge };
+};
+
+/**
+ * Starts one charge for the subscription's current period by creating a
+ * regular donation (which creates the transaction and calls initiateDeposit).
+ * The outcome is settled later by settlePendingCharges.
+ */
+export const chargeRecurringDonation = async (plan) => {
+  const campaign = await getCampaignById(plan.campaignId).catch(() => null);
+  if (campaign?.status === "paused") {
+    await recurringRepository.updateRecurringDonation(
+      plan.recurringDonationId,
+      {
+        nextChargeAt: new Date(
+          Date.now() + PAUSED_CAMPAIGN_RETRY_HOURS * 60 * 60 * 1000
+        ),
+        processingStartedAt: null,
+      }
+    );
+    logger.info("Recurring donation deferred; campaign paused", {
+      recurringDonationId: plan.recurringDonationId,
+    });
+    return null;
+  }
+  if (!campaign || campaign.status !== "active") {
+    const ended = await recurringRepository.updateRecurringDonation(
+      plan.recurringDonationId,
+      {
+        status: "ended",
+        nextChargeAt: null,
+        processingStartedAt: null,
+      }
+    );
+    await notifyDonor(ended, {
+      title: "Monthly donation ended",
+      message: `Your monthly donation has ended because the campaign is no longer accepting donations.`,
+    });
+    logger.info("Recurring donation ended; campaign not active", {
+      recurringDonationId: plan.recurringDonationId,
+      campaignStatus: campaign?.status,
+    });
+    return null;
+  }
+
+  const attempt = Number(plan.failedAttempts || 0) + 1;
+
+  try {
+    const result = await createDonation(
+      {
+        campaignId: plan.campaignId,
+        amount: Number(plan.amount),
+        currency: plan.currency,
+        paymentMethod: plan.paymentMethod,
+        phoneNumber: plan.phoneNumber,
+        isAnonymous: plan.isAnonymous,
+        donorCoversFee: plan.donorCoversFee,
+        recurringDonationId: plan.recurringDonationId,
+      },
+      plan.donorUserId
+    );
+
+    const charge = await recurringRepository.createCharge({
+      recurringDonationId: plan.recurringDonationId,
+      donationId: result.donation.donationId,
+      transactionId: result.transaction.transactionId,
+      periodStart: plan.currentPeriodStart,
+      attempt,
+    });
+
+    await recurringRepository.updateRecurringDonation(
+      plan.recurringDonationId,
+      { processingStartedAt: null }
+    );
+
+    logger.info("Recurring donation charge initiated", {
+      recurringDonationId: plan.recurringDonationId,
+      chargeId: charge.chargeId,
+      donationId: result.donation.donationId,
+      attempt,
+    });
+
+    return charge;
+  } catch (error) {
+    logger.error("Recurring donation charge could not be initiated", {
+      recurringDonationId: plan.recurringDonationId,
+      error: error.message,
+    });
+
+    const charge = await recurringRepository.createCharge({
+      recurringDonationId: plan.recurringDonationId,
+      periodStart: plan.currentPeriodStart,
+      attempt,
+      status: "failed",
+      failureReason: error.message,
+    });
+    await handleChargeFailure(charge, plan, error.message);
+    return charge;
+  }
+};
+
+const handleChargeSuccess = async (charge, plan) => {
+  const nextPeriod = addMonth(plan.currentPeriodStart, plan.dayOfMonth);
+  const stillCharging = ["active", "past_due"].includes(plan.status);
+
+  const updated = await recurringRepository.updateRecurringDonation(
+    plan.recurringDonationId,
+    {
+      status: plan.status === "past_due" ? "active" : plan.status,
+      currentPeriodStart: nextPeriod,
+      nextChargeAt: stillCharging ? chargeTimeFor(nextPeriod) : null,
+      lastChargedAt: new Date(),
+      failedAttempts: 0,
+      lastFailureReason: null,
+    }
+  );
+
+  await notifyDonor(updated, {
+    title: "Monthly donation received",
+    message: stillCharging
+      ? `Thank you! Your monthly donation of ${plan.amount} ${plan.currency} went through. Next charge: ${nextPeriod}.`
+      : `Thank you! Your monthly donation of ${plan.amount} ${plan.currency} went through.`,
+  });
+
+  return updated;
+};
+
+const handleChargeFailure = async (charge, plan, reason) => {
+  const attempt = Number(charge.attempt);
+  const stillCharging = ["active", "past_due"].includes(plan.status);
+
+  if (!stillCharging) {
+    // Paused or cancelled meanwhile: just record the failure
+    return recurringRepository.updateRecurringDonation(
+      plan.recurringDonationId,
+      { failedAttempts: attempt, lastFailureReason: reason }
+    );
+  }
+
+  if (attempt < MAX_CHARGE_ATTEMPTS) {
+    const retryAt = new Date(
+      Date.now() + RETRY_DELAYS_HOURS[attempt - 1] * 60 * 60 * 1000
+    );
+    const updated = await recurringRepository.updateRecurringDonation(
+      plan.recurringDonationId,
+      {
+        status: "past_due",
+        failedAttempts: attempt,
+        lastFailureReason: reason,
+        nextChargeAt: retryAt,
+        processingStartedAt: null,
+      }
+    );
+
+    await notifyDonor(updated, {
+      priority: "high",
+      title: "Monthly donation payment failed",
+      message: `We couldn't collect your monthly donation of ${plan.amount} ${
+        plan.currency
+      }. We'll try again on ${retryAt.toISOString().slice(0, 10)}.`,
+    });
+    await sendDunningEmail(updated, { attempt, retryAt, reason });
+    return updated;
+  }
+
+  const cancelReason = `Cancelled after ${attempt} failed payment attempts`;
+  const cancelled = await recurringRepository.updateRecurringDonation(
+    plan.recurringDonationId,
+    {
+      status: "cancelled",
+      failedAttempts: attempt,
+      lastFailureReason: reason,
+      cancelledAt: new Date(),
+      cancelReason,
+      nextChargeAt: null,
+      processingStartedAt: null,
+    }
+  );
+
+  await auditPlanEvent(
+    null,
+    DONATION_ACTIONS.RECURRING_DONATION_CANCELLED,
+    cancelled,
+    { reason: cancelReason, lastFailureReason: reason }
+  );
+  await notifyDonor(cancelled, {
+    priority: "high",
+    title: "Monthly donation cancelled",
+    message: `We couldn't collect your monthly donation after ${attempt} attempts, so it has been cancelled. You can set it up again at any time.`,
+  });
+  await sendDunningEmail(cancelled, { attempt, retryAt: null, reason });
+  return cancelled;
+};
+
+const sendDunningEmail = async (plan, { attempt, retryAt, reason }) => {
+  try {
+    const { createRecurringDonationFailedTemplate } = await import(
+      "../../../utils/emailTemplates.js"
+    );
+    const html = createRecurringDonationFailedTemplate({
+      campaignTitle: plan.campaignName || "",
+      amount: plan.amount,
+      currency: plan.currency,
+      attempt,
+      maxAttempts: MAX_CHARGE_ATTEMPTS,
+      retryDate: retryAt ? retryAt.toISOString().slice(0, 10) : null,
+      reason,
+    });
+
+    await notificationService.createAndDispatch({
+      userId: plan.donorUserId,
+      type: "email",
+      category: "donation",
+      priority: "high",
+      title: retryAt
+        ? "Your monthly donation payment failed"
+        : "Your monthly donation has been cancelled",
+      message: html,
+      relatedEntityType: "recurringDonation",
+      relatedEntityId: plan.recurringDonationId,
+    });
+  } catch (error) {
+    logger.warn("Failed to send recurring donation dunning email", {
+      error: error.message,
+      recurringDonationId: plan.recurringDonationId,
+    });
+  }
+};
+
+/**
+ * Resolves pending charges from the status of the donation they created.
+ */
+export const settlePendingCharges = async () => {
+  const pending = await recurringRepository.getPendingCharges();
+  const timeoutMs = CHARGE_TIMEOUT_HOURS * 60 * 60 * 1000;
+  let settled = 0;
+
+  for (const charge of pending) {
+    try {
+      let outcome = null;
+      let reason = null;
+      if (["completed", "refunded"].includes(charge.donationStatus)) {
+        outcome = "succeeded";
+      } else if (charge.donationStatus === "failed") {
+        outcome = "failed";
+        reason = "Payment failed";
+      } else if (
+        Date.now() - new Date(charge.createdAt).getTime() >
+        timeoutMs
+      ) {
+        outcome = "failed";
+        reason = "Payment was not confirmed in time";
+      }
+      if (!outcome) continue;
+
+      const updatedCharge = await recurringRepository.settleCharge(
+        charge.chargeId,
+        { status: outcome, failureReason: reason }
+      );
+      if (!updatedCharge) continue;
+
+      const plan = await recurringRepository.getRecurringDonationById(
+        charge.recurringDonationId
+      );
+      if (outcome === "succeeded") {
+        await handleChargeSuccess(updatedCharge, plan);
+      } else {
+        await handleChargeFailure(updatedCharge, plan, reason);
+      }
+      settled++;
+    } catch (error) {
+      logger.error("Failed to settle recurring donation charge", {
+        chargeId: charge.chargeId,
+        error: error.message,
+      });
+    }
+  }
+
+  return settled;
+};
+
+/**
+ * Scheduler entry point: settles finished charges, then charges every
+ * subscription that is due.
+ */
+export const processRecurringDonations = async () => {
+  if (isProcessing) {
+    logger.debug("Recurring donation run skipped; previous run still active");
+    return null;
+  }
+  isProcessing = true;
+
+  try {
+    const settled = await settlePendingCharges();
+
+    const due = await recurringRepository.claimDueRecurringDonations(
+      CLAIM_BATCH_SIZE
+    );
+    let charged = 0;
+    for (const plan of due) {
+      try {
+        const charge = await chargeRecurringDonation(plan);
+        if (charge?.status === "pending") charged++;
+      } catch (error) {
+        logger.error("Recurring donation charge crashed", {
+          recurringDonationId: plan.recurringDonationId,
+          error: error.message,
+        });
+      }
+    }
+
+    const summary = { settled, due: due.length, charged };
+    logger.info("Recurring donation run completed", summary);
+    return summary;
+  } finally {
+    isProcessing = false;
+  }
+};
+
+export const getMyRecurringDonations = async (donorUserId, filters) => {
+  return recurringRepository.getRecurringDonationsByDonor(donorUserId, filters);
+};
+
+export const getRecurringDonation = async (recurringDonationId, actor) => {
+  const plan = await recurringRepository.getRecurringDonationById(
+    recurringDonationId
+  );
+  assertCanManage(plan, actor);
+
+  const charges = await recurringRepository.getChargesByRecurringDonation(
+    recurringDonationId
+  );
+  return { ...plan, charges };
+};
+
+export const pauseRecurringDonation = async (recurringDonationId, actor) => {
+  const plan = await recurringRepository.getRecurringDonationById(
+    recurringDonationId
+  );
+  assertCanManage(plan, actor);
+
+  if (!["active", "past_due"].includes(plan.status)) {
+    throw new AppError(
+      `Only active recurring donations can be paused (current status: ${plan.status})`,
+      409
+    );
+  }
+
+  const updated = await recurringRepository.updateRecurringDonation(
+    recurringDonationId,
+    { status: "paused", pausedAt: new Date(), nextChargeAt: null }
+  );
+
+  await auditPlanEvent(
+    actor.userId,
+    DONATION_ACTIONS.RECURRING_DONATION_PAUSED,
+    updated
+  );
+  await notifyDonor(updated, {
+    title: "Monthly donation paused",
+    message: `Your monthly donation of ${updated.amount} ${updated.currency} is paused. Resume it whenever you like.`,
+  });
+
+  return updated;
+};
+
+export const resumeRecurringDonation = async (recurringDonationId, actor) => {
+  const plan = await recurringRepository.getRecurringDonationById(
+    recurringDonationId
+  );
+  assertCanManage(plan, actor);
+
+  if (plan.status !== "paused") {
+    throw new AppError("Only paused recurring donations can be resumed", 409);
+  }
+  if (plan.campaignStatus !== "active") {
+    throw new AppError("The campaign is no longer accepting donations", 422);
+  }
+
+  // Paused months are skipped rather than charged retroactively
+  const today = todayDateString();
+  let periodStart = plan.currentPeriodStart;
+  while (periodStart < today) {
+    periodStart = addMonth(periodStart, plan.dayOfMonth);
+  }
+
+  const updated = await recurringRepository.updateRecurringDonation(
+    recurringDonationId,
+    {
+      status: "active",
+      pausedAt: null,
+      // Attempt numbers are unique per period, so only a new period starts over
+      failedAttempts:
+        periodStart === plan.currentPeriodStart ? plan.failedAttempts : 0,
+      currentPeriodStart: periodStart,
+      nextChargeAt: chargeTimeFor(periodStart),
+    }
+  );
+
+  await auditPlanEvent(
+    actor.userId,
+    DONATION_ACTIONS.RECURRING_DONATION_RESUMED,
+    updated,
+    { nextChargeDate: periodStart }
+  );
+  await notifyDonor(updated, {
+    title: "Monthly donation resumed",
+    message: `Your monthly donation is active again. Next charge: ${periodStart}.`,
+  });
+
+  return updated;
+};
+
+export const cancelRecurringDonation = async (
+  recurringDonationId,
+  actor,
+  { reason } = {}
+) => {
+  const plan = await recurringRepository.getRecurringDonationById(
+    recurringDonationId
+  );
+  assertCanManage(plan, actor);
+
+  if (["cancelled", "ended"].includes(plan.status)) {
+    throw new AppError("Recurring donation is already inactive", 409);
+  }
+
+  const updated = await recurringRepository.updateRecurringDonation(
+    recurringDonationId,
+    {
+      status: "cancelled",
+      cancelledAt: new Date(),
+      cancelReason: reason || "Cancelled by donor",
+      nextChargeAt: null,
+    }
+  );
+
+  await auditPlanEvent(
+    actor.userId,
+    DONATION_ACTIONS.RECURRING_DONATION_CANCELLED,
+    updated,
+    { reason: reason || null }
+  );
+  await notifyDonor(updated, {
+    title: "Monthly donation cancelled",
+    message: `Your monthly donation of ${updated.amount} ${updated.currency} has been cancelled. Thank you for your support.`,
+  });
+
+  return updated;
+};
+
+export default {
+  createRecurringDonation,
+  chargeRecurringDonation,
+  settlePendingCharges,
+  processRecurringDonations,
+  getMyRecurringDonations,
+  getRecurringDonation,
+  pauseRecurringDonation,
+  resumeRecurringDonation,
+  cancelRecurringDonation,
+};
@@ -0,0 +1,75 @@
+import Joi from "joi";
+import { validate } from "../../../utils/validation.js";
+
+// Validation schemas
+const createRecurringDonationSchema = Joi.object({
+  campaignId: Joi.string().uuid().required().messages({
+    "string.guid": "Campaign ID must be a valid UUID",
+    "any.required": "Campaign ID is required",
+  }),
+  amount: Joi.number()
+    .positive()
+    .precision(2)
+    .min(0.01)
+    .max(999999.99)
+    .required()
+    .messages({
+      "number.base": "Amount must be a valid number",
+      "number.positive": "Amount must be greater than 0",
+      "number.precision": "Amount can have maximum 2 decimal places",
+      "any.required": "Amount is required",
+    }),
+  currency: Joi.string()
+    .length(3)
+    .pattern(/^[A-Z]{3}$/)
+    .optional(),
+  paymentMethod: Joi.string().min(1).max(50).required().messages({
+    "any.required": "Payment method is required",
+  }),
+  phoneNumber: Joi.string()
+    .pattern(/^\+?[1-9]\d{1,14}$/)
+    .required()
+    .messages({
+      "string.pattern.base":
+        "Phone number must be a valid international format (e.g., +1234567890)",
+      "any.required": "Phone number is required",
+    }),
+  isAnonymous: Joi.boolean().default(false),
+  donorCoversFee: Joi.boolean().default(false),
+  startDate: Joi.date().iso().optional(),
+});
+
+const listRecurringDonationsSchema = Joi.object({
+  status: Joi.string()
+    .valid("active", "paused", "past_due", "cancelled", "ended")
+    .optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const cancelRecurringDonationSchema = Joi.object({
+  reason: Joi.string().trim().max(500).optional(),
+});
+
+const recurringDonationIdSchema = Joi.object({
+  recurringDonationId: Joi.string().uuid().required().messages({
+    "string.guid": "Recurring donation ID must be a valid UUID",
+    "any.required": "Recurring donation ID is required",
+  }),
+});
+
+// Validation middlewares
+export const validateCreateRecurringDonation = validate(
+  createRecurringDonationSchema
+);
+export const validateListRecurringDonations = validate(
+  listRecurringDonationsSchema,
+  "query"
+);
+export const validateCancelRecurringDonation = validate(
+  cancelRecurringDonationSchema
+);
+export const validateRecurringDonationId = validate(
+  recurringDonationIdSchema,
+  "params"
+);
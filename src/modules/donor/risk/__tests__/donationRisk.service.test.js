@@ -0,0 +1,349 @@
+// src/modules/donor/risk/__tests__/donationRisk.service.test.js
+
+import {
+  assessDonation,
+  recordAssessment,
+  reportFlaggedDonation,
+  clearDonation,
+  rejectDonation,
+} from '../donationRisk.service.js';
+import * as riskRepository from '../donationRisk.repository.js';
+import * as exchangeRateService from '../../../payment/exchangeRates/exchangeRate.service.js';
+import { refundDonation } from '../../donation/donation.service.js';
+import {
+  findCampaignById,
+  findUsersByRoles,
+} from '../../../campaign/campaigns/campaign.repository.js';
+import notificationService from '../../../notifications/notification.service.js';
+import { logServiceEvent } from '../../../audit/audit.utils.js';
+
+// Mock dependencies
+jest.mock('../donationRisk.repository.js');
+jest.mock('../../../payment/exchangeRates/exchangeRate.service.js');
+jest.mock('../../donation/donation.service.js', () => ({
+  refundDonation: jest.fn(),
+}));
+jest.mock('../../../campaign/campaigns/campaign.repository.js');
+jest.mock('../../../notifications/notification.service.js', () => ({
+  __esModule: true,
+  default: { createAndDispatch: jest.fn() },
+}));
+jest.mock('../../../audit/audit.utils.js');
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('DonationRiskService', () => {
+  const financeAdmin = { userId: 'admin-1', userType: 'financialAdmin' };
+
+  const donationData = {
+    campaignId: 'campaign-1',
+    amount: 100,
+    paymentMethod: 'airtel',
+    phoneNumber: '+260971234567',
+    isAnonymous: false,
+  };
+
+  const noAttempts = {
+    phoneAttempts: 0,
+    ipAttempts: 0,
+    userAttempts: 0,
+    anonymousAttempts: 0,
+  };
+
+  const flagged = {
+    assessmentId: 'assessment-1',
+    donationId: 'donation-1',
+    campaignId: 'campaign-1',
+    donorUserId: 'donor-1',
+    amount: '100.00',
+    currency: 'ZMW',
+    score: 40,
+    decision: 'review',
+    reviewStatus: 'pending',
+    signals: [
+      {
+        code: 'phoneVelocity',
+        weight: 40,
+        message: '6 donation attempts from this phone number in 60 minutes',
+      },
+    ],
+  };
+
+  beforeEach(() => {
+    findCampaignById.mockResolvedValue({
+      campaignId: 'campaign-1',
+      baseCurrency: 'ZMW',
+    });
+    findUsersByRoles.mockResolvedValue([]);
+    exchangeRateService.convert.mockImplementation(async (amount) => ({
+      amount,
+      rate: 1,
+      exchangeRateId: null,
+    }));
+    riskRepository.countRecentAttempts.mockResolvedValue(noAttempts);
+    riskRepository.countRecentFailedPayments.mockResolvedValue(0);
+    riskRepository.getCampaignDonationProfile.mockResolvedValue({
+      donationCount: 0,
+      averageAmount: '0',
+    });
+    riskRepository.createAssessment.mockImplementation(async (data) => ({
+      assessmentId: 'assessment-1',
+      ...data,
+    }));
+  });
+
+  describe('assessDonation', () => {
+    it('should allow a donation that raises no signals', async () => {
+      const assessment = await assessDonation(donationData, 'donor-1', {
+        ipAddress: '10.0.0.1',
+      });
+
+      expect(riskRepository.countRecentAttempts).toHaveBeenCalledWith(
+        expect.objectContaining({
+          phoneNumber: '+260971234567',
+          ipAddress: '10.0.0.1',
+          donorUserId: 'donor-1',
+        })
+      );
+      expect(assessment).toEqual(
+        expect.objectContaining({
+          decision: 'allow',
+          score: 0,
+          signals: [],
+          baseAmount: 100,
+        })
+      );
+      // Allowed and flagged attempts are stored with their donation later
+      expect(riskRepository.createAssessment).not.toHaveBeenCalled();
+    });
+
+    it('should flag a phone number that exceeds the velocity limit', async () => {
+      riskRepository.countRecentAttempts.mockResolvedValue({
+        ...noAttempts,
+        phoneAttempts: 5,
+      });
+
+      const assessment = await assessDonation(donationData, 'donor-1');
+
+      expect(assessment.decision).toBe('review');
+      expect(assessment.signals).toEqual([
+        expect.objectContaining({
+          code: 'phoneVelocity',
+          weight: 40,
+          observed: 6,
+          limit: 5,
+        }),
+      ]);
+    });
+
+    it('should block and record attempts far over the limit', async () => {
+      riskRepository.countRecentAttempts.mockResolvedValue({
+        ...noAttempts,
+        phoneAttempts: 9,
+      });
+
+      await expect(
+        assessDonation(donationData, 'donor-1')
+      ).rejects.toMatchObject({ statusCode: 403 });
+
+      expect(riskRepository.createAssessment).toHaveBeenCalledWith(
+        expect.objectContaining({ decision: 'block', score: 80 })
+      );
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'donor-1',
+        'DONATION_BLOCKED',
+        'DonationRiskAssessment',
+        'assessment-1',
+        expect.objectContaining({ signals: ['phoneVelocity'] })
+      );
+    });
+
+    it('should combine anonymous bursts with repeated failed payments', async () => {
+      riskRepository.countRecentAttempts.mockResolvedValue({
+        ...noAttempts,
+        anonymousAttempts: 3,
+      });
+      riskRepository.countRecentFailedPayments.mockResolvedValue(3);
+
+      const assessment = await assessDonation(donationData, null);
+
+      expect(assessment.isAnonymous).toBe(true);
+      expect(assessment.signals.map((item) => item.code)).toEqual([
+        'anonymousBurst',
+        'failedPayments',
+      ]);
+      expect(assessment.score).toBe(70);
+      expect(assessment.decision).toBe('review');
+    });
+
+    it('should score amounts far above the campaign average', async () => {
+      riskRepository.getCampaignDonationProfile.mockResolvedValue({
+        donationCount: 10,
+        averageAmount: '20.00',
+      });
+
+      const assessment = await assessDonation(
+        { ...donationData, amount: 300 },
+        'donor-1'
+      );
+
+      expect(assessment.signals).toEqual([
+        expect.objectContaining({ code: 'unusualAmount', limit: 200 }),
+      ]);
+      expect(assessment.decision).toBe('allow');
+    });
+
+    it('should compare large amounts in the campaign currency', async () => {
+      findCampaignById.mockResolvedValue({
+        campaignId: 'campaign-1',
+        baseCurrency: 'USD',
+      });
+      // The 50000 ZMW threshold at 25 ZMW per USD
+      exchangeRateService.convert.mockImplementation(
+        async (amount, from, to) => ({
+          amount: from === 'ZMW' && to === 'USD' ? amount / 25 : amount,
+        })
+      );
+
+      const assessment = await assessDonation(
+        { ...donationData, currency: 'USD', amount: 3000 },
+        'donor-1'
+      );
+
+      expect(exchangeRateService.convert).toHaveBeenCalledWith(
+        50000,
+        'ZMW',
+        'USD'
+      );
+      expect(assessment.signals).toEqual([
+        expect.objectContaining({
+          code: 'largeAmount',
+          observed: 3000,
+          limit: 2000,
+        }),
+      ]);
+    });
+
+    it('should skip amount checks when the amount cannot be converted', async () => {
+      exchangeRateService.convert.mockRejectedValue(
+        Object.assign(new Error('No exchange rate'), { statusCode: 422 })
+      );
+
+      const assessment = await assessDonation(
+        { ...donationData, currency: 'EUR', amount: 90000 },
+        'donor-1'
+      );
+
+      expect(assessment.baseAmount).toBeNull();
+      expect(assessment.signals).toEqual([]);
+      expect(riskRepository.getCampaignDonationProfile).not.toHaveBeenCalled();
+    });
+
+    it('should not check scheduled recurring charges', async () => {
+      const assessment = await assessDonation(
+        { ...donationData, recurringDonationId: 'plan-1' },
+        'donor-1'
+      );
+
+      expect(assessment).toBeNull();
+      expect(riskRepository.countRecentAttempts).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordAssessment', () => {
+    it('should store the assessment against its donation', async () => {
+      await recordAssessment(
+        { decision: 'allow', score: 0, signals: [] },
+        { donationId: 'donation-1' },
+        'client'
+      );
+
+      expect(riskRepository.createAssessment).toHaveBeenCalledWith(
+        expect.objectContaining({ donationId: 'donation-1' }),
+        'client'
+      );
+    });
+  });
+
+  describe('reportFlaggedDonation', () => {
+    it('should audit the flag and notify finance admins with the signals', async () => {
+      findUsersByRoles.mockResolvedValue([{ userId: 'admin-1' }]);
+
+      await reportFlaggedDonation(flagged);
+
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'donor-1',
+        'DONATION_FLAGGED',
+        'DonationRiskAssessment',
+        'assessment-1',
+        expect.objectContaining({ signals: ['phoneVelocity'] })
+      );
+      expect(notificationService.createAndDispatch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 'admin-1',
+          title: 'Donation flagged for review',
+          message: expect.stringContaining('6 donation attempts'),
+        })
+      );
+    });
+  });
+
+  describe('clearDonation', () => {
+    it('should reject assessments that are not awaiting review', async () => {
+      riskRepository.markReviewed.mockResolvedValue(null);
+      riskRepository.getAssessmentById.mockResolvedValue({
+        ...flagged,
+        reviewStatus: 'cleared',
+      });
+
+      await expect(
+        clearDonation('assessment-1', financeAdmin)
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('rejectDonation', () => {
+    beforeEach(() => {
+      riskRepository.markReviewed.mockResolvedValue({
+        ...flagged,
+        reviewStatus: 'rejected',
+      });
+    });
+
+    it('should refund the rejected donation', async () => {
+      refundDonation.mockResolvedValue({ donation: { status: 'refunded' } });
+
+      const result = await rejectDonation('assessment-1', financeAdmin, {
+        reason: 'Stolen phone',
+      });
+
+      expect(riskRepository.markReviewed).toHaveBeenCalledWith('assessment-1', {
+        reviewStatus: 'rejected',
+        reviewedByUserId: 'admin-1',
+        reviewNote: 'Stolen phone',
+      });
+      expect(refundDonation).toHaveBeenCalledWith('donation-1', financeAdmin, {
+        reason: 'Rejected in risk review: Stolen phone',
+      });
+      expect(result.refund).toEqual({ donation: { status: 'refunded' } });
+    });
+
+    it('should keep the rejection when the donation cannot be refunded yet', async () => {
+      refundDonation.mockRejectedValue(
+        new Error('Only completed donations can be refunded')
+      );
+
+      const result = await rejectDonation('assessment-1', financeAdmin, {
+        reason: 'Stolen phone',
+      });
+
+      expect(result.assessment.reviewStatus).toBe('rejected');
+      expect(result.refundError).toBe(
+        'Only completed donations can be refunded'
+      );
+    });
+  });
+});
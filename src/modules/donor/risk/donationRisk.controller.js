@@ -0,0 +1,77 @@
+import * as donationRiskService from "./donationRisk.service.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+export const getReviewQueue = async (req, res) => {
+  const { campaignId, limit, offset } = req.query;
+  const result = await donationRiskService.listAssessments({
+    reviewStatus: "pending",
+    campaignId,
+    limit,
+    offset,
+  });
+
+  return ResponseFactory.ok(res, "Donations awaiting review", result);
+};
+
+export const listAssessments = async (req, res) => {
+  const { decision, reviewStatus, campaignId, limit, offset } = req.query;
+  const result = await donationRiskService.listAssessments({
+    decision,
+    reviewStatus,
+    campaignId,
+    limit,
+    offset,
+  });
+
+  return ResponseFactory.ok(
+    res,
+    "Risk assessments retrieved successfully",
+    result
+  );
+};
+
+export const getAssessment = async (req, res) => {
+  const result = await donationRiskService.getAssessment(
+    req.params.assessmentId
+  );
+
+  return ResponseFactory.ok(
+    res,
+    "Risk assessment retrieved successfully",
+    result
+  );
+};
+
+export const clearDonation = async (req, res) => {
+  const result = await donationRiskService.clearDonation(
+    req.params.assessmentId,
+    req.user,
+    { note: req.body.note }
+  );
+
+  return ResponseFactory.ok(res, "Donation cleared", result);
+};
+
+export const rejectDonation = async (req, res) => {
+  const result = await donationRiskService.rejectDonation(
+    req.params.assessmentId,
+    req.user,
+    { reason: req.body.reason }
+  );
+
+  return ResponseFactory.ok(
+    res,
+    result.refund
+      ? "Donation rejected and refund initiated"
+      : "Donation rejected",
+    result
+  );
+};
+
+export default {
+  getReviewQueue,
+  listAssessments,
+  getAssessment,
+  clearDonation,
+  rejectDonation,
+};
@@ -0,0 +1,187 @@
+import { db } from "../../../db/index.js";
+
+/**
+ * Earlier attempts (including blocked ones) from the same phone number, IP
+ * and user since the given time
+ */
+export const countRecentAttempts = async ({
+  phoneNumber,
+  ipAddress,
+  donorUserId,
+  since,
+}) => {
+  const result = await db.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE "phoneNumber" = $1)::int AS "phoneAttempts",
+       COUNT(*) FILTER (WHERE "ipAddress" = $2)::int AS "ipAttempts",
+       COUNT(*) FILTER (WHERE "donorUserId" = $3)::int AS "userAttempts",
+       COUNT(*) FILTER (
+         WHERE "isAnonymous" AND ("phoneNumber" = $1 OR "ipAddress" = $2)
+       )::int AS "anonymousAttempts"
+     FROM "donationRiskAssessments"
+     WHERE "createdAt" >= $4
+       AND ("phoneNumber" = $1 OR "ipAddress" = $2 OR "donorUserId" = $3)`,
+    [phoneNumber || null, ipAddress || null, donorUserId || null, since]
+  );
+
+  return result.rows[0];
+};
+
+export const countRecentFailedPayments = async ({
+  phoneNumber,
+  userId,
+  since,
+}) => {
+  const result = await db.query(
+    `SELECT COUNT(*)::int AS "failedPayments"
+     FROM "transactions"
+     WHERE "transactionType" = 'donation_in'
+       AND "status" = 'failed'
+       AND "createdAt" >= $3
+       AND ("phoneNumber" = $1 OR "userId" = $2)`,
+    [phoneNumber || null, userId || null, since]
+  );
+
+  return result.rows[0].failedPayments;
+};
+
+/**
+ * Count and average of a campaign's completed, provider-paid donations
+ */
+export const getCampaignDonationProfile = async (campaignId) => {
+  const result = await db.query(
+    `SELECT COUNT(*)::int AS "donationCount",
+            COALESCE(AVG("baseAmount"), 0) AS "averageAmount"
+     FROM "donations"
+     WHERE "campaignId" = $1
+       AND "status" = 'completed'
+       AND "paymentTransactionId" IS NOT NULL`,
+    [campaignId]
+  );
+
+  return result.rows[0];
+};
+
+export const createAssessment = async (data, client = null) => {
+  const executor = client || db;
+  const result = await executor.query(
+    `INSERT INTO "donationRiskAssessments" (
+      "donationId", "campaignId", "donorUserId", "phoneNumber", "ipAddress",
+      "isAnonymous", "amount", "currency", "baseAmount", "score", "decision",
+      "signals", "reviewStatus"
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    RETURNING *`,
+    [
+      data.donationId || null,
+      data.campaignId,
+      data.donorUserId || null,
+      data.phoneNumber || null,
+      data.ipAddress || null,
+      data.isAnonymous || false,
+      data.amount,
+      data.currency,
+      data.baseAmount ?? null,
+      data.score,
+      data.decision,
+      JSON.stringify(data.signals || []),
+      data.decision === "review" ? "pending" : null,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+const ASSESSMENT_SELECT = `
+  SELECT r.*, c."name" AS "campaignName", d."status" AS "donationStatus"
+  FROM "donationRiskAssessments" r
+  JOIN "campaigns" c ON c."campaignId" = r."campaignId"
+  LEFT JOIN "donations" d ON d."donationId" = r."donationId"`;
+
+export const getAssessmentById = async (assessmentId) => {
+  const result = await db.query(
+    `${ASSESSMENT_SELECT} WHERE r."assessmentId" = $1`,
+    [assessmentId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Assessments for the admin queue; oldest first so nothing waits forever
+ */
+export const listAssessments = async ({
+  decision,
+  reviewStatus,
+  campaignId,
+  limit = 50,
+  offset = 0,
+} = {}) => {
+  const where = [];
+  const values = [];
+  if (decision) {
+    values.push(decision);
+    where.push(`r."decision" = $${values.length}`);
+  }
+  if (reviewStatus) {
+    values.push(reviewStatus);
+    where.push(`r."reviewStatus" = $${values.length}`);
+  }
+  if (campaignId) {
+    values.push(campaignId);
+    where.push(`r."campaignId" = $${values.length}`);
+  }
+  values.push(limit, offset);
+
+  const result = await db.query(
+    `${ASSESSMENT_SELECT}
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY r."createdAt" ASC
+     LIMIT $${values.length - 1} OFFSET $${values.length}`,
+    values
+  );
+
+  return result.rows;
+};
+
+export const markReviewed = async (
+  assessmentId,
+  { reviewStatus, reviewedByUserId, reviewNote }
+) => {
+  const result = await db.query(
+    `UPDATE "donationRiskAssessments"
+     SET "reviewStatus" = $2,
+         "reviewedByUserId" = $3,
+         "reviewNote" = $4,
+         "reviewedAt" = CURRENT_TIMESTAMP
+     WHERE "assessmentId" = $1 AND "reviewStatus" = 'pending'
+     RETURNING *`,
+    [assessmentId, reviewStatus, reviewedByUserId, reviewNote || null]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Whether a donation is held back from withdrawals by a review
+ */
+export const isDonationHeld = async (donationId) => {
+  const result = await db.query(
+    `SELECT 1
+     FROM "donationRiskAssessments"
+     WHERE "donationId" = $1 AND "reviewStatus" IN ('pending', 'rejected')`,
+    [donationId]
+  );
+
+  return result.rows.length > 0;
+};
+
+export default {
+  countRecentAttempts,
+  countRecentFailedPayments,
+  getCampaignDonationProfile,
+  createAssessment,
+  getAssessmentById,
+  listAssessments,
+  markReviewed,
+  isDonationHeld,
+};
@@ -0,0 +1,41 @@
+import { Router } from "express";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import {
+  authenticate,
+  restrictTo,
+} from "../../../middlewares/auth.middleware.js";
+import {
+  getReviewQueue,
+  listAssessments,
+  getAssessment,
+  clearDonation,
+  rejectDonation,
+} from "./donationRisk.controller.js";
+import {
+  validateListAssessments,
+  validateClearDonation,
+  validateRejectDonation,
+  validateAssessmentId,
+} from "./donationRisk.validation.js";
+
+const router = Router();
+
+router.use(authenticate, restrictTo("financialAdmin", "superAdmin"));
+
+router.get("/queue", validateListAssessments, catchAsync(getReviewQueue));
+router.get("/", validateListAssessments, catchAsync(listAssessments));
+router.get("/:assessmentId", validateAssessmentId, catchAsync(getAssessment));
+router.post(
+  "/:assessmentId/clear",
+  validateAssessmentId,
+  validateClearDonation,
+  catchAsync(clearDonation)
+);
+router.post(
+  "/:assessmentId/reject",
+  validateAssessmentId,
+  validateRejectDonation,
+  catchAsync(rejectDonation)
+);
+
+export default router;
@@ -0,0 +1,458 @@
+import * as riskRepository from "./donationRisk.repository.js";
+import * as exchangeRateService from "../../payment/exchangeRates/exchangeRate.service.js";
+import { refundDonation } from "../donation/donation.service.js";
+import {
+  findCampaignById,
+  findUsersByRoles,
+} from "../../campaign/campaigns/campaign.repository.js";
+import notificationService from "../../notifications/notification.service.js";
+import { logServiceEvent } from "../../audit/audit.utils.js";
+import { DONATION_ACTIONS, ENTITY_TYPES } from "../../audit/audit.constants.js";
+import config from "../../../config/index.js";
+import { AppError } from "../../../utils/appError.js";
+import logger from "../../../utils/logger.js";
+
+const REVIEW_ROLES = ["superAdmin", "financialAdmin"];
+
+// Score added by each signal; doubled when its limit is exceeded twofold
+export const SIGNAL_WEIGHTS = {
+  phoneVelocity: 40,
+  ipVelocity: 30,
+  userVelocity: 30,
+  failedPayments: 40,
+  anonymousBurst: 30,
+  unusualAmount: 30,
+  largeAmount: 20,
+};
+
+const signal = (code, observed, limit, message) => ({
+  code,
+  weight: SIGNAL_WEIGHTS[code] * (observed >= limit * 2 ? 2 : 1),
+  observed,
+  limit,
+  message,
+});
+
+const decide = (score) => {
+  const { reviewScore, blockScore } = config.payments.risk;
+  if (score >= blockScore) return "block";
+  if (score >= reviewScore) return "review";
+  return "allow";
+};
+
+const formatAssessment = (assessment) => ({
+  ...assessment,
+  amount: Number(assessment.amount),
+  baseAmount:
+    assessment.baseAmount === null || assessment.baseAmount === undefined
+      ? null
+      : Number(assessment.baseAmount),
+});
+
+/**
+ * The large donation threshold in the campaign's base currency, or null when
+ * there is no rate to convert it with
+ */
+const largeAmountFor = async (campaign) => {
+  const { largeAmount, largeAmountCurrency } = config.payments.risk;
+  if (largeAmountCurrency === campaign.baseCurrency) return largeAmount;
+  try {
+    const converted = await exchangeRateService.convert(
+      largeAmount,
+      largeAmountCurrency,
+      campaign.baseCurrency
+    );
+    return converted.amount;
+  } catch (conversionErr) {
+    logger.warn("Risk check could not convert large donation threshold", {
+      campaignId: campaign.campaignId,
+      currency: campaign.baseCurrency,
+      error: conversionErr.message,
+    });
+    return null;
+  }
+};
+
+/**
+ * Signals raised by a donation attempt. Counts include the attempt itself.
+ */
+const collectSignals = async ({
+  attempt,
+  campaign,
+  baseAmount,
+  windowStart,
+  failedSince,
+}) => {
+  const limits = config.payments.risk;
+  const minutes = limits.windowMinutes;
+  const signals = [];
+
+  const counts = await riskRepository.countRecentAttempts({
+    phoneNumber: attempt.phoneNumber,
+    ipAddress: attempt.ipAddress,
+    donorUserId: attempt.donorUserId,
+    since: windowStart,
+  });
+
+  if (attempt.phoneNumber && counts.phoneAttempts + 1 > limits.maxPerPhone) {
+    signals.push(
+      signal(
+        "phoneVelocity",
+        counts.phoneAttempts + 1,
+        limits.maxPerPhone,
+        `${counts.phoneAttempts + 1} donation attempts from this phone number in ${minutes} minutes`
+      )
+    );
+  }
+  if (attempt.ipAddress && counts.ipAttempts + 1 > limits.maxPerIp) {
+    signals.push(
+      signal(
+        "ipVelocity",
+        counts.ipAttempts + 1,
+        limits.maxPerIp,
+        `${counts.ipAttempts + 1} donation attempts from this IP address in ${minutes} minutes`
+      )
+    );
+  }
+  if (attempt.donorUserId && counts.userAttempts + 1 > limits.maxPerUser) {
+    signals.push(
+      signal(
+        "userVelocity",
+        counts.userAttempts + 1,
+        limits.maxPerUser,
+        `${counts.userAttempts + 1} donation attempts by this user in ${minutes} minutes`
+      )
+    );
+  }
+  if (
+    attempt.isAnonymous &&
+    counts.anonymousAttempts + 1 > limits.maxAnonymous
+  ) {
+    signals.push(
+      signal(
+        "anonymousBurst",
+        counts.anonymousAttempts + 1,
+        limits.maxAnonymous,
+        `${counts.anonymousAttempts + 1} anonymous donations from the same phone number or IP address in ${minutes} minutes`
+      )
+    );
+  }
+
+  const failedPayments = await riskRepository.countRecentFailedPayments({
+    phoneNumber: attempt.phoneNumber,
+    userId: attempt.donorUserId,
+    since: failedSince,
+  });
+  if (failedPayments >= limits.maxFailedPayments) {
+    signals.push(
+      signal(
+        "failedPayments",
+        failedPayments,
+        limits.maxFailedPayments,
+        `${failedPayments} failed payments in the last ${limits.failedPaymentsLookbackHours} hours`
+      )
+    );
+  }
+
+  if (baseAmount !== null) {
+    const largeAmount = await largeAmountFor(campaign);
+    if (largeAmount !== null && baseAmount >= largeAmount) {
+      signals.push(
+        signal(
+          "largeAmount",
+          baseAmount,
+          largeAmount,
+          `Amount of ${baseAmount} ${campaign.baseCurrency} is at or above the large donation threshold`
+        )
+      );
+    }
+
+    const profile = await riskRepository.getCampaignDonationProfile(
+      campaign.campaignId
+    );
+    const average = Number(profile.averageAmount);
+    const threshold = average * limits.unusualAmountMultiplier;
+    if (
+      profile.donationCount >= limits.minDonationsForAverage &&
+      average > 0 &&
+      baseAmount > threshold
+    ) {
+      signals.push(
+        signal(
+          "unusualAmount",
+          baseAmount,
+          Math.round(threshold * 100) / 100,
+          `Amount is more than ${limits.unusualAmountMultiplier} times the campaign's average donation of ${average.toFixed(2)} ${campaign.baseCurrency}`
+        )
+      );
+    }
+  }
+
+  return signals;
+};
+
+/**
+ * Scores a donation attempt before anything is created for it. Blocked
+ * attempts are recorded and rejected here; otherwise the assessment is
+ * returned for recordAssessment to store with the donation.
+ * @param {Object} donationData - Validated donation payload
+ * @param {string|null} userId - Authenticated donor, if any
+ * @param {Object} context - { ipAddress }
+ * @returns {Promise<Object|null>} Unsaved assessment, or null when not checked
+ */
+export const assessDonation = async (
+  donationData,
+  userId = null,
+  { ipAddress } = {}
+) => {
+  const limits = config.payments.risk;
+  // Scheduled charges are started by the platform, not by a donor's request
+  if (!limits.enabled || donationData.recurringDonationId) return null;
+
+  const campaign = await findCampaignById(donationData.campaignId);
+  if (!campaign) return null;
+
+  const currency = (
+    donationData.currency || campaign.baseCurrency
+  ).toUpperCase();
+  let baseAmount = null;
+  try {
+    const conversion = await exchangeRateService.convert(
+      donationData.amount,
+      currency,
+      campaign.baseCurrency
+    );
+    baseAmount = conversion.amount;
+  } catch (conversionErr) {
+    // Amount checks are skipped; createDonation reports the missing rate
+    logger.warn("Risk check could not convert donation amount", {
+      campaignId: campaign.campaignId,
+      currency,
+      error: conversionErr.message,
+    });
+  }
+
+  const attempt = {
+    campaignId: campaign.campaignId,
+    donorUserId: userId,
+    phoneNumber: donationData.phoneNumber || null,
+    ipAddress: ipAddress || null,
+    isAnonymous: userId ? !!donationData.isAnonymous : true,
+    amount: donationData.amount,
+    currency,
+    baseAmount,
+  };
+
+  const now = Date.now();
+  const signals = await collectSignals({
+    attempt,
+    campaign,
+    baseAmount,
+    windowStart: new Date(now - limits.windowMinutes * 60 * 1000),
+    failedSince: new Date(
+      now - limits.failedPaymentsLookbackHours * 60 * 60 * 1000
+    ),
+  });
+  const score = signals.reduce((total, item) => total + item.weight, 0);
+  const assessment = { ...attempt, score, decision: decide(score), signals };
+
+  if (assessment.decision === "block") {
+    const blocked = await riskRepository.createAssessment(assessment);
+
+    logger.warn("Donation blocked by risk checks", {
+      assessmentId: blocked.assessmentId,
+      campaignId: blocked.campaignId,
+      score,
+      signals: signals.map((item) => item.code),
+    });
+
+    await logServiceEvent(
+      userId,
+      DONATION_ACTIONS.DONATION_BLOCKED,
+      ENTITY_TYPES.DONATION_RISK_ASSESSMENT,
+      blocked.assessmentId,
+      {
+        campaignId: blocked.campaignId,
+        amount: blocked.amount,
+        currency: blocked.currency,
+        ipAddress: blocked.ipAddress,
+        score,
+        signals: signals.map((item) => item.code),
+      }
+    );
+
+    // Deliberately vague: the signals are not shown to the donor
+    throw new AppError(
+      "This donation cannot be processed right now. Please contact support if you think this is a mistake.",
+      403
+    );
+  }
+
+  return assessment;
+};
+
+/**
+ * Stores an assessment against the donation it allowed or flagged
+ */
+export const recordAssessment = async (assessment, donation, client = null) => {
+  if (!assessment) return null;
+  return riskRepository.createAssessment(
+    { ...assessment, donationId: donation.donationId },
+    client
+  );
+};
+
+/**
+ * Audits a flagged donation and tells finance admins it is waiting in the queue
+ */
+export const reportFlaggedDonation = async (assessment) => {
+  if (assessment?.decision !== "review") return;
+
+  logger.warn("Donation flagged for review", {
+    assessmentId: assessment.assessmentId,
+    donationId: assessment.donationId,
+    score: assessment.score,
+  });
+
+  await logServiceEvent(
+    assessment.donorUserId,
+    DONATION_ACTIONS.DONATION_FLAGGED,
+    ENTITY_TYPES.DONATION_RISK_ASSESSMENT,
+    assessment.assessmentId,
+    {
+      donationId: assessment.donationId,
+      campaignId: assessment.campaignId,
+      amount: assessment.amount,
+      currency: assessment.currency,
+      score: assessment.score,
+      signals: assessment.signals.map((item) => item.code),
+    }
+  );
+
+  try {
+    const admins = await findUsersByRoles(REVIEW_ROLES);
+    for (const admin of admins) {
+      await notificationService.createAndDispatch({
+        userId: admin.userId,
+        type: "inApp",
+        category: "donation",
+        priority: "high",
+        title: "Donation flagged for review",
+        message: `${assessment.amount} ${assessment.currency}: ${assessment.signals
+          .map((item) => item.message)
+          .join("; ")}.`,
+        data: {
+          assessmentId: assessment.assessmentId,
+          donationId: assessment.donationId,
+          campaignId: assessment.campaignId,
+        },
+        relatedEntityType: "donation",
+        relatedEntityId: assessment.donationId,
+      });
+    }
+  } catch (notifyErr) {
+    logger.warn("Failed to notify admins of flagged donation", {
+      assessmentId: assessment.assessmentId,
+      error: notifyErr.message,
+    });
+  }
+};
+
+export const listAssessments = async (filters = {}) => {
+  const rows = await riskRepository.listAssessments(filters);
+  return rows.map(formatAssessment);
+};
+
+export const getAssessment = async (assessmentId) => {
+  const assessment = await riskRepository.getAssessmentById(assessmentId);
+  if (!assessment) {
+    throw new AppError("Risk assessment not found", 404);
+  }
+  return formatAssessment(assessment);
+};
+
+const reviewAssessment = async (assessmentId, reviewStatus, actor, note) => {
+  const reviewed = await riskRepository.markReviewed(assessmentId, {
+    reviewStatus,
+    reviewedByUserId: actor.userId,
+    reviewNote: note,
+  });
+  if (!reviewed) {
+    await getAssessment(assessmentId);
+    throw new AppError("Donation is not awaiting review", 409);
+  }
+  return reviewed;
+};
+
+/**
+ * Clears a flagged donation; its funds become withdrawable
+ */
+export const clearDonation = async (assessmentId, actor, { note } = {}) => {
+  const reviewed = await reviewAssessment(assessmentId, "cleared", actor, note);
+
+  await logServiceEvent(
+    actor.userId,
+    DONATION_ACTIONS.DONATION_REVIEW_CLEARED,
+    ENTITY_TYPES.DONATION_RISK_ASSESSMENT,
+    assessmentId,
+    { donationId: reviewed.donationId, campaignId: reviewed.campaignId, note }
+  );
+
+  return formatAssessment(reviewed);
+};
+
+/**
+ * Rejects a flagged donation. A completed donation is refunded straight away;
+ * one still awaiting payment stays held and can be refunded once it completes.
+ */
+export const rejectDonation = async (assessmentId, actor, { reason }) => {
+  const reviewed = await reviewAssessment(
+    assessmentId,
+    "rejected",
+    actor,
+    reason
+  );
+
+  await logServiceEvent(
+    actor.userId,
+    DONATION_ACTIONS.DONATION_REVIEW_REJECTED,
+    ENTITY_TYPES.DONATION_RISK_ASSESSMENT,
+    assessmentId,
+    {
+      donationId: reviewed.donationId,
+      campaignId: reviewed.campaignId,
+      reason,
+    }
+  );
+
+  let refund = null;
+  let refundError = null;
+  try {
+    refund = await refundDonation(reviewed.donationId, actor, {
+      reason: `Rejected in risk review: ${reason}`,
+    });
+  } catch (error) {
+    refundError = error.message;
+    logger.warn("Rejected donation was not refunded", {
+      assessmentId,
+      donationId: reviewed.donationId,
+      error: error.message,
+    });
+  }
+
+  return { assessment: formatAssessment(reviewed), refund, refundError };
+};
+
+export const isDonationHeld = async (donationId) =>
+  riskRepository.isDonationHeld(donationId);
+
+export default {
+  assessDonation,
+  recordAssessment,
+  reportFlaggedDonation,
+  listAssessments,
+  getAssessment,
+  clearDonation,
+  rejectDonation,
+  isDonationHeld,
+};
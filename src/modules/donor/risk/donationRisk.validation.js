@@ -0,0 +1,35 @@
+import Joi from "joi";
+import { validate } from "../../../utils/validation.js";
+
+// Validation schemas
+const listAssessmentsSchema = Joi.object({
+  decision: Joi.string().valid("allow", "review", "block").optional(),
+  reviewStatus: Joi.string().valid("pending", "cleared", "rejected").optional(),
+  campaignId: Joi.string().uuid().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const clearDonationSchema = Joi.object({
+  note: Joi.string().trim().max(500).optional(),
+});
+
+const rejectDonationSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    "any.required": "Rejection reason is required",
+    "string.min": "Rejection reason is too short",
+  }),
+});
+
+const assessmentIdSchema = Joi.object({
+  assessmentId: Joi.string().uuid().required().messages({
+    "string.guid": "Assessment ID must be a valid UUID",
+    "any.required": "Assessment ID is required",
+  }),
+});
+
+// Validation middlewares
+export const validateListAssessments = validate(listAssessmentsSchema, "query");
+export const validateClearDonation = validate(clearDonationSchema);
+export const validateRejectDonation = validate(rejectDonationSchema);
+export const validateAssessmentId = validate(assessmentIdSchema, "params");
@@ -0,0 +1,229 @@
+// src/modules/donor/statements/__tests__/statement.service.test.js
+
+import {
+  buildStatement,
+  statementToCsv,
+  sendStatementEmail,
+  sendAnnualStatements,
+  processAnnualStatements,
+} from '../statement.service.js';
+import * as statementRepository from '../statement.repository.js';
+import notificationService from '../../../notifications/notification.service.js';
+
+// Mock dependencies
+jest.mock('../statement.repository.js');
+jest.mock('../../../notifications/notification.service.js', () => ({
+  __esModule: true,
+  default: { createAndDispatch: jest.fn() },
+}));
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('StatementService', () => {
+  const donations = [
+    {
+      donationId: 'donation-1',
+      donationDate: '2024-03-01T09:00:00Z',
+      amount: '100.10',
+      currency: 'ZMW',
+      campaignName: 'Library fund',
+      organizerId: 'org-1',
+      organizationName: 'Student Union',
+      receiptNumber: 'SU-000001',
+    },
+    {
+      donationId: 'donation-2',
+      donationDate: '2024-07-15T09:00:00Z',
+      amount: '0.20',
+      currency: 'ZMW',
+      campaignName: 'Books, "new" and used',
+      organizerId: 'org-1',
+      organizationName: 'Student Union',
+      receiptNumber: null,
+    },
+    {
+      donationId: 'donation-3',
+      donationDate: '2024-11-02T09:00:00Z',
+      amount: '25.00',
+      currency: 'USD',
+      campaignName: 'Clinic',
+      organizerId: 'org-2',
+      organizationName: 'Health Club',
+      receiptNumber: 'HC-000009',
+    },
+  ];
+
+  beforeEach(() => {
+    statementRepository.getDonorContact.mockResolvedValue({
+      userId: 'donor-1',
+      email: 'jane@example.com',
+      donorName: 'Jane Banda',
+    });
+    statementRepository.getCompletedDonationsForPeriod.mockResolvedValue(
+      donations
+    );
+    notificationService.createAndDispatch.mockResolvedValue({
+      notificationId: 'notification-1',
+      deliveryStatus: 'sent',
+    });
+  });
+
+  describe('buildStatement', () => {
+    it('should read the calendar year and total per currency and organization', async () => {
+      const statement = await buildStatement('donor-1', 2024);
+
+      expect(
+        statementRepository.getCompletedDonationsForPeriod
+      ).toHaveBeenCalledWith(
+        'donor-1',
+        new Date('2024-01-01T00:00:00Z'),
+        new Date('2025-01-01T00:00:00Z')
+      );
+      expect(statement.donationCount).toBe(3);
+      expect(statement.totals).toEqual([
+        { currency: 'ZMW', amount: 100.3, donationCount: 2 },
+        { currency: 'USD', amount: 25, donationCount: 1 },
+      ]);
+      expect(statement.organizations).toEqual([
+        expect.objectContaining({
+          organizerId: 'org-1',
+          currency: 'ZMW',
+          amount: 100.3,
+          donationCount: 2,
+        }),
+        expect.objectContaining({
+          organizerId: 'org-2',
+          currency: 'USD',
+          amount: 25,
+        }),
+      ]);
+    });
+
+    it('should reject unknown donors', async () => {
+      statementRepository.getDonorContact.mockResolvedValue(null);
+
+      await expect(buildStatement('ghost', 2024)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe('statementToCsv', () => {
+    it('should list each donation, quote awkward cells and add currency totals', async () => {
+      const csv = statementToCsv(await buildStatement('donor-1', 2024));
+      const lines = csv.split('\r\n');
+
+      expect(lines[0]).toBe(
+        'Date,Campaign,Organization,Amount,Currency,Receipt number,Donation ID'
+      );
+      expect(lines[2]).toBe(
+        '2024-07-15,"Books, ""new"" and used",Student Union,0.20,ZMW,,donation-2'
+      );
+      expect(lines.slice(-2)).toEqual([
+        'Total 2024,,,100.30,ZMW,,',
+        'Total 2024,,,25.00,USD,,',
+      ]);
+    });
+  });
+
+  describe('sendStatementEmail', () => {
+    it('should email the statement and record the delivery', async () => {
+      const result = await sendStatementEmail('donor-1', 2024);
+
+      expect(notificationService.createAndDispatch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 'donor-1',
+          type: 'email',
+          title: 'Your 2024 giving statement',
+        })
+      );
+      expect(statementRepository.recordStatementDelivery).toHaveBeenCalledWith(
+        {
+          donorUserId: 'donor-1',
+          year: 2024,
+          donationCount: 3,
+          notificationId: 'notification-1',
+        }
+      );
+      expect(result).toEqual({
+        year: 2024,
+        sentTo: 'jane@example.com',
+        donationCount: 3,
+      });
+    });
+
+    it('should not send an empty statement', async () => {
+      statementRepository.getCompletedDonationsForPeriod.mockResolvedValue([]);
+
+      await expect(sendStatementEmail('donor-1', 2024)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+      expect(notificationService.createAndDispatch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendAnnualStatements', () => {
+    it('should send to each awaiting donor and carry on past failures', async () => {
+      statementRepository.getDonorsAwaitingStatement.mockResolvedValue([
+        'donor-1',
+        'donor-2',
+      ]);
+      statementRepository.getDonorContact.mockImplementation(async (id) =>
+        id === 'donor-1' ? { userId: id, email: 'jane@example.com' } : null
+      );
+
+      const summary = await sendAnnualStatements(2024, { limit: 10 });
+
+      expect(statementRepository.getDonorsAwaitingStatement).toHaveBeenCalledWith(
+        2024,
+        new Date('2024-01-01T00:00:00Z'),
+        new Date('2025-01-01T00:00:00Z'),
+        10
+      );
+      expect(summary).toEqual({
+        year: 2024,
+        candidates: 2,
+        sent: 1,
+        failed: 1,
+      });
+      expect(statementRepository.recordStatementFailure).toHaveBeenCalledTimes(
+        1
+      );
+      expect(statementRepository.recordStatementFailure).toHaveBeenCalledWith(
+        expect.objectContaining({
+          donorUserId: 'donor-2',
+          year: 2024,
+          retryMinutes: expect.any(Number),
+          maxRetryMinutes: expect.any(Number),
+        })
+      );
+    });
+  });
+
+  describe('processAnnualStatements', () => {
+    it('should send the previous year during January', async () => {
+      statementRepository.getDonorsAwaitingStatement.mockResolvedValue([]);
+
+      const summary = await processAnnualStatements(
+        new Date('2025-01-10T00:00:00Z')
+      );
+
+      expect(summary.year).toBe(2024);
+    });
+
+    it('should do nothing outside January', async () => {
+      const summary = await processAnnualStatements(
+        new Date('2025-02-01T00:00:00Z')
+      );
+
+      expect(summary).toBeNull();
+      expect(
+        statementRepository.getDonorsAwaitingStatement
+      ).not.toHaveBeenCalled();
+    });
+  });
+});
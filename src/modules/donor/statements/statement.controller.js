@@ -0,0 +1,80 @@
+import * as statementService from "./statement.service.js";
+import { renderStatementPdf } from "./statement.pdf.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+export const getStatement = async (req, res) => {
+  const statement = await statementService.buildStatement(
+    req.user.userId,
+    Number(req.params.year)
+  );
+
+  return ResponseFactory.ok(
+    res,
+    "Giving statement retrieved successfully",
+    statement
+  );
+};
+
+export const downloadStatementPdf = async (req, res) => {
+  const year = Number(req.params.year);
+  const statement = await statementService.buildStatement(
+    req.user.userId,
+    year
+  );
+  const pdf = await renderStatementPdf(statement);
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="giving-statement-${year}.pdf"`
+  );
+  return res.send(pdf);
+};
+
+export const downloadStatementCsv = async (req, res) => {
+  const year = Number(req.params.year);
+  const statement = await statementService.buildStatement(
+    req.user.userId,
+    year
+  );
+
+  res.setHeader("Content-Type", "text/csv");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="giving-statement-${year}.csv"`
+  );
+  return res.send(statementService.statementToCsv(statement));
+};
+
+export const emailStatement = async (req, res) => {
+  const result = await statementService.sendStatementEmail(
+    req.user.userId,
+    Number(req.params.year)
+  );
+
+  return ResponseFactory.ok(res, "Giving statement sent", result);
+};
+
+export const sendAnnualStatements = async (req, res) => {
+  const year = req.body.year || new Date().getUTCFullYear() - 1;
+
+  const summary = await statementService.sendAnnualStatements(year, {
+    limit: req.body.limit,
+  });
+
+  return ResponseFactory.ok(
+    res,
+    summary
+      ? "Giving statement run completed"
+      : "Giving statement run already in progress",
+    summary
+  );
+};
+
+export default {
+  getStatement,
+  downloadStatementPdf,
+  downloadStatementCsv,
+  emailStatement,
+  sendAnnualStatements,
+};
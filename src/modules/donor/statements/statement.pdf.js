@@ -0,0 +1,123 @@
+import PDFDocument from "pdfkit";
+
+const APP_NAME = process.env.APP_NAME || "FundFlow";
+
+// Column x positions and widths for the donation table
+const COLUMNS = [
+  { label: "Date", x: 50, width: 70 },
+  { label: "Campaign", x: 120, width: 140 },
+  { label: "Organization", x: 260, width: 120 },
+  { label: "Receipt", x: 380, width: 90 },
+  { label: "Amount", x: 470, width: 75, align: "right" },
+];
+
+const formatMoney = (amount, currency) =>
+  `${Number(amount).toFixed(2)} ${currency}`;
+
+const tableRow = (doc, cells, font = "Helvetica") => {
+  // Start a new page rather than split a row across pages
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 30) {
+    doc.addPage();
+  }
+  const y = doc.y;
+  let bottom = y;
+  doc.font(font).fontSize(9);
+  COLUMNS.forEach((column, i) => {
+    doc.text(cells[i] || "-", column.x, y, {
+      width: column.width - 5,
+      align: column.align || "left",
+    });
+    bottom = Math.max(bottom, doc.y);
+  });
+  doc.y = bottom + 4;
+};
+
+/**
+ * Renders a giving statement (from statement.service buildStatement) as PDF
+ * @param {Object} statement
+ * @returns {Promise<Buffer>}
+ */
+export const renderStatementPdf = (statement) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: { Title: `${statement.year} giving statement`, Author: APP_NAME },
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(18).text(APP_NAME);
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(16)
+      .text(`Annual Giving Statement ${statement.year}`);
+    doc.moveDown(0.5).font("Helvetica").fontSize(11);
+    doc.text(statement.donor.name || "Donor");
+    if (statement.donor.email) doc.text(statement.donor.email);
+    doc.text(
+      `Period: 1 January ${statement.year} - 31 December ${statement.year}`
+    );
+    doc.text(`Generated: ${new Date(statement.generatedAt).toDateString()}`);
+    doc.moveDown(1);
+
+    doc.font("Helvetica-Bold").fontSize(12).text("Total given", 50);
+    doc.font("Helvetica").fontSize(11);
+    if (statement.totals.length === 0) {
+      doc.text(`No completed donations in ${statement.year}.`);
+    }
+    statement.totals.forEach((total) =>
+      doc.text(
+        `${formatMoney(total.amount, total.currency)} across ${
+          total.donationCount
+        } donation${total.donationCount === 1 ? "" : "s"}`
+      )
+    );
+    doc.moveDown(0.8);
+
+    if (statement.organizations.length > 0) {
+      doc.font("Helvetica-Bold").fontSize(12).text("By organization", 50);
+      doc.font("Helvetica").fontSize(11);
+      statement.organizations.forEach((org) =>
+        doc.text(
+          `${org.organizationName || "Campaign organizer"}: ${formatMoney(
+            org.amount,
+            org.currency
+          )}`
+        )
+      );
+      doc.moveDown(1);
+    }
+
+    if (statement.donations.length > 0) {
+      tableRow(
+        doc,
+        COLUMNS.map((column) => column.label),
+        "Helvetica-Bold"
+      );
+      statement.donations.forEach((d) =>
+        tableRow(doc, [
+          new Date(d.donationDate).toISOString().slice(0, 10),
+          d.campaignName,
+          d.organizationName,
+          d.receiptNumber,
+          formatMoney(d.amount, d.currency),
+        ])
+      );
+    }
+
+    doc.moveDown(1.5).font("Helvetica").fontSize(9).fillColor("#444444");
+    doc.text(
+      "Refunded donations are not included. No goods or services were provided in exchange for these donations.",
+      50,
+      doc.y,
+      { width: 495 }
+    );
+
+    doc.end();
+  });
+
+export default { renderStatementPdf };
@@ -0,0 +1,145 @@
+import { db } from "../../../db/index.js";
+
+/**
+ * A donor's completed donations made in [start, end), oldest first, with the
+ * campaign, the organization and the donation's valid receipt number.
+ * Refunded donations have status 'refunded' and are left out, as are the
+ * match donations a sponsor's pool made on their behalf.
+ */
+export const getCompletedDonationsForPeriod = async (
+  donorUserId,
+  start,
+  end
+) => {
+  const result = await db.query(
+    `SELECT d."donationId", d."donationDate", d."amount", d."currency",
+            d."campaignId", c."name" AS "campaignName",
+            COALESCE(d."organizerId", c."organizerId") AS "organizerId",
+            op."organizationName",
+            r."receiptNumber"
+     FROM "donations" d
+     JOIN "campaigns" c ON c."campaignId" = d."campaignId"
+     LEFT JOIN "organizationProfiles" op
+       ON op."userId" = COALESCE(d."organizerId", c."organizerId")
+     LEFT JOIN "donationReceipts" r
+       ON r."donationId" = d."donationId" AND r."status" = 'issued'
+     WHERE d."donorUserId" = $1
+       AND d."status" = 'completed'
+       AND d."matchPoolId" IS NULL
+       AND d."donationDate" >= $2
+       AND d."donationDate" < $3
+     ORDER BY d."donationDate" ASC`,
+    [donorUserId, start, end]
+  );
+
+  return result.rows;
+};
+
+export const getDonorContact = async (donorUserId) => {
+  const result = await db.query(
+    `SELECT u."userId", u."email",
+            NULLIF(TRIM(CONCAT_WS(' ', ip."firstName", ip."lastName")), '') AS "donorName"
+     FROM "users" u
+     LEFT JOIN "individualProfiles" ip ON ip."userId" = u."userId"
+     WHERE u."userId" = $1`,
+    [donorUserId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Donors who completed a donation in [start, end) and have not yet been sent
+ * their statement for `year`. Donors whose last attempt failed come after
+ * those never tried, and only once their next attempt is due.
+ */
+export const getDonorsAwaitingStatement = async (year, start, end, limit) => {
+  const result = await db.query(
+    `SELECT donors."donorUserId"
+     FROM (
+       SELECT DISTINCT d."donorUserId"
+       FROM "donations" d
+       WHERE d."donorUserId" IS NOT NULL
+         AND d."status" = 'completed'
+         AND d."matchPoolId" IS NULL
+         AND d."donationDate" >= $2
+         AND d."donationDate" < $3
+     ) donors
+     LEFT JOIN "givingStatementDeliveries" s
+       ON s."donorUserId" = donors."donorUserId" AND s."year" = $1
+     WHERE s."givingStatementDeliveryId" IS NULL
+        OR (s."status" = 'failed' AND s."nextAttemptAt" <= CURRENT_TIMESTAMP)
+     ORDER BY s."nextAttemptAt" ASC NULLS FIRST
+     LIMIT $4`,
+    [year, start, end, limit]
+  );
+
+  return result.rows.map((row) => row.donorUserId);
+};
+
+export const recordStatementDelivery = async ({
+  donorUserId,
+  year,
+  donationCount,
+  notificationId,
+}) => {
+  const result = await db.query(
+    `INSERT INTO "givingStatementDeliveries" (
+      "donorUserId", "year", "donationCount", "notificationId"
+    ) VALUES ($1, $2, $3, $4)
+    ON CONFLICT ("donorUserId", "year")
+    DO UPDATE SET "donationCount" = EXCLUDED."donationCount",
+                  "notificationId" = EXCLUDED."notificationId",
+                  "status" = 'sent',
+                  "lastError" = NULL,
+                  "nextAttemptAt" = NULL,
+                  "sentAt" = CURRENT_TIMESTAMP
+    RETURNING *`,
+    [donorUserId, year, donationCount, notificationId || null]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Records a failed send. The wait before the next attempt doubles with each
+ * failure, from retryMinutes up to maxRetryMinutes. A statement already sent
+ * is left alone.
+ */
+export const recordStatementFailure = async ({
+  donorUserId,
+  year,
+  error,
+  retryMinutes,
+  maxRetryMinutes,
+}) => {
+  const result = await db.query(
+    `INSERT INTO "givingStatementDeliveries" (
+      "donorUserId", "year", "status", "failedAttempts", "lastError",
+      "nextAttemptAt", "sentAt"
+    ) VALUES (
+      $1, $2, 'failed', 1, $3,
+      CURRENT_TIMESTAMP + make_interval(mins => $4::int), NULL
+    )
+    ON CONFLICT ("donorUserId", "year")
+    DO UPDATE SET "failedAttempts" = "givingStatementDeliveries"."failedAttempts" + 1,
+                  "lastError" = EXCLUDED."lastError",
+                  "nextAttemptAt" = CURRENT_TIMESTAMP + make_interval(mins => LEAST(
+                    $4::int * POWER(2, LEAST("givingStatementDeliveries"."failedAttempts", 10))::int,
+                    $5::int
+                  ))
+    WHERE "givingStatementDeliveries"."status" = 'failed'
+    RETURNING *`,
+    [donorUserId, year, error, retryMinutes, maxRetryMinutes]
+  );
+
+  return result.rows[0] || null;
+};
+
+export default {
+  getCompletedDonationsForPeriod,
+  getDonorContact,
+  getDonorsAwaitingStatement,
+  recordStatementDelivery,
+  recordStatementFailure,
+};
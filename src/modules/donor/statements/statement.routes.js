@@ -0,0 +1,46 @@
+import { Router } from "express";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import {
+  authenticate,
+  restrictTo,
+} from "../../../middlewares/auth.middleware.js";
+import {
+  getStatement,
+  downloadStatementPdf,
+  downloadStatementCsv,
+  emailStatement,
+  sendAnnualStatements,
+} from "./statement.controller.js";
+import {
+  validateStatementYear,
+  validateSendAnnualStatements,
+} from "./statement.validation.js";
+
+const router = Router();
+
+const requireFinanceAdmin = restrictTo("financialAdmin", "superAdmin");
+
+// Statements belong to the signed-in donor
+router.use(authenticate);
+
+router.post(
+  "/admin/send",
+  requireFinanceAdmin,
+  validateSendAnnualStatements,
+  catchAsync(sendAnnualStatements)
+);
+
+router.get("/:year", validateStatementYear, catchAsync(getStatement));
+router.get(
+  "/:year/pdf",
+  validateStatementYear,
+  catchAsync(downloadStatementPdf)
+);
+router.get(
+  "/:year/csv",
+  validateStatementYear,
+  catchAsync(downloadStatementCsv)
+);
+router.post("/:year/email", validateStatementYear, catchAsync(emailStatement));
+
+export default router;
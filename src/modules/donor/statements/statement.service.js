@@ -0,0 +1,268 @@
+import * as statementRepository from "./statement.repository.js";
+import notificationService from "../../notifications/notification.service.js";
+import { createGivingStatementTemplate } from "../../../utils/emailTemplates.js";
+import { AppError } from "../../../utils/appError.js";
+import logger from "../../../utils/logger.js";
+
+// Donors emailed per batch run; the scheduler picks up the rest next run
+const STATEMENT_BATCH_SIZE = 100;
+// Wait before retrying a failed statement; doubles per failure up to a day
+const STATEMENT_RETRY_MINUTES = 30;
+const STATEMENT_MAX_RETRY_MINUTES = 24 * 60;
+
+let isProcessing = false;
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+const yearBounds = (year) => ({
+  start: new Date(Date.UTC(year, 0, 1)),
+  end: new Date(Date.UTC(year + 1, 0, 1)),
+});
+
+/**
+ * Sums donations into groups; amounts are added in cents so totals do not drift
+ */
+const summarize = (donations, keyOf, describe) => {
+  const groups = new Map();
+  for (const donation of donations) {
+    const key = keyOf(donation);
+    const group = groups.get(key) || {
+      ...describe(donation),
+      cents: 0,
+      donationCount: 0,
+    };
+    group.cents += toCents(donation.amount);
+    group.donationCount++;
+    groups.set(key, group);
+  }
+  return [...groups.values()].map(({ cents, ...group }) => ({
+    ...group,
+    amount: cents / 100,
+  }));
+};
+
+/**
+ * A donor's giving for one calendar year (UTC): every completed donation
+ * across campaigns and organizations, with totals per currency and per
+ * organization. Refunded donations are not included.
+ * @param {string} donorUserId
+ * @param {number} year
+ * @returns {Promise<Object>} Statement
+ */
+export const buildStatement = async (donorUserId, year) => {
+  const donor = await statementRepository.getDonorContact(donorUserId);
+  if (!donor) {
+    throw new AppError("Donor not found", 404);
+  }
+
+  const { start, end } = yearBounds(year);
+  const rows = await statementRepository.getCompletedDonationsForPeriod(
+    donorUserId,
+    start,
+    end
+  );
+  const donations = rows.map((row) => ({
+    ...row,
+    amount: Number(row.amount),
+  }));
+
+  return {
+    year,
+    periodStart: start.toISOString(),
+    periodEnd: end.toISOString(),
+    generatedAt: new Date().toISOString(),
+    donor: {
+      userId: donor.userId,
+      name: donor.donorName,
+      email: donor.email,
+    },
+    donationCount: donations.length,
+    totals: summarize(
+      donations,
+      (d) => d.currency,
+      (d) => ({ currency: d.currency })
+    ),
+    organizations: summarize(
+      donations,
+      (d) => `${d.organizerId}:${d.currency}`,
+      (d) => ({
+        organizerId: d.organizerId,
+        organizationName: d.organizationName,
+        currency: d.currency,
+      })
+    ),
+    donations,
+  };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One line per donation followed by a total line per currency
+ */
+export const statementToCsv = (statement) => {
+  const lines = [
+    [
+      "Date",
+      "Campaign",
+      "Organization",
+      "Amount",
+      "Currency",
+      "Receipt number",
+      "Donation ID",
+    ],
+    ...statement.donations.map((d) => [
+      new Date(d.donationDate).toISOString().slice(0, 10),
+      d.campaignName,
+      d.organizationName,
+      d.amount.toFixed(2),
+      d.currency,
+      d.receiptNumber,
+      d.donationId,
+    ]),
+    ...statement.totals.map((t) => [
+      `Total ${statement.year}`,
+      "",
+      "",
+      t.amount.toFixed(2),
+      t.currency,
+      "",
+      "",
+    ]),
+  ];
+
+  return lines.map((line) => line.map(csvCell).join(",")).join("\r\n");
+};
+
+/**
+ * Emails the donor their statement for `year` and records the delivery
+ * @returns {Promise<Object>} { year, sentTo, donationCount }
+ */
+export const sendStatementEmail = async (donorUserId, year) => {
+  const statement = await buildStatement(donorUserId, year);
+  if (statement.donationCount === 0) {
+    throw new AppError(`No completed donations found for ${year}`, 404);
+  }
+
+  const html = createGivingStatementTemplate({
+    donorName: statement.donor.name || "Supporter",
+    year,
+    donationCount: statement.donationCount,
+    totals: statement.totals,
+    organizations: statement.organizations,
+  });
+
+  const notification = await notificationService.createAndDispatch({
+    userId: donorUserId,
+    type: "email",
+    category: "donation",
+    priority: "low",
+    title: `Your ${year} giving statement`,
+    message: html,
+    data: { year, donationCount: statement.donationCount },
+    templateId: "donation.statement.annual.email.v1",
+  });
+
+  await statementRepository.recordStatementDelivery({
+    donorUserId,
+    year,
+    donationCount: statement.donationCount,
+    notificationId: notification?.notificationId,
+  });
+
+  logger.info("Giving statement sent", {
+    donorUserId,
+    year,
+    donationCount: statement.donationCount,
+    deliveryStatus: notification?.deliveryStatus,
+  });
+
+  return {
+    year,
+    sentTo: statement.donor.email,
+    donationCount: statement.donationCount,
+  };
+};
+
+/**
+ * Emails `year` statements to the next batch of donors who gave that year
+ * and have not had theirs yet; failed sends are retried later with backoff
+ * @returns {Promise<Object|null>} { year, candidates, sent, failed }, or null
+ *   when a previous run is still going
+ */
+export const sendAnnualStatements = async (
+  year,
+  { limit = STATEMENT_BATCH_SIZE } = {}
+) => {
+  if (isProcessing) {
+    logger.debug("Giving statement run skipped; previous run still active");
+    return null;
+  }
+  isProcessing = true;
+
+  try {
+    const { start, end } = yearBounds(year);
+    const donorUserIds = await statementRepository.getDonorsAwaitingStatement(
+      year,
+      start,
+      end,
+      limit
+    );
+
+    let sent = 0;
+    let failed = 0;
+    for (const donorUserId of donorUserIds) {
+      try {
+        await sendStatementEmail(donorUserId, year);
+        sent++;
+      } catch (error) {
+        failed++;
+        logger.error("Failed to send giving statement", {
+          donorUserId,
+          year,
+          error: error.message,
+        });
+        try {
+          await statementRepository.recordStatementFailure({
+            donorUserId,
+            year,
+            error: error.message,
+            retryMinutes: STATEMENT_RETRY_MINUTES,
+            maxRetryMinutes: STATEMENT_MAX_RETRY_MINUTES,
+          });
+        } catch (recordError) {
+          logger.warn("Failed to record giving statement failure", {
+            donorUserId,
+            year,
+            error: recordError.message,
+          });
+        }
+      }
+    }
+
+    const summary = { year, candidates: donorUserIds.length, sent, failed };
+    logger.info("Giving statement run completed", summary);
+    return summary;
+  } finally {
+    isProcessing = false;
+  }
+};
+
+/**
+ * Scheduler entry point: during January, sends last year's statements
+ */
+export const processAnnualStatements = async (now = new Date()) => {
+  if (now.getUTCMonth() !== 0) return null;
+  return sendAnnualStatements(now.getUTCFullYear() - 1);
+};
+
+export default {
+  buildStatement,
+  statementToCsv,
+  sendStatementEmail,
+  sendAnnualStatements,
+  processAnnualStatements,
+};
@@ -0,0 +1,29 @@
+import Joi from "joi";
+import { validate } from "../../../utils/validation.js";
+
+// Checked per request so the allowed range moves with the calendar
+const statementYear = Joi.number()
+  .integer()
+  .min(2000)
+  .custom((value, helpers) =>
+    value > new Date().getUTCFullYear()
+      ? helpers.message("Statements are only available up to the current year")
+      : value
+  );
+
+// Validation schemas
+const statementYearSchema = Joi.object({
+  year: statementYear.required(),
+});
+
+const sendAnnualStatementsSchema = Joi.object({
+  // Defaults to last year
+  year: statementYear.optional(),
+  limit: Joi.number().integer().min(1).max(500).optional(),
+});
+
+// Validation middlewares
+export const validateStatementYear = validate(statementYearSchema, "params");
+export const validateSendAnnualStatements = validate(
+  sendAnnualStatementsSchema
+);
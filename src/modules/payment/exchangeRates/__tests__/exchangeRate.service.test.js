@@ -0,0 +1,163 @@
+// src/modules/payment/exchangeRates/__tests__/exchangeRate.service.test.js
+
+import {
+  getRate,
+  convert,
+  parseRatesCsv,
+  importRates,
+} from '../exchangeRate.service.js';
+import * as exchangeRateRepository from '../exchangeRate.repository.js';
+import { transaction } from '../../../../db/index.js';
+
+// Mock dependencies
+jest.mock('../exchangeRate.repository.js');
+jest.mock('../../../../db/index.js', () => ({
+  transaction: jest.fn(),
+}));
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('ExchangeRateService', () => {
+  describe('getRate', () => {
+    it('should convert a currency into itself at 1 without a lookup', async () => {
+      const snapshot = await getRate('zmw', 'ZMW');
+
+      expect(snapshot).toEqual(
+        expect.objectContaining({ rate: 1, exchangeRateId: null })
+      );
+      expect(exchangeRateRepository.findRateAt).not.toHaveBeenCalled();
+    });
+
+    it('should use the latest rate effective at the given time', async () => {
+      const at = new Date('2025-06-01T00:00:00Z');
+      exchangeRateRepository.findRateAt.mockResolvedValue({
+        exchangeRateId: 'rate-1',
+        rate: '26.50000000',
+        effectiveAt: '2025-05-31T00:00:00Z',
+        inverted: false,
+      });
+
+      const snapshot = await getRate('USD', 'ZMW', at);
+
+      expect(exchangeRateRepository.findRateAt).toHaveBeenCalledWith(
+        'USD',
+        'ZMW',
+        at
+      );
+      expect(snapshot.rate).toBe(26.5);
+      expect(snapshot.exchangeRateId).toBe('rate-1');
+    });
+
+    it('should refuse to convert when no rate has been published', async () => {
+      exchangeRateRepository.findRateAt.mockResolvedValue(null);
+
+      await expect(getRate('EUR', 'ZMW')).rejects.toMatchObject({
+        statusCode: 422,
+      });
+    });
+  });
+
+  describe('convert', () => {
+    it('should round the converted amount to cents and keep the snapshot', async () => {
+      exchangeRateRepository.findRateAt.mockResolvedValue({
+        exchangeRateId: 'rate-2',
+        rate: '0.03773585',
+        effectiveAt: '2025-05-31T00:00:00Z',
+        inverted: true,
+      });
+
+      const result = await convert(100, 'ZMW', 'USD');
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          amount: 3.77,
+          currency: 'USD',
+          rate: 0.03773585,
+          exchangeRateId: 'rate-2',
+        })
+      );
+    });
+  });
+
+  describe('uploads', () => {
+    beforeEach(() => {
+      transaction.mockImplementation((callback) => callback('client'));
+    });
+
+    it('should parse CSV rows by header name', () => {
+      const rows = parseRatesCsv(
+        'rate,baseCurrency,quoteCurrency,effectiveAt\n' +
+          '26.5,USD,ZMW,2025-06-01T00:00:00Z\r\n' +
+          '28.9,EUR,ZMW,\n'
+      );
+
+      expect(rows).toEqual([
+        {
+          rate: '26.5',
+          baseCurrency: 'USD',
+          quoteCurrency: 'ZMW',
+          effectiveAt: '2025-06-01T00:00:00Z',
+        },
+        { rate: '28.9', baseCurrency: 'EUR', quoteCurrency: 'ZMW' },
+      ]);
+    });
+
+    it('should reject a CSV without the required columns', () => {
+      expect(() => parseRatesCsv('base,quote\nUSD,ZMW')).toThrow(
+        'CSV is missing columns: baseCurrency, quoteCurrency, rate'
+      );
+    });
+
+    it('should save every row of a valid upload in one transaction', async () => {
+      exchangeRateRepository.upsertRate.mockImplementation(async (row) => ({
+        exchangeRateId: `${row.baseCurrency}-${row.quoteCurrency}`,
+        ...row,
+      }));
+
+      const result = await importRates(
+        'admin-1',
+        [
+          { baseCurrency: 'usd', quoteCurrency: 'zmw', rate: '26.5' },
+          {
+            baseCurrency: 'EUR',
+            quoteCurrency: 'ZMW',
+            rate: 28.9,
+            source: 'BoZ',
+          },
+        ],
+        'weekly sheet'
+      );
+
+      expect(transaction).toHaveBeenCalledTimes(1);
+      expect(result.imported).toBe(2);
+      expect(exchangeRateRepository.upsertRate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          baseCurrency: 'USD',
+          quoteCurrency: 'ZMW',
+          rate: 26.5,
+          source: 'weekly sheet',
+          createdByUserId: 'admin-1',
+        }),
+        'client'
+      );
+      expect(exchangeRateRepository.upsertRate).toHaveBeenCalledWith(
+        expect.objectContaining({ source: 'BoZ' }),
+        'client'
+      );
+    });
+
+    it('should save nothing when any row is invalid', async () => {
+      await expect(
+        importRates('admin-1', [
+          { baseCurrency: 'USD', quoteCurrency: 'ZMW', rate: 26.5 },
+          { baseCurrency: 'USD', quoteCurrency: 'USD', rate: -1 },
+        ])
+      ).rejects.toThrow(/Row 2/);
+
+      expect(exchangeRateRepository.upsertRate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import * as exchangeRateService from "./exchangeRate.service.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+export const listLatestRates = async (req, res) => {
+  const rates = await exchangeRateService.listLatestRates();
+
+  return ResponseFactory.ok(res, "Latest exchange rates retrieved", rates);
+};
+
+export const convertAmount = async (req, res) => {
+  const { amount, from, to, at } = req.query;
+
+  const result = await exchangeRateService.convert(
+    Number(amount),
+    from,
+    to,
+    at || new Date()
+  );
+
+  return ResponseFactory.ok(res, "Amount converted", result);
+};
+
+export const listRates = async (req, res) => {
+  const rates = await exchangeRateService.listRates(req.query);
+
+  return ResponseFactory.ok(
+    res,
+    "Exchange rates retrieved successfully",
+    rates
+  );
+};
+
+export const createRate = async (req, res) => {
+  const rate = await exchangeRateService.createRate(req.user.userId, req.body);
+
+  return ResponseFactory.created(res, "Exchange rate saved successfully", rate);
+};
+
+export const importRates = async (req, res) => {
+  const rows = req.file
+    ? exchangeRateService.parseRatesCsv(req.file.buffer.toString("utf8"))
+    : req.body.rates;
+
+  if (!rows || rows.length === 0) {
+    return ResponseFactory.badRequest(
+      res,
+      "Upload a CSV file or send a non-empty rates array"
+    );
+  }
+
+  const result = await exchangeRateService.importRates(
+    req.user.userId,
+    rows,
+    req.body.source
+  );
+
+  return ResponseFactory.created(
+    res,
+    "Exchange rates imported successfully",
+    result
+  );
+};
+
+export default {
+  listLatestRates,
+  convertAmount,
+  listRates,
+  createRate,
+  importRates,
+};
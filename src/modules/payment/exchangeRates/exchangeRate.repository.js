@@ -0,0 +1,133 @@
+import { query } from "../../../db/index.js";
+import logger from "../../../utils/logger.js";
+import { DatabaseError } from "../../../utils/appError.js";
+
+/**
+ * Inserts a rate. Re-publishing the same pair and effectiveAt replaces the
+ * rate, so a corrected upload file can simply be uploaded again.
+ */
+export const upsertRate = async (payload, client = null) => {
+  const executor = client || { query };
+  try {
+    const result = await executor.query(
+      `INSERT INTO "exchangeRates" (
+        "baseCurrency", "quoteCurrency", "rate", "effectiveAt", "source", "createdByUserId"
+      ) VALUES ($1, $2, $3, COALESCE($4, CURRENT_TIMESTAMP), $5, $6)
+      ON CONFLICT ("baseCurrency", "quoteCurrency", "effectiveAt")
+      DO UPDATE SET "rate" = EXCLUDED."rate",
+                    "source" = EXCLUDED."source",
+                    "createdByUserId" = EXCLUDED."createdByUserId"
+      RETURNING *`,
+      [
+        payload.baseCurrency,
+        payload.quoteCurrency,
+        payload.rate,
+        payload.effectiveAt || null,
+        payload.source || null,
+        payload.createdByUserId || null,
+      ]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error("Failed to save exchange rate", {
+      baseCurrency: payload.baseCurrency,
+      quoteCurrency: payload.quoteCurrency,
+      error: error.message,
+    });
+    throw new DatabaseError("Failed to save exchange rate");
+  }
+};
+
+/**
+ * Latest rate for from -> to effective at or before `at`. A stored inverse
+ * pair is used (as 1 / rate) when the direct pair is missing or older.
+ */
+export const findRateAt = async (fromCurrency, toCurrency, at) => {
+  try {
+    const result = await query(
+      `SELECT "exchangeRateId", "effectiveAt",
+              CASE WHEN "baseCurrency" = $1 THEN "rate" ELSE 1 / "rate" END AS "rate",
+              "baseCurrency" <> $1 AS "inverted"
+       FROM "exchangeRates"
+       WHERE (("baseCurrency" = $1 AND "quoteCurrency" = $2)
+           OR ("baseCurrency" = $2 AND "quoteCurrency" = $1))
+         AND "effectiveAt" <= $3
+       ORDER BY "effectiveAt" DESC, ("baseCurrency" = $1) DESC
+       LIMIT 1`,
+      [fromCurrency, toCurrency, at]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    throw new DatabaseError("Failed to look up exchange rate");
+  }
+};
+
+export const listRates = async ({
+  baseCurrency,
+  quoteCurrency,
+  from,
+  to,
+  limit = 50,
+  offset = 0,
+} = {}) => {
+  const where = ["1=1"];
+  const values = [];
+  let idx = 1;
+  if (baseCurrency) {
+    where.push(`r."baseCurrency" = $${idx++}`);
+    values.push(baseCurrency);
+  }
+  if (quoteCurrency) {
+    where.push(`r."quoteCurrency" = $${idx++}`);
+    values.push(quoteCurrency);
+  }
+  if (from) {
+    where.push(`r."effectiveAt" >= $${idx++}`);
+    values.push(from);
+  }
+  if (to) {
+    where.push(`r."effectiveAt" <= $${idx++}`);
+    values.push(to);
+  }
+  values.push(limit, offset);
+
+  try {
+    const result = await query(
+      `SELECT r.*, COUNT(*) OVER()::int AS "totalCount"
+       FROM "exchangeRates" r
+       WHERE ${where.join(" AND ")}
+       ORDER BY r."effectiveAt" DESC, r."baseCurrency", r."quoteCurrency"
+       LIMIT $${idx++} OFFSET $${idx}`,
+      values
+    );
+    return {
+      items: result.rows.map(({ totalCount, ...row }) => row),
+      total: result.rows[0]?.totalCount || 0,
+    };
+  } catch (error) {
+    throw new DatabaseError("Failed to list exchange rates");
+  }
+};
+
+/**
+ * Latest rate for every pair (both directions), from the latestExchangeRates view
+ */
+export const listLatestRates = async () => {
+  try {
+    const result = await query(
+      `SELECT "fromCurrency", "toCurrency", "rate", "effectiveAt", "exchangeRateId"
+       FROM "latestExchangeRates"
+       ORDER BY "fromCurrency", "toCurrency"`
+    );
+    return result.rows;
+  } catch (error) {
+    throw new DatabaseError("Failed to list latest exchange rates");
+  }
+};
+
+export default {
+  upsertRate,
+  findRateAt,
+  listRates,
+  listLatestRates,
+};
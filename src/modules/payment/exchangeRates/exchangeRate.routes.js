@@ -0,0 +1,73 @@
+import { Router } from "express";
+import multer from "multer";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import {
+  authenticate,
+  restrictTo,
+} from "../../../middlewares/auth.middleware.js";
+import {
+  listLatestRates,
+  convertAmount,
+  listRates,
+  createRate,
+  importRates,
+} from "./exchangeRate.controller.js";
+import {
+  validateCreateRate,
+  validateImportRates,
+  validateListRates,
+  validateConvert,
+} from "./exchangeRate.validation.js";
+
+const router = Router();
+
+const requireFinanceAdmin = restrictTo("financialAdmin", "superAdmin");
+
+// Rate sheets are small CSV files kept in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (
+      file.mimetype === "text/csv" ||
+      file.mimetype === "application/vnd.ms-excel" ||
+      file.originalname.toLowerCase().endsWith(".csv")
+    ) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only CSV files are allowed"), false);
+    }
+  },
+}).single("file");
+
+// Public: lets the donation form show an amount in the campaign's currency
+router.get("/latest", catchAsync(listLatestRates));
+router.get("/convert", validateConvert, catchAsync(convertAmount));
+
+// Finance admin endpoints
+router.get(
+  "/",
+  authenticate,
+  requireFinanceAdmin,
+  validateListRates,
+  catchAsync(listRates)
+);
+
+router.post(
+  "/",
+  authenticate,
+  requireFinanceAdmin,
+  validateCreateRate,
+  catchAsync(createRate)
+);
+
+router.post(
+  "/import",
+  authenticate,
+  requireFinanceAdmin,
+  upload,
+  validateImportRates,
+  catchAsync(importRates)
+);
+
+export default router;
@@ -0,0 +1,187 @@
+import * as exchangeRateRepository from "./exchangeRate.repository.js";
+import { rateRowSchema } from "./exchangeRate.validation.js";
+import config from "../../../config/index.js";
+import { transaction } from "../../../db/index.js";
+import { AppError, ValidationError } from "../../../utils/appError.js";
+import logger from "../../../utils/logger.js";
+
+const CSV_COLUMNS = [
+  "baseCurrency",
+  "quoteCurrency",
+  "rate",
+  "effectiveAt",
+  "source",
+];
+
+const normalizeCurrency = (currency) =>
+  String(currency || "")
+    .trim()
+    .toUpperCase();
+
+const roundAmount = (amount) => Math.round(Number(amount) * 100) / 100;
+
+/**
+ * Rate to convert one unit of fromCurrency into toCurrency, as published at `at`.
+ * @returns {Promise<Object>} { rate, exchangeRateId, effectiveAt, inverted }
+ */
+export const getRate = async (fromCurrency, toCurrency, at = new Date()) => {
+  const from = normalizeCurrency(fromCurrency);
+  const to = normalizeCurrency(toCurrency);
+  if (from === to) {
+    return { rate: 1, exchangeRateId: null, effectiveAt: null, inverted: false };
+  }
+
+  const row = await exchangeRateRepository.findRateAt(from, to, at);
+  if (!row) {
+    throw new AppError(`No exchange rate available from ${from} to ${to}`, 422);
+  }
+
+  return {
+    rate: Number(row.rate),
+    exchangeRateId: row.exchangeRateId,
+    effectiveAt: row.effectiveAt,
+    inverted: !!row.inverted,
+  };
+};
+
+/**
+ * Converts an amount and returns the rate snapshot used, rounded to cents.
+ * @returns {Promise<Object>} { amount, currency, rate, exchangeRateId, effectiveAt }
+ */
+export const convert = async (amount, fromCurrency, toCurrency, at) => {
+  const snapshot = await getRate(fromCurrency, toCurrency, at);
+  return {
+    amount: roundAmount(Number(amount) * snapshot.rate),
+    currency: normalizeCurrency(toCurrency),
+    rate: snapshot.rate,
+    exchangeRateId: snapshot.exchangeRateId,
+    effectiveAt: snapshot.effectiveAt,
+  };
+};
+
+/**
+ * Currency analytics and leaderboards report in when none is requested
+ */
+export const getReportingCurrency = (requested) =>
+  normalizeCurrency(requested || config.payments.currency.reporting);
+
+export const createRate = async (adminUserId, payload) => {
+  const rate = await exchangeRateRepository.upsertRate({
+    ...payload,
+    createdByUserId: adminUserId,
+  });
+
+  logger.info("Exchange rate published", {
+    exchangeRateId: rate.exchangeRateId,
+    baseCurrency: rate.baseCurrency,
+    quoteCurrency: rate.quoteCurrency,
+    createdBy: adminUserId,
+  });
+
+  return rate;
+};
+
+/**
+ * Parses an uploaded CSV. The header row names the columns
+ * (baseCurrency, quoteCurrency, rate, effectiveAt, source) in any order.
+ */
+export const parseRatesCsv = (text) => {
+  const lines = String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  if (lines.length < 2) {
+    throw new ValidationError(
+      "CSV must contain a header row and at least one rate"
+    );
+  }
+
+  const header = lines[0].split(",").map((cell) => cell.trim());
+  const missing = ["baseCurrency", "quoteCurrency", "rate"].filter(
+    (column) => !header.includes(column)
+  );
+  if (missing.length > 0) {
+    throw new ValidationError(`CSV is missing columns: ${missing.join(", ")}`);
+  }
+
+  return lines.slice(1).map((line) => {
+    const cells = line.split(",").map((cell) => cell.trim());
+    const row = {};
+    header.forEach((column, i) => {
+      if (CSV_COLUMNS.includes(column) && cells[i]) row[column] = cells[i];
+    });
+    return row;
+  });
+};
+
+/**
+ * Publishes a batch of rates. The upload is all-or-nothing: any invalid row
+ * rejects the whole batch and nothing is saved.
+ * @param {string} adminUserId
+ * @param {Array<Object>} rows - Raw rows (from JSON or parseRatesCsv)
+ * @param {string} [defaultSource] - Used for rows without a source
+ * @returns {Promise<Object>} { imported, rates }
+ */
+export const importRates = async (adminUserId, rows, defaultSource) => {
+  const errors = [];
+  const validRows = rows.map((row, index) => {
+    const { error, value } = rateRowSchema.validate(row, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+    if (error) {
+      errors.push(
+        `Row ${index + 1}: ${error.details.map((d) => d.message).join(", ")}`
+      );
+    }
+    return value;
+  });
+  if (errors.length > 0) {
+    throw new ValidationError(errors.join("; "));
+  }
+
+  const rates = await transaction(async (client) => {
+    const saved = [];
+    for (const row of validRows) {
+      saved.push(
+        await exchangeRateRepository.upsertRate(
+          {
+            ...row,
+            source: row.source || defaultSource || null,
+            createdByUserId: adminUserId,
+          },
+          client
+        )
+      );
+    }
+    return saved;
+  });
+
+  logger.info("Exchange rates imported", {
+    imported: rates.length,
+    createdBy: adminUserId,
+  });
+
+  return { imported: rates.length, rates };
+};
+
+export const listRates = async (filters) => {
+  return exchangeRateRepository.listRates(filters);
+};
+
+export const listLatestRates = async () => {
+  const rows = await exchangeRateRepository.listLatestRates();
+  return rows.map((row) => ({ ...row, rate: Number(row.rate) }));
+};
+
+export default {
+  getRate,
+  convert,
+  getReportingCurrency,
+  createRate,
+  parseRatesCsv,
+  importRates,
+  listRates,
+  listLatestRates,
+};
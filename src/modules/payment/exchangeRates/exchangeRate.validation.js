@@ -0,0 +1,57 @@
+import Joi from "joi";
+import { validate } from "../../../utils/validation.js";
+
+const currencyCode = Joi.string()
+  .trim()
+  .length(3)
+  .uppercase()
+  .pattern(/^[A-Z]{3}$/)
+  .messages({
+    "string.pattern.base": "Currency must be a 3-letter ISO code (e.g. ZMW)",
+  });
+
+// Validation schemas
+
+// One rate: 1 baseCurrency = rate quoteCurrency. Also applied to each uploaded row.
+export const rateRowSchema = Joi.object({
+  baseCurrency: currencyCode.required(),
+  quoteCurrency: currencyCode
+    .invalid(Joi.ref("baseCurrency"))
+    .required()
+    .messages({ "any.invalid": "quoteCurrency must differ from baseCurrency" }),
+  rate: Joi.number().positive().required(),
+  effectiveAt: Joi.date().iso().optional(),
+  source: Joi.string().max(100).optional(),
+});
+
+const importRatesSchema = Joi.object({
+  // JSON uploads send rates; CSV uploads send a "file" part instead
+  rates: Joi.array()
+    .items(Joi.object().unknown(true))
+    .min(1)
+    .max(1000)
+    .optional(),
+  source: Joi.string().max(100).optional(),
+});
+
+const listRatesSchema = Joi.object({
+  baseCurrency: currencyCode.optional(),
+  quoteCurrency: currencyCode.optional(),
+  from: Joi.date().optional(),
+  to: Joi.date().optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const convertSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required(),
+  from: currencyCode.required(),
+  to: currencyCode.required(),
+  at: Joi.date().optional(),
+});
+
+// Validation middlewares
+export const validateCreateRate = validate(rateRowSchema);
+export const validateImportRates = validate(importRatesSchema);
+export const validateListRates = validate(listRatesSchema, "query");
+export const validateConvert = validate(convertSchema, "query");
@@ -0,0 +1,307 @@
+// src/modules/payment/fees/__tests__/fee.service.test.js
+
+import {
+  calculateFee,
+  getFeeQuote,
+  recordPlatformFee,
+  createFeeRule,
+  updateFeeRule,
+} from '../fee.service.js';
+import * as feeRepository from '../fee.repository.js';
+import * as transactionRepository from '../../transactions/transaction.repository.js';
+import * as ledgerService from '../../ledger/ledger.service.js';
+import * as exchangeRateService from '../../exchangeRates/exchangeRate.service.js';
+import { findCampaignById } from '../../../campaign/campaigns/campaign.repository.js';
+import { logServiceEvent } from '../../../audit/audit.utils.js';
+import { SYSTEM_ACTIONS } from '../../../audit/audit.constants.js';
+import { transaction } from '../../../../db/index.js';
+
+// Mock dependencies
+jest.mock('../fee.repository.js');
+jest.mock('../../transactions/transaction.repository.js');
+jest.mock('../../ledger/ledger.service.js');
+jest.mock('../../exchangeRates/exchangeRate.service.js');
+jest.mock('../../../campaign/campaigns/campaign.repository.js');
+jest.mock('../../../audit/audit.utils.js');
+jest.mock('../../../../db/index.js', () => ({
+  transaction: jest.fn(),
+}));
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('FeeService', () => {
+  describe('calculateFee', () => {
+    beforeEach(() => {
+      feeRepository.findApplicableRules.mockResolvedValue([
+        {
+          feeRuleId: 'rule-1',
+          scope: 'organization',
+          percentageRate: '5.00',
+          fixedAmount: '1.00',
+          currency: 'ZMW',
+        },
+      ]);
+    });
+
+    it('should deduct the fee from the donation by default', async () => {
+      const fee = await calculateFee({ campaignId: 'campaign-1', amount: 100 });
+
+      expect(fee).toEqual(
+        expect.objectContaining({
+          feeRuleId: 'rule-1',
+          feeAmount: 6,
+          chargedAmount: 100,
+          netAmount: 94,
+          donorCoversFee: false,
+        })
+      );
+    });
+
+    it('should charge the donor on top when they cover the fee', async () => {
+      const fee = await calculateFee({
+        campaignId: 'campaign-1',
+        amount: 100,
+        donorCoversFee: true,
+      });
+
+      expect(fee.feeAmount).toBe(6);
+      expect(fee.chargedAmount).toBe(106);
+      expect(fee.netAmount).toBe(100);
+    });
+
+    it('should never take more than the donation as a fee', async () => {
+      const fee = await calculateFee({ campaignId: 'campaign-1', amount: 0.5 });
+
+      expect(fee.feeAmount).toBe(0.5);
+      expect(fee.netAmount).toBe(0);
+    });
+
+    it('should convert the fixed amount into the donation currency', async () => {
+      exchangeRateService.convert.mockResolvedValue({
+        amount: 0.04,
+        currency: 'USD',
+        rate: 0.0377,
+      });
+
+      const fee = await calculateFee({
+        campaignId: 'campaign-1',
+        amount: 100,
+        currency: 'USD',
+      });
+
+      expect(exchangeRateService.convert).toHaveBeenCalledWith(1, 'ZMW', 'USD');
+      expect(fee).toEqual(
+        expect.objectContaining({
+          currency: 'USD',
+          fixedAmount: 0.04,
+          ruleFixedAmount: 1,
+          ruleCurrency: 'ZMW',
+          feeAmount: 5.04,
+        })
+      );
+    });
+
+    it('should not convert when the donation is in the rule currency', async () => {
+      const fee = await calculateFee({
+        campaignId: 'campaign-1',
+        amount: 100,
+        currency: 'ZMW',
+      });
+
+      expect(exchangeRateService.convert).not.toHaveBeenCalled();
+      expect(fee.feeAmount).toBe(6);
+    });
+
+    it('should quote in the campaign currency unless another is asked for', async () => {
+      findCampaignById.mockResolvedValue({
+        campaignId: 'campaign-1',
+        baseCurrency: 'ZMW',
+      });
+
+      const quote = await getFeeQuote({
+        campaignId: 'campaign-1',
+        amount: 100,
+      });
+
+      expect(quote.currency).toBe('ZMW');
+      expect(exchangeRateService.convert).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the configured fee when no rule matches', async () => {
+      feeRepository.findApplicableRules.mockResolvedValue([]);
+
+      const fee = await calculateFee({ campaignId: 'campaign-1', amount: 50 });
+
+      expect(fee.feeRuleId).toBeNull();
+      expect(fee.scope).toBe('config');
+    });
+  });
+
+  describe('recordPlatformFee', () => {
+    const donationTxn = {
+      transactionId: 'txn-1',
+      campaignId: 'campaign-1',
+      transactionType: 'donation_in',
+      status: 'succeeded',
+      amount: '106.00',
+      feesAmount: '6.00',
+      currency: 'ZMW',
+    };
+    const client = { query: jest.fn() };
+
+    beforeEach(() => {
+      transaction.mockImplementation((callback) => callback(client));
+    });
+
+    it('should post a settled platform_fee transaction once', async () => {
+      transactionRepository.getTransactionByGatewayId.mockResolvedValue(null);
+      transactionRepository.createTransaction.mockResolvedValue({
+        transactionId: 'fee-1',
+      });
+      transactionRepository.updateTransactionStatus.mockResolvedValue({
+        transactionId: 'fee-1',
+        transactionType: 'platform_fee',
+        status: 'succeeded',
+        amount: '6.00',
+      });
+
+      const feeTxn = await recordPlatformFee(donationTxn);
+
+      expect(transactionRepository.createTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({
+          amount: '6.00',
+          transactionType: 'platform_fee',
+          gatewayTransactionId: 'FEE-txn-1',
+          parentTransactionId: 'txn-1',
+        }),
+        client
+      );
+      expect(
+        transactionRepository.updateTransactionStatus
+      ).toHaveBeenCalledWith('fee-1', 'succeeded', client);
+      expect(ledgerService.syncTransaction).toHaveBeenCalledWith(feeTxn);
+    });
+
+    it('should settle a fee transaction an earlier call left pending', async () => {
+      transactionRepository.getTransactionByGatewayId.mockResolvedValue({
+        transactionId: 'fee-1',
+        transactionType: 'platform_fee',
+        status: 'pending',
+      });
+      const settled = {
+        transactionId: 'fee-1',
+        transactionType: 'platform_fee',
+        status: 'succeeded',
+      };
+      transactionRepository.updateTransactionStatus.mockResolvedValue(settled);
+
+      const feeTxn = await recordPlatformFee(donationTxn);
+
+      expect(feeTxn).toBe(settled);
+      expect(transactionRepository.createTransaction).not.toHaveBeenCalled();
+      expect(
+        transactionRepository.updateTransactionStatus
+      ).toHaveBeenCalledWith('fee-1', 'succeeded');
+      expect(ledgerService.syncTransaction).toHaveBeenCalledWith(settled);
+    });
+
+    it('should use the fee transaction a concurrent call created', async () => {
+      const settled = { transactionId: 'fee-1', status: 'succeeded' };
+      transactionRepository.getTransactionByGatewayId
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(settled);
+      transactionRepository.createTransaction.mockRejectedValue(
+        Object.assign(new Error('duplicate key'), { code: '23505' })
+      );
+
+      await expect(recordPlatformFee(donationTxn)).resolves.toBe(settled);
+      expect(ledgerService.syncTransaction).toHaveBeenCalledWith(settled);
+    });
+
+    it('should skip donations that already have a fee transaction', async () => {
+      transactionRepository.getTransactionByGatewayId.mockResolvedValue({
+        transactionId: 'fee-1',
+        status: 'succeeded',
+      });
+
+      await recordPlatformFee(donationTxn);
+
+      expect(transactionRepository.createTransaction).not.toHaveBeenCalled();
+      expect(
+        transactionRepository.updateTransactionStatus
+      ).not.toHaveBeenCalled();
+    });
+
+    it('should skip donations without a fee', async () => {
+      const result = await recordPlatformFee({
+        ...donationTxn,
+        feesAmount: null,
+      });
+
+      expect(result).toBeNull();
+      expect(
+        transactionRepository.getTransactionByGatewayId
+      ).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('fee rules', () => {
+    const rule = {
+      feeRuleId: 'rule-1',
+      scope: 'default',
+      percentageRate: '5.00',
+      fixedAmount: '1.00',
+      currency: 'ZMW',
+      isActive: true,
+    };
+
+    it('should audit a new fee rule', async () => {
+      feeRepository.createFeeRule.mockResolvedValue(rule);
+
+      await createFeeRule('admin-1', { scope: 'default', percentageRate: 5 });
+
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'admin-1',
+        SYSTEM_ACTIONS.FEE_RULE_CREATED,
+        'PlatformFeeRule',
+        'rule-1',
+        { rule }
+      );
+    });
+
+    it('should audit the old and new values of an updated rule', async () => {
+      feeRepository.getFeeRuleById.mockResolvedValue(rule);
+      feeRepository.updateFeeRule.mockResolvedValue({
+        ...rule,
+        percentageRate: '7.50',
+      });
+
+      await updateFeeRule('admin-1', 'rule-1', { percentageRate: 7.5 });
+
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'admin-1',
+        SYSTEM_ACTIONS.FEE_RULE_UPDATED,
+        'PlatformFeeRule',
+        'rule-1',
+        {
+          previous: { percentageRate: '5.00' },
+          update: { percentageRate: 7.5 },
+        }
+      );
+    });
+
+    it('should not audit a rule that clashes with an active one', async () => {
+      feeRepository.createFeeRule.mockRejectedValue(
+        Object.assign(new Error('duplicate key'), { code: '23505' })
+      );
+
+      await expect(
+        createFeeRule('admin-1', { scope: 'default' })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(logServiceEvent).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import * as feeService from "./fee.service.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+export const getFeeQuote = async (req, res) => {
+  const { campaignId, amount, currency, donorCoversFee } = req.query;
+
+  const quote = await feeService.getFeeQuote({
+    campaignId,
+    amount: Number(amount),
+    currency: currency?.toUpperCase(),
+    donorCoversFee,
+  });
+
+  return ResponseFactory.ok(res, "Fee quote calculated", quote);
+};
+
+export const listFeeRules = async (req, res) => {
+  const rules = await feeService.listFeeRules(req.query);
+
+  return ResponseFactory.ok(res, "Fee rules retrieved successfully", rules);
+};
+
+export const createFeeRule = async (req, res) => {
+  const rule = await feeService.createFeeRule(req.user.userId, req.body);
+
+  return ResponseFactory.created(res, "Fee rule created successfully", rule);
+};
+
+export const updateFeeRule = async (req, res) => {
+  const { feeRuleId } = req.params;
+
+  const rule = await feeService.updateFeeRule(
+    req.user.userId,
+    feeRuleId,
+    req.body
+  );
+
+  return ResponseFactory.ok(res, "Fee rule updated successfully", rule);
+};
+
+export const getFeeRevenue = async (req, res) => {
+  const revenue = await feeService.getFeeRevenue(req.query);
+
+  return ResponseFactory.ok(
+    res,
+    "Platform fee revenue retrieved successfully",
+    revenue
+  );
+};
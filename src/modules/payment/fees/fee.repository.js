@@ -0,0 +1,194 @@
+import { query } from "../../../db/index.js";
+import logger from "../../../utils/logger.js";
+import { DatabaseError, NotFoundError } from "../../../utils/appError.js";
+
+export const createFeeRule = async (payload) => {
+  try {
+    const result = await query(
+      `INSERT INTO "platformFeeRules" (
+        "scope", "categoryId", "organizerId", "percentageRate",
+        "fixedAmount", "currency", "isActive", "description", "createdByUserId"
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *`,
+      [
+        payload.scope,
+        payload.categoryId || null,
+        payload.organizerId || null,
+        payload.percentageRate || 0,
+        payload.fixedAmount || 0,
+        payload.currency,
+        payload.isActive !== false,
+        payload.description || null,
+        payload.createdByUserId || null,
+      ]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error("Failed to create platform fee rule", {
+      error: error.message,
+    });
+    // Partial unique indexes allow only one active rule per target
+    if (error.code === "23505") throw error;
+    throw new DatabaseError("Failed to create platform fee rule");
+  }
+};
+
+export const updateFeeRule = async (feeRuleId, update) => {
+  const fields = [];
+  const values = [];
+  let i = 1;
+  for (const [key, val] of Object.entries(update)) {
+    if (val === undefined) continue;
+    fields.push(`"${key}" = $${i++}`);
+    values.push(val);
+  }
+  if (fields.length === 0) return getFeeRuleById(feeRuleId);
+  values.push(feeRuleId);
+
+  try {
+    const result = await query(
+      `UPDATE "platformFeeRules"
+       SET ${fields.join(", ")}
+       WHERE "feeRuleId" = $${i}
+       RETURNING *`,
+      values
+    );
+    if (result.rowCount === 0) throw new NotFoundError("Fee rule not found");
+    return result.rows[0];
+  } catch (error) {
+    logger.error("Failed to update platform fee rule", {
+      error: error.message,
+    });
+    if (error instanceof NotFoundError || error.code === "23505") throw error;
+    throw new DatabaseError("Failed to update platform fee rule");
+  }
+};
+
+export const getFeeRuleById = async (feeRuleId) => {
+  try {
+    const result = await query(
+      `SELECT * FROM "platformFeeRules" WHERE "feeRuleId" = $1`,
+      [feeRuleId]
+    );
+    if (result.rowCount === 0) throw new NotFoundError("Fee rule not found");
+    return result.rows[0];
+  } catch (error) {
+    if (error instanceof NotFoundError) throw error;
+    throw new DatabaseError("Failed to fetch platform fee rule");
+  }
+};
+
+export const listFeeRules = async ({ scope, isActive } = {}) => {
+  const where = ["1=1"];
+  const values = [];
+  let idx = 1;
+  if (scope) {
+    where.push(`r."scope" = $${idx++}`);
+    values.push(scope);
+  }
+  if (isActive !== undefined) {
+    where.push(`r."isActive" = $${idx++}`);
+    values.push(isActive);
+  }
+
+  try {
+    const result = await query(
+      `SELECT r.*, c."name" AS "categoryName", op."organizationName"
+       FROM "platformFeeRules" r
+       LEFT JOIN "categories" c ON c."categoryId" = r."categoryId"
+       LEFT JOIN "organizationProfiles" op ON op."userId" = r."organizerId"
+       WHERE ${where.join(" AND ")}
+       ORDER BY r."scope", r."createdAt" DESC`,
+      values
+    );
+    return result.rows;
+  } catch (error) {
+    throw new DatabaseError("Failed to list platform fee rules");
+  }
+};
+
+/**
+ * Active rules that could apply to a campaign, most specific first:
+ * organization, then category (cheapest first when a campaign has several), then default.
+ */
+export const findApplicableRules = async (campaignId) => {
+  try {
+    const result = await query(
+      `SELECT r.*
+       FROM "platformFeeRules" r
+       JOIN "campaigns" c ON c."campaignId" = $1
+       WHERE r."isActive"
+         AND (
+           (r."scope" = 'organization' AND r."organizerId" = c."organizerId")
+           OR (r."scope" = 'category' AND r."categoryId" IN (
+             SELECT cc."categoryId" FROM "campaignCategories" cc
+             WHERE cc."campaignId" = c."campaignId"
+           ))
+           OR r."scope" = 'default'
+         )
+       ORDER BY
+         CASE r."scope" WHEN 'organization' THEN 1 WHEN 'category' THEN 2 ELSE 3 END,
+         r."percentageRate" ASC,
+         r."fixedAmount" ASC`,
+      [campaignId]
+    );
+    return result.rows;
+  } catch (error) {
+    throw new DatabaseError("Failed to fetch applicable fee rules");
+  }
+};
+
+export const getFeeRevenue = async ({ from, to, groupBy = "month" } = {}) => {
+  const groupExpressions = {
+    month: `to_char(date_trunc('month', t."transactionTimestamp"), 'YYYY-MM')`,
+    organization: `COALESCE(op."organizationName", c."organizerId"::text)`,
+    campaign: `c."name"`,
+  };
+  const groupExpr = groupExpressions[groupBy] || groupExpressions.month;
+
+  const where = [
+    `t."transactionType" = 'platform_fee'`,
+    `t."status" = 'succeeded'`,
+  ];
+  const values = [];
+  let idx = 1;
+  if (from) {
+    where.push(`t."transactionTimestamp" >= $${idx++}`);
+    values.push(from);
+  }
+  if (to) {
+    where.push(`t."transactionTimestamp" <= $${idx++}`);
+    values.push(to);
+  }
+
+  try {
+    const result = await query(
+      `SELECT ${groupExpr} AS "group",
+              t."currency",
+              COUNT(*)::int AS "feeCount",
+              COALESCE(SUM(t."amount"), 0) AS "totalFees"
+       FROM "transactions" t
+       JOIN "campaigns" c ON c."campaignId" = t."campaignId"
+       LEFT JOIN "organizationProfiles" op ON op."userId" = c."organizerId"
+       WHERE ${where.join(" AND ")}
+       GROUP BY 1, t."currency"
+       ORDER BY 1`,
+      values
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error("Failed to compute platform fee revenue", {
+      error: error.message,
+    });
+    throw new DatabaseError("Failed to compute platform fee revenue");
+  }
+};
+
+export default {
+  createFeeRule,
+  updateFeeRule,
+  getFeeRuleById,
+  listFeeRules,
+  findApplicableRules,
+  getFeeRevenue,
+};
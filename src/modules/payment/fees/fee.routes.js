@@ -0,0 +1,64 @@
+import { Router } from "express";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import {
+  authenticate,
+  restrictTo,
+} from "../../../middlewares/auth.middleware.js";
+import {
+  getFeeQuote,
+  listFeeRules,
+  createFeeRule,
+  updateFeeRule,
+  getFeeRevenue,
+} from "./fee.controller.js";
+import {
+  validateCreateFeeRule,
+  validateUpdateFeeRule,
+  validateFeeRuleId,
+  validateListFeeRules,
+  validateFeeQuote,
+  validateFeeRevenue,
+} from "./fee.validation.js";
+
+const router = Router();
+
+const requireFinanceAdmin = restrictTo("financialAdmin", "superAdmin");
+
+// Public: lets the donation form show the fee and the "cover the fee" total
+router.get("/quote", validateFeeQuote, catchAsync(getFeeQuote));
+
+// Finance admin endpoints
+router.get(
+  "/rules",
+  authenticate,
+  requireFinanceAdmin,
+  validateListFeeRules,
+  catchAsync(listFeeRules)
+);
+
+router.post(
+  "/rules",
+  authenticate,
+  requireFinanceAdmin,
+  validateCreateFeeRule,
+  catchAsync(createFeeRule)
+);
+
+router.patch(
+  "/rules/:feeRuleId",
+  authenticate,
+  requireFinanceAdmin,
+  validateFeeRuleId,
+  validateUpdateFeeRule,
+  catchAsync(updateFeeRule)
+);
+
+router.get(
+  "/revenue",
+  authenticate,
+  requireFinanceAdmin,
+  validateFeeRevenue,
+  catchAsync(getFeeRevenue)
+);
+
+export default router;
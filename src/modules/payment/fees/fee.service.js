@@ -0,0 +1,253 @@
+import * as feeRepository from "./fee.repository.js";
+import * as transactionRepository from "../transactions/transaction.repository.js";
+import * as ledgerService from "../ledger/ledger.service.js";
+import * as exchangeRateService from "../exchangeRates/exchangeRate.service.js";
+import { findCampaignById } from "../../campaign/campaigns/campaign.repository.js";
+import config from "../../../config/index.js";
+import { transaction } from "../../../db/index.js";
+import { AppError } from "../../../utils/appError.js";
+import logger from "../../../utils/logger.js";
+import { logServiceEvent } from "../../audit/audit.utils.js";
+import { ENTITY_TYPES, SYSTEM_ACTIONS } from "../../audit/audit.constants.js";
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => Number((cents / 100).toFixed(2));
+
+const feeReference = (donationTransactionId) => `FEE-${donationTransactionId}`;
+
+/**
+ * Resolves the fee rule for a campaign and prices a donation.
+ * When the donor covers the fee they are charged amount + fee and the
+ * campaign nets the full amount; otherwise the fee comes out of the amount.
+ * The rule's fixed amount is converted into the donation currency at the
+ * current rate.
+ * @param {Object} params
+ * @param {string} params.campaignId
+ * @param {number} params.amount - Amount the donor wants to give
+ * @param {string} [params.currency] - Currency of amount; the rule's own if omitted
+ * @param {boolean} [params.donorCoversFee=false]
+ * @returns {Promise<Object>} Fee breakdown
+ */
+export const calculateFee = async ({
+  campaignId,
+  amount,
+  currency,
+  donorCoversFee = false,
+}) => {
+  const [rule] = await feeRepository.findApplicableRules(campaignId);
+  const percentageRate = Number(
+    rule ? rule.percentageRate : config.payments.platformFee.percentageRate
+  );
+  const ruleFixedAmount = Number(
+    rule ? rule.fixedAmount : config.payments.platformFee.fixedAmount
+  );
+  const ruleCurrency = rule?.currency || config.payments.platformFee.currency;
+  const feeCurrency = currency || ruleCurrency;
+  let fixedAmount = ruleFixedAmount;
+  if (fixedAmount > 0 && feeCurrency !== ruleCurrency) {
+    const converted = await exchangeRateService.convert(
+      fixedAmount,
+      ruleCurrency,
+      feeCurrency
+    );
+    fixedAmount = converted.amount;
+  }
+
+  const amountCents = toCents(amount);
+  let feeCents =
+    Math.round((amountCents * percentageRate) / 100) + toCents(fixedAmount);
+  // A fee taken out of the donation can never exceed the donation itself
+  if (!donorCoversFee) feeCents = Math.min(feeCents, amountCents);
+
+  return {
+    feeRuleId: rule?.feeRuleId || null,
+    scope: rule?.scope || "config",
+    currency: feeCurrency,
+    percentageRate,
+    fixedAmount,
+    ruleFixedAmount,
+    ruleCurrency,
+    donorCoversFee: !!donorCoversFee,
+    amount: fromCents(amountCents),
+    feeAmount: fromCents(feeCents),
+    chargedAmount: fromCents(
+      donorCoversFee ? amountCents + feeCents : amountCents
+    ),
+    netAmount: fromCents(donorCoversFee ? amountCents : amountCents - feeCents),
+  };
+};
+
+/**
+ * Posts the platform_fee transaction for a succeeded donation payment.
+ * Idempotent: the fee reference is derived from the donation transaction,
+ * and a fee left pending by an interrupted earlier call is settled.
+ * @param {Object} donationTxn - Succeeded donation_in transaction
+ * @returns {Promise<Object|null>} The platform_fee transaction, if any
+ */
+export const recordPlatformFee = async (donationTxn) => {
+  if (donationTxn?.transactionType !== "donation_in") return null;
+  if (!(Number(donationTxn.feesAmount) > 0)) return null;
+
+  const reference = feeReference(donationTxn.transactionId);
+  let feeTxn = await transactionRepository.getTransactionByGatewayId(reference);
+
+  if (!feeTxn) {
+    try {
+      // Fees are retained from funds already collected, so they settle
+      // immediately, in the same transaction that creates them
+      feeTxn = await transaction(async (client) => {
+        const created = await transactionRepository.createTransaction(
+          {
+            userId: null,
+            campaignId: donationTxn.campaignId,
+            amount: donationTxn.feesAmount,
+            currency: donationTxn.currency,
+            gatewayTransactionId: reference,
+            gatewayUsed: "platform",
+            transactionType: "platform_fee",
+            parentTransactionId: donationTxn.transactionId,
+          },
+          client
+        );
+        return transactionRepository.updateTransactionStatus(
+          created.transactionId,
+          "succeeded",
+          client
+        );
+      });
+      logger.info("Platform fee recorded", {
+        feeTransactionId: feeTxn.transactionId,
+        donationTransactionId: donationTxn.transactionId,
+        amount: feeTxn.amount,
+      });
+    } catch (error) {
+      // Another call for the same donation created it first
+      if (error.code !== "23505") throw error;
+      feeTxn = await transactionRepository.getTransactionByGatewayId(reference);
+    }
+  } else if (feeTxn.status === "pending") {
+    feeTxn = await transactionRepository.updateTransactionStatus(
+      feeTxn.transactionId,
+      "succeeded"
+    );
+    logger.warn("Settled a platform fee left pending", {
+      feeTransactionId: feeTxn.transactionId,
+      donationTransactionId: donationTxn.transactionId,
+    });
+  }
+
+  // Ledger entries are keyed by transaction, so posting again is a no-op
+  await ledgerService.syncTransaction(feeTxn);
+
+  return feeTxn;
+};
+
+export const getFeeQuote = async (params) => {
+  const campaign = await findCampaignById(params.campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+  return calculateFee({
+    ...params,
+    currency: params.currency || campaign.baseCurrency,
+  });
+};
+
+export const listFeeRules = async (filters) => {
+  return feeRepository.listFeeRules(filters);
+};
+
+const translateUniqueViolation = (error) => {
+  if (error.code === "23505") {
+    return new AppError(
+      "An active fee rule already exists for this target; deactivate it first",
+      409
+    );
+  }
+  return error;
+};
+
+export const createFeeRule = async (adminUserId, payload) => {
+  let rule;
+  try {
+    rule = await feeRepository.createFeeRule({
+      ...payload,
+      currency: payload.currency || config.payments.currency.default,
+      createdByUserId: adminUserId,
+    });
+  } catch (error) {
+    throw translateUniqueViolation(error);
+  }
+
+  await logServiceEvent(
+    adminUserId,
+    SYSTEM_ACTIONS.FEE_RULE_CREATED,
+    ENTITY_TYPES.PLATFORM_FEE_RULE,
+    rule.feeRuleId,
+    { rule }
+  );
+  logger.info("Platform fee rule created", {
+    feeRuleId: rule.feeRuleId,
+    scope: rule.scope,
+    createdBy: adminUserId,
+  });
+
+  return rule;
+};
+
+export const updateFeeRule = async (adminUserId, feeRuleId, update) => {
+  const before = await feeRepository.getFeeRuleById(feeRuleId);
+  let rule;
+  try {
+    rule = await feeRepository.updateFeeRule(feeRuleId, update);
+  } catch (error) {
+    throw translateUniqueViolation(error);
+  }
+
+  const previous = Object.fromEntries(
+    Object.keys(update).map((key) => [key, before[key]])
+  );
+  await logServiceEvent(
+    adminUserId,
+    SYSTEM_ACTIONS.FEE_RULE_UPDATED,
+    ENTITY_TYPES.PLATFORM_FEE_RULE,
+    feeRuleId,
+    { previous, update }
+  );
+  logger.info("Platform fee rule updated", {
+    feeRuleId,
+    update,
+    updatedBy: adminUserId,
+  });
+
+  return rule;
+};
+
+export const getFeeRevenue = async (filters) => {
+  const rows = await feeRepository.getFeeRevenue(filters);
+  const items = rows.map((row) => ({
+    group: row.group,
+    currency: row.currency,
+    feeCount: row.feeCount,
+    totalFees: parseFloat(row.totalFees) || 0,
+  }));
+
+  const totals = {};
+  for (const item of items) {
+    totals[item.currency] = fromCents(
+      toCents(totals[item.currency] || 0) + toCents(item.totalFees)
+    );
+  }
+
+  return { groupBy: filters?.groupBy || "month", items, totals };
+};
+
+export default {
+  calculateFee,
+  recordPlatformFee,
+  getFeeQuote,
+  listFeeRules,
+  createFeeRule,
+  updateFeeRule,
+  getFeeRevenue,
+};
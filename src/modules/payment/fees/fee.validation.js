@@ -0,0 +1,73 @@
+import Joi from "joi";
+import { validate } from "../../../utils/validation.js";
+
+const currencyCode = Joi.string()
+  .trim()
+  .length(3)
+  .uppercase()
+  .pattern(/^[A-Z]{3}$/)
+  .messages({
+    "string.pattern.base": "Currency must be a 3-letter ISO code (e.g. ZMW)",
+  });
+
+// Validation schemas
+const createFeeRuleSchema = Joi.object({
+  scope: Joi.string().valid("default", "category", "organization").required(),
+  categoryId: Joi.when("scope", {
+    is: "category",
+    then: Joi.string().uuid().required(),
+    otherwise: Joi.forbidden(),
+  }),
+  organizerId: Joi.when("scope", {
+    is: "organization",
+    then: Joi.string().uuid().required(),
+    otherwise: Joi.forbidden(),
+  }),
+  percentageRate: Joi.number().min(0).max(100).precision(2).default(0),
+  fixedAmount: Joi.number().min(0).precision(2).default(0),
+  // Currency of fixedAmount; defaults to the platform currency
+  currency: currencyCode.optional(),
+  isActive: Joi.boolean().default(true),
+  description: Joi.string().max(500).allow("").optional(),
+});
+
+const updateFeeRuleSchema = Joi.object({
+  percentageRate: Joi.number().min(0).max(100).precision(2).optional(),
+  fixedAmount: Joi.number().min(0).precision(2).optional(),
+  currency: currencyCode.optional(),
+  isActive: Joi.boolean().optional(),
+  description: Joi.string().max(500).allow("").optional(),
+}).min(1);
+
+const feeRuleIdSchema = Joi.object({
+  feeRuleId: Joi.string().uuid().required(),
+});
+
+const listFeeRulesSchema = Joi.object({
+  scope: Joi.string().valid("default", "category", "organization").optional(),
+  isActive: Joi.boolean().optional(),
+});
+
+const feeQuoteSchema = Joi.object({
+  campaignId: Joi.string().uuid().required(),
+  amount: Joi.number().positive().precision(2).required(),
+  // Currency the donor pays in; defaults to the campaign's base currency
+  currency: currencyCode.optional(),
+  donorCoversFee: Joi.boolean().default(false),
+});
+
+const feeRevenueSchema = Joi.object({
+  from: Joi.date().optional(),
+  to: Joi.date().optional(),
+  groupBy: Joi.string()
+    .valid("month", "organization", "campaign")
+    .default("month"),
+});
+
+// Validation middlewares
+export const validateCreateFeeRule = validate(createFeeRuleSchema);
+export const validateUpdateFeeRule = validate(updateFeeRuleSchema);
+export const validateFeeRuleId = validate(feeRuleIdSchema, "params");
+export const validateListFeeRules = validate(listFeeRulesSchema, "query");
+export const validateFeeQuote = validate(feeQuoteSchema, "query");
+export const validateFeeRevenue = validate(feeRevenueSchema, "query");
@@ -1,5 +1,15 @@
 import transactionRoutes from "./transactions/transaction.routes.js";
 import webhookRoutes from "./webhooks/webhooks.routes.js";
 import withdrawalRoutes from "./withdrawals/withdrawal.routes.js";
+import ledgerRoutes from "./ledger/ledger.routes.js";
+import feeRoutes from "./fees/fee.routes.js";
+import exchangeRateRoutes from "./exchangeRates/exchangeRate.routes.js";
 
-export { transactionRoutes, webhookRoutes, withdrawalRoutes };
+export {
+  transactionRoutes,
+  webhookRoutes,
+  withdrawalRoutes,
+  ledgerRoutes,
+  feeRoutes,
+  exchangeRateRoutes,
+};
@@ -0,0 +1,330 @@
+// src/modules/payment/ledger/__tests__/ledger.service.test.js
+
+import {
+  syncTransaction,
+  getReconciliationReport,
+  backfillEntireLedger,
+} from '../ledger.service.js';
+import * as ledgerRepository from '../ledger.repository.js';
+import * as transactionRepository from '../../transactions/transaction.repository.js';
+import { transaction } from '../../../../db/index.js';
+
+// Mock dependencies
+jest.mock('../ledger.repository.js');
+jest.mock('../../transactions/transaction.repository.js');
+jest.mock('../../../campaign/campaigns/campaign.repository.js');
+jest.mock('../../../../db/index.js');
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('LedgerService', () => {
+  const accountIds = {
+    campaign: 'acc-campaign',
+    organizer: 'acc-organizer',
+    platform_cash: 'acc-cash',
+    platform_revenue: 'acc-revenue',
+  };
+
+  beforeEach(() => {
+    transaction.mockImplementation((callback) => callback({}));
+    ledgerRepository.findEntryByIdempotencyKey.mockResolvedValue(null);
+    ledgerRepository.insertJournalEntry.mockImplementation(async (entry) => ({
+      entryId: `entry-${entry.idempotencyKey}`,
+      ...entry,
+    }));
+    ledgerRepository.findOrCreateAccount.mockImplementation(
+      async ({ accountType }) => ({ accountId: accountIds[accountType] })
+    );
+    ledgerRepository.getCampaignOrganizerId.mockResolvedValue('organizer-1');
+  });
+
+  describe('syncTransaction', () => {
+    it('should credit the campaign account for a succeeded donation', async () => {
+      await syncTransaction({
+        transactionId: 'txn-1',
+        campaignId: 'campaign-1',
+        transactionType: 'donation_in',
+        status: 'succeeded',
+        amount: '25.50',
+        currency: 'ZMW',
+      });
+
+      expect(ledgerRepository.insertJournalEntry).toHaveBeenCalledWith(
+        expect.objectContaining({
+          entryType: 'donation',
+          idempotencyKey: 'donation:txn-1',
+        }),
+        expect.anything()
+      );
+      expect(ledgerRepository.insertJournalLines).toHaveBeenCalledWith(
+        'entry-donation:txn-1',
+        [
+          { accountId: 'acc-cash', direction: 'debit', amount: '25.50' },
+          { accountId: 'acc-campaign', direction: 'credit', amount: '25.50' },
+        ],
+        expect.anything()
+      );
+    });
+
+    it('should not post anything for a pending donation', async () => {
+      const entries = await syncTransaction({
+        transactionId: 'txn-2',
+        campaignId: 'campaign-1',
+        transactionType: 'donation_in',
+        status: 'pending',
+        amount: '10.00',
+      });
+
+      expect(entries).toEqual([]);
+      expect(ledgerRepository.insertJournalEntry).not.toHaveBeenCalled();
+    });
+
+    it('should reserve and pay out a succeeded withdrawal', async () => {
+      await syncTransaction({
+        transactionId: 'txn-3',
+        campaignId: 'campaign-1',
+        transactionType: 'withdrawal_out',
+        status: 'succeeded',
+        amount: '100.00',
+        currency: 'ZMW',
+      });
+
+      const keys = ledgerRepository.insertJournalEntry.mock.calls.map(
+        ([entry]) => entry.idempotencyKey
+      );
+      expect(keys).toEqual([
+        'withdrawal_reserve:txn-3',
+        'withdrawal_payout:txn-3',
+      ]);
+      expect(ledgerRepository.findOrCreateAccount).toHaveBeenCalledWith(
+        expect.objectContaining({
+          accountType: 'organizer',
+          ownerId: 'organizer-1',
+        }),
+        expect.anything()
+      );
+    });
+
+    it('should release a reserved withdrawal when the payout fails', async () => {
+      ledgerRepository.findEntryByIdempotencyKey.mockImplementation(
+        async (key) =>
+          key === 'withdrawal_reserve:txn-4' ? { entryId: 'reserve-4' } : null
+      );
+
+      await syncTransaction({
+        transactionId: 'txn-4',
+        campaignId: 'campaign-1',
+        transactionType: 'withdrawal_out',
+        status: 'failed',
+        amount: '40.00',
+      });
+
+      expect(ledgerRepository.insertJournalEntry).toHaveBeenCalledTimes(1);
+      expect(ledgerRepository.insertJournalEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ entryType: 'withdrawal_release' }),
+        expect.anything()
+      );
+    });
+
+    it('should hand the platform fee back to the campaign with a refund', async () => {
+      await syncTransaction({
+        transactionId: 'txn-6',
+        campaignId: 'campaign-1',
+        transactionType: 'refund_out',
+        status: 'processing',
+        amount: '52.00',
+        feesAmount: '2.00',
+        currency: 'ZMW',
+      });
+
+      expect(ledgerRepository.insertJournalLines).toHaveBeenCalledWith(
+        'entry-refund:txn-6',
+        [
+          { accountId: 'acc-campaign', direction: 'debit', amount: '52.00' },
+          { accountId: 'acc-cash', direction: 'credit', amount: '52.00' },
+        ],
+        expect.anything()
+      );
+      expect(ledgerRepository.insertJournalLines).toHaveBeenCalledWith(
+        'entry-platform_fee_reversal:txn-6',
+        [
+          { accountId: 'acc-revenue', direction: 'debit', amount: '2.00' },
+          { accountId: 'acc-campaign', direction: 'credit', amount: '2.00' },
+        ],
+        expect.anything()
+      );
+    });
+
+    it('should take the fee again when a refund payout fails', async () => {
+      ledgerRepository.findEntryByIdempotencyKey.mockImplementation(
+        async (key) =>
+          ['refund:txn-7', 'platform_fee_reversal:txn-7'].includes(key)
+            ? { entryId: key }
+            : null
+      );
+
+      await syncTransaction({
+        transactionId: 'txn-7',
+        campaignId: 'campaign-1',
+        transactionType: 'refund_out',
+        status: 'failed',
+        amount: '52.00',
+        feesAmount: '2.00',
+      });
+
+      const keys = ledgerRepository.insertJournalEntry.mock.calls.map(
+        ([entry]) => entry.idempotencyKey
+      );
+      expect(keys).toEqual([
+        'refund_reversal:txn-7',
+        'platform_fee_reinstated:txn-7',
+      ]);
+    });
+
+    it('should skip entries that were already posted', async () => {
+      ledgerRepository.findEntryByIdempotencyKey.mockResolvedValue({
+        entryId: 'existing',
+      });
+
+      const entries = await syncTransaction({
+        transactionId: 'txn-5',
+        campaignId: 'campaign-1',
+        transactionType: 'platform_fee',
+        status: 'succeeded',
+        amount: '2.00',
+      });
+
+      expect(entries).toEqual([{ entryId: 'existing' }]);
+      expect(ledgerRepository.insertJournalLines).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('backfillEntireLedger', () => {
+    it('should sync batch after batch until only failing transactions remain', async () => {
+      const missing = (...ids) =>
+        ids.map((transactionId) => ({ transactionId, entryType: 'donation' }));
+      ledgerRepository.findTransactionsMissingEntries
+        .mockResolvedValueOnce(missing('txn-1', 'txn-2'))
+        .mockResolvedValueOnce(missing('txn-2', 'txn-3'))
+        .mockResolvedValueOnce(missing('txn-2'));
+      transactionRepository.getTransactionById.mockImplementation(
+        async (transactionId) => {
+          if (transactionId === 'txn-2') throw new Error('campaign missing');
+          return {
+            transactionId,
+            campaignId: 'campaign-1',
+            transactionType: 'donation_in',
+            status: 'succeeded',
+            amount: '10.00',
+            currency: 'ZMW',
+          };
+        }
+      );
+
+      const result = await backfillEntireLedger({ batchSize: 2 });
+
+      expect(
+        ledgerRepository.findTransactionsMissingEntries
+      ).toHaveBeenCalledTimes(3);
+      expect(
+        ledgerRepository.findTransactionsMissingEntries
+      ).toHaveBeenCalledWith({ campaignId: null, limit: 2 });
+      expect(result.synced).toBe(2);
+      expect(result.failures).toEqual([
+        { transactionId: 'txn-2', error: 'campaign missing' },
+      ]);
+    });
+  });
+
+  describe('getReconciliationReport', () => {
+    it('should flag campaigns whose ledger disagrees with transactions', async () => {
+      ledgerRepository.getLedgerTotalsByCampaign.mockResolvedValue([
+        { campaignId: 'campaign-1', entryType: 'donation', total: '100.00' },
+        { campaignId: 'campaign-2', entryType: 'donation', total: '50.00' },
+      ]);
+      ledgerRepository.getTransactionTotalsByCampaign.mockResolvedValue([
+        {
+          campaignId: 'campaign-1',
+          currentRaisedAmount: '100.00',
+          donations: '100.00',
+          platformFees: '0',
+          withdrawals: '0',
+          refunds: '0',
+          refundedFees: '0',
+          donorCoveredFees: '0',
+          matchedRaised: '0',
+          offlineRaised: '0',
+        },
+        {
+          campaignId: 'campaign-2',
+          currentRaisedAmount: '75.00',
+          donations: '75.00',
+          platformFees: '0',
+          withdrawals: '0',
+          refunds: '0',
+          refundedFees: '0',
+          donorCoveredFees: '0',
+          matchedRaised: '0',
+          offlineRaised: '0',
+        },
+      ]);
+      ledgerRepository.findTransactionsMissingEntries.mockResolvedValue([]);
+      ledgerRepository.findUnsupportedEntries.mockResolvedValue([]);
+
+      const report = await getReconciliationReport();
+
+      expect(report.campaignsChecked).toBe(2);
+      expect(report.campaignsWithMismatches).toBe(1);
+      expect(report.campaigns[0].campaignId).toBe('campaign-2');
+      expect(report.campaigns[0].mismatches).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({
+            field: 'donations',
+            ledger: 50,
+            transactions: 75,
+            difference: -25,
+          }),
+        ])
+      );
+    });
+
+    it('should not flag sponsor matches or offline donations, which are raised outside the ledger', async () => {
+      ledgerRepository.getLedgerTotalsByCampaign.mockResolvedValue([
+        { campaignId: 'campaign-1', entryType: 'donation', total: '100.00' },
+      ]);
+      ledgerRepository.getTransactionTotalsByCampaign.mockResolvedValue([
+        {
+          campaignId: 'campaign-1',
+          currentRaisedAmount: '175.00',
+          donations: '100.00',
+          platformFees: '0',
+          withdrawals: '0',
+          refunds: '0',
+          refundedFees: '0',
+          donorCoveredFees: '0',
+          matchedRaised: '50.00',
+          offlineRaised: '25.00',
+        },
+      ]);
+      ledgerRepository.findTransactionsMissingEntries.mockResolvedValue([]);
+      ledgerRepository.findUnsupportedEntries.mockResolvedValue([]);
+
+      const report = await getReconciliationReport({
+        campaignId: 'campaign-1',
+      });
+
+      expect(report.campaignsWithMismatches).toBe(0);
+      expect(report.campaigns[0]).toEqual(
+        expect.objectContaining({
+          balanced: true,
+          currentRaisedAmount: 175,
+          matchedRaised: 50,
+          offlineRaised: 25,
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import * as ledgerService from "./ledger.service.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+export const getCampaignLedger = async (req, res) => {
+  const { campaignId } = req.params;
+  const { entryType, page = 1, limit = 50 } = req.query;
+
+  const ledger = await ledgerService.getCampaignLedger(campaignId, req.user, {
+    entryType,
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit),
+  });
+
+  return ResponseFactory.ok(
+    res,
+    "Campaign ledger retrieved successfully",
+    ledger
+  );
+};
+
+export const listAccounts = async (req, res) => {
+  const { page = 1, limit = 50, ...filters } = req.query;
+
+  const accounts = await ledgerService.listAccounts({
+    ...filters,
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit),
+  });
+
+  return ResponseFactory.ok(
+    res,
+    "Ledger accounts retrieved successfully",
+    accounts
+  );
+};
+
+export const getReconciliationReport = async (req, res) => {
+  const { campaignId } = req.query;
+
+  const report = await ledgerService.getReconciliationReport({ campaignId });
+
+  return ResponseFactory.ok(
+    res,
+    "Ledger reconciliation report generated",
+    report
+  );
+};
+
+export const backfillLedger = async (req, res) => {
+  const { campaignId, limit } = req.body;
+
+  const result = await ledgerService.backfillLedger({ campaignId, limit });
+
+  return ResponseFactory.ok(res, "Ledger backfill completed", result);
+};
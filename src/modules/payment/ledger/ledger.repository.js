@@ -0,0 +1,421 @@
+import { query } from "../../../db/index.js";
+import logger from "../../../utils/logger.js";
+import { DatabaseError } from "../../../utils/appError.js";
+
+const run = (client, sql, values) =>
+  client ? client.query(sql, values) : query(sql, values);
+
+export const findOrCreateAccount = async (
+  { accountType, ownerId = null, currency, normalBalance, name },
+  client = null
+) => {
+  try {
+    // ON CONFLICT without a target covers both partial unique indexes
+    await run(
+      client,
+      `INSERT INTO "ledgerAccounts" (
+        "accountType", "ownerId", "currency", "normalBalance", "name"
+      ) VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT DO NOTHING`,
+      [accountType, ownerId, currency, normalBalance, name]
+    );
+
+    const result = await run(
+      client,
+      `SELECT * FROM "ledgerAccounts"
+       WHERE "accountType" = $1
+         AND "ownerId" IS NOT DISTINCT FROM $2
+         AND "currency" = $3`,
+      [accountType, ownerId, currency]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error("Failed to find or create ledger account", {
+      error: error.message,
+      accountType,
+      ownerId,
+    });
+    throw new DatabaseError("Failed to find or create ledger account");
+  }
+};
+
+export const findEntryByIdempotencyKey = async (
+  idempotencyKey,
+  client = null
+) => {
+  try {
+    const result = await run(
+      client,
+      `SELECT * FROM "journalEntries" WHERE "idempotencyKey" = $1`,
+      [idempotencyKey]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    throw new DatabaseError("Failed to fetch journal entry");
+  }
+};
+
+export const insertJournalEntry = async (entry, client = null) => {
+  try {
+    const result = await run(
+      client,
+      `INSERT INTO "journalEntries" (
+        "entryType", "idempotencyKey", "transactionId", "campaignId",
+        "currency", "description", "metadata", "postedByUserId"
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT ("idempotencyKey") DO NOTHING
+      RETURNING *`,
+      [
+        entry.entryType,
+        entry.idempotencyKey,
+        entry.transactionId || null,
+        entry.campaignId || null,
+        entry.currency,
+        entry.description || null,
+        entry.metadata ? JSON.stringify(entry.metadata) : null,
+        entry.postedByUserId || null,
+      ]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error("Failed to insert journal entry", {
+      error: error.message,
+      idempotencyKey: entry.idempotencyKey,
+    });
+    throw new DatabaseError("Failed to insert journal entry");
+  }
+};
+
+export const insertJournalLines = async (entryId, lines, client = null) => {
+  const values = [];
+  const rows = lines.map((line, i) => {
+    values.push(entryId, line.accountId, line.direction, line.amount);
+    const base = i * 4;
+    return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4})`;
+  });
+
+  try {
+    const result = await run(
+      client,
+      `INSERT INTO "journalLines" ("entryId", "accountId", "direction", "amount")
+       VALUES ${rows.join(", ")}
+       RETURNING *`,
+      values
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error("Failed to insert journal lines", {
+      error: error.message,
+      entryId,
+    });
+    throw new DatabaseError("Failed to insert journal lines");
+  }
+};
+
+export const getCampaignOrganizerId = async (campaignId, client = null) => {
+  try {
+    const result = await run(
+      client,
+      `SELECT "organizerId" FROM "campaigns" WHERE "campaignId" = $1`,
+      [campaignId]
+    );
+    return result.rows[0]?.organizerId || null;
+  } catch (error) {
+    throw new DatabaseError("Failed to fetch campaign organizer");
+  }
+};
+
+const BALANCE_SELECT = `
+  a.*,
+  COALESCE(SUM(CASE WHEN l."direction" = 'debit' THEN l."amount" ELSE 0 END), 0) AS "totalDebits",
+  COALESCE(SUM(CASE WHEN l."direction" = 'credit' THEN l."amount" ELSE 0 END), 0) AS "totalCredits"
+`;
+
+export const getAccountsWithBalances = async ({
+  accountType,
+  ownerId,
+  currency,
+  limit = 50,
+  offset = 0,
+} = {}) => {
+  const where = ["1=1"];
+  const values = [];
+  let idx = 1;
+  if (accountType) {
+    where.push(`a."accountType" = $${idx++}`);
+    values.push(accountType);
+  }
+  if (ownerId) {
+    where.push(`a."ownerId" = $${idx++}`);
+    values.push(ownerId);
+  }
+  if (currency) {
+    where.push(`a."currency" = $${idx++}`);
+    values.push(currency);
+  }
+  values.push(limit, offset);
+
+  try {
+    const result = await query(
+      `SELECT ${BALANCE_SELECT}
+       FROM "ledgerAccounts" a
+       LEFT JOIN "journalLines" l ON l."accountId" = a."accountId"
+       WHERE ${where.join(" AND ")}
+       GROUP BY a."accountId"
+       ORDER BY a."accountType", a."createdAt"
+       LIMIT $${idx++} OFFSET $${idx}`,
+      values
+    );
+    return result.rows;
+  } catch (error) {
+    throw new DatabaseError("Failed to fetch ledger accounts");
+  }
+};
+
+/**
+ * Campaign account balance per currency (one account exists per currency)
+ */
+export const getCampaignAccountBalances = async (campaignId) => {
+  try {
+    const result = await query(
+      `SELECT a."currency", COALESCE(SUM(
+         CASE WHEN l."direction" = 'credit' THEN l."amount" ELSE -l."amount" END
+       ), 0) AS balance
+       FROM "ledgerAccounts" a
+       JOIN "journalLines" l ON l."accountId" = a."accountId"
+       WHERE a."accountType" = 'campaign' AND a."ownerId" = $1
+       GROUP BY a."currency"`,
+      [campaignId]
+    );
+    return result.rows.map((row) => ({
+      currency: row.currency,
+      balance: parseFloat(row.balance) || 0,
+    }));
+  } catch (error) {
+    throw new DatabaseError("Failed to compute campaign ledger balance");
+  }
+};
+
+export const getEntriesByCampaign = async (
+  campaignId,
+  { entryType, limit = 50, offset = 0 } = {}
+) => {
+  const where = [`e."campaignId" = $1`];
+  const values = [campaignId];
+  let idx = 2;
+  if (entryType) {
+    where.push(`e."entryType" = $${idx++}`);
+    values.push(entryType);
+  }
+  values.push(limit, offset);
+
+  try {
+    const result = await query(
+      `SELECT e.*,
+         json_agg(json_build_object(
+           'lineId', l."lineId",
+           'accountId', l."accountId",
+           'accountType', a."accountType",
+           'direction', l."direction",
+           'amount', l."amount"
+         ) ORDER BY l."direction" DESC) AS "lines"
+       FROM "journalEntries" e
+       JOIN "journalLines" l ON l."entryId" = e."entryId"
+       JOIN "ledgerAccounts" a ON a."accountId" = l."accountId"
+       WHERE ${where.join(" AND ")}
+       GROUP BY e."entryId"
+       ORDER BY e."postedAt" DESC
+       LIMIT $${idx++} OFFSET $${idx}`,
+      values
+    );
+    return result.rows;
+  } catch (error) {
+    throw new DatabaseError("Failed to fetch journal entries");
+  }
+};
+
+export const sumUnreservedWithdrawalsByCampaign = async (campaignId) => {
+  // Withdrawals still holding funds that have not yet been moved out of the campaign account
+  try {
+    const result = await query(
+      `SELECT COALESCE(SUM(w."amount"), 0) AS total
+       FROM "withdrawalRequests" w
+       WHERE w."campaignId" = $1
+         AND w."status" IN ('pending', 'approved', 'processing')
+         AND NOT EXISTS (
+           SELECT 1 FROM "journalEntries" e
+           WHERE e."entryType" = 'withdrawal_reserve'
+             AND e."transactionId" = w."transactionId"
+         )`,
+      [campaignId]
+    );
+    return parseFloat(result.rows[0].total) || 0;
+  } catch (error) {
+    throw new DatabaseError("Failed to sum unreserved withdrawals");
+  }
+};
+
+export const getLedgerTotalsByCampaign = async (campaignId = null) => {
+  try {
+    const result = await query(
+      `SELECT e."campaignId", e."entryType", SUM(l."amount") AS total
+       FROM "journalEntries" e
+       JOIN "journalLines" l ON l."entryId" = e."entryId" AND l."direction" = 'debit'
+       WHERE ($1::uuid IS NULL OR e."campaignId" = $1)
+       GROUP BY e."campaignId", e."entryType"`,
+      [campaignId]
+    );
+    return result.rows;
+  } catch (error) {
+    throw new DatabaseError("Failed to compute ledger totals");
+  }
+};
+
+export const getTransactionTotalsByCampaign = async (campaignId = null) => {
+  try {
+    const result = await query(
+      `SELECT
+         t."campaignId",
+         c."currentRaisedAmount",
+         COALESCE(SUM(t."amount") FILTER (
+           WHERE t."transactionType" = 'donation_in' AND t."status" IN ('succeeded', 'refunded')
+         ), 0) AS "donations",
+         COALESCE(SUM(t."amount") FILTER (
+           WHERE t."transactionType" = 'platform_fee' AND t."status" = 'succeeded'
+         ), 0) AS "platformFees",
+         COALESCE(SUM(t."amount") FILTER (
+           WHERE t."transactionType" = 'withdrawal_out' AND t."status" = 'succeeded'
+         ), 0) AS "withdrawals",
+         COALESCE(SUM(t."amount") FILTER (
+           WHERE t."transactionType" = 'refund_out' AND t."status" IN ('processing', 'succeeded')
+         ), 0) AS "refunds",
+         COALESCE(SUM(t."feesAmount") FILTER (
+           WHERE t."transactionType" = 'refund_out' AND t."status" IN ('processing', 'succeeded')
+         ), 0) AS "refundedFees",
+         COALESCE(SUM(t."feesAmount") FILTER (
+           WHERE t."transactionType" = 'donation_in' AND t."status" = 'succeeded'
+             AND d."donorCoversFee"
+         ), 0) AS "donorCoveredFees",
+         (SELECT COALESCE(SUM(m."baseAmount"), 0)
+          FROM "donations" m
+          WHERE m."campaignId" = t."campaignId"
+            AND m."status" = 'completed'
+            AND m."matchPoolId" IS NOT NULL) AS "matchedRaised",
+         (SELECT COALESCE(SUM(o."baseAmount"), 0)
+          FROM "donations" o
+          WHERE o."campaignId" = t."campaignId"
+            AND o."status" = 'completed'
+            AND o."offlineDonationId" IS NOT NULL) AS "offlineRaised"
+       FROM "transactions" t
+       JOIN "campaigns" c ON c."campaignId" = t."campaignId"
+       LEFT JOIN "donations" d ON d."paymentTransactionId" = t."transactionId"
+       WHERE ($1::uuid IS NULL OR t."campaignId" = $1)
+       GROUP BY t."campaignId", c."currentRaisedAmount"`,
+      [campaignId]
+    );
+    return result.rows;
+  } catch (error) {
+    throw new DatabaseError("Failed to compute transaction totals");
+  }
+};
+
+// Transactions whose current status requires a journal entry that was never posted
+export const findTransactionsMissingEntries = async ({
+  campaignId = null,
+  limit = 500,
+} = {}) => {
+  try {
+    const result = await query(
+      `SELECT t."transactionId", t."campaignId", t."transactionType",
+              t."status", t."amount", t."currency", expected."entryType"
+       FROM "transactions" t
+       CROSS JOIN LATERAL (VALUES
+         ('donation',
+           t."transactionType" = 'donation_in' AND t."status" IN ('succeeded', 'refunded')),
+         ('platform_fee',
+           t."transactionType" = 'platform_fee' AND t."status" = 'succeeded'),
+         ('withdrawal_reserve',
+           t."transactionType" = 'withdrawal_out' AND t."status" IN ('pending', 'processing', 'succeeded')),
+         ('withdrawal_payout',
+           t."transactionType" = 'withdrawal_out' AND t."status" = 'succeeded'),
+         ('withdrawal_release',
+           t."transactionType" = 'withdrawal_out' AND t."status" IN ('failed', 'timeout', 'cancelled')
+           AND EXISTS (
+             SELECT 1 FROM "journalEntries" r
+             WHERE r."idempotencyKey" = 'withdrawal_reserve:' || t."transactionId"
+           )),
+         ('refund',
+           t."transactionType" = 'refund_out' AND t."status" IN ('processing', 'succeeded')),
+         ('refund_reversal',
+           t."transactionType" = 'refund_out' AND t."status" IN ('failed', 'timeout', 'cancelled')
+           AND EXISTS (
+             SELECT 1 FROM "journalEntries" r
+             WHERE r."idempotencyKey" = 'refund:' || t."transactionId"
+           )),
+         ('platform_fee_reversal',
+           t."transactionType" = 'refund_out' AND t."status" IN ('processing', 'succeeded')
+           AND COALESCE(t."feesAmount", 0) > 0),
+         ('platform_fee_reinstated',
+           t."transactionType" = 'refund_out' AND t."status" IN ('failed', 'timeout', 'cancelled')
+           AND EXISTS (
+             SELECT 1 FROM "journalEntries" r
+             WHERE r."idempotencyKey" = 'platform_fee_reversal:' || t."transactionId"
+           ))
+       ) AS expected("entryType", "required")
+       WHERE expected."required"
+         AND ($1::uuid IS NULL OR t."campaignId" = $1)
+         AND NOT EXISTS (
+           SELECT 1 FROM "journalEntries" e
+           WHERE e."idempotencyKey" = expected."entryType" || ':' || t."transactionId"
+         )
+       ORDER BY t."createdAt"
+       LIMIT $2`,
+      [campaignId, limit]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error("Failed to find transactions missing journal entries", {
+      error: error.message,
+    });
+    throw new DatabaseError("Failed to find transactions missing entries");
+  }
+};
+
+// Entries whose source transaction no longer supports them (e.g. a donation entry on a failed payment)
+export const findUnsupportedEntries = async ({ campaignId = null } = {}) => {
+  try {
+    const result = await query(
+      `SELECT e."entryId", e."entryType", e."transactionId", e."campaignId",
+              t."status" AS "transactionStatus"
+       FROM "journalEntries" e
+       JOIN "transactions" t ON t."transactionId" = e."transactionId"
+       WHERE ($1::uuid IS NULL OR e."campaignId" = $1)
+         AND (
+           (e."entryType" = 'donation' AND t."status" NOT IN ('succeeded', 'refunded'))
+           OR (e."entryType" = 'platform_fee' AND t."status" <> 'succeeded')
+           OR (e."entryType" = 'withdrawal_payout' AND t."status" <> 'succeeded')
+         )
+       ORDER BY e."postedAt"`,
+      [campaignId]
+    );
+    return result.rows;
+  } catch (error) {
+    throw new DatabaseError("Failed to find unsupported journal entries");
+  }
+};
+
+export default {
+  findOrCreateAccount,
+  findEntryByIdempotencyKey,
+  insertJournalEntry,
+  insertJournalLines,
+  getCampaignOrganizerId,
+  getAccountsWithBalances,
+  getCampaignAccountBalances,
+  getEntriesByCampaign,
+  sumUnreservedWithdrawalsByCampaign,
+  getLedgerTotalsByCampaign,
+  getTransactionTotalsByCampaign,
+  findTransactionsMissingEntries,
+  findUnsupportedEntries,
+};
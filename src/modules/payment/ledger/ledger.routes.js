@@ -0,0 +1,60 @@
+import { Router } from "express";
+import { catchAsync } from "../../../middlewares/errorHandler.js";
+import {
+  authenticate,
+  restrictTo,
+  requireSuperAdmin,
+} from "../../../middlewares/auth.middleware.js";
+import {
+  getCampaignLedger,
+  listAccounts,
+  getReconciliationReport,
+  backfillLedger,
+} from "./ledger.controller.js";
+import {
+  validateCampaignId,
+  validateCampaignLedgerQuery,
+  validateListAccounts,
+  validateReconciliation,
+  validateBackfill,
+} from "./ledger.validation.js";
+
+const router = Router();
+
+const requireFinanceAdmin = restrictTo("financialAdmin", "superAdmin");
+
+// Organizer (own campaigns) and finance admins
+router.get(
+  "/campaigns/:campaignId",
+  authenticate,
+  validateCampaignId,
+  validateCampaignLedgerQuery,
+  catchAsync(getCampaignLedger)
+);
+
+// Finance admin endpoints
+router.get(
+  "/accounts",
+  authenticate,
+  requireFinanceAdmin,
+  validateListAccounts,
+  catchAsync(listAccounts)
+);
+
+router.get(
+  "/reconciliation",
+  authenticate,
+  requireFinanceAdmin,
+  validateReconciliation,
+  catchAsync(getReconciliationReport)
+);
+
+router.post(
+  "/backfill",
+  authenticate,
+  requireSuperAdmin,
+  validateBackfill,
+  catchAsync(backfillLedger)
+);
+
+export default router;
@@ -0,0 +1,496 @@
+import * as ledgerRepository from "./ledger.repository.js";
+import * as transactionRepository from "../transactions/transaction.repository.js";
+import * as campaignRepo from "../../campaign/campaigns/campaign.repository.js";
+import { transaction } from "../../../db/index.js";
+import { AppError } from "../../../utils/appError.js";
+import logger from "../../../utils/logger.js";
+
+const LEDGER_ADMIN_ROLES = ["financialAdmin", "superAdmin"];
+const FAILED_STATUSES = ["failed", "timeout", "cancelled"];
+const ORGANIZER_ENTRY_TYPES = [
+  "withdrawal_reserve",
+  "withdrawal_payout",
+  "withdrawal_release",
+];
+
+const ACCOUNT_DEFINITIONS = {
+  campaign: { normalBalance: "credit", label: "Campaign funds" },
+  organizer: { normalBalance: "credit", label: "Organizer payouts payable" },
+  platform_cash: { normalBalance: "debit", label: "Platform cash" },
+  platform_revenue: { normalBalance: "credit", label: "Platform fee revenue" },
+};
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+const entryKey = (entryType, transactionId) => `${entryType}:${transactionId}`;
+
+const accountBalance = (account) => {
+  const debits = toCents(account.totalDebits);
+  const credits = toCents(account.totalCredits);
+  const cents =
+    account.normalBalance === "debit" ? debits - credits : credits - debits;
+  return Number(fromCents(cents));
+};
+
+/**
+ * Posts a balanced journal entry. Entries are keyed by idempotencyKey, so
+ * posting the same business event twice returns the existing entry.
+ */
+const postEntry = async ({
+  entryType,
+  idempotencyKey,
+  transactionId,
+  campaignId,
+  currency,
+  description,
+  metadata,
+  postedByUserId,
+  lines,
+}) => {
+  let debitCents = 0;
+  let creditCents = 0;
+  for (const line of lines) {
+    const cents = toCents(line.amount);
+    if (!(cents > 0)) {
+      throw new AppError("Journal line amounts must be positive", 400);
+    }
+    if (line.direction === "debit") debitCents += cents;
+    else creditCents += cents;
+  }
+  if (debitCents !== creditCents) {
+    throw new AppError("Journal entry is not balanced", 400);
+  }
+
+  return transaction(async (client) => {
+    const existing = await ledgerRepository.findEntryByIdempotencyKey(
+      idempotencyKey,
+      client
+    );
+    if (existing) return existing;
+
+    const entry = await ledgerRepository.insertJournalEntry(
+      {
+        entryType,
+        idempotencyKey,
+        transactionId,
+        campaignId,
+        currency,
+        description,
+        metadata,
+        postedByUserId,
+      },
+      client
+    );
+    // Lost a race with a concurrent post of the same event
+    if (!entry) {
+      return ledgerRepository.findEntryByIdempotencyKey(idempotencyKey, client);
+    }
+
+    const resolvedLines = [];
+    for (const line of lines) {
+      const definition = ACCOUNT_DEFINITIONS[line.accountType];
+      const account = await ledgerRepository.findOrCreateAccount(
+        {
+          accountType: line.accountType,
+          ownerId: line.ownerId || null,
+          currency,
+          normalBalance: definition.normalBalance,
+          name: line.ownerId
+            ? `${definition.label} (${line.ownerId})`
+            : `${definition.label} (${currency})`,
+        },
+        client
+      );
+      resolvedLines.push({
+        accountId: account.accountId,
+        direction: line.direction,
+        amount: fromCents(toCents(line.amount)),
+      });
+    }
+    await ledgerRepository.insertJournalLines(
+      entry.entryId,
+      resolvedLines,
+      client
+    );
+
+    logger.info("Journal entry posted", {
+      entryId: entry.entryId,
+      entryType,
+      idempotencyKey,
+      amount: fromCents(debitCents),
+    });
+
+    return entry;
+  });
+};
+
+/**
+ * Builds the debit/credit pair for an entry type.
+ * Campaign and organizer accounts are owned by campaignId/organizerId.
+ */
+const buildLines = (entryType, { campaignId, organizerId, amount }) => {
+  const campaign = { accountType: "campaign", ownerId: campaignId };
+  const organizer = { accountType: "organizer", ownerId: organizerId };
+  const cash = { accountType: "platform_cash" };
+  const revenue = { accountType: "platform_revenue" };
+
+  const pairs = {
+    donation: [cash, campaign],
+    platform_fee: [campaign, revenue],
+    withdrawal_reserve: [campaign, organizer],
+    withdrawal_payout: [organizer, cash],
+    withdrawal_release: [organizer, campaign],
+    refund: [campaign, cash],
+    refund_reversal: [cash, campaign],
+    platform_fee_reversal: [revenue, campaign],
+    platform_fee_reinstated: [campaign, revenue],
+  };
+
+  const [debit, credit] = pairs[entryType];
+  return [
+    { ...debit, direction: "debit", amount },
+    { ...credit, direction: "credit", amount },
+  ];
+};
+
+const postForTransaction = async (entryType, txn, extra = {}) => {
+  const organizerId = ORGANIZER_ENTRY_TYPES.includes(entryType)
+    ? await ledgerRepository.getCampaignOrganizerId(txn.campaignId)
+    : null;
+
+  return postEntry({
+    entryType,
+    idempotencyKey: entryKey(entryType, txn.transactionId),
+    transactionId: txn.transactionId,
+    campaignId: txn.campaignId,
+    currency: txn.currency || "ZMW",
+    description: extra.description || `${entryType} for ${txn.transactionId}`,
+    metadata: {
+      transactionType: txn.transactionType,
+      transactionStatus: txn.status,
+      gatewayTransactionId: txn.gatewayTransactionId,
+    },
+    postedByUserId: extra.postedByUserId,
+    lines: buildLines(entryType, {
+      campaignId: txn.campaignId,
+      organizerId: organizerId || txn.userId,
+      amount: extra.amount ?? txn.amount,
+    }),
+  });
+};
+
+/**
+ * Posts every journal entry the transaction's current status calls for.
+ * Safe to call repeatedly: already-posted entries are skipped.
+ * @param {Object} txn - Row from "transactions"
+ * @returns {Promise<Array>} Entries posted or found for this transaction
+ */
+export const syncTransaction = async (txn, { postedByUserId } = {}) => {
+  if (!txn) return [];
+  const entries = [];
+  const post = async (entryType, amount) => {
+    entries.push(
+      await postForTransaction(entryType, txn, { postedByUserId, amount })
+    );
+  };
+  // A refund pays back the whole charge, so the fee goes back to the campaign
+  const refundsFee = Number(txn.feesAmount) > 0;
+
+  switch (txn.transactionType) {
+    case "donation_in":
+      if (["succeeded", "refunded"].includes(txn.status)) {
+        await post("donation");
+      }
+      break;
+    case "platform_fee":
+      if (txn.status === "succeeded") await post("platform_fee");
+      break;
+    case "withdrawal_out":
+      // Funds leave the campaign account as soon as a payout is attempted
+      if (["pending", "processing", "succeeded"].includes(txn.status)) {
+        await post("withdrawal_reserve");
+      }
+      if (txn.status === "succeeded") await post("withdrawal_payout");
+      if (FAILED_STATUSES.includes(txn.status)) {
+        const reserved = await ledgerRepository.findEntryByIdempotencyKey(
+          entryKey("withdrawal_reserve", txn.transactionId)
+        );
+        if (reserved) await post("withdrawal_release");
+      }
+      break;
+    case "refund_out":
+      if (["processing", "succeeded"].includes(txn.status)) {
+        await post("refund");
+        if (refundsFee) await post("platform_fee_reversal", txn.feesAmount);
+      }
+      if (FAILED_STATUSES.includes(txn.status)) {
+        const refunded = await ledgerRepository.findEntryByIdempotencyKey(
+          entryKey("refund", txn.transactionId)
+        );
+        if (refunded) await post("refund_reversal");
+        const feeReversed = await ledgerRepository.findEntryByIdempotencyKey(
+          entryKey("platform_fee_reversal", txn.transactionId)
+        );
+        if (feeReversed) {
+          await post("platform_fee_reinstated", txn.feesAmount);
+        }
+      }
+      break;
+    default:
+      break;
+  }
+
+  return entries;
+};
+
+export const getCampaignBalances = async (campaignId) => {
+  return ledgerRepository.getCampaignAccountBalances(campaignId);
+};
+
+export const getUnreservedWithdrawals = async (campaignId) => {
+  return ledgerRepository.sumUnreservedWithdrawalsByCampaign(campaignId);
+};
+
+const assertCanViewCampaignLedger = async (campaignId, actor) => {
+  const campaign = await campaignRepo.findCampaignById(campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+  const isAdmin = LEDGER_ADMIN_ROLES.includes(actor?.userType);
+  if (!isAdmin && campaign.organizerId !== actor?.userId) {
+    throw new AppError("You are not allowed to view this campaign ledger", 403);
+  }
+  return campaign;
+};
+
+export const getCampaignLedger = async (
+  campaignId,
+  actor,
+  { entryType, limit = 50, offset = 0 } = {}
+) => {
+  await assertCanViewCampaignLedger(campaignId, actor);
+
+  const [accounts, entries, unreservedWithdrawals] = await Promise.all([
+    ledgerRepository.getAccountsWithBalances({
+      accountType: "campaign",
+      ownerId: campaignId,
+    }),
+    ledgerRepository.getEntriesByCampaign(campaignId, {
+      entryType,
+      limit,
+      offset,
+    }),
+    ledgerRepository.sumUnreservedWithdrawalsByCampaign(campaignId),
+  ]);
+
+  const balance = accounts.reduce((sum, a) => sum + accountBalance(a), 0);
+
+  return {
+    campaignId,
+    balance,
+    unreservedWithdrawals,
+    available: Math.max(0, balance - unreservedWithdrawals),
+    accounts: accounts.map((a) => ({ ...a, balance: accountBalance(a) })),
+    entries,
+  };
+};
+
+export const listAccounts = async (filters = {}) => {
+  const accounts = await ledgerRepository.getAccountsWithBalances(filters);
+  return accounts.map((a) => ({ ...a, balance: accountBalance(a) }));
+};
+
+/**
+ * Compares ledger totals against the transactions table per campaign and
+ * flags any difference, missing entries and entries whose transaction no
+ * longer supports them.
+ */
+export const getReconciliationReport = async ({ campaignId = null } = {}) => {
+  const [ledgerTotals, txnTotals, missingEntries, unsupportedEntries] =
+    await Promise.all([
+      ledgerRepository.getLedgerTotalsByCampaign(campaignId),
+      ledgerRepository.getTransactionTotalsByCampaign(campaignId),
+      ledgerRepository.findTransactionsMissingEntries({ campaignId }),
+      ledgerRepository.findUnsupportedEntries({ campaignId }),
+    ]);
+
+  const ledgerByCampaign = new Map();
+  for (const row of ledgerTotals) {
+    if (!ledgerByCampaign.has(row.campaignId)) {
+      ledgerByCampaign.set(row.campaignId, {});
+    }
+    ledgerByCampaign.get(row.campaignId)[row.entryType] = toCents(row.total);
+  }
+
+  const campaigns = txnTotals.map((row) => {
+    const l = ledgerByCampaign.get(row.campaignId) || {};
+    const get = (type) => l[type] || 0;
+
+    const ledger = {
+      donations: get("donation"),
+      platformFees:
+        get("platform_fee") -
+        get("platform_fee_reversal") +
+        get("platform_fee_reinstated"),
+      withdrawals: get("withdrawal_payout"),
+      refunds: get("refund") - get("refund_reversal"),
+    };
+    const transactions = {
+      donations: toCents(row.donations),
+      platformFees: toCents(row.platformFees) - toCents(row.refundedFees),
+      withdrawals: toCents(row.withdrawals),
+      refunds: toCents(row.refunds),
+    };
+
+    const mismatches = [];
+    for (const key of Object.keys(ledger)) {
+      if (ledger[key] !== transactions[key]) {
+        mismatches.push({
+          field: key,
+          ledger: Number(fromCents(ledger[key])),
+          transactions: Number(fromCents(transactions[key])),
+          difference: Number(fromCents(ledger[key] - transactions[key])),
+        });
+      }
+    }
+
+    // currentRaisedAmount should equal donations net of refunds; fees a donor
+    // covered were charged on top of the donation and never count as raised
+    // (a refund pays them back along with the donation). Sponsor matches and
+    // verified offline donations count as raised but never pass through the
+    // platform, so they have no ledger entries.
+    const ledgerNetRaised =
+      ledger.donations - toCents(row.donorCoveredFees) - ledger.refunds;
+    const currentRaised = toCents(row.currentRaisedAmount);
+    const matchedRaised = toCents(row.matchedRaised);
+    const offlineRaised = toCents(row.offlineRaised);
+    const raisedViaLedger = currentRaised - matchedRaised - offlineRaised;
+    if (ledgerNetRaised !== raisedViaLedger) {
+      mismatches.push({
+        field: "currentRaisedAmount",
+        ledger: Number(fromCents(ledgerNetRaised)),
+        campaign: Number(fromCents(raisedViaLedger)),
+        difference: Number(fromCents(ledgerNetRaised - raisedViaLedger)),
+      });
+    }
+
+    const toAmounts = (totals) =>
+      Object.fromEntries(
+        Object.entries(totals).map(([k, v]) => [k, Number(fromCents(v))])
+      );
+
+    return {
+      campaignId: row.campaignId,
+      ledger: toAmounts(ledger),
+      transactions: toAmounts(transactions),
+      currentRaisedAmount: Number(fromCents(currentRaised)),
+      matchedRaised: Number(fromCents(matchedRaised)),
+      offlineRaised: Number(fromCents(offlineRaised)),
+      balanced: mismatches.length === 0,
+      mismatches,
+    };
+  });
+
+  const flagged = campaigns.filter((c) => !c.balanced);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    campaignsChecked: campaigns.length,
+    campaignsWithMismatches: flagged.length,
+    campaigns: campaignId ? campaigns : flagged,
+    missingEntries,
+    unsupportedEntries,
+  };
+};
+
+const syncMissingTransactions = async ({ campaignId, limit }) => {
+  const missing = await ledgerRepository.findTransactionsMissingEntries({
+    campaignId,
+    limit,
+  });
+  const transactionIds = [...new Set(missing.map((m) => m.transactionId))];
+
+  let synced = 0;
+  const failures = [];
+  for (const transactionId of transactionIds) {
+    try {
+      const txn = await transactionRepository.getTransactionById(transactionId);
+      await syncTransaction(txn);
+      synced++;
+    } catch (error) {
+      logger.error("Ledger backfill failed for transaction", {
+        transactionId,
+        error: error.message,
+      });
+      failures.push({ transactionId, error: error.message });
+    }
+  }
+
+  return { transactionIds, synced, failures };
+};
+
+/**
+ * Posts entries for transactions that predate the ledger or whose posting
+ * failed. Returns how many transactions were synced and which failed.
+ */
+export const backfillLedger = async ({
+  campaignId = null,
+  limit = 500,
+} = {}) => {
+  const { synced, failures } = await syncMissingTransactions({
+    campaignId,
+    limit,
+  });
+
+  logger.info("Ledger backfill completed", {
+    campaignId,
+    synced,
+    failed: failures.length,
+  });
+
+  return { synced, failures };
+};
+
+/**
+ * Backfills every campaign in batches; runs on startup so balances of
+ * campaigns that predate the ledger are not read as empty. Stops once a
+ * batch brings up no transaction it has not already tried.
+ */
+export const backfillEntireLedger = async ({ batchSize = 500 } = {}) => {
+  const attempted = new Set();
+  let synced = 0;
+  let failures = [];
+  for (;;) {
+    const batch = await syncMissingTransactions({
+      campaignId: null,
+      limit: batchSize,
+    });
+    const fresh = batch.transactionIds.filter((id) => !attempted.has(id));
+    if (fresh.length === 0) break;
+
+    fresh.forEach((id) => attempted.add(id));
+    synced += batch.synced;
+    failures = batch.failures;
+  }
+
+  if (attempted.size > 0) {
+    logger.info("Ledger backfill completed", {
+      synced,
+      failed: failures.length,
+    });
+  }
+
+  return { synced, failures };
+};
+
+export default {
+  syncTransaction,
+  getCampaignBalances,
+  getUnreservedWithdrawals,
+  getCampaignLedger,
+  listAccounts,
+  getReconciliationReport,
+  backfillLedger,
+  backfillEntireLedger,
+};
@@ -0,0 +1,57 @@
+import Joi from "joi";
+import { validate } from "../../../utils/validation.js";
+
+const ENTRY_TYPES = [
+  "donation",
+  "platform_fee",
+  "withdrawal_reserve",
+  "withdrawal_payout",
+  "withdrawal_release",
+  "refund",
+  "refund_reversal",
+  "currency_correction",
+  "platform_fee_reversal",
+  "platform_fee_reinstated",
+];
+
+// Validation schemas
+const campaignIdSchema = Joi.object({
+  campaignId: Joi.string().uuid().required(),
+});
+
+const campaignLedgerQuerySchema = Joi.object({
+  entryType: Joi.string()
+    .valid(...ENTRY_TYPES)
+    .optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
+const listAccountsSchema = Joi.object({
+  accountType: Joi.string()
+    .valid("campaign", "organizer", "platform_cash", "platform_revenue")
+    .optional(),
+  ownerId: Joi.string().uuid().optional(),
+  currency: Joi.string().length(3).uppercase().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
+const reconciliationSchema = Joi.object({
+  campaignId: Joi.string().uuid().optional(),
+});
+
+const backfillSchema = Joi.object({
+  campaignId: Joi.string().uuid().optional(),
+  limit: Joi.number().integer().min(1).max(5000).default(500),
+});
+
+// Validation middlewares
+export const validateCampaignId = validate(campaignIdSchema, "params");
+export const validateCampaignLedgerQuery = validate(
+  campaignLedgerQuerySchema,
+  "query"
+);
+export const validateListAccounts = validate(listAccountsSchema, "query");
+export const validateReconciliation = validate(reconciliationSchema, "query");
+export const validateBackfill = validate(backfillSchema);
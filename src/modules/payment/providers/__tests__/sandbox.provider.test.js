@@ -0,0 +1,117 @@
+// src/modules/payment/providers/__tests__/sandbox.provider.test.js
+
+import sandboxProvider from '../sandbox.provider.js';
+import { getProviderFor, hasProvider } from '../provider.registry.js';
+import { receiveProviderEvent } from '../../webhooks/webhooks.service.js';
+
+// Mock dependencies
+jest.mock('../../../../config/index.js', () => ({
+  __esModule: true,
+  default: {
+    payments: {
+      defaultProvider: 'zynlepay',
+      sandbox: { enabled: true, callbackDelayMs: 2000 },
+    },
+  },
+}));
+jest.mock('../zynlepay.provider.js', () => ({
+  __esModule: true,
+  default: { name: 'zynlepay', initiateDeposit: jest.fn() },
+}));
+jest.mock('../../webhooks/webhooks.service.js', () => ({
+  receiveProviderEvent: jest.fn(),
+}));
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Payment providers', () => {
+  describe('registry', () => {
+    it('should resolve registered gateways by name', () => {
+      expect(hasProvider('sandbox')).toBe(true);
+      expect(getProviderFor('sandbox').name).toBe('sandbox');
+    });
+
+    it('should fall back to the default provider for payment methods', () => {
+      expect(getProviderFor('airtel').name).toBe('zynlepay');
+      expect(getProviderFor(null).name).toBe('zynlepay');
+    });
+  });
+
+  describe('sandbox', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should accept deposits and deliver a success callback later', async () => {
+      const res = await sandboxProvider.initiateDeposit({
+        phoneNumber: '+260971234567',
+        amount: 50,
+        referenceNo: 'DN-1',
+      });
+
+      expect(res).toEqual(
+        expect.objectContaining({ ok: true, status: 'processing' })
+      );
+      expect(receiveProviderEvent).not.toHaveBeenCalled();
+
+      await jest.runAllTimersAsync();
+
+      expect(receiveProviderEvent).toHaveBeenCalledWith(
+        'sandbox',
+        expect.objectContaining({
+          referenceNo: 'DN-1',
+          gatewayRequestId: res.gatewayRequestId,
+          status: 'succeeded',
+        })
+      );
+    });
+
+    it('should decline numbers ending in 999', async () => {
+      await sandboxProvider.initiatePayout({
+        phoneNumber: '0971234999',
+        amount: 20,
+        referenceNo: 'WD-1',
+      });
+      await jest.runAllTimersAsync();
+
+      expect(receiveProviderEvent).toHaveBeenCalledWith(
+        'sandbox',
+        expect.objectContaining({ referenceNo: 'WD-1', status: 'failed' })
+      );
+      const status = await sandboxProvider.queryStatus({ referenceNo: 'WD-1' });
+      expect(status.status).toBe('failed');
+    });
+
+    it('should reject callbacks sent over HTTP', () => {
+      expect(
+        sandboxProvider.verifyWebhook({
+          headers: {},
+          body: { referenceNo: 'DN-1', status: 'succeeded' },
+        })
+      ).toBe(false);
+    });
+
+    it('should normalize callbacks through mapStatus', () => {
+      expect(
+        sandboxProvider.mapStatus({
+          referenceNo: 'DN-2',
+          gatewayRequestId: 'SBX-1',
+          status: 'succeeded',
+        })
+      ).toEqual(
+        expect.objectContaining({
+          status: 'succeeded',
+          referenceNo: 'DN-2',
+          gatewayRequestId: 'SBX-1',
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,42 @@
+// src/modules/payment/providers/__tests__/zynlepay.provider.test.js
+
+import zynlepayProvider from '../zynlepay.provider.js';
+
+// Mock dependencies
+jest.mock('axios');
+jest.mock('../../../../config/index.js', () => ({
+  __esModule: true,
+  default: { payments: { webhooks: {} } },
+}));
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('ZynlePay provider', () => {
+  describe('mapStatus', () => {
+    const statusFor = (code) =>
+      zynlepayProvider.mapStatus({
+        response: { response_code: code, reference_no: 'DN-1' },
+      }).status;
+
+    it('should map known response codes', () => {
+      expect(statusFor(100)).toBe('succeeded');
+      expect(statusFor('120')).toBe('processing');
+      expect(statusFor(990)).toBe('processing');
+      expect(statusFor(995)).toBe('failed');
+    });
+
+    it('should leave unknown response codes open for the status poller', () => {
+      expect(statusFor(999)).toBe('processing');
+      expect(statusFor('E42')).toBe('processing');
+    });
+
+    it('should report no status when the response code is missing', () => {
+      expect(zynlepayProvider.mapStatus({ reference_no: 'DN-1' }).status).toBe(
+        null
+      );
+    });
+  });
+});
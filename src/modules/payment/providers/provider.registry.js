@@ -0,0 +1,49 @@
+import config from "../../../config/index.js";
+import { AppError } from "../../../utils/appError.js";
+import zynlepayProvider from "./zynlepay.provider.js";
+import sandboxProvider from "./sandbox.provider.js";
+
+/**
+ * Payment Provider Registry
+ * Every adapter exposes the same interface:
+ * - initiateDeposit / initiatePayout / initiateRefund → { ok, status, responseCode, gatewayRequestId, message, raw }
+ * - queryStatus({ referenceNo }) → { status, responseCode, gatewayRequestId, referenceNo, message, raw }
+ * - verifyWebhook(req) → boolean
+ * - mapStatus(payload) → normalized callback fields (see queryStatus)
+ */
+const providers = new Map();
+
+export function registerProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+export function hasProvider(name) {
+  return providers.has(name);
+}
+
+export function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new AppError(`Payment provider '${name}' is not available`, 500);
+  }
+  return provider;
+}
+
+/**
+ * Resolves the adapter for a transactions.gatewayUsed value.
+ * Donations store the donor's payment method (e.g. "airtel"), which is not a
+ * provider name, so anything unregistered goes through the default provider.
+ */
+export function getProviderFor(gatewayUsed) {
+  if (gatewayUsed && providers.has(gatewayUsed)) {
+    return providers.get(gatewayUsed);
+  }
+  return getProvider(config.payments?.defaultProvider || "zynlepay");
+}
+
+registerProvider("zynlepay", zynlepayProvider);
+if (config.payments?.sandbox?.enabled) {
+  registerProvider("sandbox", sandboxProvider);
+}
+
+export default { registerProvider, hasProvider, getProvider, getProviderFor };
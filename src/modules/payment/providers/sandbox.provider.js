@@ -0,0 +1,122 @@
+import { v4 as uuidv4 } from "uuid";
+import config from "../../../config/index.js";
+import logger from "../../../utils/logger.js";
+
+/**
+ * Sandbox Provider
+ * - Fully local stand-in for a mobile money gateway (dev and tests)
+ * - Only registered when PAYMENT_SANDBOX_ENABLED=true
+ * - Every request is accepted as "processing"; the outcome arrives later as a
+ *   simulated callback that goes through the regular webhook pipeline
+ *   in-process, never over HTTP
+ * - Phone numbers ending in 999 are declined, everything else succeeds
+ */
+const FAILING_SUFFIX = "999";
+
+// Outcomes by referenceNo so queryStatus can answer like a real gateway
+const outcomes = new Map();
+
+function resolveOutcome(phoneNumber) {
+  return String(phoneNumber || "").endsWith(FAILING_SUFFIX)
+    ? { status: "failed", message: "Sandbox: payment declined" }
+    : { status: "succeeded", message: "Sandbox: payment completed" };
+}
+
+function scheduleCallback(event) {
+  const delayMs = config.payments?.sandbox?.callbackDelayMs ?? 2000;
+  setTimeout(async () => {
+    try {
+      // Imported lazily: the webhook service depends on the provider registry
+      const { receiveProviderEvent } = await import(
+        "../webhooks/webhooks.service.js"
+      );
+      await receiveProviderEvent("sandbox", event);
+    } catch (error) {
+      logger.error("Sandbox callback failed", {
+        referenceNo: event.referenceNo,
+        error: error.message,
+      });
+    }
+  }, delayMs);
+}
+
+function startPayment(kind, { phoneNumber, amount, referenceNo }) {
+  const gatewayRequestId = `SBX-${uuidv4()}`;
+  const outcome = resolveOutcome(phoneNumber);
+  // One callback per request, so the request id doubles as the event id
+  const event = {
+    eventId: gatewayRequestId,
+    referenceNo,
+    gatewayRequestId,
+    ...outcome,
+  };
+  outcomes.set(referenceNo, event);
+
+  logger.info(`Sandbox ${kind} initiated`, {
+    referenceNo,
+    gatewayRequestId,
+    amount,
+    outcome: outcome.status,
+  });
+
+  scheduleCallback(event);
+
+  return {
+    ok: true,
+    raw: { ...event, status: "processing", kind, amount, sandbox: true },
+    responseCode: "processing",
+    status: "processing",
+    message: `Sandbox ${kind} accepted`,
+    gatewayRequestId,
+  };
+}
+
+export async function initiateDeposit(params) {
+  return startPayment("deposit", params);
+}
+
+export async function initiatePayout(params) {
+  return startPayment("payout", params);
+}
+
+export async function initiateRefund({ phoneNumber, amount, referenceNo }) {
+  return startPayment("refund", { phoneNumber, amount, referenceNo });
+}
+
+export async function queryStatus({ referenceNo }) {
+  const event = outcomes.get(referenceNo);
+  if (!event) {
+    return {
+      ...mapStatus({ referenceNo, status: "failed", message: "Unknown" }),
+      raw: null,
+    };
+  }
+  return { ...mapStatus(event), raw: event };
+}
+
+// Sandbox callbacks are delivered in-process (scheduleCallback), so an HTTP
+// request claiming to be one is always forged
+export function verifyWebhook() {
+  return false;
+}
+
+export function mapStatus(payload = {}) {
+  return {
+    status: payload.status || null,
+    responseCode: payload.status,
+    gatewayRequestId: payload.gatewayRequestId || null,
+    referenceNo: payload.referenceNo || null,
+    message: payload.message || null,
+    eventId: payload.eventId || null,
+  };
+}
+
+export default {
+  name: "sandbox",
+  initiateDeposit,
+  initiatePayout,
+  initiateRefund,
+  queryStatus,
+  verifyWebhook,
+  mapStatus,
+};
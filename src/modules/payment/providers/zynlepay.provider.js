@@ -2,6 +2,11 @@ import axios from "axios";
 import config from "../../../config/index.js";
 import logger from "../../../utils/logger.js";
 import { AppError } from "../../../utils/appError.js";
+import {
+  verifySignature,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+} from "../webhooks/webhooks.signature.js";
 
 function extractZynleResponse(raw) {
   const responseData = raw?.response || raw;
@@ -46,6 +51,30 @@ function mapZynleErrorMessage(description = "", code) {
   return description || "Payment provider returned an error.";
 }
 
+// Provider response codes → internal transaction status
+// Only 995 is a final failure; unknown codes stay open so the status poller
+// keeps checking them and flags or expires them instead of failing money
+// that may still move.
+function mapResponseCode(responseCode) {
+  switch (String(responseCode)) {
+    case "100":
+      return "succeeded";
+    case "120":
+    case "990":
+      return "processing";
+    case "995":
+      return "failed";
+    default:
+      logger.warn("Unknown ZynlePay response code", { responseCode });
+      return "processing";
+  }
+}
+
+// ZynlePay expects local MSISDNs without the +260 country prefix
+function normalizePhoneNumber(phoneNumber) {
+  return phoneNumber?.replace(/^\+260/, "") || phoneNumber;
+}
+
 function handleZynleNonSuccess(raw) {
   const { code, description } = extractZynleResponse(raw);
   const message = mapZynleErrorMessage(description, code);
@@ -81,7 +110,7 @@ export async function initiateDeposit({ phoneNumber, amount, referenceNo }) {
     },
     data: {
       method: "runBillPayment",
-      sender_id: phoneNumber,
+      sender_id: normalizePhoneNumber(phoneNumber),
       reference_no: referenceNo,
       amount: String(amount),
     },
@@ -100,6 +129,7 @@ export async function initiateDeposit({ phoneNumber, amount, referenceNo }) {
         ok: true,
         raw: data,
         responseCode: code,
+        status: mapResponseCode(code),
         message: description,
         gatewayRequestId: transactionId,
       };
@@ -140,7 +170,7 @@ export async function initiatePayout({ phoneNumber, amount, referenceNo }) {
     },
     data: {
       method: "runPayToEwallet",
-      receiver_id: phoneNumber,
+      receiver_id: normalizePhoneNumber(phoneNumber),
       reference_no: referenceNo,
       amount: String(amount),
     },
@@ -158,6 +188,7 @@ export async function initiatePayout({ phoneNumber, amount, referenceNo }) {
         ok: true,
         raw: data,
         responseCode: code,
+        status: mapResponseCode(code),
         message: description,
         gatewayRequestId: transactionId,
       };
@@ -175,4 +206,115 @@ export async function initiatePayout({ phoneNumber, amount, referenceNo }) {
   }
 }
 
-export default { initiateDeposit, initiatePayout };
+/**
+ * ZynlePay Refund
+ * - Mobile money collections cannot be reversed at the provider, so a refund
+ *   is sent back to the donor's wallet as a payout referencing the original charge
+ */
+export async function initiateRefund({
+  phoneNumber,
+  amount,
+  referenceNo,
+  originalReferenceNo,
+}) {
+  logger.info("ZynlePay refund requested", {
+    referenceNo,
+    originalReferenceNo,
+    amount,
+  });
+  return initiatePayout({ phoneNumber, amount, referenceNo });
+}
+
+/**
+ * ZynlePay Status Query
+ * - Looks up a payment by our reference number when no callback arrived
+ */
+export async function queryStatus({ referenceNo }) {
+  const baseUrl =
+    config.payments?.zynlepay?.paymentStatusBaseUrl ||
+    config.payments?.zynlepay?.baseUrl;
+  const apiId = config.payments?.zynlepay?.apiId;
+  const apiKey = config.payments?.zynlepay?.apiKey;
+  const merchantId = config.payments?.zynlepay?.merchantId;
+  const channel = config.payments?.zynlepay?.channel || "momo";
+
+  if (!baseUrl || !apiId || !apiKey || !merchantId) {
+    throw new AppError("Payment provider not configured", 500);
+  }
+
+  const payload = {
+    auth: {
+      merchant_id: merchantId,
+      api_id: apiId,
+      api_key: apiKey,
+      channel,
+    },
+    data: {
+      method: "runTranStatus",
+      reference_no: referenceNo,
+    },
+  };
+
+  try {
+    const response = await axios.post(`${baseUrl}`, payload, {
+      timeout: 15000,
+      headers: { "Content-Type": "application/json" },
+    });
+    const data = response?.data || {};
+    return { ...mapStatus(data), raw: data };
+  } catch (error) {
+    logger.error("ZynlePay queryStatus error", {
+      message: error.message,
+      response: error.response?.data,
+      referenceNo,
+    });
+    throw new AppError("Failed to query payment status with provider", 502);
+  }
+}
+
+/**
+ * Verifies the HMAC signature and timestamp on a ZynlePay callback.
+ * Unsigned callbacks are rejected, including when no secret is configured.
+ */
+export function verifyWebhook(req) {
+  const { secret, toleranceSeconds } = config.payments?.webhooks || {};
+  const { valid, reason } = verifySignature({
+    rawBody: req.rawBody ?? JSON.stringify(req.body || {}),
+    signature: req.headers[SIGNATURE_HEADER],
+    timestamp: req.headers[TIMESTAMP_HEADER],
+    secret,
+    toleranceSeconds,
+  });
+  if (!valid) {
+    logger.warn("ZynlePay webhook rejected", { reason });
+  }
+  return valid;
+}
+
+/**
+ * Normalizes a callback body or status response into
+ * { status, responseCode, gatewayRequestId, referenceNo, message, eventId }.
+ */
+export function mapStatus(payload = {}) {
+  const { code, description, transactionId, referenceNo } =
+    extractZynleResponse(payload);
+  const responseCode = code ?? payload.responseCode;
+  return {
+    status: responseCode === undefined ? null : mapResponseCode(responseCode),
+    responseCode,
+    gatewayRequestId: transactionId || payload.gatewayRequestId || null,
+    referenceNo: referenceNo || payload.referenceNo || null,
+    message: description || payload.message || null,
+    eventId: payload.event_id || payload.eventId || null,
+  };
+}
+
+export default {
+  name: "zynlepay",
+  initiateDeposit,
+  initiatePayout,
+  initiateRefund,
+  queryStatus,
+  verifyWebhook,
+  mapStatus,
+};
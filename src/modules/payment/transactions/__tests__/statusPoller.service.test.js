@@ -0,0 +1,189 @@
+// src/modules/payment/transactions/__tests__/statusPoller.service.test.js
+
+import {
+  pollPendingTransactions,
+  getPollerStatus,
+} from '../statusPoller.service.js';
+import * as transactionRepository from '../transaction.repository.js';
+import { getProviderFor } from '../../providers/provider.registry.js';
+import { applyTransactionOutcome } from '../../webhooks/webhooks.service.js';
+import { findUsersByRoles } from '../../../campaign/campaigns/campaign.repository.js';
+import notificationService from '../../../notifications/notification.service.js';
+
+// Mock dependencies
+jest.mock('../transaction.repository.js');
+jest.mock('../../providers/provider.registry.js', () => ({
+  getProviderFor: jest.fn(),
+}));
+jest.mock('../../webhooks/webhooks.service.js', () => ({
+  applyTransactionOutcome: jest.fn(),
+}));
+jest.mock('../../../campaign/campaigns/campaign.repository.js', () => ({
+  findUsersByRoles: jest.fn(),
+}));
+jest.mock('../../../notifications/notification.service.js', () => ({
+  __esModule: true,
+  default: { createAndDispatch: jest.fn() },
+}));
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('Payment status poller', () => {
+  const minutesAgo = (m) => new Date(Date.now() - m * 60 * 1000);
+  const queryStatus = jest.fn();
+
+  const txn = (id, startedMinutesAgo, transactionType = 'donation_in') => ({
+    transactionId: id,
+    gatewayTransactionId: `REF-${id}`,
+    gatewayUsed: 'airtel',
+    transactionType,
+    amount: 5000,
+    currency: 'ZMW',
+    status: 'processing',
+    processingStartedAt: minutesAgo(startedMinutesAgo),
+  });
+
+  beforeEach(() => {
+    getProviderFor.mockReturnValue({ queryStatus });
+    findUsersByRoles.mockResolvedValue([{ userId: 'admin-1' }]);
+  });
+
+  it('should settle transactions the provider reports as final', async () => {
+    transactionRepository.getStaleTransactions.mockResolvedValue([
+      txn('t1', 10),
+      txn('t2', 10),
+    ]);
+    queryStatus
+      .mockResolvedValueOnce({ status: 'succeeded', raw: { code: 100 } })
+      .mockResolvedValueOnce({ status: 'failed', raw: { code: 995 } });
+
+    const run = await pollPendingTransactions();
+
+    expect(run).toEqual(
+      expect.objectContaining({ checked: 2, succeeded: 1, failed: 1 })
+    );
+    expect(queryStatus).toHaveBeenCalledWith(
+      expect.objectContaining({ referenceNo: 'REF-t1' })
+    );
+    expect(applyTransactionOutcome).toHaveBeenCalledWith(
+      expect.objectContaining({ transactionId: 't1' }),
+      'succeeded',
+      { code: 100 }
+    );
+    expect(applyTransactionOutcome).toHaveBeenCalledWith(
+      expect.objectContaining({ transactionId: 't2' }),
+      'failed',
+      { code: 995 }
+    );
+  });
+
+  it('should expire transactions past the timeout that are still unresolved', async () => {
+    transactionRepository.getStaleTransactions.mockResolvedValue([
+      txn('t3', 120),
+      txn('t4', 10),
+    ]);
+    queryStatus.mockResolvedValue({ status: 'processing', raw: {} });
+
+    const run = await pollPendingTransactions();
+
+    expect(run).toEqual(
+      expect.objectContaining({ checked: 2, expired: 1, stillPending: 1 })
+    );
+    expect(applyTransactionOutcome).toHaveBeenCalledTimes(1);
+    expect(applyTransactionOutcome).toHaveBeenCalledWith(
+      expect.objectContaining({ transactionId: 't3' }),
+      'timeout',
+      expect.objectContaining({ lastReportedStatus: 'processing' })
+    );
+  });
+
+  it('should expire old transactions even when the provider is unreachable', async () => {
+    transactionRepository.getStaleTransactions.mockResolvedValue([
+      txn('t5', 120),
+    ]);
+    queryStatus.mockRejectedValue(new Error('provider down'));
+
+    const run = await pollPendingTransactions();
+
+    expect(run.expired).toBe(1);
+    expect(applyTransactionOutcome).toHaveBeenCalledWith(
+      expect.objectContaining({ transactionId: 't5' }),
+      'timeout',
+      expect.anything()
+    );
+  });
+
+  it('should flag stuck payouts and refunds for review instead of expiring them', async () => {
+    transactionRepository.getStaleTransactions.mockResolvedValue([
+      txn('t6', 120, 'withdrawal_out'),
+      txn('t7', 120, 'refund_out'),
+    ]);
+    queryStatus
+      .mockResolvedValueOnce({ status: 'processing', raw: {} })
+      .mockRejectedValueOnce(new Error('provider down'));
+    transactionRepository.flagTransactionForReview
+      .mockResolvedValueOnce({ transactionId: 't6' })
+      .mockResolvedValueOnce(null);
+
+    const run = await pollPendingTransactions();
+
+    expect(run).toEqual(
+      expect.objectContaining({ checked: 2, expired: 0, flagged: 1, errors: 1 })
+    );
+    expect(applyTransactionOutcome).not.toHaveBeenCalled();
+    expect(transactionRepository.flagTransactionForReview).toHaveBeenCalledWith(
+      't6'
+    );
+    expect(transactionRepository.flagTransactionForReview).toHaveBeenCalledWith(
+      't7'
+    );
+    // Only the newly flagged payout is announced
+    expect(notificationService.createAndDispatch).toHaveBeenCalledTimes(1);
+    expect(notificationService.createAndDispatch).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId: 'admin-1',
+        relatedEntityId: 't6',
+        priority: 'high',
+      })
+    );
+  });
+
+  it('should still settle a flagged payout once the provider reports a final status', async () => {
+    transactionRepository.getStaleTransactions.mockResolvedValue([
+      { ...txn('t8', 600, 'withdrawal_out'), manualReviewAt: minutesAgo(500) },
+    ]);
+    queryStatus.mockResolvedValue({ status: 'failed', raw: { code: 995 } });
+
+    const run = await pollPendingTransactions();
+
+    expect(run.failed).toBe(1);
+    expect(applyTransactionOutcome).toHaveBeenCalledWith(
+      expect.objectContaining({ transactionId: 't8' }),
+      'failed',
+      { code: 995 }
+    );
+    expect(
+      transactionRepository.flagTransactionForReview
+    ).not.toHaveBeenCalled();
+  });
+
+  it('should report the last run and running totals', async () => {
+    transactionRepository.getStaleTransactions.mockResolvedValue([]);
+
+    await pollPendingTransactions();
+    const status = getPollerStatus();
+
+    expect(status.isRunning).toBe(false);
+    expect(status.lastRun).toEqual(expect.objectContaining({ checked: 0 }));
+    expect(status.lastRunFinishedAt).not.toBeNull();
+    expect(status.totals.expired).toBeGreaterThanOrEqual(2);
+    expect(status.totals.flagged).toBeGreaterThanOrEqual(1);
+    expect(status.settings).toEqual(
+      expect.objectContaining({ expireAfterMinutes: 60 })
+    );
+  });
+});
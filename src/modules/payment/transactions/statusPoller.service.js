@@ -0,0 +1,206 @@
+import config from "../../../config/index.js";
+import logger from "../../../utils/logger.js";
+import * as transactionRepository from "./transaction.repository.js";
+import { getProviderFor } from "../providers/provider.registry.js";
+import { applyTransactionOutcome } from "../webhooks/webhooks.service.js";
+import { findUsersByRoles } from "../../campaign/campaigns/campaign.repository.js";
+import notificationService from "../../notifications/notification.service.js";
+
+/**
+ * Payment Status Poller
+ * Resolves transactions left in pending/processing because a callback was lost:
+ * - asks the provider for the current status of each stale transaction
+ * - settles it exactly as a webhook would
+ * - expires it ("timeout") once it is older than expireAfterMinutes
+ * Money sent out (payouts, refunds) may still arrive after any timeout, so
+ * those settle only on a final provider status; past expireAfterMinutes
+ * they are flagged for manual review instead and keep being polled.
+ */
+let isRunning = false;
+
+const OUTBOUND_TYPES = ["withdrawal_out", "refund_out"];
+const REVIEW_ROLES = ["financialAdmin", "superAdmin"];
+
+const state = {
+  lastRunStartedAt: null,
+  lastRunFinishedAt: null,
+  lastRunError: null,
+  lastRun: null,
+  totals: {
+    checked: 0,
+    succeeded: 0,
+    failed: 0,
+    expired: 0,
+    flagged: 0,
+    errors: 0,
+  },
+};
+
+const minutesAgo = (minutes, now) => new Date(now - minutes * 60 * 1000);
+
+/**
+ * Flags a stuck payout or refund once and tells finance admins
+ * @returns {Promise<boolean>} Whether it was flagged by this call
+ */
+async function flagForReview(txn, lastReportedStatus) {
+  const flagged = await transactionRepository.flagTransactionForReview(
+    txn.transactionId
+  );
+  if (!flagged) return false;
+
+  logger.warn("Outbound transaction flagged for manual review", {
+    transactionId: txn.transactionId,
+    transactionType: txn.transactionType,
+    lastReportedStatus,
+  });
+
+  try {
+    const admins = await findUsersByRoles(REVIEW_ROLES);
+    for (const admin of admins) {
+      await notificationService.createAndDispatch({
+        userId: admin.userId,
+        type: "inApp",
+        category: "payment",
+        priority: "high",
+        title: "Payout needs manual review",
+        message: `${txn.amount} ${txn.currency} (${txn.transactionType}) via ${
+          txn.gatewayUsed
+        } is still unconfirmed by the provider${
+          lastReportedStatus ? ` (last status: ${lastReportedStatus})` : ""
+        }.`,
+        data: {
+          transactionId: txn.transactionId,
+          campaignId: txn.campaignId,
+          referenceNo: txn.gatewayTransactionId,
+        },
+        relatedEntityType: "transaction",
+        relatedEntityId: txn.transactionId,
+      });
+    }
+  } catch (notifyErr) {
+    logger.warn("Failed to notify admins of stuck transaction", {
+      transactionId: txn.transactionId,
+      error: notifyErr.message,
+    });
+  }
+
+  return true;
+}
+
+async function pollTransaction(txn, { expireBefore }) {
+  const provider = getProviderFor(txn.gatewayUsed);
+  let reported = null;
+  try {
+    reported = await provider.queryStatus({
+      referenceNo: txn.gatewayTransactionId,
+      gatewayRequestId: txn.gatewayRequestId,
+    });
+  } catch (error) {
+    // An unreachable provider must not keep a payment open forever
+    logger.warn("Payment status query failed", {
+      transactionId: txn.transactionId,
+      error: error.message,
+    });
+  }
+
+  if (reported?.status === "succeeded" || reported?.status === "failed") {
+    await applyTransactionOutcome(
+      txn,
+      reported.status,
+      reported.raw || { message: reported.message }
+    );
+    return reported.status;
+  }
+
+  const startedAt = new Date(txn.processingStartedAt || txn.createdAt);
+  if (
+    startedAt < expireBefore &&
+    OUTBOUND_TYPES.includes(txn.transactionType)
+  ) {
+    // A timeout would release the funds while the money may still arrive
+    if (await flagForReview(txn, reported?.status || null)) return "flagged";
+  } else if (startedAt < expireBefore) {
+    await applyTransactionOutcome(txn, "timeout", {
+      message: "Payment was not confirmed by the provider in time",
+      expiredAt: new Date().toISOString(),
+      lastReportedStatus: reported?.status || null,
+    });
+    return "expired";
+  }
+
+  return reported ? "pending" : "error";
+}
+
+export const pollPendingTransactions = async () => {
+  if (isRunning) {
+    logger.debug("Payment status poll skipped; previous run still active");
+    return null;
+  }
+  isRunning = true;
+
+  const { staleAfterMinutes, expireAfterMinutes, batchSize } =
+    config.payments.statusPoller;
+  const now = Date.now();
+  const run = {
+    checked: 0,
+    succeeded: 0,
+    failed: 0,
+    expired: 0,
+    flagged: 0,
+    stillPending: 0,
+    errors: 0,
+  };
+  state.lastRunStartedAt = new Date(now).toISOString();
+  state.lastRunError = null;
+
+  try {
+    const stale = await transactionRepository.getStaleTransactions({
+      staleBefore: minutesAgo(staleAfterMinutes, now),
+      limit: batchSize,
+    });
+    const expireBefore = minutesAgo(expireAfterMinutes, now);
+
+    for (const txn of stale) {
+      run.checked++;
+      try {
+        const outcome = await pollTransaction(txn, { expireBefore });
+        if (outcome === "succeeded") run.succeeded++;
+        else if (outcome === "failed") run.failed++;
+        else if (outcome === "expired") run.expired++;
+        else if (outcome === "flagged") run.flagged++;
+        else if (outcome === "error") run.errors++;
+        else run.stillPending++;
+      } catch (error) {
+        run.errors++;
+        logger.error("Payment status poll crashed for transaction", {
+          transactionId: txn.transactionId,
+          error: error.message,
+        });
+      }
+    }
+
+    logger.info("Payment status poll completed", run);
+    return run;
+  } catch (error) {
+    state.lastRunError = error.message;
+    throw error;
+  } finally {
+    state.lastRunFinishedAt = new Date().toISOString();
+    state.lastRun = run;
+    for (const key of Object.keys(state.totals)) {
+      state.totals[key] += run[key];
+    }
+    isRunning = false;
+  }
+};
+
+export const getPollerStatus = () => {
+  const { intervalMs, staleAfterMinutes, expireAfterMinutes, batchSize } =
+    config.payments.statusPoller;
+  return {
+    isRunning,
+    ...state,
+    totals: { ...state.totals },
+    settings: { intervalMs, staleAfterMinutes, expireAfterMinutes, batchSize },
+  };
+};
@@ -1,4 +1,5 @@
 import * as transactionService from "./transaction.service.js";
+import * as statusPoller from "./statusPoller.service.js";
 import { ResponseFactory } from "../../../utils/response.utils.js";
 
 export const createTransaction = async (req, res) => {
@@ -139,10 +140,13 @@ export const processPaymentSuccess = async (req, res) => {
   const { gatewayTransactionId } = req.params;
   const gatewayResponse = req.body;
 
-  const transaction = await transactionService.processPaymentSuccess(
-    gatewayTransactionId,
-    gatewayResponse
-  );
+  // null when it was already settled; answer with the settled transaction
+  const transaction =
+    (await transactionService.processPaymentSuccess(
+      gatewayTransactionId,
+      gatewayResponse
+    )) ||
+    (await transactionService.getTransactionByGatewayId(gatewayTransactionId));
 
   return ResponseFactory.ok(res, "Payment processed successfully", transaction);
 };
@@ -151,10 +155,12 @@ export const processPaymentFailure = async (req, res) => {
   const { gatewayTransactionId } = req.params;
   const { failureReason } = req.body;
 
-  const transaction = await transactionService.processPaymentFailure(
-    gatewayTransactionId,
-    failureReason
-  );
+  const transaction =
+    (await transactionService.processPaymentFailure(
+      gatewayTransactionId,
+      failureReason
+    )) ||
+    (await transactionService.getTransactionByGatewayId(gatewayTransactionId));
 
   return ResponseFactory.ok(
     res,
@@ -171,6 +177,7 @@ export const getAdminTransactions = async (req, res) => {
     campaignId,
     status,
     gatewayUsed,
+    needsReview,
     sortBy = "transactionTimestamp",
     sortOrder = "desc",
   } = req.query;
@@ -182,6 +189,7 @@ export const getAdminTransactions = async (req, res) => {
     campaignId,
     status,
     gatewayUsed,
+    needsReview: String(needsReview) === "true",
     sortBy,
     sortOrder,
   });
@@ -195,3 +203,23 @@ export const getAdminTransactions = async (req, res) => {
     }
   );
 };
+
+export const getStatusPollerStatus = async (req, res) => {
+  return ResponseFactory.ok(
+    res,
+    "Payment status poller status retrieved successfully",
+    statusPoller.getPollerStatus()
+  );
+};
+
+export const runStatusPoller = async (req, res) => {
+  const run = await statusPoller.pollPendingTransactions();
+
+  return ResponseFactory.ok(
+    res,
+    run
+      ? "Payment status poll completed"
+      : "Payment status poll already running",
+    statusPoller.getPollerStatus()
+  );
+};
@@ -1,12 +1,14 @@
 import { db } from "../../../db/index.js";
 import logger from "../../../utils/logger.js";
 
-export const createTransaction = async (transactionData) => {
-  const result = await db.query(
+export const createTransaction = async (transactionData, client = null) => {
+  const executor = client || db;
+  const result = await executor.query(
     `INSERT INTO "transactions" (
       "userId", "campaignId", "amount", "currency", "gatewayTransactionId", 
-      "gatewayUsed", "status", "transactionType", "feesAmount", "phoneNumber"
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+      "gatewayUsed", "status", "transactionType", "feesAmount", "phoneNumber",
+      "parentTransactionId"
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
     [
       transactionData.userId || null,
       transactionData.campaignId,
@@ -18,6 +20,7 @@ export const createTransaction = async (transactionData) => {
       transactionData.transactionType,
       transactionData.feesAmount || null,
       transactionData.phoneNumber || null,
+      transactionData.parentTransactionId || null,
     ]
   );
 
@@ -69,8 +72,13 @@ export const getTransactionsByUser = async (userId, limit = 50, offset = 0) => {
   return result.rows;
 };
 
-export const updateTransactionStatus = async (transactionId, status) => {
-  const result = await db.query(
+export const updateTransactionStatus = async (
+  transactionId,
+  status,
+  client = null
+) => {
+  const executor = client || db;
+  const result = await executor.query(
     `UPDATE "transactions" 
      SET "status" = $1, "updatedAt" = CURRENT_TIMESTAMP
      WHERE "transactionId" = $2 
@@ -104,37 +112,52 @@ export const setTransactionProcessing = async (
   return result.rows[0] || null;
 };
 
+/**
+ * Settles an open transaction as failed.
+ * Returns null when it was already settled, so callers run side effects once.
+ */
 export const setTransactionFailureByGatewayId = async (
   gatewayTransactionId,
-  failurePayload = null
+  failurePayload = null,
+  { webhookReceived = false } = {}
 ) => {
   const result = await db.query(
     `UPDATE "transactions"
      SET "status" = 'failed',
          "gatewayResponse" = COALESCE($2, "gatewayResponse"),
+         "webhookReceived" = "webhookReceived" OR $3,
          "processingCompletedAt" = CURRENT_TIMESTAMP,
          "updatedAt" = CURRENT_TIMESTAMP
      WHERE "gatewayTransactionId" = $1
+       AND "status" IN ('pending', 'processing')
      RETURNING *`,
-    [gatewayTransactionId, failurePayload]
+    [gatewayTransactionId, failurePayload, webhookReceived]
   );
 
   return result.rows[0] || null;
 };
 
+/**
+ * Settles an open transaction as succeeded. A timeout is only our own guess,
+ * so a provider success that arrives after it still settles the transaction.
+ * Returns null when it was already settled, so callers run side effects once.
+ */
 export const setTransactionSuccessByGatewayId = async (
   gatewayTransactionId,
-  gatewayResponse = null
+  gatewayResponse = null,
+  { webhookReceived = false } = {}
 ) => {
   const result = await db.query(
     `UPDATE "transactions"
      SET "status" = 'succeeded',
          "gatewayResponse" = COALESCE($2, "gatewayResponse"),
+         "webhookReceived" = "webhookReceived" OR $3,
          "processingCompletedAt" = CURRENT_TIMESTAMP,
          "updatedAt" = CURRENT_TIMESTAMP
      WHERE "gatewayTransactionId" = $1
+       AND "status" IN ('pending', 'processing', 'timeout')
      RETURNING *`,
-    [gatewayTransactionId, gatewayResponse]
+    [gatewayTransactionId, gatewayResponse, webhookReceived]
   );
 
   return result.rows[0] || null;
@@ -174,6 +197,7 @@ export const getTransactionByGatewayRequestId = async (gatewayRequestId) => {
   return result.rows[0] || null;
 };
 
+// Only open transactions are updated; returns null once one is settled
 export const setTransactionWebhookByGatewayRequestId = async (
   gatewayRequestId,
   { status, gatewayResponse, webhookReceived = true }
@@ -186,6 +210,7 @@ export const setTransactionWebhookByGatewayRequestId = async (
          "processingCompletedAt" = CASE WHEN $5 IN ('succeeded','failed','timeout','cancelled') THEN CURRENT_TIMESTAMP ELSE "processingCompletedAt" END,
          "updatedAt" = CURRENT_TIMESTAMP
      WHERE "gatewayRequestId" = $1
+       AND "status" IN ('pending', 'processing')
      RETURNING *`,
     [gatewayRequestId, status, gatewayResponse, webhookReceived, String(status)]
   );
@@ -205,6 +230,7 @@ export const setTransactionWebhookByGatewayId = async (
          "processingCompletedAt" = CASE WHEN $5 IN ('succeeded','failed','timeout','cancelled') THEN CURRENT_TIMESTAMP ELSE "processingCompletedAt" END,
          "updatedAt" = CURRENT_TIMESTAMP
      WHERE "gatewayTransactionId" = $1
+       AND "status" IN ('pending', 'processing')
      RETURNING *`,
     [
       gatewayTransactionId,
@@ -218,6 +244,45 @@ export const setTransactionWebhookByGatewayId = async (
   return result.rows[0] || null;
 };
 
+/**
+ * Provider-backed transactions still waiting on an outcome, oldest first.
+ * Manual payouts and internal platform fees are settled by hand, not by a provider.
+ */
+export const getStaleTransactions = async ({ staleBefore, limit = 50 }) => {
+  const result = await db.query(
+    `SELECT *
+     FROM "transactions"
+     WHERE "status" IN ('pending', 'processing')
+       AND "gatewayUsed" NOT IN ('manual', 'platform')
+       AND COALESCE("processingStartedAt", "createdAt") < $1
+     ORDER BY ("manualReviewAt" IS NOT NULL),
+              COALESCE("processingStartedAt", "createdAt") ASC
+     LIMIT $2`,
+    [staleBefore, limit]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Marks an open transaction for manual review; null if it was already
+ * flagged or has settled in the meantime
+ */
+export const flagTransactionForReview = async (transactionId) => {
+  const result = await db.query(
+    `UPDATE "transactions"
+     SET "manualReviewAt" = CURRENT_TIMESTAMP,
+         "updatedAt" = CURRENT_TIMESTAMP
+     WHERE "transactionId" = $1
+       AND "manualReviewAt" IS NULL
+       AND "status" IN ('pending', 'processing')
+     RETURNING *`,
+    [transactionId]
+  );
+
+  return result.rows[0] || null;
+};
+
 export const getTransactionsByType = async (
   transactionType,
   limit = 50,
@@ -263,6 +328,7 @@ export const getAdminTransactions = async (filters) => {
     campaignId,
     status,
     gatewayUsed,
+    needsReview,
     sortBy = "transactionTimestamp",
     sortOrder = "desc",
   } = filters;
@@ -312,6 +378,11 @@ export const getAdminTransactions = async (filters) => {
     queryParams.push(gatewayUsed);
   }
 
+  // Payouts and refunds the status poller could not resolve
+  if (needsReview) {
+    baseQuery += ` AND t."manualReviewAt" IS NOT NULL AND t."status" IN ('pending', 'processing')`;
+  }
+
   // Normalize sortBy for joined/alias columns
   const sortColumnMap = {
     campaignName: "c.name",
@@ -334,6 +405,7 @@ export const getAdminTransactions = async (filters) => {
       t."feesAmount",
       t."transactionType",
       t."phoneNumber",
+      t."manualReviewAt",
       t."createdAt",
       t."updatedAt",
       u."email" as "userEmail",
@@ -18,6 +18,8 @@ import {
   processPaymentSuccess,
   processPaymentFailure,
   getAdminTransactions,
+  getStatusPollerStatus,
+  runStatusPoller,
 } from "./transaction.controller.js";
 import {
   validateCreateTransaction,
@@ -61,6 +63,20 @@ router.get(
   catchAsync(getAdminTransactions)
 );
 
+// Reconciliation of payments whose callback never arrived
+router.get(
+  "/admin/status-poller",
+  authenticate,
+  requireSupportAdmin,
+  catchAsync(getStatusPollerStatus)
+);
+router.post(
+  "/admin/status-poller/run",
+  authenticate,
+  requireSupportAdmin,
+  catchAsync(runStatusPoller)
+);
+
 router.get(
   "/:transactionId",
   validateTransactionId,
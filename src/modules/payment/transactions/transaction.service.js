@@ -1,7 +1,32 @@
 import * as transactionRepository from "./transaction.repository.js";
+import * as ledgerService from "../ledger/ledger.service.js";
+import * as feeService from "../fees/fee.service.js";
 import { AppError } from "../../../utils/appError.js";
 import logger from "../../../utils/logger.js";
 
+// Ledger posting must never block payment processing; gaps show up in reconciliation
+const postLedgerEntries = async (transaction) => {
+  try {
+    await ledgerService.syncTransaction(transaction);
+  } catch (error) {
+    logger.error("Failed to post ledger entries for transaction", {
+      transactionId: transaction?.transactionId,
+      error: error.message,
+    });
+  }
+};
+
+const postPlatformFee = async (transaction) => {
+  try {
+    await feeService.recordPlatformFee(transaction);
+  } catch (error) {
+    logger.error("Failed to record platform fee for transaction", {
+      transactionId: transaction?.transactionId,
+      error: error.message,
+    });
+  }
+};
+
 export const createTransaction = async (transactionData) => {
   try {
     // Validate gateway transaction ID uniqueness
@@ -26,6 +51,8 @@ export const createTransaction = async (transactionData) => {
       gatewayUsed: transactionData.gatewayUsed,
     });
 
+    await postLedgerEntries(transaction);
+
     return transaction;
   } catch (error) {
     logger.error("Error creating transaction:", error);
@@ -107,6 +134,8 @@ export const updateTransactionStatus = async (
     updatedBy: userId,
   });
 
+  await postLedgerEntries(updatedTransaction);
+
   return updatedTransaction;
 };
 
@@ -154,9 +183,15 @@ export const getTransactionSummary = async (limit = 10) => {
   return summary;
 };
 
+/**
+ * Settles a payment as succeeded.
+ * Returns null when another callback or poll settled it first, so callers
+ * only run donation/withdrawal side effects for the call that settled it.
+ */
 export const processPaymentSuccess = async (
   gatewayTransactionId,
-  gatewayResponse
+  gatewayResponse,
+  { webhookReceived = false } = {}
 ) => {
   try {
     // Find transaction by gateway ID
@@ -168,19 +203,33 @@ export const processPaymentSuccess = async (
       throw new AppError("Transaction not found", 404);
     }
 
-    if (transaction.status === "succeeded") {
+    // Update transaction status to succeeded and store response + completion time
+    const updatedTransaction =
+      await transactionRepository.setTransactionSuccessByGatewayId(
+        gatewayTransactionId,
+        gatewayResponse,
+        { webhookReceived }
+      );
+
+    if (!updatedTransaction) {
       logger.info("Transaction already processed", {
         transactionId: transaction.transactionId,
+        status: transaction.status,
       });
-      return transaction;
+      // Repost in case the first attempt failed part-way
+      if (transaction.status === "succeeded") {
+        await postLedgerEntries(transaction);
+        await postPlatformFee(transaction);
+      }
+      return null;
     }
 
-    // Update transaction status to succeeded and store response + completion time
-    const updatedTransaction =
-      await transactionRepository.setTransactionSuccessByGatewayId(
+    if (transaction.status === "timeout") {
+      logger.warn("Payment confirmed after it had timed out", {
+        transactionId: transaction.transactionId,
         gatewayTransactionId,
-        gatewayResponse
-      );
+      });
+    }
 
     logger.info("Payment processed successfully", {
       transactionId: transaction.transactionId,
@@ -189,6 +238,9 @@ export const processPaymentSuccess = async (
       gatewayResponse,
     });
 
+    await postLedgerEntries(updatedTransaction);
+    await postPlatformFee(updatedTransaction);
+
     return updatedTransaction;
   } catch (error) {
     logger.error("Error processing payment success:", error);
@@ -196,9 +248,13 @@ export const processPaymentSuccess = async (
   }
 };
 
+/**
+ * Settles a payment as failed; returns null when it was already settled.
+ */
 export const processPaymentFailure = async (
   gatewayTransactionId,
-  failureReason
+  failureReason,
+  { webhookReceived = false } = {}
 ) => {
   try {
     // Find transaction by gateway ID
@@ -214,15 +270,26 @@ export const processPaymentFailure = async (
     const updatedTransaction =
       await transactionRepository.setTransactionFailureByGatewayId(
         gatewayTransactionId,
-        failureReason
+        failureReason,
+        { webhookReceived }
       );
 
+    if (!updatedTransaction) {
+      logger.info("Transaction already processed", {
+        transactionId: transaction.transactionId,
+        status: transaction.status,
+      });
+      return null;
+    }
+
     logger.info("Payment failed", {
       transactionId: transaction.transactionId,
       gatewayTransactionId,
       failureReason,
     });
 
+    await postLedgerEntries(updatedTransaction);
+
     return updatedTransaction;
   } catch (error) {
     logger.error("Error processing payment failure:", error);
@@ -230,6 +297,55 @@ export const processPaymentFailure = async (
   }
 };
 
+/**
+ * Gives up on a payment the provider never settled (status "timeout").
+ * Returns null when it was settled in the meantime.
+ */
+export const processPaymentTimeout = async (
+  gatewayTransactionId,
+  timeoutDetails
+) => {
+  try {
+    const transaction = await transactionRepository.getTransactionByGatewayId(
+      gatewayTransactionId
+    );
+
+    if (!transaction) {
+      throw new AppError("Transaction not found", 404);
+    }
+
+    const updatedTransaction =
+      await transactionRepository.setTransactionWebhookByGatewayId(
+        gatewayTransactionId,
+        {
+          status: "timeout",
+          gatewayResponse: timeoutDetails,
+          webhookReceived: transaction.webhookReceived || false,
+        }
+      );
+
+    if (!updatedTransaction) {
+      logger.info("Transaction settled before it timed out", {
+        transactionId: transaction.transactionId,
+        status: transaction.status,
+      });
+      return null;
+    }
+
+    logger.info("Payment timed out", {
+      transactionId: transaction.transactionId,
+      gatewayTransactionId,
+    });
+
+    await postLedgerEntries(updatedTransaction);
+
+    return updatedTransaction;
+  } catch (error) {
+    logger.error("Error processing payment timeout:", error);
+    throw error;
+  }
+};
+
 export const markProcessingWithGatewayData = async (
   transactionId,
   { gatewayRequestId, gatewayResponse, status = "processing" }
@@ -246,6 +362,8 @@ export const markProcessingWithGatewayData = async (
       status: updated?.status,
     });
 
+    await postLedgerEntries(updated);
+
     return updated;
   } catch (error) {
     logger.error("Error marking transaction processing:", error);
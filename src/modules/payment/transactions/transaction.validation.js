@@ -42,6 +42,7 @@ const adminTransactionsSchema = Joi.object({
     .valid("succeeded", "failed", "pending", "refunded")
     .optional(),
   gatewayUsed: Joi.string().optional(),
+  needsReview: Joi.boolean().optional(),
   sortBy: Joi.string()
     .valid(
       "transactionTimestamp",
@@ -0,0 +1,349 @@
+// src/modules/payment/webhooks/__tests__/webhooks.service.test.js
+
+import { receiveProviderEvent } from '../webhooks.service.js';
+import { signPayload, verifySignature } from '../webhooks.signature.js';
+import * as webhookRepository from '../webhooks.repository.js';
+import * as transactionRepository from '../../transactions/transaction.repository.js';
+import * as transactionService from '../../transactions/transaction.service.js';
+import * as donationRepository from '../../../donor/donation/donation.repository.js';
+import {
+  getProvider,
+  getProviderFor,
+} from '../../providers/provider.registry.js';
+
+// Mock dependencies
+jest.mock('../webhooks.repository.js');
+jest.mock('../../transactions/transaction.repository.js');
+jest.mock('../../transactions/transaction.service.js');
+jest.mock('../../withdrawals/withdrawal.service.js');
+jest.mock('../../../donor/donation/donation.repository.js');
+jest.mock('../../../notifications/notification.service.js');
+jest.mock('../../../audit/audit.utils.js');
+jest.mock('../../providers/provider.registry.js', () => ({
+  getProvider: jest.fn(),
+  getProviderFor: jest.fn(),
+}));
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Webhooks', () => {
+  describe('verifySignature', () => {
+    const secret = 'test-secret';
+    const rawBody = '{"reference_no":"DN-1","response_code":"100"}';
+    const now = 1_700_000_000_000;
+    const timestamp = String(now / 1000);
+
+    it('should accept a valid signature within tolerance', () => {
+      const signature = signPayload(rawBody, timestamp, secret);
+
+      expect(
+        verifySignature({ rawBody, signature, timestamp, secret, now })
+      ).toEqual({ valid: true });
+    });
+
+    it('should reject a tampered body', () => {
+      const signature = signPayload(rawBody, timestamp, secret);
+
+      const result = verifySignature({
+        rawBody: rawBody.replace('100', '995'),
+        signature,
+        timestamp,
+        secret,
+        now,
+      });
+      expect(result.valid).toBe(false);
+    });
+
+    it('should reject replays outside the tolerance window', () => {
+      const old = String(now / 1000 - 600);
+      const signature = signPayload(rawBody, old, secret);
+
+      const result = verifySignature({
+        rawBody,
+        signature,
+        timestamp: old,
+        secret,
+        toleranceSeconds: 300,
+        now,
+      });
+      expect(result).toEqual({
+        valid: false,
+        reason: 'Timestamp outside tolerance',
+      });
+    });
+
+    it('should reject everything when no secret is configured', () => {
+      const result = verifySignature({
+        rawBody,
+        signature: 'anything',
+        timestamp,
+        secret: undefined,
+        now,
+      });
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('receiveProviderEvent', () => {
+    const payload = { referenceNo: 'DN-1', gatewayRequestId: 'gw-1' };
+
+    beforeEach(() => {
+      getProvider.mockReturnValue({
+        mapStatus: () => ({
+          status: 'succeeded',
+          gatewayRequestId: 'gw-1',
+          referenceNo: 'DN-1',
+          eventId: 'evt-1',
+        }),
+      });
+      getProviderFor.mockImplementation((gatewayUsed) => ({
+        name: gatewayUsed === 'sandbox' ? 'sandbox' : 'zynlepay',
+      }));
+    });
+
+    it('should not re-apply an event that was already processed', async () => {
+      webhookRepository.recordEvent.mockResolvedValue({
+        webhookEventId: 'we-1',
+        inserted: false,
+        status: 'processed',
+      });
+
+      const result = await receiveProviderEvent('sandbox', payload);
+
+      expect(result).toEqual({
+        statusCode: 200,
+        body: { success: true, duplicate: true },
+      });
+      expect(
+        transactionRepository.getTransactionByGatewayRequestId
+      ).not.toHaveBeenCalled();
+      expect(transactionService.processPaymentSuccess).not.toHaveBeenCalled();
+    });
+
+    it('should turn a retry away while another delivery holds a live claim', async () => {
+      webhookRepository.recordEvent.mockResolvedValue({
+        webhookEventId: 'we-5',
+        inserted: false,
+        status: 'received',
+      });
+      webhookRepository.reclaimEvent.mockResolvedValue(null);
+
+      const result = await receiveProviderEvent('sandbox', payload);
+
+      expect(result.statusCode).toBe(409);
+      expect(webhookRepository.reclaimEvent).toHaveBeenCalledWith('we-5', {
+        staleBefore: expect.any(Date),
+      });
+      expect(
+        transactionRepository.getTransactionByGatewayRequestId
+      ).not.toHaveBeenCalled();
+    });
+
+    it('should take over a delivery whose claim went stale', async () => {
+      webhookRepository.recordEvent.mockResolvedValue({
+        webhookEventId: 'we-6',
+        inserted: false,
+        status: 'received',
+      });
+      webhookRepository.reclaimEvent.mockResolvedValue({
+        webhookEventId: 'we-6',
+        provider: 'sandbox',
+        payload,
+        status: 'received',
+      });
+      transactionRepository.getTransactionByGatewayRequestId.mockResolvedValue({
+        transactionId: 'txn-3',
+        gatewayTransactionId: 'DN-1',
+        gatewayUsed: 'sandbox',
+        status: 'succeeded',
+      });
+
+      const result = await receiveProviderEvent('sandbox', payload);
+
+      expect(result.statusCode).toBe(200);
+      expect(webhookRepository.markEventResult).toHaveBeenCalledWith('we-6', {
+        status: 'processed',
+        responseStatusCode: 200,
+        lastError: null,
+      });
+    });
+
+    it('should ignore callbacks for transactions that are already settled', async () => {
+      webhookRepository.recordEvent.mockResolvedValue({
+        webhookEventId: 'we-2',
+        provider: 'sandbox',
+        payload,
+        inserted: true,
+        status: 'received',
+      });
+      transactionRepository.getTransactionByGatewayRequestId.mockResolvedValue({
+        transactionId: 'txn-1',
+        gatewayTransactionId: 'DN-1',
+        gatewayUsed: 'sandbox',
+        status: 'succeeded',
+      });
+
+      const result = await receiveProviderEvent('sandbox', payload);
+
+      expect(result.body.duplicate).toBe(true);
+      expect(transactionService.processPaymentSuccess).not.toHaveBeenCalled();
+      expect(webhookRepository.markEventResult).toHaveBeenCalledWith('we-2', {
+        status: 'processed',
+        responseStatusCode: 200,
+        lastError: null,
+      });
+    });
+
+    it('should settle a success that arrives after the payment timed out', async () => {
+      webhookRepository.recordEvent.mockResolvedValue({
+        webhookEventId: 'we-7',
+        provider: 'sandbox',
+        payload,
+        inserted: true,
+        status: 'received',
+      });
+      transactionRepository.getTransactionByGatewayRequestId.mockResolvedValue({
+        transactionId: 'txn-4',
+        gatewayTransactionId: 'DN-1',
+        gatewayUsed: 'sandbox',
+        transactionType: 'donation_in',
+        status: 'timeout',
+      });
+      transactionService.processPaymentSuccess.mockResolvedValue({
+        transactionId: 'txn-4',
+        status: 'succeeded',
+      });
+      donationRepository.getDonationByPaymentTransactionId.mockResolvedValue(
+        null
+      );
+
+      const result = await receiveProviderEvent('sandbox', payload);
+
+      expect(result).toEqual({ statusCode: 200, body: { success: true } });
+      expect(transactionService.processPaymentSuccess).toHaveBeenCalledWith(
+        'DN-1',
+        payload,
+        { webhookReceived: true }
+      );
+      expect(
+        donationRepository.getDonationByPaymentTransactionId
+      ).toHaveBeenCalledWith('txn-4');
+    });
+
+    it('should skip the side effects when another delivery settled the payment first', async () => {
+      webhookRepository.recordEvent.mockResolvedValue({
+        webhookEventId: 'we-8',
+        provider: 'sandbox',
+        payload,
+        inserted: true,
+        status: 'received',
+      });
+      transactionRepository.getTransactionByGatewayRequestId.mockResolvedValue({
+        transactionId: 'txn-5',
+        gatewayTransactionId: 'DN-1',
+        gatewayUsed: 'sandbox',
+        transactionType: 'donation_in',
+        status: 'processing',
+      });
+      transactionService.processPaymentSuccess.mockResolvedValue(null);
+
+      const result = await receiveProviderEvent('sandbox', payload);
+
+      expect(result.body.duplicate).toBe(true);
+      expect(
+        donationRepository.getDonationByPaymentTransactionId
+      ).not.toHaveBeenCalled();
+    });
+
+    it('should record an interim status without settling the payment', async () => {
+      getProvider.mockReturnValue({
+        mapStatus: () => ({
+          status: 'processing',
+          gatewayRequestId: 'gw-1',
+          referenceNo: 'DN-1',
+          eventId: 'evt-2',
+        }),
+      });
+      webhookRepository.recordEvent.mockResolvedValue({
+        webhookEventId: 'we-9',
+        provider: 'sandbox',
+        payload,
+        inserted: true,
+        status: 'received',
+      });
+      transactionRepository.getTransactionByGatewayRequestId.mockResolvedValue({
+        transactionId: 'txn-6',
+        gatewayTransactionId: 'DN-1',
+        gatewayUsed: 'sandbox',
+        status: 'pending',
+      });
+
+      const result = await receiveProviderEvent('sandbox', payload);
+
+      expect(result.statusCode).toBe(200);
+      expect(
+        transactionRepository.setTransactionWebhookByGatewayRequestId
+      ).toHaveBeenCalledWith('gw-1', {
+        status: 'processing',
+        gatewayResponse: payload,
+        webhookReceived: true,
+      });
+      expect(transactionService.processPaymentSuccess).not.toHaveBeenCalled();
+    });
+
+    it("should reject callbacks for another provider's transaction", async () => {
+      webhookRepository.recordEvent.mockResolvedValue({
+        webhookEventId: 'we-4',
+        provider: 'sandbox',
+        payload,
+        inserted: true,
+        status: 'received',
+      });
+      transactionRepository.getTransactionByGatewayRequestId.mockResolvedValue({
+        transactionId: 'txn-2',
+        gatewayTransactionId: 'DN-1',
+        gatewayUsed: 'airtel',
+        status: 'pending',
+      });
+
+      const result = await receiveProviderEvent('sandbox', payload);
+
+      expect(result.statusCode).toBe(403);
+      expect(
+        transactionRepository.setTransactionWebhookByGatewayRequestId
+      ).not.toHaveBeenCalled();
+      expect(transactionService.processPaymentSuccess).not.toHaveBeenCalled();
+      expect(webhookRepository.markEventResult).toHaveBeenCalledWith('we-4', {
+        status: 'failed',
+        responseStatusCode: 403,
+        lastError: 'Transaction does not belong to this provider',
+      });
+    });
+
+    it('should mark the event failed when the transaction is unknown', async () => {
+      webhookRepository.recordEvent.mockResolvedValue({
+        webhookEventId: 'we-3',
+        provider: 'sandbox',
+        payload,
+        inserted: true,
+        status: 'received',
+      });
+      transactionRepository.getTransactionByGatewayRequestId.mockResolvedValue(
+        null
+      );
+      transactionRepository.getTransactionByGatewayId.mockResolvedValue(null);
+
+      const result = await receiveProviderEvent('sandbox', payload);
+
+      expect(result.statusCode).toBe(404);
+      expect(webhookRepository.markEventResult).toHaveBeenCalledWith('we-3', {
+        status: 'failed',
+        responseStatusCode: 404,
+        lastError: 'Transaction not found',
+      });
+    });
+  });
+});
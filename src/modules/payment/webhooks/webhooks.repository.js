@@ -0,0 +1,142 @@
+import { query } from "../../../db/index.js";
+import logger from "../../../utils/logger.js";
+import { DatabaseError, NotFoundError } from "../../../utils/appError.js";
+
+/**
+ * Stores a delivery, or bumps duplicateCount when the provider event id was seen before.
+ * `inserted` tells the caller whether this is the first delivery.
+ */
+export const recordEvent = async ({ provider, eventId, payload, headers }) => {
+  try {
+    const result = await query(
+      `INSERT INTO "webhookEvents" ("provider", "eventId", "payload", "headers")
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT ("provider", "eventId") DO UPDATE
+         SET "duplicateCount" = "webhookEvents"."duplicateCount" + 1
+       RETURNING *, (xmax = 0) AS "inserted"`,
+      [
+        provider,
+        eventId,
+        JSON.stringify(payload || {}),
+        headers ? JSON.stringify(headers) : null,
+      ]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error("Failed to record webhook event", {
+      error: error.message,
+      provider,
+      eventId,
+    });
+    throw new DatabaseError("Failed to record webhook event");
+  }
+};
+
+/**
+ * Claims a delivery for another attempt: one that failed, or one still marked
+ * received whose claim is older than staleBefore (its worker died).
+ * Null when another delivery holds a live claim or it was processed.
+ */
+export const reclaimEvent = async (webhookEventId, { staleBefore }) => {
+  try {
+    const result = await query(
+      `UPDATE "webhookEvents"
+       SET "status" = 'received',
+           "claimedAt" = NOW()
+       WHERE "webhookEventId" = $1
+         AND ("status" = 'failed'
+              OR ("status" = 'received' AND "claimedAt" < $2))
+       RETURNING *`,
+      [webhookEventId, staleBefore]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error("Failed to reclaim webhook event", {
+      error: error.message,
+      webhookEventId,
+    });
+    throw new DatabaseError("Failed to reclaim webhook event");
+  }
+};
+
+export const markEventResult = async (
+  webhookEventId,
+  { status, responseStatusCode = null, lastError = null }
+) => {
+  try {
+    const result = await query(
+      `UPDATE "webhookEvents"
+       SET "status" = $2,
+           "responseStatusCode" = $3,
+           "lastError" = $4,
+           "attempts" = "attempts" + 1,
+           "processedAt" = CASE WHEN $2 = 'processed' THEN NOW() ELSE "processedAt" END
+       WHERE "webhookEventId" = $1
+       RETURNING *`,
+      [webhookEventId, status, responseStatusCode, lastError]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error("Failed to update webhook event", {
+      error: error.message,
+      webhookEventId,
+    });
+    throw new DatabaseError("Failed to update webhook event");
+  }
+};
+
+export const getEventById = async (webhookEventId) => {
+  try {
+    const result = await query(
+      `SELECT * FROM "webhookEvents" WHERE "webhookEventId" = $1`,
+      [webhookEventId]
+    );
+    if (result.rowCount === 0) {
+      throw new NotFoundError("Webhook event not found");
+    }
+    return result.rows[0];
+  } catch (error) {
+    if (error instanceof NotFoundError) throw error;
+    throw new DatabaseError("Failed to fetch webhook event");
+  }
+};
+
+export const listEvents = async ({
+  provider,
+  status,
+  limit = 50,
+  offset = 0,
+} = {}) => {
+  const where = ["1=1"];
+  const values = [];
+  let idx = 1;
+  if (provider) {
+    where.push(`"provider" = $${idx++}`);
+    values.push(provider);
+  }
+  if (status) {
+    where.push(`"status" = $${idx++}`);
+    values.push(status);
+  }
+
+  try {
+    const countResult = await query(
+      `SELECT COUNT(*)::int AS "total" FROM "webhookEvents"
+       WHERE ${where.join(" AND ")}`,
+      values
+    );
+    const result = await query(
+      `SELECT "webhookEventId", "provider", "eventId", "status",
+              "responseStatusCode", "lastError", "attempts", "duplicateCount",
+              "receivedAt", "claimedAt", "processedAt"
+       FROM "webhookEvents"
+       WHERE ${where.join(" AND ")}
+       ORDER BY "receivedAt" DESC
+       LIMIT $${idx++} OFFSET $${idx}`,
+      [...values, limit, offset]
+    );
+    return { events: result.rows, total: countResult.rows[0].total };
+  } catch (error) {
+    throw new DatabaseError("Failed to list webhook events");
+  }
+};
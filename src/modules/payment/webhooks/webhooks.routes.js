@@ -1,18 +1,60 @@
 import { Router } from "express";
 import { catchAsync } from "../../../middlewares/errorHandler.js";
+import {
+  authenticate,
+  restrictTo,
+} from "../../../middlewares/auth.middleware.js";
 import {
   handleAirtelWebhook,
   handleMtnWebhook,
+  handleProviderWebhook,
   testWebhook,
+  listWebhookEvents,
+  getWebhookEvent,
+  reprocessWebhookEvent,
 } from "./webhooks.controller.js";
+import {
+  validateListWebhookEvents,
+  validateWebhookEventId,
+} from "./webhooks.validation.js";
 
 const router = Router();
 
-// Public webhook endpoints (secured via shared secret or IP allow list at controller)
+const requireFinanceAdmin = restrictTo("financialAdmin", "superAdmin");
+
+// Public webhook endpoints (secured via HMAC signature verified by each provider)
 router.post("/airtel-money", catchAsync(handleAirtelWebhook));
 router.post("/mtn-money", catchAsync(handleMtnWebhook));
 
 // Test endpoint to verify webhook accessibility
 router.all("/test", catchAsync(testWebhook));
 
+// Admin: inspect and re-process stored deliveries
+router.get(
+  "/events",
+  authenticate,
+  requireFinanceAdmin,
+  validateListWebhookEvents,
+  catchAsync(listWebhookEvents)
+);
+
+router.get(
+  "/events/:webhookEventId",
+  authenticate,
+  requireFinanceAdmin,
+  validateWebhookEventId,
+  catchAsync(getWebhookEvent)
+);
+
+router.post(
+  "/events/:webhookEventId/reprocess",
+  authenticate,
+  requireFinanceAdmin,
+  validateWebhookEventId,
+  catchAsync(reprocessWebhookEvent)
+);
+
+// Generic endpoint for any registered provider (e.g. /sandbox, /zynlepay)
+router.post("/:provider", catchAsync(handleProviderWebhook));
+
 export default router;
@@ -0,0 +1,599 @@
+import config from "../../../config/index.js";
+import logger from "../../../utils/logger.js";
+import {
+  getProvider,
+  getProviderFor,
+} from "../providers/provider.registry.js";
+import * as webhookRepository from "./webhooks.repository.js";
+import * as transactionRepository from "../transactions/transaction.repository.js";
+import * as transactionService from "../transactions/transaction.service.js";
+import * as donationRepository from "../../donor/donation/donation.repository.js";
+import * as withdrawalService from "../withdrawals/withdrawal.service.js";
+import * as receiptService from "../../donor/receipts/receipt.service.js";
+import * as matchPoolService from "../../donor/matching/matchPool.service.js";
+import * as pledgeService from "../../donor/pledges/pledge.service.js";
+import * as milestoneService from "../../campaign/milestones/milestone.service.js";
+import notificationService from "../../notifications/notification.service.js";
+import { logServiceEvent } from "../../audit/audit.utils.js";
+import {
+  DONATION_ACTIONS,
+  ENTITY_TYPES,
+  SYSTEM_ACTIONS,
+} from "../../audit/audit.constants.js";
+
+const isTerminal = (status) =>
+  ["succeeded", "failed", "timeout", "cancelled", "refunded"].includes(status);
+
+// A timeout is our own guess; a provider success after it still counts
+const canSettle = (currentStatus, reportedStatus) =>
+  !isTerminal(currentStatus) ||
+  (currentStatus === "timeout" && reportedStatus === "succeeded");
+
+// Manual payouts and platform fees never settle through a provider callback
+const OFFLINE_GATEWAYS = ["manual", "platform"];
+
+/**
+ * Whether the provider a callback came in for is the one that handles the
+ * transaction, so one provider cannot settle another provider's payments
+ */
+const belongsToProvider = (txn, providerName) =>
+  !OFFLINE_GATEWAYS.includes(txn.gatewayUsed) &&
+  getProviderFor(txn.gatewayUsed)?.name === providerName;
+
+// Request headers worth keeping with a stored delivery
+const STORED_HEADERS = [
+  "content-type",
+  "user-agent",
+  "x-forwarded-for",
+  "x-webhook-id",
+  "x-webhook-timestamp",
+  "x-webhook-signature",
+];
+
+function pickHeaders(headers = {}) {
+  return Object.fromEntries(
+    STORED_HEADERS.filter((name) => headers[name] !== undefined).map((name) => [
+      name,
+      headers[name],
+    ])
+  );
+}
+
+/**
+ * Records a delivery in webhookEvents and applies it once.
+ * The event id comes from the x-webhook-id header, the provider payload, or
+ * falls back to transaction reference + status, so repeated callbacks for the
+ * same outcome are recognised as duplicates.
+ */
+export const receiveProviderEvent = async (
+  providerName,
+  payload = {},
+  { headers } = {}
+) => {
+  const { status, gatewayRequestId, referenceNo, eventId } =
+    getProvider(providerName).mapStatus(payload);
+  const reference = gatewayRequestId || referenceNo;
+  const resolvedEventId =
+    headers?.["x-webhook-id"] ||
+    eventId ||
+    (reference && status ? `${reference}:${status}` : null);
+
+  // Nothing to key on; processProviderEvent answers with the validation error
+  if (!resolvedEventId) {
+    return processProviderEvent(providerName, payload);
+  }
+
+  const event = await webhookRepository.recordEvent({
+    provider: providerName,
+    eventId: resolvedEventId,
+    payload,
+    headers: headers ? pickHeaders(headers) : null,
+  });
+
+  if (!event.inserted) {
+    logger.info("Duplicate webhook delivery", {
+      provider: providerName,
+      eventId: resolvedEventId,
+      webhookEventId: event.webhookEventId,
+      status: event.status,
+    });
+    if (event.status === "processed") {
+      return {
+        statusCode: 200,
+        body: { success: true, duplicate: true },
+      };
+    }
+    // Retry a failed attempt, or take over one whose worker never finished;
+    // a live claim means another delivery is being applied right now
+    const { processingTimeoutSeconds } = config.payments.webhooks;
+    const claimed = await webhookRepository.reclaimEvent(event.webhookEventId, {
+      staleBefore: new Date(Date.now() - processingTimeoutSeconds * 1000),
+    });
+    if (!claimed) {
+      return {
+        statusCode: 409,
+        body: { success: false, message: "Event is already being processed" },
+      };
+    }
+    return applyStoredEvent(claimed);
+  }
+
+  return applyStoredEvent(event);
+};
+
+async function applyStoredEvent(event) {
+  try {
+    const result = await processProviderEvent(event.provider, event.payload);
+    await webhookRepository.markEventResult(event.webhookEventId, {
+      status: result.statusCode < 400 ? "processed" : "failed",
+      responseStatusCode: result.statusCode,
+      lastError: result.statusCode < 400 ? null : result.body?.message,
+    });
+    return result;
+  } catch (error) {
+    await webhookRepository.markEventResult(event.webhookEventId, {
+      status: "failed",
+      responseStatusCode: 500,
+      lastError: error.message,
+    });
+    throw error;
+  }
+}
+
+export const listWebhookEvents = async (filters = {}) => {
+  return webhookRepository.listEvents(filters);
+};
+
+export const getWebhookEvent = async (webhookEventId) => {
+  return webhookRepository.getEventById(webhookEventId);
+};
+
+/**
+ * Re-applies a stored delivery (e.g. after fixing the data that made it fail).
+ * Transactions that are already settled are left untouched.
+ */
+export const reprocessWebhookEvent = async (adminUserId, webhookEventId) => {
+  const event = await webhookRepository.getEventById(webhookEventId);
+  const result = await applyStoredEvent(event);
+
+  await logServiceEvent(
+    adminUserId,
+    SYSTEM_ACTIONS.WEBHOOK_REPROCESSED,
+    ENTITY_TYPES.WEBHOOK_EVENT,
+    webhookEventId,
+    {
+      provider: event.provider,
+      eventId: event.eventId,
+      previousStatus: event.status,
+      responseStatusCode: result.statusCode,
+    }
+  );
+
+  return {
+    event: await webhookRepository.getEventById(webhookEventId),
+    result: result.body,
+  };
+};
+
+/**
+ * Applies a provider callback (or a status it reported) to the matching
+ * transaction and its donation / withdrawal / refund.
+ * Returns the HTTP status and body to answer the provider with.
+ */
+export const processProviderEvent = async (providerName, payload = {}) => {
+  const provider = getProvider(providerName);
+  const { status, responseCode, gatewayRequestId, referenceNo } =
+    provider.mapStatus(payload); // referenceNo is our gatewayTransactionId
+
+  logger.info("Webhook payload parsed", {
+    provider: providerName,
+    responseCode,
+    gatewayRequestId,
+    referenceNo,
+    fullPayload: payload,
+  });
+
+  if (!status || (!gatewayRequestId && !referenceNo)) {
+    logger.warn("Webhook missing required fields", {
+      provider: providerName,
+      responseCode,
+      gatewayRequestId,
+      referenceNo,
+      payload,
+    });
+    return {
+      statusCode: 400,
+      body: { success: false, message: "Missing required webhook fields" },
+    };
+  }
+
+  // Prefer gatewayRequestId; fallback to referenceNo
+  let txn = null;
+  if (gatewayRequestId) {
+    txn = await transactionRepository.getTransactionByGatewayRequestId(
+      gatewayRequestId
+    );
+  }
+  if (!txn && referenceNo) {
+    txn = await transactionRepository.getTransactionByGatewayId(referenceNo);
+  }
+
+  if (!txn) {
+    logger.warn("Webhook transaction not found", {
+      gatewayRequestId,
+      referenceNo,
+    });
+    return {
+      statusCode: 404,
+      body: { success: false, message: "Transaction not found" },
+    };
+  }
+
+  if (!belongsToProvider(txn, providerName)) {
+    logger.warn("Webhook provider does not match transaction", {
+      provider: providerName,
+      transactionId: txn.transactionId,
+      gatewayUsed: txn.gatewayUsed,
+    });
+    return {
+      statusCode: 403,
+      body: {
+        success: false,
+        message: "Transaction does not belong to this provider",
+      },
+    };
+  }
+
+  // Already settled: never credit, debit or notify twice
+  const duplicate = () => {
+    logger.info("Webhook for settled transaction ignored", {
+      transactionId: txn.transactionId,
+      currentStatus: txn.status,
+      reportedStatus: status,
+    });
+    return { statusCode: 200, body: { success: true, duplicate: true } };
+  };
+  if (!canSettle(txn.status, status)) return duplicate();
+
+  if (status !== "succeeded" && status !== "failed") {
+    // Interim status: record it while the transaction is still open
+    await transactionRepository.setTransactionWebhookByGatewayRequestId(
+      gatewayRequestId || txn.gatewayTransactionId,
+      { status, gatewayResponse: payload, webhookReceived: true }
+    );
+    return { statusCode: 200, body: { success: true } };
+  }
+
+  const settled = await applyTransactionOutcome(txn, status, payload, {
+    webhookReceived: true,
+  });
+  if (!settled) return duplicate();
+
+  return { statusCode: 200, body: { success: true } };
+};
+
+/**
+ * Settles a transaction with a final provider outcome and updates the
+ * donation / withdrawal / refund behind it. Shared by webhooks and the
+ * status poller; "timeout" is handled like a failure.
+ * Only the caller that moves the transaction out of pending/processing runs
+ * the side effects; returns the settled transaction, or null if it lost.
+ */
+export const applyTransactionOutcome = async (
+  txn,
+  status,
+  payload = {},
+  { webhookReceived = false } = {}
+) => {
+  let settled = null;
+  if (status === "succeeded") {
+    // Mark transaction succeeded via service to keep logs consistent as well
+    settled = await transactionService.processPaymentSuccess(
+      txn.gatewayTransactionId,
+      payload,
+      { webhookReceived }
+    );
+    if (!settled) return null;
+
+    // Handle withdrawal transactions (state machine: processing → paid)
+    if (txn.transactionType === "withdrawal_out") {
+      try {
+        await withdrawalService.completeWithdrawalPayout(txn);
+      } catch (withdrawalErr) {
+        logger.warn("Failed to process withdrawal success webhook", {
+          error: withdrawalErr.message,
+          transactionId: txn.transactionId,
+        });
+      }
+    }
+
+    // Update donation status to completed and recalc campaign stats
+    try {
+      const donation =
+        await donationRepository.getDonationByPaymentTransactionId(
+          txn.transactionId
+        );
+      if (donation) {
+        await donationRepository.updateDonationStatus(
+          donation.donationId,
+          "completed"
+        );
+        try {
+          const { recordOutreachDonation } = await import(
+            "../../donor/donation/donation.service.js"
+          );
+          await recordOutreachDonation(donation);
+        } catch (outreachErr) {
+          logger.warn("Failed to record outreach donation attribution", {
+            error: outreachErr?.message,
+            donationId: donation.donationId,
+          });
+        }
+        await donationRepository.recalculateCampaignStatistics(
+          donation.campaignId
+        );
+
+        // Organizer in-app per donation
+        try {
+          await notificationService.createAndDispatch({
+            userId: donation.organizerId || null,
+            type: "inApp",
+            category: "donation",
+            priority: "medium",
+            title: `New donation received`,
+            message: `Your campaign received a donation of ${donation.amount} ${
+              txn.currency || "ZMW"
+            }.`,
+            data: {
+              campaignId: donation.campaignId,
+              donationId: donation.donationId,
+              amount: donation.amount,
+              currency: txn.currency || "ZMW",
+            },
+            relatedEntityType: "donation",
+            relatedEntityId: donation.donationId,
+            templateId: "donation.received.v2",
+          });
+        } catch (inAppErr) {
+          logger.warn("Failed to send organizer in-app donation notification", {
+            error: inAppErr?.message,
+          });
+        }
+
+        // Audit log - successful donation
+        try {
+          await logServiceEvent(
+            donation.donorUserId || null,
+            DONATION_ACTIONS.DONATION_MADE,
+            ENTITY_TYPES.DONATION,
+            donation.donationId,
+            {
+              campaignId: donation.campaignId,
+              amount: donation.amount,
+              currency: txn.currency || "ZMW",
+              status: "successful",
+              isAnonymous: donation.isAnonymous,
+              paymentMethod: txn.gatewayUsed,
+              phoneNumber: txn.phoneNumber,
+              transactionId: txn.transactionId,
+              gatewayTransactionId: txn.gatewayTransactionId,
+              gatewayUsed: txn.gatewayUsed,
+              completedAt: new Date().toISOString(),
+            }
+          );
+        } catch (auditErr) {
+          logger.warn("Failed to log successful donation audit (webhook)", {
+            error: auditErr?.message,
+          });
+        }
+
+        // Numbered receipt, downloadable by the donor and the organizer
+        let receipt = null;
+        try {
+          receipt = await receiptService.issueReceipt(donation.donationId);
+        } catch (receiptErr) {
+          logger.warn("Failed to issue donation receipt", {
+            error: receiptErr?.message,
+            donationId: donation.donationId,
+          });
+        }
+
+        // Sponsor match from any open pool on the campaign
+        try {
+          await matchPoolService.applyMatch({
+            ...donation,
+            status: "completed",
+          });
+        } catch (matchErr) {
+          logger.warn("Failed to apply donation match", {
+            error: matchErr?.message,
+            donationId: donation.donationId,
+          });
+        }
+
+        try {
+          await pledgeService.fulfillPledge(donation);
+        } catch (pledgeErr) {
+          logger.warn("Failed to fulfil pledge", {
+            error: pledgeErr?.message,
+            donationId: donation.donationId,
+          });
+        }
+
+        // Donor receipt email (if userId present and not anonymous)
+        try {
+          if (donation.donorUserId && !donation.isAnonymous) {
+            const { createDonationReceiptTemplate } = await import(
+              "../../../utils/emailTemplates.js"
+            );
+            const campaignUrl = `${
+              process.env.FRONTEND_URL || "http://localhost:5173"
+            }/campaigns/${donation.campaignId}`;
+            const html = createDonationReceiptTemplate({
+              organizerName: "Campaign Organizer",
+              campaignTitle: "",
+              donorName: "",
+              donationAmount: donation.amount,
+              currency: txn.currency || "ZMW",
+              donationId: donation.donationId,
+              receiptNumber: receipt?.receiptNumber,
+              campaignUrl,
+              thankYouMessage: null,
+            });
+            await notificationService.createAndDispatch({
+              userId: donation.donorUserId,
+              type: "email",
+              category: "donation",
+              priority: "medium",
+              title: `Thank you for your donation`,
+              message: html,
+              data: {
+                campaignId: donation.campaignId,
+                donationId: donation.donationId,
+              },
+              relatedEntityType: "donation",
+              relatedEntityId: donation.donationId,
+              templateId: "donation.receipt.email.v1",
+            });
+          }
+        } catch (donorEmailErr) {
+          logger.warn("Failed to send donor receipt email", {
+            error: donorEmailErr?.message,
+            donationId: donation.donationId,
+          });
+        }
+
+        // After the match so sponsor money counts towards milestones
+        try {
+          await milestoneService.evaluateMilestones(donation.campaignId);
+        } catch (milestoneErr) {
+          logger.warn("Failed to evaluate campaign milestones", {
+            error: milestoneErr?.message,
+            campaignId: donation.campaignId,
+          });
+        }
+      }
+    } catch (e) {
+      logger.warn("Failed to update donation on success webhook", {
+        error: e?.message,
+        transactionId: txn.transactionId,
+      });
+    }
+  } else if (status === "failed" || status === "timeout") {
+    if (status === "timeout") {
+      settled = await transactionService.processPaymentTimeout(
+        txn.gatewayTransactionId,
+        payload
+      );
+    } else {
+      settled = await transactionService.processPaymentFailure(
+        txn.gatewayTransactionId,
+        payload,
+        { webhookReceived }
+      );
+    }
+    if (!settled) return null;
+
+    // A failed refund payout means the donor was never paid back
+    if (txn.transactionType === "refund_out") {
+      try {
+        const { revertFailedRefund } = await import(
+          "../../donor/donation/donation.service.js"
+        );
+        await revertFailedRefund(txn, payload);
+      } catch (refundErr) {
+        logger.warn("Failed to revert refund after failure webhook", {
+          error: refundErr.message,
+          transactionId: txn.transactionId,
+        });
+      }
+    }
+
+    // Handle withdrawal transaction failures (state machine: processing → failed)
+    if (txn.transactionType === "withdrawal_out") {
+      try {
+        await withdrawalService.failWithdrawalPayout(
+          txn,
+          payload?.response_description ||
+            payload?.message ||
+            (status === "timeout" ? "Payout timed out" : "Unknown error")
+        );
+      } catch (withdrawalErr) {
+        logger.warn("Failed to process withdrawal failure webhook", {
+          error: withdrawalErr.message,
+          transactionId: txn.transactionId,
+        });
+      }
+    }
+
+    try {
+      const donation =
+        await donationRepository.getDonationByPaymentTransactionId(
+          txn.transactionId
+        );
+      if (donation) {
+        await donationRepository.updateDonationStatus(
+          donation.donationId,
+          "failed"
+        );
+        // Audit log - failed donation
+        try {
+          await logServiceEvent(
+            donation.donorUserId || null,
+            DONATION_ACTIONS.DONATION_MADE,
+            ENTITY_TYPES.DONATION,
+            donation.donationId,
+            {
+              campaignId: donation.campaignId,
+              amount: donation.amount,
+              currency: txn.currency || "ZMW",
+              status: "failed",
+              isAnonymous: donation.isAnonymous,
+              paymentMethod: txn.gatewayUsed,
+              phoneNumber: txn.phoneNumber,
+              transactionId: txn.transactionId,
+              gatewayTransactionId: txn.gatewayTransactionId,
+              gatewayUsed: txn.gatewayUsed,
+              failedAt: new Date().toISOString(),
+              error:
+                payload?.response_description ||
+                payload?.message ||
+                "gateway failure",
+            }
+          );
+        } catch (auditErr) {
+          logger.warn("Failed to log failed donation audit (webhook)", {
+            error: auditErr?.message,
+          });
+        }
+        // If the donation had a message, delete it to avoid showing on organizer side
+        try {
+          if (donation.messageId) {
+            const { deleteMessage } = await import(
+              "../../donor/messages/message.service.js"
+            );
+            await deleteMessage(donation.messageId);
+            await donationRepository.updateDonationMessageId(
+              donation.donationId,
+              null
+            );
+          }
+        } catch (msgErr) {
+          logger.warn("Failed to delete message on failed webhook", {
+            error: msgErr?.message,
+            donationId: donation.donationId,
+            messageId: donation.messageId,
+          });
+        }
+      }
+    } catch (e) {
+      logger.warn("Failed to update donation on failure webhook", {
+        error: e?.message,
+        transactionId: txn.transactionId,
+      });
+    }
+  }
+
+  return settled;
+};
+
@@ -0,0 +1,54 @@
+import crypto from "crypto";
+
+/**
+ * Webhook Signatures
+ * Callbacks carry two headers:
+ * - x-webhook-timestamp: unix seconds when the provider sent the callback
+ * - x-webhook-signature: hex HMAC-SHA256 of `${timestamp}.${rawBody}` with the shared secret
+ * Binding the timestamp into the signature lets us reject replays of old deliveries.
+ */
+export const SIGNATURE_HEADER = "x-webhook-signature";
+export const TIMESTAMP_HEADER = "x-webhook-timestamp";
+
+export function signPayload(rawBody, timestamp, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+}
+
+/**
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+export function verifySignature({
+  rawBody,
+  signature,
+  timestamp,
+  secret,
+  toleranceSeconds = 300,
+  now = Date.now(),
+}) {
+  if (!secret) return { valid: false, reason: "Webhook secret not configured" };
+  if (!signature || !timestamp) {
+    return { valid: false, reason: "Missing signature headers" };
+  }
+
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt)) {
+    return { valid: false, reason: "Invalid timestamp" };
+  }
+  if (Math.abs(now / 1000 - sentAt) > toleranceSeconds) {
+    return { valid: false, reason: "Timestamp outside tolerance" };
+  }
+
+  const expected = Buffer.from(signPayload(rawBody ?? "", timestamp, secret));
+  const provided = Buffer.from(String(signature));
+  // Constant-time comparison (timingSafeEqual requires equal lengths)
+  if (
+    expected.length !== provided.length ||
+    !crypto.timingSafeEqual(expected, provided)
+  ) {
+    return { valid: false, reason: "Signature mismatch" };
+  }
+  return { valid: true };
+}
@@ -0,0 +1,21 @@
+import Joi from "joi";
+import { validate } from "../../../utils/validation.js";
+
+// Validation schemas
+const listWebhookEventsSchema = Joi.object({
+  provider: Joi.string().max(50).optional(),
+  status: Joi.string().valid("received", "processed", "failed").optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const webhookEventIdSchema = Joi.object({
+  webhookEventId: Joi.string().uuid().required(),
+});
+
+// Validation middlewares
+export const validateListWebhookEvents = validate(
+  listWebhookEventsSchema,
+  "query"
+);
+export const validateWebhookEventId = validate(webhookEventIdSchema, "params");
@@ -0,0 +1,702 @@
+// src/modules/payment/withdrawals/__tests__/withdrawal.service.test.js
+
+import {
+  requestWithdrawal,
+  approveWithdrawal,
+  getApprovalQueue,
+  requiredApprovalsFor,
+  retryWithdrawalPayout,
+  initiatePayoutManual,
+  markPaid,
+  completeWithdrawalPayout,
+  failWithdrawalPayout,
+  computeAvailableBalance,
+} from '../withdrawal.service.js';
+import { canTransition } from '../withdrawal.stateMachine.js';
+import * as withdrawalRepo from '../withdrawal.repository.js';
+import * as withdrawalPolicyService from '../withdrawalPolicy.service.js';
+import * as transactionService from '../../transactions/transaction.service.js';
+import * as ledgerService from '../../ledger/ledger.service.js';
+import * as exchangeRateService from '../../exchangeRates/exchangeRate.service.js';
+import * as campaignRepo from '../../../campaign/campaigns/campaign.repository.js';
+import { getProviderFor } from '../../providers/provider.registry.js';
+import { logServiceEvent } from '../../../audit/audit.utils.js';
+import { transaction } from '../../../../db/index.js';
+
+// Mock dependencies
+jest.mock('../withdrawal.repository.js');
+jest.mock('../withdrawalPolicy.service.js');
+jest.mock('../../transactions/transaction.service.js');
+jest.mock('../../ledger/ledger.service.js');
+jest.mock('../../exchangeRates/exchangeRate.service.js');
+jest.mock('../../../campaign/campaigns/campaign.repository.js');
+jest.mock('../../../notifications/notification.service.js');
+jest.mock('../../../audit/audit.utils.js');
+jest.mock('../../../../utils/emailTemplates.js');
+jest.mock('../../../../db/index.js');
+jest.mock('../../providers/provider.registry.js', () => ({
+  getProviderFor: jest.fn(),
+}));
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Withdrawal state machine', () => {
+  const initiatePayout = jest.fn();
+  const client = { query: jest.fn() };
+
+  const withdrawal = (status, extra = {}) => ({
+    withdrawalRequestId: 'wr-1',
+    campaignId: 'campaign-1',
+    organizerId: 'organizer-1',
+    amount: '100.00',
+    currency: 'ZMW',
+    status,
+    destination: { phoneNumber: '+260971234567' },
+    ...extra,
+  });
+
+  // Ledger balance of the campaign, with nothing else held back
+  const withdrawalBalance = (balance) => {
+    campaignRepo.findCampaignById.mockResolvedValue({
+      campaignId: 'campaign-1',
+      baseCurrency: 'ZMW',
+    });
+    ledgerService.getCampaignBalances.mockResolvedValue([
+      { currency: 'ZMW', balance },
+    ]);
+    ledgerService.getUnreservedWithdrawals.mockResolvedValue(0);
+    withdrawalRepo.sumDonationsHeldForReviewByCampaign.mockResolvedValue(0);
+  };
+
+  beforeEach(() => {
+    transaction.mockImplementation((callback) => callback(client));
+    getProviderFor.mockReturnValue({ name: 'zynlepay', initiatePayout });
+    // Echo the requested transition back as the updated row
+    withdrawalRepo.transitionWithdrawalStatus.mockImplementation(
+      async (id, { toStatus, fields }) => withdrawal(toStatus, fields)
+    );
+    transactionService.createTransaction.mockResolvedValue({
+      transactionId: 'txn-1',
+    });
+    withdrawalRepo.addWithdrawalApproval.mockImplementation(
+      async ({ approverUserId, approverRole }) => ({
+        approverUserId,
+        approverRole,
+      })
+    );
+    withdrawalRepo.getWithdrawalApprovals.mockResolvedValue([
+      { approverUserId: 'admin-1', approverRole: 'financialAdmin' },
+    ]);
+  });
+
+  it('should only allow the documented transitions', () => {
+    expect(canTransition('pending', 'approved')).toBe(true);
+    expect(canTransition('failed', 'processing')).toBe(true);
+    expect(canTransition('pending', 'paid')).toBe(false);
+    expect(canTransition('paid', 'failed')).toBe(false);
+    expect(canTransition('rejected', 'approved')).toBe(false);
+  });
+
+  it('should start the provider payout as soon as a withdrawal is approved', async () => {
+    withdrawalRepo.lockWithdrawal.mockResolvedValue(withdrawal('pending'));
+    initiatePayout.mockResolvedValue({
+      ok: true,
+      status: 'processing',
+      gatewayRequestId: 'gw-1',
+      raw: {},
+    });
+
+    const result = await approveWithdrawal('admin-1', 'wr-1', 'ok');
+
+    expect(withdrawalRepo.transitionWithdrawalStatus).toHaveBeenNthCalledWith(
+      1,
+      'wr-1',
+      expect.objectContaining({ fromStatus: 'pending', toStatus: 'approved' }),
+      client
+    );
+    expect(withdrawalRepo.transitionWithdrawalStatus).toHaveBeenNthCalledWith(
+      2,
+      'wr-1',
+      expect.objectContaining({
+        fromStatus: 'approved',
+        toStatus: 'processing',
+        fields: { transactionId: null },
+      }),
+      null
+    );
+    expect(withdrawalRepo.linkWithdrawalTransaction).toHaveBeenCalledWith(
+      'wr-1',
+      'txn-1'
+    );
+    expect(initiatePayout).toHaveBeenCalledWith(
+      expect.objectContaining({ phoneNumber: '+260971234567', amount: '100.00' })
+    );
+    // Claimed, then recorded, then sent to the provider
+    const [, claimOrder] =
+      withdrawalRepo.transitionWithdrawalStatus.mock.invocationCallOrder;
+    const [createOrder] =
+      transactionService.createTransaction.mock.invocationCallOrder;
+    const [payoutOrder] = initiatePayout.mock.invocationCallOrder;
+    expect(claimOrder).toBeLessThan(createOrder);
+    expect(createOrder).toBeLessThan(payoutOrder);
+    expect(transactionService.markProcessingWithGatewayData).toHaveBeenCalledWith(
+      'txn-1',
+      expect.objectContaining({ gatewayRequestId: 'gw-1' })
+    );
+    expect(result).toEqual(
+      expect.objectContaining({
+        status: 'processing',
+        paymentInitiated: true,
+        transactionId: 'txn-1',
+      })
+    );
+  });
+
+  it('should mark the withdrawal failed when the provider rejects the payout', async () => {
+    withdrawalRepo.lockWithdrawal.mockResolvedValue(withdrawal('pending'));
+    initiatePayout.mockRejectedValue(
+      Object.assign(new Error('Insufficient balance'), { statusCode: 422 })
+    );
+
+    await expect(approveWithdrawal('admin-1', 'wr-1')).rejects.toMatchObject({
+      statusCode: 422,
+    });
+    expect(withdrawalRepo.transitionWithdrawalStatus).toHaveBeenLastCalledWith(
+      'wr-1',
+      expect.objectContaining({ fromStatus: 'processing', toStatus: 'failed' }),
+      null
+    );
+    // The payout transaction is failed so its reservation is released
+    expect(transactionService.processPaymentFailure).toHaveBeenCalledWith(
+      expect.stringMatching(/^WD-wr-1-/),
+      { error: 'Insufficient balance' }
+    );
+  });
+
+  it('should send only one payout when an approved withdrawal is claimed twice', async () => {
+    withdrawalRepo.lockWithdrawal.mockResolvedValue(withdrawal('pending'));
+    withdrawalRepo.transitionWithdrawalStatus.mockImplementation(
+      async (id, { toStatus, fields }) =>
+        toStatus === 'processing' ? null : withdrawal(toStatus, fields)
+    );
+
+    await expect(approveWithdrawal('admin-1', 'wr-1')).rejects.toMatchObject({
+      statusCode: 409,
+    });
+    expect(transactionService.createTransaction).not.toHaveBeenCalled();
+    expect(initiatePayout).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to approve a withdrawal that is not pending', async () => {
+    withdrawalRepo.lockWithdrawal.mockResolvedValue(withdrawal('paid'));
+
+    await expect(approveWithdrawal('admin-1', 'wr-1')).rejects.toMatchObject({
+      statusCode: 409,
+    });
+    expect(withdrawalRepo.transitionWithdrawalStatus).not.toHaveBeenCalled();
+  });
+
+  it('should reject a transition when the request changed concurrently', async () => {
+    withdrawalRepo.lockWithdrawal.mockResolvedValue(withdrawal('pending'));
+    withdrawalRepo.transitionWithdrawalStatus.mockResolvedValue(null);
+
+    await expect(approveWithdrawal('admin-1', 'wr-1')).rejects.toMatchObject({
+      statusCode: 409,
+    });
+    expect(initiatePayout).not.toHaveBeenCalled();
+  });
+
+  it('should retry a failed payout as a new transaction', async () => {
+    withdrawalRepo.getWithdrawalById.mockResolvedValue(
+      withdrawal('failed', { transactionId: 'txn-old' })
+    );
+    withdrawalBalance(100);
+    initiatePayout.mockResolvedValue({
+      ok: true,
+      status: 'processing',
+      gatewayRequestId: 'gw-2',
+      raw: {},
+    });
+
+    const result = await retryWithdrawalPayout('admin-1', 'wr-1');
+
+    expect(transactionService.createTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({ transactionType: 'withdrawal_out' })
+    );
+    expect(result.status).toBe('processing');
+  });
+
+  it('should not retry a payout the campaign can no longer cover', async () => {
+    withdrawalRepo.getWithdrawalById.mockResolvedValue(
+      withdrawal('failed', { transactionId: 'txn-old' })
+    );
+    withdrawalBalance(60);
+
+    await expect(retryWithdrawalPayout('admin-1', 'wr-1')).rejects.toMatchObject(
+      { statusCode: 409 }
+    );
+    expect(withdrawalRepo.transitionWithdrawalStatus).not.toHaveBeenCalled();
+    expect(initiatePayout).not.toHaveBeenCalled();
+  });
+
+  it('should not retry a withdrawal that was paid', async () => {
+    withdrawalRepo.getWithdrawalById.mockResolvedValue(withdrawal('paid'));
+
+    await expect(retryWithdrawalPayout('admin-1', 'wr-1')).rejects.toMatchObject(
+      { statusCode: 409 }
+    );
+    expect(initiatePayout).not.toHaveBeenCalled();
+  });
+
+  it('should claim a manual payout before recording its transaction', async () => {
+    withdrawalRepo.getWithdrawalById.mockResolvedValue(withdrawal('approved'));
+
+    const result = await initiatePayoutManual('wr-1', 'admin-1');
+
+    expect(withdrawalRepo.transitionWithdrawalStatus).toHaveBeenCalledWith(
+      'wr-1',
+      expect.objectContaining({
+        fromStatus: 'approved',
+        toStatus: 'processing',
+      }),
+      null
+    );
+    expect(
+      withdrawalRepo.transitionWithdrawalStatus.mock.invocationCallOrder[0]
+    ).toBeLessThan(
+      transactionService.createTransaction.mock.invocationCallOrder[0]
+    );
+    expect(transactionService.createTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({
+        gatewayTransactionId: 'WD-wr-1',
+        gatewayUsed: 'manual',
+      })
+    );
+    expect(withdrawalRepo.linkWithdrawalTransaction).toHaveBeenCalledWith(
+      'wr-1',
+      'txn-1'
+    );
+    expect(result.updated.transactionId).toBe('txn-1');
+  });
+
+  it('should not record a second manual payout when the claim is lost', async () => {
+    withdrawalRepo.getWithdrawalById.mockResolvedValue(withdrawal('approved'));
+    withdrawalRepo.transitionWithdrawalStatus.mockResolvedValue(null);
+
+    await expect(initiatePayoutManual('wr-1', 'admin-1')).rejects.toMatchObject(
+      { statusCode: 409 }
+    );
+    expect(transactionService.createTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should recheck the balance before a manual payout of a failed withdrawal', async () => {
+    withdrawalRepo.getWithdrawalById.mockResolvedValue(
+      withdrawal('failed', { transactionId: 'txn-old' })
+    );
+    withdrawalBalance(60);
+
+    await expect(initiatePayoutManual('wr-1', 'admin-1')).rejects.toMatchObject(
+      { statusCode: 409 }
+    );
+    expect(withdrawalRepo.transitionWithdrawalStatus).not.toHaveBeenCalled();
+
+    withdrawalBalance(100);
+    await initiatePayoutManual('wr-1', 'admin-1');
+
+    expect(transactionService.createTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({ gatewayTransactionId: 'WD-wr-1-txn-old' })
+    );
+  });
+
+  it('should not mark a pending withdrawal as paid', async () => {
+    withdrawalRepo.getWithdrawalById.mockResolvedValue(withdrawal('pending'));
+
+    await expect(markPaid('wr-1', 'admin-1')).rejects.toMatchObject({
+      statusCode: 409,
+    });
+    expect(transactionService.processPaymentSuccess).not.toHaveBeenCalled();
+  });
+
+  describe('maker-checker approval', () => {
+    const large = (extra = {}) =>
+      withdrawal('pending', { amount: '50000.00', requiredApprovals: 2, ...extra });
+
+    it('should require two approvals for withdrawals above the threshold', async () => {
+      await expect(requiredApprovalsFor(50000)).resolves.toBe(2);
+      await expect(requiredApprovalsFor(100)).resolves.toBe(1);
+    });
+
+    it('should compare against the threshold in the withdrawal currency', async () => {
+      // 10000 ZMW threshold at 25 ZMW per USD
+      exchangeRateService.convert.mockResolvedValue({ amount: 400 });
+
+      await expect(requiredApprovalsFor(500, 'USD')).resolves.toBe(2);
+      await expect(requiredApprovalsFor(300, 'USD')).resolves.toBe(1);
+      expect(exchangeRateService.convert).toHaveBeenCalledWith(
+        10000,
+        'ZMW',
+        'USD'
+      );
+    });
+
+    it('should wait for a second approver before starting the payout', async () => {
+      withdrawalRepo.lockWithdrawal.mockResolvedValue(large());
+
+      const result = await approveWithdrawal(
+        'admin-1',
+        'wr-1',
+        'looks fine',
+        'financialAdmin'
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          status: 'pending',
+          approvalsReceived: 1,
+          awaitingApprovals: 1,
+          paymentInitiated: false,
+        })
+      );
+      expect(withdrawalRepo.transitionWithdrawalStatus).not.toHaveBeenCalled();
+      expect(initiatePayout).not.toHaveBeenCalled();
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'admin-1',
+        'WITHDRAWAL_APPROVAL_RECORDED',
+        'WithdrawalRequest',
+        'wr-1',
+        expect.objectContaining({ approvalsReceived: 1, requiredApprovals: 2 })
+      );
+    });
+
+    it('should approve and pay out once the second distinct approver signs off', async () => {
+      withdrawalRepo.lockWithdrawal.mockResolvedValue(large());
+      withdrawalRepo.getWithdrawalApprovals.mockResolvedValue([
+        { approverUserId: 'admin-1', approverRole: 'financialAdmin' },
+        { approverUserId: 'admin-2', approverRole: 'superAdmin' },
+      ]);
+      initiatePayout.mockResolvedValue({
+        ok: true,
+        status: 'processing',
+        gatewayRequestId: 'gw-3',
+        raw: {},
+      });
+
+      const result = await approveWithdrawal(
+        'admin-2',
+        'wr-1',
+        undefined,
+        'superAdmin'
+      );
+
+      expect(result.status).toBe('processing');
+      expect(logServiceEvent).toHaveBeenCalledWith(
+        'admin-2',
+        'WITHDRAWAL_APPROVED',
+        'WithdrawalRequest',
+        'wr-1',
+        expect.objectContaining({
+          requiredApprovals: 2,
+          approvalChain: [
+            expect.objectContaining({ approverUserId: 'admin-1' }),
+            expect.objectContaining({ approverUserId: 'admin-2' }),
+          ],
+        })
+      );
+    });
+
+    it('should count approvals and approve under the withdrawal lock', async () => {
+      withdrawalRepo.lockWithdrawal.mockResolvedValue(large());
+      withdrawalRepo.getWithdrawalApprovals.mockResolvedValue([
+        { approverUserId: 'admin-1', approverRole: 'financialAdmin' },
+        { approverUserId: 'admin-2', approverRole: 'superAdmin' },
+      ]);
+      initiatePayout.mockResolvedValue({
+        ok: true,
+        status: 'processing',
+        gatewayRequestId: 'gw-4',
+        raw: {},
+      });
+
+      await approveWithdrawal('admin-2', 'wr-1', undefined, 'superAdmin');
+
+      expect(withdrawalRepo.lockWithdrawal).toHaveBeenCalledWith(
+        'wr-1',
+        client
+      );
+      expect(withdrawalRepo.addWithdrawalApproval).toHaveBeenCalledWith(
+        expect.objectContaining({ approverUserId: 'admin-2' }),
+        client
+      );
+      expect(withdrawalRepo.getWithdrawalApprovals).toHaveBeenCalledWith(
+        'wr-1',
+        client
+      );
+      expect(withdrawalRepo.transitionWithdrawalStatus).toHaveBeenCalledWith(
+        'wr-1',
+        expect.objectContaining({
+          fromStatus: 'pending',
+          toStatus: 'approved',
+        }),
+        client
+      );
+    });
+
+    it('should not count the same admin twice', async () => {
+      withdrawalRepo.lockWithdrawal.mockResolvedValue(large());
+      withdrawalRepo.addWithdrawalApproval.mockResolvedValue(null);
+
+      await expect(
+        approveWithdrawal('admin-1', 'wr-1', undefined, 'financialAdmin')
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should only accept financial or super admins for large withdrawals', async () => {
+      withdrawalRepo.lockWithdrawal.mockResolvedValue(large());
+
+      await expect(
+        approveWithdrawal('admin-3', 'wr-1', undefined, 'supportAdmin')
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(withdrawalRepo.addWithdrawalApproval).not.toHaveBeenCalled();
+    });
+
+    it('should never let the organizer approve their own withdrawal', async () => {
+      withdrawalRepo.lockWithdrawal.mockResolvedValue(large());
+
+      await expect(
+        approveWithdrawal('organizer-1', 'wr-1', undefined, 'superAdmin')
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(withdrawalRepo.addWithdrawalApproval).not.toHaveBeenCalled();
+    });
+
+    it('should flag which queued requests the caller can approve', async () => {
+      withdrawalRepo.listApprovalQueue.mockResolvedValue({
+        items: [
+          large({ withdrawalRequestId: 'wr-a', approvals: [] }),
+          large({
+            withdrawalRequestId: 'wr-b',
+            approvals: [{ approverUserId: 'admin-1' }],
+          }),
+          large({
+            withdrawalRequestId: 'wr-c',
+            organizerId: 'admin-1',
+            approvals: [],
+          }),
+        ],
+        total: 3,
+      });
+
+      const { data, pagination } = await getApprovalQueue(
+        'admin-1',
+        'financialAdmin'
+      );
+
+      expect(data.map((item) => item.canApprove)).toEqual([true, false, false]);
+      expect(data[1]).toEqual(
+        expect.objectContaining({ alreadyApproved: true, awaitingApprovals: 1 })
+      );
+      expect(pagination.totalCount).toBe(3);
+    });
+  });
+
+  describe('webhook-driven completion', () => {
+    it('should move a processing withdrawal to paid', async () => {
+      withdrawalRepo.getWithdrawalByTransactionId.mockResolvedValue(
+        withdrawal('processing', { transactionId: 'txn-1' })
+      );
+
+      const updated = await completeWithdrawalPayout({ transactionId: 'txn-1' });
+
+      expect(updated.status).toBe('paid');
+      expect(withdrawalRepo.transitionWithdrawalStatus).toHaveBeenCalledWith(
+        'wr-1',
+        expect.objectContaining({ fromStatus: 'processing', toStatus: 'paid' }),
+        null
+      );
+    });
+
+    it('should ignore a late failure for a withdrawal that is already paid', async () => {
+      withdrawalRepo.getWithdrawalByTransactionId.mockResolvedValue(
+        withdrawal('paid', { transactionId: 'txn-1' })
+      );
+
+      const updated = await failWithdrawalPayout(
+        { transactionId: 'txn-1' },
+        'late failure'
+      );
+
+      expect(updated).toBeNull();
+      expect(withdrawalRepo.transitionWithdrawalStatus).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('requestWithdrawal', () => {
+  const client = { query: jest.fn() };
+  const payload = {
+    campaignId: 'campaign-1',
+    amount: 300,
+    destinationType: 'mobileMoney',
+    destination: { phoneNumber: '+260971234567' },
+  };
+
+  beforeEach(() => {
+    transaction.mockImplementation((callback) => callback(client));
+    campaignRepo.findCampaignById.mockResolvedValue({
+      campaignId: 'campaign-1',
+      organizerId: 'organizer-1',
+      baseCurrency: 'ZMW',
+    });
+    ledgerService.getCampaignBalances.mockResolvedValue([
+      { currency: 'ZMW', balance: 1000 },
+    ]);
+    ledgerService.getUnreservedWithdrawals.mockResolvedValue(0);
+    withdrawalRepo.sumDonationsHeldForReviewByCampaign.mockResolvedValue(0);
+    campaignRepo.findUsersByRoles.mockResolvedValue([]);
+  });
+
+  it('should check the policy and create the request under the campaign lock', async () => {
+    withdrawalPolicyService.evaluateWithdrawal.mockResolvedValue({
+      allowed: true,
+      violations: [],
+    });
+    withdrawalRepo.createWithdrawalRequest.mockResolvedValue({
+      withdrawalRequestId: 'wr-1',
+      amount: '300.00',
+      currency: 'ZMW',
+    });
+
+    const { created } = await requestWithdrawal('organizer-1', payload);
+
+    expect(created.withdrawalRequestId).toBe('wr-1');
+    expect(campaignRepo.lockCampaign).toHaveBeenCalledWith(
+      'campaign-1',
+      client
+    );
+    expect(campaignRepo.lockCampaign.mock.invocationCallOrder[0]).toBeLessThan(
+      withdrawalPolicyService.evaluateWithdrawal.mock.invocationCallOrder[0]
+    );
+    expect(withdrawalRepo.createWithdrawalRequest).toHaveBeenCalledWith(
+      expect.objectContaining({ organizerId: 'organizer-1', currency: 'ZMW' }),
+      client
+    );
+  });
+
+  it('should not create a request that breaks the policy', async () => {
+    withdrawalPolicyService.evaluateWithdrawal.mockResolvedValue({
+      allowed: false,
+      violations: [
+        { code: 'FREQUENCY_LIMIT', message: 'Withdrawal limit reached' },
+      ],
+    });
+
+    await expect(
+      requestWithdrawal('organizer-1', payload)
+    ).rejects.toMatchObject({ statusCode: 422 });
+    expect(withdrawalRepo.createWithdrawalRequest).not.toHaveBeenCalled();
+  });
+});
+
+describe('computeAvailableBalance', () => {
+  beforeEach(() => {
+    campaignRepo.findCampaignById.mockResolvedValue({
+      campaignId: 'campaign-1',
+      baseCurrency: 'ZMW',
+    });
+    withdrawalRepo.sumCompletedDonationsByCampaign.mockResolvedValue(1500);
+    withdrawalRepo.sumRefundedDonationsByCampaign.mockResolvedValue(0);
+    withdrawalRepo.sumReservedWithdrawalsByCampaign.mockResolvedValue(0);
+    withdrawalRepo.sumDonationsHeldForReviewByCampaign.mockResolvedValue(0);
+    ledgerService.getUnreservedWithdrawals.mockResolvedValue(200);
+  });
+
+  it('should hold back donations awaiting risk review', async () => {
+    ledgerService.getCampaignBalances.mockResolvedValue([
+      { currency: 'ZMW', balance: 1000 },
+    ]);
+    withdrawalRepo.sumDonationsHeldForReviewByCampaign.mockResolvedValue(300);
+
+    const balances = await computeAvailableBalance('campaign-1');
+
+    expect(balances).toEqual(
+      expect.objectContaining({
+        ledgerBalance: 1000,
+        heldForReview: 300,
+        available: 500,
+      })
+    );
+  });
+
+  it('should report every balance in the campaign base currency', async () => {
+    ledgerService.getCampaignBalances.mockResolvedValue([
+      { currency: 'ZMW', balance: 1000 },
+      { currency: 'USD', balance: 20 },
+    ]);
+    exchangeRateService.convert.mockResolvedValue({
+      amount: 530,
+      currency: 'ZMW',
+      rate: 26.5,
+    });
+
+    const balances = await computeAvailableBalance('campaign-1');
+
+    expect(exchangeRateService.convert).toHaveBeenCalledWith(20, 'USD', 'ZMW');
+    expect(balances).toEqual(
+      expect.objectContaining({
+        currency: 'ZMW',
+        ledgerBalance: 1530,
+        available: 1330,
+        unconvertedBalances: [],
+      })
+    );
+  });
+
+  it('should not ask for a rate for an emptied account', async () => {
+    ledgerService.getCampaignBalances.mockResolvedValue([
+      { currency: 'ZMW', balance: 1000 },
+      { currency: 'USD', balance: 0 },
+    ]);
+
+    const balances = await computeAvailableBalance('campaign-1');
+
+    expect(exchangeRateService.convert).not.toHaveBeenCalled();
+    expect(balances.unconvertedBalances).toEqual([]);
+    expect(balances.available).toBe(800);
+  });
+
+  it('should leave out balances that have no published rate', async () => {
+    ledgerService.getCampaignBalances.mockResolvedValue([
+      { currency: 'ZMW', balance: 1000 },
+      { currency: 'EUR', balance: 15 },
+    ]);
+    exchangeRateService.convert.mockRejectedValue(
+      Object.assign(new Error('No exchange rate'), { statusCode: 422 })
+    );
+
+    const balances = await computeAvailableBalance('campaign-1');
+
+    expect(balances.available).toBe(800);
+    expect(balances.unconvertedBalances).toEqual([
+      { currency: 'EUR', balance: 15 },
+    ]);
+  });
+
+  it('should fall back to donation sums for a campaign without ledger entries', async () => {
+    ledgerService.getCampaignBalances.mockResolvedValue([]);
+    withdrawalRepo.sumReservedWithdrawalsByCampaign.mockResolvedValue(400);
+    withdrawalRepo.sumDonationsHeldForReviewByCampaign.mockResolvedValue(100);
+
+    const balances = await computeAvailableBalance('campaign-1');
+
+    expect(balances).toEqual(
+      expect.objectContaining({
+        balanceSource: 'donations',
+        ledgerBalance: 0,
+        available: 1000,
+      })
+    );
+    expect(ledgerService.getUnreservedWithdrawals).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,206 @@
+// src/modules/payment/withdrawals/__tests__/withdrawalPolicy.service.test.js
+
+import { resolvePolicy, evaluateWithdrawal } from '../withdrawalPolicy.service.js';
+import * as policyRepository from '../withdrawalPolicy.repository.js';
+import * as withdrawalRepo from '../withdrawal.repository.js';
+import * as exchangeRateService from '../../exchangeRates/exchangeRate.service.js';
+
+// Mock dependencies
+jest.mock('../withdrawalPolicy.repository.js', () => ({
+  ...jest.requireActual('../withdrawalPolicy.repository.js'),
+  findApplicableRules: jest.fn(),
+  getOrganizerPolicyProfile: jest.fn(),
+}));
+jest.mock('../withdrawal.repository.js');
+jest.mock('../../exchangeRates/exchangeRate.service.js');
+jest.mock('../../../audit/audit.utils.js');
+jest.mock('../../../../utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Withdrawal policy', () => {
+  const campaign = { campaignId: 'campaign-1', goalAmount: '1000.00' };
+  const balances = { completed: 800, refunded: 0, available: 800 };
+
+  const rule = (scope, limits) => ({
+    withdrawalPolicyRuleId: `rule-${scope}`,
+    scope,
+    minAmount: null,
+    minGoalPercentage: null,
+    maxAmount: null,
+    maxWithdrawalsPerWindow: null,
+    windowDays: null,
+    holdingPeriodHours: null,
+    requireCompletedDonation: null,
+    requireKyc: null,
+    ...limits,
+  });
+
+  beforeEach(() => {
+    policyRepository.getOrganizerPolicyProfile.mockResolvedValue({
+      userId: 'organizer-1',
+      organizationType: 'club',
+      kycVerifiedAt: null,
+    });
+    policyRepository.findApplicableRules.mockResolvedValue([]);
+    withdrawalRepo.countWithdrawalsSince.mockResolvedValue(0);
+    withdrawalRepo.sumCompletedDonationsSince.mockResolvedValue(0);
+  });
+
+  describe('resolvePolicy', () => {
+    it('should fall back to the configured defaults when no rule matches', async () => {
+      const { policy, sources } = await resolvePolicy('organizer-1');
+
+      expect(policy).toEqual(
+        expect.objectContaining({
+          minGoalPercentage: 10,
+          maxWithdrawalsPerWindow: 2,
+          windowDays: 7,
+          requireCompletedDonation: true,
+          requireKyc: false,
+        })
+      );
+      expect(sources.minGoalPercentage.scope).toBe('config');
+    });
+
+    it('should take each limit from the most specific rule that sets it', async () => {
+      policyRepository.findApplicableRules.mockResolvedValue([
+        rule('organization', { maxAmount: '5000.00' }),
+        rule('organizationType', { maxAmount: '2000.00', requireKyc: true }),
+        rule('default', { minGoalPercentage: '5.00', holdingPeriodHours: 48 }),
+      ]);
+
+      const { policy, sources } = await resolvePolicy('organizer-1');
+
+      expect(policy.maxAmount).toBe(5000);
+      expect(policy.requireKyc).toBe(true);
+      expect(policy.minGoalPercentage).toBe(5);
+      expect(policy.holdingPeriodHours).toBe(48);
+      expect(policy.maxWithdrawalsPerWindow).toBe(2);
+      expect(sources.maxAmount.scope).toBe('organization');
+      expect(sources.requireKyc.scope).toBe('organizationType');
+    });
+  });
+
+  describe('evaluateWithdrawal', () => {
+    it('should allow a withdrawal that meets every rule', async () => {
+      const result = await evaluateWithdrawal({
+        organizerId: 'organizer-1',
+        campaign,
+        amount: 200,
+        balances,
+      });
+
+      expect(result.allowed).toBe(true);
+      expect(result.violations).toEqual([]);
+      expect(result.limits.minimumAmount).toBe(100);
+    });
+
+    it('should report every violated rule with a code', async () => {
+      policyRepository.findApplicableRules.mockResolvedValue([
+        rule('organizationType', { requireKyc: true, maxAmount: '500.00' }),
+      ]);
+      withdrawalRepo.countWithdrawalsSince.mockResolvedValue(2);
+
+      const result = await evaluateWithdrawal({
+        organizerId: 'organizer-1',
+        campaign,
+        amount: 900,
+        balances,
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.violations.map((v) => v.code)).toEqual([
+        'KYC_REQUIRED',
+        'ABOVE_MAX_AMOUNT',
+        'EXCEEDS_AVAILABLE_BALANCE',
+        'FREQUENCY_LIMIT',
+      ]);
+      expect(result.violations[1]).toEqual(
+        expect.objectContaining({ limit: 500, actual: 900 })
+      );
+    });
+
+    it('should convert amount limits from the rule currency to the campaign currency', async () => {
+      policyRepository.findApplicableRules.mockResolvedValue([
+        rule('organization', { maxAmount: '50.00', currency: 'USD' }),
+      ]);
+      exchangeRateService.convert.mockImplementation(
+        async (value, from, to) => ({
+          amount: value * 25,
+          currency: to,
+        })
+      );
+
+      const result = await evaluateWithdrawal({
+        organizerId: 'organizer-1',
+        campaign: { ...campaign, baseCurrency: 'ZMW' },
+        amount: 2000,
+        balances: { completed: 5000, refunded: 0, available: 5000 },
+      });
+
+      expect(exchangeRateService.convert).toHaveBeenCalledWith(
+        50,
+        'USD',
+        'ZMW'
+      );
+      expect(result.violations).toEqual([
+        expect.objectContaining({
+          code: 'ABOVE_MAX_AMOUNT',
+          limit: 1250,
+          actual: 2000,
+        }),
+      ]);
+      expect(result.limits).toEqual(
+        expect.objectContaining({ currency: 'ZMW', maximumAmount: 1250 })
+      );
+    });
+
+    it('should keep recent donations on hold during the holding period', async () => {
+      policyRepository.findApplicableRules.mockResolvedValue([
+        rule('default', { holdingPeriodHours: 72 }),
+      ]);
+      withdrawalRepo.sumCompletedDonationsSince.mockResolvedValue(500);
+
+      const result = await evaluateWithdrawal({
+        organizerId: 'organizer-1',
+        campaign,
+        amount: 400,
+        balances,
+      });
+
+      expect(result.violations).toEqual([
+        expect.objectContaining({
+          code: 'HOLDING_PERIOD',
+          limit: 300,
+          heldAmount: 500,
+        }),
+      ]);
+    });
+
+    it('should require a completed donation unless a rule waives it', async () => {
+      const noDonations = { completed: 0, refunded: 0, available: 0 };
+
+      const strict = await evaluateWithdrawal({
+        organizerId: 'organizer-1',
+        campaign,
+        balances: noDonations,
+      });
+      expect(strict.violations.map((v) => v.code)).toEqual([
+        'NO_COMPLETED_DONATION',
+      ]);
+
+      policyRepository.findApplicableRules.mockResolvedValue([
+        rule('organization', { requireCompletedDonation: false }),
+      ]);
+      const waived = await evaluateWithdrawal({
+        organizerId: 'organizer-1',
+        campaign,
+        balances: noDonations,
+      });
+      expect(waived.allowed).toBe(true);
+    });
+  });
+});
@@ -55,9 +55,24 @@ export const approveWithdrawal = async (req, res) => {
   const updated = await withdrawalService.approveWithdrawal(
     adminUserId,
     withdrawalRequestId,
-    req.body?.notes
+    req.body?.notes,
+    req.user.userType
   );
-  return ResponseFactory.ok(res, "Withdrawal approved", updated);
+  const message =
+    updated.awaitingApprovals > 0
+      ? "Approval recorded; awaiting further approval"
+      : "Withdrawal approved";
+  return ResponseFactory.ok(res, message, updated);
+};
+
+export const getApprovalQueue = async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+  const result = await withdrawalService.getApprovalQueue(
+    req.user.userId,
+    req.user.userType,
+    { page: parseInt(page), limit: parseInt(limit) }
+  );
+  return ResponseFactory.ok(res, "Withdrawal approval queue retrieved", result);
 };
 
 export const rejectWithdrawal = async (req, res) => {
@@ -74,14 +89,18 @@ export const rejectWithdrawal = async (req, res) => {
 export const initiatePayoutManual = async (req, res) => {
   const { withdrawalRequestId } = req.params;
   const result = await withdrawalService.initiatePayoutManual(
-    withdrawalRequestId
+    withdrawalRequestId,
+    req.user.userId
   );
   return ResponseFactory.ok(res, "Payout initiated (manual)", result);
 };
 
 export const markPaid = async (req, res) => {
   const { withdrawalRequestId } = req.params;
-  const updated = await withdrawalService.markPaid(withdrawalRequestId);
+  const updated = await withdrawalService.markPaid(
+    withdrawalRequestId,
+    req.user.userId
+  );
   return ResponseFactory.ok(res, "Withdrawal marked as paid", updated);
 };
 
@@ -89,18 +108,39 @@ export const markFailed = async (req, res) => {
   const { withdrawalRequestId } = req.params;
   const updated = await withdrawalService.markFailed(
     withdrawalRequestId,
-    req.body?.reason
+    req.body?.reason,
+    req.user.userId
   );
   return ResponseFactory.ok(res, "Withdrawal marked as failed", updated);
 };
 
+export const retryPayout = async (req, res) => {
+  const { withdrawalRequestId } = req.params;
+  const result = await withdrawalService.retryWithdrawalPayout(
+    req.user.userId,
+    withdrawalRequestId
+  );
+  return ResponseFactory.ok(res, "Withdrawal payout retried", result);
+};
+
+export const getWithdrawalHistory = async (req, res) => {
+  const { withdrawalRequestId } = req.params;
+  const result = await withdrawalService.getWithdrawalHistory(
+    withdrawalRequestId
+  );
+  return ResponseFactory.ok(res, "Withdrawal history retrieved", result);
+};
+
 export default {
   requestWithdrawal,
   listMyWithdrawals,
   adminListWithdrawals,
   approveWithdrawal,
+  getApprovalQueue,
   rejectWithdrawal,
   initiatePayoutManual,
   markPaid,
   markFailed,
+  retryPayout,
+  getWithdrawalHistory,
 };
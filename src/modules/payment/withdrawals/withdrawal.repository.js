@@ -1,8 +1,9 @@
-import { query } from "../../../db/index.js";
+import { query, transaction } from "../../../db/index.js";
 import logger from "../../../utils/logger.js";
 import { DatabaseError, NotFoundError } from "../../../utils/appError.js";
 
-export const createWithdrawalRequest = async (payload) => {
+export const createWithdrawalRequest = async (payload, client = null) => {
+  const executor = client || { query };
   const {
     campaignId,
     organizerId,
@@ -11,14 +12,15 @@ export const createWithdrawalRequest = async (payload) => {
     destinationType,
     destination,
     notes,
+    requiredApprovals = 1,
   } = payload;
 
   try {
-    const result = await query(
+    const result = await executor.query(
       `INSERT INTO "withdrawalRequests" (
         "campaignId", "organizerId", "amount", "currency",
-        "destinationType", "destination", "notes"
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        "destinationType", "destination", "notes", "requiredApprovals"
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       RETURNING *`,
       [
         campaignId,
@@ -28,6 +30,7 @@ export const createWithdrawalRequest = async (payload) => {
         destinationType,
         JSON.stringify(destination),
         notes || null,
+        requiredApprovals,
       ]
     );
     return result.rows[0];
@@ -75,6 +78,20 @@ export const updateWithdrawalRequest = async (withdrawalRequestId, update) => {
   }
 };
 
+/**
+ * Reads a withdrawal and locks its row until the caller's transaction ends
+ */
+export const lockWithdrawal = async (withdrawalRequestId, client) => {
+  const result = await client.query(
+    `SELECT * FROM "withdrawalRequests"
+     WHERE "withdrawalRequestId" = $1
+     FOR UPDATE`,
+    [withdrawalRequestId]
+  );
+  if (result.rowCount === 0) throw new NotFoundError("Withdrawal not found");
+  return result.rows[0];
+};
+
 export const getWithdrawalById = async (withdrawalRequestId) => {
   try {
     const result = await query(
@@ -198,12 +215,15 @@ export const listWithdrawals = async ({
   }
 };
 
+// Sponsor matches and offline donations never pass through the payment
+// providers, so the donation sums below only count money that came in that way
 export const sumCompletedDonationsByCampaign = async (campaignId) => {
   try {
     const result = await query(
-      `SELECT COALESCE(SUM("amount"), 0) AS total
+      `SELECT COALESCE(SUM("baseAmount"), 0) AS total
        FROM "donations"
-       WHERE "campaignId" = $1 AND "status" = 'completed'`,
+       WHERE "campaignId" = $1 AND "status" = 'completed'
+         AND "paymentTransactionId" IS NOT NULL`,
       [campaignId]
     );
     return parseFloat(result.rows[0].total) || 0;
@@ -212,6 +232,40 @@ export const sumCompletedDonationsByCampaign = async (campaignId) => {
   }
 };
 
+export const sumRefundedDonationsByCampaign = async (campaignId) => {
+  try {
+    const result = await query(
+      `SELECT COALESCE(SUM("baseAmount"), 0) AS total
+       FROM "donations"
+       WHERE "campaignId" = $1 AND "status" IN ('refundPending', 'refunded')
+         AND "paymentTransactionId" IS NOT NULL`,
+      [campaignId]
+    );
+    return parseFloat(result.rows[0].total) || 0;
+  } catch (error) {
+    throw new DatabaseError("Failed to sum refunded donations");
+  }
+};
+
+// Donations flagged by the risk checks stay out of withdrawals until cleared;
+// rejected ones until they are refunded
+export const sumDonationsHeldForReviewByCampaign = async (campaignId) => {
+  try {
+    const result = await query(
+      `SELECT COALESCE(SUM(d."baseAmount"), 0) AS total
+       FROM "donations" d
+       JOIN "donationRiskAssessments" r ON r."donationId" = d."donationId"
+       WHERE d."campaignId" = $1
+         AND d."status" = 'completed'
+         AND r."reviewStatus" IN ('pending', 'rejected')`,
+      [campaignId]
+    );
+    return parseFloat(result.rows[0].total) || 0;
+  } catch (error) {
+    throw new DatabaseError("Failed to sum donations held for review");
+  }
+};
+
 export const sumReservedWithdrawalsByCampaign = async (campaignId) => {
   try {
     const result = await query(
@@ -240,21 +294,37 @@ export const sumPaidWithdrawalsByCampaign = async (campaignId) => {
   }
 };
 
-export const countWithdrawalsThisWeek = async (campaignId) => {
+export const countWithdrawalsSince = async (campaignId, since) => {
   try {
-    // Count only successful withdrawals (paid) in the current week.
-    // Use updatedAt because status transitions to 'paid' may happen after creation.
+    // Rejected and failed requests do not use up the organizer's allowance
     const result = await query(
       `SELECT COUNT(*)::int AS cnt
        FROM "withdrawalRequests"
        WHERE "campaignId" = $1
-         AND "status" = 'paid'
-         AND date_trunc('week', "updatedAt") = date_trunc('week', NOW())`,
-      [campaignId]
+         AND "status" NOT IN ('rejected', 'failed')
+         AND "createdAt" >= $2`,
+      [campaignId, since]
     );
     return result.rows[0].cnt || 0;
   } catch (error) {
-    throw new DatabaseError("Failed to count weekly withdrawals");
+    throw new DatabaseError("Failed to count recent withdrawals");
+  }
+};
+
+export const sumCompletedDonationsSince = async (campaignId, since) => {
+  try {
+    const result = await query(
+      `SELECT COALESCE(SUM("baseAmount"), 0) AS total
+       FROM "donations"
+       WHERE "campaignId" = $1
+         AND "status" = 'completed'
+         AND "paymentTransactionId" IS NOT NULL
+         AND "updatedAt" >= $2`,
+      [campaignId, since]
+    );
+    return parseFloat(result.rows[0].total) || 0;
+  } catch (error) {
+    throw new DatabaseError("Failed to sum recent completed donations");
   }
 };
 
@@ -319,16 +389,227 @@ export const getWithdrawalByTransactionId = async (transactionId) => {
   }
 };
 
+/**
+ * Links the payout transaction to a withdrawal that was just claimed for
+ * processing, on the request and on the processing entry of its history
+ */
+export const linkWithdrawalTransaction = async (
+  withdrawalRequestId,
+  transactionId
+) => {
+  try {
+    return await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE "withdrawalRequests"
+         SET "transactionId" = $2, "updatedAt" = CURRENT_TIMESTAMP
+         WHERE "withdrawalRequestId" = $1 AND "status" = 'processing'
+         RETURNING *`,
+        [withdrawalRequestId, transactionId]
+      );
+      await client.query(
+        `UPDATE "withdrawalStatusHistory"
+         SET "transactionId" = $2
+         WHERE "withdrawalStatusHistoryId" = (
+           SELECT "withdrawalStatusHistoryId" FROM "withdrawalStatusHistory"
+           WHERE "withdrawalRequestId" = $1 AND "toStatus" = 'processing'
+             AND "transactionId" IS NULL
+           ORDER BY "createdAt" DESC
+           LIMIT 1
+         )`,
+        [withdrawalRequestId, transactionId]
+      );
+      return result.rows[0] || null;
+    });
+  } catch (error) {
+    throw new DatabaseError("Failed to link withdrawal transaction");
+  }
+};
+
+/**
+ * Moves a withdrawal from `fromStatus` to `toStatus` and records the
+ * transition in one database transaction, or in the caller's when a client
+ * is given. Returns null when the row is no longer in `fromStatus` (someone
+ * else moved it first).
+ */
+export const transitionWithdrawalStatus = async (
+  withdrawalRequestId,
+  { fromStatus, toStatus, changedByUserId = null, reason = null, fields = {} },
+  client = null
+) => {
+  const sets = [`"status" = $3`];
+  const values = [withdrawalRequestId, fromStatus, toStatus];
+  let i = 4;
+  for (const [key, val] of Object.entries(fields)) {
+    if (val === undefined) continue;
+    sets.push(`"${key}" = $${i++}`);
+    values.push(val);
+  }
+
+  const apply = async (executor) => {
+    const result = await executor.query(
+      `UPDATE "withdrawalRequests"
+       SET ${sets.join(", ")}, "updatedAt" = CURRENT_TIMESTAMP
+       WHERE "withdrawalRequestId" = $1 AND "status" = $2
+       RETURNING *`,
+      values
+    );
+    const updated = result.rows[0];
+    if (!updated) return null;
+
+    await executor.query(
+      `INSERT INTO "withdrawalStatusHistory" (
+        "withdrawalRequestId", "fromStatus", "toStatus",
+        "changedByUserId", "transactionId", "reason"
+      ) VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        withdrawalRequestId,
+        fromStatus,
+        toStatus,
+        changedByUserId,
+        updated.transactionId || null,
+        reason,
+      ]
+    );
+    return updated;
+  };
+
+  try {
+    return client ? await apply(client) : await transaction(apply);
+  } catch (error) {
+    logger.error("Failed to transition withdrawal request", {
+      error: error.message,
+      withdrawalRequestId,
+      fromStatus,
+      toStatus,
+    });
+    throw new DatabaseError("Failed to update withdrawal status");
+  }
+};
+
+export const getWithdrawalStatusHistory = async (withdrawalRequestId) => {
+  try {
+    const result = await query(
+      `SELECT h.*, u."email" AS "changedByEmail"
+       FROM "withdrawalStatusHistory" h
+       LEFT JOIN "users" u ON u."userId" = h."changedByUserId"
+       WHERE h."withdrawalRequestId" = $1
+       ORDER BY h."createdAt" ASC`,
+      [withdrawalRequestId]
+    );
+    return result.rows;
+  } catch (error) {
+    throw new DatabaseError("Failed to fetch withdrawal status history");
+  }
+};
+
+/**
+ * Records one admin's approval. Returns null when that admin already
+ * approved the request.
+ */
+export const addWithdrawalApproval = async (
+  { withdrawalRequestId, approverUserId, approverRole, notes },
+  client = null
+) => {
+  const executor = client || { query };
+  try {
+    const result = await executor.query(
+      `INSERT INTO "withdrawalApprovals" (
+        "withdrawalRequestId", "approverUserId", "approverRole", "notes"
+      ) VALUES ($1, $2, $3, $4)
+      ON CONFLICT ("withdrawalRequestId", "approverUserId") DO NOTHING
+      RETURNING *`,
+      [withdrawalRequestId, approverUserId, approverRole, notes || null]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error("Failed to record withdrawal approval", {
+      error: error.message,
+      withdrawalRequestId,
+    });
+    throw new DatabaseError("Failed to record withdrawal approval");
+  }
+};
+
+export const getWithdrawalApprovals = async (
+  withdrawalRequestId,
+  client = null
+) => {
+  const executor = client || { query };
+  try {
+    const result = await executor.query(
+      `SELECT a.*, u."email" AS "approverEmail"
+       FROM "withdrawalApprovals" a
+       LEFT JOIN "users" u ON u."userId" = a."approverUserId"
+       WHERE a."withdrawalRequestId" = $1
+       ORDER BY a."createdAt" ASC`,
+      [withdrawalRequestId]
+    );
+    return result.rows;
+  } catch (error) {
+    throw new DatabaseError("Failed to fetch withdrawal approvals");
+  }
+};
+
+/**
+ * Pending withdrawals with the approvals collected so far, oldest first.
+ */
+export const listApprovalQueue = async ({ limit = 50, offset = 0 } = {}) => {
+  const sql = `
+    SELECT
+      w.*,
+      c."name" as "campaignName",
+      op."organizationName" as "organizerName",
+      COALESCE(
+        json_agg(
+          json_build_object(
+            'approverUserId', a."approverUserId",
+            'approverRole', a."approverRole",
+            'notes', a."notes",
+            'createdAt', a."createdAt"
+          ) ORDER BY a."createdAt"
+        ) FILTER (WHERE a."withdrawalApprovalId" IS NOT NULL),
+        '[]'
+      ) AS "approvals",
+      COUNT(*) OVER() AS "totalCount"
+    FROM "withdrawalRequests" w
+    LEFT JOIN "campaigns" c ON w."campaignId" = c."campaignId"
+    LEFT JOIN "organizationProfiles" op ON w."organizerId" = op."userId"
+    LEFT JOIN "withdrawalApprovals" a ON a."withdrawalRequestId" = w."withdrawalRequestId"
+    WHERE w."status" = 'pending'
+    GROUP BY w."withdrawalRequestId", c."name", op."organizationName"
+    ORDER BY w."createdAt" ASC
+    LIMIT $1 OFFSET $2
+  `;
+  try {
+    const result = await query(sql, [limit, offset]);
+    return {
+      items: result.rows.map(({ totalCount, ...row }) => row),
+      total: parseInt(result.rows[0]?.totalCount) || 0,
+    };
+  } catch (error) {
+    throw new DatabaseError("Failed to list withdrawal approval queue");
+  }
+};
+
 export default {
   createWithdrawalRequest,
   updateWithdrawalRequest,
+  lockWithdrawal,
   getWithdrawalById,
   getWithdrawalByTransactionId,
+  transitionWithdrawalStatus,
+  getWithdrawalStatusHistory,
+  addWithdrawalApproval,
+  getWithdrawalApprovals,
+  listApprovalQueue,
   listWithdrawalsForOrganizer,
   listWithdrawals,
   sumCompletedDonationsByCampaign,
+  sumRefundedDonationsByCampaign,
+  sumDonationsHeldForReviewByCampaign,
   sumReservedWithdrawalsByCampaign,
   sumPaidWithdrawalsByCampaign,
-  countWithdrawalsThisWeek,
+  countWithdrawalsSince,
+  sumCompletedDonationsSince,
   countWithdrawals,
 };
@@ -3,11 +3,13 @@ import { catchAsync } from "../../../middlewares/errorHandler.js";
 import {
   authenticate,
   requireAdmin,
+  restrictTo,
 } from "../../../middlewares/auth.middleware.js";
 import {
   validateCreateWithdrawal,
   validateListWithdrawals,
   validateAdminListWithdrawals,
+  validateApprovalQueue,
   validateWithdrawalId,
 } from "./withdrawal.validation.js";
 import {
@@ -15,14 +17,36 @@ import {
   listMyWithdrawals,
   adminListWithdrawals,
   approveWithdrawal,
+  getApprovalQueue,
   rejectWithdrawal,
   initiatePayoutManual,
   markPaid,
   markFailed,
+  retryPayout,
+  getWithdrawalHistory,
 } from "./withdrawal.controller.js";
+import {
+  validateCreatePolicyRule,
+  validateUpdatePolicyRule,
+  validatePolicyRuleId,
+  validateOrganizerId,
+  validateListPolicyRules,
+  validatePolicyPreview,
+  validateKycStatus,
+} from "./withdrawalPolicy.validation.js";
+import {
+  previewPolicy,
+  listPolicyRules,
+  createPolicyRule,
+  updatePolicyRule,
+  getEffectivePolicy,
+  setKycStatus,
+} from "./withdrawalPolicy.controller.js";
 
 const router = Router();
 
+const requireFinanceAdmin = restrictTo("financialAdmin", "superAdmin");
+
 // Organizer endpoints
 router.post(
   "/",
@@ -38,6 +62,14 @@ router.get(
   catchAsync(listMyWithdrawals)
 );
 
+// Limits that apply to a campaign and whether an amount would pass
+router.get(
+  "/policy",
+  authenticate,
+  validatePolicyPreview,
+  catchAsync(previewPolicy)
+);
+
 // Admin endpoints
 router.get(
   "/admin",
@@ -47,6 +79,14 @@ router.get(
   catchAsync(adminListWithdrawals)
 );
 
+router.get(
+  "/admin/approval-queue",
+  authenticate,
+  requireAdmin,
+  validateApprovalQueue,
+  catchAsync(getApprovalQueue)
+);
+
 router.post(
   "/admin/:withdrawalRequestId/approve",
   authenticate,
@@ -87,4 +127,63 @@ router.post(
   catchAsync(markFailed)
 );
 
+router.post(
+  "/admin/:withdrawalRequestId/retry-payout",
+  authenticate,
+  requireAdmin,
+  validateWithdrawalId,
+  catchAsync(retryPayout)
+);
+
+router.get(
+  "/admin/:withdrawalRequestId/history",
+  authenticate,
+  requireAdmin,
+  validateWithdrawalId,
+  catchAsync(getWithdrawalHistory)
+);
+
+// Withdrawal policy rules (finance admins)
+router.get(
+  "/admin/policies",
+  authenticate,
+  requireFinanceAdmin,
+  validateListPolicyRules,
+  catchAsync(listPolicyRules)
+);
+
+router.post(
+  "/admin/policies",
+  authenticate,
+  requireFinanceAdmin,
+  validateCreatePolicyRule,
+  catchAsync(createPolicyRule)
+);
+
+router.patch(
+  "/admin/policies/:withdrawalPolicyRuleId",
+  authenticate,
+  requireFinanceAdmin,
+  validatePolicyRuleId,
+  validateUpdatePolicyRule,
+  catchAsync(updatePolicyRule)
+);
+
+router.get(
+  "/admin/policies/effective/:organizerId",
+  authenticate,
+  requireFinanceAdmin,
+  validateOrganizerId,
+  catchAsync(getEffectivePolicy)
+);
+
+router.put(
+  "/admin/kyc/:organizerId",
+  authenticate,
+  requireFinanceAdmin,
+  validateOrganizerId,
+  validateKycStatus,
+  catchAsync(setKycStatus)
+);
+
 export default router;
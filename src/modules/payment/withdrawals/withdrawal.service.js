@@ -1,8 +1,13 @@
 import * as withdrawalRepo from "./withdrawal.repository.js";
 import * as transactionService from "../transactions/transaction.service.js";
+import * as ledgerService from "../ledger/ledger.service.js";
 import * as campaignRepo from "../../campaign/campaigns/campaign.repository.js";
-import { initiatePayout } from "../providers/zynlepay.provider.js";
-import { AppError } from "../../../utils/appError.js";
+import * as withdrawalPolicyService from "./withdrawalPolicy.service.js";
+import * as exchangeRateService from "../exchangeRates/exchangeRate.service.js";
+import { getProviderFor } from "../providers/provider.registry.js";
+import config from "../../../config/index.js";
+import { transaction } from "../../../db/index.js";
+import { AppError, PolicyViolationError } from "../../../utils/appError.js";
 import logger from "../../../utils/logger.js";
 import { logServiceEvent } from "../../audit/audit.utils.js";
 import notificationService from "../../notifications/notification.service.js";
@@ -10,17 +15,112 @@ import {
   ENTITY_TYPES,
   WITHDRAWAL_ACTIONS,
 } from "../../audit/audit.constants.js";
+import {
+  WITHDRAWAL_TRANSITIONS,
+  assertTransition,
+  canTransition,
+} from "./withdrawal.stateMachine.js";
+
+// Roles allowed to sign off withdrawals that need more than one approval
+export const MULTI_APPROVER_ROLES = ["financialAdmin", "superAdmin"];
+
+/**
+ * Approvals a withdrawal of this amount needs. The threshold is converted
+ * into the withdrawal's currency before comparing.
+ */
+export const requiredApprovalsFor = async (
+  amount,
+  currency = config.payments.withdrawalApproval.currency
+) => {
+  const approval = config.payments.withdrawalApproval;
+  let { threshold } = approval;
+  if (currency !== approval.currency) {
+    const converted = await exchangeRateService.convert(
+      threshold,
+      approval.currency,
+      currency
+    );
+    threshold = converted.amount;
+  }
+  return Number(amount) >= threshold
+    ? Math.max(1, approval.requiredApprovals)
+    : 1;
+};
 
-const RESERVED_STATUSES = ["pending", "approved", "processing", "paid"];
+/**
+ * Ledger campaign balances converted into the campaign's base currency at the
+ * latest rate. Balances with no published rate are left out of the total and
+ * reported separately rather than guessed.
+ */
+const convertLedgerBalances = async (campaignId, baseCurrency) => {
+  const balances = await ledgerService.getCampaignBalances(campaignId);
+  let total = 0;
+  const unconverted = [];
+  for (const { currency, balance } of balances) {
+    // Emptied accounts (e.g. after a currency correction) need no rate
+    if (balance === 0) continue;
+    if (currency === baseCurrency) {
+      total += balance;
+      continue;
+    }
+    try {
+      const converted = await exchangeRateService.convert(
+        balance,
+        currency,
+        baseCurrency
+      );
+      total += converted.amount;
+    } catch (error) {
+      if (error.statusCode !== 422) throw error;
+      unconverted.push({ currency, balance });
+    }
+  }
+  return { total: Math.round(total * 100) / 100, balances, unconverted };
+};
 
+/**
+ * Withdrawable funds for a campaign. Every figure is in the campaign's base
+ * currency: donations via their baseAmount snapshot, ledger balances held in
+ * other currencies at the latest rate. A campaign with no ledger entries yet
+ * (its history not backfilled) falls back to its donation and withdrawal
+ * sums, as before the ledger.
+ */
 export const computeAvailableBalance = async (campaignId) => {
+  const campaign = await campaignRepo.findCampaignById(campaignId);
+  const currency = campaign?.baseCurrency || config.payments.currency.default;
+
   const completed = await withdrawalRepo.sumCompletedDonationsByCampaign(
     campaignId
   );
+  const refunded = await withdrawalRepo.sumRefundedDonationsByCampaign(
+    campaignId
+  );
   const reserved = await withdrawalRepo.sumReservedWithdrawalsByCampaign(
     campaignId
   );
-  return { completed, reserved, available: Math.max(0, completed - reserved) };
+  // The ledger campaign account already reflects fees, refunds and payouts in flight;
+  // only withdrawals that have not reached the ledger yet still need holding back
+  const ledger = await convertLedgerBalances(campaignId, currency);
+  const heldForReview =
+    await withdrawalRepo.sumDonationsHeldForReviewByCampaign(campaignId);
+  const fromLedger = ledger.balances.length > 0;
+  const available = fromLedger
+    ? ledger.total -
+      (await ledgerService.getUnreservedWithdrawals(campaignId)) -
+      heldForReview
+    : completed - reserved - heldForReview;
+  return {
+    currency,
+    completed,
+    refunded,
+    reserved,
+    heldForReview,
+    balanceSource: fromLedger ? "ledger" : "donations",
+    ledgerBalance: ledger.total,
+    ledgerBalancesByCurrency: ledger.balances,
+    unconvertedBalances: ledger.unconverted,
+    available: Math.max(0, Math.round(available * 100) / 100),
+  };
 };
 
 export const requestWithdrawal = async (organizerId, payload) => {
@@ -30,37 +130,47 @@ export const requestWithdrawal = async (organizerId, payload) => {
   if (!campaign || campaign.organizerId !== organizerId) {
     throw new AppError("Campaign not found or not owned by organizer", 404);
   }
-
-  // Require at least one completed donation
-  const { completed, available } = await computeAvailableBalance(campaignId);
-  if (completed <= 0) {
+  // Balances and policy limits are in the base currency, so payouts are too
+  if (payload.currency && payload.currency !== campaign.baseCurrency) {
     throw new AppError(
-      "Withdrawals allowed only after first completed donation",
-      409
+      `Withdrawals for this campaign must be in ${campaign.baseCurrency}`,
+      400
     );
   }
 
-  // Min = 10% of goal
-  const minAmount = Number(campaign.goalAmount) * 0.1;
-  if (amount < minAmount) {
-    throw new AppError("Amount below minimum withdrawal (10% of goal)", 422);
-  }
+  const requiredApprovals = await requiredApprovalsFor(
+    amount,
+    campaign.baseCurrency
+  );
 
-  // Max = available balance
-  if (amount > available) {
-    throw new AppError("Amount exceeds available balance", 422);
-  }
+  // Requests and refunds for the campaign queue on its row, so two of them
+  // cannot pass the balance and frequency checks against the same funds
+  const created = await transaction(async (client) => {
+    await campaignRepo.lockCampaign(campaignId, client);
 
-  // Frequency: 2 per week
-  const weeklyCount = await withdrawalRepo.countWithdrawalsThisWeek(campaignId);
-  if (weeklyCount >= 2) {
-    throw new AppError("Weekly withdrawal limit reached (2 per week)", 429);
-  }
+    const balances = await computeAvailableBalance(campaignId);
+    const evaluation = await withdrawalPolicyService.evaluateWithdrawal({
+      organizerId,
+      campaign,
+      amount,
+      balances,
+    });
+    if (!evaluation.allowed) {
+      throw new PolicyViolationError(
+        evaluation.violations[0].message,
+        evaluation.violations
+      );
+    }
 
-  const created = await withdrawalRepo.createWithdrawalRequest({
-    ...payload,
-    organizerId,
-    currency: payload.currency || "ZMW",
+    return withdrawalRepo.createWithdrawalRequest(
+      {
+        ...payload,
+        organizerId,
+        currency: campaign.baseCurrency,
+        requiredApprovals,
+      },
+      client
+    );
   });
 
   try {
@@ -120,108 +230,246 @@ export const requestWithdrawal = async (organizerId, payload) => {
     });
   }
 
-  const balances = await computeAvailableBalance(campaignId);
-  return { created, balances };
+  return { created, balances: await computeAvailableBalance(campaignId) };
 };
 
-export const approveWithdrawal = async (
-  adminUserId,
-  withdrawalRequestId,
-  notes
+/**
+ * Lets an organizer see the limits that apply to a campaign, and whether a
+ * given amount would pass, before submitting a request.
+ */
+export const previewWithdrawalPolicy = async (
+  organizerId,
+  { campaignId, amount }
 ) => {
-  // Get withdrawal details first
-  const withdrawal = await withdrawalRepo.getWithdrawalById(
-    withdrawalRequestId
-  );
-  if (!withdrawal) {
-    throw new AppError("Withdrawal request not found", 404);
+  const campaign = await campaignRepo.findCampaignById(campaignId);
+  if (!campaign || campaign.organizerId !== organizerId) {
+    throw new AppError("Campaign not found or not owned by organizer", 404);
   }
+  const balances = await computeAvailableBalance(campaignId);
+  const evaluation = await withdrawalPolicyService.evaluateWithdrawal({
+    organizerId,
+    campaign,
+    amount,
+    balances,
+  });
+  return { ...evaluation, balances };
+};
 
-  if (withdrawal.status !== "pending") {
-    throw new AppError("Withdrawal request is not in pending status", 409);
-  }
+const parseDestination = (withdrawal) =>
+  typeof withdrawal.destination === "string"
+    ? JSON.parse(withdrawal.destination)
+    : withdrawal.destination;
 
-  // Update status to approved first
-  const updated = await withdrawalRepo.updateWithdrawalRequest(
-    withdrawalRequestId,
+/**
+ * Applies one state machine transition and records it in the history table.
+ * Fails with 409 when the transition is not allowed or the request changed
+ * underneath us.
+ */
+const transition = async (
+  withdrawal,
+  toStatus,
+  { actorUserId = null, reason = null, fields, client = null } = {}
+) => {
+  assertTransition(withdrawal.status, toStatus);
+  const updated = await withdrawalRepo.transitionWithdrawalStatus(
+    withdrawal.withdrawalRequestId,
     {
-      status: "approved",
-      approvedByUserId: adminUserId,
-      approvedAt: new Date(),
-      notes: notes || null,
-    }
+      fromStatus: withdrawal.status,
+      toStatus,
+      changedByUserId: actorUserId,
+      reason,
+      fields,
+    },
+    client
   );
-
-  try {
-    await logServiceEvent(
-      adminUserId,
-      WITHDRAWAL_ACTIONS.WITHDRAWAL_APPROVED,
-      ENTITY_TYPES.WITHDRAWAL_REQUEST,
-      withdrawalRequestId,
-      {
-        approvedByUserId: adminUserId,
-      }
+  if (!updated) {
+    throw new AppError(
+      "Withdrawal request was updated by someone else. Please reload and try again.",
+      409
     );
+  }
+  return updated;
+};
 
-    // Extract phone number from destination
-    const destination =
-      typeof withdrawal.destination === "string"
-        ? JSON.parse(withdrawal.destination)
-        : withdrawal.destination;
-
-    const phoneNumber = destination?.phoneNumber;
-    if (!phoneNumber) {
-      throw new AppError(
-        "Phone number not found in withdrawal destination",
-        400
-      );
-    }
-
-    // Generate reference number
-    const referenceNo = `WD-${withdrawalRequestId}-${Date.now()}`;
+const notifyPayoutFailed = async (withdrawal, errorMessage) => {
+  await notificationService.createAndDispatch({
+    userId: withdrawal.organizerId,
+    type: "inApp",
+    category: "withdrawals",
+    priority: "high",
+    title: "Withdrawal failed",
+    message: `Your withdrawal of ${withdrawal.amount} ${withdrawal.currency} failed to process. Please contact support.`,
+    relatedEntityType: "WithdrawalRequest",
+    relatedEntityId: withdrawal.withdrawalRequestId,
+  });
 
-    // Initiate payment with ZynlePay
-    logger.info("Initiating ZynlePay payout", {
-      withdrawalRequestId,
-      phoneNumber,
+  try {
+    const { createWithdrawalFailedTemplate } = await import(
+      "../../../utils/emailTemplates.js"
+    );
+    const html = createWithdrawalFailedTemplate({
+      organizerName: "", // Will be filled by notification service
       amount: withdrawal.amount,
-      referenceNo,
+      currency: withdrawal.currency,
+      phoneNumber: parseDestination(withdrawal)?.phoneNumber,
+      withdrawalRequestId: withdrawal.withdrawalRequestId,
+      errorMessage,
     });
 
-    const paymentResult = await initiatePayout({
-      phoneNumber,
-      amount: withdrawal.amount,
-      referenceNo,
+    await notificationService.createAndDispatch({
+      userId: withdrawal.organizerId,
+      type: "email",
+      category: "withdrawals",
+      priority: "high",
+      title: "Withdrawal failed",
+      message: html,
+      relatedEntityType: "WithdrawalRequest",
+      relatedEntityId: withdrawal.withdrawalRequestId,
+    });
+  } catch (emailErr) {
+    logger.warn("Failed to send withdrawal failed email", {
+      error: emailErr.message,
+      withdrawalRequestId: withdrawal.withdrawalRequestId,
     });
+  }
+};
 
-    logger.info("ZynlePay payout initiated", {
-      withdrawalRequestId,
-      paymentResult,
+/**
+ * Sends an approved (or previously failed) withdrawal to the payment provider.
+ * The withdrawal is claimed (moved to processing) before anything else, so a
+ * repeated approval or retry gets a 409 instead of a second payout; the
+ * transaction row, which reserves the funds in the ledger, is created before
+ * the provider is called. Completion arrives through the payout webhook.
+ */
+const startProviderPayout = async (withdrawal, actorUserId, reason) => {
+  const { withdrawalRequestId } = withdrawal;
+  const phoneNumber = parseDestination(withdrawal)?.phoneNumber;
+  if (!phoneNumber) {
+    await transition(withdrawal, "failed", {
+      actorUserId,
+      reason: "Phone number not found in withdrawal destination",
     });
+    throw new AppError(
+      "Phone number not found in withdrawal destination",
+      400
+    );
+  }
+
+  // A retry drops the failed attempt's transaction until the new one exists,
+  // so the amount counts as unreserved in the meantime
+  const claimed = await transition(withdrawal, "processing", {
+    actorUserId,
+    reason,
+    fields: { transactionId: null },
+  });
+
+  // Unique per attempt so retries get their own transaction
+  const referenceNo = `WD-${withdrawalRequestId}-${Date.now()}`;
+  const provider = getProviderFor(null);
 
-    // Create transaction record
-    const transaction = await transactionService.createTransaction({
+  const failPayout = async (message) => {
+    await transition(claimed, "failed", {
+      actorUserId,
+      reason: message,
+      fields: { notes: message },
+    });
+    await logServiceEvent(
+      withdrawal.organizerId,
+      WITHDRAWAL_ACTIONS.WITHDRAWAL_FAILED,
+      ENTITY_TYPES.WITHDRAWAL_REQUEST,
+      withdrawalRequestId,
+      { error: message }
+    );
+    await notifyPayoutFailed(withdrawal, message);
+  };
+
+  let transaction;
+  try {
+    transaction = await transactionService.createTransaction({
       userId: withdrawal.organizerId,
       campaignId: withdrawal.campaignId,
       amount: withdrawal.amount,
       currency: withdrawal.currency,
       gatewayTransactionId: referenceNo,
-      gatewayUsed: "zynlepay",
+      gatewayUsed: provider.name,
       transactionType: "withdrawal_out",
       phoneNumber,
-      gatewayRequestId: paymentResult.gatewayRequestId,
     });
+    await withdrawalRepo.linkWithdrawalTransaction(
+      withdrawalRequestId,
+      transaction.transactionId
+    );
+  } catch (error) {
+    logger.error("Failed to record payout transaction", {
+      withdrawalRequestId,
+      error: error.message,
+    });
+    await failPayout(`Payout could not be recorded: ${error.message}`);
+    throw error;
+  }
+
+  logger.info("Initiating payout", {
+    provider: provider.name,
+    withdrawalRequestId,
+    phoneNumber,
+    amount: withdrawal.amount,
+    referenceNo,
+  });
+
+  let paymentResult;
+  try {
+    paymentResult = await provider.initiatePayout({
+      phoneNumber,
+      amount: withdrawal.amount,
+      referenceNo,
+    });
+  } catch (error) {
+    logger.error("Failed to initiate payment for approved withdrawal", {
+      withdrawalRequestId,
+      error: error.message,
+    });
+
+    // Releases the ledger reservation
+    await transactionService.processPaymentFailure(referenceNo, {
+      error: error.message,
+    });
+    await failPayout(`Payment initiation failed: ${error.message}`);
+
+    // Preserve provider's status code and message for clear user feedback
+    throw new AppError(
+      error?.message || "Withdrawal approved but payout initiation failed",
+      error?.statusCode || 502
+    );
+  }
+
+  logger.info("Payout initiated", {
+    withdrawalRequestId,
+    paymentResult,
+  });
+
+  await transactionService.markProcessingWithGatewayData(
+    transaction.transactionId,
+    {
+      gatewayRequestId: paymentResult.gatewayRequestId,
+      gatewayResponse: paymentResult.raw,
+      status: "processing",
+    }
+  );
+  const updated = { ...claimed, transactionId: transaction.transactionId };
 
-    // Update withdrawal with transaction ID and processing status
-    const finalUpdated = await withdrawalRepo.updateWithdrawalRequest(
+  try {
+    await logServiceEvent(
+      actorUserId,
+      WITHDRAWAL_ACTIONS.WITHDRAWAL_PROCESSING,
+      ENTITY_TYPES.WITHDRAWAL_REQUEST,
       withdrawalRequestId,
       {
-        status: "processing",
         transactionId: transaction.transactionId,
+        gatewayRequestId: paymentResult.gatewayRequestId,
+        referenceNo,
       }
     );
 
-    // Send notifications
     await notificationService.createAndDispatch({
       userId: withdrawal.organizerId,
       type: "inApp",
@@ -233,89 +481,268 @@ export const approveWithdrawal = async (
       relatedEntityId: withdrawalRequestId,
     });
 
-    // Send email notification
-    try {
-      const { createWithdrawalInitiatedTemplate } = await import(
-        "../../../utils/emailTemplates.js"
-      );
-      const html = createWithdrawalInitiatedTemplate({
-        organizerName: "", // Will be filled by notification service
-        amount: withdrawal.amount,
-        currency: withdrawal.currency,
-        phoneNumber,
-        withdrawalRequestId,
-      });
-
-      await notificationService.createAndDispatch({
-        userId: withdrawal.organizerId,
-        type: "email",
-        category: "withdrawals",
-        priority: "high",
-        title: "Withdrawal payment initiated",
-        message: html,
-        relatedEntityType: "WithdrawalRequest",
-        relatedEntityId: withdrawalRequestId,
-      });
-    } catch (emailErr) {
-      logger.warn("Failed to send withdrawal initiated email", {
-        error: emailErr.message,
-        withdrawalRequestId,
-      });
-    }
-
-    return {
-      ...finalUpdated,
-      paymentInitiated: true,
-      transactionId: transaction.transactionId,
-      gatewayRequestId: paymentResult.gatewayRequestId,
-      referenceNo,
-    };
-  } catch (error) {
-    logger.error("Failed to initiate payment for approved withdrawal", {
+    const { createWithdrawalInitiatedTemplate } = await import(
+      "../../../utils/emailTemplates.js"
+    );
+    const html = createWithdrawalInitiatedTemplate({
+      organizerName: "", // Will be filled by notification service
+      amount: withdrawal.amount,
+      currency: withdrawal.currency,
+      phoneNumber,
       withdrawalRequestId,
-      error: error.message,
-    });
-
-    // Mark withdrawal as failed if payment initiation fails
-    await withdrawalRepo.updateWithdrawalRequest(withdrawalRequestId, {
-      status: "failed",
-      notes: `Payment initiation failed: ${error.message}`,
     });
 
-    // Send failure notification
     await notificationService.createAndDispatch({
       userId: withdrawal.organizerId,
-      type: "inApp",
+      type: "email",
       category: "withdrawals",
       priority: "high",
-      title: "Withdrawal payment failed",
-      message: `Your withdrawal of ${withdrawal.amount} ${withdrawal.currency} failed to initiate. Please contact support.`,
+      title: "Withdrawal payment initiated",
+      message: html,
       relatedEntityType: "WithdrawalRequest",
       relatedEntityId: withdrawalRequestId,
     });
+  } catch (notifyErr) {
+    logger.warn("Failed to send withdrawal initiated notifications", {
+      error: notifyErr.message,
+      withdrawalRequestId,
+    });
+  }
 
-    // Preserve provider's status code and message for clear user feedback
-    const statusCode = error?.statusCode || 502;
-    const message =
-      error?.message || "Withdrawal approved but payout initiation failed";
-    throw new AppError(message, statusCode);
+  return {
+    ...updated,
+    paymentInitiated: true,
+    transactionId: transaction.transactionId,
+    gatewayRequestId: paymentResult.gatewayRequestId,
+    referenceNo,
+  };
+};
+
+/**
+ * Records an approval and, once the request has collected the approvals it
+ * needs, moves it to approved and starts the payout. Requests above the
+ * maker-checker threshold need distinct financialAdmin/superAdmin approvers;
+ * the organizer who requested the withdrawal can never approve it.
+ */
+export const approveWithdrawal = async (
+  adminUserId,
+  withdrawalRequestId,
+  notes,
+  adminRole
+) => {
+  // Approvers queue on the withdrawal row, so each one counts the approvals
+  // committed before it and only the last required one moves it on
+  const { withdrawal, approvals, approved } = await transaction(
+    async (client) => {
+      const withdrawal = await withdrawalRepo.lockWithdrawal(
+        withdrawalRequestId,
+        client
+      );
+      assertTransition(withdrawal.status, "approved");
+
+      if (withdrawal.organizerId === adminUserId) {
+        throw new AppError(
+          "You cannot approve your own withdrawal request",
+          403
+        );
+      }
+
+      const requiredApprovals = withdrawal.requiredApprovals || 1;
+      if (requiredApprovals > 1 && !MULTI_APPROVER_ROLES.includes(adminRole)) {
+        throw new AppError(
+          "This withdrawal requires approval by a financial or super admin",
+          403
+        );
+      }
+
+      const approval = await withdrawalRepo.addWithdrawalApproval(
+        {
+          withdrawalRequestId,
+          approverUserId: adminUserId,
+          approverRole: adminRole,
+          notes,
+        },
+        client
+      );
+      if (!approval) {
+        throw new AppError("You have already approved this withdrawal", 409);
+      }
+
+      const approvals = await withdrawalRepo.getWithdrawalApprovals(
+        withdrawalRequestId,
+        client
+      );
+      if (approvals.length < requiredApprovals) {
+        return { withdrawal, approvals, approved: null };
+      }
+
+      const approved = await transition(withdrawal, "approved", {
+        actorUserId: adminUserId,
+        reason: notes || null,
+        fields: {
+          approvedByUserId: adminUserId,
+          approvedAt: new Date(),
+          notes: notes || null,
+        },
+        client,
+      });
+      return { withdrawal, approvals, approved };
+    }
+  );
+
+  const requiredApprovals = withdrawal.requiredApprovals || 1;
+  const approvalChain = approvals.map((a) => ({
+    approverUserId: a.approverUserId,
+    approverRole: a.approverRole,
+    approvedAt: a.createdAt,
+  }));
+
+  if (!approved) {
+    await logServiceEvent(
+      adminUserId,
+      WITHDRAWAL_ACTIONS.WITHDRAWAL_APPROVAL_RECORDED,
+      ENTITY_TYPES.WITHDRAWAL_REQUEST,
+      withdrawalRequestId,
+      {
+        approvalsReceived: approvals.length,
+        requiredApprovals,
+        approvalChain,
+      }
+    );
+    return {
+      ...withdrawal,
+      approvals,
+      approvalsReceived: approvals.length,
+      awaitingApprovals: requiredApprovals - approvals.length,
+      paymentInitiated: false,
+    };
+  }
+
+  await logServiceEvent(
+    adminUserId,
+    WITHDRAWAL_ACTIONS.WITHDRAWAL_APPROVED,
+    ENTITY_TYPES.WITHDRAWAL_REQUEST,
+    withdrawalRequestId,
+    {
+      approvedByUserId: adminUserId,
+      requiredApprovals,
+      approvalChain,
+    }
+  );
+
+  // Approval hands the payout straight to the provider
+  const result = await startProviderPayout(
+    approved,
+    adminUserId,
+    "Payout initiated on approval"
+  );
+  return { ...result, approvals, awaitingApprovals: 0 };
+};
+
+/**
+ * Pending withdrawals waiting for approval, flagged with whether the calling
+ * admin may approve them.
+ */
+export const getApprovalQueue = async (
+  adminUserId,
+  adminRole,
+  { page = 1, limit = 50 } = {}
+) => {
+  const { items, total } = await withdrawalRepo.listApprovalQueue({
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  const data = items.map((item) => {
+    const requiredApprovals = item.requiredApprovals || 1;
+    const alreadyApproved = item.approvals.some(
+      (a) => a.approverUserId === adminUserId
+    );
+    const canApprove =
+      item.organizerId !== adminUserId &&
+      !alreadyApproved &&
+      (requiredApprovals === 1 || MULTI_APPROVER_ROLES.includes(adminRole));
+    return {
+      ...item,
+      approvalsReceived: item.approvals.length,
+      awaitingApprovals: Math.max(0, requiredApprovals - item.approvals.length),
+      alreadyApproved,
+      canApprove,
+    };
+  });
+
+  return {
+    data,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalCount: total,
+      limit,
+    },
+  };
+};
+
+/**
+ * A failed payout released its reservation, so the funds may have been
+ * refunded or withdrawn since; a new transaction reserves them again.
+ */
+const assertBalanceStillCovers = async (withdrawal) => {
+  const { available, currency } = await computeAvailableBalance(
+    withdrawal.campaignId
+  );
+  if (Number(withdrawal.amount) > available) {
+    throw new AppError(
+      `Campaign balance (${available} ${currency}) no longer covers this withdrawal`,
+      409
+    );
   }
 };
 
+/**
+ * Sends a failed payout to the provider again as a new transaction, if the
+ * campaign can still cover it.
+ */
+export const retryWithdrawalPayout = async (
+  adminUserId,
+  withdrawalRequestId
+) => {
+  const withdrawal = await withdrawalRepo.getWithdrawalById(
+    withdrawalRequestId
+  );
+  assertTransition(withdrawal.status, "processing");
+  await assertBalanceStillCovers(withdrawal);
+
+  await logServiceEvent(
+    adminUserId,
+    WITHDRAWAL_ACTIONS.WITHDRAWAL_PAYOUT_RETRIED,
+    ENTITY_TYPES.WITHDRAWAL_REQUEST,
+    withdrawalRequestId,
+    {
+      previousStatus: withdrawal.status,
+      previousTransactionId: withdrawal.transactionId,
+    }
+  );
+
+  return startProviderPayout(withdrawal, adminUserId, "Payout retried");
+};
+
 export const rejectWithdrawal = async (
   adminUserId,
   withdrawalRequestId,
   reason
 ) => {
-  const updated = await withdrawalRepo.updateWithdrawalRequest(
-    withdrawalRequestId,
-    {
-      status: "rejected",
+  const withdrawal = await withdrawalRepo.getWithdrawalById(
+    withdrawalRequestId
+  );
+  const updated = await transition(withdrawal, "rejected", {
+    actorUserId: adminUserId,
+    reason: reason || null,
+    fields: {
       approvedByUserId: adminUserId,
       approvedAt: new Date(),
       notes: reason || null,
-    }
-  );
+    },
+  });
   try {
     await logServiceEvent(
       adminUserId,
@@ -327,7 +754,7 @@ export const rejectWithdrawal = async (
         reason,
       }
     );
-    const wr = await withdrawalRepo.getWithdrawalById(withdrawalRequestId);
+    const wr = updated;
     await notificationService.createAndDispatch({
       userId: wr.organizerId,
       type: "inApp",
@@ -374,30 +801,57 @@ export const rejectWithdrawal = async (
   return updated;
 };
 
-export const initiatePayoutManual = async (withdrawalRequestId) => {
+/**
+ * Records a payout made outside the provider (e.g. bank transfer by finance).
+ * The withdrawal is claimed before its transaction is created, so a repeated
+ * request gets a 409 instead of a second payout record.
+ */
+export const initiatePayoutManual = async (
+  withdrawalRequestId,
+  adminUserId = null
+) => {
   const wr = await withdrawalRepo.getWithdrawalById(withdrawalRequestId);
-  if (!RESERVED_STATUSES.includes(wr.status)) {
-    throw new AppError("Withdrawal not in a payable state", 409);
-  }
-  // Create a transaction record in processing state (gatewayUsed='manual')
-  const referenceNo = `WD-${wr.withdrawalRequestId}`;
-  const txn = await transactionService.createTransaction({
-    userId: wr.organizerId,
-    campaignId: wr.campaignId,
-    amount: wr.amount,
-    currency: wr.currency,
-    gatewayTransactionId: referenceNo,
-    gatewayUsed: "manual",
-    transactionType: "withdrawal_out",
+  assertTransition(wr.status, "processing");
+  if (wr.status === "failed") await assertBalanceStillCovers(wr);
+
+  const claimed = await transition(wr, "processing", {
+    actorUserId: adminUserId,
+    reason: "Manual payout initiated",
+    fields: { transactionId: null },
   });
 
-  const updated = await withdrawalRepo.updateWithdrawalRequest(
-    withdrawalRequestId,
-    {
-      status: "processing",
-      transactionId: txn.transactionId,
-    }
-  );
+  // Deterministic per attempt: a retry is keyed on the failed transaction it replaces
+  const referenceNo = wr.transactionId
+    ? `WD-${wr.withdrawalRequestId}-${wr.transactionId}`
+    : `WD-${wr.withdrawalRequestId}`;
+  let txn;
+  try {
+    // Create a transaction record in processing state (gatewayUsed='manual')
+    txn = await transactionService.createTransaction({
+      userId: wr.organizerId,
+      campaignId: wr.campaignId,
+      amount: wr.amount,
+      currency: wr.currency,
+      gatewayTransactionId: referenceNo,
+      gatewayUsed: "manual",
+      transactionType: "withdrawal_out",
+    });
+    await withdrawalRepo.linkWithdrawalTransaction(
+      withdrawalRequestId,
+      txn.transactionId
+    );
+  } catch (error) {
+    logger.error("Failed to record manual payout transaction", {
+      withdrawalRequestId,
+      error: error.message,
+    });
+    await transition(claimed, "failed", {
+      actorUserId: adminUserId,
+      reason: `Payout could not be recorded: ${error.message}`,
+    });
+    throw error;
+  }
+  const updated = { ...claimed, transactionId: txn.transactionId };
 
   try {
     await logServiceEvent(
@@ -407,6 +861,7 @@ export const initiatePayoutManual = async (withdrawalRequestId) => {
       withdrawalRequestId,
       {
         transactionId: txn.transactionId,
+        referenceNo,
       }
     );
     await notificationService.createAndDispatch({
@@ -419,29 +874,23 @@ export const initiatePayoutManual = async (withdrawalRequestId) => {
       relatedEntityType: "WithdrawalRequest",
       relatedEntityId: withdrawalRequestId,
     });
-  } catch {}
+  } catch (notifyErr) {
+    logger.warn("Failed to send manual payout notifications", {
+      error: notifyErr.message,
+      withdrawalRequestId,
+    });
+  }
   return { updated, transaction: txn };
 };
 
-export const markPaid = async (withdrawalRequestId) => {
-  const wr = await withdrawalRepo.getWithdrawalById(withdrawalRequestId);
-  if (!wr.transactionId) throw new AppError("No transaction linked", 409);
-  await transactionService.updateTransactionStatus(
-    wr.transactionId,
-    "succeeded"
-  );
-  const updated = await withdrawalRepo.updateWithdrawalRequest(
-    withdrawalRequestId,
-    {
-      status: "paid",
-    }
-  );
+const settlePaid = async (wr, { actorUserId = null, reason } = {}) => {
+  const updated = await transition(wr, "paid", { actorUserId, reason });
   try {
     await logServiceEvent(
-      wr.organizerId,
+      actorUserId || wr.organizerId,
       WITHDRAWAL_ACTIONS.WITHDRAWAL_COMPLETED,
       ENTITY_TYPES.WITHDRAWAL_REQUEST,
-      withdrawalRequestId,
+      wr.withdrawalRequestId,
       {
         transactionId: wr.transactionId,
       }
@@ -451,63 +900,168 @@ export const markPaid = async (withdrawalRequestId) => {
       type: "inApp",
       category: "withdrawals",
       priority: "high",
-      title: "Withdrawal paid",
-      message: `Your withdrawal of ${wr.amount} ${wr.currency} has been paid`,
+      title: "Withdrawal completed",
+      message: `Your withdrawal of ${wr.amount} ${wr.currency} has been successfully processed`,
       relatedEntityType: "WithdrawalRequest",
-      relatedEntityId: withdrawalRequestId,
+      relatedEntityId: wr.withdrawalRequestId,
     });
-  } catch {}
-  return updated;
-};
 
-export const markFailed = async (withdrawalRequestId, reason) => {
-  const wr = await withdrawalRepo.getWithdrawalById(withdrawalRequestId);
-  if (wr.transactionId) {
-    await transactionService.updateTransactionStatus(
-      wr.transactionId,
-      "failed"
+    const { createWithdrawalCompletedTemplate } = await import(
+      "../../../utils/emailTemplates.js"
     );
+    const html = createWithdrawalCompletedTemplate({
+      organizerName: "", // Will be filled by notification service
+      amount: wr.amount,
+      currency: wr.currency,
+      phoneNumber: parseDestination(wr)?.phoneNumber,
+      withdrawalRequestId: wr.withdrawalRequestId,
+    });
+    await notificationService.createAndDispatch({
+      userId: wr.organizerId,
+      type: "email",
+      category: "withdrawals",
+      priority: "high",
+      title: "Withdrawal completed successfully",
+      message: html,
+      relatedEntityType: "WithdrawalRequest",
+      relatedEntityId: wr.withdrawalRequestId,
+    });
+  } catch (notifyErr) {
+    logger.warn("Failed to send withdrawal completed notifications", {
+      error: notifyErr.message,
+      withdrawalRequestId: wr.withdrawalRequestId,
+    });
   }
-  const updated = await withdrawalRepo.updateWithdrawalRequest(
-    withdrawalRequestId,
-    {
-      status: "failed",
-      notes: reason || wr.notes,
-    }
-  );
+  return updated;
+};
+
+const settleFailed = async (wr, { actorUserId = null, reason } = {}) => {
+  const updated = await transition(wr, "failed", {
+    actorUserId,
+    reason: reason || null,
+    fields: { notes: reason ? `Payment failed: ${reason}` : wr.notes },
+  });
   try {
     await logServiceEvent(
-      wr.organizerId,
+      actorUserId || wr.organizerId,
       WITHDRAWAL_ACTIONS.WITHDRAWAL_FAILED,
       ENTITY_TYPES.WITHDRAWAL_REQUEST,
-      withdrawalRequestId,
+      wr.withdrawalRequestId,
       {
         transactionId: wr.transactionId,
         reason,
       }
     );
-    await notificationService.createAndDispatch({
-      userId: wr.organizerId,
-      type: "inApp",
-      category: "withdrawals",
-      priority: "high",
-      title: "Withdrawal failed",
-      message: `Your withdrawal of ${wr.amount} ${wr.currency} failed${
-        reason ? `: ${reason}` : ""
-      }`,
-      relatedEntityType: "WithdrawalRequest",
-      relatedEntityId: withdrawalRequestId,
+    await notifyPayoutFailed(wr, reason || "Unknown error");
+  } catch (notifyErr) {
+    logger.warn("Failed to send withdrawal failed notifications", {
+      error: notifyErr.message,
+      withdrawalRequestId: wr.withdrawalRequestId,
     });
-  } catch {}
+  }
   return updated;
 };
 
+export const markPaid = async (withdrawalRequestId, adminUserId = null) => {
+  const wr = await withdrawalRepo.getWithdrawalById(withdrawalRequestId);
+  assertTransition(wr.status, "paid");
+  if (!wr.transactionId) throw new AppError("No transaction linked", 409);
+
+  const txn = await transactionService.getTransactionById(wr.transactionId);
+  await transactionService.processPaymentSuccess(txn.gatewayTransactionId, {
+    confirmedManually: true,
+    confirmedByUserId: adminUserId,
+  });
+  return settlePaid(wr, {
+    actorUserId: adminUserId,
+    reason: "Marked paid by admin",
+  });
+};
+
+export const markFailed = async (
+  withdrawalRequestId,
+  reason,
+  adminUserId = null
+) => {
+  const wr = await withdrawalRepo.getWithdrawalById(withdrawalRequestId);
+  assertTransition(wr.status, "failed");
+
+  if (wr.transactionId) {
+    const txn = await transactionService.getTransactionById(wr.transactionId);
+    await transactionService.processPaymentFailure(txn.gatewayTransactionId, {
+      message: reason || "Marked failed by admin",
+      markedByUserId: adminUserId,
+    });
+  }
+  return settleFailed(wr, { actorUserId: adminUserId, reason });
+};
+
+/**
+ * Webhook-driven completion of a provider payout.
+ * Returns null when the transaction does not belong to a withdrawal or the
+ * withdrawal is no longer waiting on it.
+ */
+export const completeWithdrawalPayout = async (txn) => {
+  const wr = await withdrawalRepo.getWithdrawalByTransactionId(
+    txn.transactionId
+  );
+  if (!wr) return null;
+  if (!canTransition(wr.status, "paid")) {
+    logger.warn("Ignoring payout success for withdrawal", {
+      withdrawalRequestId: wr.withdrawalRequestId,
+      status: wr.status,
+    });
+    return null;
+  }
+  return settlePaid(wr, { reason: "Payout confirmed by provider" });
+};
+
+export const failWithdrawalPayout = async (txn, reason) => {
+  const wr = await withdrawalRepo.getWithdrawalByTransactionId(
+    txn.transactionId
+  );
+  if (!wr) return null;
+  if (!canTransition(wr.status, "failed")) {
+    logger.warn("Ignoring payout failure for withdrawal", {
+      withdrawalRequestId: wr.withdrawalRequestId,
+      status: wr.status,
+    });
+    return null;
+  }
+  return settleFailed(wr, { reason });
+};
+
+export const getWithdrawalHistory = async (withdrawalRequestId) => {
+  const withdrawal = await withdrawalRepo.getWithdrawalById(
+    withdrawalRequestId
+  );
+  const history = await withdrawalRepo.getWithdrawalStatusHistory(
+    withdrawalRequestId
+  );
+  const approvals = await withdrawalRepo.getWithdrawalApprovals(
+    withdrawalRequestId
+  );
+  return {
+    withdrawal,
+    history,
+    approvals,
+    allowedTransitions: WITHDRAWAL_TRANSITIONS[withdrawal.status] || [],
+  };
+};
+
 export default {
   computeAvailableBalance,
   requestWithdrawal,
+  previewWithdrawalPolicy,
+  requiredApprovalsFor,
   approveWithdrawal,
+  getApprovalQueue,
   rejectWithdrawal,
+  retryWithdrawalPayout,
   initiatePayoutManual,
   markPaid,
   markFailed,
+  completeWithdrawalPayout,
+  failWithdrawalPayout,
+  getWithdrawalHistory,
 };
@@ -0,0 +1,34 @@
+import { AppError } from "../../../utils/appError.js";
+
+/**
+ * Withdrawal State Machine
+ *
+ *   pending ──► approved ──► processing ──► paid
+ *      │            │            │
+ *      ▼            ▼            ▼
+ *   rejected      failed ◄───────┘
+ *                   │
+ *                   └──► processing (payout retry)
+ */
+export const WITHDRAWAL_TRANSITIONS = {
+  pending: ["approved", "rejected"],
+  approved: ["processing", "failed"],
+  processing: ["paid", "failed"],
+  failed: ["processing"],
+  paid: [],
+  rejected: [],
+};
+
+export const canTransition = (fromStatus, toStatus) =>
+  (WITHDRAWAL_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+export const assertTransition = (fromStatus, toStatus) => {
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new AppError(
+      `Withdrawal cannot move from ${fromStatus} to ${toStatus}`,
+      409
+    );
+  }
+};
+
+export default { WITHDRAWAL_TRANSITIONS, canTransition, assertTransition };
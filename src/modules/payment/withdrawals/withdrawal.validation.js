@@ -34,7 +34,8 @@ export const validateCreateWithdrawal = validate(
   Joi.object({
     campaignId: Joi.string().uuid().required(),
     amount: Joi.number().positive().precision(2).required(),
-    currency: Joi.string().length(3).uppercase().default("ZMW"),
+    // Defaults to the campaign's base currency, the only one accepted
+    currency: Joi.string().length(3).uppercase().optional(),
     destinationType: Joi.string().valid("mobile_money", "bank").required(),
     destination: Joi.when("destinationType", {
       is: "mobile_money",
@@ -77,6 +78,14 @@ export const validateAdminListWithdrawals = validate(
   "query"
 );
 
+export const validateApprovalQueue = validate(
+  Joi.object({
+    page: Joi.number().min(1).default(1),
+    limit: Joi.number().min(1).max(100).default(50),
+  }),
+  "query"
+);
+
 export const validateWithdrawalId = validate(
   Joi.object({ withdrawalRequestId: Joi.string().uuid().required() }),
   "params"
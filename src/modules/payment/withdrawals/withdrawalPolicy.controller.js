@@ -0,0 +1,80 @@
+import * as withdrawalPolicyService from "./withdrawalPolicy.service.js";
+import * as withdrawalService from "./withdrawal.service.js";
+import { ResponseFactory } from "../../../utils/response.utils.js";
+
+export const previewPolicy = async (req, res) => {
+  const { campaignId, amount } = req.query;
+
+  const result = await withdrawalService.previewWithdrawalPolicy(
+    req.user.userId,
+    { campaignId, amount: amount === undefined ? undefined : Number(amount) }
+  );
+
+  return ResponseFactory.ok(res, "Withdrawal policy evaluated", result);
+};
+
+export const listPolicyRules = async (req, res) => {
+  const rules = await withdrawalPolicyService.listPolicyRules(req.query);
+
+  return ResponseFactory.ok(
+    res,
+    "Withdrawal policy rules retrieved successfully",
+    rules
+  );
+};
+
+export const createPolicyRule = async (req, res) => {
+  const rule = await withdrawalPolicyService.createPolicyRule(
+    req.user.userId,
+    req.body
+  );
+
+  return ResponseFactory.created(
+    res,
+    "Withdrawal policy rule created successfully",
+    rule
+  );
+};
+
+export const updatePolicyRule = async (req, res) => {
+  const { withdrawalPolicyRuleId } = req.params;
+
+  const rule = await withdrawalPolicyService.updatePolicyRule(
+    req.user.userId,
+    withdrawalPolicyRuleId,
+    req.body
+  );
+
+  return ResponseFactory.ok(
+    res,
+    "Withdrawal policy rule updated successfully",
+    rule
+  );
+};
+
+export const getEffectivePolicy = async (req, res) => {
+  const result = await withdrawalPolicyService.resolvePolicy(
+    req.params.organizerId
+  );
+
+  return ResponseFactory.ok(res, "Effective withdrawal policy retrieved", result);
+};
+
+export const setKycStatus = async (req, res) => {
+  const result = await withdrawalPolicyService.setKycStatus(
+    req.user.userId,
+    req.params.organizerId,
+    req.body.verified
+  );
+
+  return ResponseFactory.ok(res, "KYC status updated", result);
+};
+
+export default {
+  previewPolicy,
+  listPolicyRules,
+  createPolicyRule,
+  updatePolicyRule,
+  getEffectivePolicy,
+  setKycStatus,
+};
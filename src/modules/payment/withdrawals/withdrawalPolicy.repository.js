@@ -0,0 +1,213 @@
+import { query } from "../../../db/index.js";
+import logger from "../../../utils/logger.js";
+import { DatabaseError, NotFoundError } from "../../../utils/appError.js";
+
+export const POLICY_LIMIT_FIELDS = [
+  "minAmount",
+  "minGoalPercentage",
+  "maxAmount",
+  "maxWithdrawalsPerWindow",
+  "windowDays",
+  "holdingPeriodHours",
+  "requireCompletedDonation",
+  "requireKyc",
+];
+
+export const createPolicyRule = async (payload) => {
+  const columns = [
+    "scope",
+    "organizationType",
+    "organizerId",
+    "currency",
+    ...POLICY_LIMIT_FIELDS,
+    "isActive",
+    "description",
+    "createdByUserId",
+  ];
+  const values = columns.map((column) => {
+    if (column === "isActive") return payload.isActive !== false;
+    return payload[column] ?? null;
+  });
+
+  try {
+    const result = await query(
+      `INSERT INTO "withdrawalPolicyRules" (
+        ${columns.map((c) => `"${c}"`).join(", ")}
+      ) VALUES (${columns.map((_, i) => `$${i + 1}`).join(", ")})
+      RETURNING *`,
+      values
+    );
+    return result.rows[0];
+  } catch (error) {
+    logger.error("Failed to create withdrawal policy rule", {
+      error: error.message,
+    });
+    // Partial unique indexes allow only one active rule per target
+    if (error.code === "23505") throw error;
+    throw new DatabaseError("Failed to create withdrawal policy rule");
+  }
+};
+
+export const updatePolicyRule = async (withdrawalPolicyRuleId, update) => {
+  const fields = [];
+  const values = [];
+  let i = 1;
+  for (const [key, val] of Object.entries(update)) {
+    if (val === undefined) continue;
+    fields.push(`"${key}" = $${i++}`);
+    values.push(val);
+  }
+  if (fields.length === 0) return getPolicyRuleById(withdrawalPolicyRuleId);
+  values.push(withdrawalPolicyRuleId);
+
+  try {
+    const result = await query(
+      `UPDATE "withdrawalPolicyRules"
+       SET ${fields.join(", ")}
+       WHERE "withdrawalPolicyRuleId" = $${i}
+       RETURNING *`,
+      values
+    );
+    if (result.rowCount === 0) {
+      throw new NotFoundError("Withdrawal policy rule not found");
+    }
+    return result.rows[0];
+  } catch (error) {
+    logger.error("Failed to update withdrawal policy rule", {
+      error: error.message,
+    });
+    if (error instanceof NotFoundError || error.code === "23505") throw error;
+    throw new DatabaseError("Failed to update withdrawal policy rule");
+  }
+};
+
+export const getPolicyRuleById = async (withdrawalPolicyRuleId) => {
+  try {
+    const result = await query(
+      `SELECT * FROM "withdrawalPolicyRules" WHERE "withdrawalPolicyRuleId" = $1`,
+      [withdrawalPolicyRuleId]
+    );
+    if (result.rowCount === 0) {
+      throw new NotFoundError("Withdrawal policy rule not found");
+    }
+    return result.rows[0];
+  } catch (error) {
+    if (error instanceof NotFoundError) throw error;
+    throw new DatabaseError("Failed to fetch withdrawal policy rule");
+  }
+};
+
+export const listPolicyRules = async ({
+  scope,
+  organizationType,
+  organizerId,
+  isActive,
+} = {}) => {
+  const where = ["1=1"];
+  const values = [];
+  let idx = 1;
+  if (scope) {
+    where.push(`r."scope" = $${idx++}`);
+    values.push(scope);
+  }
+  if (organizationType) {
+    where.push(`r."organizationType" = $${idx++}`);
+    values.push(organizationType);
+  }
+  if (organizerId) {
+    where.push(`r."organizerId" = $${idx++}`);
+    values.push(organizerId);
+  }
+  if (isActive !== undefined) {
+    where.push(`r."isActive" = $${idx++}`);
+    values.push(isActive);
+  }
+
+  try {
+    const result = await query(
+      `SELECT r.*, op."organizationName"
+       FROM "withdrawalPolicyRules" r
+       LEFT JOIN "organizationProfiles" op ON op."userId" = r."organizerId"
+       WHERE ${where.join(" AND ")}
+       ORDER BY r."scope", r."createdAt" DESC`,
+      values
+    );
+    return result.rows;
+  } catch (error) {
+    throw new DatabaseError("Failed to list withdrawal policy rules");
+  }
+};
+
+/**
+ * Active rules that apply to an organizer, most specific first:
+ * organization, then the organizer's organization type, then default.
+ */
+export const findApplicableRules = async (organizerId) => {
+  try {
+    const result = await query(
+      `SELECT r.*
+       FROM "withdrawalPolicyRules" r
+       LEFT JOIN "organizationProfiles" op ON op."userId" = $1
+       WHERE r."isActive"
+         AND (
+           r."scope" = 'default'
+           OR (r."scope" = 'organizationType' AND r."organizationType" = op."organizationType")
+           OR (r."scope" = 'organization' AND r."organizerId" = $1)
+         )
+       ORDER BY CASE r."scope"
+         WHEN 'organization' THEN 0
+         WHEN 'organizationType' THEN 1
+         ELSE 2
+       END`,
+      [organizerId]
+    );
+    return result.rows;
+  } catch (error) {
+    throw new DatabaseError("Failed to resolve withdrawal policy rules");
+  }
+};
+
+export const getOrganizerPolicyProfile = async (organizerId) => {
+  try {
+    const result = await query(
+      `SELECT u."userId", u."userType", u."kycVerifiedAt", op."organizationType"
+       FROM "users" u
+       LEFT JOIN "organizationProfiles" op ON op."userId" = u."userId"
+       WHERE u."userId" = $1`,
+      [organizerId]
+    );
+    if (result.rowCount === 0) throw new NotFoundError("Organizer not found");
+    return result.rows[0];
+  } catch (error) {
+    if (error instanceof NotFoundError) throw error;
+    throw new DatabaseError("Failed to fetch organizer policy profile");
+  }
+};
+
+export const setKycVerification = async (userId, verifiedByUserId) => {
+  try {
+    const result = await query(
+      `UPDATE "users"
+       SET "kycVerifiedAt" = CASE WHEN $2::uuid IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END,
+           "kycVerifiedByUserId" = $2
+       WHERE "userId" = $1
+       RETURNING "userId", "kycVerifiedAt", "kycVerifiedByUserId"`,
+      [userId, verifiedByUserId]
+    );
+    if (result.rowCount === 0) throw new NotFoundError("User not found");
+    return result.rows[0];
+  } catch (error) {
+    if (error instanceof NotFoundError) throw error;
+    throw new DatabaseError("Failed to update KYC verification");
+  }
+};
+
+export default {
+  createPolicyRule,
+  updatePolicyRule,
+  getPolicyRuleById,
+  listPolicyRules,
+  findApplicableRules,
+  getOrganizerPolicyProfile,
+  setKycVerification,
+};
@@ -0,0 +1,309 @@
+import * as policyRepository from "./withdrawalPolicy.repository.js";
+import { POLICY_LIMIT_FIELDS } from "./withdrawalPolicy.repository.js";
+import * as withdrawalRepo from "./withdrawal.repository.js";
+import * as exchangeRateService from "../exchangeRates/exchangeRate.service.js";
+import config from "../../../config/index.js";
+import { AppError } from "../../../utils/appError.js";
+import logger from "../../../utils/logger.js";
+import { logServiceEvent } from "../../audit/audit.utils.js";
+import {
+  ENTITY_TYPES,
+  USER_ACTIONS,
+  WITHDRAWAL_ACTIONS,
+} from "../../audit/audit.constants.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const toNumber = (value) => (value === null ? null : Number(value));
+
+// Limits stated in the currency of the rule (or config) that sets them
+const AMOUNT_FIELDS = ["minAmount", "maxAmount"];
+
+/**
+ * Builds the effective policy for an organizer. Each limit comes from the most
+ * specific active rule that sets it (organization, then organization type,
+ * then default), falling back to config.payments.withdrawalPolicy.
+ * @param {string} organizerId
+ * @returns {Promise<Object>} { policy, sources, organizationType, kycVerifiedAt }
+ */
+export const resolvePolicy = async (organizerId) => {
+  const profile = await policyRepository.getOrganizerPolicyProfile(organizerId);
+  const rules = await policyRepository.findApplicableRules(organizerId);
+
+  const policy = {};
+  const sources = {};
+  for (const field of POLICY_LIMIT_FIELDS) {
+    const rule = rules.find((r) => r[field] !== null && r[field] !== undefined);
+    if (rule) {
+      policy[field] =
+        typeof rule[field] === "boolean" ? rule[field] : toNumber(rule[field]);
+      sources[field] = {
+        withdrawalPolicyRuleId: rule.withdrawalPolicyRuleId,
+        scope: rule.scope,
+      };
+    } else {
+      policy[field] = config.payments.withdrawalPolicy[field] ?? null;
+      sources[field] = { withdrawalPolicyRuleId: null, scope: "config" };
+    }
+    if (AMOUNT_FIELDS.includes(field)) {
+      sources[field].currency =
+        rule?.currency || config.payments.withdrawalPolicy.currency;
+    }
+  }
+
+  return {
+    policy,
+    sources,
+    organizationType: profile.organizationType || null,
+    kycVerifiedAt: profile.kycVerifiedAt || null,
+  };
+};
+
+/**
+ * An amount limit in the campaign's base currency, converted from the
+ * currency of the rule that set it at the latest rate.
+ */
+const limitInCurrency = async (value, fromCurrency, currency) => {
+  if (!value || fromCurrency === currency) return value;
+  const converted = await exchangeRateService.convert(
+    value,
+    fromCurrency,
+    currency
+  );
+  return converted.amount;
+};
+
+/**
+ * Checks a withdrawal against the organizer's effective policy.
+ * Every failing rule is reported, not just the first one. Amounts are in
+ * the campaign's base currency, like the balances.
+ * @param {Object} params
+ * @param {string} params.organizerId
+ * @param {Object} params.campaign - Campaign row (goalAmount and baseCurrency are used)
+ * @param {number} [params.amount] - Requested amount; amount checks are skipped when absent
+ * @param {Object} params.balances - Result of computeAvailableBalance
+ * @returns {Promise<Object>} { allowed, violations, policy, limits }
+ */
+export const evaluateWithdrawal = async ({
+  organizerId,
+  campaign,
+  amount,
+  balances,
+  now = Date.now(),
+}) => {
+  const { policy, sources, organizationType, kycVerifiedAt } =
+    await resolvePolicy(organizerId);
+  const violations = [];
+  const violate = (code, field, message, extra = {}) =>
+    violations.push({ code, field, message, ...extra });
+
+  if (policy.requireKyc && !kycVerifiedAt) {
+    violate(
+      "KYC_REQUIRED",
+      "requireKyc",
+      "Identity verification (KYC) is required before withdrawing"
+    );
+  }
+
+  if (policy.requireCompletedDonation && !(balances.completed > 0)) {
+    violate(
+      "NO_COMPLETED_DONATION",
+      "requireCompletedDonation",
+      "Withdrawals are allowed only after the first completed donation"
+    );
+  }
+
+  const currency = campaign.baseCurrency || config.payments.currency.default;
+  const minAmount = await limitInCurrency(
+    policy.minAmount,
+    sources.minAmount.currency,
+    currency
+  );
+  const maxAmount = await limitInCurrency(
+    policy.maxAmount,
+    sources.maxAmount.currency,
+    currency
+  );
+
+  const minimumAmount = Math.max(
+    minAmount || 0,
+    (Number(campaign.goalAmount) || 0) * ((policy.minGoalPercentage || 0) / 100)
+  );
+
+  // Donations completed within the holding period are not withdrawable yet
+  let heldAmount = 0;
+  if (policy.holdingPeriodHours > 0) {
+    heldAmount = await withdrawalRepo.sumCompletedDonationsSince(
+      campaign.campaignId,
+      new Date(now - policy.holdingPeriodHours * HOUR_MS)
+    );
+  }
+  const withdrawable = Math.max(0, balances.available - heldAmount);
+
+  if (amount !== undefined && amount !== null) {
+    if (amount < minimumAmount) {
+      violate(
+        "BELOW_MIN_AMOUNT",
+        policy.minGoalPercentage ? "minGoalPercentage" : "minAmount",
+        `Amount is below the minimum withdrawal of ${minimumAmount.toFixed(2)}`,
+        { limit: minimumAmount, actual: amount }
+      );
+    }
+    if (maxAmount !== null && amount > maxAmount) {
+      violate(
+        "ABOVE_MAX_AMOUNT",
+        "maxAmount",
+        `Amount exceeds the maximum withdrawal of ${maxAmount.toFixed(2)}`,
+        { limit: maxAmount, actual: amount }
+      );
+    }
+    if (amount > balances.available) {
+      violate(
+        "EXCEEDS_AVAILABLE_BALANCE",
+        "available",
+        "Amount exceeds available balance",
+        { limit: balances.available, actual: amount }
+      );
+    } else if (amount > withdrawable) {
+      violate(
+        "HOLDING_PERIOD",
+        "holdingPeriodHours",
+        `Donations from the last ${policy.holdingPeriodHours} hours are still on hold`,
+        { limit: withdrawable, actual: amount, heldAmount }
+      );
+    }
+  }
+
+  let recentCount = 0;
+  if (policy.maxWithdrawalsPerWindow !== null && policy.windowDays) {
+    recentCount = await withdrawalRepo.countWithdrawalsSince(
+      campaign.campaignId,
+      new Date(now - policy.windowDays * 24 * HOUR_MS)
+    );
+    if (recentCount >= policy.maxWithdrawalsPerWindow) {
+      violate(
+        "FREQUENCY_LIMIT",
+        "maxWithdrawalsPerWindow",
+        `Withdrawal limit reached (${policy.maxWithdrawalsPerWindow} per ${policy.windowDays} days)`,
+        { limit: policy.maxWithdrawalsPerWindow, actual: recentCount }
+      );
+    }
+  }
+
+  return {
+    allowed: violations.length === 0,
+    violations,
+    policy,
+    sources,
+    organizationType,
+    limits: {
+      currency,
+      minimumAmount,
+      maximumAmount:
+        maxAmount === null ? withdrawable : Math.min(maxAmount, withdrawable),
+      withdrawable,
+      heldAmount,
+      recentWithdrawals: recentCount,
+    },
+  };
+};
+
+const translateUniqueViolation = (error) => {
+  if (error.code === "23505") {
+    return new AppError(
+      "An active withdrawal policy rule already exists for this target; deactivate it first",
+      409
+    );
+  }
+  return error;
+};
+
+export const listPolicyRules = async (filters) => {
+  return policyRepository.listPolicyRules(filters);
+};
+
+export const createPolicyRule = async (adminUserId, payload) => {
+  let rule;
+  try {
+    rule = await policyRepository.createPolicyRule({
+      ...payload,
+      currency: payload.currency || config.payments.currency.default,
+      createdByUserId: adminUserId,
+    });
+  } catch (error) {
+    throw translateUniqueViolation(error);
+  }
+
+  await logServiceEvent(
+    adminUserId,
+    WITHDRAWAL_ACTIONS.WITHDRAWAL_POLICY_CREATED,
+    ENTITY_TYPES.WITHDRAWAL_POLICY_RULE,
+    rule.withdrawalPolicyRuleId,
+    { rule: payload }
+  );
+  logger.info("Withdrawal policy rule created", {
+    withdrawalPolicyRuleId: rule.withdrawalPolicyRuleId,
+    scope: rule.scope,
+    createdBy: adminUserId,
+  });
+
+  return rule;
+};
+
+export const updatePolicyRule = async (
+  adminUserId,
+  withdrawalPolicyRuleId,
+  update
+) => {
+  const before = await policyRepository.getPolicyRuleById(
+    withdrawalPolicyRuleId
+  );
+  let rule;
+  try {
+    rule = await policyRepository.updatePolicyRule(
+      withdrawalPolicyRuleId,
+      update
+    );
+  } catch (error) {
+    throw translateUniqueViolation(error);
+  }
+
+  const previous = Object.fromEntries(
+    Object.keys(update).map((key) => [key, before[key]])
+  );
+  await logServiceEvent(
+    adminUserId,
+    WITHDRAWAL_ACTIONS.WITHDRAWAL_POLICY_UPDATED,
+    ENTITY_TYPES.WITHDRAWAL_POLICY_RULE,
+    withdrawalPolicyRuleId,
+    { previous, update }
+  );
+
+  return rule;
+};
+
+export const setKycStatus = async (adminUserId, userId, verified) => {
+  const result = await policyRepository.setKycVerification(
+    userId,
+    verified ? adminUserId : null
+  );
+
+  await logServiceEvent(
+    adminUserId,
+    USER_ACTIONS.KYC_STATUS_CHANGED,
+    ENTITY_TYPES.USER,
+    userId,
+    { verified: !!verified }
+  );
+
+  return result;
+};
+
+export default {
+  resolvePolicy,
+  evaluateWithdrawal,
+  listPolicyRules,
+  createPolicyRule,
+  updatePolicyRule,
+  setKycStatus,
+};
@@ -0,0 +1,87 @@
+import Joi from "joi";
+import { validate } from "../../../utils/validation.js";
+
+const currencyCode = Joi.string()
+  .trim()
+  .length(3)
+  .uppercase()
+  .pattern(/^[A-Z]{3}$/)
+  .messages({
+    "string.pattern.base": "Currency must be a 3-letter ISO code (e.g. ZMW)",
+  });
+
+// Limits are nullable: null means "inherit from the less specific rule"
+const policyLimits = {
+  minAmount: Joi.number().min(0).precision(2).allow(null),
+  minGoalPercentage: Joi.number().min(0).max(100).precision(2).allow(null),
+  maxAmount: Joi.number().positive().precision(2).allow(null),
+  maxWithdrawalsPerWindow: Joi.number().integer().min(0).allow(null),
+  windowDays: Joi.number().integer().min(1).max(365).allow(null),
+  holdingPeriodHours: Joi.number().integer().min(0).max(8760).allow(null),
+  requireCompletedDonation: Joi.boolean().allow(null),
+  requireKyc: Joi.boolean().allow(null),
+};
+
+// Validation schemas
+const createPolicyRuleSchema = Joi.object({
+  scope: Joi.string()
+    .valid("default", "organizationType", "organization")
+    .required(),
+  organizationType: Joi.when("scope", {
+    is: "organizationType",
+    then: Joi.string().max(50).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  organizerId: Joi.when("scope", {
+    is: "organization",
+    then: Joi.string().uuid().required(),
+    otherwise: Joi.forbidden(),
+  }),
+  // Currency of minAmount/maxAmount; defaults to the platform currency
+  currency: currencyCode.optional(),
+  ...policyLimits,
+  isActive: Joi.boolean().default(true),
+  description: Joi.string().max(500).allow("").optional(),
+});
+
+const updatePolicyRuleSchema = Joi.object({
+  currency: currencyCode.optional(),
+  ...policyLimits,
+  isActive: Joi.boolean().optional(),
+  description: Joi.string().max(500).allow("").optional(),
+}).min(1);
+
+const policyRuleIdSchema = Joi.object({
+  withdrawalPolicyRuleId: Joi.string().uuid().required(),
+});
+
+const organizerIdSchema = Joi.object({
+  organizerId: Joi.string().uuid().required(),
+});
+
+const listPolicyRulesSchema = Joi.object({
+  scope: Joi.string()
+    .valid("default", "organizationType", "organization")
+    .optional(),
+  organizationType: Joi.string().max(50).optional(),
+  organizerId: Joi.string().uuid().optional(),
+  isActive: Joi.boolean().optional(),
+});
+
+const policyPreviewSchema = Joi.object({
+  campaignId: Joi.string().uuid().required(),
+  amount: Joi.number().positive().precision(2).optional(),
+});
+
+const kycStatusSchema = Joi.object({
+  verified: Joi.boolean().required(),
+});
+
+// Validation middlewares
+export const validateCreatePolicyRule = validate(createPolicyRuleSchema);
+export const validateUpdatePolicyRule = validate(updatePolicyRuleSchema);
+export const validatePolicyRuleId = validate(policyRuleIdSchema, "params");
+export const validateOrganizerId = validate(organizerIdSchema, "params");
+export const validateListPolicyRules = validate(listPolicyRulesSchema, "query");
+export const validatePolicyPreview = validate(policyPreviewSchema, "query");
+export const validateKycStatus = validate(kycStatusSchema);
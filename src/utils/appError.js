@@ -16,6 +16,7 @@
  * - EmailError: For email sending failures
  * - JWTError: For JWT token-related errors
  * - RateLimitError: For rate limiting violations
+ * - PolicyViolationError: For business policy violations with structured reasons
  * 
  * ERROR PROPERTIES:
  * - message: Human-readable error message
@@ -208,6 +209,20 @@ class RateLimitError extends AppError {
   }
 }
 
+class PolicyViolationError extends AppError {
+  constructor(message = "Request violates policy", violations = []) {
+    super(message, 422, "POLICY_VIOLATION");
+    this.violations = violations;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      violations: this.violations,
+    };
+  }
+}
+
 /**
  * Error factory functions for common scenarios
  */
@@ -341,6 +356,7 @@ export {
   DatabaseError,
   ExternalServiceError,
   RateLimitError,
+  PolicyViolationError,
   ErrorFactory,
   isOperationalError,
   normalizeError,
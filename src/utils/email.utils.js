@@ -93,12 +93,13 @@ const FROM_EMAIL = process.env.FROM_EMAIL || "no-reply@example.com";
 const APP_NAME = process.env.APP_NAME || "E-Fund";
 const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
 
-async function sendMail({ to, subject, html }) {
+async function sendMail({ to, subject, html, headers }) {
   return transporter.sendMail({
     from: `${APP_NAME} <${FROM_EMAIL}>`,
     to,
     subject,
     html,
+    headers,
   });
 }
 
@@ -152,11 +153,17 @@ export async function sendGenericEmail(to, subject, html) {
  * @param {Object} options - Additional options
  * @param {string} options.linkTokenId - Link token ID for tracking
  * @param {string} options.contactId - Contact ID for attribution
+ * @param {Object} options.headers - Extra headers (List-Unsubscribe)
  * @returns {Promise<Object>} Email sending result
  */
 export async function sendOutreachEmail(to, subject, html, options = {}) {
   try {
-    const result = await sendMail({ to, subject, html });
+    const result = await sendMail({
+      to,
+      subject,
+      html,
+      headers: options.headers,
+    });
 
     logger.info("Outreach email sent successfully", {
       to,
@@ -27,12 +27,22 @@ const TRACKING_BASE_URL =
  * Base email template wrapper
  * @param {string} content - Main content HTML
  * @param {string} linkTokenId - Link token ID for tracking pixel
+ * @param {Object} [links] - Outreach unsubscribe links for the footer
+ * @param {string} links.unsubscribeUrl - One-click unsubscribe link
+ * @param {string} links.preferencesUrl - Email preference page
  * @returns {string} Complete HTML email
  */
-function createBaseTemplate(content, linkTokenId) {
+function createBaseTemplate(content, linkTokenId, links = {}) {
   const trackingPixel = linkTokenId
     ? `<img src="${TRACKING_BASE_URL}/t/pixel/${linkTokenId}.png" alt="" width="1" height="1" style="display:none" />`
     : "";
+  const unsubscribeFooter = links.unsubscribeUrl
+    ? `<p><a href="${links.unsubscribeUrl}" style="color: #666;">Unsubscribe</a>${
+        links.preferencesUrl
+          ? ` &middot; <a href="${links.preferencesUrl}" style="color: #666;">Email preferences</a>`
+          : ""
+      }</p>`
+    : "";
 
   return `
     <!DOCTYPE html>
@@ -143,6 +153,7 @@ function createBaseTemplate(content, linkTokenId) {
         <div class="footer">
           <p>This email was sent from ${APP_NAME}</p>
           <p>If you have any questions, please contact us</p>
+          ${unsubscribeFooter}
         </div>
       </div>
       ${trackingPixel}
@@ -161,6 +172,8 @@ function createBaseTemplate(content, linkTokenId) {
  * @param {string} data.personalizedMessage - Personalized message from organizer
  * @param {number} data.prefillAmount - Pre-filled donation amount
  * @param {string} data.linkTokenId - Link token ID for tracking
+ * @param {string} data.unsubscribeUrl - One-click unsubscribe link
+ * @param {string} data.preferencesUrl - Email preference page
  * @returns {string} HTML email content
  */
 export function createInvitationTemplate(data) {
@@ -172,6 +185,8 @@ export function createInvitationTemplate(data) {
     personalizedMessage,
     prefillAmount,
     linkTokenId,
+    unsubscribeUrl,
+    preferencesUrl,
   } = data;
 
   const content = `
@@ -220,7 +235,10 @@ export function createInvitationTemplate(data) {
     </div>
   `;
 
-  return createBaseTemplate(content, linkTokenId);
+  return createBaseTemplate(content, linkTokenId, {
+    unsubscribeUrl,
+    preferencesUrl,
+  });
 }
 
 /**
@@ -231,6 +249,8 @@ export function createInvitationTemplate(data) {
  * @param {string} data.updateMessage - Update message content
  * @param {string} data.trackedLink - Personalized tracking link
  * @param {string} data.linkTokenId - Link token ID for tracking
+ * @param {string} data.unsubscribeUrl - One-click unsubscribe link
+ * @param {string} data.preferencesUrl - Email preference page
  * @returns {string} HTML email content
  */
 export function createUpdateTemplate(data) {
@@ -240,6 +260,8 @@ export function createUpdateTemplate(data) {
     updateMessage,
     trackedLink,
     linkTokenId,
+    unsubscribeUrl,
+    preferencesUrl,
   } = data;
 
   const content = `
@@ -271,7 +293,10 @@ export function createUpdateTemplate(data) {
     </div>
   `;
 
-  return createBaseTemplate(content, linkTokenId);
+  return createBaseTemplate(content, linkTokenId, {
+    unsubscribeUrl,
+    preferencesUrl,
+  });
 }
 
 /**
@@ -284,6 +309,8 @@ export function createUpdateTemplate(data) {
  * @param {string} data.thankYouMessage - Thank you message
  * @param {string} data.trackedLink - Personalized tracking link
  * @param {string} data.linkTokenId - Link token ID for tracking
+ * @param {string} data.unsubscribeUrl - One-click unsubscribe link
+ * @param {string} data.preferencesUrl - Email preference page
  * @returns {string} HTML email content
  */
 export function createThankYouTemplate(data) {
@@ -295,6 +322,8 @@ export function createThankYouTemplate(data) {
     thankYouMessage,
     trackedLink,
     linkTokenId,
+    unsubscribeUrl,
+    preferencesUrl,
   } = data;
 
   const content = `
@@ -327,7 +356,10 @@ export function createThankYouTemplate(data) {
     </div>
   `;
 
-  return createBaseTemplate(content, linkTokenId);
+  return createBaseTemplate(content, linkTokenId, {
+    unsubscribeUrl,
+    preferencesUrl,
+  });
 }
 
 /**
@@ -339,6 +371,7 @@ export function createThankYouTemplate(data) {
  * @param {number|string} data.donationAmount
  * @param {string} data.currency
  * @param {string} data.donationId
+ * @param {string} [data.receiptNumber]
  * @param {string} data.campaignUrl
  * @param {string} [data.thankYouMessage]
  * @param {string} [data.linkTokenId]
@@ -351,6 +384,7 @@ export function createDonationReceiptTemplate(data) {
     donationAmount,
     currency,
     donationId,
+    receiptNumber,
     campaignUrl,
     thankYouMessage,
     linkTokenId,
@@ -374,6 +408,12 @@ export function createDonationReceiptTemplate(data) {
         minimumFractionDigits: 0,
       }).format(Number(donationAmount) || 0)}</p>
       <p><strong>Donation ID:</strong> ${donationId}</p>
+      ${
+        receiptNumber
+          ? `<p><strong>Receipt number:</strong> ${receiptNumber}</p>
+      <p>A PDF copy of this receipt can be downloaded from your donation history.</p>`
+          : ""
+      }
     </div>
 
     <div class="personalized-message">
@@ -413,23 +453,29 @@ export function createMilestoneTemplate(data) {
     goalAmount,
     campaignUrl,
     linkTokenId,
+    currency = "ZMW",
+    milestoneTitle,
   } = data;
 
   const content = `
     <div class="message">
       <p>Hi ${organizerName},</p>
-      <p>Your campaign <strong>${campaignTitle}</strong> just reached <strong>${percentageReached}%</strong> of its goal!</p>
+      <p>Your campaign <strong>${campaignTitle}</strong> just reached ${
+        milestoneTitle
+          ? `its milestone <strong>${milestoneTitle}</strong>`
+          : `<strong>${percentageReached}%</strong> of its goal`
+      }!</p>
     </div>
 
     <div class="campaign-details">
       <p><strong>Raised so far:</strong> ${new Intl.NumberFormat("en-ZM", {
         style: "currency",
-        currency: "ZMW",
+        currency,
         minimumFractionDigits: 0,
       }).format(Number(currentAmount) || 0)}</p>
       <p><strong>Goal:</strong> ${new Intl.NumberFormat("en-ZM", {
         style: "currency",
-        currency: "ZMW",
+        currency,
         minimumFractionDigits: 0,
       }).format(Number(goalAmount) || 0)}</p>
     </div>
@@ -446,6 +492,98 @@ export function createMilestoneTemplate(data) {
   return createBaseTemplate(content, linkTokenId);
 }
 
+/**
+ * Milestone news for donors of a campaign
+ * @param {Object} data - Template data
+ * @returns {string} Complete HTML email
+ */
+export function createDonorMilestoneTemplate(data) {
+  const {
+    campaignTitle,
+    milestoneTitle,
+    percentageReached,
+    currentAmount,
+    goalAmount,
+    currency = "ZMW",
+    campaignUrl,
+  } = data;
+
+  const format = (amount) =>
+    new Intl.NumberFormat("en-ZM", {
+      style: "currency",
+      currency,
+      minimumFractionDigits: 0,
+    }).format(Number(amount) || 0);
+
+  const content = `
+    <div class="message">
+      <p>Hello!</p>
+      <p><strong>${campaignTitle}</strong>, a campaign you supported, just reached <strong>${milestoneTitle}</strong>.</p>
+    </div>
+
+    <div class="campaign-details">
+      <p><strong>Raised so far:</strong> ${format(currentAmount)} (${percentageReached}% of ${format(goalAmount)})</p>
+    </div>
+
+    <a href="${campaignUrl || FRONTEND_URL}" class="cta-button">See the progress</a>
+
+    <div class="message">
+      <p>Thank you for helping make it happen.<br/>The ${APP_NAME} Team</p>
+    </div>
+  `;
+
+  return createBaseTemplate(content);
+}
+
+/**
+ * Campaign ended email template (to organizer)
+ * @param {Object} data - Template data
+ * @param {string} data.status - "successful" or "closed"
+ * @returns {string} Complete HTML email
+ */
+export function createCampaignEndedTemplate(data) {
+  const {
+    organizerName,
+    campaignTitle,
+    status,
+    currentAmount,
+    goalAmount,
+    currency = "ZMW",
+    campaignUrl,
+  } = data;
+
+  const format = (amount) =>
+    new Intl.NumberFormat("en-ZM", {
+      style: "currency",
+      currency,
+      minimumFractionDigits: 0,
+    }).format(Number(amount) || 0);
+
+  const content = `
+    <div class="message">
+      <p>Hi ${organizerName},</p>
+      ${
+        status === "successful"
+          ? `<p>Congratulations! Your campaign <strong>${campaignTitle}</strong> reached its goal and is now complete.</p>`
+          : `<p>Your campaign <strong>${campaignTitle}</strong> has reached its end date and is now closed to new donations.</p>`
+      }
+    </div>
+
+    <div class="campaign-details">
+      <p><strong>Raised:</strong> ${format(currentAmount)}</p>
+      <p><strong>Goal:</strong> ${format(goalAmount)}</p>
+    </div>
+
+    <a href="${campaignUrl || FRONTEND_URL}" class="cta-button">Open Campaign Dashboard</a>
+
+    <div class="message">
+      <p>Funds you have raised remain available to withdraw from your dashboard.<br/>The ${APP_NAME} Team</p>
+    </div>
+  `;
+
+  return createBaseTemplate(content);
+}
+
 /**
  * Generate tracking link with UTM parameters
  * @param {string} baseUrl - Base campaign URL
@@ -755,3 +893,211 @@ export function createWithdrawalRejectedTemplate(data) {
 
   return createBaseTemplate(content);
 }
+
+/**
+ * Donation Refunded Email Template
+ * @param {Object} data - Template data
+ * @param {string} data.donorName - Name of the donor
+ * @param {string} data.campaignTitle - Campaign the donation was made to
+ * @param {number} data.amount - Refunded amount
+ * @param {string} data.currency - Currency code
+ * @param {string} data.phoneNumber - Mobile money number the refund is sent to
+ * @param {string} data.donationId - Donation ID
+ * @param {string} data.reason - Refund reason
+ * @returns {string} HTML email template
+ */
+export function createDonationRefundTemplate(data) {
+  const {
+    donorName = "Supporter",
+    campaignTitle = "",
+    amount,
+    currency = "ZMW",
+    phoneNumber,
+    donationId,
+    reason = "No reason provided",
+  } = data;
+
+  const content = `
+    <div style="text-align: center; padding: 20px;">
+      <h2 style="color: #1e40af; margin-bottom: 20px;">↩️ Donation Refunded</h2>
+      
+      <div style="background: #eff6ff; padding: 20px; border-radius: 8px; margin: 20px 0; border: 1px solid #bfdbfe;">
+        <p style="margin: 0 0 10px 0; font-size: 16px;">
+          <strong>Hello ${donorName},</strong>
+        </p>
+        <p style="margin: 0 0 15px 0; color: #1e3a8a;">
+          Your donation${
+            campaignTitle ? ` to <strong>${campaignTitle}</strong>` : ""
+          } has been refunded.
+        </p>
+        
+        <div style="background: white; padding: 15px; border-radius: 6px; margin: 15px 0;">
+          <p style="margin: 0 0 5px 0; font-size: 14px; color: #64748b;">Amount</p>
+          <p style="margin: 0; font-size: 20px; font-weight: bold; color: #1e40af;">
+            ${amount} ${currency}
+          </p>
+        </div>
+        ${
+          phoneNumber
+            ? `
+        <div style="background: white; padding: 15px; border-radius: 6px; margin: 15px 0;">
+          <p style="margin: 0 0 5px 0; font-size: 14px; color: #64748b;">Refunded to</p>
+          <p style="margin: 0; font-size: 16px; color: #1f2937;">
+            ${phoneNumber}
+          </p>
+        </div>`
+            : ""
+        }
+        
+        <div style="background: white; padding: 15px; border-radius: 6px; margin: 15px 0;">
+          <p style="margin: 0 0 5px 0; font-size: 14px; color: #64748b;">Reference</p>
+          <p style="margin: 0; font-size: 14px; color: #6b7280; font-family: monospace;">
+            ${donationId}
+          </p>
+        </div>
+        
+        <div style="background: #fef3c7; border: 1px solid #f59e0b; padding: 15px; border-radius: 6px; margin: 15px 0;">
+          <p style="margin: 0 0 5px 0; font-size: 14px; color: #92400e; font-weight: bold;">Reason:</p>
+          <p style="margin: 0; font-size: 14px; color: #92400e;">
+            ${reason}
+          </p>
+        </div>
+      </div>
+      
+      <p style="color: #64748b; font-size: 14px; margin-top: 30px;">
+        The funds should appear in your mobile money account within a few minutes. 
+        If you have any questions, please contact our support team.
+      </p>
+    </div>
+  `;
+
+  return createBaseTemplate(content);
+}
+
+export function createRecurringDonationFailedTemplate(data) {
+  const {
+    donorName = "Supporter",
+    campaignTitle = "",
+    amount,
+    currency = "ZMW",
+    attempt,
+    maxAttempts,
+    retryDate,
+    reason = "Payment failed",
+  } = data;
+
+  const content = `
+    <div style="text-align: center; padding: 20px;">
+      <h2 style="color: #dc2626; margin-bottom: 20px;">⚠️ ${
+        retryDate
+          ? "Monthly Donation Payment Failed"
+          : "Monthly Donation Cancelled"
+      }</h2>
+      
+      <div style="background: #fef2f2; padding: 20px; border-radius: 8px; margin: 20px 0; border: 1px solid #fecaca;">
+        <p style="margin: 0 0 10px 0; font-size: 16px;">
+          <strong>Hello ${donorName},</strong>
+        </p>
+        <p style="margin: 0 0 15px 0; color: #991b1b;">
+          We couldn't collect your monthly donation${
+            campaignTitle ? ` to <strong>${campaignTitle}</strong>` : ""
+          } (attempt ${attempt} of ${maxAttempts}).
+        </p>
+        
+        <div style="background: white; padding: 15px; border-radius: 6px; margin: 15px 0;">
+          <p style="margin: 0 0 5px 0; font-size: 14px; color: #64748b;">Amount</p>
+          <p style="margin: 0; font-size: 20px; font-weight: bold; color: #dc2626;">
+            ${amount} ${currency}
+          </p>
+        </div>
+        
+        <div style="background: #fef3c7; border: 1px solid #f59e0b; padding: 15px; border-radius: 6px; margin: 15px 0;">
+          <p style="margin: 0 0 5px 0; font-size: 14px; color: #92400e; font-weight: bold;">Reason:</p>
+          <p style="margin: 0; font-size: 14px; color: #92400e;">
+            ${reason}
+          </p>
+        </div>
+      </div>
+      
+      <p style="color: #64748b; font-size: 14px; margin-top: 30px;">
+        ${
+          retryDate
+            ? `We'll try again on <strong>${retryDate}</strong>. Please make sure your mobile money wallet has enough balance and approve the payment prompt.`
+            : "Your monthly donation has been cancelled. You can set it up again at any time from your account."
+        }
+      </p>
+    </div>
+  `;
+
+  return createBaseTemplate(content);
+}
+
+/**
+ * Annual Giving Statement Email Template
+ * @param {Object} data - Template data
+ * @param {string} data.donorName - Name of the donor
+ * @param {number} data.year - Statement year
+ * @param {number} data.donationCount - Completed donations in the year
+ * @param {Array<Object>} data.totals - { currency, amount } per currency
+ * @param {Array<Object>} data.organizations - { organizationName, currency, amount, donationCount }
+ * @returns {string} HTML email template
+ */
+export function createGivingStatementTemplate(data) {
+  const {
+    donorName = "Supporter",
+    year,
+    donationCount,
+    totals = [],
+    organizations = [],
+  } = data;
+
+  const content = `
+    <div style="text-align: center; padding: 20px;">
+      <h2 style="color: #1e40af; margin-bottom: 20px;">🧾 Your ${year} Giving Statement</h2>
+      
+      <div style="background: #eff6ff; padding: 20px; border-radius: 8px; margin: 20px 0; border: 1px solid #bfdbfe;">
+        <p style="margin: 0 0 10px 0; font-size: 16px;">
+          <strong>Hello ${donorName},</strong>
+        </p>
+        <p style="margin: 0 0 15px 0; color: #1e3a8a;">
+          Thank you for your generosity. In ${year} you made ${donationCount} donation${
+            donationCount === 1 ? "" : "s"
+          }.
+        </p>
+        
+        <div style="background: white; padding: 15px; border-radius: 6px; margin: 15px 0;">
+          <p style="margin: 0 0 5px 0; font-size: 14px; color: #64748b;">Total given</p>
+          ${totals
+            .map(
+              (total) => `
+          <p style="margin: 0; font-size: 20px; font-weight: bold; color: #1e40af;">
+            ${total.amount.toFixed(2)} ${total.currency}
+          </p>`
+            )
+            .join("")}
+        </div>
+        
+        <div style="background: white; padding: 15px; border-radius: 6px; margin: 15px 0; text-align: left;">
+          <p style="margin: 0 0 10px 0; font-size: 14px; color: #64748b;">By organization</p>
+          ${organizations
+            .map(
+              (org) => `
+          <p style="margin: 0 0 5px 0; font-size: 14px; color: #1f2937;">
+            ${org.organizationName || "Campaign organizer"}: <strong>${org.amount.toFixed(
+              2
+            )} ${org.currency}</strong> (${org.donationCount})
+          </p>`
+            )
+            .join("")}
+        </div>
+      </div>
+      
+      <p style="color: #64748b; font-size: 14px; margin-top: 30px;">
+        Refunded donations are not included. A full statement with every donation
+        can be downloaded as PDF or CSV from your account.
+      </p>
+    </div>
+  `;
+
+  return createBaseTemplate(content);
+}